@@ -1,4 +1,371 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { jsPDF } from 'npm:jspdf@2.5.2';
+
+// Form 8949 check boxes. Part I is short-term (A-C), Part II long-term (D-F);
+// each box is totaled separately and carried to its own Schedule D line.
+const BOXES = {
+  A: { part: 'I', term: 'short_term', scheduleDLine: '1b', label: 'Short-term transactions reported on Form(s) 1099-B showing basis was reported to the IRS' },
+  B: { part: 'I', term: 'short_term', scheduleDLine: '2', label: 'Short-term transactions reported on Form(s) 1099-B showing basis wasn\'t reported to the IRS' },
+  C: { part: 'I', term: 'short_term', scheduleDLine: '3', label: 'Short-term transactions not reported to you on Form 1099-B' },
+  D: { part: 'II', term: 'long_term', scheduleDLine: '8b', label: 'Long-term transactions reported on Form(s) 1099-B showing basis was reported to the IRS' },
+  E: { part: 'II', term: 'long_term', scheduleDLine: '9', label: 'Long-term transactions reported on Form(s) 1099-B showing basis wasn\'t reported to the IRS' },
+  F: { part: 'II', term: 'long_term', scheduleDLine: '10', label: 'Long-term transactions not reported to you on Form 1099-B' },
+};
+
+const BOX_BY_TERM = {
+  short_term: { basis_reported: 'A', basis_not_reported: 'B', not_reported: 'C' },
+  long_term: { basis_reported: 'D', basis_not_reported: 'E', not_reported: 'F' },
+};
+
+// TXF v042 reference numbers for detailed capital gain records, one per 8949 box. The 7xx codes
+// run short-term then long-term: 711 short-term basis not reported (B), 712 short-term no 1099-B
+// (C), 713 long-term basis not reported (E), 714 long-term no 1099-B (F)
+const TXF_REFNUMS = { A: 321, B: 711, C: 712, D: 323, E: 713, F: 714 };
+
+const ROWS_PER_PAGE = 14; // Lines per Part on the printed Form 8949
+
+// First tax year brokers issue Form 1099-DA for digital asset sales, and the first acquisition
+// date for which they must also report basis ("covered" digital assets)
+const FORM_1099_DA_FIRST_YEAR = 2025;
+const DIGITAL_ASSET_COVERED_FROM = '2026-01-01';
+// Stock acquired on or after this date is a covered security with basis reported on 1099-B
+const COVERED_SECURITY_FROM = '2011-01-01';
+
+const TAXABLE_ACCOUNT_TYPES = new Set(['taxable', 'taxable_brokerage', 'taxable_crypto', 'taxable_real_estate']);
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+function parseDate(dateStr) {
+  if (!dateStr) return null;
+  const [y, m, d] = String(dateStr).split('T')[0].split('-').map(Number);
+  if (!y || !m || !d) return null;
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function formatDate(date) {
+  if (!date) return 'VARIOUS';
+  const mm = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const dd = String(date.getUTCDate()).padStart(2, '0');
+  return `${mm}/${dd}/${date.getUTCFullYear()}`;
+}
+
+// Long-term means held MORE than one year: sold after the first anniversary of the acquisition date
+function getHoldingPeriod(acquired, sold, fallback) {
+  if (!acquired || !sold) return fallback === 'long_term' ? 'long_term' : 'short_term';
+  const anniversary = new Date(Date.UTC(acquired.getUTCFullYear() + 1, acquired.getUTCMonth(), acquired.getUTCDate()));
+  return sold > anniversary ? 'long_term' : 'short_term';
+}
+
+function formatQuantity(quantity) {
+  return parseFloat((quantity || 0).toFixed(8)).toString();
+}
+
+/**
+ * Which 1099 reporting column a disposal falls in. An explicit reporting_category on the sale
+ * wins; otherwise digital assets sold through a broker from 2025 get a 1099-DA (basis reported
+ * only for lots acquired from 2026), earlier or self-custody disposals get no 1099, and other
+ * securities are covered when acquired from 2011.
+ */
+function getReportingCategory(tx, acquired, isDigitalAsset, taxYear) {
+  if (BOX_BY_TERM.short_term[tx.reporting_category]) return tx.reporting_category;
+
+  if (isDigitalAsset) {
+    const brokerSale = !!tx.exchange_or_wallet && tx.disposal_type !== 'network_fee';
+    if (taxYear < FORM_1099_DA_FIRST_YEAR || !brokerSale) return 'not_reported';
+    return acquired && acquired >= parseDate(DIGITAL_ASSET_COVERED_FROM) ? 'basis_reported' : 'basis_not_reported';
+  }
+
+  return acquired && acquired >= parseDate(COVERED_SECURITY_FROM) ? 'basis_reported' : 'basis_not_reported';
+}
+
+/**
+ * One Form 8949 row per lot a sale drew from, so every row has a real acquisition date and
+ * its own short/long-term classification. Proceeds and selling fees are prorated by quantity;
+ * a wash sale disallowance goes to the lots it was matched against, or is prorated for sales
+ * saved before replacements were tracked per lot. A lot whose holding period was tacked on by a
+ * wash sale keeps its real acquisition date but is classified from the tacked start.
+ */
+function buildRows({ sales, transactionsById, transactionsByLotId, accountsById, holdings, taxYear }) {
+  const rows = [];
+
+  for (const tx of sales) {
+    const sold = parseDate(tx.date);
+    const account = accountsById[tx.account_id];
+    const holding = holdings.find(h => h.ticker === tx.asset_ticker && (!tx.account_id || h.account_id === tx.account_id))
+      || holdings.find(h => h.ticker === tx.asset_ticker);
+    const isDigitalAsset = holding?.asset_type === 'crypto' || account?.account_type === 'taxable_crypto' || tx.asset_ticker === 'BTC';
+
+    const totalQuantity = tx.quantity || 0;
+    const grossProceeds = tx.total_value ?? totalQuantity * (tx.price_per_unit || 0);
+    const lots = tx.lots_used?.length
+      ? tx.lots_used
+      : [{ lot_id: tx.lot_id, quantity_sold: totalQuantity, cost_basis: tx.cost_basis, purchase_date: null }];
+
+    for (const [index, lot] of lots.entries()) {
+      const sourceLot = transactionsById[lot.lot_id] || transactionsByLotId[lot.lot_id];
+      const acquired = parseDate(lot.purchase_date || sourceLot?.date);
+      const quantity = lot.quantity_sold || 0;
+      const share = totalQuantity > 0 ? quantity / totalQuantity : 1;
+
+      const holdingStart = lot.holding_period_start ? parseDate(lot.holding_period_start) : acquired;
+      const term = getHoldingPeriod(holdingStart, sold, tx.holding_period);
+      const box = BOX_BY_TERM[term][getReportingCategory(tx, acquired, isDigitalAsset, taxYear)];
+
+      const proceeds = round2(grossProceeds * share);
+      const costBasis = round2(lot.cost_basis ?? quantity * (lot.price_per_unit || sourceLot?.price_per_unit || 0));
+      const sellingExpenses = round2((tx.trading_fee || 0) * share);
+      const washSaleDisallowed = round2(tx.wash_sale_replacements?.length
+        ? tx.wash_sale_replacements
+          // One lot can have several records in a sale; newer replacements name the record they came from
+          .filter(r => (r.sold_lot_index != null ? r.sold_lot_index === index : r.sold_lot_id === lot.lot_id) || (!r.sold_lot_id && lots.length === 1))
+          .reduce((sum, r) => sum + (r.disallowed_loss || 0), 0)
+        : (tx.wash_sale_disallowed || 0) * share);
+
+      const codes = [];
+      if (sellingExpenses > 0) codes.push('E');
+      if (washSaleDisallowed > 0) codes.push('W');
+      const adjustment = round2(washSaleDisallowed - sellingExpenses);
+
+      rows.push({
+        transaction_id: tx.id,
+        box,
+        part: BOXES[box].part,
+        term,
+        description: `${formatQuantity(quantity)} ${tx.asset_ticker}`,
+        date_acquired: formatDate(acquired),
+        date_sold: formatDate(sold),
+        proceeds,
+        cost_basis: costBasis,
+        adjustment_codes: codes.join(''),
+        adjustment,
+        wash_sale_disallowed: washSaleDisallowed,
+        gain_loss: round2(proceeds - costBasis + adjustment),
+        sort_date: sold?.getTime() || 0,
+      });
+    }
+  }
+
+  return rows.sort((a, b) => a.sort_date - b.sort_date);
+}
+
+function sumRows(rows) {
+  return rows.reduce((totals, row) => ({
+    proceeds: round2(totals.proceeds + row.proceeds),
+    cost_basis: round2(totals.cost_basis + row.cost_basis),
+    adjustment: round2(totals.adjustment + row.adjustment),
+    gain_loss: round2(totals.gain_loss + row.gain_loss),
+  }), { proceeds: 0, cost_basis: 0, adjustment: 0, gain_loss: 0 });
+}
+
+/**
+ * Schedule D lines 1a-15. Every disposal is itemized on Form 8949, so lines 1a and 8a
+ * (1099-B totals reported without an 8949) stay empty; lines for other forms, K-1s and
+ * capital gain distributions are zero because the app does not track them.
+ */
+function buildScheduleD(boxTotals, { shortTermCarryover = 0, longTermCarryover = 0 }) {
+  const empty = { proceeds: 0, cost_basis: 0, adjustment: 0, gain_loss: 0 };
+  const gainOnly = (gain) => ({ ...empty, gain_loss: round2(gain) });
+  const boxLine = (box) => boxTotals[box] || empty;
+
+  const lines = [
+    { line: '1a', description: 'Short-term totals from 1099-B, basis reported, no adjustments (not itemized)', ...empty },
+    { line: '1b', description: 'Totals for all transactions reported on Form(s) 8949 with Box A checked', ...boxLine('A') },
+    { line: '2', description: 'Totals for all transactions reported on Form(s) 8949 with Box B checked', ...boxLine('B') },
+    { line: '3', description: 'Totals for all transactions reported on Form(s) 8949 with Box C checked', ...boxLine('C') },
+    { line: '4', description: 'Short-term gain from Form 6252 and short-term gain or (loss) from Forms 4684, 6781, and 8824', ...empty },
+    { line: '5', description: 'Net short-term gain or (loss) from partnerships, S corporations, estates, and trusts from Schedule(s) K-1', ...empty },
+    { line: '6', description: 'Short-term capital loss carryover', ...gainOnly(-Math.abs(shortTermCarryover)) },
+  ];
+  lines.push({
+    line: '7',
+    description: 'Net short-term capital gain or (loss)',
+    ...gainOnly(lines.reduce((sum, l) => sum + l.gain_loss, 0)),
+  });
+
+  const longTermStart = lines.length;
+  lines.push(
+    { line: '8a', description: 'Long-term totals from 1099-B, basis reported, no adjustments (not itemized)', ...empty },
+    { line: '8b', description: 'Totals for all transactions reported on Form(s) 8949 with Box D checked', ...boxLine('D') },
+    { line: '9', description: 'Totals for all transactions reported on Form(s) 8949 with Box E checked', ...boxLine('E') },
+    { line: '10', description: 'Totals for all transactions reported on Form(s) 8949 with Box F checked', ...boxLine('F') },
+    { line: '11', description: 'Gain from Form 4797, Part I; long-term gain from Forms 2439 and 6252; and long-term gain or (loss) from Forms 4684, 6781, and 8824', ...empty },
+    { line: '12', description: 'Net long-term gain or (loss) from partnerships, S corporations, estates, and trusts from Schedule(s) K-1', ...empty },
+    { line: '13', description: 'Capital gain distributions', ...empty },
+    { line: '14', description: 'Long-term capital loss carryover', ...gainOnly(-Math.abs(longTermCarryover)) },
+  );
+  lines.push({
+    line: '15',
+    description: 'Net long-term capital gain or (loss)',
+    ...gainOnly(lines.slice(longTermStart).reduce((sum, l) => sum + l.gain_loss, 0)),
+  });
+
+  return lines;
+}
+
+function buildReport({ year, rows, carryovers }) {
+  const boxes = Object.keys(BOXES)
+    .map(box => {
+      const boxRows = rows.filter(r => r.box === box);
+      return { box, ...BOXES[box], rows: boxRows, totals: sumRows(boxRows) };
+    })
+    .filter(b => b.rows.length > 0);
+
+  const boxTotals = Object.fromEntries(boxes.map(b => [b.box, b.totals]));
+  return { year, boxes, scheduleD: buildScheduleD(boxTotals, carryovers) };
+}
+
+const csvCell = (value) => {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+const money = (value) => (value || 0).toFixed(2);
+
+function toCsv(report) {
+  const lines = [
+    `Form 8949 - Sales and Other Dispositions of Capital Assets - Tax Year ${report.year}`,
+    '',
+  ];
+
+  for (const box of report.boxes) {
+    lines.push(`Part ${box.part} - Box ${box.box}: ${csvCell(box.label)}`);
+    lines.push('(a) Description,(b) Date Acquired,(c) Date Sold,(d) Proceeds,(e) Cost Basis,(f) Code,(g) Adjustment,(h) Gain or (Loss)');
+    box.rows.forEach(row => {
+      lines.push([
+        row.description, row.date_acquired, row.date_sold,
+        money(row.proceeds), money(row.cost_basis), row.adjustment_codes,
+        row.adjustment ? money(row.adjustment) : '', money(row.gain_loss),
+      ].map(csvCell).join(','));
+    });
+    lines.push(`Totals (Box ${box.box}),,,${money(box.totals.proceeds)},${money(box.totals.cost_basis)},,${money(box.totals.adjustment)},${money(box.totals.gain_loss)}`);
+    lines.push('');
+  }
+
+  lines.push(`Schedule D Summary - Tax Year ${report.year}`);
+  lines.push('Line,Description,(d) Proceeds,(e) Cost,(g) Adjustments,(h) Gain or (Loss)');
+  report.scheduleD.forEach(line => {
+    lines.push([line.line, line.description, money(line.proceeds), money(line.cost_basis), money(line.adjustment), money(line.gain_loss)].map(csvCell).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * TXF v042 detailed records (format 5). TXF has no adjustment-code column, so selling expenses
+ * are netted into proceeds and a wash sale disallowance goes on the optional third amount line.
+ */
+function toTxf(report) {
+  const lines = ['V042', 'AOrange Plan', `D${formatDate(new Date())}`, '^'];
+
+  for (const box of report.boxes) {
+    for (const row of box.rows) {
+      const netProceeds = row.proceeds + row.adjustment - row.wash_sale_disallowed;
+      lines.push('TD', `N${TXF_REFNUMS[box.box]}`, 'C1', 'L1', `P${row.description}`,
+        `D${row.date_acquired}`, `D${row.date_sold}`, `$${money(row.cost_basis)}`, `$${money(netProceeds)}`);
+      if (row.wash_sale_disallowed > 0) lines.push(`$${money(row.wash_sale_disallowed)}`);
+      lines.push('^');
+    }
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Facsimile of Form 8949 (one page per 14 rows of a box) plus a Schedule D summary page
+function toPdf(report, taxpayerName) {
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'letter' });
+  const columns = [
+    { key: 'description', title: '(a) Description of property', x: 36, width: 190 },
+    { key: 'date_acquired', title: '(b) Date acquired', x: 226, width: 70 },
+    { key: 'date_sold', title: '(c) Date sold', x: 296, width: 70 },
+    { key: 'proceeds', title: '(d) Proceeds', x: 366, width: 80, money: true },
+    { key: 'cost_basis', title: '(e) Cost or other basis', x: 446, width: 90, money: true },
+    { key: 'adjustment_codes', title: '(f) Code', x: 536, width: 44 },
+    { key: 'adjustment', title: '(g) Adjustment', x: 580, width: 80, money: true },
+    { key: 'gain_loss', title: '(h) Gain or (loss)', x: 660, width: 96, money: true },
+  ];
+  const formatCell = (column, value) => {
+    if (!column.money) return String(value ?? '');
+    if (!value && column.key === 'adjustment') return '';
+    const abs = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return value < 0 ? `(${abs})` : abs;
+  };
+  const drawCell = (column, text, y) => {
+    if (column.money) doc.text(text, column.x + column.width - 4, y, { align: 'right' });
+    else doc.text(text, column.x + 4, y);
+  };
+
+  let firstPage = true;
+  const newPage = () => {
+    if (!firstPage) doc.addPage();
+    firstPage = false;
+  };
+
+  for (const box of report.boxes) {
+    const pages = Math.max(1, Math.ceil(box.rows.length / ROWS_PER_PAGE));
+    for (let page = 0; page < pages; page++) {
+      newPage();
+      doc.setFont('helvetica', 'bold').setFontSize(14);
+      doc.text(`Form 8949 - Tax Year ${report.year}`, 36, 40);
+      doc.setFont('helvetica', 'normal').setFontSize(9);
+      doc.text(`Name: ${taxpayerName || ''}`, 36, 58);
+      doc.text(`Page ${page + 1} of ${pages} for Box ${box.box}`, 756, 58, { align: 'right' });
+      doc.setFont('helvetica', 'bold').setFontSize(11);
+      doc.text(`Part ${box.part} - ${box.term === 'short_term' ? 'Short-Term' : 'Long-Term'}`, 36, 80);
+      doc.setFont('helvetica', 'normal').setFontSize(9);
+      doc.text(`[X] Box ${box.box}: ${box.label}`, 36, 96);
+
+      let y = 120;
+      doc.setFont('helvetica', 'bold').setFontSize(8);
+      columns.forEach(column => drawCell({ ...column, money: false }, column.title, y));
+      doc.line(36, y + 6, 756, y + 6);
+      doc.setFont('helvetica', 'normal');
+
+      box.rows.slice(page * ROWS_PER_PAGE, (page + 1) * ROWS_PER_PAGE).forEach(row => {
+        y += 22;
+        columns.forEach(column => drawCell(column, formatCell(column, row[column.key]), y));
+        doc.setDrawColor(200).line(36, y + 8, 756, y + 8).setDrawColor(0);
+      });
+
+      if (page === pages - 1) {
+        y = 120 + 22 * (ROWS_PER_PAGE + 1);
+        doc.setFont('helvetica', 'bold');
+        doc.text(`2  Totals (Schedule D line ${box.scheduleDLine})`, 40, y);
+        ['proceeds', 'cost_basis', 'adjustment', 'gain_loss'].forEach(key => {
+          const column = columns.find(c => c.key === key);
+          drawCell(column, formatCell(column, box.totals[key]), y);
+        });
+        doc.setFont('helvetica', 'normal');
+      }
+    }
+  }
+
+  newPage();
+  doc.setFont('helvetica', 'bold').setFontSize(14);
+  doc.text(`Schedule D Summary - Tax Year ${report.year}`, 36, 40);
+  doc.setFontSize(8);
+  const summaryColumns = [
+    { key: 'proceeds', x: 456, width: 75, money: true, title: '(d) Proceeds' },
+    { key: 'cost_basis', x: 531, width: 75, money: true, title: '(e) Cost' },
+    { key: 'adjustment', x: 606, width: 75, money: true, title: '(g) Adjustments' },
+    { key: 'gain_loss', x: 681, width: 75, money: true, title: '(h) Gain or (loss)' },
+  ];
+  let y = 70;
+  doc.text('Line', 36, y);
+  summaryColumns.forEach(column => drawCell(column, column.title, y));
+  doc.line(36, y + 6, 756, y + 6);
+  doc.setFont('helvetica', 'normal');
+  report.scheduleD.forEach(line => {
+    y += 24;
+    const bold = line.line === '7' || line.line === '15';
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.text(line.line, 36, y);
+    doc.text(doc.splitTextToSize(line.description, 380)[0], 66, y);
+    summaryColumns.forEach(column => drawCell(column, formatCell(column, line[column.key]), y));
+  });
+  doc.setFont('helvetica', 'italic').setFontSize(8);
+  doc.text('Generated for review. Transfer these figures to the official IRS forms or import the TXF file into your tax software.', 36, 580);
+
+  return doc.output('datauristring').split(',')[1];
+}
 
 Deno.serve(async (req) => {
   try {
@@ -9,79 +376,48 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { year } = await req.json();
+    const { year, format = 'csv', shortTermCarryover = 0, longTermCarryover = 0 } = await req.json();
 
     if (!year) {
       return Response.json({ error: 'Year is required' }, { status: 400 });
     }
+    if (!['csv', 'txf', 'pdf', 'json'].includes(format)) {
+      return Response.json({ error: `Unsupported format: ${format}` }, { status: 400 });
+    }
 
-    // Fetch all transactions for the year
-    const allTransactions = await base44.entities.Transaction.list();
-    const yearTransactions = allTransactions.filter(t => {
-      const txDate = new Date(t.date);
-      return txDate.getFullYear() === parseInt(year);
-    });
+    const taxYear = parseInt(year);
+    const [allTransactions, accounts, holdings] = await Promise.all([
+      base44.entities.Transaction.list(),
+      base44.entities.Account.list(),
+      base44.entities.Holding.list(),
+    ]);
 
-    // Filter only sell transactions with realized gains/losses
-    const sellTransactions = yearTransactions.filter(t => t.type === 'sell');
-
-    // Separate short-term and long-term
-    const shortTerm = sellTransactions.filter(t => t.holding_period === 'short_term');
-    const longTerm = sellTransactions.filter(t => t.holding_period === 'long_term');
-
-    // Calculate totals
-    const shortTermGainLoss = shortTerm.reduce((sum, t) => sum + (t.realized_gain_loss || 0), 0);
-    const longTermGainLoss = longTerm.reduce((sum, t) => sum + (t.realized_gain_loss || 0), 0);
-
-    // Format for Form 8949
-    const formatTransaction = (tx) => ({
-      description: `${tx.quantity} ${tx.asset_ticker}`,
-      dateAcquired: tx.lot_id ? new Date(tx.lot_id.split('_')[1]).toLocaleDateString() : 'Various',
-      dateSold: new Date(tx.date).toLocaleDateString(),
-      proceeds: tx.total_value.toFixed(2),
-      costBasis: tx.cost_basis ? tx.cost_basis.toFixed(2) : '0.00',
-      gainLoss: (tx.realized_gain_loss || 0).toFixed(2),
+    const accountsById = Object.fromEntries(accounts.map(a => [a.id, a]));
+    const transactionsById = Object.fromEntries(allTransactions.map(t => [t.id, t]));
+    const transactionsByLotId = Object.fromEntries(allTransactions.filter(t => t.lot_id && t.type === 'buy').map(t => [t.lot_id, t]));
+
+    // Only disposals in taxable accounts belong on Form 8949
+    const sales = allTransactions.filter(t => {
+      if (t.type !== 'sell' || parseDate(t.date)?.getUTCFullYear() !== taxYear) return false;
+      const accountType = t.account_type || accountsById[t.account_id]?.account_type || 'taxable';
+      return TAXABLE_ACCOUNT_TYPES.has(accountType);
     });
 
-    const report = {
-      year: year,
-      shortTerm: {
-        transactions: shortTerm.map(formatTransaction),
-        totalGainLoss: shortTermGainLoss.toFixed(2),
-      },
-      longTerm: {
-        transactions: longTerm.map(formatTransaction),
-        totalGainLoss: longTermGainLoss.toFixed(2),
-      },
-      totalGainLoss: (shortTermGainLoss + longTermGainLoss).toFixed(2),
-    };
+    const rows = buildRows({ sales, transactionsById, transactionsByLotId, accountsById, holdings, taxYear });
+    const report = buildReport({ year: taxYear, rows, carryovers: { shortTermCarryover, longTermCarryover } });
 
-    // Generate CSV content
-    let csv = `Form 8949 Report - Tax Year ${year}\n\n`;
-    
-    csv += `SHORT-TERM CAPITAL GAINS AND LOSSES\n`;
-    csv += `Description,Date Acquired,Date Sold,Proceeds,Cost Basis,Gain/Loss\n`;
-    report.shortTerm.transactions.forEach(tx => {
-      csv += `"${tx.description}",${tx.dateAcquired},${tx.dateSold},${tx.proceeds},${tx.costBasis},${tx.gainLoss}\n`;
-    });
-    csv += `\nTotal Short-Term Gain/Loss:,,,,,${report.shortTerm.totalGainLoss}\n\n`;
+    if (format === 'json') {
+      return Response.json(report);
+    }
 
-    csv += `LONG-TERM CAPITAL GAINS AND LOSSES\n`;
-    csv += `Description,Date Acquired,Date Sold,Proceeds,Cost Basis,Gain/Loss\n`;
-    report.longTerm.transactions.forEach(tx => {
-      csv += `"${tx.description}",${tx.dateAcquired},${tx.dateSold},${tx.proceeds},${tx.costBasis},${tx.gainLoss}\n`;
-    });
-    csv += `\nTotal Long-Term Gain/Loss:,,,,,${report.longTerm.totalGainLoss}\n\n`;
-    csv += `Total Capital Gain/Loss:,,,,,${report.totalGainLoss}\n`;
-
-    return new Response(csv, {
-      status: 200,
-      headers: {
-        'Content-Type': 'text/csv',
-        'Content-Disposition': `attachment; filename=Form8949_${year}.csv`,
-      },
-    });
+    const files = {
+      csv: () => ({ filename: `Form8949_${taxYear}.csv`, mimeType: 'text/csv', encoding: 'utf8', content: toCsv(report) }),
+      txf: () => ({ filename: `Form8949_${taxYear}.txf`, mimeType: 'text/plain', encoding: 'utf8', content: toTxf(report) }),
+      pdf: () => ({ filename: `Form8949_ScheduleD_${taxYear}.pdf`, mimeType: 'application/pdf', encoding: 'base64', content: toPdf(report, user.full_name) }),
+    };
+
+    return Response.json({ ...files[format](), scheduleD: report.scheduleD });
   } catch (error) {
     return Response.json({ error: error.message }, { status: 500 });
   }
-});
\ No newline at end of file
+});
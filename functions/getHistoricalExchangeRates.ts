@@ -0,0 +1,40 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+
+Deno.serve(async (req) => {
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { currency, startDate, endDate } = await req.json();
+
+    if (!currency || !startDate) {
+      return Response.json({ error: 'currency and startDate are required' }, { status: 400 });
+    }
+
+    if (currency === 'USD') {
+      return Response.json({ currency, rates: {} });
+    }
+
+    const end = endDate || new Date().toISOString().split('T')[0];
+
+    // ECB reference rates (business days only) as "foreign currency -> USD", same format as getExchangeRates
+    const response = await fetch(`https://api.frankfurter.app/${startDate}..${end}?from=${currency}&to=USD`);
+    if (!response.ok) {
+      return Response.json({ error: `Exchange rate lookup failed (${response.status})` }, { status: 502 });
+    }
+    const data = await response.json();
+
+    const rates = {};
+    for (const [date, dayRates] of Object.entries(data.rates || {})) {
+      if (dayRates.USD) rates[date] = dayRates.USD;
+    }
+
+    return Response.json({ currency, rates });
+  } catch (error) {
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+});
@@ -22,6 +22,8 @@ import {
 import { cn } from "@/lib/utils";
 import { base44 } from '@/api/base44Client';
 import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { useCurrency } from '@/components/shared/useCurrency';
+import { formatCurrency } from '@/components/shared/currency';
 
 const navItems = [
   { name: 'Summary', icon: LayoutDashboard, page: 'Dashboard', description: 'Your wealth at a glance' },
@@ -48,7 +50,8 @@ export default function Layout({ children, currentPageName }) {
   const darkMode = true;
 
   // Use shared BTC price hook - single source of truth
-  const { btcPrice, priceChange, loading: priceLoading } = useBtcPrice();
+  const { currency, fromUSD } = useCurrency();
+  const { btcPrice, localPrice, priceChange, loading: priceLoading } = useBtcPrice(currency);
 
   // Fetch user for access check
   useEffect(() => {
@@ -442,7 +445,7 @@ export default function Layout({ children, currentPageName }) {
                 </div>
               </div>
               <p className="text-2xl font-bold brand-gradient-text">
-                ${btcPrice ? btcPrice.toLocaleString() : '---'}
+                {btcPrice ? formatCurrency(localPrice || fromUSD(btcPrice), currency) : '---'}
               </p>
               {priceChange !== null && (
                 <div className="flex items-center gap-2 mt-1">
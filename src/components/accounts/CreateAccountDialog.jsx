@@ -7,6 +7,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Building2 } from 'lucide-react';
+import { getAccountOwnerOptions } from '@/components/shared/household';
 
 const ACCOUNT_TYPES = [
   { value: 'taxable_brokerage', label: 'Taxable Brokerage', tax: 'taxable' },
@@ -22,6 +23,12 @@ const ACCOUNT_TYPES = [
   { value: '529', label: '529 Plan', tax: 'tax_free' },
 ];
 
+const getTaxTreatment = (accountType) => ACCOUNT_TYPES.find(t => t.value === accountType)?.tax || 'taxable';
+
+// Joint ownership only exists for taxable accounts
+const ownerForType = (accountType, owner) =>
+  getAccountOwnerOptions(getTaxTreatment(accountType)).some(o => o.value === owner) ? owner : 'primary';
+
 export default function CreateAccountDialog({ open, onClose, onCreated }) {
   const queryClient = useQueryClient();
   const [form, setForm] = useState({
@@ -29,6 +36,7 @@ export default function CreateAccountDialog({ open, onClose, onCreated }) {
     account_type: 'taxable_brokerage',
     institution: '',
     roth_contributions: '',
+    owner: 'primary',
   });
 
   const createAccount = useMutation({
@@ -43,7 +51,7 @@ export default function CreateAccountDialog({ open, onClose, onCreated }) {
       queryClient.invalidateQueries({ queryKey: ['accounts'] });
       onCreated?.(newAccount);
       onClose();
-      setForm({ name: '', account_type: 'taxable_brokerage', institution: '', roth_contributions: '' });
+      setForm({ name: '', account_type: 'taxable_brokerage', institution: '', roth_contributions: '', owner: 'primary' });
     },
   });
 
@@ -80,7 +88,7 @@ export default function CreateAccountDialog({ open, onClose, onCreated }) {
 
           <div className="space-y-2">
             <Label className="text-zinc-400">Account Type</Label>
-            <Select value={form.account_type} onValueChange={(v) => setForm({ ...form, account_type: v })}>
+            <Select value={form.account_type} onValueChange={(v) => setForm({ ...form, account_type: v, owner: ownerForType(v, form.owner) })}>
               <SelectTrigger className="bg-zinc-900 border-zinc-700">
                 <SelectValue />
               </SelectTrigger>
@@ -97,6 +105,20 @@ export default function CreateAccountDialog({ open, onClose, onCreated }) {
             </Select>
           </div>
 
+          <div className="space-y-2">
+            <Label className="text-zinc-400">Owner</Label>
+            <Select value={form.owner} onValueChange={(v) => setForm({ ...form, owner: v })}>
+              <SelectTrigger className="bg-zinc-900 border-zinc-700">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border-zinc-700">
+                {getAccountOwnerOptions(getTaxTreatment(form.account_type)).map(owner => (
+                  <SelectItem key={owner.value} value={owner.value}>{owner.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
           <div className="space-y-2">
             <Label className="text-zinc-400">Institution (Optional)</Label>
             <Input
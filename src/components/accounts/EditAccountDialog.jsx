@@ -7,6 +7,7 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Building2, Trash2 } from 'lucide-react';
+import { getAccountOwnerOptions } from '@/components/shared/household';
 
 const ACCOUNT_TYPES = [
   { value: 'taxable_brokerage', label: 'Taxable Brokerage', tax: 'taxable' },
@@ -20,6 +21,12 @@ const ACCOUNT_TYPES = [
   { value: '529', label: '529 Plan', tax: 'tax_free' },
 ];
 
+const getTaxTreatment = (accountType) => ACCOUNT_TYPES.find(t => t.value === accountType)?.tax || 'taxable';
+
+// Joint ownership only exists for taxable accounts
+const ownerForType = (accountType, owner) =>
+  getAccountOwnerOptions(getTaxTreatment(accountType)).some(o => o.value === owner) ? owner : 'primary';
+
 export default function EditAccountDialog({ open, onClose, account }) {
   const queryClient = useQueryClient();
   const [form, setForm] = useState({
@@ -28,6 +35,7 @@ export default function EditAccountDialog({ open, onClose, account }) {
     institution: '',
     notes: '',
     roth_contributions: '',
+    owner: 'primary',
   });
 
   useEffect(() => {
@@ -38,6 +46,7 @@ export default function EditAccountDialog({ open, onClose, account }) {
         institution: account.institution || '',
         notes: account.notes || '',
         roth_contributions: account.roth_contributions || '',
+        owner: account.owner || 'primary',
       });
     }
   }, [account]);
@@ -149,7 +158,7 @@ export default function EditAccountDialog({ open, onClose, account }) {
 
           <div className="space-y-2">
             <Label className="text-zinc-400">Account Type (Tax Treatment)</Label>
-            <Select value={form.account_type} onValueChange={(v) => setForm({ ...form, account_type: v })}>
+            <Select value={form.account_type} onValueChange={(v) => setForm({ ...form, account_type: v, owner: ownerForType(v, form.owner) })}>
               <SelectTrigger className="bg-zinc-900 border-zinc-700">
                 <SelectValue />
               </SelectTrigger>
@@ -166,6 +175,20 @@ export default function EditAccountDialog({ open, onClose, account }) {
             </Select>
           </div>
 
+          <div className="space-y-2">
+            <Label className="text-zinc-400">Owner</Label>
+            <Select value={form.owner} onValueChange={(v) => setForm({ ...form, owner: v })}>
+              <SelectTrigger className="bg-zinc-900 border-zinc-700">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border-zinc-700">
+                {getAccountOwnerOptions(getTaxTreatment(form.account_type)).map(owner => (
+                  <SelectItem key={owner.value} value={owner.value}>{owner.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
           <div className="space-y-2">
             <Label className="text-zinc-400">Institution (Optional)</Label>
             <Input
@@ -2,6 +2,12 @@ import React, { useMemo } from 'react';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine } from 'recharts';
 import { TrendingUp, Calendar, Target, DollarSign } from 'lucide-react';
 import { cn } from "@/lib/utils";
+import { buildDebtPayoffSchedule } from '@/components/shared/debtPayoffPlanner';
+import { buildAmortizationSchedules } from '@/components/shared/mortgageCalculations';
+import { getEquityCompByYear } from '@/components/shared/equityCompensation';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
 export default function CashFlowProjections({ 
   monthlyIncome, 
@@ -9,8 +15,10 @@ export default function CashFlowProjections({
   lifeEvents = [], 
   goals = [], 
   liabilities = [],
+  holdings = [],
   userSettings = {}
 }) {
+  const { format } = useCurrency();
   const currentYear = new Date().getFullYear();
   const currentMonth = new Date().getMonth(); // 0-11
   const inflationRate = userSettings?.inflation_rate || 3;
@@ -20,6 +28,19 @@ export default function CashFlowProjections({
   // Calculate year-by-year cash flow projections
   const projections = useMemo(() => {
     const data = [];
+
+    // Liabilities in the debt payoff plan follow its schedule (minimums plus extra payments)
+    const payoffSchedule = buildDebtPayoffSchedule(userSettings?.debt_payoff_plan, liabilities, goals, new Date(currentYear, currentMonth, 1));
+    const plannedIds = new Set(Object.values(payoffSchedule || {}).flatMap(year => Object.keys(year)));
+    // Loans with a term follow their amortization schedule (P&I, escrow, PMI, extra principal, refinance)
+    const amortizationSchedules = buildAmortizationSchedules(liabilities, {
+      holdings,
+      startDate: new Date(currentYear, currentMonth, 1),
+      propertyGrowthRate: userSettings?.real_estate_cagr ?? 4,
+      inflationRate,
+    });
+    // Equity grants: RSU vests and share sales come in, option exercises go out
+    const equityByYear = getEquityCompByYear(userSettings?.equity_grants || [], { startYear: currentYear, endYear: currentYear + projectionYears });
     
     // Track debt balances with month-by-month amortization - persist across years
     const tempRunningDebt = {};
@@ -48,6 +69,34 @@ export default function CashFlowProjections({
       const debtPayoffMonths = {}; // Track which month each debt is paid off
 
       Object.values(tempRunningDebt).forEach(liability => {
+        if (plannedIds.has(liability.id)) {
+          const planned = payoffSchedule[year]?.[liability.id];
+          if (planned && !liability.paid_off) {
+            yearDebtPayments += planned.minimum + planned.extra;
+            liability.current_balance = planned.endBalance;
+            if (planned.endBalance <= 0.01) {
+              yearEvents.push(`✓ Paid off ${liability.name} (${MONTH_NAMES[planned.payoffMonth - 1]})`);
+              liability.paid_off = true;
+            }
+          }
+          return;
+        }
+
+        const amortization = amortizationSchedules[liability.id];
+        if (amortization) {
+          const scheduled = amortization[year];
+          if (scheduled && !liability.paid_off) {
+            yearDebtPayments += scheduled.scheduled + scheduled.extra + scheduled.closingCosts;
+            liability.current_balance = scheduled.endBalance;
+            if (scheduled.refinanced) yearEvents.push(`Refinance ${liability.name}`);
+            if (scheduled.endBalance <= 0.01) {
+              yearEvents.push(`✓ Paid off ${liability.name} (${MONTH_NAMES[scheduled.payoffMonth - 1]})`);
+              liability.paid_off = true;
+            }
+          }
+          return;
+        }
+
         if (!liability.paid_off) {
           const hasPayment = liability.monthly_payment && liability.monthly_payment > 0;
           const hasInterest = liability.interest_rate && liability.interest_rate > 0;
@@ -85,7 +134,7 @@ export default function CashFlowProjections({
 
             // Track if debt was paid off this year
             if (startingBalance > 0 && remainingBalance <= 0.01) {
-              const monthName = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'][debtPayoffMonths[liability.id] - 1];
+              const monthName = MONTH_NAMES[debtPayoffMonths[liability.id] - 1];
               yearEvents.push(`✓ Paid off ${liability.name} (${monthName})`);
               liability.paid_off = true;
             }
@@ -151,8 +200,11 @@ export default function CashFlowProjections({
         }
       });
 
-      const totalIncome = yearIncome + lifeEventIncome;
-      const totalExpenses = yearBaseExpenses + yearDebtPayments + lifeEventExpenses + goalExpenses;
+      const equity = equityByYear[year];
+      yearEvents.push(...equity.events);
+
+      const totalIncome = yearIncome + lifeEventIncome + equity.rsuIncome + equity.saleProceeds;
+      const totalExpenses = yearBaseExpenses + yearDebtPayments + lifeEventExpenses + goalExpenses + equity.exerciseCost;
       const netCashFlow = totalIncome - totalExpenses;
 
       data.push({
@@ -163,6 +215,8 @@ export default function CashFlowProjections({
         debtPayments: Math.round(yearDebtPayments),
         lifeEventExpenses: Math.round(lifeEventExpenses),
         goalExpenses: Math.round(goalExpenses),
+        equityIncome: Math.round(equity.rsuIncome + equity.saleProceeds),
+        exerciseCosts: Math.round(equity.exerciseCost),
         netCashFlow: Math.round(netCashFlow),
         hasEvents: yearEvents.length > 0 || yearGoals.length > 0,
         eventNames: [...yearEvents, ...yearGoals],
@@ -170,13 +224,9 @@ export default function CashFlowProjections({
     }
     
     return data;
-  }, [monthlyIncome, monthlyBudgetExpenses, lifeEvents, goals, liabilities, inflationRate, incomeGrowthRate, currentYear, currentMonth]);
+  }, [monthlyIncome, monthlyBudgetExpenses, lifeEvents, goals, liabilities, holdings, userSettings?.debt_payoff_plan, userSettings?.equity_grants, userSettings?.real_estate_cagr, inflationRate, incomeGrowthRate, currentYear, currentMonth]);
 
-  const formatCurrency = (value) => {
-    if (Math.abs(value) >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
-    if (Math.abs(value) >= 1000) return `$${(value / 1000).toFixed(0)}k`;
-    return `$${value.toLocaleString()}`;
-  };
+  const formatCurrency = (value) => format(value, { compact: true });
 
   const avgNetCashFlow = projections.reduce((sum, p) => sum + p.netCashFlow, 0) / projections.length;
   const lowestYear = projections.reduce((min, p) => p.netCashFlow < min.netCashFlow ? p : min, projections[0]);
@@ -243,34 +293,46 @@ export default function CashFlowProjections({
                       <div className="space-y-1">
                         <div className="flex justify-between gap-4">
                           <span className="text-emerald-400">Income:</span>
-                          <span className="text-zinc-200">${data.totalIncome.toLocaleString()}</span>
+                          <span className="text-zinc-200">{format(data.totalIncome)}</span>
                         </div>
+                        {data.equityIncome > 0 && (
+                          <div className="flex justify-between gap-4 text-xs">
+                            <span className="text-zinc-500">• RSU Vesting & Share Sales:</span>
+                            <span className="text-zinc-400">{format(data.equityIncome)}</span>
+                          </div>
+                        )}
                         <div className="flex justify-between gap-4">
                           <span className="text-rose-400">Expenses:</span>
-                          <span className="text-zinc-200">${data.totalExpenses.toLocaleString()}</span>
+                          <span className="text-zinc-200">{format(data.totalExpenses)}</span>
                         </div>
                         {data.baseExpenses > 0 && (
                          <div className="flex justify-between gap-4 text-xs">
                            <span className="text-zinc-500">• Budgeted Expenses:</span>
-                           <span className="text-zinc-400">${data.baseExpenses.toLocaleString()}</span>
+                           <span className="text-zinc-400">{format(data.baseExpenses)}</span>
                          </div>
                         )}
                         {data.debtPayments > 0 && (
                          <div className="flex justify-between gap-4 text-xs">
                            <span className="text-zinc-500">• Debt Payments:</span>
-                           <span className="text-zinc-400">${data.debtPayments.toLocaleString()}</span>
+                           <span className="text-zinc-400">{format(data.debtPayments)}</span>
                          </div>
                         )}
                         {data.lifeEventExpenses > 0 && (
                           <div className="flex justify-between gap-4 text-xs">
                             <span className="text-zinc-500">• Life Events:</span>
-                            <span className="text-zinc-400">${data.lifeEventExpenses.toLocaleString()}</span>
+                            <span className="text-zinc-400">{format(data.lifeEventExpenses)}</span>
                           </div>
                         )}
                         {data.goalExpenses > 0 && (
                           <div className="flex justify-between gap-4 text-xs">
                             <span className="text-zinc-500">• Goal Funding:</span>
-                            <span className="text-zinc-400">${data.goalExpenses.toLocaleString()}</span>
+                            <span className="text-zinc-400">{format(data.goalExpenses)}</span>
+                          </div>
+                        )}
+                        {data.exerciseCosts > 0 && (
+                          <div className="flex justify-between gap-4 text-xs">
+                            <span className="text-zinc-500">• Option Exercises:</span>
+                            <span className="text-zinc-400">{format(data.exerciseCosts)}</span>
                           </div>
                         )}
                         <div className="pt-2 mt-2 border-t border-zinc-700">
@@ -279,7 +341,7 @@ export default function CashFlowProjections({
                               Net Cash Flow:
                             </span>
                             <span className={cn("font-semibold", data.netCashFlow >= 0 ? "text-cyan-400" : "text-rose-400")}>
-                              {data.netCashFlow >= 0 ? '+' : ''}${data.netCashFlow.toLocaleString()}
+                              {data.netCashFlow >= 0 ? '+' : ''}{format(data.netCashFlow)}
                             </span>
                           </div>
                         </div>
@@ -337,7 +399,7 @@ export default function CashFlowProjections({
               <YAxis stroke="#71717a" fontSize={12} tickFormatter={formatCurrency} />
               <Tooltip
                 contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
-                formatter={(value) => [`$${value.toLocaleString()}`, '']}
+                formatter={(value) => [format(value), '']}
               />
               <Legend />
               <Bar dataKey="totalIncome" fill="#10b981" name="Income" />
@@ -369,11 +431,11 @@ export default function CashFlowProjections({
               {projections.map((row, i) => (
                 <tr key={i} className={cn("border-b border-zinc-800/50", row.hasEvents && "bg-orange-500/5")}>
                   <td className="py-3 px-4">{row.year}</td>
-                  <td className="text-right py-3 px-4 text-emerald-400">${row.totalIncome.toLocaleString()}</td>
-                  <td className="text-right py-3 px-4 text-rose-400">${row.baseExpenses.toLocaleString()}</td>
-                  <td className="text-right py-3 px-4 text-orange-400">${row.debtPayments.toLocaleString()}</td>
+                  <td className="text-right py-3 px-4 text-emerald-400">{format(row.totalIncome)}</td>
+                  <td className="text-right py-3 px-4 text-rose-400">{format(row.baseExpenses)}</td>
+                  <td className="text-right py-3 px-4 text-orange-400">{format(row.debtPayments)}</td>
                   <td className={cn("text-right py-3 px-4 font-semibold", row.netCashFlow >= 0 ? "text-cyan-400" : "text-rose-400")}>
-                    {row.netCashFlow >= 0 ? '+' : ''}${row.netCashFlow.toLocaleString()}
+                    {row.netCashFlow >= 0 ? '+' : ''}{format(row.netCashFlow)}
                   </td>
                   <td className="py-3 px-4">
                     {row.eventNames.length > 0 && (
@@ -5,6 +5,7 @@ import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useTransactionCurrency } from '@/components/shared/useCurrency';
 
 const ACCOUNT_TYPE_LABELS = {
   taxable_brokerage: 'Taxable Brokerage',
@@ -56,6 +57,8 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
     queryFn: () => base44.entities.Transaction.list(),
   });
 
+  const { fromUSD, fromUSDOn, format } = useTransactionCurrency(transactions);
+
   const reassignHolding = useMutation({
     mutationFn: async ({ holdingId, newAccountId }) => {
       await base44.entities.Holding.update(holdingId, { 
@@ -69,8 +72,9 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
   });
 
   // Calculate per-holding performance using transactions if available
+  // In the base currency: value at today's rate, cost basis at each lot's trade-date rate
   const getHoldingPerformance = (holding) => {
-    const value = holding.quantity * getPrice(holding.ticker);
+    const value = fromUSD(holding.quantity * getPrice(holding.ticker));
     
     // Get cost basis from transactions for this holding/account combo
     // FILTER OUT soft-deleted transactions (check both root and data.is_deleted)
@@ -83,14 +87,14 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
     
     const tickerCostBasis = holdingTxs
       .filter(t => t.type === 'buy')
-      .reduce((sum, t) => sum + (t.cost_basis || t.quantity * t.price_per_unit), 0);
+      .reduce((sum, t) => sum + fromUSDOn(t.cost_basis || t.quantity * t.price_per_unit, t), 0);
     const tickerSellCostBasis = holdingTxs
       .filter(t => t.type === 'sell')
-      .reduce((sum, t) => sum + (t.cost_basis || 0), 0);
+      .reduce((sum, t) => sum + fromUSDOn(t.cost_basis || 0, t), 0);
     
     const adjustedCostBasis = tickerCostBasis > 0 
       ? tickerCostBasis - tickerSellCostBasis 
-      : (holding.cost_basis_total || 0);
+      : fromUSD(holding.cost_basis_total || 0);
     
     const gain = value - adjustedCostBasis;
     const gainPercent = adjustedCostBasis > 0 ? (gain / adjustedCostBasis) * 100 : 0;
@@ -99,11 +103,12 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
   };
 
   const totalValue = holdings.reduce((sum, h) => sum + (h.quantity * getPrice(h.ticker)), 0);
+  const totalValueLocal = fromUSD(totalValue);
   const totalCostBasis = holdings.reduce((sum, h) => {
     const perf = getHoldingPerformance(h);
     return sum + perf.adjustedCostBasis;
   }, 0);
-  const totalGain = totalValue - totalCostBasis;
+  const totalGain = totalValueLocal - totalCostBasis;
   const gainPercent = totalCostBasis > 0 ? (totalGain / totalCostBasis) * 100 : 0;
 
   const taxTreatment = account?.tax_treatment || 'taxable';
@@ -155,7 +160,7 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
 
         <div className="flex items-center gap-4">
           <div className="text-right">
-            <p className="text-lg font-bold">${totalValue.toLocaleString()}</p>
+            <p className="text-lg font-bold">{format(totalValue)}</p>
             <div className="flex items-center gap-1 justify-end">
               {totalCostBasis > 0 && (
                 <span className={cn(
@@ -204,7 +209,7 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
                     <p className="font-medium text-sm">{holding.asset_name}</p>
                     <p className="text-xs text-zinc-500">
                       {holding.ticker === 'BTC' ? holding.quantity.toFixed(8) : holding.quantity.toLocaleString()} {holding.ticker}
-                      <span className="text-zinc-600 ml-1">@ ${price.toLocaleString()}</span>
+                      <span className="text-zinc-600 ml-1">@ {format(price, { decimals: 2 })}</span>
                     </p>
                   </div>
                 </div>
@@ -270,7 +275,7 @@ export default function AccountGroup({ account, holdings, getPrice, onEditHoldin
                   </div>
                 )}
                 <div className="text-right min-w-[80px]">
-                  <p className="font-semibold text-sm">${perf.value.toLocaleString()}</p>
+                  <p className="font-semibold text-sm">{format(holding.quantity * price)}</p>
                   {perf.adjustedCostBasis > 0 && (
                     <p className={cn(
                       "text-xs",
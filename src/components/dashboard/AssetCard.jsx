@@ -1,6 +1,7 @@
 import React from 'react';
 import { Zap, DollarSign, TrendingUp, Building, Coins, Package } from 'lucide-react';
 import { cn } from "@/lib/utils";
+import { useCurrency } from '@/components/shared/useCurrency';
 
 const iconMap = {
   btc: Zap,
@@ -25,6 +26,7 @@ const colorMap = {
 export default function AssetCard({ holding, btcPrice, lotCount = 0, onManageLots, livePrice, priceChange24h }) {
   const Icon = iconMap[holding.asset_type] || Coins;
   const colors = colorMap[holding.asset_type] || colorMap.other;
+  const { format } = useCurrency();
   
   // Use live price if available, otherwise fall back to btcPrice for BTC or stored price
   const currentPrice = holding.ticker === 'BTC' 
@@ -66,7 +68,7 @@ export default function AssetCard({ holding, btcPrice, lotCount = 0, onManageLot
 
       <h3 className="font-semibold text-zinc-200 mb-1">{holding.asset_name}</h3>
       <p className="text-2xl font-bold text-zinc-100 mb-3">
-        ${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+        {format(value)}
       </p>
 
       <div className="flex items-center justify-between text-sm">
@@ -1,13 +1,27 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { format } from 'date-fns';
-import { Plus, Trash2, Package, Pencil, CheckCircle, AlertTriangle } from 'lucide-react';
+import { Plus, Trash2, Package, Pencil, CheckCircle, AlertTriangle, TrendingDown, Loader2 } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { syncHoldingFromLots } from '@/components/shared/syncHoldings';
+import { LOT_SELECTION_METHODS } from '@/components/shared/lotSelectionHelpers';
+import { planLotSale, recordLotSale } from '@/components/shared/lotSales';
+import { fetchRateOnDate, useTransactionCurrency } from '@/components/shared/useCurrency';
+import { formatCurrency, getEntryCurrencyFields, toInputValue } from '@/components/shared/currency';
+
+const emptySale = (price) => ({
+  quantity: '',
+  price_per_unit: price ? price.toString() : '',
+  date: format(new Date(), 'yyyy-MM-dd'),
+  fee: '',
+  lot_method: 'HIFO',
+  exchange_or_wallet: '',
+});
 
 export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
   const queryClient = useQueryClient();
@@ -19,6 +33,9 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
     date: format(new Date(), 'yyyy-MM-dd'),
     exchange_or_wallet: '',
   });
+  const [selling, setSelling] = useState(false);
+  const [sale, setSale] = useState(emptySale());
+  const [specificQuantities, setSpecificQuantities] = useState({});
 
   const { data: transactions = [] } = useQuery({
     queryKey: ['transactions'],
@@ -34,21 +51,27 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
   const isBTC = holding?.ticker === 'BTC';
   const decimals = isBTC ? 8 : 2;
 
+  // Prices are typed in the base currency and saved in USD at the rate on the trade date
+  const { currency, rate, symbol, fromUSD, fromUSDOn, toUSDOn, formatOn } = useTransactionCurrency(lots);
+  const lotById = (id) => lots.find(l => l.id === id) || {};
+
   // Simple calculations
   const currentHolding = holding?.quantity || 0;
-  const trackedInLots = lots.reduce((sum, l) => sum + (l.quantity || 0), 0);
+  const trackedInLots = lots.reduce((sum, l) => sum + (l.remaining_quantity ?? l.quantity ?? 0), 0);
   const unallocated = currentHolding - trackedInLots;
 
   const createLot = useMutation({
     mutationFn: async (data) => {
-      const total = data.quantity * data.price_per_unit;
+      const fxRate = await fetchRateOnDate(currency, data.date, rate);
+      const pricePerUnit = data.price_per_unit * fxRate;
+      const total = data.quantity * pricePerUnit;
       const lotId = `${holding.ticker}-${Date.now()}`;
       
       await base44.entities.Transaction.create({
         type: 'buy',
         asset_ticker: holding.ticker,
         quantity: data.quantity,
-        price_per_unit: data.price_per_unit,
+        price_per_unit: pricePerUnit,
         total_value: total,
         date: data.date,
         lot_id: lotId,
@@ -57,6 +80,7 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
         holding_id: holding.id,
         account_type: holding.account_type || 'taxable',
         account_id: holding.account_id || undefined,
+        ...getEntryCurrencyFields(currency, fxRate),
       });
 
       await syncHoldingFromLots(holding.ticker, holding.account_id || null);
@@ -71,15 +95,18 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
 
   const updateLot = useMutation({
     mutationFn: async ({ lot, data }) => {
-      const total = data.quantity * data.price_per_unit;
+      const fxRate = await fetchRateOnDate(currency, data.date, rate);
+      const pricePerUnit = data.price_per_unit * fxRate;
+      const total = data.quantity * pricePerUnit;
       
       await base44.entities.Transaction.update(lot.id, {
         quantity: data.quantity,
-        price_per_unit: data.price_per_unit,
+        price_per_unit: pricePerUnit,
         total_value: total,
         date: data.date,
         cost_basis: total,
         exchange_or_wallet: data.exchange_or_wallet,
+        ...getEntryCurrencyFields(currency, fxRate),
       });
 
       await syncHoldingFromLots(holding.ticker, holding.account_id || null);
@@ -104,6 +131,73 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
     },
   });
 
+  const salePrice = parseFloat(sale.price_per_unit) || 0;
+  const saleQuantity = parseFloat(sale.quantity) || 0;
+  const saleFee = parseFloat(sale.fee) || 0;
+
+  const specificLots = useMemo(
+    () => Object.entries(specificQuantities)
+      .filter(([, qty]) => qty > 0)
+      .map(([lot_id, quantity]) => ({ lot_id, quantity })),
+    [specificQuantities]
+  );
+
+  const salePlan = useMemo(() => {
+    if (!selling || saleQuantity <= 0) return null;
+    return planLotSale({
+      lots,
+      ticker: holding?.ticker,
+      quantity: saleQuantity,
+      pricePerUnit: toUSDOn(salePrice, { date: sale.date }),
+      fee: toUSDOn(saleFee, { date: sale.date }),
+      date: sale.date,
+      method: sale.lot_method,
+      specificLots,
+    });
+  }, [selling, lots, holding?.ticker, saleQuantity, salePrice, saleFee, sale.date, sale.lot_method, specificLots, toUSDOn]);
+
+  // Gain in the base currency: proceeds at the sale date's rate, each lot's basis at its purchase date's rate
+  const realizedGainLocal = salePlan
+    ? saleQuantity * salePrice - saleFee - salePlan.lotsUsed.reduce((sum, used) => sum + fromUSDOn(used.cost_basis, lotById(used.lot_id)), 0)
+    : 0;
+
+  const recordSale = useMutation({
+    mutationFn: async () => {
+      const fxRate = await fetchRateOnDate(currency, sale.date, rate);
+      return recordLotSale({
+        ticker: holding.ticker,
+        accountId: holding.account_id || null,
+        accountType: holding.account_type || 'taxable',
+        quantity: saleQuantity,
+        pricePerUnit: salePrice * fxRate,
+        fee: saleFee * fxRate,
+        date: sale.date,
+        method: sale.lot_method,
+        specificLots,
+        exchange: sale.exchange_or_wallet,
+        currencyFields: getEntryCurrencyFields(currency, fxRate),
+      });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      queryClient.invalidateQueries({ queryKey: ['holdings'] });
+      handleCancelSale();
+    },
+  });
+
+  const handleStartSale = () => {
+    handleCancel();
+    setSale(emptySale(toInputValue(fromUSD(isBTC ? btcPrice : holding?.current_price))));
+    setSpecificQuantities({});
+    setSelling(true);
+  };
+
+  const handleCancelSale = () => {
+    setSelling(false);
+    setSpecificQuantities({});
+    recordSale.reset();
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     const data = {
@@ -123,7 +217,7 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
     setEditingLot(lot);
     setNewLot({
       quantity: lot.quantity.toString(),
-      price_per_unit: lot.price_per_unit.toString(),
+      price_per_unit: toInputValue(fromUSDOn(lot.price_per_unit, lot)),
       date: lot.date || format(new Date(), 'yyyy-MM-dd'),
       exchange_or_wallet: lot.exchange_or_wallet || '',
     });
@@ -199,10 +293,29 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
                   <div key={lot.id} className="flex items-center justify-between p-3 rounded-lg bg-zinc-800/30 border border-zinc-800">
                     <div className="flex-1 grid grid-cols-4 gap-4 items-center text-sm">
                       <span className="text-zinc-400">{lot.date && format(new Date(lot.date), 'MMM d, yyyy')}</span>
-                      <span>{lot.quantity?.toFixed(decimals)} {holding.ticker}</span>
-                      <span className="text-zinc-400">@ ${lot.price_per_unit?.toLocaleString()}</span>
-                      <span className="font-medium">${(lot.quantity * lot.price_per_unit).toLocaleString()}</span>
+                      <span>
+                        {lot.quantity?.toFixed(decimals)} {holding.ticker}
+                        {(lot.remaining_quantity ?? lot.quantity) < lot.quantity && (
+                          <span className="block text-xs text-zinc-500">{(lot.remaining_quantity ?? 0).toFixed(decimals)} left</span>
+                        )}
+                      </span>
+                      <span className="text-zinc-400">@ {formatOn(lot.price_per_unit, lot, { decimals: 2 })}</span>
+                      <span className="font-medium">{formatOn(lot.quantity * lot.price_per_unit, lot, { decimals: 2 })}</span>
                     </div>
+                    {selling && sale.lot_method === 'SPECIFIC' ? (
+                      <Input
+                        type="number"
+                        step="any"
+                        placeholder="Sell qty"
+                        value={specificQuantities[lot.id] || ''}
+                        disabled={(lot.remaining_quantity ?? lot.quantity ?? 0) <= 0}
+                        onChange={(e) => setSpecificQuantities(prev => ({
+                          ...prev,
+                          [lot.id]: Math.min(lot.remaining_quantity ?? lot.quantity ?? 0, parseFloat(e.target.value) || 0),
+                        }))}
+                        className="ml-3 h-8 w-28 text-xs bg-zinc-900 border-zinc-700"
+                      />
+                    ) : (
                     <div className="flex items-center gap-1 ml-3">
                       <button
                         onClick={() => handleEditLot(lot)}
@@ -217,14 +330,125 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
                         <Trash2 className="w-3.5 h-3.5 text-zinc-500" />
                       </button>
                     </div>
+                    )}
                   </div>
                 ))}
               </div>
             )}
           </div>
 
+          {/* Record Sale */}
+          {selling && (
+            <form
+              onSubmit={(e) => { e.preventDefault(); recordSale.mutate(); }}
+              className="p-4 rounded-lg bg-zinc-800/50 border border-zinc-700 space-y-4"
+            >
+              <h4 className="font-medium text-sm">Record Sale</h4>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-xs text-zinc-400">Quantity Sold</Label>
+                  <Input
+                    type="number"
+                    step="any"
+                    value={sale.quantity}
+                    onChange={(e) => setSale({ ...sale, quantity: e.target.value })}
+                    className="bg-zinc-900 border-zinc-800"
+                    required
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs text-zinc-400">Sale Price per {holding.ticker}</Label>
+                  <Input
+                    type="number"
+                    step="any"
+                    value={sale.price_per_unit}
+                    onChange={(e) => setSale({ ...sale, price_per_unit: e.target.value })}
+                    className="bg-zinc-900 border-zinc-800"
+                    required
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs text-zinc-400">Sale Date</Label>
+                  <Input
+                    type="date"
+                    value={sale.date}
+                    onChange={(e) => setSale({ ...sale, date: e.target.value })}
+                    className="bg-zinc-900 border-zinc-800"
+                    required
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-xs text-zinc-400">Fee ({symbol})</Label>
+                  <Input
+                    type="number"
+                    step="any"
+                    value={sale.fee}
+                    onChange={(e) => setSale({ ...sale, fee: e.target.value })}
+                    placeholder="0"
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-1">
+                <Label className="text-xs text-zinc-400">Lot Selection</Label>
+                <Select value={sale.lot_method} onValueChange={(value) => setSale({ ...sale, lot_method: value })}>
+                  <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-zinc-900 border-zinc-700">
+                    {Object.entries(LOT_SELECTION_METHODS).map(([key, method]) => (
+                      <SelectItem key={key} value={key}>{method.name} - {method.description}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {sale.lot_method === 'SPECIFIC' && (
+                  <p className="text-xs text-zinc-500">Enter the quantity to sell from each lot in the list above.</p>
+                )}
+              </div>
+
+              {salePlan && (
+                <div className="space-y-2 text-sm">
+                  {salePlan.lotsUsed.map(used => (
+                    <div key={used.lot_id} className="flex justify-between text-xs text-zinc-400">
+                      <span>{used.quantity_sold.toFixed(decimals)} from {used.purchase_date ? format(new Date(used.purchase_date), 'MMM d, yyyy') : 'undated'} lot @ {formatOn(used.price_per_unit, lotById(used.lot_id), { decimals: 2 })}</span>
+                      <span>{formatOn(used.cost_basis, lotById(used.lot_id))} basis</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between pt-2 border-t border-zinc-700">
+                    <span className="text-zinc-400">Realized Gain ({salePlan.holdingPeriod === 'long_term' ? 'Long-term' : 'Short-term'})</span>
+                    <span className={realizedGainLocal >= 0 ? 'text-emerald-400 font-medium' : 'text-rose-400 font-medium'}>
+                      {realizedGainLocal >= 0 ? '+' : '-'}{formatCurrency(Math.abs(realizedGainLocal), currency)}
+                    </span>
+                  </div>
+                  {!salePlan.isComplete && (
+                    <p className="text-xs text-rose-400">
+                      {sale.lot_method === 'SPECIFIC'
+                        ? `Selected lots are short ${salePlan.shortfall.toFixed(decimals)} ${holding.ticker}`
+                        : `Only ${(saleQuantity - salePlan.shortfall).toFixed(decimals)} ${holding.ticker} available in lots`}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {recordSale.error && (
+                <p className="text-xs text-rose-400">{recordSale.error.message}</p>
+              )}
+
+              <div className="flex gap-2">
+                <Button type="button" variant="outline" onClick={handleCancelSale} className="flex-1 bg-transparent border-zinc-700">
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={!salePlan?.isComplete || recordSale.isPending} className="flex-1 brand-gradient text-white">
+                  {recordSale.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Record Sale'}
+                </Button>
+              </div>
+            </form>
+          )}
+
           {/* Add/Edit Form */}
-          {addingLot ? (
+          {selling ? null : addingLot ? (
             <form onSubmit={handleSubmit} className="p-4 rounded-lg bg-zinc-800/50 border border-zinc-700 space-y-4">
               <h4 className="font-medium text-sm">
                 {editingLot ? 'Edit Lot' : 'Add Purchase Lot'}
@@ -250,7 +474,7 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
                     step="any"
                     value={newLot.price_per_unit}
                     onChange={(e) => setNewLot({ ...newLot, price_per_unit: e.target.value })}
-                    placeholder={btcPrice?.toString() || "50000"}
+                    placeholder={btcPrice ? toInputValue(Math.round(fromUSD(btcPrice))) : "50000"}
                     className="bg-zinc-900 border-zinc-800"
                     required
                   />
@@ -278,7 +502,7 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
 
               {newLot.quantity && newLot.price_per_unit && (
                 <div className="text-sm text-zinc-400">
-                  Cost Basis: <span className="font-medium text-zinc-100">${(parseFloat(newLot.quantity) * parseFloat(newLot.price_per_unit)).toLocaleString()}</span>
+                  Cost Basis: <span className="font-medium text-zinc-100">{formatCurrency(parseFloat(newLot.quantity) * parseFloat(newLot.price_per_unit), currency, { decimals: 2 })}</span>
                 </div>
               )}
 
@@ -292,13 +516,25 @@ export default function ManageLotsDialog({ open, onClose, holding, btcPrice }) {
               </div>
             </form>
           ) : (
-            <Button
-              onClick={() => setAddingLot(true)}
-              className="w-full brand-gradient text-white"
-            >
-              <Plus className="w-4 h-4 mr-2" />
-              Add Purchase Lot
-            </Button>
+            <div className="flex gap-2">
+              <Button
+                onClick={() => setAddingLot(true)}
+                className="flex-1 brand-gradient text-white"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Add Purchase Lot
+              </Button>
+              {lots.some(l => (l.remaining_quantity ?? l.quantity ?? 0) > 0) && (
+                <Button
+                  variant="outline"
+                  onClick={handleStartSale}
+                  className="flex-1 bg-transparent border-zinc-700"
+                >
+                  <TrendingDown className="w-4 h-4 mr-2" />
+                  Record Sale
+                </Button>
+              )}
+            </div>
           )}
         </div>
       </DialogContent>
@@ -2,6 +2,7 @@ import React, { useMemo } from 'react';
 import { TrendingUp, Zap } from 'lucide-react';
 import { cn } from "@/lib/utils";
 import { differenceInDays, parseISO } from 'date-fns';
+import { useTransactionCurrency } from '@/components/shared/useCurrency';
 
 // Helper to parse various date formats (M/D/YYYY or YYYY-MM-DD)
 const parseDate = (dateStr) => {
@@ -19,15 +20,17 @@ export default function NetWorthCard({ totalAssets, totalLiabilities, btcHolding
   const netWorth = totalAssets - totalLiabilities;
   const btcValue = btcHoldings * btcPrice;
   const btcPercentage = totalAssets > 0 ? (btcValue / totalAssets) * 100 : 0;
+  const { fromUSD, fromUSDOn, format } = useTransactionCurrency(transactions);
 
-  // Calculate Money-Weighted Return using XIRR
+  // Calculate Money-Weighted Return using XIRR, in the base currency (each cash flow at its date's rate)
   const returnData = useMemo(() => {
     // Filter out soft-deleted transactions (check both root and data.is_deleted)
-    const btcTxs = transactions.filter(t => t.asset_ticker === 'BTC' && t.is_deleted !== true && t.data?.is_deleted !== true);
+    // Transfers between accounts move existing lots, so they are not cash flows
+    const btcTxs = transactions.filter(t => t.asset_ticker === 'BTC' && t.type !== 'transfer' && t.is_deleted !== true && t.data?.is_deleted !== true);
     if (btcTxs.length === 0 || btcHoldings <= 0) return null;
 
     const now = new Date();
-    const currentValue = btcHoldings * btcPrice;
+    const currentValue = fromUSD(btcHoldings * btcPrice);
     
     // Build cash flows and dates for XIRR
     const cashFlows = [];
@@ -37,9 +40,9 @@ export default function NetWorthCard({ totalAssets, totalLiabilities, btcHolding
       const txDate = parseDate(tx.date);
       if (!txDate) continue;
       
-      const amount = tx.type === 'buy' 
+      const amount = fromUSDOn(tx.type === 'buy' 
         ? -Math.abs(tx.cost_basis || tx.quantity * tx.price_per_unit)
-        : Math.abs(tx.total_value || tx.quantity * tx.price_per_unit);
+        : Math.abs(tx.total_value || tx.quantity * tx.price_per_unit), tx);
       
       cashFlows.push(amount);
       dates.push(txDate);
@@ -107,7 +110,7 @@ export default function NetWorthCard({ totalAssets, totalLiabilities, btcHolding
     }
     
     return { annualizedReturn, years, totalReturn: totalReturn * 100, isIRR: true };
-  }, [transactions, btcHoldings, btcPrice]);
+  }, [transactions, btcHoldings, btcPrice, fromUSD, fromUSDOn]);
 
   return (
     <div className="relative overflow-hidden">
@@ -123,18 +126,18 @@ export default function NetWorthCard({ totalAssets, totalLiabilities, btcHolding
               <p className="text-xs font-semibold text-zinc-500 uppercase tracking-widest">Total Net Worth</p>
             </div>
             <h1 className="text-5xl lg:text-6xl font-bold tracking-tight brand-gradient-text">
-              ${netWorth.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}
+              {format(netWorth)}
             </h1>
             <div className="flex items-center gap-6 mt-6">
               <div className="flex items-center gap-2">
                 <div className="w-2 h-2 rounded-full bg-emerald-500" />
                 <span className="text-sm text-zinc-400">Assets</span>
-                <span className="text-sm font-semibold text-zinc-200">${totalAssets.toLocaleString()}</span>
+                <span className="text-sm font-semibold text-zinc-200">{format(totalAssets)}</span>
               </div>
               <div className="flex items-center gap-2">
                 <div className="w-2 h-2 rounded-full bg-rose-500" />
                 <span className="text-sm text-zinc-400">Debt</span>
-                <span className="text-sm font-semibold text-zinc-200">${totalLiabilities.toLocaleString()}</span>
+                <span className="text-sm font-semibold text-zinc-200">{format(totalLiabilities)}</span>
               </div>
             </div>
           </div>
@@ -1,6 +1,7 @@
 import React from 'react';
 import { ArrowUpRight, ArrowDownRight, Wallet, PiggyBank, AlertTriangle, Shield, TrendingUp } from 'lucide-react';
 import { cn } from "@/lib/utils";
+import { useCurrency } from '@/components/shared/useCurrency';
 
 export default function QuickStats({ 
   monthlyIncome, 
@@ -11,11 +12,12 @@ export default function QuickStats({
 }) {
   const surplus = monthlyIncome - monthlyExpenses;
   const savingsRate = monthlyIncome > 0 ? (surplus / monthlyIncome) * 100 : 0;
+  const { format } = useCurrency();
 
   const stats = [
     {
       label: 'Monthly Inflow',
-      value: `$${monthlyIncome.toLocaleString()}`,
+      value: format(monthlyIncome),
       icon: ArrowUpRight,
       color: 'text-emerald-400',
       bgColor: 'bg-emerald-400/10',
@@ -23,7 +25,7 @@ export default function QuickStats({
     },
     {
       label: 'Monthly Outflow',
-      value: `$${monthlyExpenses.toLocaleString()}`,
+      value: format(monthlyExpenses),
       icon: ArrowDownRight,
       color: 'text-rose-400',
       bgColor: 'bg-rose-400/10',
@@ -31,7 +33,7 @@ export default function QuickStats({
     },
     {
       label: 'Stacking Power',
-      value: `$${Math.abs(surplus).toLocaleString()}`,
+      value: format(Math.abs(surplus)),
       subtext: surplus >= 0 ? `${savingsRate.toFixed(0)}% rate` : 'Deficit',
       icon: surplus >= 0 ? TrendingUp : AlertTriangle,
       color: surplus >= 0 ? 'text-orange-400' : 'text-rose-400',
@@ -12,6 +12,8 @@ import { cn } from "@/lib/utils";
 import { format } from 'date-fns';
 import AccountSelector from '@/components/accounts/AccountSelector';
 import CreateAccountDialog from '@/components/accounts/CreateAccountDialog';
+import { fetchRateOnDate, useCurrency } from '@/components/shared/useCurrency';
+import { convertToUSD, formatCurrency, getEntryCurrencyFields, toInputValue } from '@/components/shared/currency';
 
 const accountTaxMapping = {
   taxable: 'taxable',
@@ -54,6 +56,10 @@ export default function AddAssetWithTransaction({
   const [includeTransaction, setIncludeTransaction] = useState(true);
   const [fetchingPrice, setFetchingPrice] = useState(false);
 
+  // Prices are typed in the base currency: current price saved at today's rate, lots at their date's rate
+  const { currency, rates, rate, fromUSD, toUSD } = useCurrency();
+  const localBtcPrice = btcPrice ? Math.round(fromUSD(btcPrice)) : null;
+
   // Fetch live price for stocks/crypto tickers
   const fetchTickerPrice = async (ticker, assetType) => {
     if (!ticker || ticker.length < 2) return;
@@ -64,10 +70,11 @@ export default function AddAssetWithTransaction({
         // Use CoinGecko for crypto
         const idMap = { ETH: 'ethereum', SOL: 'solana', XRP: 'ripple', ADA: 'cardano', DOGE: 'dogecoin', DOT: 'polkadot', LINK: 'chainlink', AVAX: 'avalanche-2', MATIC: 'matic-network', LTC: 'litecoin' };
         const coinId = idMap[ticker.toUpperCase()] || ticker.toLowerCase();
-        const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`);
+        const quote = currency.toLowerCase();
+        const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=${quote}`);
         const data = await response.json();
-        if (data[coinId]?.usd) {
-          setAssetData(prev => ({ ...prev, current_price: data[coinId].usd }));
+        if (data[coinId]?.[quote]) {
+          setAssetData(prev => ({ ...prev, current_price: data[coinId][quote] }));
         }
       } else if (assetType === 'stocks') {
         // Use getStockPrices backend function (Yahoo Finance) for reliable stock/ETF prices
@@ -81,8 +88,10 @@ export default function AddAssetWithTransaction({
             days: 1
           });
 
-          if (response?.data && response.data[ticker.toUpperCase()]?.currentPrice > 0) {
-            fetchedPrice = response.data[ticker.toUpperCase()].currentPrice;
+          const quote = response?.data?.[ticker.toUpperCase()];
+          if (quote?.currentPrice > 0) {
+            // Quoted in the listing's currency
+            fetchedPrice = fromUSD(convertToUSD(quote.currentPrice, quote.currency || 'USD', rates));
           }
         } catch (apiErr) {
           console.warn(`Yahoo Finance fetch for ${ticker} failed:`, apiErr);
@@ -100,7 +109,7 @@ export default function AddAssetWithTransaction({
               }
             });
             if (result?.price && result.price > 0 && result.price < 10000) {
-              fetchedPrice = result.price;
+              fetchedPrice = fromUSD(result.price);
             }
           } catch (llmErr) {
             console.warn(`LLM fallback for ${ticker} also failed:`, llmErr);
@@ -108,7 +117,7 @@ export default function AddAssetWithTransaction({
         }
 
         if (fetchedPrice !== null) {
-          setAssetData(prev => ({ ...prev, current_price: fetchedPrice }));
+          setAssetData(prev => ({ ...prev, current_price: toInputValue(fetchedPrice) }));
         }
       }
     } catch (err) {
@@ -125,7 +134,7 @@ export default function AddAssetWithTransaction({
         asset_type: initialData.asset_type === 'crypto' ? 'btc' : (initialData.asset_type || 'stocks'),
         ticker: initialData.ticker || '',
         quantity: initialData.quantity || '',
-        current_price: initialData.current_price || '',
+        current_price: toInputValue(fromUSD(initialData.current_price)),
         account_type: initialData.account_type || 'taxable',
         account_id: initialData.account_id || '',
       });
@@ -164,22 +173,22 @@ export default function AddAssetWithTransaction({
 
   // Auto-fill current price for BTC or fetch for other tickers
   useEffect(() => {
-    if (assetData.ticker === 'BTC' && btcPrice) {
-      setAssetData(prev => ({ ...prev, current_price: btcPrice }));
+    if (assetData.ticker === 'BTC' && localBtcPrice) {
+      setAssetData(prev => ({ ...prev, current_price: localBtcPrice }));
     } else if (assetData.ticker && assetData.ticker.length >= 1 && (assetData.asset_type === 'stocks' || assetData.asset_type === 'crypto')) {
       const timeoutId = setTimeout(() => {
         fetchTickerPrice(assetData.ticker, assetData.asset_type);
       }, 500); // Debounce 500ms
       return () => clearTimeout(timeoutId);
     }
-  }, [assetData.ticker, assetData.asset_type, btcPrice]);
+  }, [assetData.ticker, assetData.asset_type, localBtcPrice]);
 
   const addLot = () => {
     setLots([...lots, {
       id: Date.now(),
       quantity: '',
       date: new Date().toISOString().split('T')[0],
-      price_per_unit: assetData.ticker === 'BTC' ? btcPrice : '',
+      price_per_unit: assetData.ticker === 'BTC' ? localBtcPrice : '',
       exchange_or_wallet: lots[lots.length - 1]?.exchange_or_wallet || 'other',
       trading_fee: '',
     }]);
@@ -204,37 +213,43 @@ export default function AddAssetWithTransaction({
     return sum + (qty * price) + fee;
   }, 0);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     if (e) e.preventDefault();
     
     const quantity = parseFloat(assetData.quantity) || 0;
 
-    const holdingData = {
-      ...assetData,
-      quantity,
-      current_price: parseFloat(assetData.current_price) || 0,
-      cost_basis_total: includeTransaction ? lotsCostBasis : 0,
-      tax_treatment: accountTaxMapping[assetData.account_type] || 'taxable',
-    };
-
     let transactions = [];
     if (includeTransaction && lots.length > 0) {
-      transactions = lots
-        .filter(l => parseFloat(l.quantity) > 0 && parseFloat(l.price_per_unit) > 0)
-        .map(l => ({
+      const enteredLots = lots.filter(l => parseFloat(l.quantity) > 0 && parseFloat(l.price_per_unit) > 0);
+      const fxRates = await Promise.all(enteredLots.map(l => fetchRateOnDate(currency, l.date, rate)));
+      transactions = enteredLots.map((l, i) => {
+        const fxRate = fxRates[i];
+        const pricePerUnit = parseFloat(l.price_per_unit) * fxRate;
+        const fee = (parseFloat(l.trading_fee) || 0) * fxRate;
+        return {
           type: 'buy',
           asset_ticker: assetData.ticker,
           quantity: parseFloat(l.quantity),
-          price_per_unit: parseFloat(l.price_per_unit),
-          total_value: parseFloat(l.quantity) * parseFloat(l.price_per_unit),
+          price_per_unit: pricePerUnit,
+          total_value: parseFloat(l.quantity) * pricePerUnit,
           date: l.date,
           exchange_or_wallet: l.exchange_or_wallet,
-          trading_fee: parseFloat(l.trading_fee) || 0,
-          cost_basis: (parseFloat(l.quantity) * parseFloat(l.price_per_unit)) + (parseFloat(l.trading_fee) || 0),
+          trading_fee: fee,
+          cost_basis: (parseFloat(l.quantity) * pricePerUnit) + fee,
           lot_id: `${assetData.ticker}-${l.id}`,
-        }));
+          ...getEntryCurrencyFields(currency, fxRate),
+        };
+      });
     }
 
+    const holdingData = {
+      ...assetData,
+      quantity,
+      current_price: toUSD(parseFloat(assetData.current_price) || 0),
+      cost_basis_total: transactions.reduce((sum, t) => sum + t.cost_basis, 0),
+      tax_treatment: accountTaxMapping[assetData.account_type] || 'taxable',
+    };
+
     onSubmit({ holding: holdingData, transactions });
     onClose();
     resetForm();
@@ -326,7 +341,7 @@ export default function AddAssetWithTransaction({
               </div>
 
               <div className="space-y-2">
-                <Label className="text-zinc-400">Current Price</Label>
+                <Label className="text-zinc-400">Current Price ({currency})</Label>
                 <div className="relative">
                   <Input
                     type="number"
@@ -458,13 +473,13 @@ export default function AddAssetWithTransaction({
                           />
                         </div>
                         <div className="space-y-1">
-                          <Label className="text-xs text-zinc-500">Price per unit</Label>
+                          <Label className="text-xs text-zinc-500">Price per unit ({currency})</Label>
                           <Input
                             type="number"
                             step="any"
                             value={lot.price_per_unit}
                             onChange={(e) => updateLot(lot.id, 'price_per_unit', e.target.value)}
-                            placeholder={btcPrice?.toString() || "0"}
+                            placeholder={localBtcPrice?.toString() || "0"}
                             className="bg-zinc-900 border-zinc-800 text-sm h-9"
                           />
                         </div>
@@ -549,7 +564,7 @@ export default function AddAssetWithTransaction({
 
                       {parseFloat(lot.quantity) > 0 && parseFloat(lot.price_per_unit) > 0 && (
                         <div className="text-xs text-zinc-500 pt-1 border-t border-zinc-700/50">
-                          Cost basis: ${((parseFloat(lot.quantity) * parseFloat(lot.price_per_unit)) + (parseFloat(lot.trading_fee) || 0)).toLocaleString()}
+                          Cost basis: {formatCurrency((parseFloat(lot.quantity) * parseFloat(lot.price_per_unit)) + (parseFloat(lot.trading_fee) || 0), currency, { decimals: 2 })}
                         </div>
                       )}
                     </div>
@@ -576,15 +591,15 @@ export default function AddAssetWithTransaction({
                     <div className="space-y-2 text-sm">
                       <div className="flex justify-between">
                         <span className="text-zinc-500">Purchases</span>
-                        <span className="text-zinc-300">${(lotsCostBasis - totalFees).toLocaleString()}</span>
+                        <span className="text-zinc-300">{formatCurrency(lotsCostBasis - totalFees, currency, { decimals: 2 })}</span>
                       </div>
                       <div className="flex justify-between">
                         <span className="text-zinc-500">Fees</span>
-                        <span className="text-amber-400">${totalFees.toLocaleString()}</span>
+                        <span className="text-amber-400">{formatCurrency(totalFees, currency, { decimals: 2 })}</span>
                       </div>
                       <div className="flex justify-between pt-2 border-t border-zinc-700">
                         <span className="text-zinc-400 font-medium">Total</span>
-                        <span className="font-semibold text-orange-400">${lotsCostBasis.toLocaleString()}</span>
+                        <span className="font-semibold text-orange-400">{formatCurrency(lotsCostBasis, currency, { decimals: 2 })}</span>
                       </div>
                     </div>
                   </div>
@@ -0,0 +1,172 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { LEFTOVER_ACTIONS, PLAN_529_RULES } from '@/components/shared/education529';
+import { STATE_TAX_CONFIG } from '@/components/shared/stateTaxConfig';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+/**
+ * Goal form fields for an education goal: the beneficiary, college timing and cost, and the 529 plan
+ * that funds it. Amounts are form strings in the display currency; the Goals page converts them on save.
+ *
+ * @param {Object} props
+ * @param {Object} props.form - Goal form state
+ * @param {Function} props.onChange - (partialForm) => void
+ * @param {Array} props.accounts - 529 accounts the goal can link to
+ * @param {string} [props.stateOfResidence] - For the state contribution deduction note
+ * @param {string} [props.filingStatus]
+ */
+export default function EducationGoalFields({ form, onChange, accounts = [], stateOfResidence, filingStatus }) {
+  const { symbol, format } = useCurrency();
+  const stateConfig = STATE_TAX_CONFIG[stateOfResidence];
+  const isMarried = filingStatus === 'married' || filingStatus === 'married_filing_jointly';
+  const stateDeductionCap = stateConfig?.plan529Deduction
+    ? (isMarried ? stateConfig.plan529Deduction.married : stateConfig.plan529Deduction.single)
+    : 0;
+
+  return (
+    <div className="p-4 rounded-xl bg-violet-500/10 border border-violet-500/20 space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label className="text-zinc-400">Beneficiary</Label>
+          <Input
+            value={form.beneficiary_name}
+            onChange={(e) => onChange({ beneficiary_name: e.target.value })}
+            placeholder="e.g., Emma"
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label className="text-zinc-400">Birth Year</Label>
+          <Input
+            type="number"
+            value={form.beneficiary_birth_year}
+            onChange={(e) => onChange({ beneficiary_birth_year: e.target.value })}
+            placeholder="2018"
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+            required
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label className="text-zinc-400">College Start Age</Label>
+          <Input
+            type="number"
+            value={form.college_start_age}
+            onChange={(e) => onChange({ college_start_age: e.target.value })}
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label className="text-zinc-400">Years of College</Label>
+          <Input
+            type="number"
+            value={form.college_years}
+            onChange={(e) => onChange({ college_years: e.target.value })}
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label className="text-zinc-400">Annual Cost Today ({symbol})</Label>
+          <Input
+            type="number"
+            value={form.annual_cost}
+            onChange={(e) => onChange({ annual_cost: e.target.value })}
+            placeholder="30000"
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+            required
+          />
+        </div>
+        <div className="space-y-2">
+          <Label className="text-zinc-400">Education Inflation (%)</Label>
+          <Input
+            type="number"
+            step="0.1"
+            value={form.education_inflation_rate}
+            onChange={(e) => onChange({ education_inflation_rate: e.target.value })}
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label className="text-zinc-400">529 Account</Label>
+          <Select
+            value={form.linked_account_id || 'none'}
+            onValueChange={(value) => onChange({ linked_account_id: value === 'none' ? '' : value })}
+          >
+            <SelectTrigger className="bg-zinc-900 border-zinc-700 text-zinc-100">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 border-zinc-700">
+              <SelectItem value="none" className="text-zinc-100">New plan (no balance yet)</SelectItem>
+              {accounts.map(account => (
+                <SelectItem key={account.id} value={account.id} className="text-zinc-100">{account.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label className="text-zinc-400">Plan Opened (year)</Label>
+          <Input
+            type="number"
+            value={form.plan_opened_year}
+            onChange={(e) => onChange({ plan_opened_year: e.target.value })}
+            placeholder={String(new Date().getFullYear())}
+            className="bg-zinc-900 border-zinc-700 text-zinc-100"
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        <Label className="text-zinc-400">Annual Contribution ({symbol})</Label>
+        <Input
+          type="number"
+          value={form.annual_contribution}
+          onChange={(e) => onChange({ annual_contribution: e.target.value })}
+          placeholder="6000"
+          className="bg-zinc-900 border-zinc-700 text-zinc-100"
+        />
+        <p className="text-xs text-zinc-500">
+          Paid from your cash flow each year until college starts.
+          {stateDeductionCap > 0 && (stateDeductionCap === Infinity
+            ? ` ${stateConfig.name} deducts all of it from state income.`
+            : ` ${stateConfig.name} deducts up to ${format(stateDeductionCap)} a year from state income.`)}
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <Label className="text-zinc-400">Leftover After College</Label>
+        <Select value={form.leftover_action} onValueChange={(value) => onChange({ leftover_action: value })}>
+          <SelectTrigger className="bg-zinc-900 border-zinc-700 text-zinc-100">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-zinc-900 border-zinc-700">
+            {LEFTOVER_ACTIONS.map(action => (
+              <SelectItem key={action.value} value={action.value} className="text-zinc-100">{action.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {form.leftover_action === 'roth_rollover' && (
+          <p className="text-xs text-zinc-500">
+            Up to {format(PLAN_529_RULES.rothRolloverLifetimeLimit)} over the beneficiary's lifetime, within each year's Roth IRA
+            limit, once the plan has been open {PLAN_529_RULES.rothRolloverMinAccountAge} years. Contributions from the last{' '}
+            {PLAN_529_RULES.rothRolloverContributionLookback} years can't be rolled over, and the beneficiary needs earned income
+            at least equal to the rollover.
+          </p>
+        )}
+        {form.leftover_action === 'withdraw' && (
+          <p className="text-xs text-zinc-500">
+            The earnings are taxed as your income plus a {PLAN_529_RULES.nonQualifiedPenaltyRate * 100}% additional tax.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
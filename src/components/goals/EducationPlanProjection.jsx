@@ -0,0 +1,80 @@
+import { useMemo } from 'react';
+import { Progress } from "@/components/ui/progress";
+import { cn } from "@/lib/utils";
+import { getCollegeYears, getEducationGoal, project529Plan, PLAN_529_RULES } from '@/components/shared/education529';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+/**
+ * Goal card body for an education goal: how much of the projected college cost the 529 covers,
+ * the shortfall, and what happens to the leftover.
+ *
+ * @param {Object} props
+ * @param {Object} props.goal - Education goal
+ * @param {Object} props.startingBalance - { value, basis } of the linked 529 (get529StartingBalances)
+ * @param {number} props.growthRate - Annual return assumed for the plan, in percent
+ */
+export default function EducationPlanProjection({ goal, startingBalance, growthRate }) {
+  const { format } = useCurrency();
+
+  const summary = useMemo(() => {
+    const plan = getEducationGoal(goal);
+    const currentYear = new Date().getFullYear();
+    const college = getCollegeYears(plan);
+    const openedYear = plan.plan_opened_year || currentYear;
+    // Far enough past graduation for the rollovers to run out
+    const endYear = plan.leftover_action === 'roth_rollover'
+      ? Math.max(college.endYear + 1, openedYear + PLAN_529_RULES.rothRolloverMinAccountAge) + 10
+      : college.endYear + 1;
+    const rows = project529Plan(plan, {
+      startBalance: startingBalance?.value || 0,
+      startBasis: startingBalance?.basis,
+      startYear: currentYear,
+      endYear: Math.max(currentYear, endYear),
+      growthRate: () => growthRate,
+    });
+    const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+    const atCollegeStart = rows.find(row => row.year === college.startYear - 1);
+    const atGraduation = rows.find(row => row.year === college.endYear);
+    const totalCost = sum('educationCost');
+    return {
+      college,
+      totalCost,
+      covered: sum('qualifiedWithdrawal'),
+      shortfall: sum('shortfall'),
+      coverage: totalCost > 0 ? (sum('qualifiedWithdrawal') / totalCost) * 100 : 0,
+      balanceAtCollegeStart: atCollegeStart?.balance ?? startingBalance?.value ?? 0,
+      leftover: atGraduation?.balance || 0,
+      rothRollover: sum('rothRollover'),
+      nonQualified: sum('nonQualifiedWithdrawal'),
+      penalty: sum('penalty'),
+      leftoverAction: plan.leftover_action,
+    };
+  }, [goal, startingBalance, growthRate]);
+
+  return (
+    <div className="space-y-1.5">
+      <div className="flex justify-between text-xs">
+        <span className="text-zinc-400">
+          529 at college start: {format(summary.balanceAtCollegeStart, { compact: true })}
+        </span>
+        <span className={cn(
+          "font-medium",
+          summary.coverage >= 100 ? "text-emerald-400" : summary.coverage >= 50 ? "text-blue-400" : "text-zinc-400"
+        )}>
+          {format(summary.totalCost, { compact: true })} • {Math.round(summary.coverage)}% covered
+        </span>
+      </div>
+      <Progress value={Math.min(100, summary.coverage)} className="h-2 bg-zinc-700 [&>div]:bg-violet-500" />
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-zinc-500 pt-1">
+        {summary.shortfall > 0 && <span>Paid outside the 529: {format(summary.shortfall, { compact: true })}</span>}
+        {summary.leftover > 0 && <span>Left at graduation: {format(summary.leftover, { compact: true })}</span>}
+        {summary.rothRollover > 0 && <span className="text-emerald-400/80">Roth IRA rollover: {format(summary.rothRollover, { compact: true })}</span>}
+        {summary.nonQualified > 0 && (
+          <span className="text-amber-400/80">
+            Non-qualified withdrawal: {format(summary.nonQualified, { compact: true })} ({format(summary.penalty, { compact: true })} additional tax)
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { cn } from "@/lib/utils";
+import { useCurrency } from '@/components/shared/useCurrency';
 
 const ASSET_TYPE_CONFIG = {
   crypto: { label: 'Crypto', color: 'orange' },
@@ -28,6 +29,7 @@ export default function FundingSourcesEditor({
   userSettings = {}
 }) {
   const [expandedAccounts, setExpandedAccounts] = React.useState({});
+  const { format } = useCurrency();
 
   // Fetch accounts
   const { data: accounts = [] } = useQuery({
@@ -355,7 +357,7 @@ export default function FundingSourcesEditor({
                                   className="text-zinc-100"
                                   disabled={(source.asset_allocations || []).some((a, i) => i !== allocIndex && a.asset_type === at.type)}
                                 >
-                                  {getAssetLabel(at.type, at.tickers[0])} (${at.totalValue.toLocaleString('en-US', { maximumFractionDigits: 0 })})
+                                  {getAssetLabel(at.type, at.tickers[0])} ({format(at.totalValue)})
                                 </SelectItem>
                               ))}
                             </SelectContent>
@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import { Calculator, TrendingUp, Calendar, Coins, AlertTriangle } from 'lucide-react';
 import { cn } from "@/lib/utils";
+import { useCurrency } from '@/components/shared/useCurrency';
 
 export default function GoalFundingCalculator({ 
   targetAmount, 
@@ -12,6 +13,7 @@ export default function GoalFundingCalculator({
   btcPrice = 97000,
   linkedDcaPlan = null
 }) {
+  const { format } = useCurrency();
   const calculation = useMemo(() => {
     if (!targetAmount || !targetDate) return null;
     
@@ -139,7 +141,7 @@ export default function GoalFundingCalculator({
         <div>
           <p className="text-xs text-zinc-500">Remaining</p>
           <p className="text-lg font-bold text-zinc-200">
-            ${calculation.needed.toLocaleString('en-US', { maximumFractionDigits: 0 })}
+            {format(calculation.needed)}
           </p>
         </div>
         <div>
@@ -155,7 +157,7 @@ export default function GoalFundingCalculator({
       <div className="mt-4 p-3 rounded-lg bg-orange-500/10">
         <p className="text-xs text-zinc-400 mb-1">Monthly saving needed</p>
         <p className="text-2xl font-bold text-orange-400">
-          ${calculation.monthlySaving.toLocaleString('en-US', { maximumFractionDigits: 0 })}
+          {format(calculation.monthlySaving)}
           <span className="text-sm font-normal text-zinc-500">/mo</span>
         </p>
         {calculation.usingInvestmentReturns ? (
@@ -176,7 +178,7 @@ export default function GoalFundingCalculator({
             <span className="text-xs font-medium text-emerald-400">Linked Investment Plan</span>
           </div>
           <p className="text-xs text-zinc-400">
-            Projected value from DCA: <span className="text-emerald-400 font-semibold">${calculation.dcaProjectedValue.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+            Projected value from DCA: <span className="text-emerald-400 font-semibold">{format(calculation.dcaProjectedValue)}</span>
           </p>
           <p className="text-xs text-zinc-500 mt-1">
             This reduces your additional monthly savings needed
@@ -204,7 +206,7 @@ export default function GoalFundingCalculator({
             <span className="text-xs font-medium text-amber-400">Savings Shortfall</span>
           </div>
           <p className="text-xs text-zinc-400 mb-2">
-            Your available savings (${monthlySavingsAvailable.toLocaleString('en-US', { maximumFractionDigits: 0 })}/mo) is ${calculation.shortfall.toLocaleString('en-US', { maximumFractionDigits: 0 })}/mo short.
+            Your available savings ({format(monthlySavingsAvailable)}/mo) is {format(calculation.shortfall)}/mo short.
           </p>
           
           {calculation.assetsToSell.length > 0 && (
@@ -219,8 +221,8 @@ export default function GoalFundingCalculator({
                     </span>
                     <span className="text-amber-400 font-medium">
                       {asset.quantity !== null 
-                        ? `${asset.quantity.toFixed(4)} ${asset.asset_type} (~$${asset.amount.toLocaleString('en-US', { maximumFractionDigits: 0 })})`
-                        : `$${asset.amount.toLocaleString('en-US', { maximumFractionDigits: 0 })}`
+                        ? `${asset.quantity.toFixed(4)} ${asset.asset_type} (~${format(asset.amount)})`
+                        : format(asset.amount)
                       }
                     </span>
                   </div>
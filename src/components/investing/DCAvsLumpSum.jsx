@@ -7,6 +7,8 @@ import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Slider } from "@/components/ui/slider";
 import { cn } from "@/lib/utils";
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
 
 // Historical BTC monthly prices (simplified dataset - monthly closes)
 const HISTORICAL_BTC_PRICES = {
@@ -34,6 +36,7 @@ const START_DATES = [
 ];
 
 export default function DCAvsLumpSum({ btcPrice = 97000 }) {
+  const { symbol, fromUSD, toUSD, format } = useCurrency();
   const [investmentAmount, setInvestmentAmount] = useState(10000);
   const [startDate, setStartDate] = useState('2023-01');
   const [dcaPeriodMonths, setDcaPeriodMonths] = useState(12);
@@ -140,11 +143,11 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
         
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <div className="space-y-2">
-            <Label className="text-zinc-400">Investment Amount</Label>
+            <Label className="text-zinc-400">Investment Amount ({symbol})</Label>
             <Input
               type="number"
-              value={investmentAmount}
-              onChange={(e) => setInvestmentAmount(parseFloat(e.target.value) || 0)}
+              value={toInputValue(fromUSD(investmentAmount))}
+              onChange={(e) => setInvestmentAmount(toUSD(parseFloat(e.target.value) || 0))}
               className="bg-zinc-900 border-zinc-800"
             />
           </div>
@@ -202,7 +205,7 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
             <div className="p-4 rounded-lg bg-zinc-800/30">
               <p className="text-sm text-zinc-500">Final Value</p>
               <p className="text-3xl font-bold text-blue-400">
-                ${simulation.lumpSumFinalValue.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                {format(simulation.lumpSumFinalValue)}
               </p>
               <p className={cn(
                 "text-sm font-medium mt-1",
@@ -219,7 +222,7 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
               </div>
               <div>
                 <p className="text-zinc-500">Cost Basis</p>
-                <p className="font-semibold">${simulation.lumpSumCostBasis.toLocaleString()}</p>
+                <p className="font-semibold">{format(simulation.lumpSumCostBasis)}</p>
               </div>
             </div>
             
@@ -259,7 +262,7 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
             <div className="p-4 rounded-lg bg-zinc-800/30">
               <p className="text-sm text-zinc-500">Final Value</p>
               <p className="text-3xl font-bold text-orange-400">
-                ${simulation.dcaFinalValue.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+                {format(simulation.dcaFinalValue)}
               </p>
               <p className={cn(
                 "text-sm font-medium mt-1",
@@ -276,7 +279,7 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
               </div>
               <div>
                 <p className="text-zinc-500">Avg Cost Basis</p>
-                <p className="font-semibold">${simulation.dcaCostBasis.toLocaleString(undefined, { maximumFractionDigits: 0 })}</p>
+                <p className="font-semibold">{format(simulation.dcaCostBasis)}</p>
               </div>
             </div>
             
@@ -306,7 +309,7 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
             </span>
             {' '}outperformed by{' '}
             <span className="text-emerald-400 font-semibold">
-              ${simulation.difference.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+              {format(simulation.difference)}
             </span>
             {' '}in this period.
             {simulation.winner === 'lumpsum' && simulation.lumpSumMaxDrawdown > 30 && (
@@ -334,12 +337,12 @@ export default function DCAvsLumpSum({ btcPrice = 97000 }) {
               <YAxis 
                 stroke="#71717a" 
                 fontSize={12}
-                tickFormatter={(v) => `$${(v/1000).toFixed(0)}k`}
+                tickFormatter={(v) => format(v, { compact: true })}
               />
               <Tooltip
                 contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
                 formatter={(value, name) => [
-                  `$${value.toLocaleString()}`,
+                  format(value),
                   name === 'lumpSumValue' ? 'Lump Sum' : name === 'dcaValue' ? 'DCA' : 'Invested'
                 ]}
               />
@@ -2,6 +2,8 @@ import React, { useMemo } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { DollarSign, TrendingDown, AlertTriangle, ArrowRight, Info } from 'lucide-react';
 import { cn } from "@/lib/utils";
+import { useTransactionCurrency } from '@/components/shared/useCurrency';
+import { formatCurrency } from '@/components/shared/currency';
 
 const COLORS = ['#F7931A', '#60a5fa', '#a78bfa', '#f472b6', '#34d399', '#fbbf24'];
 
@@ -55,6 +57,9 @@ const INDUSTRY_AVG_TOTAL_COST_PERCENT = 1.5; // ~1% fee + ~0.5% spread
 const INDUSTRY_AVG_FEE_ONLY_PERCENT = 1.0;
 
 export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
+  const { currency, fromUSDOn } = useTransactionCurrency(transactions);
+  // Analysis amounts are already in the base currency, converted at each purchase date's rate
+  const formatLocal = (amount, options) => formatCurrency(amount, currency, options);
   const analysis = useMemo(() => {
     // Filter out soft-deleted transactions first
     const activeTransactions = transactions.filter(t => !t.is_deleted && !t.data?.is_deleted);
@@ -73,10 +78,10 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
     const byExchange = {};
 
     btcTransactions.forEach(tx => {
-      const tradingFee = tx.trading_fee || 0;
-      const withdrawalFee = tx.withdrawal_fee || 0;
-      const depositFee = tx.deposit_fee || 0;
-      const txVolume = tx.quantity * tx.price_per_unit;
+      const tradingFee = fromUSDOn(tx.trading_fee, tx);
+      const withdrawalFee = fromUSDOn(tx.withdrawal_fee, tx);
+      const depositFee = fromUSDOn(tx.deposit_fee, tx);
+      const txVolume = fromUSDOn(tx.quantity * tx.price_per_unit, tx);
       
       totalTradingFees += tradingFee;
       totalWithdrawalFees += withdrawalFee;
@@ -86,7 +91,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
 
       // Calculate spread if FMV available
       if (tx.global_fmv_at_purchase && tx.price_per_unit > tx.global_fmv_at_purchase) {
-        totalSpreadCost += (tx.price_per_unit - tx.global_fmv_at_purchase) * tx.quantity;
+        totalSpreadCost += fromUSDOn((tx.price_per_unit - tx.global_fmv_at_purchase) * tx.quantity, tx);
       }
 
       // By exchange - use fuzzy matching
@@ -190,7 +195,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
       vsIndustryAvg,
       transactionCount: btcTransactions.length,
     };
-  }, [transactions]);
+  }, [transactions, fromUSDOn]);
 
   if (!analysis) {
     return (
@@ -226,7 +231,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
             </div>
           </div>
           <p className="text-2xl font-bold text-amber-400">
-            ${analysis.totalExplicitFees.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            {formatLocal(analysis.totalExplicitFees, { decimals: 2 })}
           </p>
           <p className="text-xs text-zinc-500 mt-1">
             {analysis.explicitFeeRate.toFixed(2)}% of volume
@@ -241,7 +246,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
             </div>
           </div>
           <p className="text-2xl font-bold text-purple-400">
-            ${analysis.totalSpreadCost.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            {formatLocal(analysis.totalSpreadCost, { decimals: 2 })}
           </p>
           <p className="text-xs text-zinc-500 mt-1">
             ~{analysis.spreadFeeRate.toFixed(2)}% estimated
@@ -256,7 +261,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
             </div>
           </div>
           <p className="text-2xl font-bold text-rose-400">
-            ${analysis.totalFriction.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            {formatLocal(analysis.totalFriction, { decimals: 2 })}
           </p>
           <p className="text-xs text-zinc-500 mt-1">
             {analysis.effectiveFeeRate.toFixed(2)}% total rate
@@ -274,8 +279,8 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
           </div>
           <p className={cn("text-2xl font-bold", analysis.vsIndustryAvg >= 0 ? "text-emerald-400" : "text-rose-400")}>
             {analysis.potentialSavingsVsIndustry > 0 
-              ? `$${analysis.potentialSavingsVsIndustry.toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`
-              : `${analysis.vsIndustryAvg >= 0 ? '-' : '+'}$${Math.abs(analysis.vsIndustryAvg).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`
+              ? formatLocal(analysis.potentialSavingsVsIndustry)
+              : `${analysis.vsIndustryAvg >= 0 ? '-' : '+'}${formatLocal(Math.abs(analysis.vsIndustryAvg))}`
             }
           </p>
           <p className="text-xs text-zinc-500 mt-1">
@@ -297,7 +302,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
             <h4 className="font-semibold text-emerald-400 mb-1">Optimize Your Costs</h4>
             <p className="text-sm text-zinc-400">
               Using a low-cost exchange like Kraken Pro (~0.36% all-in) could save you 
-              <span className="text-emerald-400 font-semibold"> ${analysis.potentialSavingsVsBest.toLocaleString(undefined, { maximumFractionDigits: 0 })}</span> on 
+              <span className="text-emerald-400 font-semibold"> {formatLocal(analysis.potentialSavingsVsBest)}</span> on 
               similar future purchases. Note: "Zero fee" exchanges often recoup costs through wider spreads.
             </p>
           </div>
@@ -350,7 +355,7 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
                   </Pie>
                   <Tooltip
                     contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
-                    formatter={(value) => [`$${value.toFixed(2)}`, '']}
+                    formatter={(value) => [formatLocal(value, { decimals: 2 }), '']}
                   />
                 </PieChart>
               </ResponsiveContainer>
@@ -441,20 +446,20 @@ export default function FeeAnalyzer({ transactions = [], btcPrice = 97000 }) {
                         {ex.exchange}
                       </div>
                     </td>
-                    <td className="py-3 px-4 text-right text-zinc-400">${ex.volume.toLocaleString(undefined, { maximumFractionDigits: 0 })}</td>
+                    <td className="py-3 px-4 text-right text-zinc-400">{formatLocal(ex.volume)}</td>
                     <td className="py-3 px-4 text-right">
                       <span className={cn(ex.total > 0 ? "text-amber-400" : "text-emerald-400")}>
-                        ${ex.total.toFixed(2)}
+                        {formatLocal(ex.total, { decimals: 2 })}
                       </span>
                     </td>
                     <td className="py-3 px-4 text-right">
                       <span className="text-purple-400">
-                        ~${(ex.volume * ex.spreadRate / 100).toFixed(2)}
+                        ~{formatLocal(ex.volume * ex.spreadRate / 100, { decimals: 2 })}
                       </span>
                     </td>
                     <td className="py-3 px-4 text-right">
                       <span className="text-rose-400 font-medium">
-                        ${(ex.total + (ex.volume * ex.spreadRate / 100)).toFixed(2)}
+                        {formatLocal(ex.total + (ex.volume * ex.spreadRate / 100), { decimals: 2 })}
                       </span>
                     </td>
                     <td className="py-3 px-4 text-right text-zinc-400">
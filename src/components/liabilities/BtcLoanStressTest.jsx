@@ -0,0 +1,170 @@
+import { useMemo, useState } from 'react';
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Activity, AlertTriangle, CheckCircle } from 'lucide-react';
+import { cn } from "@/lib/utils";
+import { getStressTestLoans, runLoanStressTest } from '@/components/shared/btcLoanStressTest';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const formatBtc = (value) => `${(value ?? 0).toFixed(4)} BTC`;
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Replays BTC's historical crashes against the user's BTC-backed loans with their collateral rules,
+ * and shows the unencumbered BTC needed to get through all of them.
+ *
+ * @param {Object} props
+ * @param {Array} props.liabilities - Liability records (btc_collateralized ones are tested)
+ * @param {Array} props.collateralizedLoans - CollateralizedLoan records
+ * @param {Array} props.lenderProfiles - UserSettings.btc_lender_profiles
+ * @param {Object} props.rules - { autoTopUp, topUpTriggerLtv, topUpTargetLtv, liquidationLtv, releaseTriggerLtv, releaseTargetLtv }
+ * @param {number} props.currentPrice
+ * @param {number} props.reserveBtc - Unencumbered taxable BTC available for top-ups
+ */
+export default function BtcLoanStressTest({ liabilities, collateralizedLoans, lenderProfiles, rules, currentPrice, reserveBtc }) {
+  const { format: formatCurrency } = useCurrency();
+  const [reserveOverride, setReserveOverride] = useState('');
+  const parsedOverride = parseFloat(reserveOverride);
+  const reserve = Number.isFinite(parsedOverride) && parsedOverride >= 0 ? parsedOverride : reserveBtc;
+
+  const loans = useMemo(
+    () => getStressTestLoans(liabilities, collateralizedLoans, lenderProfiles, rules),
+    [liabilities, collateralizedLoans, lenderProfiles, rules]
+  );
+  const result = useMemo(
+    () => (loans.length > 0 ? runLoanStressTest({ loans, currentPrice, rules, reserveBtc: reserve }) : null),
+    [loans, currentPrice, rules, reserve]
+  );
+
+  if (!result) return null;
+
+  const shortfall = result.minimumReserveBtc !== null ? result.minimumReserveBtc - reserve : null;
+
+  return (
+    <div className="card-premium rounded-2xl p-6 border border-zinc-800/50 space-y-5">
+      <div className="flex items-start justify-between gap-4 flex-wrap">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-orange-500/10">
+            <Activity className="w-5 h-5 text-orange-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-zinc-200">Historical Crash Stress Test</h3>
+            <p className="text-sm text-zinc-500">Every past BTC drawdown, starting from today's price, against your loans and collateral rules</p>
+          </div>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">Unencumbered BTC Reserve</Label>
+          <Input
+            type="number"
+            step="0.01"
+            min="0"
+            value={reserveOverride}
+            placeholder={reserveBtc.toFixed(4)}
+            onChange={(e) => setReserveOverride(e.target.value)}
+            className="bg-zinc-900 border-zinc-800 h-8 w-36"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div className="p-3 rounded-lg bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Reserve Tested</p>
+          <p className="text-lg font-semibold text-zinc-200">{formatBtc(reserve)}</p>
+          <p className="text-xs text-zinc-500">{reserveOverride === '' ? 'Taxable BTC not pledged as collateral' : 'Custom amount'}</p>
+        </div>
+        <div className="p-3 rounded-lg bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Minimum Reserve to Survive Every Crash</p>
+          <p className="text-lg font-semibold text-orange-400">
+            {result.minimumReserveBtc !== null ? formatBtc(result.minimumReserveBtc) : 'Not possible'}
+          </p>
+          <p className="text-xs text-zinc-500">
+            {result.minimumReserveBtc !== null
+              ? `≈ ${formatCurrency(result.minimumReserveBtc * currentPrice)} today`
+              : rules.autoTopUp ? 'Some loans start past liquidation' : 'Auto top-up is off'}
+          </p>
+        </div>
+        <div className={cn(
+          "p-3 rounded-lg border",
+          result.survivesAllPaths ? "bg-emerald-500/10 border-emerald-500/30" : "bg-rose-500/10 border-rose-500/30"
+        )}>
+          <p className="text-xs text-zinc-500">Verdict</p>
+          <p className={cn("text-lg font-semibold flex items-center gap-2", result.survivesAllPaths ? "text-emerald-400" : "text-rose-400")}>
+            {result.survivesAllPaths ? <CheckCircle className="w-4 h-4" /> : <AlertTriangle className="w-4 h-4" />}
+            {result.survivesAllPaths ? 'Survives all crashes' : `Liquidated in ${result.paths.filter(p => p.actual.anyLiquidated).length} of ${result.paths.length}`}
+          </p>
+          <p className="text-xs text-zinc-500">
+            {shortfall !== null && shortfall > 0 ? `Add ${formatBtc(shortfall)} to the reserve to survive all` : 'With the reserve tested'}
+          </p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-zinc-500 text-left text-xs">
+              <th className="py-2 pr-3">Crash</th>
+              <th className="py-2 pr-3">Loan</th>
+              <th className="py-2 pr-3">Outcome</th>
+              <th className="py-2 pr-3 text-right">Peak LTV</th>
+              <th className="py-2 pr-3">Top-Ups (BTC added)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.paths.map(path => path.actual.loans.map((loan, index) => (
+              <tr key={`${path.key}-${loan.id}`} className={cn("align-top", index === 0 && "border-t border-zinc-800")}>
+                <td className="py-2 pr-3">
+                  {index === 0 && (
+                    <>
+                      <p className="text-zinc-200">{path.label}</p>
+                      <p className="text-xs text-zinc-500">-{(path.actual.maxDrawdown * 100).toFixed(0)}% peak to trough</p>
+                    </>
+                  )}
+                </td>
+                <td className="py-2 pr-3">
+                  <p className="text-zinc-300">{loan.name}</p>
+                  {loan.terms.profileName && <p className="text-xs text-zinc-500">{loan.terms.profileName}</p>}
+                </td>
+                <td className="py-2 pr-3">
+                  {loan.liquidated ? (
+                    <div>
+                      <p className="text-rose-400">
+                        {loan.liquidation.partial ? 'Partially liquidated' : 'Liquidated'} {formatDate(loan.liquidation.date)}
+                        {loan.liquidationCount > 1 && ` (+${loan.liquidationCount - 1} more)`}
+                      </p>
+                      <p className="text-xs text-zinc-500">
+                        At {formatCurrency(loan.liquidation.price)} (-{(loan.liquidation.drawdown * 100).toFixed(0)}%), {formatBtc(loan.liquidation.btcSold)} sold
+                      </p>
+                    </div>
+                  ) : (
+                    <p className="text-emerald-400">Survived</p>
+                  )}
+                </td>
+                <td className={cn("py-2 pr-3 text-right", loan.maxLtv >= loan.terms.marginCallLtv ? "text-amber-400" : "text-zinc-300")}>
+                  {loan.maxLtv.toFixed(0)}%
+                </td>
+                <td className="py-2 pr-3 text-xs text-zinc-400">
+                  {loan.topUps.length === 0 ? '—' : (
+                    <>
+                      <p className="text-zinc-300">{loan.topUps.length}× • {formatBtc(loan.topUpBtc)} total</p>
+                      {loan.topUps.map(topUp => (
+                        <p key={`${topUp.date}-${topUp.price}`}>
+                          {formatDate(topUp.date)}: {formatBtc(topUp.btc)} at {formatCurrency(topUp.price)}
+                        </p>
+                      ))}
+                    </>
+                  )}
+                </td>
+              </tr>
+            )))}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-zinc-500">
+        Each crash is scaled so its peak is today's {formatCurrency(currentPrice)}, with interest accruing along the way.
+        Each loan follows its lender's margin call, liquidation and release terms. Top-ups are paid from the reserve shared by all loans, and released collateral goes back to it.
+        Dates are the historical ones.
+      </p>
+    </div>
+  );
+}
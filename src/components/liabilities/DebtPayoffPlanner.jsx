@@ -0,0 +1,253 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { ArrowDown, ArrowUp, ChevronDown, ChevronUp, Target } from 'lucide-react';
+import { cn } from "@/lib/utils";
+import {
+  PAYOFF_STRATEGIES,
+  compareDebtPayoffStrategies,
+  getDebtPayoffPlan,
+  getGoalManagedLiabilityIds,
+  getPayoffEligibleDebts,
+} from '@/components/shared/debtPayoffPlanner';
+import { isAmortizingLoan } from '@/components/shared/mortgageCalculations';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const formatMonths = (months) => {
+  if (months === null) return 'Never';
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [years > 0 && `${years}y`, rest > 0 && `${rest}m`].filter(Boolean).join(' ') || '0m';
+};
+
+/**
+ * Payoff planner for the non-BTC liabilities: compares avalanche, snowball, highest payment ratio and
+ * a custom order for an extra monthly budget, and saves the chosen plan (UserSettings.debt_payoff_plan)
+ * for the cash flow and retirement projections.
+ *
+ * @param {Object} props
+ * @param {Array} props.liabilities - Liability records
+ * @param {Array} props.goals - FinancialGoal records (liabilities driven by a debt payoff goal are left out)
+ * @param {Object} props.plan - Saved plan { enabled, strategy, extra_monthly, custom_order }
+ * @param {Function} props.onSave - (plan) => void
+ */
+export default function DebtPayoffPlanner({ liabilities, goals, plan, onSave }) {
+  const { format: formatCurrency, fromUSD, toUSD } = useCurrency();
+  const saved = getDebtPayoffPlan(plan);
+  const [draft, setDraft] = useState(saved);
+  const [showSchedule, setShowSchedule] = useState(false);
+
+  useEffect(() => {
+    setDraft(getDebtPayoffPlan(plan));
+  }, [plan]);
+
+  const goalManagedIds = useMemo(() => getGoalManagedLiabilityIds(goals), [goals]);
+  const debts = useMemo(() => getPayoffEligibleDebts(liabilities, goalManagedIds), [liabilities, goalManagedIds]);
+  const comparison = useMemo(
+    () => compareDebtPayoffStrategies({ debts, extraMonthly: draft.extra_monthly, customOrder: draft.custom_order }),
+    [debts, draft.extra_monthly, draft.custom_order]
+  );
+
+  if (debts.length === 0) return null;
+
+  const selected = comparison.strategies[draft.strategy];
+  const minimumTotal = debts.reduce((sum, d) => sum + d.minimumPayment, 0);
+  const customOrder = comparison.strategies.custom.order;
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(saved);
+  const update = (patch) => setDraft(prev => ({ ...prev, ...patch }));
+
+  const moveDebt = (index, direction) => {
+    const order = [...customOrder];
+    const [id] = order.splice(index, 1);
+    order.splice(index + direction, 0, id);
+    update({ custom_order: order });
+  };
+
+  return (
+    <div className="card-premium rounded-2xl p-6 border border-zinc-800/50 space-y-5">
+      <div className="flex items-start justify-between gap-4 flex-wrap">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-emerald-500/10">
+            <Target className="w-5 h-5 text-emerald-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-zinc-200">Debt Payoff Planner</h3>
+            <p className="text-sm text-zinc-500">
+              {debts.length} non-BTC {debts.length === 1 ? 'debt' : 'debts'} • {formatCurrency(minimumTotal)}/mo in minimum payments
+            </p>
+          </div>
+        </div>
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">Extra Monthly Budget</Label>
+          <Input
+            type="number"
+            min="0"
+            step="50"
+            value={toInputValue(fromUSD(draft.extra_monthly))}
+            placeholder="0"
+            onChange={(e) => update({ extra_monthly: toUSD(Math.max(0, parseFloat(e.target.value) || 0)) })}
+            className="bg-zinc-900 border-zinc-800 h-8 w-36"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+        {PAYOFF_STRATEGIES.map(strategy => {
+          const result = comparison.strategies[strategy.value];
+          const isSelected = draft.strategy === strategy.value;
+          return (
+            <button
+              key={strategy.value}
+              type="button"
+              onClick={() => update({ strategy: strategy.value })}
+              className={cn(
+                "p-3 rounded-lg border text-left transition-colors",
+                isSelected ? "bg-orange-500/20 border-orange-500/50" : "bg-zinc-800/30 border-zinc-800 hover:border-zinc-700"
+              )}
+            >
+              <p className={cn("text-sm font-medium", isSelected ? "text-orange-300" : "text-zinc-200")}>{strategy.label}</p>
+              <p className="text-xs text-zinc-500 mb-2">{strategy.description}</p>
+              <p className="text-xs text-zinc-400">Debt-free: <span className="text-zinc-200">{result.payoffDate || 'Never'}</span></p>
+              <p className="text-xs text-zinc-400">Interest: <span className="text-zinc-200">{formatCurrency(result.totalInterest)}</span></p>
+              <p className="text-xs text-zinc-400">
+                Saves: <span className="text-emerald-400">{formatCurrency(result.interestSaved)}</span>
+                {result.monthsSaved > 0 && <span className="text-zinc-500"> • {formatMonths(result.monthsSaved)} sooner</span>}
+              </p>
+            </button>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-zinc-500">
+        Minimum payments only: {formatCurrency(comparison.baseline.totalInterest)} interest, debt-free {comparison.baseline.payoffDate || 'never (minimums do not cover interest)'}.
+      </p>
+
+      {draft.strategy === 'custom' && (
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">Payoff Order</Label>
+          {customOrder.map((id, index) => {
+            const debt = debts.find(d => d.id === id);
+            return (
+              <div key={id} className="flex items-center justify-between gap-3 p-2 rounded-lg bg-zinc-800/30 text-sm">
+                <span className="text-zinc-300">{index + 1}. {debt.name} <span className="text-zinc-500">• {debt.rate}% • {formatCurrency(debt.balance)}</span></span>
+                <span className="whitespace-nowrap">
+                  <button type="button" disabled={index === 0} onClick={() => moveDebt(index, -1)} className="p-1.5 rounded hover:bg-zinc-800 disabled:opacity-30" aria-label={`Move ${debt.name} up`}>
+                    <ArrowUp className="w-3.5 h-3.5 text-zinc-400" />
+                  </button>
+                  <button type="button" disabled={index === customOrder.length - 1} onClick={() => moveDebt(index, 1)} className="p-1.5 rounded hover:bg-zinc-800 disabled:opacity-30" aria-label={`Move ${debt.name} down`}>
+                    <ArrowDown className="w-3.5 h-3.5 text-zinc-400" />
+                  </button>
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-zinc-500 text-left text-xs">
+              <th className="py-2 pr-3">#</th>
+              <th className="py-2 pr-3">Debt</th>
+              <th className="py-2 pr-3 text-right">Balance</th>
+              <th className="py-2 pr-3 text-right">Rate</th>
+              <th className="py-2 pr-3 text-right">Interest Paid</th>
+              <th className="py-2 pr-3 text-right">Paid Off</th>
+            </tr>
+          </thead>
+          <tbody>
+            {selected.order.map((id, index) => {
+              const debt = debts.find(d => d.id === id);
+              const result = selected.debts.find(d => d.id === id);
+              return (
+                <tr key={id} className="border-t border-zinc-800">
+                  <td className="py-2 pr-3 text-zinc-500">{index + 1}</td>
+                  <td className="py-2 pr-3 text-zinc-300">{debt.name}</td>
+                  <td className="py-2 pr-3 text-right text-zinc-300">{formatCurrency(debt.balance)}</td>
+                  <td className="py-2 pr-3 text-right text-zinc-300">{debt.rate}%</td>
+                  <td className="py-2 pr-3 text-right text-rose-300">{formatCurrency(result.totalInterest)}</td>
+                  <td className="py-2 pr-3 text-right text-emerald-400">{result.payoffDate || 'Never'}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <button
+          type="button"
+          onClick={() => setShowSchedule(!showSchedule)}
+          className="flex items-center gap-1 text-sm text-zinc-400 hover:text-zinc-200"
+        >
+          {showSchedule ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          Month-by-month schedule ({selected.months.length} months)
+        </button>
+        {showSchedule && (
+          <div className="mt-3 max-h-80 overflow-y-auto overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-zinc-900">
+                <tr className="text-zinc-500 text-left">
+                  <th className="py-2 pr-3">Month</th>
+                  <th className="py-2 pr-3 text-right">Payment</th>
+                  <th className="py-2 pr-3 text-right">Extra</th>
+                  <th className="py-2 pr-3 text-right">Interest</th>
+                  <th className="py-2 pr-3 text-right">Principal</th>
+                  <th className="py-2 pr-3 text-right">Remaining</th>
+                  <th className="py-2 pr-3">Paid Off</th>
+                </tr>
+              </thead>
+              <tbody className="text-zinc-300">
+                {selected.months.map(month => (
+                  <tr key={month.index} className="border-t border-zinc-800/50">
+                    <td className="py-1.5 pr-3">{month.label}</td>
+                    <td className="py-1.5 pr-3 text-right">{formatCurrency(month.payment)}</td>
+                    <td className="py-1.5 pr-3 text-right text-orange-300">{month.extra > 0 ? formatCurrency(month.extra) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right text-rose-300">{formatCurrency(month.interest)}</td>
+                    <td className="py-1.5 pr-3 text-right">{formatCurrency(month.payment - month.interest)}</td>
+                    <td className="py-1.5 pr-3 text-right">{formatCurrency(month.balance)}</td>
+                    <td className="py-1.5 pr-3 text-emerald-400">{month.paidOff.join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-4 flex-wrap pt-4 border-t border-zinc-800">
+        <div className="flex items-center gap-3">
+          <Switch checked={draft.enabled} onCheckedChange={(checked) => update({ enabled: checked })} />
+          <div>
+            <p className="text-sm text-zinc-300">Use this plan in projections</p>
+            <p className="text-xs text-zinc-500">Cash flow and retirement projections schedule these payments; the extra comes out of savings</p>
+          </div>
+        </div>
+        <Button
+          type="button"
+          size="sm"
+          disabled={!isDirty}
+          onClick={() => onSave({ ...draft, custom_order: customOrder })}
+          className="bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+        >
+          Save Plan
+        </Button>
+      </div>
+
+      {goalManagedIds.size > 0 && (
+        <p className="text-xs text-zinc-500">
+          Liabilities with an extra-payment or lump-sum Debt Payoff Goal follow that goal and are not in this plan.
+        </p>
+      )}
+      {liabilities.some(isAmortizingLoan) && (
+        <p className="text-xs text-zinc-500">
+          Loans with a term (mortgages, auto loans) follow their own amortization schedule and are not in this plan; add extra principal on the loan instead.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,293 @@
+import { useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { AlertTriangle, Copy, Pencil, Plus, Trash2 } from 'lucide-react';
+import {
+  COMPOUNDING_OPTIONS,
+  LENDER_PROFILE_TEMPLATES,
+  LIQUIDATION_STYLES,
+  createLenderProfile,
+  validateLenderProfile,
+} from '@/components/shared/lenderProfiles';
+
+const LTV_FIELDS = [
+  { key: 'margin_call_ltv', label: 'Margin Call LTV (%)', hint: 'Top up collateral at this LTV' },
+  { key: 'top_up_target_ltv', label: 'Top-Up Target LTV (%)', hint: 'A top-up brings LTV back here' },
+  { key: 'liquidation_ltv', label: 'Liquidation LTV (%)', hint: 'Lender sells collateral here' },
+];
+
+const compoundingLabel = (value) => COMPOUNDING_OPTIONS.find(o => o.value === value)?.label || value;
+const hasRelease = (profile) => profile.release_trigger_ltv !== null && profile.release_trigger_ltv !== undefined && profile.release_trigger_ltv !== '';
+
+/**
+ * Built-in lender templates and the user's own lender profiles (UserSettings.btc_lender_profiles).
+ * Templates are read-only; copying one starts a custom profile from its terms.
+ *
+ * @param {Object} props
+ * @param {Array} props.profiles - Saved custom profiles
+ * @param {Function} props.onChange - (profiles) => void
+ * @param {Object} props.rules - Global collateral rules, used to seed a blank profile
+ * @param {Array} props.loans - BTC loans, to show how many use each profile
+ */
+export default function LenderProfiles({ profiles, onChange, rules, loans }) {
+  const [editing, setEditing] = useState(null);
+  const issues = editing ? validateLenderProfile(editing) : [];
+  const usage = (id) => loans.filter(loan => loan.lender_profile_id === id).length;
+
+  const saveEditing = () => {
+    const exists = profiles.some(p => p.id === editing.id);
+    onChange(exists ? profiles.map(p => (p.id === editing.id ? editing : p)) : [...profiles, editing]);
+    setEditing(null);
+  };
+
+  const copyProfile = (profile) => setEditing({
+    ...profile,
+    id: `lender_${Date.now()}`,
+    name: `${profile.name} (Copy)`,
+    is_template: false,
+  });
+
+  const update = (patch) => setEditing(prev => ({ ...prev, ...patch }));
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <Label className="text-zinc-300 font-medium">Lender Profiles</Label>
+          <p className="text-xs text-zinc-500 mt-1">
+            Attach one to a loan to use that lender's thresholds instead of the settings above. Templates are typical published terms; check your loan agreement.
+          </p>
+        </div>
+        <Button
+          type="button"
+          size="sm"
+          onClick={() => setEditing(createLenderProfile(rules))}
+          className="bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+        >
+          <Plus className="w-3 h-3 mr-1" /> New Profile
+        </Button>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-zinc-500 text-left">
+              <th className="py-2 pr-3">Profile</th>
+              <th className="py-2 pr-3 text-right">Margin Call</th>
+              <th className="py-2 pr-3 text-right">Liquidation</th>
+              <th className="py-2 pr-3 text-right">Release</th>
+              <th className="py-2 pr-3">Interest</th>
+              <th className="py-2 pr-3 text-right">Fee</th>
+              <th className="py-2 pr-3">Rehypothecation</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="text-zinc-300">
+            {[...LENDER_PROFILE_TEMPLATES, ...profiles].map(profile => (
+              <tr key={profile.id} className="border-t border-zinc-800">
+                <td className="py-2 pr-3">
+                  <span className="text-zinc-200">{profile.name}</span>
+                  {profile.is_template && <span className="ml-2 text-[10px] uppercase tracking-wider text-zinc-500">Template</span>}
+                  {usage(profile.id) > 0 && <span className="ml-2 text-orange-400">{usage(profile.id)} loan{usage(profile.id) > 1 ? 's' : ''}</span>}
+                </td>
+                <td className="py-2 pr-3 text-right">{profile.margin_call_ltv}% → {profile.top_up_target_ltv}%</td>
+                <td className="py-2 pr-3 text-right">
+                  {profile.liquidation_ltv}%
+                  {profile.liquidation_style === 'partial' && <span className="text-zinc-500"> (partial → {profile.partial_liquidation_target_ltv}%)</span>}
+                </td>
+                <td className="py-2 pr-3 text-right">
+                  {hasRelease(profile) ? `${profile.release_trigger_ltv}% → ${profile.release_target_ltv}%` : 'At payoff'}
+                </td>
+                <td className="py-2 pr-3">{compoundingLabel(profile.compounding)}</td>
+                <td className="py-2 pr-3 text-right">{profile.origination_fee_pct || 0}%</td>
+                <td className={`py-2 pr-3 ${profile.rehypothecated ? 'text-amber-400' : 'text-emerald-400'}`}>
+                  {profile.rehypothecated ? 'Yes' : 'No'}
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  <button type="button" onClick={() => copyProfile(profile)} className="p-1.5 rounded hover:bg-zinc-800" aria-label={`Copy ${profile.name}`}>
+                    <Copy className="w-3.5 h-3.5 text-zinc-400" />
+                  </button>
+                  {!profile.is_template && (
+                    <>
+                      <button type="button" onClick={() => setEditing({ ...profile })} className="p-1.5 rounded hover:bg-zinc-800" aria-label={`Edit ${profile.name}`}>
+                        <Pencil className="w-3.5 h-3.5 text-zinc-400" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onChange(profiles.filter(p => p.id !== profile.id))}
+                        disabled={usage(profile.id) > 0}
+                        title={usage(profile.id) > 0 ? 'Detach it from its loans first' : undefined}
+                        className="p-1.5 rounded hover:bg-rose-600/30 disabled:opacity-30 disabled:hover:bg-transparent"
+                        aria-label={`Delete ${profile.name}`}
+                      >
+                        <Trash2 className="w-3.5 h-3.5 text-zinc-400" />
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <Dialog open={!!editing} onOpenChange={(open) => { if (!open) setEditing(null); }}>
+        <DialogContent className="bg-[#0f0f10] border-zinc-800 text-zinc-100 max-w-lg max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{profiles.some(p => p.id === editing?.id) ? 'Edit Lender Profile' : 'New Lender Profile'}</DialogTitle>
+          </DialogHeader>
+          {editing && (
+            <div className="space-y-4 mt-2">
+              <div className="space-y-2">
+                <Label className="text-zinc-400">Name</Label>
+                <Input
+                  value={editing.name}
+                  onChange={(e) => update({ name: e.target.value })}
+                  placeholder="e.g. My Lender (12-month term)"
+                  className="bg-zinc-900 border-zinc-800"
+                />
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                {LTV_FIELDS.map(field => (
+                  <div key={field.key} className="space-y-1">
+                    <Label className="text-zinc-400 text-xs">{field.label}</Label>
+                    <Input
+                      type="number"
+                      value={editing[field.key] ?? ''}
+                      onChange={(e) => update({ [field.key]: parseFloat(e.target.value) || 0 })}
+                      className="bg-zinc-900 border-zinc-800"
+                    />
+                    <p className="text-[10px] text-zinc-500">{field.hint}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Liquidation</Label>
+                  <Select
+                    value={editing.liquidation_style}
+                    onValueChange={(liquidation_style) => update({
+                      liquidation_style,
+                      partial_liquidation_target_ltv: liquidation_style === 'partial'
+                        ? editing.partial_liquidation_target_ltv ?? editing.margin_call_ltv
+                        : null,
+                    })}
+                  >
+                    <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-800">
+                      {LIQUIDATION_STYLES.map(option => <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {editing.liquidation_style === 'partial' && (
+                  <div className="space-y-1">
+                    <Label className="text-zinc-400 text-xs">Sell Down To LTV (%)</Label>
+                    <Input
+                      type="number"
+                      value={editing.partial_liquidation_target_ltv ?? ''}
+                      onChange={(e) => update({ partial_liquidation_target_ltv: parseFloat(e.target.value) || 0 })}
+                      className="bg-zinc-900 border-zinc-800"
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <Label className="text-zinc-400 text-xs">Releases Excess Collateral Before Payoff</Label>
+                  <Switch
+                    checked={hasRelease(editing)}
+                    onCheckedChange={(checked) => update(checked
+                      ? { release_trigger_ltv: rules.releaseTriggerLtv, release_target_ltv: rules.releaseTargetLtv }
+                      : { release_trigger_ltv: null, release_target_ltv: null })}
+                  />
+                </div>
+                {hasRelease(editing) && (
+                  <div className="grid grid-cols-2 gap-3">
+                    <div className="space-y-1">
+                      <Label className="text-zinc-400 text-xs">Release Trigger LTV (%)</Label>
+                      <Input
+                        type="number"
+                        value={editing.release_trigger_ltv}
+                        onChange={(e) => update({ release_trigger_ltv: parseFloat(e.target.value) || 0 })}
+                        className="bg-zinc-900 border-zinc-800"
+                      />
+                    </div>
+                    <div className="space-y-1">
+                      <Label className="text-zinc-400 text-xs">Release Target LTV (%)</Label>
+                      <Input
+                        type="number"
+                        value={editing.release_target_ltv ?? ''}
+                        onChange={(e) => update({ release_target_ltv: parseFloat(e.target.value) || 0 })}
+                        className="bg-zinc-900 border-zinc-800"
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Interest Compounding</Label>
+                  <Select value={editing.compounding} onValueChange={(compounding) => update({ compounding })}>
+                    <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-800">
+                      {COMPOUNDING_OPTIONS.map(option => <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Origination Fee (%)</Label>
+                  <Input
+                    type="number"
+                    step="0.1"
+                    value={editing.origination_fee_pct ?? ''}
+                    onChange={(e) => update({ origination_fee_pct: parseFloat(e.target.value) || 0 })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between">
+                <div>
+                  <Label className="text-zinc-400 text-xs">Rehypothecates Collateral</Label>
+                  <p className="text-[10px] text-zinc-500">The lender may lend out or re-pledge your BTC (counterparty risk)</p>
+                </div>
+                <Switch checked={!!editing.rehypothecated} onCheckedChange={(rehypothecated) => update({ rehypothecated })} />
+              </div>
+
+              {issues.length > 0 && (
+                <div className="p-2 rounded-lg bg-amber-500/10 border border-amber-500/30 text-xs text-amber-300 space-y-1">
+                  {issues.map(issue => (
+                    <p key={issue} className="flex items-start gap-1">
+                      <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" /> {issue}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex justify-end gap-3 pt-2">
+                <Button type="button" variant="outline" onClick={() => setEditing(null)} className="bg-transparent border-zinc-700">
+                  Cancel
+                </Button>
+                <Button type="button" onClick={saveEditing} disabled={issues.length > 0} className="brand-gradient text-white font-semibold">
+                  Save Profile
+                </Button>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import { useMemo, useState } from 'react';
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { ChevronDown, ChevronUp, RefreshCw } from 'lucide-react';
+import { cn } from "@/lib/utils";
+import {
+  buildAmortizationSchedule,
+  calculateRefinanceBreakEven,
+  getLinkedPropertyValue,
+  getRemainingTermMonths,
+  getYearlyAmortization,
+  PMI_REMOVAL_LTV,
+} from '@/components/shared/mortgageCalculations';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const formatMonths = (months) => {
+  if (months === null || months === undefined) return 'Never';
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [years > 0 && `${years}y`, rest > 0 && `${rest}m`].filter(Boolean).join(' ') || '0m';
+};
+
+/**
+ * Amortization summary for a loan with a term: this month's payment breakdown, payoff and PMI dates,
+ * a yearly schedule and a refinance break-even calculator.
+ *
+ * @param {Object} props
+ * @param {Object} props.liability - Liability with loan_term_months
+ * @param {Array} props.holdings - Holdings, for the linked property's value (PMI)
+ * @param {number} props.inflationRate - Escrow growth (%)
+ * @param {number} props.propertyGrowthRate - Property appreciation (%)
+ */
+export default function MortgageDetails({ liability, holdings, inflationRate, propertyGrowthRate }) {
+  const { format: formatCurrency, fromUSD, toUSD } = useCurrency();
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [refinance, setRefinance] = useState({
+    rate: liability.refinance_rate || Math.max(0, (liability.interest_rate || 0) - 1),
+    termYears: liability.refinance_term_months ? liability.refinance_term_months / 12 : 30,
+    closingCosts: toInputValue(Math.round(fromUSD(liability.refinance_closing_costs || (liability.current_balance || 0) * 0.02))),
+    rollCosts: !!liability.refinance_roll_costs,
+  });
+
+  const propertyValue = getLinkedPropertyValue(liability, holdings);
+  const schedule = useMemo(
+    () => buildAmortizationSchedule(liability, { propertyValue, propertyGrowthRate, inflationRate }),
+    [liability, propertyValue, propertyGrowthRate, inflationRate]
+  );
+  const yearly = useMemo(() => getYearlyAmortization(schedule), [schedule]);
+  const remainingMonths = getRemainingTermMonths(liability);
+  const breakEven = calculateRefinanceBreakEven({
+    balance: liability.current_balance || 0,
+    currentRate: liability.interest_rate || 0,
+    remainingMonths,
+    newRate: Number(refinance.rate) || 0,
+    newTermMonths: Math.max(1, Math.round((Number(refinance.termYears) || 0) * 12)),
+    closingCosts: toUSD(Number(refinance.closingCosts) || 0),
+    rollClosingCosts: refinance.rollCosts,
+  });
+
+  const first = schedule.months[0];
+  if (!first) return null;
+  const ltv = propertyValue ? ((liability.current_balance || 0) / propertyValue) * 100 : null;
+  const updateRefinance = (patch) => setRefinance(prev => ({ ...prev, ...patch }));
+
+  return (
+    <div className="p-4 rounded-xl bg-zinc-800/30 space-y-4 mb-5">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <div>
+          <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Monthly Payment</p>
+          <p className="text-lg font-bold text-zinc-200">{formatCurrency(first.payment)}</p>
+          <p className="text-xs text-zinc-500">
+            P&I {formatCurrency(first.principalInterest)}
+            {first.escrow > 0 && ` • Escrow ${formatCurrency(first.escrow)}`}
+            {first.pmi > 0 && ` • PMI ${formatCurrency(first.pmi)}`}
+            {first.extraPrincipal > 0 && ` • Extra ${formatCurrency(first.extraPrincipal)}`}
+          </p>
+        </div>
+        <div>
+          <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Paid Off</p>
+          <p className="text-lg font-bold text-emerald-400">{schedule.payoffLabel || 'Not within 50 years'}</p>
+          <p className="text-xs text-zinc-500">{formatMonths(remainingMonths)} left on the term</p>
+        </div>
+        <div>
+          <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Interest Remaining</p>
+          <p className="text-lg font-bold text-rose-400">{formatCurrency(schedule.totalInterest)}</p>
+          {schedule.totalExtra > 0 && <p className="text-xs text-zinc-500">With {formatCurrency(schedule.totalExtra)} extra principal</p>}
+        </div>
+        <div>
+          <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">PMI</p>
+          <p className="text-lg font-bold text-zinc-200">
+            {first.pmi > 0 ? `Ends ${schedule.pmiEndsLabel || 'never'}` : 'None'}
+          </p>
+          <p className="text-xs text-zinc-500">
+            {ltv !== null ? `LTV ${ltv.toFixed(0)}% (drops at ${PMI_REMOVAL_LTV}%)` : 'Link the property to track LTV'}
+          </p>
+        </div>
+      </div>
+
+      {liability.refinance_date && (
+        <p className="text-xs text-orange-300">
+          Refinance planned {liability.refinance_date}: {liability.refinance_rate}% for {formatMonths(Number(liability.refinance_term_months))}
+          {liability.refinance_closing_costs > 0 && `, ${formatCurrency(liability.refinance_closing_costs)} closing costs${liability.refinance_roll_costs ? ' rolled into the loan' : ''}`}
+        </p>
+      )}
+
+      <div>
+        <button
+          type="button"
+          onClick={() => setShowSchedule(!showSchedule)}
+          className="flex items-center gap-1 text-sm text-zinc-400 hover:text-zinc-200"
+        >
+          {showSchedule ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+          Amortization schedule
+        </button>
+        {showSchedule && (
+          <div className="mt-3 max-h-72 overflow-y-auto overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-zinc-900">
+                <tr className="text-zinc-500 text-left">
+                  <th className="py-2 pr-3">Year</th>
+                  <th className="py-2 pr-3 text-right">P&I + Escrow + PMI</th>
+                  <th className="py-2 pr-3 text-right">Interest</th>
+                  <th className="py-2 pr-3 text-right">Extra Principal</th>
+                  <th className="py-2 pr-3 text-right">Closing Costs</th>
+                  <th className="py-2 pr-3 text-right">End Balance</th>
+                </tr>
+              </thead>
+              <tbody className="text-zinc-300">
+                {Object.entries(yearly).map(([year, entry]) => (
+                  <tr key={year} className={cn("border-t border-zinc-800/50", entry.refinanced && "bg-orange-500/5")}>
+                    <td className="py-1.5 pr-3">{year}{entry.refinanced && <span className="text-orange-400"> • refinance</span>}</td>
+                    <td className="py-1.5 pr-3 text-right">{formatCurrency(entry.scheduled)}</td>
+                    <td className="py-1.5 pr-3 text-right text-rose-300">{formatCurrency(entry.interest)}</td>
+                    <td className="py-1.5 pr-3 text-right">{entry.extra > 0 ? formatCurrency(entry.extra) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right">{entry.closingCosts > 0 ? formatCurrency(entry.closingCosts) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right">{formatCurrency(entry.endBalance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="pt-4 border-t border-zinc-800 space-y-3">
+        <div className="flex items-center gap-2">
+          <RefreshCw className="w-4 h-4 text-orange-400" />
+          <p className="text-sm font-medium text-zinc-300">Refinance Break-Even</p>
+        </div>
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+          <div className="space-y-1">
+            <Label className="text-zinc-500 text-xs">New Rate (%)</Label>
+            <Input type="number" step="0.01" value={refinance.rate} onChange={(e) => updateRefinance({ rate: e.target.value })} className="bg-zinc-900 border-zinc-800 h-8" />
+          </div>
+          <div className="space-y-1">
+            <Label className="text-zinc-500 text-xs">New Term (years)</Label>
+            <Input type="number" step="1" value={refinance.termYears} onChange={(e) => updateRefinance({ termYears: e.target.value })} className="bg-zinc-900 border-zinc-800 h-8" />
+          </div>
+          <div className="space-y-1">
+            <Label className="text-zinc-500 text-xs">Closing Costs</Label>
+            <Input type="number" step="100" value={refinance.closingCosts} onChange={(e) => updateRefinance({ closingCosts: e.target.value })} className="bg-zinc-900 border-zinc-800 h-8" />
+          </div>
+          <div className="flex items-center gap-2 pt-5">
+            <Switch checked={refinance.rollCosts} onCheckedChange={(checked) => updateRefinance({ rollCosts: checked })} />
+            <span className="text-xs text-zinc-400">Roll costs into loan</span>
+          </div>
+        </div>
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 text-sm">
+          <div>
+            <p className="text-xs text-zinc-500">P&I Today → After</p>
+            <p className="text-zinc-200">{formatCurrency(breakEven.currentPayment)} → {formatCurrency(breakEven.newPayment)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-zinc-500">Monthly Savings</p>
+            <p className={breakEven.monthlySavings > 0 ? "text-emerald-400" : "text-rose-400"}>{formatCurrency(breakEven.monthlySavings)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-zinc-500">Break-Even</p>
+            <p className="text-zinc-200">{formatMonths(breakEven.breakEvenMonths)}</p>
+            <p className="text-xs text-zinc-500">Payment-only: {formatMonths(breakEven.simpleBreakEvenMonths)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-zinc-500">Lifetime Savings</p>
+            <p className={breakEven.netSavings > 0 ? "text-emerald-400" : "text-rose-400"}>{formatCurrency(breakEven.netSavings)}</p>
+            <p className="text-xs text-zinc-500">Interest {formatCurrency(breakEven.keepInterest)} → {formatCurrency(breakEven.refinanceInterest)}</p>
+          </div>
+        </div>
+        <p className="text-xs text-zinc-500">
+          Break-even counts payments, closing costs and the balance still owed, so stretching the term to lower the payment does not count as savings.
+          Plan a refinance by editing the loan.
+        </p>
+      </div>
+    </div>
+  );
+}
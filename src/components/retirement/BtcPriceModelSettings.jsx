@@ -0,0 +1,157 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Plus, RotateCcw, Trash2 } from 'lucide-react';
+import {
+  getBtcPriceModel,
+  getBtcModelParams,
+  createBtcPriceModelRate,
+  fitBtcLogRegression,
+  projectBtcPricePath,
+  BTC_PRICE_HISTORY_FIRST_YEAR,
+  BTC_PRICE_HISTORY_LAST_YEAR,
+} from '@/components/shared/btcPriceModels';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const PATH_YEARS = [1, 5, 10, 20, 30];
+
+function PiecewisePointsEditor({ points, onChange }) {
+  const updatePoint = (index, patch) => onChange(points.map((point, i) => (i === index ? { ...point, ...patch } : point)));
+  const lastYear = points.length ? Math.max(...points.map(p => p.year || 0)) : new Date().getFullYear();
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-[1fr_1fr_auto] gap-2 text-xs text-zinc-500">
+        <span>Year</span>
+        <span>CAGR (%)</span>
+        <span />
+      </div>
+      {points.map((point, index) => (
+        <div key={index} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-center">
+          <Input
+            type="number"
+            value={point.year}
+            onChange={(e) => updatePoint(index, { year: parseInt(e.target.value) || 0 })}
+            className="bg-zinc-900 border-zinc-800 h-8"
+          />
+          <Input
+            type="number"
+            step="0.5"
+            value={point.cagr}
+            onChange={(e) => updatePoint(index, { cagr: parseFloat(e.target.value) || 0 })}
+            className="bg-zinc-900 border-zinc-800 h-8"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(points.filter((_, i) => i !== index))}
+            className="text-zinc-500 hover:text-rose-400"
+            title="Remove point"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <Button
+        type="button"
+        size="sm"
+        variant="outline"
+        onClick={() => onChange([...points, { year: lastYear + 5, cagr: points[points.length - 1]?.cagr ?? 20 }])}
+        className="bg-transparent border-zinc-700 text-zinc-300"
+      >
+        <Plus className="w-3 h-3 mr-1" /> Add Point
+      </Button>
+      <p className="text-xs text-zinc-500">Rates between points are interpolated; before the first and after the last point the nearest rate holds.</p>
+    </div>
+  );
+}
+
+/**
+ * Parameters and expected price path for the selected BTC price model. Edits
+ * UserSettings.btc_model_params[modelKey]; models without parameters render nothing.
+ *
+ * @param {Object} props
+ * @param {string} props.modelKey - btcPriceModels registry key
+ * @param {Object} props.btcModelParams - All saved model params, keyed by model
+ * @param {Function} props.onChange - (btcModelParams) => void
+ * @param {number} props.btcCagr
+ * @param {number} props.currentPrice
+ * @param {number} props.inflationRate
+ */
+export default function BtcPriceModelSettings({ modelKey, btcModelParams, onChange, btcCagr, currentPrice, inflationRate }) {
+  const { format } = useCurrency();
+  const model = getBtcPriceModel(modelKey);
+  if (!model || model.fields.length === 0) return null;
+
+  const params = getBtcModelParams(modelKey, btcModelParams);
+  const update = (patch) => onChange({ ...(btcModelParams || {}), [modelKey]: { ...params, ...patch } });
+  const reset = () => {
+    const { [modelKey]: _removed, ...rest } = btcModelParams || {};
+    onChange(rest);
+  };
+
+  const fit = modelKey === 'log_regression' ? fitBtcLogRegression(params) : null;
+  const path = currentPrice > 0
+    ? projectBtcPricePath({
+        getBtcGrowthRate: createBtcPriceModelRate(modelKey, { btcCagr, btcModelParams }),
+        currentPrice,
+        years: PATH_YEARS[PATH_YEARS.length - 1],
+        inflationRate,
+      })
+    : null;
+
+  return (
+    <div className="mt-3 p-3 rounded-lg bg-zinc-800/50 border border-zinc-700 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <p className="text-sm text-zinc-200">{model.label} Parameters</p>
+          <p className="text-xs text-zinc-500">{model.description}</p>
+        </div>
+        <button type="button" onClick={reset} className="text-zinc-500 hover:text-zinc-300" title="Reset to defaults">
+          <RotateCcw className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-3 gap-3">
+        {model.fields.filter(field => field.type !== 'points').map(field => (
+          <div key={field.key} className="space-y-1">
+            <Label className="text-zinc-400 text-xs">{field.label}{field.suffix ? ` (${field.suffix})` : ''}</Label>
+            <Input
+              type="number"
+              step={field.step}
+              value={params[field.key] ?? ''}
+              placeholder={field.optional ? 'Auto' : undefined}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                update({ [field.key]: Number.isFinite(value) ? value : (field.optional ? null : 0) });
+              }}
+              className="bg-zinc-900 border-zinc-800 h-8"
+            />
+          </div>
+        ))}
+      </div>
+
+      {model.fields.some(field => field.type === 'points') && (
+        <PiecewisePointsEditor points={params.points || []} onChange={(points) => update({ points })} />
+      )}
+
+      {modelKey === 'log_regression' && (
+        <p className="text-xs text-zinc-500">
+          {fit
+            ? `Fit to ${fit.points} quarterly closes: log10(price) = ${fit.slope.toFixed(2)} × log10(days) ${fit.intercept < 0 ? '−' : '+'} ${Math.abs(fit.intercept).toFixed(2)} • R² ${fit.rSquared.toFixed(3)}`
+            : `Choose a window of at least one year between ${BTC_PRICE_HISTORY_FIRST_YEAR} and ${BTC_PRICE_HISTORY_LAST_YEAR}; the default power law is used until then.`}
+        </p>
+      )}
+
+      {path && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs">
+          <span className="text-zinc-500">Expected price:</span>
+          {PATH_YEARS.map(year => (
+            <span key={year} className="text-zinc-300">
+              +{year}y <span className="text-orange-400">{format(path[year].price, { compact: true })}</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,228 @@
+import { useMemo, useRef, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Progress } from "@/components/ui/progress";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { GitCompare, Loader2, RotateCcw, Shuffle, X } from 'lucide-react';
+import {
+  BTC_REGIMES,
+  BTC_REGIME_START_OPTIONS,
+  DEFAULT_BTC_REGIME_MODEL,
+  calibrateBtcRegimes,
+  getStationaryDistribution,
+  normalizeTransitions,
+} from '@/components/shared/btcRegimes';
+import { runBtcRegimeComparisonInWorkers, isMonteCarloCancelled } from '@/components/shared/monteCarloWorkerPool';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const formatPercent = (value, digits = 0) => `${(value ?? 0).toFixed(digits)}%`;
+const formatChange = (value) => `${value > 0 ? '+' : ''}${(value ?? 0).toFixed(1)} pts`;
+
+/**
+ * Markov regime-switching settings for BTC in Monte Carlo (UserSettings.btc_regime_model), with a
+ * paired comparison against the i.i.d. model.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.config - Saved btc_regime_model
+ * @param {Function} props.onChange - (config) => void
+ * @param {Function} props.getMonteCarloParams - Returns the plan's Monte Carlo params
+ * @param {Function} props.getSeed - Returns the plan's Monte Carlo seed
+ */
+export default function BtcRegimeSettings({ config, onChange, getMonteCarloParams, getSeed }) {
+  const { format } = useCurrency();
+  const settings = { ...DEFAULT_BTC_REGIME_MODEL, ...(config || {}) };
+  const calibration = useMemo(() => calibrateBtcRegimes(), []);
+  const transitions = settings.transitions ? normalizeTransitions(settings.transitions) : calibration.transitions;
+  const stationary = getStationaryDistribution(transitions);
+
+  const [comparison, setComparison] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const update = (patch) => {
+    setComparison(null);
+    onChange({ ...settings, ...patch });
+  };
+
+  // Edits keep the other cells of the row and rescale when the row is used
+  const updateTransition = (from, to, percent) => {
+    const next = transitions.map(row => row.map(p => Math.round(p * 1000) / 10));
+    next[from][to] = Math.max(0, Math.min(100, percent));
+    update({ transitions: next.map(row => row.map(p => p / 100)) });
+  };
+
+  const handleCompare = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setComparison(null);
+    setProgress(0);
+    try {
+      const result = await runBtcRegimeComparisonInWorkers({
+        params: getMonteCarloParams(),
+        btcRegimeModel: settings,
+        numSimulations: 500,
+        seed: getSeed(),
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => setProgress((completed / total) * 100),
+      });
+      setComparison(result);
+    } catch (err) {
+      if (!isMonteCarloCancelled(err)) {
+        console.error('BTC regime comparison error:', err);
+        setError(err.message);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="card-premium rounded-xl p-4 border border-zinc-800/50 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Shuffle className="w-4 h-4 text-orange-400" />
+          <div>
+            <p className="font-medium text-zinc-200">Regime-Switching BTC Returns</p>
+            <p className="text-xs text-zinc-500">Bull, bear and crab years follow each other like in BTC's history instead of being drawn independently</p>
+          </div>
+        </div>
+        <Switch checked={settings.enabled} onCheckedChange={(enabled) => update({ enabled })} />
+      </div>
+
+      {settings.enabled && (
+        <>
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="space-y-1">
+              <Label className="text-zinc-400 text-xs">First Year</Label>
+              <Select value={settings.start_regime} onValueChange={(start_regime) => update({ start_regime })}>
+                <SelectTrigger className="bg-zinc-900 border-zinc-800 w-48 h-8">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border-zinc-800">
+                  {BTC_REGIME_START_OPTIONS.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <p className="text-xs text-zinc-500">
+              Long run: {BTC_REGIMES.map((regime, r) => `${formatPercent(stationary[r] * 100)} ${regime.label.toLowerCase()}`).join(' • ')}
+            </p>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <Label className="text-zinc-400 text-xs">
+                Chance of Next Year's Regime (%) {settings.transitions ? '• Custom' : `• Calibrated from ${calibration.labels.length} quarterly one-year windows`}
+              </Label>
+              {settings.transitions && (
+                <button type="button" onClick={() => update({ transitions: null })} className="text-xs text-zinc-500 hover:text-zinc-300 flex items-center gap-1">
+                  <RotateCcw className="w-3 h-3" /> Use calibrated
+                </button>
+              )}
+            </div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-zinc-500 text-left">
+                  <th className="py-1">This Year</th>
+                  {BTC_REGIMES.map(regime => <th key={regime.value} className="py-1">→ {regime.label}</th>)}
+                  <th className="py-1 text-right">Avg. Run</th>
+                </tr>
+              </thead>
+              <tbody>
+                {BTC_REGIMES.map((regime, from) => (
+                  <tr key={regime.value} className="border-t border-zinc-800">
+                    <td className={`py-1 ${regime.color}`}>{regime.label}</td>
+                    {BTC_REGIMES.map((target, to) => (
+                      <td key={target.value} className="py-1 pr-2">
+                        <Input
+                          type="number"
+                          step="5"
+                          value={Math.round(transitions[from][to] * 1000) / 10}
+                          onChange={(e) => updateTransition(from, to, parseFloat(e.target.value) || 0)}
+                          className="bg-zinc-900 border-zinc-800 h-7 w-20"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 text-right text-zinc-400">
+                      {transitions[from][from] < 1 ? `${(1 / (1 - transitions[from][from])).toFixed(1)} yrs` : 'forever'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-zinc-500 mt-2">
+              Rows are rescaled to 100%. Regimes shift and widen BTC's yearly shock; each year's average return and volatility stay those of your BTC model.
+            </p>
+          </div>
+
+          <div className="p-3 rounded-lg bg-zinc-800/50 border border-zinc-700 space-y-3">
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-xs text-zinc-400">Compare with independent yearly draws on the same 500 seeded paths.</p>
+              {progress !== null ? (
+                <Button type="button" size="sm" variant="outline" onClick={() => abortRef.current?.abort()} className="bg-transparent border-zinc-700 text-zinc-300">
+                  <X className="w-3 h-3 mr-1" /> Cancel
+                </Button>
+              ) : (
+                <Button type="button" size="sm" onClick={handleCompare} className="bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30">
+                  <GitCompare className="w-3 h-3 mr-1" /> Compare with I.I.D.
+                </Button>
+              )}
+            </div>
+            {progress !== null && (
+              <div className="space-y-1">
+                <div className="flex justify-between text-xs text-zinc-400">
+                  <span className="flex items-center gap-1"><Loader2 className="w-3 h-3 animate-spin" /> Simulating both models…</span>
+                  <span>{Math.round(progress)}%</span>
+                </div>
+                <Progress value={progress} className="h-1.5 bg-zinc-800" />
+              </div>
+            )}
+            {error && <p className="text-xs text-rose-400">{error}</p>}
+            {comparison && (
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-zinc-500 text-left">
+                    <th className="py-1" />
+                    <th className="py-1 text-right">I.I.D.</th>
+                    <th className="py-1 text-right">Regimes</th>
+                    <th className="py-1 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="text-zinc-300">
+                  <tr className="border-t border-zinc-800">
+                    <td className="py-1">Plan Success Rate</td>
+                    <td className="py-1 text-right">{formatPercent(comparison.iid.successRate, 1)}</td>
+                    <td className="py-1 text-right">{formatPercent(comparison.regime.successRate, 1)}</td>
+                    <td className={`py-1 text-right ${comparison.successRateChange < 0 ? 'text-rose-400' : 'text-emerald-400'}`}>
+                      {formatChange(comparison.successRateChange)}
+                    </td>
+                  </tr>
+                  <tr className="border-t border-zinc-800">
+                    <td className="py-1">Liquidation Risk</td>
+                    <td className="py-1 text-right">{formatPercent(comparison.iid.liquidationRisk, 1)}</td>
+                    <td className="py-1 text-right">{formatPercent(comparison.regime.liquidationRisk, 1)}</td>
+                    <td className={`py-1 text-right ${comparison.liquidationRiskChange > 0 ? 'text-rose-400' : 'text-emerald-400'}`}>
+                      {formatChange(comparison.liquidationRiskChange)}
+                    </td>
+                  </tr>
+                  <tr className="border-t border-zinc-800">
+                    <td className="py-1">Median Ending Portfolio</td>
+                    <td className="py-1 text-right">{format(comparison.iid.distribution?.terminalWealth?.p50)}</td>
+                    <td className="py-1 text-right">{format(comparison.regime.distribution?.terminalWealth?.p50)}</td>
+                    <td />
+                  </tr>
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
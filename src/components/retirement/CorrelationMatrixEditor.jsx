@@ -0,0 +1,119 @@
+import { Input } from "@/components/ui/input";
+import { AlertTriangle, Check } from 'lucide-react';
+import {
+  ASSET_CLASSES,
+  CORRELATION_PRESETS,
+  matricesEqual,
+  validateCorrelationMatrix,
+} from '@/components/shared/assetCorrelations';
+
+const cellTint = (value) => {
+  if (value >= 0.6) return 'bg-orange-500/20';
+  if (value >= 0.3) return 'bg-orange-500/10';
+  if (value <= -0.3) return 'bg-sky-500/15';
+  return 'bg-zinc-900';
+};
+
+/**
+ * 6×6 asset correlation editor. Only the upper triangle is editable; the lower one mirrors it.
+ * Shows whether the matrix is positive semi-definite and offers the repaired matrix when not.
+ *
+ * @param {Object} props
+ * @param {Array<Array<number>>} props.matrix - Matrix being edited (ASSET_CLASSES order)
+ * @param {Function} props.onChange - (matrix) => void
+ * @param {Array} [props.presets] - Preset buttons ({ value, label, matrix }); defaults to CORRELATION_PRESETS
+ */
+export default function CorrelationMatrixEditor({ matrix, onChange, presets = CORRELATION_PRESETS }) {
+  const validation = validateCorrelationMatrix(matrix);
+
+  const updateCell = (i, j, value) => {
+    const next = matrix.map(row => [...row]);
+    next[i][j] = value;
+    next[j][i] = value;
+    onChange(next);
+  };
+
+  // Rounded for display unless rounding tips it back below zero
+  const applyRepaired = () => {
+    const rounded = validation.matrix.map(row => row.map(v => Math.round(v * 100) / 100));
+    onChange(validateCorrelationMatrix(rounded).valid ? rounded : validation.matrix);
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {presets.map(preset => (
+          <button
+            key={preset.value}
+            type="button"
+            onClick={() => onChange(preset.matrix.map(row => [...row]))}
+            className={`px-3 py-1.5 rounded-lg border text-xs transition-all ${
+              matricesEqual(matrix, preset.matrix)
+                ? 'bg-orange-500/20 border-orange-500/50 text-orange-300'
+                : 'bg-zinc-800/50 border-zinc-700 text-zinc-400 hover:border-zinc-600'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="text-xs">
+          <thead>
+            <tr className="text-zinc-500">
+              <th />
+              {ASSET_CLASSES.map(asset => <th key={asset.key} className="px-1 py-1 font-normal">{asset.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {ASSET_CLASSES.map((rowAsset, i) => (
+              <tr key={rowAsset.key}>
+                <td className="pr-2 py-1 text-zinc-400 whitespace-nowrap">{rowAsset.label}</td>
+                {ASSET_CLASSES.map((colAsset, j) => (
+                  <td key={colAsset.key} className="px-1 py-1">
+                    {j > i ? (
+                      <Input
+                        type="number"
+                        step="0.05"
+                        min="-1"
+                        max="1"
+                        value={matrix[i][j]}
+                        onChange={(e) => updateCell(i, j, parseFloat(e.target.value) || 0)}
+                        className={`${cellTint(matrix[i][j])} border-zinc-800 h-7 w-16 text-center px-1`}
+                      />
+                    ) : (
+                      <div className={`h-7 w-16 flex items-center justify-center rounded-md text-zinc-500 ${i === j ? '' : cellTint(matrix[i][j])}`}>
+                        {i === j ? '1' : Number(matrix[i][j]).toFixed(2)}
+                      </div>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {validation.valid ? (
+        <p className="text-xs text-emerald-400 flex items-center gap-1">
+          <Check className="w-3 h-3" /> Valid correlation matrix (positive semi-definite)
+        </p>
+      ) : (
+        <div className="p-2 rounded-lg bg-amber-500/10 border border-amber-500/30 text-xs text-amber-300 space-y-1">
+          {validation.issues.map(issue => (
+            <p key={issue} className="flex items-start gap-1">
+              <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" /> {issue}
+            </p>
+          ))}
+          <p className="text-zinc-400">
+            Simulations use the nearest valid matrix.{' '}
+            <button type="button" onClick={applyRepaired} className="text-orange-400 hover:underline">
+              Use it here
+            </button>
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
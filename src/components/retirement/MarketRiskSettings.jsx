@@ -0,0 +1,82 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Activity, RotateCcw } from 'lucide-react';
+import {
+  ASSET_CORRELATIONS,
+  DEFAULT_ASSET_VOLATILITIES,
+  VOLATILITY_FIELDS,
+  matricesEqual,
+  resolveAssetVolatilities,
+} from '@/components/shared/assetCorrelations';
+import { getBtcVolatilityForMonteCarlo } from '@/components/shared/monteCarloSimulation';
+import CorrelationMatrixEditor from '@/components/retirement/CorrelationMatrixEditor';
+
+/**
+ * Monte Carlo volatility and correlation assumptions (UserSettings.asset_volatilities and
+ * asset_correlations). A null matrix means the built-in historical one.
+ *
+ * @param {Object} props
+ * @param {Object} props.volatilities - Saved asset_volatilities (partial; blanks use defaults)
+ * @param {Function} props.onVolatilitiesChange - (volatilities) => void
+ * @param {Array<Array<number>>|null} props.correlations - Saved asset_correlations
+ * @param {Function} props.onCorrelationsChange - (matrix|null) => void
+ */
+export default function MarketRiskSettings({ volatilities, onVolatilitiesChange, correlations, onCorrelationsChange }) {
+  const resolved = resolveAssetVolatilities(volatilities);
+  const isDefault = !correlations && Object.keys(volatilities || {}).length === 0;
+
+  return (
+    <div className="card-premium rounded-xl p-4 border border-zinc-800/50 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Activity className="w-4 h-4 text-orange-400" />
+          <div>
+            <p className="font-medium text-zinc-200">Volatility & Correlations</p>
+            <p className="text-xs text-zinc-500">How much each asset swings per year, and how much they move together</p>
+          </div>
+        </div>
+        {!isDefault && (
+          <button
+            type="button"
+            onClick={() => { onVolatilitiesChange({}); onCorrelationsChange(null); }}
+            className="text-xs text-zinc-500 hover:text-zinc-300 flex items-center gap-1"
+          >
+            <RotateCcw className="w-3 h-3" /> Defaults
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+        {VOLATILITY_FIELDS.map(field => (
+          <div key={field.key} className="space-y-1">
+            <Label className="text-zinc-400 text-xs">{field.label} (%)</Label>
+            <Input
+              type="number"
+              step="1"
+              min="0"
+              value={volatilities?.[field.key] ?? ''}
+              placeholder={String(DEFAULT_ASSET_VOLATILITIES[field.key])}
+              onChange={(e) => {
+                const { [field.key]: _removed, ...rest } = volatilities || {};
+                const value = parseFloat(e.target.value);
+                onVolatilitiesChange(Number.isFinite(value) ? { ...rest, [field.key]: value } : rest);
+              }}
+              className="bg-zinc-900 border-zinc-800 h-8"
+            />
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-zinc-500">
+        BTC volatility fades from {resolved.btc}% toward {resolved.btcLongRun}% (year 10: {getBtcVolatilityForMonteCarlo(10, resolved).toFixed(0)}%, year 30: {getBtcVolatilityForMonteCarlo(30, resolved).toFixed(0)}%).
+      </p>
+
+      <div className="pt-3 border-t border-zinc-800">
+        <Label className="text-zinc-300 text-sm mb-2 block">Correlations</Label>
+        <CorrelationMatrixEditor
+          matrix={correlations || ASSET_CORRELATIONS}
+          onChange={(matrix) => onCorrelationsChange(matricesEqual(matrix, ASSET_CORRELATIONS) ? null : matrix)}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,289 @@
+import { useState } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { AlertTriangle, Loader2, Sparkles, Trash2 } from 'lucide-react';
+import { calculatePIA, getFullRetirementAgeYears, parseSSAStatementXML, parseAmount } from '@/components/shared/socialSecurity';
+import { optimizeSocialSecurityClaiming, SS_OPTIMIZER_RANKINGS } from '@/components/shared/socialSecurityOptimizer';
+
+const STATEMENT_PDF_SCHEMA = {
+  type: 'object',
+  properties: {
+    date_of_birth: { type: 'string', description: 'Date of birth, YYYY-MM-DD' },
+    earnings: {
+      type: 'array',
+      description: 'Rows of the "Your Taxed Social Security Earnings" column of the earnings record',
+      items: {
+        type: 'object',
+        properties: {
+          year: { type: 'number' },
+          amount: { type: 'number' },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Import a my Social Security statement: the XML download is parsed locally, a PDF statement goes
+ * through the file extraction integration.
+ */
+async function importSSAStatement(file) {
+  if (/\.xml$/i.test(file.name) || file.type.includes('xml')) {
+    return parseSSAStatementXML(await file.text());
+  }
+
+  const { file_url } = await base44.integrations.Core.UploadFile({ file });
+  /** @type {{ status?: string, details?: string, output?: Object }} */
+  const result = await base44.integrations.Core.ExtractDataFromUploadedFile({ file_url, json_schema: STATEMENT_PDF_SCHEMA });
+  if (result?.status !== 'success') {
+    throw new Error(result?.details || 'Could not read the statement PDF');
+  }
+
+  const earnings = (result.output?.earnings || [])
+    .map(row => ({ year: parseInt(row.year), amount: parseAmount(row.amount) }))
+    .filter(row => row.year > 1936 && row.amount >= 0)
+    .sort((a, b) => a.year - b.year);
+  if (earnings.length === 0) throw new Error('No earnings record found in the PDF');
+
+  return {
+    source: 'pdf',
+    imported_at: new Date().toISOString(),
+    name: '',
+    birth_year: parseInt(String(result.output?.date_of_birth || '').slice(0, 4)) || null,
+    earnings,
+  };
+}
+
+const formatAge = (age) => {
+  const years = Math.floor(age);
+  const months = Math.round((age - years) * 12);
+  return months ? `${years} and ${months} mo` : `${years}`;
+};
+
+function EarningsRecordImport({ label, person, record, onChange }) {
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setImporting(true);
+    setError(null);
+    try {
+      const imported = await importSSAStatement(file);
+      if (imported.birth_year && imported.birth_year !== person.birthYear) {
+        setError(`Statement birth year ${imported.birth_year} differs from the plan (${person.birthYear}); the plan's age is used.`);
+      }
+      onChange(imported);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const pia = record?.earnings?.length
+    ? calculatePIA(record.earnings, { birthYear: person.birthYear, futureAnnualEarnings: person.grossAnnualIncome, stopWorkingAge: person.retirementAge })
+    : null;
+
+  return (
+    <div className="p-3 rounded-lg bg-zinc-800/50 border border-zinc-700 space-y-2">
+      <div className="flex items-center justify-between">
+        <Label className="text-zinc-300 text-sm">{label}</Label>
+        {record && (
+          <button type="button" onClick={() => onChange(null)} className="text-zinc-500 hover:text-rose-400" title="Remove earnings record">
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+      {pia ? (
+        <p className="text-xs text-zinc-400">
+          {record.earnings.length} years imported ({record.source.toUpperCase()}) •
+          PIA <span className="text-emerald-400">${pia.monthlyPia.toLocaleString()}/mo</span> at full retirement age {formatAge(getFullRetirementAgeYears(person.birthYear))} •
+          {' '}{pia.yearsWithEarnings} of 35 years with earnings
+        </p>
+      ) : (
+        <p className="text-xs text-zinc-500">Using the income-based estimate. Import your statement from ssa.gov/myaccount for your real PIA.</p>
+      )}
+      <div className="flex items-center gap-2">
+        <Input
+          type="file"
+          accept=".xml,.pdf"
+          onChange={handleFileChange}
+          disabled={importing}
+          className="max-w-xs cursor-pointer file:cursor-pointer file:mr-4 file:py-1 file:px-3 file:rounded-full file:border-0 file:text-xs file:font-semibold file:bg-orange-500/20 file:text-orange-400 hover:file:bg-orange-500/30"
+        />
+        {importing && <Loader2 className="w-4 h-4 animate-spin text-orange-400" />}
+      </div>
+      {error && (
+        <p className="text-rose-400 text-xs flex items-center gap-1">
+          <AlertTriangle className="w-3 h-3" /> {error}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Earnings record import and claiming-age optimizer for the Social Security section.
+ *
+ * @param {Object} props
+ * @param {Object} props.primary - { birthYear, grossAnnualIncome, retirementAge, earningsRecord }
+ * @param {Object|null} props.spouse - Same shape, or null without a modeled spouse
+ * @param {Function} props.onEarningsRecordChange - (who: 'primary' | 'spouse', record) => void
+ * @param {Function} props.getProjectionParams - Returns runUnifiedProjection params for the saved plan
+ * @param {Function} props.onApply - ({ primaryAge, spouseAge }) => void
+ */
+export default function SocialSecurityOptimizer({ primary, spouse, onEarningsRecordChange, getProjectionParams, onApply }) {
+  const [ranking, setRanking] = useState('after_tax_benefit');
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const handleOptimize = () => {
+    setRunning(true);
+    setResult(null);
+
+    // Use setTimeout to prevent UI freezing during heavy computation
+    setTimeout(() => {
+      try {
+        setResult(optimizeSocialSecurityClaiming(getProjectionParams()));
+      } catch (error) {
+        console.error('Social Security optimizer error:', error);
+      } finally {
+        setRunning(false);
+      }
+    }, 50);
+  };
+
+  const rankKey = ranking === 'plan_success' ? 'rankByPlan' : 'rankByBenefit';
+  const best = result ? (ranking === 'plan_success' ? result.bestByPlan : result.bestByBenefit) : null;
+  const topCombinations = result
+    ? [...result.combinations].sort((a, b) => a[rankKey] - b[rankKey]).slice(0, 10)
+    : [];
+  const formatReal = (value) => `$${Math.round(value || 0).toLocaleString()}`;
+
+  return (
+    <div className="mt-4 space-y-3">
+      <div className={`grid grid-cols-1 ${spouse ? 'sm:grid-cols-2' : ''} gap-3`}>
+        <EarningsRecordImport
+          label="My Earnings Record"
+          person={primary}
+          record={primary.earningsRecord}
+          onChange={(record) => onEarningsRecordChange('primary', record)}
+        />
+        {spouse && (
+          <EarningsRecordImport
+            label="Spouse's Earnings Record"
+            person={spouse}
+            record={spouse.earningsRecord}
+            onChange={(record) => onEarningsRecordChange('spouse', record)}
+          />
+        )}
+      </div>
+
+      <div className="p-3 bg-zinc-800/50 border border-zinc-700 rounded-lg space-y-3">
+        <div>
+          <Label className="text-zinc-200 text-sm">Optimize Claiming Ages</Label>
+          <p className="text-xs text-zinc-500">
+            Runs the plan for every claiming age from 62 to 70{spouse ? ' for both of you, with spousal and survivor benefits' : ''}. Uses your saved plan settings.
+          </p>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          {SS_OPTIMIZER_RANKINGS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setRanking(option.value)}
+              className={`p-2 rounded-lg border text-left ${
+                ranking === option.value
+                  ? 'border-orange-500 bg-orange-500/10 text-orange-400'
+                  : 'border-zinc-700 bg-zinc-800 text-zinc-400 hover:border-zinc-600'
+              }`}
+            >
+              <div className="font-medium text-xs">{option.label}</div>
+              <div className="text-xs opacity-70">{option.desc}</div>
+            </button>
+          ))}
+        </div>
+        <Button
+          type="button"
+          onClick={handleOptimize}
+          disabled={running}
+          className="w-full bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+        >
+          {running ? (
+            <><Loader2 className="h-4 w-4 mr-2 animate-spin" /> Comparing claiming ages...</>
+          ) : (
+            <><Sparkles className="h-4 w-4 mr-2" /> Find Best Claiming Ages</>
+          )}
+        </Button>
+
+        {result && best && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 gap-2 text-xs">
+              <div className="p-2 bg-zinc-900 rounded-lg">
+                <p className="text-zinc-500">Lifetime After-Tax Benefit (today's $)</p>
+                <p className="text-zinc-200">
+                  {result.current ? formatReal(result.current.lifetimeAfterTaxReal) : '—'} → <span className="text-emerald-400">{formatReal(best.lifetimeAfterTaxReal)}</span>
+                </p>
+              </div>
+              <div className="p-2 bg-zinc-900 rounded-lg">
+                <p className="text-zinc-500">Ending Portfolio (today's $)</p>
+                <p className="text-zinc-200">
+                  {result.current ? formatReal(result.current.finalPortfolioReal) : '—'} → <span className="text-emerald-400">{formatReal(best.finalPortfolioReal)}</span>
+                </p>
+              </div>
+            </div>
+
+            <div className="max-h-64 overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-zinc-500 text-left">
+                    <th className="py-1">#</th>
+                    <th className="py-1">{spouse ? 'Ages (Me / Spouse)' : 'Age'}</th>
+                    <th className="py-1 text-right">After-Tax Benefit</th>
+                    {spouse && <th className="py-1 text-right">Spousal + Survivor</th>}
+                    <th className="py-1 text-right">Ending Portfolio</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {topCombinations.map(combo => {
+                    const isCurrent = combo === result.current;
+                    return (
+                      <tr key={`${combo.primaryAge}-${combo.spouseAge}`} className={`border-t border-zinc-800 ${isCurrent ? 'text-orange-400' : 'text-zinc-300'}`}>
+                        <td className="py-1">{combo[rankKey]}</td>
+                        <td className="py-1">{combo.primaryAge}{spouse ? ` / ${combo.spouseAge}` : ''}{isCurrent ? ' (current)' : ''}</td>
+                        <td className="py-1 text-right">{formatReal(combo.lifetimeAfterTaxReal)}</td>
+                        {spouse && <td className="py-1 text-right">{formatReal(combo.lifetimeSpousalReal + combo.lifetimeSurvivorReal)}</td>}
+                        <td className={`py-1 text-right ${combo.survives ? '' : 'text-rose-400'}`}>
+                          {combo.survives ? formatReal(combo.finalPortfolioReal) : `Depleted at ${combo.depleteAge}`}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <p className="text-xs text-zinc-500">{result.evaluations} combinations evaluated</p>
+              {best !== result.current && (
+                <Button
+                  type="button"
+                  size="sm"
+                  onClick={() => onApply({ primaryAge: best.primaryAge, spouseAge: best.spouseAge })}
+                  className="bg-orange-500 hover:bg-orange-600 text-white"
+                >
+                  Claim at {best.primaryAge}{spouse ? ` / ${best.spouseAge}` : ''}
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
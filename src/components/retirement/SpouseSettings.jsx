@@ -0,0 +1,91 @@
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Users } from 'lucide-react';
+import { getRMDStartAge } from '@/components/shared/taxData';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const NUMBER_FIELDS = [
+  { key: 'birth_year', label: 'Birth Year', parse: parseInt },
+  { key: 'retirement_age', label: 'Retirement Age', parse: parseInt },
+  { key: 'life_expectancy', label: 'Life Expectancy', parse: parseInt },
+  { key: 'gross_annual_income', label: 'Gross Annual Income', parse: parseFloat, baseCurrency: true },
+  { key: 'contribution_401k', label: '401(k) Contribution', parse: parseFloat, prefix: '$' },
+  { key: 'employer_401k_match', label: 'Employer 401(k) Match', parse: parseFloat, prefix: '$' },
+  { key: 'contribution_traditional_ira', label: 'Traditional IRA Contribution', parse: parseFloat, prefix: '$' },
+  { key: 'contribution_roth_ira', label: 'Roth IRA Contribution', parse: parseFloat, prefix: '$' },
+  { key: 'social_security_start_age', label: 'Social Security Claiming Age', parse: parseInt },
+];
+
+/**
+ * Second person of a married household. Edits UserSettings.spouse_profile; the projection
+ * reads it through buildSpouseProfile.
+ */
+export default function SpouseSettings({ profile, onChange }) {
+  const { symbol, fromUSD, toUSD } = useCurrency();
+  const update = (patch) => onChange({ ...profile, ...patch });
+  const currentAge = new Date().getFullYear() - (parseInt(profile.birth_year) || 0);
+
+  return (
+    <div className="mt-4 p-4 rounded-xl bg-zinc-800/30 border border-zinc-700/50 space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Users className="w-4 h-4 text-orange-400" />
+          <div>
+            <p className="font-medium text-zinc-200">Model My Spouse</p>
+            <p className="text-xs text-zinc-500">Separate age, income, contributions, Social Security and life expectancy</p>
+          </div>
+        </div>
+        <Switch checked={profile.enabled} onCheckedChange={(enabled) => update({ enabled })} />
+      </div>
+
+      {profile.enabled && (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            {NUMBER_FIELDS.map(field => (
+              <div key={field.key} className="space-y-2">
+                <Label className="text-zinc-400">{field.label}{field.baseCurrency ? ` (${symbol})` : field.prefix ? ` (${field.prefix})` : ''}</Label>
+                <Input
+                  type="number"
+                  value={field.baseCurrency ? toInputValue(fromUSD(profile[field.key])) : profile[field.key]}
+                  onChange={(e) => {
+                    const value = field.parse(e.target.value) || 0;
+                    update({ [field.key]: field.baseCurrency ? toUSD(value) : value });
+                  }}
+                  className="bg-zinc-900 border-zinc-800"
+                />
+              </div>
+            ))}
+            <div className="space-y-2">
+              <Label className="text-zinc-400">Social Security (Annual $)</Label>
+              <Input
+                type="number"
+                value={profile.social_security_amount}
+                onChange={(e) => update({ social_security_amount: parseFloat(e.target.value) || 0 })}
+                disabled={!profile.use_custom_social_security}
+                className="bg-zinc-900 border-zinc-800"
+              />
+              <div className="flex items-center gap-2">
+                <Checkbox
+                  id="spouseCustomSocialSecurity"
+                  checked={profile.use_custom_social_security}
+                  onCheckedChange={(checked) => update({ use_custom_social_security: !!checked })}
+                  className="border-zinc-600 data-[state=checked]:bg-orange-500"
+                />
+                <Label htmlFor="spouseCustomSocialSecurity" className="text-xs text-zinc-500 cursor-pointer">
+                  Use my own estimate (otherwise from income or their imported SSA record)
+                </Label>
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-zinc-500">
+            Spouse is {currentAge} today • RMDs start at {getRMDStartAge(parseInt(profile.birth_year) || 0)} • After the first death the plan files as single and the survivor keeps the larger of the two Social Security benefits.
+            Assign accounts to your spouse from the account settings so their RMDs use their age.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
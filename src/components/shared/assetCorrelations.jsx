@@ -0,0 +1,192 @@
+// components/shared/assetCorrelations.js
+// Correlation matrix and volatilities behind the Monte Carlo asset shocks, with the checks needed to
+// let users edit them. Cholesky only works on a positive semi-definite (PSD) matrix, and a
+// hand-edited matrix often is not one, so invalid input is repaired to the nearest correlation
+// matrix (Higham's alternating projections) instead of being rejected.
+
+export const ASSET_CLASSES = [
+  { key: 'btc', label: 'BTC' },
+  { key: 'stocks', label: 'Stocks' },
+  { key: 'bonds', label: 'Bonds' },
+  { key: 'realEstate', label: 'Real Estate' },
+  { key: 'cash', label: 'Cash' },
+  { key: 'other', label: 'Other' },
+];
+
+// Asset correlation matrix based on historical data (2018-2024)
+// Order: [BTC, Stocks, Bonds, RealEstate, Cash, Other]
+export const ASSET_CORRELATIONS = [
+  [1.00,  0.40, -0.10,  0.20,  0.00,  0.30],  // BTC
+  [0.40,  1.00, -0.20,  0.50,  0.00,  0.60],  // Stocks
+  [-0.10, -0.20, 1.00, -0.10,  0.30, -0.10],  // Bonds
+  [0.20,  0.50, -0.10,  1.00,  0.00,  0.40],  // Real Estate
+  [0.00,  0.00,  0.30,  0.00,  1.00,  0.00],  // Cash
+  [0.30,  0.60, -0.10,  0.40,  0.00,  1.00],  // Other
+];
+
+const uniformCorrelations = (value) => ASSET_CLASSES.map((_, i) => ASSET_CLASSES.map((__, j) => (i === j ? 1 : value)));
+
+export const CORRELATION_PRESETS = [
+  { value: 'historical', label: 'Historical (2018-2024)', matrix: ASSET_CORRELATIONS },
+  { value: 'crisis', label: 'Crisis (everything 0.9)', matrix: uniformCorrelations(0.9) },
+  { value: 'independent', label: 'Independent (0)', matrix: uniformCorrelations(0) },
+];
+
+// Annual volatility (%) per asset. BTC volatility decays from `btc` toward `btcLongRun`.
+export const DEFAULT_ASSET_VOLATILITIES = {
+  btc: 55,
+  btcLongRun: 20,
+  btcDecayRate: 0.05,
+  stocks: 18,
+  bonds: 2,
+  realEstate: 5,
+  cash: 1,
+  other: 3,
+};
+
+export const VOLATILITY_FIELDS = [
+  { key: 'btc', label: 'BTC (Today)' },
+  { key: 'btcLongRun', label: 'BTC (Long Run)' },
+  { key: 'stocks', label: 'Stocks' },
+  { key: 'bonds', label: 'Bonds' },
+  { key: 'realEstate', label: 'Real Estate' },
+  { key: 'cash', label: 'Cash' },
+  { key: 'other', label: 'Other' },
+];
+
+/** Saved volatilities merged over the defaults; blank or negative entries fall back to the default. */
+export function resolveAssetVolatilities(volatilities) {
+  const resolved = { ...DEFAULT_ASSET_VOLATILITIES };
+  Object.keys(DEFAULT_ASSET_VOLATILITIES).forEach(key => {
+    const value = Number(volatilities?.[key]);
+    if (volatilities?.[key] !== null && volatilities?.[key] !== '' && Number.isFinite(value) && value >= 0) resolved[key] = value;
+  });
+  return resolved;
+}
+
+export const matricesEqual = (a, b) =>
+  a.length === b.length && a.every((row, i) => row.every((value, j) => Math.abs(value - b[i][j]) < 1e-9));
+
+// Symmetric, unit diagonal, entries in [-1, 1]; missing entries are 0
+function sanitizeCorrelations(matrix) {
+  const n = ASSET_CLASSES.length;
+  const value = (i, j) => {
+    const v = Number(matrix?.[i]?.[j]);
+    return Number.isFinite(v) ? v : 0;
+  };
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => {
+    if (i === j) return 1;
+    return Math.max(-1, Math.min(1, (value(i, j) + value(j, i)) / 2));
+  }));
+}
+
+// Eigen-decomposition of a symmetric matrix by cyclic Jacobi rotations (fine for 6×6)
+function symmetricEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => [...row]);
+  /** @type {number[][]} */
+  const vectors = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) => (i === j ? 1 : 0)));
+
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let offDiagonal = 0;
+    for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] ** 2;
+    if (offDiagonal < 1e-22) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-15) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = vectors[k][p];
+          const vkq = vectors[k][q];
+          vectors[k][p] = c * vkp - s * vkq;
+          vectors[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  return { values: a.map((row, i) => row[i]), vectors };
+}
+
+// V · max(Λ, floor) · Vᵀ
+function clipEigenvalues(matrix, floor) {
+  const { values, vectors } = symmetricEigen(matrix);
+  const n = matrix.length;
+  return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (__, j) =>
+    values.reduce((sum, value, k) => sum + vectors[i][k] * Math.max(value, floor) * vectors[j][k], 0)
+  ));
+}
+
+export const getMinEigenvalue = (matrix) => Math.min(...symmetricEigen(matrix).values);
+
+/**
+ * Nearest correlation matrix (Higham 2002): alternate projections onto the PSD cone and onto
+ * unit-diagonal matrices, with Dykstra's correction. A last eigenvalue clip and rescale guarantees
+ * the result is PSD with a unit diagonal even if the loop stops early.
+ */
+export function nearestCorrelationMatrix(matrix, { maxIterations = 200, tolerance = 1e-10 } = {}) {
+  const n = matrix.length;
+  let y = matrix.map(row => [...row]);
+  let correction = Array.from({ length: n }, () => Array(n).fill(0));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const r = y.map((row, i) => row.map((value, j) => value - correction[i][j]));
+    const x = clipEigenvalues(r, 0);
+    correction = x.map((row, i) => row.map((value, j) => value - r[i][j]));
+    const next = x.map((row, i) => row.map((value, j) => (i === j ? 1 : value)));
+    const change = next.reduce((sum, row, i) => sum + row.reduce((s, value, j) => s + (value - y[i][j]) ** 2, 0), 0);
+    y = next;
+    if (change < tolerance) break;
+  }
+
+  const clipped = clipEigenvalues(y, 1e-10);
+  const scale = clipped.map((row, i) => Math.sqrt(row[i]));
+  return clipped.map((row, i) => row.map((value, j) => (i === j ? 1 : value / (scale[i] * scale[j]))));
+}
+
+/**
+ * Check a user-edited correlation matrix and repair it if needed.
+ *
+ * @param {Array<Array<number>>|null} matrix - 6×6 in ASSET_CLASSES order; null = ASSET_CORRELATIONS
+ * @returns {Object} { valid, issues, minEigenvalue, matrix } - `matrix` is safe to feed to Cholesky:
+ *   the input itself when valid, otherwise the nearest valid correlation matrix
+ */
+export function validateCorrelationMatrix(matrix) {
+  if (!matrix) return { valid: true, issues: [], minEigenvalue: getMinEigenvalue(ASSET_CORRELATIONS), matrix: ASSET_CORRELATIONS };
+
+  const issues = [];
+  const sanitized = sanitizeCorrelations(matrix);
+  const raw = (i, j) => Number(matrix?.[i]?.[j]);
+  let shapeFixed = false;
+  for (let i = 0; i < sanitized.length; i++) {
+    for (let j = 0; j < sanitized.length; j++) {
+      if (!Number.isFinite(raw(i, j)) || Math.abs(raw(i, j) - sanitized[i][j]) > 1e-9) shapeFixed = true;
+    }
+  }
+  if (shapeFixed) issues.push('Entries were made symmetric, kept within -1 to 1, with 1 on the diagonal.');
+
+  const minEigenvalue = getMinEigenvalue(sanitized);
+  if (minEigenvalue < -1e-9) {
+    issues.push(`Not positive semi-definite (smallest eigenvalue ${minEigenvalue.toFixed(3)}): these correlations cannot all hold at once.`);
+    return { valid: false, issues, minEigenvalue, matrix: nearestCorrelationMatrix(sanitized) };
+  }
+  return { valid: issues.length === 0, issues, minEigenvalue, matrix: sanitized };
+}
+
+/** The matrix Monte Carlo should use for a saved setting (null, valid or repaired). */
+export const resolveAssetCorrelations = (matrix) => validateCorrelationMatrix(matrix).matrix;
@@ -4,6 +4,10 @@ const POWER_LAW_B = -17.2;
 const LOWER_BAND_OFFSET = -0.6;
 const UPPER_BAND_OFFSET = 0.6;
 
+// log10(price) = slope * log10(days since genesis) + intercept. Other fits (e.g. the log regression
+// model in btcPriceModels) pass their own coefficients.
+export const DEFAULT_POWER_LAW_COEFFICIENTS = { slope: POWER_LAW_A, intercept: POWER_LAW_B };
+
 // Calculate days since Bitcoin genesis
 export function daysSinceGenesis(targetDate) {
   const target = new Date(targetDate);
@@ -13,9 +17,9 @@ export function daysSinceGenesis(targetDate) {
 }
 
 // Calculate Power Law price bands for a given date
-export function bitcoinPowerLaw(targetDate) {
+export function bitcoinPowerLaw(targetDate, coefficients = DEFAULT_POWER_LAW_COEFFICIENTS) {
   const days = daysSinceGenesis(targetDate);
-  const logPrice = (POWER_LAW_A * Math.log10(days)) + POWER_LAW_B;
+  const logPrice = (coefficients.slope * Math.log10(days)) + coefficients.intercept;
   
   return {
     date: targetDate,
@@ -50,15 +54,15 @@ export function projectPowerLawByAge(currentAge, targetAge, currentDate = new Da
 }
 
 // Get Power Law implied CAGR for a specific year from now
-export function getPowerLawCAGR(yearFromNow = 0, currentDate = new Date()) {
+export function getPowerLawCAGR(yearFromNow = 0, currentDate = new Date(), coefficients = DEFAULT_POWER_LAW_COEFFICIENTS) {
   const startDate = new Date(currentDate);
   startDate.setFullYear(startDate.getFullYear() + yearFromNow);
   
   const endDate = new Date(startDate);
   endDate.setFullYear(endDate.getFullYear() + 1);
   
-  const startPrice = bitcoinPowerLaw(startDate).fair_value_usd;
-  const endPrice = bitcoinPowerLaw(endDate).fair_value_usd;
+  const startPrice = bitcoinPowerLaw(startDate, coefficients).fair_value_usd;
+  const endPrice = bitcoinPowerLaw(endDate, coefficients).fair_value_usd;
   
   // Calculate implied annual growth rate for this specific year
   const impliedCAGR = ((endPrice / startPrice) - 1) * 100;
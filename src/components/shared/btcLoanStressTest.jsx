@@ -0,0 +1,311 @@
+// components/shared/btcLoanStressTest.js
+import { resolveLoanTerms, accrueLoanInterest, getLiquidationSaleBtc } from './lenderProfiles';
+
+// Replays BTC's historical drawdowns against today's BTC-backed loans. Each path is scaled so its
+// peak is today's price (the crash starts now) and walked point by point with the same collateral
+// rules the projection uses, per loan from its lender profile: accrue interest, auto top-up from the
+// unencumbered reserve, liquidate at the liquidation LTV, release excess collateral back to the reserve.
+//
+// Paths are approximate closes, roughly weekly through each crash and monthly into the recovery,
+// with the intraday low on the worst days (lenders liquidate intraday, not at the close). Between
+// points the price moves in steps of at most 1%, so an automated top-up gets its chance before the
+// LTV can jump from below the trigger past liquidation.
+
+export const BTC_CRASH_PATHS = [
+  {
+    key: '2011',
+    label: '2011 Bubble Pop',
+    description: 'Mt. Gox era: $29.6 in June 2011 to $2 by November (-93%)',
+    points: [
+      ['2011-06-08', 29.6], ['2011-06-15', 19.0], ['2011-06-22', 17.0], ['2011-07-06', 14.8],
+      ['2011-07-20', 13.7], ['2011-08-03', 9.0], ['2011-08-17', 11.0], ['2011-08-24', 8.0],
+      ['2011-09-07', 6.7], ['2011-09-21', 5.3], ['2011-10-05', 4.9], ['2011-10-19', 2.6],
+      ['2011-11-02', 3.2], ['2011-11-18', 2.0], ['2011-12-15', 3.2], ['2012-01-15', 6.8],
+      ['2012-03-01', 4.9], ['2012-05-01', 5.0], ['2012-07-01', 6.7], ['2012-09-01', 10.2],
+      ['2012-11-01', 10.6],
+    ],
+  },
+  {
+    key: '2014',
+    label: '2014 Mt. Gox Collapse',
+    description: '$1,150 in December 2013 to $178 in January 2015 (-85%) over 13 months',
+    points: [
+      ['2013-12-04', 1150], ['2013-12-18', 455], ['2013-12-31', 730], ['2014-01-15', 830],
+      ['2014-02-01', 800], ['2014-02-25', 530], ['2014-03-15', 630], ['2014-04-11', 380],
+      ['2014-04-30', 445], ['2014-06-03', 665], ['2014-07-01', 640], ['2014-08-18', 470],
+      ['2014-09-22', 400], ['2014-10-05', 320], ['2014-11-04', 325], ['2014-11-12', 425],
+      ['2014-12-15', 345], ['2015-01-01', 315], ['2015-01-14', 178], ['2015-02-01', 225],
+      ['2015-04-01', 245], ['2015-06-01', 225], ['2015-08-01', 280], ['2015-11-04', 400],
+      ['2016-01-01', 430],
+    ],
+  },
+  {
+    key: '2018',
+    label: '2018 Crypto Winter',
+    description: '$19,100 in December 2017 to $3,200 in December 2018 (-83%)',
+    points: [
+      ['2017-12-17', 19100], ['2017-12-22', 13800], ['2018-01-06', 17200], ['2018-01-17', 11200],
+      ['2018-02-06', 6000], ['2018-02-20', 11200], ['2018-03-05', 11500], ['2018-03-18', 7900],
+      ['2018-04-06', 6600], ['2018-04-24', 9600], ['2018-05-28', 7100], ['2018-06-29', 5900],
+      ['2018-07-24', 8400], ['2018-08-14', 6200], ['2018-09-04', 7400], ['2018-10-10', 6600],
+      ['2018-11-14', 5700], ['2018-11-20', 4600], ['2018-11-25', 3700], ['2018-12-07', 3400],
+      ['2018-12-15', 3200], ['2019-01-01', 3850], ['2019-02-08', 3600], ['2019-04-02', 4900],
+      ['2019-05-14', 8000], ['2019-06-01', 8550],
+    ],
+  },
+  {
+    key: 'covid',
+    label: 'COVID Crash (March 2020)',
+    description: '$10,350 in February 2020 to $3,850 intraday on March 13 (-63%), half of it in two days',
+    points: [
+      ['2020-02-13', 10350], ['2020-02-26', 8800], ['2020-03-07', 8900], ['2020-03-09', 7900],
+      ['2020-03-11', 7900], ['2020-03-12', 4970], ['2020-03-13', 3850], ['2020-03-16', 5030],
+      ['2020-03-19', 6200], ['2020-03-26', 6750], ['2020-04-06', 7300], ['2020-04-29', 8800],
+      ['2020-05-07', 9950], ['2020-06-01', 10200], ['2020-07-27', 11000],
+    ],
+  },
+  {
+    key: '2022',
+    label: '2022 Bear Market',
+    description: '$69,000 in November 2021 to $15,500 in November 2022 (-77%), through LUNA and FTX',
+    points: [
+      ['2021-11-10', 69000], ['2021-11-26', 53700], ['2021-12-04', 42000], ['2021-12-31', 46300],
+      ['2022-01-22', 35000], ['2022-02-24', 34300], ['2022-03-28', 47100], ['2022-04-30', 37700],
+      ['2022-05-09', 30100], ['2022-05-12', 26700], ['2022-06-01', 29800], ['2022-06-13', 22500],
+      ['2022-06-18', 17600], ['2022-07-01', 19300], ['2022-07-29', 23800], ['2022-08-13', 24400],
+      ['2022-09-06', 18800], ['2022-10-13', 18200], ['2022-11-05', 21300], ['2022-11-09', 15900],
+      ['2022-11-21', 15500], ['2022-12-31', 16500], ['2023-01-31', 23100], ['2023-03-10', 20100],
+      ['2023-04-14', 30500], ['2023-06-30', 30400], ['2023-11-10', 37300],
+    ],
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STEP_LOG_MOVE = Math.log(1.01);
+
+// Path points → [{ date, time, price }] with log-linear steps no bigger than 1%
+function expandPath(points) {
+  const steps = [];
+  points.forEach(([date, price], index) => {
+    const time = new Date(date).getTime();
+    if (index === 0) {
+      steps.push({ date, time, price });
+      return;
+    }
+    const [previousDate, previousPrice] = points[index - 1];
+    const previousTime = new Date(previousDate).getTime();
+    const logMove = Math.log(price / previousPrice);
+    const count = Math.max(1, Math.ceil(Math.abs(logMove) / MAX_STEP_LOG_MOVE));
+    for (let step = 1; step <= count; step++) {
+      const stepTime = previousTime + ((time - previousTime) * step) / count;
+      steps.push({
+        date: step === count ? date : new Date(stepTime).toISOString().slice(0, 10),
+        time: stepTime,
+        price: previousPrice * Math.exp((logMove * step) / count),
+      });
+    }
+  });
+  return steps;
+}
+
+/**
+ * Loans from Liability (type btc_collateralized) and CollateralizedLoan records that have collateral,
+ * each with its resolved lender terms.
+ *
+ * @param {Array} liabilities
+ * @param {Array} collateralizedLoans
+ * @param {Array} [customProfiles] - UserSettings.btc_lender_profiles
+ * @param {Object} [rules] - Global collateral rules (getCollateralRules) for loans without a profile
+ */
+export function getStressTestLoans(liabilities = [], collateralizedLoans = [], customProfiles = [], rules = undefined) {
+  return [
+    ...liabilities.filter(l => l.type === 'btc_collateralized'),
+    ...collateralizedLoans,
+  ]
+    .filter(loan => (loan.collateral_btc_amount || 0) > 0 && (loan.current_balance || 0) > 0)
+    .map(loan => ({
+      id: loan.id,
+      name: loan.name || loan.lender || 'BTC Loan',
+      balance: loan.current_balance,
+      collateralBtc: loan.collateral_btc_amount,
+      principal: loan.principal_amount || loan.current_balance,
+      interestRate: loan.interest_rate || 0,
+      terms: resolveLoanTerms(loan, customProfiles, rules),
+    }));
+}
+
+/**
+ * Replay one crash path against every loan, sharing one unencumbered BTC reserve.
+ *
+ * @param {Object} options
+ * @param {Array} options.loans - From getStressTestLoans
+ * @param {Object} options.path - Entry of BTC_CRASH_PATHS
+ * @param {number} options.currentPrice - Path peak is scaled to this price
+ * @param {Object} options.rules - Global collateral rules (only autoTopUp applies; thresholds come from loan terms)
+ * @param {number} [options.reserveBtc] - Unencumbered BTC available for top-ups (Infinity = unlimited)
+ * @returns {Object} { loans: [{ id, name, terms, liquidated, liquidation, liquidationCount, topUps, releases, maxLtv, topUpBtc }],
+ *   anyLiquidated, maxDrawdown, peakReserveUsed, endingReserveBtc }
+ */
+export function replayCrashPath({ loans, path, currentPrice, rules, reserveBtc = Infinity }) {
+  const steps = expandPath(path.points);
+  const scale = currentPrice / steps[0].price;
+  let reserve = reserveBtc;
+  let reserveUsed = 0;
+  let peakReserveUsed = 0;
+  let maxDrawdown = 0;
+
+  const states = loans.map(loan => ({
+    ...loan,
+    collateral: loan.collateralBtc,
+    closed: false,
+    liquidated: false,
+    liquidation: null,
+    liquidationCount: 0,
+    topUps: [],
+    releases: [],
+    maxLtv: 0,
+  }));
+
+  let previousTime = steps[0].time;
+  steps.forEach(({ date, time, price: historicalPrice }) => {
+    const price = historicalPrice * scale;
+    const elapsedDays = (time - previousTime) / DAY_MS;
+    previousTime = time;
+    maxDrawdown = Math.max(maxDrawdown, 1 - price / currentPrice);
+
+    states.forEach(loan => {
+      if (loan.closed) return;
+      const { terms } = loan;
+      loan.balance = accrueLoanInterest(loan.balance, loan.interestRate, terms.compounding, elapsedDays, loan.principal);
+
+      const ltv = (loan.balance / (loan.collateral * price)) * 100;
+      loan.maxLtv = Math.max(loan.maxLtv, ltv);
+
+      // Auto top-up (all or nothing, like the projection)
+      if (rules.autoTopUp && ltv >= terms.marginCallLtv && ltv < terms.liquidationLtv) {
+        const needed = loan.balance / (terms.topUpTargetLtv / 100) / price - loan.collateral;
+        if (needed > 0 && reserve >= needed) {
+          loan.collateral += needed;
+          reserve -= needed;
+          reserveUsed += needed;
+          peakReserveUsed = Math.max(peakReserveUsed, reserveUsed);
+          loan.topUps.push({ date, price, btc: needed, ltvBefore: ltv, ltvAfter: terms.topUpTargetLtv });
+        }
+      }
+
+      const postTopUpLtv = (loan.balance / (loan.collateral * price)) * 100;
+      if (postTopUpLtv >= terms.liquidationLtv) {
+        // Lender sells enough collateral to repay the loan (or, for partial liquidation, to reach its
+        // target LTV); once the loan is repaid whatever is left comes back
+        const btcSold = getLiquidationSaleBtc(loan.balance, loan.collateral, price, terms);
+        loan.balance = Math.max(0, loan.balance - btcSold * price);
+        loan.collateral -= btcSold;
+        const repaid = loan.balance <= 0.01;
+        if (!loan.liquidation) {
+          loan.liquidation = {
+            date,
+            price,
+            drawdown: 1 - price / currentPrice,
+            ltv: postTopUpLtv,
+            btcSold,
+            partial: !repaid,
+          };
+        }
+        loan.liquidationCount += 1;
+        loan.liquidated = true;
+        if (repaid) {
+          reserve += loan.collateral;
+          reserveUsed -= loan.collateral;
+          loan.collateral = 0;
+          loan.closed = true;
+        }
+      } else if (terms.releaseTriggerLtv !== null && postTopUpLtv <= terms.releaseTriggerLtv) {
+        const targetCollateral = loan.balance / (terms.releaseTargetLtv / 100) / price;
+        const excess = loan.collateral - targetCollateral;
+        if (excess > 0) {
+          loan.collateral = targetCollateral;
+          reserve += excess;
+          reserveUsed -= excess;
+          loan.releases.push({ date, price, btc: excess, ltvBefore: postTopUpLtv, ltvAfter: terms.releaseTargetLtv });
+        }
+      }
+    });
+  });
+
+  const results = states.map(loan => ({
+    id: loan.id,
+    name: loan.name,
+    terms: loan.terms,
+    liquidated: loan.liquidated,
+    liquidation: loan.liquidation,
+    liquidationCount: loan.liquidationCount,
+    topUps: loan.topUps,
+    releases: loan.releases,
+    maxLtv: loan.maxLtv,
+    topUpBtc: loan.topUps.reduce((sum, topUp) => sum + topUp.btc, 0),
+  }));
+
+  return {
+    loans: results,
+    anyLiquidated: results.some(loan => loan.liquidated),
+    maxDrawdown,
+    peakReserveUsed,
+    endingReserveBtc: reserve,
+  };
+}
+
+/**
+ * Stress every loan against every historical crash path.
+ *
+ * The minimum reserve is the smallest unencumbered BTC balance with which no loan is liquidated on
+ * any path. Paths where a loan is liquidated even with an unlimited reserve (auto top-up is off, or
+ * the loan starts at or above its liquidation LTV) can't be survived by holding more BTC, so the
+ * minimum is null then.
+ *
+ * @param {Object} options
+ * @param {Array} options.loans - From getStressTestLoans
+ * @param {number} options.currentPrice
+ * @param {Object} options.rules - Global collateral rules (getCollateralRules)
+ * @param {number} options.reserveBtc - Unencumbered BTC available today
+ * @param {Array} [options.paths] - Defaults to BTC_CRASH_PATHS
+ * @returns {Object} { paths: [{ key, label, description, actual, unlimited }], minimumReserveBtc,
+ *   survivesAllPaths, unsurvivablePaths, reserveBtc }
+ */
+export function runLoanStressTest({ loans, currentPrice, rules, reserveBtc, paths = BTC_CRASH_PATHS }) {
+  const replay = (path, reserve) => replayCrashPath({ loans, path, currentPrice, rules, reserveBtc: reserve });
+
+  const results = paths.map(path => ({
+    key: path.key,
+    label: path.label,
+    description: path.description,
+    actual: replay(path, reserveBtc),
+    unlimited: replay(path, Infinity),
+  }));
+
+  const unsurvivablePaths = results.filter(result => result.unlimited.anyLiquidated).map(result => result.label);
+  let minimumReserveBtc = null;
+  if (unsurvivablePaths.length === 0) {
+    // Surviving with a reserve is monotone: more BTC never causes a liquidation
+    const survives = (reserve) => paths.every(path => !replay(path, reserve).anyLiquidated);
+    let high = Math.max(0, ...results.map(result => result.unlimited.peakReserveUsed));
+    let low = 0;
+    if (survives(0)) {
+      high = 0;
+    } else {
+      for (let iteration = 0; iteration < 40 && high - low > 1e-6; iteration++) {
+        const mid = (low + high) / 2;
+        if (survives(mid)) high = mid;
+        else low = mid;
+      }
+    }
+    minimumReserveBtc = high;
+  }
+
+  return {
+    paths: results,
+    minimumReserveBtc,
+    survivesAllPaths: results.every(result => !result.actual.anyLiquidated),
+    unsurvivablePaths,
+    reserveBtc,
+  };
+}
@@ -0,0 +1,365 @@
+// components/shared/btcPriceModels.js
+// Registry of bitcoin price models behind the BTC return assumption. Every model turns plain,
+// serializable params (UserSettings.btc_model_params[modelKey]) into a year-by-year expected growth
+// rate. The projection compounds that rate into the deterministic expected price path, and Monte
+// Carlo uses it as the mean of each year's draw, so a model works the same way in both.
+// Monte Carlo workers rebuild the rate function from the model key and params, so models must be
+// registered when this module loads (see registerBtcPriceModel) and stay free of the base44 client.
+//
+// 'custom_periods' is not a price model: createBtcGrowthRateFunction layers its periods over the
+// power law model.
+
+import { getPowerLawCAGR, DEFAULT_POWER_LAW_COEFFICIENTS } from './bitcoinPowerLaw';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Quarter-end closing prices (USD, rounded) used to refit the log regression model
+/** @type {Array<[string, number]>} */
+export const BTC_PRICE_HISTORY = [
+  ['2010-09-30', 0.062], ['2010-12-31', 0.30],
+  ['2011-03-31', 0.78], ['2011-06-30', 16.10], ['2011-09-30', 5.14], ['2011-12-31', 4.72],
+  ['2012-03-31', 4.94], ['2012-06-30', 6.69], ['2012-09-30', 12.40], ['2012-12-31', 13.45],
+  ['2013-03-31', 93.03], ['2013-06-30', 97.51], ['2013-09-30', 133.00], ['2013-12-31', 754.01],
+  ['2014-03-31', 457.00], ['2014-06-30', 640.80], ['2014-09-30', 386.94], ['2014-12-31', 320.19],
+  ['2015-03-31', 244.22], ['2015-06-30', 263.07], ['2015-09-30', 236.06], ['2015-12-31', 430.57],
+  ['2016-03-31', 416.73], ['2016-06-30', 673.34], ['2016-09-30', 609.73], ['2016-12-31', 963.74],
+  ['2017-03-31', 1071.79], ['2017-06-30', 2480.60], ['2017-09-30', 4338.71], ['2017-12-31', 13850.40],
+  ['2018-03-31', 6926.02], ['2018-06-30', 6404.00], ['2018-09-30', 6625.56], ['2018-12-31', 3742.70],
+  ['2019-03-31', 4105.40], ['2019-06-30', 10817.16], ['2019-09-30', 8293.87], ['2019-12-31', 7193.60],
+  ['2020-03-31', 6438.64], ['2020-06-30', 9137.99], ['2020-09-30', 10784.49], ['2020-12-31', 29001.72],
+  ['2021-03-31', 58918.83], ['2021-06-30', 35040.84], ['2021-09-30', 43790.90], ['2021-12-31', 46306.45],
+  ['2022-03-31', 45538.68], ['2022-06-30', 19784.73], ['2022-09-30', 19431.79], ['2022-12-31', 16547.50],
+  ['2023-03-31', 28478.48], ['2023-06-30', 30477.25], ['2023-09-30', 26967.92], ['2023-12-31', 42265.19],
+  ['2024-03-31', 71333.65], ['2024-06-30', 62678.29], ['2024-09-30', 63329.50], ['2024-12-31', 93429.20],
+];
+
+export const BTC_PRICE_HISTORY_FIRST_YEAR = parseInt(BTC_PRICE_HISTORY[0][0]);
+export const BTC_PRICE_HISTORY_LAST_YEAR = parseInt(BTC_PRICE_HISTORY[BTC_PRICE_HISTORY.length - 1][0]);
+
+// --- HALVING SCHEDULE ---
+// Epoch k starts at block 210,000 * k with a 50 / 2^k BTC subsidy. Epoch starts after the known
+// halvings assume 10-minute blocks.
+const BLOCKS_PER_HALVING = 210000;
+const BLOCKS_PER_YEAR = 52560;
+const INITIAL_SUBSIDY = 50;
+const MAX_SUPPLY = BLOCKS_PER_HALVING * INITIAL_SUBSIDY * 2;
+const HALVING_INTERVAL_MS = (BLOCKS_PER_HALVING / BLOCKS_PER_YEAR) * YEAR_MS;
+const KNOWN_EPOCH_STARTS = ['2009-01-03', '2012-11-28', '2016-07-09', '2020-05-11', '2024-04-20'].map(d => new Date(d).getTime());
+
+/** Start of halving epoch k in ms (epoch 0 starts at the genesis block). */
+export function getHalvingTime(epoch) {
+  const last = KNOWN_EPOCH_STARTS.length - 1;
+  if (epoch <= last) return KNOWN_EPOCH_STARTS[Math.max(0, epoch)];
+  return KNOWN_EPOCH_STARTS[last] + (epoch - last) * HALVING_INTERVAL_MS;
+}
+
+/** Halving epoch containing `time` (ms), and how far through it `time` is (0-1). */
+function locateEpoch(time) {
+  let epoch = 0;
+  while (getHalvingTime(epoch + 1) <= time) epoch++;
+  const start = getHalvingTime(epoch);
+  return { epoch, fraction: (time - start) / (getHalvingTime(epoch + 1) - start) };
+}
+
+const supplyAt = ({ epoch, fraction }) =>
+  MAX_SUPPLY * (1 - Math.pow(2, -epoch)) + fraction * BLOCKS_PER_HALVING * INITIAL_SUBSIDY * Math.pow(2, -epoch);
+
+// Stock-to-flow at the start of epoch k: 7.99 * (2^k - 1)
+const stockToFlowAtEpochStart = (epoch) =>
+  (MAX_SUPPLY * (1 - Math.pow(2, -epoch))) / (INITIAL_SUBSIDY * Math.pow(2, -epoch) * BLOCKS_PER_YEAR);
+
+// --- LOG REGRESSION FIT ---
+
+/**
+ * Least-squares fit of log10(price) on log10(days since genesis) over the bundled quarterly closes.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.fitStartYear] - First calendar year of closes to include
+ * @param {number} [options.fitEndYear] - Last calendar year of closes to include
+ * @returns {Object|null} { slope, intercept, rSquared, points, fitStartYear, fitEndYear }, or null with fewer than 3 closes
+ */
+export function fitBtcLogRegression({ fitStartYear = BTC_PRICE_HISTORY_FIRST_YEAR, fitEndYear = BTC_PRICE_HISTORY_LAST_YEAR } = {}) {
+  const genesis = KNOWN_EPOCH_STARTS[0];
+  const points = BTC_PRICE_HISTORY
+    .filter(([date]) => parseInt(date) >= fitStartYear && parseInt(date) <= fitEndYear)
+    .map(([date, price]) => ({
+      x: Math.log10((new Date(date).getTime() - genesis) / DAY_MS),
+      y: Math.log10(price),
+    }));
+  if (points.length < 3) return null;
+
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const syy = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  const slope = sxy / sxx;
+
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    rSquared: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+    points: n,
+    fitStartYear,
+    fitEndYear,
+  };
+}
+
+// --- MODEL HELPERS ---
+
+// Growth rate (%) between two points of a log-price curve
+const rateFromLogChange = (logChange) => (Math.exp(logChange) - 1) * 100;
+
+// Models that walk the halving schedule are cached per year; Monte Carlo asks for the same years
+// once per simulation.
+const cacheByYear = (rateForYear) => {
+  const cache = new Map();
+  return (yearFromNow, inflationRate) => {
+    const key = `${yearFromNow}|${inflationRate}`;
+    if (!cache.has(key)) cache.set(key, rateForYear(yearFromNow, inflationRate));
+    return cache.get(key);
+  };
+};
+
+const yearSpan = (currentDate, yearFromNow) => {
+  const t0 = currentDate.getTime() + yearFromNow * YEAR_MS;
+  return [t0, t0 + YEAR_MS];
+};
+
+// Log change of the stock-to-flow price from t0 to t1. ln(SF) moves linearly between halvings
+// (instead of doubling on the halving day) and each halving epoch after the current one has its
+// exponent cut by decayPerHalving. Growing supply dilutes the price per coin.
+function stockToFlowLogChange({ exponent, decayPerHalving }, currentEpoch, t0, t1) {
+  let change = 0;
+  let time = t0;
+  while (time < t1) {
+    const location = locateEpoch(time);
+    const epochStart = getHalvingTime(location.epoch);
+    const epochEnd = getHalvingTime(location.epoch + 1);
+    const endFraction = (Math.min(t1, epochEnd) - epochStart) / (epochEnd - epochStart);
+    const epoch = Math.max(1, location.epoch);
+    const epochExponent = exponent * Math.pow(1 - decayPerHalving / 100, Math.max(0, location.epoch - currentEpoch));
+    const sfChange = Math.log(stockToFlowAtEpochStart(epoch + 1) / stockToFlowAtEpochStart(epoch));
+    const supplyChange = Math.log(supplyAt({ epoch: location.epoch, fraction: endFraction }) / supplyAt(location));
+
+    change += epochExponent * sfChange * (endFraction - location.fraction) - supplyChange;
+    time = Math.min(t1, epochEnd);
+  }
+  return change;
+}
+
+// Log deviation from trend in the four-year cycle: 0 at each halving, half the cycle's
+// peak-to-trough range above trend at the peak and half below at the trough.
+function cycleDeviation({ drawdown, drawdownDecay, peakMonths, bearMonths }, currentEpoch, time) {
+  const { epoch, fraction } = locateEpoch(time);
+  const cycleYears = (getHalvingTime(epoch + 1) - getHalvingTime(epoch)) / YEAR_MS;
+  const years = fraction * cycleYears;
+  const peak = Math.min(peakMonths / 12, cycleYears);
+  const trough = Math.min(peak + bearMonths / 12, cycleYears);
+
+  const cycleDrawdown = Math.min(99, drawdown * Math.pow(1 - drawdownDecay / 100, Math.max(0, epoch - currentEpoch))) / 100;
+  const range = -Math.log(1 - cycleDrawdown);
+
+  let shape;
+  if (years <= peak) shape = peak > 0 ? 0.5 * years / peak : 0.5;
+  else if (years <= trough) shape = 0.5 - (years - peak) / (trough - peak);
+  else shape = -0.5 + 0.5 * (years - trough) / (cycleYears - trough);
+  return range * shape;
+}
+
+// Linear interpolation between user-defined { year, cagr } points, flat beyond the ends
+function interpolatePoints(points, year) {
+  const sorted = [...(points || [])]
+    .filter(p => Number.isFinite(p?.year) && Number.isFinite(p?.cagr))
+    .sort((a, b) => a.year - b.year);
+  if (sorted.length === 0) return null;
+  if (year <= sorted[0].year) return sorted[0].cagr;
+  for (let i = 1; i < sorted.length; i++) {
+    if (year <= sorted[i].year) {
+      const prev = sorted[i - 1];
+      const share = (year - prev.year) / (sorted[i].year - prev.year);
+      return prev.cagr + share * (sorted[i].cagr - prev.cagr);
+    }
+  }
+  return sorted[sorted.length - 1].cagr;
+}
+
+// --- REGISTRY ---
+// Each model: { label, description, defaultParams, fields, createRateFunction(params, context) }.
+// `fields` drive the settings form ({ key, label, suffix?, step?, optional? } numbers, or
+// { key, type: 'points' } for piecewise points). context = { btcCagr, currentDate }.
+// createRateFunction returns (yearFromNow, inflationRate) => expected growth rate in percent.
+const BTC_PRICE_MODELS = {
+  custom: {
+    label: 'Custom %',
+    description: 'One constant CAGR for every year',
+    defaultParams: {},
+    fields: [],
+    createRateFunction: (params, { btcCagr }) => () => btcCagr,
+  },
+
+  saylor24: {
+    label: 'Saylor Model',
+    description: "Saylor's Bitcoin24 schedule: 50% declining to 20%, then to inflation + 2%",
+    defaultParams: {},
+    fields: [],
+    // Phase 1 (2025-2037): 50% declining to 20%
+    // Phase 2 (2038-2045): Plateau at 20%
+    // Phase 3 (2046-2075): Decline from 20% to inflation + 3%
+    // Phase 4 (Beyond 2075): Terminal rate of inflation + 2%
+    createRateFunction: (params, { currentDate }) => (yearFromNow, inflationRate) => {
+      const absoluteYear = currentDate.getFullYear() + yearFromNow;
+      if (absoluteYear <= 2037) {
+        const yearsFromStart = absoluteYear - 2025;
+        return Math.max(20, 50 - (yearsFromStart * 2.5));
+      }
+      if (absoluteYear <= 2045) return 20;
+      if (absoluteYear <= 2075) {
+        const yearsIntoDecline = absoluteYear - 2045;
+        const totalDeclineYears = 2075 - 2045;
+        const targetRate = inflationRate + 3;
+        const declineAmount = 20 - targetRate;
+        return 20 - (declineAmount * (yearsIntoDecline / totalDeclineYears));
+      }
+      return inflationRate + 2;
+    },
+  },
+
+  powerlaw: {
+    label: 'Power Law',
+    description: 'Fair value = 10^(slope × log10(days since genesis) + intercept)',
+    defaultParams: { ...DEFAULT_POWER_LAW_COEFFICIENTS },
+    fields: [
+      { key: 'slope', label: 'Slope', step: 0.05 },
+      { key: 'intercept', label: 'Intercept', step: 0.1 },
+    ],
+    createRateFunction: (params, { currentDate }) => (yearFromNow) => getPowerLawCAGR(yearFromNow, currentDate, params),
+  },
+
+  stock_to_flow: {
+    label: 'Stock-to-Flow',
+    description: 'Price follows stock-to-flow^exponent, smoothed between halvings, with a smaller exponent each halving',
+    defaultParams: { exponent: 3.3, decayPerHalving: 25 },
+    fields: [
+      { key: 'exponent', label: 'Exponent', step: 0.1 },
+      { key: 'decayPerHalving', label: 'Exponent Cut per Halving', suffix: '%', step: 5 },
+    ],
+    createRateFunction: (params, { currentDate }) => {
+      const currentEpoch = locateEpoch(currentDate.getTime()).epoch;
+      return cacheByYear((yearFromNow) => {
+        const [t0, t1] = yearSpan(currentDate, yearFromNow);
+        return rateFromLogChange(stockToFlowLogChange(params, currentEpoch, t0, t1));
+      });
+    },
+  },
+
+  log_regression: {
+    label: 'Log Regression',
+    description: 'Power law refit to quarterly closes over your chosen years',
+    defaultParams: { fitStartYear: 2011, fitEndYear: BTC_PRICE_HISTORY_LAST_YEAR },
+    fields: [
+      { key: 'fitStartYear', label: 'Fit From Year', step: 1 },
+      { key: 'fitEndYear', label: 'Fit Through Year', step: 1 },
+    ],
+    createRateFunction: (params, { currentDate }) => {
+      const fit = fitBtcLogRegression(params) || DEFAULT_POWER_LAW_COEFFICIENTS;
+      return (yearFromNow) => getPowerLawCAGR(yearFromNow, currentDate, fit);
+    },
+  },
+
+  four_year_cycle: {
+    label: 'Four-Year Cycle',
+    description: 'Trend growth with a halving-aligned run-up, drawdown and recovery each cycle',
+    defaultParams: { trendCagr: null, drawdown: 75, drawdownDecay: 15, peakMonths: 18, bearMonths: 12 },
+    fields: [
+      { key: 'trendCagr', label: 'Trend CAGR (blank = Power Law)', suffix: '%', step: 1, optional: true },
+      { key: 'drawdown', label: 'Peak-to-Trough Drawdown', suffix: '%', step: 5 },
+      { key: 'drawdownDecay', label: 'Drawdown Shrink per Cycle', suffix: '%', step: 5 },
+      { key: 'peakMonths', label: 'Peak (Months After Halving)', step: 1 },
+      { key: 'bearMonths', label: 'Bear Market (Months)', step: 1 },
+    ],
+    createRateFunction: (params, { currentDate }) => {
+      const currentEpoch = locateEpoch(currentDate.getTime()).epoch;
+      const hasTrendCagr = Number.isFinite(params.trendCagr);
+      return cacheByYear((yearFromNow) => {
+        const [t0, t1] = yearSpan(currentDate, yearFromNow);
+        const trendRate = hasTrendCagr ? params.trendCagr : getPowerLawCAGR(yearFromNow, currentDate);
+        const trendChange = Math.log(1 + trendRate / 100);
+        return rateFromLogChange(trendChange + cycleDeviation(params, currentEpoch, t1) - cycleDeviation(params, currentEpoch, t0));
+      });
+    },
+  },
+
+  piecewise: {
+    label: 'Piecewise Curve',
+    description: 'Your own CAGR by calendar year, interpolated between points',
+    defaultParams: { points: [{ year: 2025, cagr: 40 }, { year: 2035, cagr: 20 }, { year: 2050, cagr: 8 }] },
+    fields: [{ key: 'points', type: 'points' }],
+    createRateFunction: (params, { btcCagr, currentDate }) => (yearFromNow) =>
+      interpolatePoints(params.points, currentDate.getFullYear() + yearFromNow) ?? btcCagr,
+  },
+};
+
+/**
+ * Add a model to the registry. Register at module load so Monte Carlo workers see it too.
+ *
+ * @param {string} key - Value stored in UserSettings.btc_return_model
+ * @param {Object} model - { label, description, defaultParams, fields, createRateFunction }
+ */
+export function registerBtcPriceModel(key, model) {
+  BTC_PRICE_MODELS[key] = { defaultParams: {}, fields: [], ...model };
+}
+
+export function getBtcPriceModel(key) {
+  return BTC_PRICE_MODELS[key] || null;
+}
+
+/** [{ value, label, description }] for model pickers, in registry order. */
+export function getBtcPriceModelOptions() {
+  return Object.entries(BTC_PRICE_MODELS).map(([value, model]) => ({ value, label: model.label, description: model.description }));
+}
+
+/** A model's params with its defaults filled in from UserSettings.btc_model_params. */
+export function getBtcModelParams(key, btcModelParams) {
+  return { ...(getBtcPriceModel(key)?.defaultParams || {}), ...(btcModelParams?.[key] || {}) };
+}
+
+/**
+ * Expected BTC growth rate function for a model. Unknown models fall back to the constant CAGR.
+ *
+ * @param {string} key - Model key
+ * @param {Object} options
+ * @param {number} options.btcCagr - Constant CAGR (Custom %, and the piecewise fallback)
+ * @param {Object} [options.btcModelParams] - UserSettings.btc_model_params
+ * @param {Date} [options.currentDate]
+ * @returns {Function} (yearFromNow, inflationRate) => rate in percent
+ */
+export function createBtcPriceModelRate(key, { btcCagr, btcModelParams = {}, currentDate = new Date() }) {
+  const model = getBtcPriceModel(key) || BTC_PRICE_MODELS.custom;
+  return model.createRateFunction(getBtcModelParams(key, btcModelParams), { btcCagr, currentDate });
+}
+
+/** Short picker label of a model's expected rates: "40%→24%" (year 1 → year 10). */
+export function describeBtcModelRates(key, { btcCagr, btcModelParams = {}, inflationRate = 3 }) {
+  const rate = createBtcPriceModelRate(key, { btcCagr, btcModelParams });
+  return `${rate(0, inflationRate).toFixed(0)}%→${rate(10, inflationRate).toFixed(0)}%`;
+}
+
+/**
+ * Deterministic expected price path: today's price compounded by the model's rates, exactly as
+ * the projection grows BTC (projection year i grows by the rate for year i).
+ *
+ * @returns {Array} [{ year, rate, price }] with year 0 = today
+ */
+export function projectBtcPricePath({ getBtcGrowthRate, currentPrice, years, inflationRate = 3 }) {
+  const path = [{ year: 0, rate: 0, price: currentPrice }];
+  let price = currentPrice;
+  for (let year = 1; year <= years; year++) {
+    const rate = getBtcGrowthRate(year, inflationRate);
+    price *= 1 + rate / 100;
+    path.push({ year, rate, price });
+  }
+  return path;
+}
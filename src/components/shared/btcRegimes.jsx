@@ -0,0 +1,177 @@
+// components/shared/btcRegimes.js
+// Optional Markov regime-switching for BTC returns in Monte Carlo. Each simulated year is in a
+// bull, bear or crab (sideways) regime; the next year's regime depends on this year's through a
+// transition matrix, so multi-year runs of good or bad years happen as often as the matrix says
+// instead of by chance.
+//
+// Regimes shift and scale the BTC shock, not the expected return: a year's return is
+//   expected + volatility × (drift[regime] + volatilityMultiplier[regime] × z)
+// with drift and multiplier normalized over the chain's long-run regime mix to mean 0 and variance 1.
+// Averaged over many paths each year keeps the price model's mean and the volatility schedule, so a
+// comparison with the i.i.d. model isolates sequence risk.
+//
+// Calibration uses the bundled quarterly closes: every quarter-end is labeled by its trailing
+// one-year return, transitions are counted between labels one year apart, and drift / volatility
+// come from the spread of trailing-year log returns within each regime.
+
+import { BTC_PRICE_HISTORY } from './btcPriceModels';
+
+export const BTC_REGIMES = [
+  { value: 'bull', label: 'Bull', color: 'text-emerald-400' },
+  { value: 'bear', label: 'Bear', color: 'text-rose-400' },
+  { value: 'crab', label: 'Crab', color: 'text-amber-400' },
+];
+
+export const BTC_REGIME_START_OPTIONS = [
+  { value: 'stationary', label: 'Long-run mix' },
+  ...BTC_REGIMES.map(regime => ({ value: regime.value, label: `Start in ${regime.label.toLowerCase()}` })),
+];
+
+export const DEFAULT_BTC_REGIME_MODEL = {
+  enabled: false,
+  transitions: null, // 3×3 row-stochastic matrix in BTC_REGIMES order; null = calibrated
+  start_regime: 'stationary',
+};
+
+const BULL_THRESHOLD = 1.0; // Trailing-year return of +100% or more
+const BEAR_THRESHOLD = -0.3; // Trailing-year return of -30% or worse
+const QUARTERS_PER_YEAR = 4;
+const PSEUDO_COUNT = 0.5; // Keeps transitions that never happened in the sample possible
+
+const regimeIndex = (value) => BTC_REGIMES.findIndex(regime => regime.value === value);
+
+const classifyYearReturn = (logReturn) => {
+  if (logReturn >= Math.log(1 + BULL_THRESHOLD)) return 0;
+  if (logReturn <= Math.log(1 + BEAR_THRESHOLD)) return 1;
+  return 2;
+};
+
+/** Rows clamped to non-negative and rescaled to sum to 1 (an all-zero row stays put). */
+export function normalizeTransitions(matrix) {
+  return BTC_REGIMES.map((_, i) => {
+    const row = BTC_REGIMES.map((__, j) => Math.max(0, Number(matrix?.[i]?.[j]) || 0));
+    const sum = row.reduce((a, b) => a + b, 0);
+    return sum > 0 ? row.map(p => p / sum) : BTC_REGIMES.map((__, j) => (i === j ? 1 : 0));
+  });
+}
+
+/** Long-run share of years in each regime (power iteration from an even mix). */
+export function getStationaryDistribution(transitions) {
+  let distribution = BTC_REGIMES.map(() => 1 / BTC_REGIMES.length);
+  for (let iteration = 0; iteration < 500; iteration++) {
+    const next = BTC_REGIMES.map((_, j) => distribution.reduce((sum, p, i) => sum + p * transitions[i][j], 0));
+    const change = next.reduce((sum, p, j) => sum + Math.abs(p - distribution[j]), 0);
+    distribution = next;
+    if (change < 1e-12) break;
+  }
+  return distribution;
+}
+
+/**
+ * Calibrate the regime model from the bundled quarterly closes.
+ *
+ * @returns {Object} { transitions, drift, volatility, counts, labels, stationary }
+ *   drift / volatility are each regime's mean and spread of trailing-year log returns, in units of
+ *   the spread across all years (before normalization to a particular transition matrix).
+ */
+export function calibrateBtcRegimes(history = BTC_PRICE_HISTORY) {
+  const labels = [];
+  for (let i = QUARTERS_PER_YEAR; i < history.length; i++) {
+    const logReturn = Math.log(history[i][1] / history[i - QUARTERS_PER_YEAR][1]);
+    labels.push({ date: history[i][0], logReturn, regime: classifyYearReturn(logReturn) });
+  }
+
+  const counts = BTC_REGIMES.map(() => BTC_REGIMES.map(() => 0));
+  for (let i = 0; i + QUARTERS_PER_YEAR < labels.length; i++) {
+    counts[labels[i].regime][labels[i + QUARTERS_PER_YEAR].regime]++;
+  }
+  const transitions = normalizeTransitions(counts.map(row => row.map(count => count + PSEUDO_COUNT)));
+
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+  const spread = (values, center) => Math.sqrt(mean(values.map(v => (v - center) ** 2)));
+  const allReturns = labels.map(label => label.logReturn);
+  const overallMean = mean(allReturns);
+  const overallSpread = spread(allReturns, overallMean) || 1;
+
+  const drift = [];
+  const volatility = [];
+  BTC_REGIMES.forEach((_, r) => {
+    const returns = labels.filter(label => label.regime === r).map(label => label.logReturn);
+    const regimeMean = returns.length ? mean(returns) : overallMean;
+    drift.push((regimeMean - overallMean) / overallSpread);
+    volatility.push(returns.length > 1 ? spread(returns, regimeMean) / overallSpread : 1);
+  });
+
+  return {
+    transitions,
+    drift,
+    volatility,
+    counts,
+    labels: labels.map(label => ({ ...label, regime: BTC_REGIMES[label.regime].value })),
+    stationary: getStationaryDistribution(transitions),
+  };
+}
+
+let calibrationCache = null;
+const getCalibration = () => {
+  if (!calibrationCache) calibrationCache = calibrateBtcRegimes();
+  return calibrationCache;
+};
+
+/**
+ * Turn the saved btc_regime_model settings into what generateRandomPaths needs.
+ *
+ * @param {Object|null} config - UserSettings.btc_regime_model
+ * @returns {Object|null} null when disabled; otherwise
+ *   { transitions, stationary, drift, volatility, startDistribution }
+ */
+export function resolveBtcRegimeModel(config) {
+  if (!config?.enabled) return null;
+
+  const calibration = getCalibration();
+  const transitions = config.transitions ? normalizeTransitions(config.transitions) : calibration.transitions;
+  const stationary = getStationaryDistribution(transitions);
+
+  // Mean 0 and variance 1 over the long-run mix of this matrix
+  const meanDrift = stationary.reduce((sum, p, r) => sum + p * calibration.drift[r], 0);
+  const centered = calibration.drift.map(d => d - meanDrift);
+  const variance = stationary.reduce((sum, p, r) => sum + p * (centered[r] ** 2 + calibration.volatility[r] ** 2), 0);
+  const scale = variance > 0 ? 1 / Math.sqrt(variance) : 1;
+
+  const start = regimeIndex(config.start_regime);
+  return {
+    transitions,
+    stationary,
+    drift: centered.map(d => d * scale),
+    volatility: calibration.volatility.map(v => v * scale),
+    startDistribution: start >= 0 ? BTC_REGIMES.map((_, r) => (r === start ? 1 : 0)) : stationary,
+  };
+}
+
+const drawFrom = (distribution, random) => {
+  const u = random();
+  let cumulative = 0;
+  for (let r = 0; r < distribution.length; r++) {
+    cumulative += distribution[r];
+    if (u < cumulative) return r;
+  }
+  return distribution.length - 1;
+};
+
+/**
+ * One path of regime shifts, one per year.
+ *
+ * @param {Object} model - From resolveBtcRegimeModel
+ * @param {number} years
+ * @param {Function} random - Seeded RNG
+ * @returns {Array} [{ regime, drift, volatility }]
+ */
+export function drawBtcRegimePath(model, years, random) {
+  const path = [];
+  let regime = drawFrom(model.startDistribution, random);
+  for (let year = 0; year < years; year++) {
+    if (year > 0) regime = drawFrom(model.transitions[regime], random);
+    path.push({ regime: BTC_REGIMES[regime].value, drift: model.drift[regime], volatility: model.volatility[regime] });
+  }
+  return path;
+}
@@ -4,6 +4,9 @@ import {
   createBtcGrowthRateFunction,
   getTaxTreatmentFromHolding
 } from '@/components/shared/projectionHelpers';
+import { buildSpouseProfile } from '@/components/shared/household';
+import { resolveAssetCorrelations, resolveAssetVolatilities } from '@/components/shared/assetCorrelations';
+import { getCarryoverIntoYear } from '@/components/shared/capitalLossCarryover';
 
 /**
  * Build projection parameters from UserSettings and optional scenario overrides.
@@ -79,6 +82,7 @@ export function buildProjectionParams(settings, overrides = {}, data) {
   const hsaFamilyCoverage = effectiveSettings.hsa_family_coverage || false;
   const coveredByEmployerPlan = effectiveSettings.covered_by_employer_plan || false;
   const spouseCoveredByEmployerPlan = effectiveSettings.spouse_covered_by_employer_plan || false;
+  const spouse = buildSpouseProfile(effectiveSettings);
 
   // Solo 401k settings
   const solo401kEnabled = effectiveSettings.solo_401k_enabled || false;
@@ -210,17 +214,25 @@ export function buildProjectionParams(settings, overrides = {}, data) {
     socialSecurityAmount: ssAmount,
     useCustomSocialSecurity,
     currentAge,
+    earningsRecord: effectiveSettings.ssa_earnings_record,
+    retirementAge,
   });
 
   // Use shared helper for BTC growth rate function
   // Scenario custom_return_periods_override takes precedence over global settings
   const effectiveCustomReturnPeriods = effectiveSettings.custom_return_periods_override || effectiveSettings.custom_return_periods || {};
+  const btcModelParams = effectiveSettings.btc_model_params || {};
   const getBtcGrowthRate = createBtcGrowthRateFunction(
     btcReturnModel, 
     btcCagr, 
-    effectiveCustomReturnPeriods
+    effectiveCustomReturnPeriods,
+    btcModelParams
   );
 
+  // Scenario correlation matrix takes precedence; null keeps the built-in one, anything else is
+  // repaired to the nearest valid correlation matrix
+  const savedCorrelations = effectiveSettings.asset_correlations_override || effectiveSettings.asset_correlations || null;
+
   return {
     holdings,
     accounts,
@@ -246,12 +258,21 @@ export function buildProjectionParams(settings, overrides = {}, data) {
     contributionTraditionalIRA,
     contributionHSA,
     hsaFamilyCoverage,
+    coveredByEmployerPlan,
+    spouseCoveredByEmployerPlan,
+    spouse,
     solo401kEnabled,
     solo401kType,
     solo401kEmployeeContribution,
     solo401kEmployerContributionPercent,
     solo401kEndAge,
     getBtcGrowthRate,
+    btcReturnModel, // Plain inputs behind getBtcGrowthRate, used to rebuild it inside Monte Carlo workers
+    btcCagr,
+    btcModelParams,
+    btcRegimeModel: effectiveSettings.btc_regime_model ?? null, // Monte Carlo only
+    assetCorrelations: savedCorrelations ? resolveAssetCorrelations(savedCorrelations) : null, // Monte Carlo only
+    assetVolatilities: resolveAssetVolatilities(effectiveSettings.asset_volatilities), // Monte Carlo only
     effectiveInflation: inflationRate,
     effectiveStocksCagr: stocksCagr,
     bondsCagr,
@@ -271,6 +292,10 @@ export function buildProjectionParams(settings, overrides = {}, data) {
     btcLiquidationLtv: effectiveSettings.btc_liquidation_ltv ?? settings.btc_liquidation_ltv ?? 80,
     btcReleaseTriggerLtv: effectiveSettings.btc_release_trigger_ltv ?? settings.btc_release_trigger_ltv ?? 30,
     btcReleaseTargetLtv: effectiveSettings.btc_release_target_ltv ?? settings.btc_release_target_ltv ?? 40,
+    btcLenderProfiles: settings.btc_lender_profiles || [],
+    debtPayoffPlan: settings.debt_payoff_plan || null,
+    equityGrants: settings.equity_grants || [],
+    capitalLossCarryover: getCarryoverIntoYear(settings.capital_loss_carryover, new Date().getFullYear()),
     goals: goals || [],
     lifeEvents: combinedLifeEvents,
     getTaxTreatmentFromHolding: (holding) => getTaxTreatmentFromHolding(holding, accounts),
@@ -287,5 +312,6 @@ export function buildProjectionParams(settings, overrides = {}, data) {
     withdrawalBlendPercentages: effectiveSettings.withdrawal_blend_percentages ?? settings.withdrawal_blend_percentages ?? { cash: 0, bonds: 25, stocks: 35, other: 10, btc: 30 },
     costBasisMethod: effectiveSettings.cost_basis_method ?? settings.cost_basis_method ?? 'HIFO',
     roth_conversions: effectiveSettings.roth_conversions || null,
+    spendingPolicy: effectiveSettings.retirement_spending_policy_override || effectiveSettings.retirement_spending_policy || null,
   };
 }
\ No newline at end of file
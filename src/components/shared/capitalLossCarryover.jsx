@@ -0,0 +1,105 @@
+// components/shared/capitalLossCarryover.js
+// Year-over-year capital loss ledger. Each year's realized short- and long-term results are netted
+// with the losses carried in (Schedule D lines 6 and 14); up to the annual limit offsets ordinary
+// income and the rest carries into the next year, keeping its character.
+//
+// Stored on UserSettings.capital_loss_carryover:
+//   { seed_year, short_term, long_term, carryforwards: { [year]: { short_term, long_term } } }
+// seed_* is the carryover into seed_year from the user's last filed return; carryforwards holds the
+// carryover into each later year as last computed by the Tax Center, which is what the projection reads.
+
+import { getTaxRules, netCapitalGains } from '@/components/tax/taxEngine';
+
+export const EMPTY_CARRYOVER = { shortTerm: 0, longTerm: 0 };
+
+/**
+ * Net realized short- and long-term gain per calendar year from sell transactions.
+ * @param {Array} transactions - Transaction records (non-sells are ignored)
+ * @returns {Object} { [year]: { shortTerm, longTerm } }
+ */
+export function getRealizedGainsByYear(transactions = []) {
+  const byYear = {};
+  transactions.forEach(t => {
+    if (t.type !== 'sell' || !t.date) return;
+    const year = new Date(t.date).getFullYear();
+    if (!byYear[year]) byYear[year] = { shortTerm: 0, longTerm: 0 };
+    const gain = t.realized_gain_loss || 0;
+    if (t.holding_period === 'short_term') byYear[year].shortTerm += gain;
+    else if (t.holding_period === 'long_term') byYear[year].longTerm += gain;
+  });
+  return byYear;
+}
+
+/**
+ * Carryover into `year` from the stored setting: the Tax Center's carryforward for that year, else the
+ * latest earlier one, else the seed from the last return.
+ * @returns {Object} { shortTerm, longTerm }
+ */
+export function getCarryoverIntoYear(setting, year) {
+  if (!setting) return { ...EMPTY_CARRYOVER };
+  const carryforwards = setting.carryforwards || {};
+  const known = Object.keys(carryforwards).map(Number)
+    .filter(y => y <= year && (!setting.seed_year || y >= setting.seed_year))
+    .sort((a, b) => b - a);
+  if (known.length > 0) {
+    const entry = carryforwards[known[0]];
+    return { shortTerm: entry.short_term || 0, longTerm: entry.long_term || 0 };
+  }
+  if (setting.seed_year && setting.seed_year <= year) {
+    return { shortTerm: setting.short_term || 0, longTerm: setting.long_term || 0 };
+  }
+  return { ...EMPTY_CARRYOVER };
+}
+
+/**
+ * Run the ledger from the seed year through `throughYear`. Without a seed it starts at the first year
+ * with sales; with one, earlier sales are already reflected in the seeded carryover.
+ *
+ * @param {Object} params
+ * @param {Object} params.realizedByYear - From getRealizedGainsByYear
+ * @param {Object} [params.seed] - UserSettings.capital_loss_carryover (only the seed fields are used)
+ * @param {string} [params.filingStatus]
+ * @param {number} params.throughYear - Last year to include
+ * @returns {Array} [{ year, carryIn: { shortTerm, longTerm }, shortTerm, longTerm, netShortTerm, netLongTerm,
+ *   capitalGain, deduction, carryOut: { shortTerm, longTerm } }]
+ */
+export function buildCapitalLossLedger({ realizedByYear = {}, seed = null, filingStatus = 'single', throughYear }) {
+  const seedYear = seed?.seed_year || null;
+  const firstYear = seedYear || Math.min(...Object.keys(realizedByYear).map(Number));
+  if (!Number.isFinite(firstYear) || firstYear > throughYear) return [];
+
+  const rows = [];
+  let carry = seedYear
+    ? { shortTerm: seed.short_term || 0, longTerm: seed.long_term || 0 }
+    : { ...EMPTY_CARRYOVER };
+  for (let year = firstYear; year <= throughYear; year++) {
+    const realized = realizedByYear[year] || EMPTY_CARRYOVER;
+    const { capitalLossLimit } = getTaxRules(year, filingStatus);
+    const gains = netCapitalGains(realized.shortTerm, realized.longTerm, capitalLossLimit, carry);
+    const carryOut = { shortTerm: gains.shortTermLossCarryover, longTerm: gains.longTermLossCarryover };
+    rows.push({
+      year,
+      carryIn: carry,
+      shortTerm: realized.shortTerm,
+      longTerm: realized.longTerm,
+      netShortTerm: gains.netShortTerm,
+      netLongTerm: gains.netLongTerm,
+      capitalGain: gains.capitalGain,
+      deduction: Math.max(0, -gains.capitalGain),
+      carryOut,
+    });
+    carry = carryOut;
+  }
+  return rows;
+}
+
+/**
+ * Carryforwards keyed by the year they carry into, in the stored snake_case shape.
+ * @returns {Object} { [year]: { short_term, long_term } }
+ */
+export function getLedgerCarryforwards(ledger) {
+  return Object.fromEntries(ledger.map(row => [row.year + 1, {
+    short_term: Math.round(row.carryOut.shortTerm),
+    long_term: Math.round(row.carryOut.longTerm),
+  }]));
+}
@@ -0,0 +1,672 @@
+// components/shared/csvImportPresets.js
+// Built-in parsers for broker and exchange CSV exports, detected from the header row.
+// Every preset turns raw rows into normalized transactions whose `type` is one of
+// TRANSACTION_CATEGORIES, so deposits, withdrawals, transfers, fees and rewards are
+// never silently imported as buys. Trades against a fiat currency other than USD keep their
+// prices in that currency (price_currency); the importer converts them at the trade date's rate.
+
+import { SUPPORTED_CURRENCIES } from '@/components/shared/currency';
+
+export const TRANSACTION_CATEGORIES = {
+  buy: { label: 'Buy', createsLot: true },
+  sell: { label: 'Sell', disposesLot: true },
+  income: { label: 'Reward', createsLot: true, desc: 'Staking rewards, interest and bonuses paid in the asset (ordinary income at FMV)' },
+  deposit: { label: 'Deposit', desc: 'Cash deposits and coins received from outside this account' },
+  withdrawal: { label: 'Withdrawal', desc: 'Cash withdrawals and coins sent out of this account' },
+  transfer: { label: 'Transfer', desc: 'Moves between sub-accounts of the same provider' },
+  fee: { label: 'Fee', desc: 'Standalone account or network fees' },
+  dividend: { label: 'Dividend', desc: 'Cash dividends, interest and capital gain distributions' },
+  other: { label: 'Other', desc: 'Rows this importer does not understand' },
+};
+
+export const IMPORTABLE_CATEGORIES = Object.keys(TRANSACTION_CATEGORIES)
+  .filter(key => TRANSACTION_CATEGORIES[key].createsLot || TRANSACTION_CATEGORIES[key].disposesLot);
+
+const HEADER_SCAN_LINES = 40; // Fidelity, Schwab and Vanguard put account summaries above the header
+const USD_CURRENCIES = ['USD', 'ZUSD', 'USDC', 'USDT'];
+const FIAT_CURRENCIES = SUPPORTED_CURRENCIES.map(c => c.code);
+const INCOME_PATTERN = /reward|staking income|stake reward|interest|earn|airdrop|boost|bonus|referral|income/;
+
+// Kraken's legacy asset codes
+const KRAKEN_ASSETS = { XXBT: 'BTC', XBT: 'BTC', XETH: 'ETH', XXDG: 'DOGE', XDG: 'DOGE', XLTC: 'LTC', XXRP: 'XRP', XXLM: 'XLM', XETC: 'ETC', XZEC: 'ZEC', XXMR: 'XMR', ETH2: 'ETH', ZUSD: 'USD', ZEUR: 'EUR', ZGBP: 'GBP', ZCAD: 'CAD' };
+const KRAKEN_QUOTES = ['ZUSD', 'USDT', 'USDC', 'USD', 'ZEUR', 'EUR', 'ZGBP', 'GBP', 'ZCAD', 'CAD', 'XXBT', 'XBT', 'XETH', 'ETH'];
+
+/**
+ * Split one CSV line, honoring double quotes.
+ */
+export function parseCsvLine(line) {
+  const values = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+/**
+ * Build row objects from the lines after `headerIndex`. Footer disclaimers (a single cell under a
+ * multi-column header) and blank rows are dropped.
+ *
+ * @returns {{ headers: string[], rows: Object[] }}
+ */
+export function parseCsvRows(lines, headerIndex = 0) {
+  const headers = parseCsvLine(lines[headerIndex]);
+  const rows = lines.slice(headerIndex + 1)
+    .map(parseCsvLine)
+    .filter(values => headers.length === 1 || values.filter(v => v !== '').length > 1)
+    .map(values => {
+      const row = {};
+      headers.forEach((header, i) => {
+        row[header] = values[i] || '';
+      });
+      return row;
+    })
+    .filter(row => Object.values(row).some(v => v !== ''));
+
+  return { headers, rows };
+}
+
+// "$1,234.50", "(1,234.50)", "-0.5 BTC" and "1.5e-05" all parse; blanks are 0 and anything
+// else unreadable is NaN, which the import rejects as an invalid row
+export function parseAmount(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return 0;
+  const parenthesized = /^\(.*\)$/.test(text);
+  const number = Number(text
+    .replace(/^\((.*)\)$/, '$1')
+    .replace(/[$€£¥₿,'\s\u00a0]/g, '') // Currency symbols and thousands separators
+    .replace(/^[a-z]+/i, '') // Currency code prefix ("USD 1,000")
+    .replace(/[a-z%]+$/i, '')); // Unit suffix ("0.5 BTC")
+  return parenthesized ? -number : number;
+}
+
+/**
+ * Normalize the date formats found in broker exports to YYYY-MM-DD.
+ * Handles ISO timestamps, MM/DD/YYYY (incl. Schwab's "01/05/2024 as of 01/04/2024") and
+ * anything Date can parse. Returns null when the value isn't a date (section and footer rows).
+ */
+export function normalizeCsvDate(value) {
+  const text = String(value ?? '').trim();
+  const pad = (n) => String(n).padStart(2, '0');
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${pad(match[1])}-${pad(match[2])}`;
+  }
+
+  if (!/[a-z]{3}/i.test(text) || !/\d{4}/.test(text)) return null;
+  const parsed = new Date(text);
+  if (isNaN(parsed.getTime())) return null;
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+}
+
+/**
+ * Map a free-text type column (generic column mapping) to a transaction category.
+ * Unknown values become 'other' instead of defaulting to buy.
+ */
+export function classifyTransactionType(value) {
+  const text = String(value ?? '').toLowerCase().trim();
+  if (TRANSACTION_CATEGORIES[text]) return text;
+  if (/transfer|journal|internal|sweep/.test(text)) return 'transfer';
+  if (text.includes('sell') || text.includes('sold') || text === 'sale' || text === 's') return 'sell';
+  if (text.includes('buy') || text.includes('bought') || text.includes('purchase') || text.includes('reinvest') || text === 'b') return 'buy';
+  if (/dividend|cap gain|capital gain/.test(text)) return 'dividend';
+  if (INCOME_PATTERN.test(text)) return 'income';
+  if (/withdraw|send|sent/.test(text)) return 'withdrawal';
+  if (/deposit|receive|contribution/.test(text)) return 'deposit';
+  if (text.includes('fee')) return 'fee';
+  return 'other';
+}
+
+// Case-insensitive column lookup; first non-empty match wins
+function pick(row, ...names) {
+  const keys = Object.keys(row);
+  for (const name of names) {
+    const key = keys.find(k => k.trim().toLowerCase() === name);
+    if (key !== undefined && row[key] !== '') return row[key];
+  }
+  return '';
+}
+
+function createTransaction(preset, fields) {
+  return {
+    type: 'other',
+    quantity: 0,
+    price_per_unit: 0,
+    date: null,
+    transaction_id: '',
+    exchange_or_wallet: preset.label,
+    trading_fee: 0,
+    notes: '',
+    ...fields,
+    asset_ticker: String(fields.asset_ticker || '').toUpperCase().trim(),
+  };
+}
+
+/**
+ * Classify a movement described as sent/received legs (River, Strike, Kraken ledgers).
+ * Fiat → crypto is a buy, crypto → fiat a sell; one-sided crypto legs are rewards, deposits
+ * or withdrawals depending on the tag. Buys and sells against non-USD fiat carry price_currency.
+ *
+ * @param {Object} legs
+ * @param {{amount: number, currency: string}|null} legs.sent
+ * @param {{amount: number, currency: string}|null} legs.received
+ * @param {{amount: number, currency: string}|null} [legs.fee]
+ * @param {string} [legs.tag] - Provider's own type/tag, lowercased
+ * @param {number} [legs.price] - USD price hint for one-sided legs (rewards)
+ */
+function classifyLegs({ sent, received, fee = null, tag = '', price = 0 }) {
+  const isUsd = (leg) => leg && USD_CURRENCIES.includes(leg.currency);
+  const isFiat = (leg) => isUsd(leg) || (leg && FIAT_CURRENCIES.includes(leg.currency));
+  const isAsset = (leg) => leg && leg.amount > 0 && !isFiat(leg);
+  const priceCurrency = (leg) => (isUsd(leg) ? {} : { price_currency: leg.currency });
+  // Fee in the trade's fiat currency
+  const feeInFiat = (unitPrice) => {
+    if (!fee || !fee.amount) return 0;
+    return isFiat(fee) ? fee.amount : fee.amount * unitPrice;
+  };
+  const feeInUsd = (unitPrice) => {
+    if (!fee || !fee.amount) return 0;
+    return isUsd(fee) ? fee.amount : fee.amount * unitPrice;
+  };
+
+  if (isAsset(received) && isFiat(sent)) {
+    const unitPrice = sent.amount / received.amount;
+    return { type: 'buy', asset_ticker: received.currency, quantity: received.amount, price_per_unit: unitPrice, trading_fee: feeInFiat(unitPrice), ...priceCurrency(sent) };
+  }
+  if (isAsset(sent) && isFiat(received)) {
+    const unitPrice = received.amount / sent.amount;
+    return { type: 'sell', asset_ticker: sent.currency, quantity: sent.amount, price_per_unit: unitPrice, trading_fee: feeInFiat(unitPrice), ...priceCurrency(received) };
+  }
+  if (isAsset(sent) && isAsset(received)) {
+    return { type: 'other', asset_ticker: sent.currency, quantity: sent.amount, notes: `Crypto-to-crypto trade: ${sent.amount} ${sent.currency} → ${received.amount} ${received.currency}` };
+  }
+
+  const leg = isAsset(received) ? received : isAsset(sent) ? sent : (received || sent);
+  if (!leg) return { type: 'other' };
+  const base = { asset_ticker: leg.currency, quantity: leg.amount, price_per_unit: price, trading_fee: feeInUsd(price) };
+
+  if (/transfer|allocation|migration|spottostaking|stakingtospot|spotfromstaking|stakingfromspot/.test(tag)) return { ...base, type: 'transfer' };
+  if (isFiat(leg)) {
+    if (INCOME_PATTERN.test(tag) || tag.includes('dividend')) return { ...base, type: 'dividend' };
+    if (tag.includes('fee')) return { ...base, type: 'fee' };
+    return { ...base, type: leg === received ? 'deposit' : 'withdrawal' };
+  }
+  if (leg === received && (INCOME_PATTERN.test(tag) || tag === 'staking')) return { ...base, type: 'income' };
+  if (tag.includes('fee')) return { ...base, type: 'fee' };
+  return { ...base, type: leg === received ? 'deposit' : 'withdrawal' };
+}
+
+function normalizeKrakenAsset(code) {
+  const upper = String(code || '').toUpperCase().replace(/\.(S|M|F|B|P)$/, ''); // Staking/opt-in variants
+  return KRAKEN_ASSETS[upper] || upper;
+}
+
+// ============================================
+// PRESETS
+// ============================================
+
+const coinbase = {
+  id: 'coinbase',
+  label: 'Coinbase',
+  accountType: 'taxable_crypto',
+  signatures: [['timestamp', 'transaction type', 'asset', 'quantity transacted']],
+  parse(rows) {
+    return rows.flatMap(row => {
+      const date = normalizeCsvDate(pick(row, 'timestamp'));
+      if (!date) return [];
+      const kind = pick(row, 'transaction type').toLowerCase().trim();
+      const asset = pick(row, 'asset');
+      const quantity = Math.abs(parseAmount(pick(row, 'quantity transacted')));
+      const price = Math.abs(parseAmount(pick(row, 'price at transaction', 'spot price at transaction')));
+      const fee = Math.abs(parseAmount(pick(row, 'fees and/or spread', 'fees')));
+      const id = pick(row, 'id');
+      const notes = pick(row, 'notes');
+      const base = { asset_ticker: asset, quantity, price_per_unit: price, date, transaction_id: id, notes };
+
+      if (kind === 'convert') {
+        // Notes read "Converted 0.5 ETH to 0.02 BTC"; fee is charged once, on the sell leg
+        const match = notes.match(/converted\s+([\d.,]+)\s+(\w+)\s+to\s+([\d.,]+)\s+(\w+)/i);
+        if (!match) return [createTransaction(coinbase, { ...base, type: 'other' })];
+        const toQuantity = parseAmount(match[3]);
+        const value = quantity * price;
+        return [
+          createTransaction(coinbase, { ...base, type: 'sell', trading_fee: fee, transaction_id: id && `${id}-sell` }),
+          createTransaction(coinbase, {
+            ...base,
+            type: 'buy',
+            asset_ticker: match[4],
+            quantity: toQuantity,
+            price_per_unit: toQuantity > 0 ? (value - fee) / toQuantity : 0,
+            transaction_id: id && `${id}-buy`,
+          }),
+        ];
+      }
+
+      let type;
+      if (/pro deposit|pro withdrawal|exchange deposit|exchange withdrawal|staking transfer|unstaking transfer|deprecation/.test(kind)) type = 'transfer';
+      else if (kind.includes('buy')) type = 'buy';
+      else if (kind.includes('sell')) type = 'sell';
+      else if (INCOME_PATTERN.test(kind)) type = 'income';
+      else if (kind === 'send' || kind.includes('withdrawal')) type = 'withdrawal';
+      else if (kind === 'receive' || kind.includes('deposit')) type = 'deposit';
+      else if (kind.includes('fee')) type = 'fee';
+      else type = 'other';
+
+      return [createTransaction(coinbase, { ...base, type, trading_fee: ['buy', 'sell'].includes(type) ? fee : 0 })];
+    });
+  },
+};
+
+const krakenLedgers = {
+  id: 'kraken_ledgers',
+  label: 'Kraken',
+  variant: 'Ledgers',
+  accountType: 'taxable_crypto',
+  signatures: [['txid', 'refid', 'time', 'type', 'asset', 'amount']],
+  parse(rows) {
+    // Trades are two ledger entries (one per asset) sharing a refid
+    const groups = new Map();
+    rows.forEach(row => {
+      if (!pick(row, 'txid')) return; // Unconfirmed duplicates have no txid
+      const refid = pick(row, 'refid') || pick(row, 'txid');
+      if (!groups.has(refid)) groups.set(refid, []);
+      groups.get(refid).push(row);
+    });
+
+    const transactions = [];
+    groups.forEach((entries, refid) => {
+      const date = normalizeCsvDate(pick(entries[0], 'time'));
+      if (!date) return;
+      const tag = [pick(entries[0], 'type'), pick(entries[0], 'subtype')].join(' ').toLowerCase().trim();
+      const legs = entries.map(entry => ({
+        amount: parseAmount(pick(entry, 'amount')),
+        fee: Math.abs(parseAmount(pick(entry, 'fee'))),
+        currency: normalizeKrakenAsset(pick(entry, 'asset')),
+        usdValue: Math.abs(parseAmount(pick(entry, 'amountusd'))),
+      }));
+      const sentLeg = legs.find(leg => leg.amount < 0);
+      const receivedLeg = legs.find(leg => leg.amount > 0);
+      const feeLeg = legs.find(leg => leg.fee > 0);
+      const toLeg = (leg) => (leg ? { amount: Math.abs(leg.amount), currency: leg.currency } : null);
+      const oneSided = receivedLeg || sentLeg;
+      const priceHint = oneSided && oneSided.usdValue && oneSided.amount ? oneSided.usdValue / Math.abs(oneSided.amount) : 0;
+
+      const classified = classifyLegs({
+        sent: toLeg(sentLeg),
+        received: toLeg(receivedLeg),
+        fee: feeLeg ? { amount: feeLeg.fee, currency: feeLeg.currency } : null,
+        tag,
+        price: priceHint,
+      });
+      transactions.push(createTransaction(krakenLedgers, {
+        ...classified,
+        date,
+        transaction_id: refid,
+        notes: [classified.notes, classified.type === 'income' && !priceHint ? 'FMV not in export — set the price to record income' : ''].filter(Boolean).join('; '),
+      }));
+    });
+    return transactions;
+  },
+};
+
+const krakenTrades = {
+  id: 'kraken_trades',
+  label: 'Kraken',
+  variant: 'Trades',
+  accountType: 'taxable_crypto',
+  signatures: [['txid', 'ordertxid', 'pair', 'type', 'price', 'vol']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'time'));
+      if (!date) return null;
+      const pair = pick(row, 'pair').toUpperCase().replace('/', '');
+      const quote = KRAKEN_QUOTES.find(q => pair.endsWith(q) && pair.length > q.length) || '';
+      const asset = normalizeKrakenAsset(pair.slice(0, pair.length - quote.length));
+      const side = pick(row, 'type').toLowerCase();
+      const base = {
+        asset_ticker: asset,
+        quantity: Math.abs(parseAmount(pick(row, 'vol'))),
+        price_per_unit: Math.abs(parseAmount(pick(row, 'price'))),
+        trading_fee: Math.abs(parseAmount(pick(row, 'fee'))),
+        date,
+        transaction_id: pick(row, 'txid'),
+      };
+      const quoteCurrency = normalizeKrakenAsset(quote);
+      if (!USD_CURRENCIES.includes(quote) && !FIAT_CURRENCIES.includes(quoteCurrency)) {
+        return createTransaction(krakenTrades, { ...base, type: 'other', trading_fee: 0, notes: `${pair} is not quoted in fiat` });
+      }
+      const priceCurrency = USD_CURRENCIES.includes(quote) ? {} : { price_currency: quoteCurrency };
+      return createTransaction(krakenTrades, { ...base, ...priceCurrency, type: side === 'sell' ? 'sell' : side === 'buy' ? 'buy' : 'other' });
+    }).filter(Boolean);
+  },
+};
+
+const river = {
+  id: 'river',
+  label: 'River',
+  accountType: 'taxable_crypto',
+  signatures: [['date', 'sent amount', 'sent currency', 'received amount', 'received currency']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'date'));
+      if (!date) return null;
+      const leg = (amountCol, currencyCol) => {
+        const amount = Math.abs(parseAmount(pick(row, amountCol)));
+        const currency = pick(row, currencyCol).toUpperCase();
+        return amount > 0 && currency ? { amount, currency } : null;
+      };
+      // River's Sent Amount excludes the fee, which is listed separately
+      const classified = classifyLegs({
+        sent: leg('sent amount', 'sent currency'),
+        received: leg('received amount', 'received currency'),
+        fee: leg('fee amount', 'fee currency'),
+        tag: pick(row, 'tag').toLowerCase(),
+      });
+      return createTransaction(river, {
+        ...classified,
+        date,
+        transaction_id: pick(row, 'transaction id', 'id'),
+        notes: classified.notes || pick(row, 'tag'),
+      });
+    }).filter(Boolean);
+  },
+};
+
+const swan = {
+  id: 'swan',
+  label: 'Swan',
+  accountType: 'taxable_crypto',
+  signatures: [['event', 'date', 'unit count', 'asset type']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'date'));
+      const status = pick(row, 'status').toLowerCase();
+      if (!date || (status && !['completed', 'complete', 'settled'].includes(status))) return null;
+      const event = pick(row, 'event').toLowerCase();
+      const feeAsset = pick(row, 'transaction fee asset type').toUpperCase() || 'USD';
+      const price = Math.abs(parseAmount(pick(row, 'btc price', 'asset price')));
+      const fee = Math.abs(parseAmount(pick(row, 'transaction fee')));
+
+      let type = classifyTransactionType(event);
+      if (event === 'purchase') type = 'buy';
+      return createTransaction(swan, {
+        type,
+        asset_ticker: pick(row, 'asset type') || 'BTC',
+        quantity: Math.abs(parseAmount(pick(row, 'unit count'))),
+        price_per_unit: price,
+        trading_fee: feeAsset === 'USD' ? fee : fee * price,
+        date,
+        transaction_id: pick(row, 'transaction id'),
+      });
+    }).filter(Boolean);
+  },
+};
+
+const strike = {
+  id: 'strike',
+  label: 'Strike',
+  accountType: 'taxable_crypto',
+  signatures: [
+    ['transaction type', 'amount usd', 'amount btc', 'btc price'],
+    ['transaction type', 'amount 1', 'currency 1', 'amount 2', 'currency 2'],
+  ],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'date & time (utc)', 'completed date (utc)', 'initiated date (utc)', 'date'));
+      const state = pick(row, 'state', 'status').toLowerCase();
+      if (!date || (state && state !== 'completed')) return null;
+      const tag = pick(row, 'transaction type').toLowerCase();
+      const price = Math.abs(parseAmount(pick(row, 'btc price')));
+
+      // Current export has fixed USD/BTC columns; the older one has numbered currency legs
+      let legs;
+      if (pick(row, 'currency 1')) {
+        legs = [1, 2].map(n => ({
+          amount: parseAmount(pick(row, `amount ${n}`)),
+          currency: pick(row, `currency ${n}`).toUpperCase(),
+          fee: Math.abs(parseAmount(pick(row, `fee ${n}`))),
+        })).filter(leg => leg.currency);
+      } else {
+        legs = [
+          { amount: parseAmount(pick(row, 'amount usd')), currency: 'USD', fee: Math.abs(parseAmount(pick(row, 'fee usd'))) },
+          { amount: parseAmount(pick(row, 'amount btc')), currency: 'BTC', fee: Math.abs(parseAmount(pick(row, 'fee btc'))) },
+        ];
+      }
+      legs = legs.filter(leg => leg.amount !== 0 || leg.fee > 0);
+
+      // Strike reports a purchase as +BTC with a USD cost in the same direction, so use the tag
+      const usdLeg = legs.find(leg => USD_CURRENCIES.includes(leg.currency));
+      const btcLeg = legs.find(leg => !USD_CURRENCIES.includes(leg.currency));
+      const feeLeg = legs.find(leg => leg.fee > 0);
+      const abs = (leg) => (leg && leg.amount !== 0 ? { amount: Math.abs(leg.amount), currency: leg.currency } : null);
+      let sent = null;
+      let received = null;
+      if (usdLeg && btcLeg && btcLeg.amount !== 0) {
+        const isSell = /sell|sale/.test(tag) || btcLeg.amount < 0;
+        sent = abs(isSell ? btcLeg : usdLeg);
+        received = abs(isSell ? usdLeg : btcLeg);
+      } else {
+        const leg = btcLeg && btcLeg.amount !== 0 ? btcLeg : usdLeg;
+        if (leg && (leg.amount < 0 || /withdraw|send/.test(tag))) sent = abs(leg);
+        else received = abs(leg);
+      }
+
+      const classified = classifyLegs({
+        sent,
+        received,
+        fee: feeLeg ? { amount: feeLeg.fee, currency: feeLeg.currency } : null,
+        tag,
+        price,
+      });
+      return createTransaction(strike, {
+        ...classified,
+        date,
+        transaction_id: pick(row, 'reference', 'transaction id'),
+        notes: classified.notes || pick(row, 'description', 'note'),
+      });
+    }).filter(Boolean);
+  },
+};
+
+const cashApp = {
+  id: 'cash_app',
+  label: 'Cash App',
+  accountType: 'taxable_crypto',
+  signatures: [['transaction type', 'asset type', 'asset price', 'asset amount']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'date'));
+      const status = pick(row, 'status').toLowerCase();
+      if (!date || (status && status !== 'complete')) return null;
+      const kind = pick(row, 'transaction type').toLowerCase();
+      const asset = pick(row, 'asset type');
+      const base = {
+        asset_ticker: asset,
+        quantity: Math.abs(parseAmount(pick(row, 'asset amount'))),
+        price_per_unit: Math.abs(parseAmount(pick(row, 'asset price'))),
+        date,
+        transaction_id: pick(row, 'transaction id'),
+        notes: pick(row, 'notes'),
+      };
+      const fee = Math.abs(parseAmount(pick(row, 'fee')));
+
+      // Card spend, P2P payments and Cash balance moves have no asset
+      if (!asset) return createTransaction(cashApp, { ...base, type: 'other' });
+      if (kind.includes('boost')) return createTransaction(cashApp, { ...base, type: 'income' });
+      const type = classifyTransactionType(kind);
+      return createTransaction(cashApp, { ...base, type, trading_fee: ['buy', 'sell'].includes(type) ? fee : 0 });
+    }).filter(Boolean);
+  },
+};
+
+const fidelity = {
+  id: 'fidelity',
+  label: 'Fidelity',
+  accountType: 'taxable_brokerage',
+  signatures: [['run date', 'action', 'symbol', 'quantity']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'run date'));
+      if (!date) return null;
+      const action = pick(row, 'action').toUpperCase();
+      const quantity = parseAmount(pick(row, 'quantity'));
+
+      let type;
+      if (action.startsWith('YOU BOUGHT') || action.startsWith('REINVESTMENT')) type = 'buy';
+      else if (action.startsWith('YOU SOLD')) type = 'sell';
+      else if (/DIVIDEND|INTEREST|CAP GAIN/.test(action)) type = 'dividend';
+      else if (/TRANSFERRED|JOURNALED|TRANSFER OF ASSETS/.test(action)) type = 'transfer';
+      else if (/FEE/.test(action)) type = 'fee';
+      else if (/RECEIVED|CONTRIBUTION|DEPOSIT/.test(action)) type = 'deposit';
+      else if (/PAID|DEBIT|WITHDRAWAL|DISTRIBUTION/.test(action)) type = 'withdrawal';
+      else type = 'other';
+
+      return createTransaction(fidelity, {
+        type,
+        asset_ticker: pick(row, 'symbol'),
+        quantity: Math.abs(quantity),
+        price_per_unit: Math.abs(parseAmount(pick(row, 'price ($)', 'price'))),
+        trading_fee: Math.abs(parseAmount(pick(row, 'commission ($)'))) + Math.abs(parseAmount(pick(row, 'fees ($)'))),
+        date,
+        notes: pick(row, 'description') || action,
+      });
+    }).filter(Boolean);
+  },
+};
+
+const schwab = {
+  id: 'schwab',
+  label: 'Schwab',
+  accountType: 'taxable_brokerage',
+  signatures: [['date', 'action', 'symbol', 'fees & comm']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'date'));
+      if (!date) return null;
+      const action = pick(row, 'action').toLowerCase();
+      const amount = parseAmount(pick(row, 'amount'));
+
+      let type;
+      if (action === 'buy' || action === 'reinvest shares' || action === 'buy to open') type = 'buy';
+      else if (action === 'sell' || action === 'sell to close') type = 'sell';
+      else if (/dividend|div|interest|cap gain/.test(action)) type = 'dividend';
+      else if (/journal|security transfer|internal transfer/.test(action)) type = 'transfer';
+      else if (/fee|foreign tax/.test(action)) type = 'fee';
+      else if (/moneylink|wire|transfer|deposit/.test(action)) type = amount >= 0 ? 'deposit' : 'withdrawal';
+      else type = 'other';
+
+      return createTransaction(schwab, {
+        type,
+        asset_ticker: pick(row, 'symbol'),
+        quantity: Math.abs(parseAmount(pick(row, 'quantity'))),
+        price_per_unit: Math.abs(parseAmount(pick(row, 'price'))),
+        trading_fee: Math.abs(parseAmount(pick(row, 'fees & comm'))),
+        date,
+        notes: pick(row, 'description'),
+      });
+    }).filter(Boolean);
+  },
+};
+
+const vanguard = {
+  id: 'vanguard',
+  label: 'Vanguard',
+  accountType: 'taxable_brokerage',
+  signatures: [['trade date', 'transaction type', 'symbol', 'shares', 'share price']],
+  parse(rows) {
+    return rows.map(row => {
+      const date = normalizeCsvDate(pick(row, 'trade date'));
+      if (!date) return null;
+      const kind = pick(row, 'transaction type').toLowerCase();
+      const shares = parseAmount(pick(row, 'shares'));
+
+      let type;
+      if (kind === 'buy' || kind === 'reinvestment') type = 'buy';
+      else if (kind === 'sell') type = 'sell';
+      else if (kind === 'exchange') type = shares >= 0 ? 'buy' : 'sell'; // Fund-to-fund exchanges are a sale and a purchase
+      else if (/dividend|capital gain|interest/.test(kind)) type = 'dividend';
+      else if (/transfer|sweep/.test(kind)) type = 'transfer';
+      else if (kind.includes('fee')) type = 'fee';
+      else if (/funds received|contribution|conversion/.test(kind)) type = 'deposit';
+      else if (/withdrawal|distribution/.test(kind)) type = 'withdrawal';
+      else type = 'other';
+
+      return createTransaction(vanguard, {
+        type,
+        asset_ticker: pick(row, 'symbol'),
+        quantity: Math.abs(shares),
+        price_per_unit: Math.abs(parseAmount(pick(row, 'share price'))),
+        trading_fee: Math.abs(parseAmount(pick(row, 'commissions and fees'))),
+        date,
+        notes: pick(row, 'transaction description'),
+      });
+    }).filter(Boolean);
+  },
+};
+
+// Brokerage exports have no stable row IDs, so re-imports fall back to exact-match duplicate detection.
+// Checked in order; more specific signatures first
+export const CSV_IMPORT_PRESETS = [
+  coinbase,
+  krakenLedgers,
+  krakenTrades,
+  river,
+  swan,
+  strike,
+  cashApp,
+  fidelity,
+  schwab,
+  vanguard,
+];
+
+export function getCsvPreset(presetId) {
+  return CSV_IMPORT_PRESETS.find(preset => preset.id === presetId) || null;
+}
+
+export function getCsvPresetName(preset) {
+  return preset.variant ? `${preset.label} (${preset.variant})` : preset.label;
+}
+
+/**
+ * Find the first line (within the preamble window) that matches a preset's header signature.
+ *
+ * @param {string[]} lines - Non-empty lines of the file
+ * @returns {{ preset: Object, headerIndex: number }|null}
+ */
+export function detectCsvPreset(lines) {
+  const limit = Math.min(lines.length, HEADER_SCAN_LINES);
+  for (let headerIndex = 0; headerIndex < limit; headerIndex++) {
+    const headers = new Set(parseCsvLine(lines[headerIndex]).map(h => h.trim().toLowerCase()));
+    const preset = CSV_IMPORT_PRESETS.find(p =>
+      p.signatures.some(signature => signature.every(column => headers.has(column)))
+    );
+    if (preset) return { preset, headerIndex };
+  }
+  return null;
+}
+
+/**
+ * Count parsed transactions per category for the import summary.
+ */
+export function summarizeCategories(transactions) {
+  return transactions.reduce((counts, tx) => {
+    counts[tx.type] = (counts[tx.type] || 0) + 1;
+    return counts;
+  }, {});
+}
@@ -0,0 +1,124 @@
+// components/shared/currency.js
+// Base currency (UserSettings.base_currency). Amounts are stored and calculated in US dollars, so the
+// tax rules, price models and lot math stay in one currency; the base currency is what the user sees
+// and types in. Current values convert at today's rate (getExchangeRates). Buys and sells convert at
+// the rate on their trade date (getHistoricalExchangeRates), which is kept on the transaction as
+// fx_rate so its cost basis reads back exactly as entered.
+//
+// Rates use the getExchangeRates format: units of USD per one unit of the currency.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', label: 'US Dollar' },
+  { code: 'EUR', label: 'Euro' },
+  { code: 'GBP', label: 'British Pound' },
+  { code: 'CAD', label: 'Canadian Dollar' },
+  { code: 'AUD', label: 'Australian Dollar' },
+  { code: 'NZD', label: 'New Zealand Dollar' },
+  { code: 'CHF', label: 'Swiss Franc' },
+  { code: 'JPY', label: 'Japanese Yen' },
+  { code: 'HKD', label: 'Hong Kong Dollar' },
+  { code: 'SGD', label: 'Singapore Dollar' },
+  { code: 'CNY', label: 'Chinese Yuan' },
+  { code: 'INR', label: 'Indian Rupee' },
+  { code: 'SEK', label: 'Swedish Krona' },
+  { code: 'NOK', label: 'Norwegian Krone' },
+  { code: 'DKK', label: 'Danish Krone' },
+  { code: 'PLN', label: 'Polish Złoty' },
+  { code: 'CZK', label: 'Czech Koruna' },
+  { code: 'BRL', label: 'Brazilian Real' },
+  { code: 'MXN', label: 'Mexican Peso' },
+  { code: 'ZAR', label: 'South African Rand' },
+];
+
+/** Base currency from UserSettings, falling back to USD for unknown codes. */
+export const getBaseCurrency = (settings) => {
+  const code = settings?.base_currency;
+  return SUPPORTED_CURRENCIES.some(c => c.code === code) ? code : DEFAULT_CURRENCY;
+};
+
+/** USD per unit of `currency`, or null when the rate is unknown. */
+export const getUsdRate = (rates, currency) => {
+  if (!currency || currency === 'USD') return 1;
+  return rates?.[currency] || null;
+};
+
+/** USD amount in `currency`; unknown rates leave the amount in USD. */
+export const convertFromUSD = (amount, currency, rates) => (amount || 0) / (getUsdRate(rates, currency) || 1);
+
+/** `currency` amount in USD; unknown rates leave the amount as is. */
+export const convertToUSD = (amount, currency, rates) => (amount || 0) * (getUsdRate(rates, currency) || 1);
+
+/** Symbol shown before abbreviated amounts ("$", "€", "CHF"). */
+export function getCurrencySymbol(currency = DEFAULT_CURRENCY) {
+  try {
+    const part = new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+      .formatToParts(0)
+      .find(p => p.type === 'currency');
+    return part?.value || currency;
+  } catch {
+    return currency;
+  }
+}
+
+/**
+ * Format an amount that is already in `currency`.
+ *
+ * @param {number} amount
+ * @param {string} [currency]
+ * @param {Object} [options]
+ * @param {number} [options.decimals] - Fraction digits (default 0)
+ * @param {boolean} [options.compact] - 1.2M / 350k style, as the charts use
+ */
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY, { decimals = 0, compact = false } = {}) {
+  const value = Number.isFinite(amount) ? amount : 0;
+  const symbol = getCurrencySymbol(currency);
+  const sign = value < 0 ? '-' : '';
+  const abs = Math.abs(value);
+  if (compact) {
+    if (abs >= 1e9) return `${sign}${symbol}${(abs / 1e9).toFixed(decimals || 1)}B`;
+    if (abs >= 1e6) return `${sign}${symbol}${(abs / 1e6).toFixed(decimals || 1)}M`;
+    if (abs >= 1e3) return `${sign}${symbol}${(abs / 1e3).toFixed(decimals)}k`;
+  }
+  return `${sign}${symbol}${abs.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+}
+
+/**
+ * Rate on `date` from a { 'YYYY-MM-DD': rate } series. Weekends and holidays have no ECB fix, so
+ * this walks back to the last published day (up to two weeks).
+ */
+export function findRateOnDate(series, date) {
+  if (!series || !date) return null;
+  const day = new Date(`${String(date).split('T')[0]}T00:00:00Z`);
+  if (isNaN(day.getTime())) return null;
+  for (let i = 0; i < 14; i++) {
+    const key = day.toISOString().split('T')[0];
+    if (series[key]) return series[key];
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return null;
+}
+
+/**
+ * USD per unit of `currency` when a transaction was made: the rate saved with the transaction when it
+ * was entered in this currency, otherwise the historical series, otherwise today's rate.
+ *
+ * @param {Object} transaction - Transaction with date and optional entry_currency / fx_rate
+ * @param {string} currency - Base currency
+ * @param {Object} [historicalRates] - { 'YYYY-MM-DD': rate } for `currency`
+ * @param {Object} [currentRates] - getExchangeRates map
+ */
+export function getTransactionRate(transaction, currency, historicalRates, currentRates) {
+  if (currency === 'USD') return 1;
+  if (transaction?.entry_currency === currency && transaction.fx_rate > 0) return transaction.fx_rate;
+  return findRateOnDate(historicalRates, transaction?.date) || getUsdRate(currentRates, currency) || 1;
+}
+
+/** A converted amount for a form field, without floating-point noise ('' for empty). */
+export const toInputValue = (amount) => (amount ? String(parseFloat(amount.toPrecision(10))) : '');
+
+/** Fields saved on a transaction entered in `currency` at `rate` (USD per unit); none for USD. */
+export const getEntryCurrencyFields = (currency, rate) => (
+  currency && currency !== 'USD' ? { entry_currency: currency, fx_rate: rate } : {}
+);
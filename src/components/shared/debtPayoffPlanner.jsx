@@ -0,0 +1,235 @@
+// components/shared/debtPayoffPlanner.js
+// Debt payoff planner for non-BTC liabilities. Every month each debt gets its minimum payment; the
+// extra budget, plus the minimums of debts already paid off, goes to the first open debt in the
+// strategy's order. The saved plan (UserSettings.debt_payoff_plan) feeds the cash flow and
+// retirement projections as scheduled payments. Loans with a term (mortgageCalculations) follow their
+// own amortization schedule and are left out.
+
+import { isAmortizingLoan } from '@/components/shared/mortgageCalculations';
+
+export const PAYOFF_STRATEGIES = [
+  { value: 'avalanche', label: 'Avalanche', description: 'Highest interest rate first (least interest)' },
+  { value: 'snowball', label: 'Snowball', description: 'Smallest balance first (quickest wins)' },
+  { value: 'payment_ratio', label: 'Highest Payment Ratio', description: 'Largest minimum payment per dollar owed first (frees cash flow fastest)' },
+  { value: 'custom', label: 'Custom Order', description: 'Your own order' },
+];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MAX_MONTHS = 600;
+
+/** Plan settings with defaults filled in. */
+export const getDebtPayoffPlan = (plan) => ({
+  enabled: !!plan?.enabled,
+  strategy: plan?.strategy || 'avalanche',
+  extra_monthly: Math.max(0, Number(plan?.extra_monthly) || 0),
+  custom_order: plan?.custom_order || [],
+});
+
+/**
+ * Liabilities already paid down by a debt payoff goal (extra payment or lump sum). The projection
+ * lets those goals drive them, so the planner leaves them out.
+ */
+export const getGoalManagedLiabilityIds = (goals = []) => new Set(
+  goals
+    .filter(g => g.type === 'debt_payoff' && g.linked_liability_id && ['extra', 'lump_sum'].includes(g.payoff_strategy))
+    .map(g => g.linked_liability_id)
+);
+
+/** Non-BTC liabilities with a balance and no amortization term, in the shape the simulation uses. */
+export function getPayoffEligibleDebts(liabilities = [], excludeIds = new Set()) {
+  return liabilities
+    .filter(l => l.type !== 'btc_collateralized' && !isAmortizingLoan(l) && (l.current_balance || 0) > 0 && !excludeIds.has(l.id))
+    .map(l => ({
+      id: l.id,
+      name: l.name,
+      balance: l.current_balance || 0,
+      rate: l.interest_rate || 0,
+      minimumPayment: l.monthly_payment || 0,
+    }));
+}
+
+// Order in which the extra budget is applied, fixed at the start of the plan
+function orderDebts(debts, strategy, customOrder = []) {
+  const byRate = (a, b) => b.rate - a.rate || a.balance - b.balance;
+  const sorted = [...debts];
+  switch (strategy) {
+    case 'snowball':
+      return sorted.sort((a, b) => a.balance - b.balance || b.rate - a.rate);
+    case 'payment_ratio':
+      return sorted.sort((a, b) => b.minimumPayment / b.balance - a.minimumPayment / a.balance || byRate(a, b));
+    case 'custom': {
+      const position = (id) => {
+        const index = customOrder.indexOf(id);
+        return index === -1 ? Infinity : index;
+      };
+      return sorted.sort((a, b) => position(a.id) - position(b.id) || byRate(a, b));
+    }
+    default:
+      return sorted.sort(byRate);
+  }
+}
+
+/**
+ * Simulate paying off debts month by month.
+ *
+ * @param {Object} options
+ * @param {Array} options.debts - From getPayoffEligibleDebts
+ * @param {string} [options.strategy] - PAYOFF_STRATEGIES value, or 'minimum' for minimum payments only
+ * @param {number} [options.extraMonthly] - Budget on top of the minimums
+ * @param {Array<string>} [options.customOrder] - Liability ids for the 'custom' strategy
+ * @param {Date} [options.startDate] - First month of the plan (defaults to this month)
+ * @returns {Object} { months, debts, order, totalInterest, totalPaid, payoffMonths, payoffDate, paidOff }
+ *   - months: [{ index, year, month, label, payment, extra, interest, balance, payments: { [id]: { minimum, extra, interest, balance } }, paidOff: [names] }]
+ *   - debts: [{ id, name, totalInterest, totalPaid, payoffMonth, payoffDate }] - payoffMonth is null when never repaid
+ */
+export function simulateDebtPayoff({ debts, strategy = 'avalanche', extraMonthly = 0, customOrder = [], startDate = new Date() }) {
+  const isMinimumOnly = strategy === 'minimum';
+  const order = orderDebts(debts, strategy, customOrder);
+  const state = order.map(d => ({ ...d, totalInterest: 0, totalPaid: 0, payoffMonth: null }));
+  const budget = state.reduce((sum, d) => sum + d.minimumPayment, 0) + (isMinimumOnly ? 0 : extraMonthly);
+  const startYear = startDate.getFullYear();
+  const startMonth = startDate.getMonth();
+  const months = [];
+
+  for (let index = 0; index < MAX_MONTHS && state.some(d => d.balance > 0.01); index++) {
+    const calendarMonth = startMonth + index;
+    const year = startYear + Math.floor(calendarMonth / 12);
+    const month = calendarMonth % 12;
+    const payments = {};
+    const paidOff = [];
+
+    // Interest, then minimums
+    state.forEach(d => {
+      if (d.balance <= 0.01) return;
+      const interest = d.balance * (d.rate / 100 / 12);
+      d.balance += interest;
+      d.totalInterest += interest;
+      const minimum = Math.min(d.balance, d.minimumPayment);
+      d.balance -= minimum;
+      payments[d.id] = { minimum, extra: 0, interest, balance: d.balance };
+    });
+
+    // Whatever is left of the budget goes down the order
+    if (!isMinimumOnly) {
+      let available = budget - Object.values(payments).reduce((sum, p) => sum + p.minimum, 0);
+      for (const d of state) {
+        if (available <= 0.01) break;
+        if (d.balance <= 0.01 || !payments[d.id]) continue;
+        const extra = Math.min(d.balance, available);
+        d.balance -= extra;
+        available -= extra;
+        payments[d.id].extra = extra;
+      }
+    }
+
+    state.forEach(d => {
+      const payment = payments[d.id];
+      if (!payment) return;
+      payment.balance = Math.max(0, d.balance);
+      d.totalPaid += payment.minimum + payment.extra;
+      if (d.balance <= 0.01 && d.payoffMonth === null) {
+        d.balance = 0;
+        d.payoffMonth = index + 1;
+        d.payoffDate = `${MONTH_NAMES[month]} ${year}`;
+        paidOff.push(d.name);
+      }
+    });
+
+    const entries = Object.values(payments);
+    months.push({
+      index,
+      year,
+      month,
+      label: `${MONTH_NAMES[month]} ${year}`,
+      payment: entries.reduce((sum, p) => sum + p.minimum + p.extra, 0),
+      extra: entries.reduce((sum, p) => sum + p.extra, 0),
+      interest: entries.reduce((sum, p) => sum + p.interest, 0),
+      balance: state.reduce((sum, d) => sum + Math.max(0, d.balance), 0),
+      payments,
+      paidOff,
+    });
+  }
+
+  const paidOffAll = state.every(d => d.payoffMonth !== null);
+  return {
+    months,
+    debts: state.map(d => ({
+      id: d.id,
+      name: d.name,
+      totalInterest: d.totalInterest,
+      totalPaid: d.totalPaid,
+      payoffMonth: d.payoffMonth,
+      payoffDate: d.payoffDate || null,
+    })),
+    order: order.map(d => d.id),
+    totalInterest: state.reduce((sum, d) => sum + d.totalInterest, 0),
+    totalPaid: state.reduce((sum, d) => sum + d.totalPaid, 0),
+    payoffMonths: paidOffAll ? months.length : null,
+    payoffDate: paidOffAll && months.length > 0 ? months[months.length - 1].label : null,
+    paidOff: paidOffAll,
+  };
+}
+
+/**
+ * Run every strategy against the minimum-payment baseline.
+ *
+ * @returns {Object} { baseline, strategies: { [strategy]: result + { interestSaved, monthsSaved } } }
+ */
+export function compareDebtPayoffStrategies({ debts, extraMonthly = 0, customOrder = [], startDate = new Date() }) {
+  const baseline = simulateDebtPayoff({ debts, strategy: 'minimum', startDate });
+  const strategies = {};
+  PAYOFF_STRATEGIES.forEach(({ value }) => {
+    const result = simulateDebtPayoff({ debts, strategy: value, extraMonthly, customOrder, startDate });
+    strategies[value] = {
+      ...result,
+      interestSaved: baseline.totalInterest - result.totalInterest,
+      monthsSaved: baseline.payoffMonths !== null && result.payoffMonths !== null ? baseline.payoffMonths - result.payoffMonths : null,
+    };
+  });
+  return { baseline, strategies };
+}
+
+/**
+ * Calendar-year totals of a simulated plan, per liability, for the projections.
+ *
+ * @param {Object} result - From simulateDebtPayoff
+ * @returns {Object} { [year]: { [liabilityId]: { minimum, extra, interest, endBalance, payoffMonth } } } - payoffMonth is 1-12 when repaid that year
+ */
+export function getYearlyPayoffSchedule(result) {
+  const schedule = {};
+  result.months.forEach(m => {
+    schedule[m.year] = schedule[m.year] || {};
+    Object.entries(m.payments).forEach(([id, p]) => {
+      const entry = schedule[m.year][id] || { minimum: 0, extra: 0, interest: 0, endBalance: 0, payoffMonth: null };
+      entry.minimum += p.minimum;
+      entry.extra += p.extra;
+      entry.interest += p.interest;
+      entry.endBalance = p.balance;
+      if (p.balance <= 0.01 && entry.payoffMonth === null) entry.payoffMonth = m.month + 1;
+      schedule[m.year][id] = entry;
+    });
+  });
+  return schedule;
+}
+
+/**
+ * Yearly schedule for a saved plan, or null when the plan is off or has nothing to pay.
+ *
+ * @param {Object} plan - UserSettings.debt_payoff_plan
+ * @param {Array} liabilities - Liability records
+ * @param {Array} [goals] - FinancialGoal records (goal-managed liabilities are left out)
+ * @param {Date} [startDate]
+ */
+export function buildDebtPayoffSchedule(plan, liabilities, goals = [], startDate = new Date()) {
+  const settings = getDebtPayoffPlan(plan);
+  if (!settings.enabled) return null;
+  const debts = getPayoffEligibleDebts(liabilities, getGoalManagedLiabilityIds(goals));
+  if (debts.length === 0) return null;
+  return getYearlyPayoffSchedule(simulateDebtPayoff({
+    debts,
+    strategy: settings.strategy,
+    extraMonthly: settings.extra_monthly,
+    customOrder: settings.custom_order,
+    startDate,
+  }));
+}
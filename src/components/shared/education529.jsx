@@ -0,0 +1,212 @@
+// components/shared/education529.js
+// 529 college savings for education goals. Each goal (FinancialGoal with type 'education') is one
+// beneficiary: born in beneficiary_birth_year, in college from college_start_age for college_years,
+// at annual_cost in today's dollars growing at education_inflation_rate. The goal's linked 529
+// account (linked_account_id) takes annual_contribution until college starts and pays the costs first;
+// anything it can't cover is a shortfall the household pays.
+//
+// After the last college year the leftover is kept, rolled into the beneficiary's Roth IRA (SECURE 2.0:
+// account open 15+ years, contributions of the last 5 years excluded, within the yearly Roth limit and
+// $35k lifetime) or withdrawn, where the earnings are taxable income plus the 10% additional tax.
+
+import { getRothIRALimit } from '@/components/shared/taxConfig';
+
+export const PLAN_529_RULES = {
+  nonQualifiedPenaltyRate: 0.10, // Form 5329 Part II, on the earnings of a non-qualified withdrawal
+  rothRolloverLifetimeLimit: 35000,
+  rothRolloverMinAccountAge: 15, // Years the 529 must have been open
+  rothRolloverContributionLookback: 5, // Contributions this recent (and their earnings) can't be rolled over
+};
+
+export const LEFTOVER_ACTIONS = [
+  { value: 'keep', label: 'Keep in the 529' },
+  { value: 'roth_rollover', label: "Roll into the beneficiary's Roth IRA" },
+  { value: 'withdraw', label: 'Withdraw (non-qualified)' },
+];
+
+/** An education goal with defaults filled in. */
+export const getEducationGoal = (goal = {}) => ({
+  ...goal,
+  beneficiary_name: goal.beneficiary_name || '',
+  beneficiary_birth_year: goal.beneficiary_birth_year || new Date().getFullYear(),
+  college_start_age: goal.college_start_age ?? 18,
+  college_years: goal.college_years || 4,
+  annual_cost: goal.annual_cost || 0,
+  education_inflation_rate: goal.education_inflation_rate ?? 5,
+  annual_contribution: goal.annual_contribution || 0,
+  plan_opened_year: goal.plan_opened_year || null,
+  leftover_action: goal.leftover_action || 'keep',
+});
+
+/** First and last calendar year of college. */
+export function getCollegeYears(goal) {
+  const plan = getEducationGoal(goal);
+  const startYear = plan.beneficiary_birth_year + plan.college_start_age;
+  return { startYear, endYear: startYear + plan.college_years - 1 };
+}
+
+/**
+ * One year's education cost: today's annual cost grown at the education inflation rate, in college years only.
+ * @param {Object} goal
+ * @param {number} year
+ * @param {number} [baseYear] - Year annual_cost is priced in
+ */
+export function getEducationCost(goal, year, baseYear = new Date().getFullYear()) {
+  const plan = getEducationGoal(goal);
+  const { startYear, endYear } = getCollegeYears(plan);
+  if (year < startYear || year > endYear) return 0;
+  return plan.annual_cost * Math.pow(1 + plan.education_inflation_rate / 100, Math.max(0, year - baseYear));
+}
+
+/**
+ * Year-by-year 529 for one education goal. Growth applies from the second year on (the first year is the
+ * current one), then the year's contribution, then the education costs and any leftover action.
+ *
+ * @param {Object} goal - Education goal
+ * @param {Object} options
+ * @param {number} [options.startBalance] - Current value of the linked 529 account
+ * @param {number} [options.startBasis] - Contributions in that value (defaults to all of it)
+ * @param {number} options.startYear
+ * @param {number} options.endYear
+ * @param {Function} options.growthRate - (yearIndex) => annual return in percent
+ * @returns {Array} [{ year, beneficiaryAge, contribution, educationCost, qualifiedWithdrawal, shortfall, rothRollover,
+ *   nonQualifiedWithdrawal, taxableEarnings, penalty, balance }]
+ */
+export function project529Plan(goal, { startBalance = 0, startBasis = null, startYear, endYear, growthRate }) {
+  const plan = getEducationGoal(goal);
+  const college = getCollegeYears(plan);
+  const openedYear = plan.plan_opened_year || startYear;
+  let balance = Math.max(0, startBalance);
+  let basis = Math.min(balance, startBasis ?? balance);
+  // Contributions by year for the rollover's 5-year rule; the current basis counts from when the plan opened
+  const contributionsByYear = { [openedYear]: basis };
+  let rolledOver = 0;
+
+  const withdraw = (amount) => {
+    if (amount <= 0 || balance <= 0) return 0;
+    const taken = Math.min(amount, balance);
+    basis -= basis * (taken / balance);
+    balance -= taken;
+    return taken;
+  };
+
+  const rows = [];
+  for (let year = startYear; year <= endYear; year++) {
+    const i = year - startYear;
+    if (i > 0) balance *= 1 + growthRate(i) / 100;
+
+    const contribution = year < college.startYear ? plan.annual_contribution : 0;
+    balance += contribution;
+    basis += contribution;
+    contributionsByYear[year] = (contributionsByYear[year] || 0) + contribution;
+
+    const educationCost = getEducationCost(plan, year, startYear);
+    const qualifiedWithdrawal = withdraw(educationCost);
+
+    let rothRollover = 0;
+    let nonQualifiedWithdrawal = 0;
+    let taxableEarnings = 0;
+    if (year > college.endYear && balance > 0) {
+      if (plan.leftover_action === 'roth_rollover' && year - openedYear >= PLAN_529_RULES.rothRolloverMinAccountAge) {
+        const recentContributions = Object.entries(contributionsByYear)
+          .filter(([y]) => Number(y) > year - PLAN_529_RULES.rothRolloverContributionLookback)
+          .reduce((sum, [, amount]) => sum + amount, 0);
+        const room = Math.min(
+          getRothIRALimit(year, year - plan.beneficiary_birth_year),
+          PLAN_529_RULES.rothRolloverLifetimeLimit - rolledOver,
+          balance - recentContributions,
+        );
+        rothRollover = withdraw(Math.max(0, room));
+        rolledOver += rothRollover;
+      } else if (plan.leftover_action === 'withdraw') {
+        taxableEarnings = Math.max(0, balance - basis);
+        nonQualifiedWithdrawal = withdraw(balance);
+      }
+    }
+
+    rows.push({
+      year,
+      beneficiaryAge: year - plan.beneficiary_birth_year,
+      contribution,
+      educationCost,
+      qualifiedWithdrawal,
+      shortfall: educationCost - qualifiedWithdrawal,
+      rothRollover,
+      nonQualifiedWithdrawal,
+      taxableEarnings,
+      penalty: taxableEarnings * PLAN_529_RULES.nonQualifiedPenaltyRate,
+      balance,
+    });
+  }
+  return rows;
+}
+
+/**
+ * Value and cost basis of each education goal's linked 529 account. An account funds one beneficiary:
+ * if several goals link the same account, the first one gets it.
+ *
+ * @param {Array} goals - Education goals
+ * @param {Array} holdings - Holdings with account_id, quantity and current_price (BTC at btcPrice)
+ * @param {number} btcPrice
+ * @returns {Object} { [goalId]: { value, basis } }
+ */
+export function get529StartingBalances(goals = [], holdings = [], btcPrice = 0) {
+  const claimed = new Set();
+  return Object.fromEntries(goals.map(goal => {
+    const accountId = goal.linked_account_id;
+    if (!accountId || claimed.has(accountId)) return [goal.id, { value: 0, basis: 0 }];
+    claimed.add(accountId);
+    return [goal.id, holdings
+      .filter(h => h.account_id === accountId)
+      .reduce((acc, h) => {
+        const value = h.ticker === 'BTC' ? (h.quantity || 0) * btcPrice : (h.quantity || 0) * (h.current_price || 0);
+        return { value: acc.value + value, basis: acc.basis + (h.cost_basis_total ?? value) };
+      }, { value: 0, basis: 0 })];
+  }));
+}
+
+/**
+ * All education goals' 529 activity summed per calendar year, for the projection.
+ *
+ * @param {Array} goals - Any goals; only type 'education' is used
+ * @param {Object} options
+ * @param {Object} [options.startingBalances] - From get529StartingBalances
+ * @param {number} options.startYear
+ * @param {number} options.endYear
+ * @param {Function} options.growthRate - (goal, yearIndex) => annual return in percent
+ * @returns {Object} { [year]: { contributions, educationCosts, qualifiedWithdrawals, shortfall, rothRollover,
+ *   nonQualifiedWithdrawal, taxableEarnings, penalty, balance } }
+ */
+export function get529ScheduleByYear(goals = [], { startingBalances = {}, startYear, endYear, growthRate }) {
+  const byYear = {};
+  for (let year = startYear; year <= endYear; year++) {
+    byYear[year] = {
+      contributions: 0, educationCosts: 0, qualifiedWithdrawals: 0, shortfall: 0, rothRollover: 0,
+      nonQualifiedWithdrawal: 0, taxableEarnings: 0, penalty: 0, balance: 0,
+    };
+  }
+
+  goals.filter(g => g.type === 'education').forEach(goal => {
+    const start = startingBalances[goal.id] || { value: 0, basis: 0 };
+    const rows = project529Plan(goal, {
+      startBalance: start.value,
+      startBasis: start.basis,
+      startYear,
+      endYear,
+      growthRate: (i) => growthRate(goal, i),
+    });
+    rows.forEach(row => {
+      const entry = byYear[row.year];
+      entry.contributions += row.contribution;
+      entry.educationCosts += row.educationCost;
+      entry.qualifiedWithdrawals += row.qualifiedWithdrawal;
+      entry.shortfall += row.shortfall;
+      entry.rothRollover += row.rothRollover;
+      entry.nonQualifiedWithdrawal += row.nonQualifiedWithdrawal;
+      entry.taxableEarnings += row.taxableEarnings;
+      entry.penalty += row.penalty;
+      entry.balance += row.balance;
+    });
+  });
+  return byYear;
+}
@@ -0,0 +1,334 @@
+// components/shared/equityCompensation.js
+// Employee equity: RSU, NSO and ISO grants with vesting schedules and planned exercises and sales
+// (UserSettings.equity_grants). getEquityCompByYear turns the grants into each year's tax items and
+// cash: RSU vests and NSO spreads are wages, ISO spreads are AMT preference items, sales are capital
+// gains (or wages for a disqualifying ISO sale). The projection, Budget and Tax Center use it, and
+// planIsoExercises finds how many ISO shares a year can take before AMT applies.
+//
+// Share prices and amounts are US dollars, like the rest of the tax engine.
+
+import { calculateTaxReturn, calculateTentativeMinimumTax, getTaxRules } from '@/components/tax/taxEngine';
+
+export const EQUITY_GRANT_TYPES = [
+  { value: 'rsu', label: 'RSU', description: 'Shares at vest; their value is wages in the vesting year (sold at vest)' },
+  { value: 'nso', label: 'NSO', description: 'Options; the spread at exercise is wages' },
+  { value: 'iso', label: 'ISO', description: 'Options; the spread at exercise counts for AMT, a qualifying sale is all long-term gain' },
+];
+
+export const VESTING_FREQUENCIES = [
+  { value: 'monthly', label: 'Monthly', months: 1 },
+  { value: 'quarterly', label: 'Quarterly', months: 3 },
+  { value: 'annual', label: 'Annually', months: 12 },
+];
+
+// ISO sales count as qualifying two years after grant and a year after exercise
+const ISO_GRANT_HOLDING_YEARS = 2;
+const ISO_EXERCISE_HOLDING_YEARS = 1;
+
+const parseDate = (value) => {
+  const [year, month] = String(value || '').split('-').map(Number);
+  const today = new Date();
+  return year ? { year, month: (month || 1) - 1 } : { year: today.getFullYear(), month: today.getMonth() };
+};
+
+/** Grant with defaults filled in. Exercises are sorted by year; sale_year null means the shares are held. */
+export const getEquityGrant = (grant = {}) => {
+  const grantType = EQUITY_GRANT_TYPES.some(t => t.value === grant.grant_type) ? grant.grant_type : 'rsu';
+  const grantDate = grant.grant_date || new Date().toISOString().split('T')[0];
+  return {
+    id: grant.id,
+    name: grant.name || EQUITY_GRANT_TYPES.find(t => t.value === grantType).label,
+    grant_type: grantType,
+    total_shares: Math.max(0, Math.floor(Number(grant.total_shares) || 0)),
+    strike_price: grantType === 'rsu' ? 0 : Math.max(0, Number(grant.strike_price) || 0),
+    grant_date: grantDate,
+    vesting_start_date: grant.vesting_start_date || grantDate,
+    vesting_months: Math.max(0, Number(grant.vesting_months ?? 48) || 0),
+    cliff_months: Math.max(0, Number(grant.cliff_months ?? 12) || 0),
+    vesting_frequency: VESTING_FREQUENCIES.some(f => f.value === grant.vesting_frequency) ? grant.vesting_frequency : 'monthly',
+    share_price: Math.max(0, Number(grant.share_price) || 0),
+    price_growth_rate: Number(grant.price_growth_rate) || 0,
+    exercises: grantType === 'rsu' ? [] : (grant.exercises || [])
+      .map(e => ({
+        id: e.id,
+        year: Number(e.year),
+        shares: Math.max(0, Math.floor(Number(e.shares) || 0)),
+        sale_year: e.sale_year === null || e.sale_year === undefined || e.sale_year === '' ? null : Number(e.sale_year),
+      }))
+      .filter(e => e.year > 0 && e.shares > 0)
+      .sort((a, b) => a.year - b.year),
+  };
+};
+
+/** Blank grant: four-year vesting with a one-year cliff, vesting monthly from today. */
+export function createEquityGrant(grantType = 'rsu') {
+  const today = new Date().toISOString().split('T')[0];
+  return {
+    id: `equity_${Date.now()}`,
+    name: '',
+    grant_type: grantType,
+    total_shares: 0,
+    strike_price: 0,
+    grant_date: today,
+    vesting_start_date: today,
+    vesting_months: 48,
+    cliff_months: 12,
+    vesting_frequency: 'monthly',
+    share_price: 0,
+    price_growth_rate: 0,
+    exercises: [],
+  };
+}
+
+/**
+ * Vesting events for a grant: nothing before the cliff, the cliff catch-up, then one event per
+ * period until fully vested. Shares are whole; the last event picks up any rounding.
+ *
+ * @returns {Array} [{ year, month (1-12), shares, cumulative }]
+ */
+export function getVestingSchedule(grant) {
+  const g = getEquityGrant(grant);
+  const start = parseDate(g.vesting_start_date);
+  if (g.total_shares === 0) return [];
+  if (g.vesting_months === 0) {
+    return [{ year: start.year, month: start.month + 1, shares: g.total_shares, cumulative: g.total_shares }];
+  }
+
+  const step = VESTING_FREQUENCIES.find(f => f.value === g.vesting_frequency).months;
+  const periods = Math.ceil(g.vesting_months / step);
+  const events = [];
+  let vested = 0;
+  for (let k = 1; k <= periods; k++) {
+    const offset = Math.min(k * step, g.vesting_months);
+    if (offset < g.cliff_months && k < periods) continue;
+    const cumulative = k === periods ? g.total_shares : Math.floor(g.total_shares * offset / g.vesting_months);
+    if (cumulative <= vested) continue;
+    const monthIndex = start.month + offset;
+    events.push({ year: start.year + Math.floor(monthIndex / 12), month: (monthIndex % 12) + 1, shares: cumulative - vested, cumulative });
+    vested = cumulative;
+  }
+  return events;
+}
+
+/** Shares vested by the end of `year`. */
+export const getVestedShares = (grant, year) => getVestingSchedule(grant)
+  .filter(e => e.year <= year)
+  .reduce((sum, e) => sum + e.shares, 0);
+
+/** Projected share price in `year`: today's price grown at the grant's rate (today's price for past years). */
+export const getSharePrice = (grant, year, currentYear = new Date().getFullYear()) => {
+  const g = getEquityGrant(grant);
+  return g.share_price * Math.pow(1 + g.price_growth_rate / 100, Math.max(0, year - currentYear));
+};
+
+/**
+ * Options exercisable in `year`: vested by year end less the plan's exercises up to that year
+ * (`excludeYear` leaves that year's planned exercises out, e.g. to size a new one).
+ */
+export function getExercisableShares(grant, year, { excludeYear = null } = {}) {
+  const g = getEquityGrant(grant);
+  const exercised = g.exercises
+    .filter(e => e.year <= year && e.year !== excludeYear)
+    .reduce((sum, e) => sum + e.shares, 0);
+  return Math.max(0, getVestedShares(g, year) - exercised);
+}
+
+const emptyYear = () => ({
+  rsuIncome: 0,
+  nsoIncome: 0,
+  disqualifyingIncome: 0,
+  ordinaryIncome: 0,
+  isoPreference: 0,
+  exerciseCost: 0,
+  saleProceeds: 0,
+  shortTermGains: 0,
+  longTermGains: 0,
+  cashFlow: 0,
+  events: [],
+});
+
+/**
+ * Each year's tax items and cash from the grants and their planned exercises and sales.
+ *
+ * - RSU: vested shares × price is wages; the shares are sold at vest, so it is also cash
+ * - NSO: the spread at exercise is wages; a later sale is a gain over the exercise-day price
+ * - ISO: the spread at exercise is an AMT preference (Form 6251 line 2i). A same-year sale is
+ *   disqualifying (the spread is wages); a qualifying sale is all long-term gain over the strike, and
+ *   the AMT preference reverses in the sale year. Sales are assumed more than a year after exercise
+ *   when they fall in a later calendar year.
+ * - Exercise costs (strike × shares) are cash out, sale proceeds cash in
+ *
+ * Exercises are capped at the shares vested and not yet exercised by year end.
+ *
+ * @param {Array} grants - UserSettings.equity_grants
+ * @param {Object} [options]
+ * @param {number} [options.startYear] - First year to report (default this year)
+ * @param {number} [options.endYear] - Last year to report (default startYear + 10)
+ * @returns {Object} { [year]: { rsuIncome, nsoIncome, disqualifyingIncome, ordinaryIncome, isoPreference,
+ *   exerciseCost, saleProceeds, shortTermGains, longTermGains, cashFlow, events } } - every year in range
+ */
+export function getEquityCompByYear(grants = [], { startYear = new Date().getFullYear(), endYear = startYear + 10 } = {}) {
+  const byYear = {};
+  for (let year = startYear; year <= endYear; year++) byYear[year] = emptyYear();
+  const at = (year) => byYear[year] || null;
+
+  grants.map(getEquityGrant).forEach(grant => {
+    const grantYear = parseDate(grant.grant_date).year;
+
+    if (grant.grant_type === 'rsu') {
+      const sharesByYear = {};
+      getVestingSchedule(grant).forEach(vest => {
+        sharesByYear[vest.year] = (sharesByYear[vest.year] || 0) + vest.shares;
+      });
+      Object.entries(sharesByYear).forEach(([year, shares]) => {
+        const entry = at(Number(year));
+        if (!entry) return;
+        entry.rsuIncome += shares * getSharePrice(grant, Number(year), startYear);
+        entry.events.push(`${grant.name}: ${shares.toLocaleString('en-US')} RSUs vest`);
+      });
+      return;
+    }
+
+    let exercised = 0;
+    grant.exercises.forEach(exercise => {
+      const shares = Math.min(exercise.shares, Math.max(0, getVestedShares(grant, exercise.year) - exercised));
+      exercised += shares;
+      if (shares === 0) return;
+
+      const exercisePrice = getSharePrice(grant, exercise.year, startYear);
+      const cost = shares * grant.strike_price;
+      const spread = shares * Math.max(0, exercisePrice - grant.strike_price);
+      const sameYearSale = exercise.sale_year === exercise.year;
+
+      const exerciseEntry = at(exercise.year);
+      if (exerciseEntry) {
+        exerciseEntry.exerciseCost += cost;
+        if (grant.grant_type === 'nso') {
+          exerciseEntry.nsoIncome += spread;
+        } else if (sameYearSale) {
+          exerciseEntry.disqualifyingIncome += spread;
+        } else {
+          exerciseEntry.isoPreference += spread;
+        }
+        exerciseEntry.events.push(`${grant.name}: exercise ${shares.toLocaleString('en-US')} ${grant.grant_type.toUpperCase()}s`);
+      }
+
+      if (exercise.sale_year === null || exercise.sale_year < exercise.year) return;
+      const saleEntry = at(exercise.sale_year);
+      if (!saleEntry) return;
+      const proceeds = shares * (sameYearSale ? exercisePrice : getSharePrice(grant, exercise.sale_year, startYear));
+      saleEntry.saleProceeds += proceeds;
+      saleEntry.events.push(`${grant.name}: sell ${shares.toLocaleString('en-US')} shares`);
+      if (sameYearSale) return;
+
+      const longTerm = exercise.sale_year - exercise.year >= ISO_EXERCISE_HOLDING_YEARS;
+      const addGain = (gain) => {
+        if (longTerm) saleEntry.longTermGains += gain;
+        else saleEntry.shortTermGains += gain;
+      };
+      if (grant.grant_type === 'nso') {
+        addGain(proceeds - cost - spread);
+        return;
+      }
+      const qualifying = longTerm && exercise.sale_year - grantYear >= ISO_GRANT_HOLDING_YEARS;
+      // Disqualifying: wages are the lesser of the exercise spread and the actual gain
+      const wages = qualifying ? 0 : Math.max(0, Math.min(spread, proceeds - cost));
+      saleEntry.disqualifyingIncome += wages;
+      addGain(proceeds - cost - wages);
+      // AMT basis includes the spread already counted at exercise
+      saleEntry.isoPreference -= spread;
+    });
+  });
+
+  Object.values(byYear).forEach(entry => {
+    entry.ordinaryIncome = entry.rsuIncome + entry.nsoIncome + entry.disqualifyingIncome;
+    entry.cashFlow = entry.rsuIncome + entry.saleProceeds - entry.exerciseCost;
+  });
+  return byYear;
+}
+
+/**
+ * ISO bargain element a year's return can take before AMT applies: the largest extra preference for
+ * which the tentative minimum tax stays at or below the regular tax.
+ *
+ * @param {Object} taxInputs - calculateTaxReturn params for the year without the extra exercise
+ * @returns {Object} { room, taxReturn } - room in USD (0 when AMT already applies)
+ */
+export function getAmtFreeRoom(taxInputs) {
+  const taxReturn = calculateTaxReturn({ ...taxInputs, explain: false });
+  const rules = getTaxRules(taxInputs.year, taxInputs.filingStatus, { inflationRate: taxInputs.inflationRate ?? null });
+  const preferentialIncome = taxReturn.qualifiedDividends + taxReturn.netCapitalGain;
+  const fits = (extra) => calculateTentativeMinimumTax(rules, taxReturn.amti + extra, preferentialIncome).tax <= taxReturn.incomeTax;
+  if (!fits(0)) return { room: 0, taxReturn };
+
+  let low = 0;
+  let high = 100000;
+  while (fits(high) && high < 1e9) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > 1) {
+    const mid = (low + high) / 2;
+    if (fits(mid)) low = mid;
+    else high = mid;
+  }
+  return { room: Math.floor(low), taxReturn };
+}
+
+/**
+ * Cheapest ISO exercises: for each year, the AMT-free room left after the plan's own equity income
+ * and exercises, and how many shares of each ISO grant it covers (each grant on its own - split the
+ * room when exercising several).
+ *
+ * @param {Object} params
+ * @param {Array} params.grants - UserSettings.equity_grants
+ * @param {number} params.wages - This year's wages before equity income
+ * @param {number} [params.incomeGrowthRate] - Wage growth, percent per year
+ * @param {string} [params.filingStatus]
+ * @param {string} [params.state]
+ * @param {number} [params.age]
+ * @param {number} [params.years] - Years to plan, starting this year
+ * @returns {Array} [{ year, wages, equity, taxReturn, room, grants: [{ id, name, spreadPerShare, available, shares, cost, preference }] }]
+ */
+export function planIsoExercises({ grants = [], wages, incomeGrowthRate = 0, filingStatus = 'single', state = null, age = 0, years = 5 }) {
+  const startYear = new Date().getFullYear();
+  const equityByYear = getEquityCompByYear(grants, { startYear, endYear: startYear + years - 1 });
+  const isoGrants = grants.map(getEquityGrant).filter(g => g.grant_type === 'iso');
+
+  return Object.keys(equityByYear).map(Number).map((year, index) => {
+    const equity = equityByYear[year];
+    const yearWages = wages * Math.pow(1 + incomeGrowthRate / 100, index);
+    const { room, taxReturn } = getAmtFreeRoom({
+      year,
+      filingStatus,
+      state,
+      age: age ? age + index : 0,
+      wages: yearWages + equity.ordinaryIncome,
+      shortTermGains: equity.shortTermGains,
+      longTermGains: equity.longTermGains,
+      amtPreferences: equity.isoPreference,
+    });
+
+    return {
+      year,
+      wages: yearWages,
+      equity,
+      taxReturn,
+      room,
+      grants: isoGrants.map(grant => {
+        const spreadPerShare = Math.max(0, getSharePrice(grant, year, startYear) - grant.strike_price);
+        const available = getExercisableShares(grant, year);
+        const shares = spreadPerShare > 0 ? Math.min(available, Math.floor(room / spreadPerShare)) : available;
+        return {
+          id: grant.id,
+          name: grant.name,
+          spreadPerShare,
+          available,
+          shares,
+          cost: shares * grant.strike_price,
+          preference: shares * spreadPerShare,
+        };
+      }),
+    };
+  });
+}
@@ -0,0 +1,125 @@
+// components/shared/historicalReturns.js
+// Bundled annual return history for historical backtests.
+// US stocks = S&P 500 total return, bonds = 10-year Treasury total return, cash = 3-month T-bill
+// (Damodaran, NYU Stern). CPI = CPI-U December-over-December change (BLS). All values in percent.
+
+export const HISTORICAL_ANNUAL_RETURNS = {
+  1928: { stocks: 43.81, bonds: 0.84, cash: 3.08, cpi: -1.0 },
+  1929: { stocks: -8.30, bonds: 4.20, cash: 3.16, cpi: 0.2 },
+  1930: { stocks: -25.12, bonds: 4.54, cash: 4.55, cpi: -6.0 },
+  1931: { stocks: -43.84, bonds: -2.56, cash: 2.31, cpi: -9.5 },
+  1932: { stocks: -8.64, bonds: 8.79, cash: 1.07, cpi: -10.3 },
+  1933: { stocks: 49.98, bonds: 1.86, cash: 0.96, cpi: 0.8 },
+  1934: { stocks: -1.19, bonds: 7.96, cash: 0.28, cpi: 1.5 },
+  1935: { stocks: 46.74, bonds: 4.47, cash: 0.17, cpi: 3.0 },
+  1936: { stocks: 31.94, bonds: 5.02, cash: 0.17, cpi: 1.4 },
+  1937: { stocks: -35.34, bonds: 1.38, cash: 0.28, cpi: 2.9 },
+  1938: { stocks: 29.28, bonds: 4.21, cash: 0.07, cpi: -2.8 },
+  1939: { stocks: -1.10, bonds: 4.41, cash: 0.05, cpi: 0.0 },
+  1940: { stocks: -10.67, bonds: 5.40, cash: 0.04, cpi: 0.7 },
+  1941: { stocks: -12.77, bonds: -2.02, cash: 0.13, cpi: 9.9 },
+  1942: { stocks: 19.17, bonds: 2.29, cash: 0.34, cpi: 9.0 },
+  1943: { stocks: 25.06, bonds: 2.49, cash: 0.38, cpi: 3.0 },
+  1944: { stocks: 19.03, bonds: 2.58, cash: 0.38, cpi: 2.3 },
+  1945: { stocks: 35.82, bonds: 3.80, cash: 0.38, cpi: 2.2 },
+  1946: { stocks: -8.43, bonds: 3.13, cash: 0.38, cpi: 18.1 },
+  1947: { stocks: 5.20, bonds: 0.92, cash: 0.57, cpi: 8.8 },
+  1948: { stocks: 5.70, bonds: 1.95, cash: 1.02, cpi: 3.0 },
+  1949: { stocks: 18.30, bonds: 4.66, cash: 1.10, cpi: -2.1 },
+  1950: { stocks: 30.81, bonds: 0.43, cash: 1.17, cpi: 5.9 },
+  1951: { stocks: 23.68, bonds: -0.30, cash: 1.48, cpi: 6.0 },
+  1952: { stocks: 18.15, bonds: 2.27, cash: 1.67, cpi: 0.8 },
+  1953: { stocks: -1.21, bonds: 4.14, cash: 1.89, cpi: 0.7 },
+  1954: { stocks: 52.56, bonds: 3.29, cash: 0.96, cpi: -0.7 },
+  1955: { stocks: 32.60, bonds: -1.34, cash: 1.66, cpi: 0.4 },
+  1956: { stocks: 7.44, bonds: -2.26, cash: 2.56, cpi: 3.0 },
+  1957: { stocks: -10.46, bonds: 6.80, cash: 3.23, cpi: 2.9 },
+  1958: { stocks: 43.72, bonds: -2.10, cash: 1.78, cpi: 1.8 },
+  1959: { stocks: 12.06, bonds: -2.65, cash: 3.26, cpi: 1.7 },
+  1960: { stocks: 0.34, bonds: 11.64, cash: 3.05, cpi: 1.4 },
+  1961: { stocks: 26.64, bonds: 2.06, cash: 2.27, cpi: 0.7 },
+  1962: { stocks: -8.81, bonds: 5.69, cash: 2.78, cpi: 1.3 },
+  1963: { stocks: 22.61, bonds: 1.68, cash: 3.11, cpi: 1.6 },
+  1964: { stocks: 16.42, bonds: 3.73, cash: 3.51, cpi: 1.0 },
+  1965: { stocks: 12.40, bonds: 0.72, cash: 3.90, cpi: 1.9 },
+  1966: { stocks: -9.97, bonds: 2.91, cash: 4.84, cpi: 3.5 },
+  1967: { stocks: 23.80, bonds: -1.58, cash: 4.33, cpi: 3.0 },
+  1968: { stocks: 10.81, bonds: 3.27, cash: 5.26, cpi: 4.7 },
+  1969: { stocks: -8.24, bonds: -5.01, cash: 6.56, cpi: 6.2 },
+  1970: { stocks: 3.56, bonds: 16.75, cash: 6.69, cpi: 5.6 },
+  1971: { stocks: 14.22, bonds: 9.79, cash: 4.54, cpi: 3.3 },
+  1972: { stocks: 18.76, bonds: 2.82, cash: 3.95, cpi: 3.4 },
+  1973: { stocks: -14.31, bonds: 3.66, cash: 6.73, cpi: 8.7 },
+  1974: { stocks: -25.90, bonds: 1.99, cash: 7.78, cpi: 12.3 },
+  1975: { stocks: 37.00, bonds: 3.61, cash: 5.99, cpi: 6.9 },
+  1976: { stocks: 23.83, bonds: 15.98, cash: 4.97, cpi: 4.9 },
+  1977: { stocks: -6.98, bonds: 1.29, cash: 5.13, cpi: 6.7 },
+  1978: { stocks: 6.51, bonds: -0.78, cash: 6.93, cpi: 9.0 },
+  1979: { stocks: 18.52, bonds: 0.67, cash: 9.94, cpi: 13.3 },
+  1980: { stocks: 31.74, bonds: -2.99, cash: 11.22, cpi: 12.5 },
+  1981: { stocks: -4.70, bonds: 8.20, cash: 14.30, cpi: 8.9 },
+  1982: { stocks: 20.42, bonds: 32.81, cash: 11.01, cpi: 3.8 },
+  1983: { stocks: 22.34, bonds: 3.20, cash: 8.45, cpi: 3.8 },
+  1984: { stocks: 6.15, bonds: 13.73, cash: 9.61, cpi: 3.9 },
+  1985: { stocks: 31.24, bonds: 25.71, cash: 7.49, cpi: 3.8 },
+  1986: { stocks: 18.49, bonds: 24.28, cash: 6.04, cpi: 1.1 },
+  1987: { stocks: 5.81, bonds: -4.96, cash: 5.72, cpi: 4.4 },
+  1988: { stocks: 16.54, bonds: 8.22, cash: 6.45, cpi: 4.4 },
+  1989: { stocks: 31.48, bonds: 17.69, cash: 8.11, cpi: 4.6 },
+  1990: { stocks: -3.06, bonds: 6.24, cash: 7.55, cpi: 6.1 },
+  1991: { stocks: 30.23, bonds: 15.00, cash: 5.61, cpi: 3.1 },
+  1992: { stocks: 7.49, bonds: 9.36, cash: 3.41, cpi: 2.9 },
+  1993: { stocks: 9.97, bonds: 14.21, cash: 2.98, cpi: 2.7 },
+  1994: { stocks: 1.33, bonds: -8.04, cash: 3.99, cpi: 2.7 },
+  1995: { stocks: 37.20, bonds: 23.48, cash: 5.52, cpi: 2.5 },
+  1996: { stocks: 22.68, bonds: 1.43, cash: 5.02, cpi: 3.3 },
+  1997: { stocks: 33.10, bonds: 9.94, cash: 5.05, cpi: 1.7 },
+  1998: { stocks: 28.34, bonds: 14.92, cash: 4.73, cpi: 1.6 },
+  1999: { stocks: 20.89, bonds: -8.25, cash: 4.51, cpi: 2.7 },
+  2000: { stocks: -9.03, bonds: 16.66, cash: 5.76, cpi: 3.4 },
+  2001: { stocks: -11.85, bonds: 5.57, cash: 3.67, cpi: 1.6 },
+  2002: { stocks: -21.97, bonds: 15.12, cash: 1.66, cpi: 2.4 },
+  2003: { stocks: 28.36, bonds: 0.38, cash: 1.03, cpi: 1.9 },
+  2004: { stocks: 10.74, bonds: 4.49, cash: 1.23, cpi: 3.3 },
+  2005: { stocks: 4.83, bonds: 2.87, cash: 3.01, cpi: 3.4 },
+  2006: { stocks: 15.61, bonds: 1.96, cash: 4.68, cpi: 2.5 },
+  2007: { stocks: 5.48, bonds: 10.21, cash: 4.64, cpi: 4.1 },
+  2008: { stocks: -36.55, bonds: 20.10, cash: 1.59, cpi: 0.1 },
+  2009: { stocks: 25.94, bonds: -11.12, cash: 0.14, cpi: 2.7 },
+  2010: { stocks: 14.82, bonds: 8.46, cash: 0.13, cpi: 1.5 },
+  2011: { stocks: 2.10, bonds: 16.04, cash: 0.03, cpi: 3.0 },
+  2012: { stocks: 15.89, bonds: 2.97, cash: 0.05, cpi: 1.7 },
+  2013: { stocks: 32.15, bonds: -9.10, cash: 0.07, cpi: 1.5 },
+  2014: { stocks: 13.52, bonds: 10.75, cash: 0.05, cpi: 0.8 },
+  2015: { stocks: 1.38, bonds: 1.28, cash: 0.21, cpi: 0.7 },
+  2016: { stocks: 11.77, bonds: 0.69, cash: 0.51, cpi: 2.1 },
+  2017: { stocks: 21.61, bonds: 2.80, cash: 1.39, cpi: 2.1 },
+  2018: { stocks: -4.23, bonds: -0.02, cash: 2.37, cpi: 1.9 },
+  2019: { stocks: 31.21, bonds: 9.64, cash: 1.55, cpi: 2.3 },
+  2020: { stocks: 18.02, bonds: 11.33, cash: 0.09, cpi: 1.4 },
+  2021: { stocks: 28.47, bonds: -4.42, cash: 0.06, cpi: 7.0 },
+  2022: { stocks: -18.04, bonds: -17.83, cash: 2.02, cpi: 6.5 },
+  2023: { stocks: 26.06, bonds: 3.88, cash: 5.07, cpi: 3.4 },
+  2024: { stocks: 24.88, bonds: -1.64, cash: 4.97, cpi: 2.9 },
+};
+
+// Bitcoin calendar-year returns from year-end closing prices (percent). Reliable pricing starts in 2011.
+export const BTC_ANNUAL_RETURNS = {
+  2011: 1473,
+  2012: 186,
+  2013: 5507,
+  2014: -58,
+  2015: 35,
+  2016: 125,
+  2017: 1331,
+  2018: -73,
+  2019: 92,
+  2020: 303,
+  2021: 60,
+  2022: -64,
+  2023: 155,
+  2024: 121,
+};
+
+export const HISTORICAL_FIRST_YEAR = Math.min(...Object.keys(HISTORICAL_ANNUAL_RETURNS).map(Number));
+export const HISTORICAL_LAST_YEAR = Math.max(...Object.keys(HISTORICAL_ANNUAL_RETURNS).map(Number));
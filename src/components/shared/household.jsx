@@ -0,0 +1,247 @@
+// components/shared/household.js
+// Two-person household support for runUnifiedProjection. The primary person's inputs stay the
+// existing top-level settings; the spouse is a separate profile (UserSettings.spouse_profile) with
+// their own birth year, retirement age, income, contributions, Social Security and mortality.
+// Projection years are still indexed by the primary's age and run until the last survivor dies.
+
+import { getRMDStartAge } from '@/components/shared/taxData';
+import { deriveEffectiveSocialSecurity } from '@/components/shared/projectionHelpers';
+import {
+  SURVIVOR_EARLIEST_AGE,
+  getFullRetirementAgeYears,
+  getSpousalFactor,
+  getSurvivorFactor,
+  getPiaFromBenefit,
+  getDeceasedBenefitBase,
+} from '@/components/shared/socialSecurity';
+
+export const ACCOUNT_OWNERS = [
+  { value: 'primary', label: 'Me' },
+  { value: 'spouse', label: 'Spouse' },
+  { value: 'joint', label: 'Joint' },
+];
+
+// Retirement accounts belong to one person; only taxable accounts can be held jointly
+export const getAccountOwnerOptions = (taxTreatment) =>
+  taxTreatment === 'taxable' ? ACCOUNT_OWNERS : ACCOUNT_OWNERS.filter(o => o.value !== 'joint');
+
+export const DEFAULT_SPOUSE_PROFILE = {
+  enabled: false,
+  birth_year: new Date().getFullYear() - 35,
+  retirement_age: 65,
+  life_expectancy: 90,
+  gross_annual_income: 0,
+  contribution_401k: 0,
+  employer_401k_match: 0,
+  contribution_traditional_ira: 0,
+  contribution_roth_ira: 0,
+  social_security_start_age: 67,
+  social_security_amount: 0,
+  use_custom_social_security: false,
+  ssa_earnings_record: null,
+};
+
+const isMarriedStatus = (status) => status === 'married' || status === 'married_filing_jointly';
+
+export function normalizeSpouseProfile(profile) {
+  return { ...DEFAULT_SPOUSE_PROFILE, ...(profile || {}) };
+}
+
+/**
+ * Turn the saved spouse_profile into the `spouse` param of runUnifiedProjection.
+ *
+ * @param {Object} settings - Effective UserSettings (with any scenario overrides merged)
+ * @returns {Object|null} null unless a spouse is enabled and the filing status is married
+ */
+export function buildSpouseProfile(settings) {
+  const profile = normalizeSpouseProfile(settings?.spouse_profile);
+  if (!profile.enabled || !isMarriedStatus(settings?.filing_status)) return null;
+
+  const currentYear = new Date().getFullYear();
+  const birthYear = parseInt(profile.birth_year) || currentYear - 35;
+  const currentAge = currentYear - birthYear;
+  const grossAnnualIncome = profile.gross_annual_income || 0;
+  const socialSecurityStartAge = profile.social_security_start_age || 67;
+  const retirementAge = profile.retirement_age || 65;
+
+  return {
+    birthYear,
+    currentAge,
+    retirementAge,
+    lifeExpectancy: profile.life_expectancy || 90,
+    grossAnnualIncome,
+    contribution401k: profile.contribution_401k || 0,
+    employer401kMatch: profile.employer_401k_match || 0,
+    contributionTraditionalIRA: profile.contribution_traditional_ira || 0,
+    contributionRothIRA: profile.contribution_roth_ira || 0,
+    socialSecurityStartAge,
+    effectiveSocialSecurity: deriveEffectiveSocialSecurity({
+      grossAnnualIncome,
+      socialSecurityStartAge,
+      socialSecurityAmount: profile.social_security_amount || 0,
+      useCustomSocialSecurity: profile.use_custom_social_security,
+      currentAge,
+      earningsRecord: profile.ssa_earnings_record,
+      retirementAge,
+    }),
+    rmdStartAge: getRMDStartAge(birthYear),
+  };
+}
+
+/**
+ * Last age (of the primary person) the projection needs to cover: the primary's life
+ * expectancy, or later if the spouse is expected to outlive them.
+ */
+export function getHouseholdEndAge({ currentAge, lifeExpectancy, spouse = null }) {
+  if (!spouse) return lifeExpectancy;
+  return Math.max(lifeExpectancy, currentAge + (spouse.lifeExpectancy - spouse.currentAge));
+}
+
+/** Number of projection years (results rows) for a runUnifiedProjection params object. */
+export function getProjectionYears(params) {
+  return getHouseholdEndAge(params) - params.currentAge + 1;
+}
+
+/**
+ * Who is alive in a projection year and how the household files. Each person is alive through
+ * the year they reach their life expectancy. Married couples file jointly while both are alive
+ * and as single from the year after the first death (no qualifying surviving spouse years,
+ * which need a dependent child).
+ *
+ * @returns {Object} { spouseAge, primaryAlive, spouseAlive, filingStatus, isSurvivor }
+ */
+export function getHouseholdYear({ yearIndex, currentAge, lifeExpectancy, spouse = null, filingStatus }) {
+  const primaryAlive = currentAge + yearIndex <= lifeExpectancy;
+  if (!spouse) {
+    return { spouseAge: null, primaryAlive, spouseAlive: false, filingStatus, isSurvivor: false };
+  }
+
+  const spouseAge = spouse.currentAge + yearIndex;
+  const spouseAlive = spouseAge <= spouse.lifeExpectancy;
+  const isSurvivor = primaryAlive !== spouseAlive;
+  return {
+    spouseAge,
+    primaryAlive,
+    spouseAlive,
+    filingStatus: isSurvivor && isMarriedStatus(filingStatus) ? 'single' : filingStatus,
+    isSurvivor,
+  };
+}
+
+// Own retirement benefit in nominal dollars: inflated up to the claiming age, then by COLAs
+const getOwnBenefit = ({ amount, startAge, currentAge }, age, inflationRate) => {
+  if (age < startAge || !(amount > 0)) return 0;
+  const yearsToStart = Math.max(0, startAge - currentAge);
+  const yearsReceiving = age - startAge;
+  return amount * Math.pow(1 + inflationRate / 100, yearsToStart) * Math.pow(1 + inflationRate / 100, yearsReceiving);
+};
+
+// One person's Social Security inputs with the PIA implied by their benefit and claiming age
+const describeWorker = ({ currentAge, lifeExpectancy, amount, startAge, birthYear }) => ({
+  currentAge,
+  lifeExpectancy,
+  amount: amount || 0,
+  startAge,
+  birthYear,
+  pia: getPiaFromBenefit(amount, startAge, birthYear),
+});
+
+/**
+ * Spousal top-up (today's $) for `person` on `partner`'s record: half the partner's PIA less the
+ * person's own PIA. It starts once both have filed, reduced for the person's age at that point.
+ */
+const getSpousalTopUp = (person, partner) => {
+  const excess = partner.pia / 2 - person.pia;
+  if (excess <= 0) return { amount: 0, startAge: Infinity };
+  const startAge = Math.max(person.startAge, partner.startAge - partner.currentAge + person.currentAge);
+  return { amount: excess * getSpousalFactor(startAge, person.birthYear), startAge };
+};
+
+/**
+ * Household Social Security for a projection year. While both are alive each draws their own
+ * benefit from their claiming age plus any spousal top-up. After the first death the survivor
+ * keeps the larger of their own benefit and the survivor benefit: the deceased's benefit (at least
+ * 82.5% of their PIA, with delayed credits if they died before claiming), reduced if the survivor
+ * starts it before full retirement age. The survivor benefit starts at the survivor's own
+ * claiming age, no later than full retirement age and no earlier than 60 or the year they are
+ * widowed.
+ *
+ * @param {Object} options
+ * @param {number} options.yearIndex
+ * @param {number} options.inflationRate - Percent
+ * @param {Object} options.primary - { currentAge, lifeExpectancy, amount, startAge, birthYear }
+ * @param {Object|null} options.spouse - runUnifiedProjection spouse param
+ * @returns {Object} { primaryBenefit, spouseBenefit, spousalBenefit, survivorBenefit, total }
+ */
+export function calculateHouseholdSocialSecurity({ yearIndex, inflationRate, primary, spouse = null }) {
+  const inflation = Math.pow(1 + inflationRate / 100, yearIndex);
+  const primaryAge = primary.currentAge + yearIndex;
+  const primaryAlive = primaryAge <= primary.lifeExpectancy;
+  const primaryOwn = getOwnBenefit(primary, primaryAge, inflationRate);
+
+  if (!spouse) {
+    const primaryBenefit = primaryAlive ? primaryOwn : 0;
+    return { primaryBenefit, spouseBenefit: 0, spousalBenefit: 0, survivorBenefit: 0, total: primaryBenefit };
+  }
+
+  const spouseAge = spouse.currentAge + yearIndex;
+  const spouseAlive = spouseAge <= spouse.lifeExpectancy;
+  const spouseOwn = getOwnBenefit({ amount: spouse.effectiveSocialSecurity, startAge: spouse.socialSecurityStartAge, currentAge: spouse.currentAge }, spouseAge, inflationRate);
+
+  if (!primaryAlive && !spouseAlive) {
+    return { primaryBenefit: 0, spouseBenefit: 0, spousalBenefit: 0, survivorBenefit: 0, total: 0 };
+  }
+
+  const primaryWorker = describeWorker({ ...primary, birthYear: primary.birthYear ?? new Date().getFullYear() - primary.currentAge });
+  const spouseWorker = describeWorker({
+    currentAge: spouse.currentAge,
+    lifeExpectancy: spouse.lifeExpectancy,
+    amount: spouse.effectiveSocialSecurity,
+    startAge: spouse.socialSecurityStartAge,
+    birthYear: spouse.birthYear,
+  });
+
+  if (primaryAlive && spouseAlive) {
+    const primaryTopUp = getSpousalTopUp(primaryWorker, spouseWorker);
+    const spouseTopUp = getSpousalTopUp(spouseWorker, primaryWorker);
+    const primarySpousal = primaryAge >= primaryTopUp.startAge ? primaryTopUp.amount * inflation : 0;
+    const spouseSpousal = spouseAge >= spouseTopUp.startAge ? spouseTopUp.amount * inflation : 0;
+    const primaryBenefit = primaryOwn + primarySpousal;
+    const spouseBenefit = spouseOwn + spouseSpousal;
+    return {
+      primaryBenefit,
+      spouseBenefit,
+      spousalBenefit: primarySpousal + spouseSpousal,
+      survivorBenefit: 0,
+      total: primaryBenefit + spouseBenefit,
+    };
+  }
+
+  // One survivor: compare their own benefit with the deceased's
+  const [survivor, deceased] = primaryAlive ? [primaryWorker, spouseWorker] : [spouseWorker, primaryWorker];
+  const survivorAge = primaryAlive ? primaryAge : spouseAge;
+  const survivorOwn = primaryAlive ? primaryOwn : spouseOwn;
+
+  const widowedYearIndex = deceased.lifeExpectancy - deceased.currentAge + 1;
+  const ageWhenWidowed = survivor.currentAge + widowedYearIndex;
+  const survivorStartAge = Math.max(
+    SURVIVOR_EARLIEST_AGE,
+    ageWhenWidowed,
+    Math.min(survivor.startAge, getFullRetirementAgeYears(survivor.birthYear))
+  );
+
+  let survivorBenefit = 0;
+  if (survivorAge >= survivorStartAge) {
+    const base = getDeceasedBenefitBase({ ...deceased, deathAge: deceased.lifeExpectancy });
+    survivorBenefit = base * getSurvivorFactor(survivorStartAge, survivor.birthYear) * inflation;
+  }
+
+  const survivorTotal = Math.max(survivorOwn, survivorBenefit);
+  return {
+    primaryBenefit: primaryAlive ? survivorTotal : 0,
+    spouseBenefit: spouseAlive ? survivorTotal : 0,
+    spousalBenefit: 0,
+    survivorBenefit: survivorBenefit > survivorOwn ? survivorBenefit : 0,
+    total: survivorTotal,
+  };
+}
@@ -0,0 +1,255 @@
+// components/shared/lenderProfiles.js
+// Loan terms for BTC-backed loans. A loan can point at a lender profile (lender_profile_id): one of
+// the built-in templates below or a profile the user saved in UserSettings.btc_lender_profiles.
+// Loans without one keep using the global collateral settings (btc_top_up_trigger_ltv etc.).
+//
+// Templates are typical published terms and change often; users should check their loan agreement.
+
+export const LIQUIDATION_STYLES = [
+  { value: 'full', label: 'Full (repay loan, return the rest)' },
+  { value: 'partial', label: 'Partial (sell down to a target LTV)' },
+];
+
+export const COMPOUNDING_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'annual', label: 'Annually' },
+  { value: 'simple', label: 'Simple (no compounding)' },
+];
+
+export const LENDER_PROFILE_TEMPLATES = [
+  {
+    id: 'template_ledn',
+    name: 'Ledn (Standard)',
+    is_template: true,
+    margin_call_ltv: 70,
+    top_up_target_ltv: 50,
+    liquidation_ltv: 80,
+    liquidation_style: 'full',
+    partial_liquidation_target_ltv: null,
+    release_trigger_ltv: 30,
+    release_target_ltv: 40,
+    compounding: 'daily',
+    origination_fee_pct: 2,
+    rehypothecated: true,
+  },
+  {
+    id: 'template_ledn_custodied',
+    name: 'Ledn (Custodied)',
+    is_template: true,
+    margin_call_ltv: 70,
+    top_up_target_ltv: 50,
+    liquidation_ltv: 80,
+    liquidation_style: 'full',
+    partial_liquidation_target_ltv: null,
+    release_trigger_ltv: 30,
+    release_target_ltv: 40,
+    compounding: 'daily',
+    origination_fee_pct: 2,
+    rehypothecated: false,
+  },
+  {
+    id: 'template_unchained',
+    name: 'Unchained (Multisig)',
+    is_template: true,
+    margin_call_ltv: 65,
+    top_up_target_ltv: 45,
+    liquidation_ltv: 75,
+    liquidation_style: 'full',
+    partial_liquidation_target_ltv: null,
+    release_trigger_ltv: 25,
+    release_target_ltv: 40,
+    compounding: 'monthly',
+    origination_fee_pct: 1.5,
+    rehypothecated: false,
+  },
+  {
+    id: 'template_nexo',
+    name: 'Nexo',
+    is_template: true,
+    margin_call_ltv: 71,
+    top_up_target_ltv: 50,
+    liquidation_ltv: 83,
+    liquidation_style: 'partial',
+    partial_liquidation_target_ltv: 65,
+    release_trigger_ltv: 30,
+    release_target_ltv: 40,
+    compounding: 'daily',
+    origination_fee_pct: 0,
+    rehypothecated: true,
+  },
+  {
+    id: 'template_firefish',
+    name: 'Firefish (P2P Escrow)',
+    is_template: true,
+    margin_call_ltv: 75,
+    top_up_target_ltv: 50,
+    liquidation_ltv: 95,
+    liquidation_style: 'full',
+    partial_liquidation_target_ltv: null,
+    release_trigger_ltv: null,
+    release_target_ltv: null,
+    compounding: 'simple',
+    origination_fee_pct: 1.5,
+    rehypothecated: false,
+  },
+];
+
+/** Blank user profile, seeded from the global collateral settings. */
+export function createLenderProfile(rules = getCollateralRules()) {
+  return {
+    id: `lender_${Date.now()}`,
+    name: '',
+    is_template: false,
+    margin_call_ltv: rules.topUpTriggerLtv,
+    top_up_target_ltv: rules.topUpTargetLtv,
+    liquidation_ltv: rules.liquidationLtv,
+    liquidation_style: 'full',
+    partial_liquidation_target_ltv: null,
+    release_trigger_ltv: rules.releaseTriggerLtv,
+    release_target_ltv: rules.releaseTargetLtv,
+    compounding: 'daily',
+    origination_fee_pct: 0,
+    rehypothecated: false,
+  };
+}
+
+/**
+ * Global collateral rules from UserSettings, the terms for loans without a lender profile.
+ *
+ * @param {Object} [settings] - UserSettings record
+ * @returns {Object} { autoTopUp, topUpTriggerLtv, topUpTargetLtv, liquidationLtv, releaseTriggerLtv, releaseTargetLtv }
+ */
+export function getCollateralRules(settings = {}) {
+  return {
+    autoTopUp: settings?.auto_top_up_btc_collateral ?? true,
+    topUpTriggerLtv: settings?.btc_top_up_trigger_ltv || 70,
+    topUpTargetLtv: settings?.btc_top_up_target_ltv || 50,
+    liquidationLtv: settings?.btc_liquidation_ltv || 80,
+    releaseTriggerLtv: settings?.btc_release_trigger_ltv || 30,
+    releaseTargetLtv: settings?.btc_release_target_ltv || 40,
+  };
+}
+
+/** Built-in templates followed by the user's own profiles. */
+export const getLenderProfiles = (customProfiles = []) => [...LENDER_PROFILE_TEMPLATES, ...(customProfiles || [])];
+
+/**
+ * Resolve the terms that apply to one loan.
+ *
+ * @param {Object} loan - Liability or CollateralizedLoan (uses lender_profile_id, liquidation_ltv)
+ * @param {Array} customProfiles - UserSettings.btc_lender_profiles
+ * @param {Object} rules - Global rules (getCollateralRules shape) for loans without a profile
+ * @returns {Object} { profileId, profileName, marginCallLtv, topUpTargetLtv, liquidationLtv, liquidationStyle,
+ *   partialLiquidationTargetLtv, releaseTriggerLtv, releaseTargetLtv, compounding, originationFeePct, rehypothecated }
+ *   - releaseTriggerLtv is null when the lender never releases collateral early; rehypothecated is null when unknown
+ */
+export function resolveLoanTerms(loan, customProfiles = [], rules = getCollateralRules()) {
+  const profile = loan?.lender_profile_id
+    ? getLenderProfiles(customProfiles).find(p => p.id === loan.lender_profile_id)
+    : null;
+
+  if (!profile) {
+    return {
+      profileId: null,
+      profileName: null,
+      marginCallLtv: rules.topUpTriggerLtv || 70,
+      topUpTargetLtv: rules.topUpTargetLtv || 50,
+      liquidationLtv: loan?.liquidation_ltv || rules.liquidationLtv || 80,
+      liquidationStyle: 'full',
+      partialLiquidationTargetLtv: null,
+      releaseTriggerLtv: rules.releaseTriggerLtv || 30,
+      releaseTargetLtv: rules.releaseTargetLtv || 40,
+      compounding: 'daily',
+      originationFeePct: 0,
+      rehypothecated: null,
+    };
+  }
+
+  const hasRelease = profile.release_trigger_ltv !== null && profile.release_trigger_ltv !== undefined && profile.release_trigger_ltv !== '';
+  return {
+    profileId: profile.id,
+    profileName: profile.name,
+    marginCallLtv: Number(profile.margin_call_ltv) || 70,
+    topUpTargetLtv: Number(profile.top_up_target_ltv) || 50,
+    liquidationLtv: Number(profile.liquidation_ltv) || 80,
+    liquidationStyle: profile.liquidation_style === 'partial' ? 'partial' : 'full',
+    partialLiquidationTargetLtv: profile.liquidation_style === 'partial'
+      ? Number(profile.partial_liquidation_target_ltv) || Number(profile.margin_call_ltv) || 70
+      : null,
+    releaseTriggerLtv: hasRelease ? Number(profile.release_trigger_ltv) : null,
+    releaseTargetLtv: hasRelease ? Number(profile.release_target_ltv) || 40 : null,
+    compounding: profile.compounding || 'daily',
+    originationFeePct: Number(profile.origination_fee_pct) || 0,
+    rehypothecated: !!profile.rehypothecated,
+  };
+}
+
+/**
+ * Check that a profile's thresholds are in a workable order.
+ *
+ * @param {Object} profile - Lender profile (snake_case, as saved)
+ * @returns {Array<string>} Issues; empty when valid
+ */
+export function validateLenderProfile(profile) {
+  const issues = [];
+  const n = (value) => Number(value);
+  if (!profile.name?.trim()) issues.push('Give the profile a name.');
+  if (!(n(profile.top_up_target_ltv) < n(profile.margin_call_ltv))) issues.push('Top-up target must be below the margin call LTV.');
+  if (!(n(profile.margin_call_ltv) < n(profile.liquidation_ltv))) issues.push('Margin call must be below the liquidation LTV.');
+  if (n(profile.liquidation_ltv) > 100) issues.push('Liquidation LTV cannot exceed 100%.');
+  if (profile.liquidation_style === 'partial' && !(n(profile.partial_liquidation_target_ltv) < n(profile.liquidation_ltv))) {
+    issues.push('Partial liquidation target must be below the liquidation LTV.');
+  }
+  const hasRelease = profile.release_trigger_ltv !== null && profile.release_trigger_ltv !== undefined && profile.release_trigger_ltv !== '';
+  if (hasRelease && !(n(profile.release_trigger_ltv) < n(profile.release_target_ltv) && n(profile.release_target_ltv) < n(profile.margin_call_ltv))) {
+    issues.push('Release trigger must be below the release target, and the target below the margin call.');
+  }
+  if (n(profile.origination_fee_pct) < 0) issues.push('Origination fee cannot be negative.');
+  return issues;
+}
+
+/**
+ * Grow a loan balance by interest over a number of days under the loan's compounding rule.
+ * Daily compounding over 365 days matches the projection's original BTC loan accrual.
+ *
+ * @param {number} balance
+ * @param {number} ratePct - Annual rate (%)
+ * @param {string} compounding - 'daily' | 'monthly' | 'annual' | 'simple'
+ * @param {number} days
+ * @param {number} [principal] - Simple interest accrues on this (defaults to the balance)
+ * @returns {number} New balance
+ */
+export function accrueLoanInterest(balance, ratePct, compounding, days, principal = balance) {
+  const rate = (ratePct || 0) / 100;
+  if (rate <= 0 || days <= 0) return balance;
+  switch (compounding) {
+    case 'monthly':
+      return balance * Math.pow(1 + rate / 12, (days / 365) * 12);
+    case 'annual':
+      return balance * Math.pow(1 + rate, days / 365);
+    case 'simple':
+      return balance + principal * rate * (days / 365);
+    default:
+      return balance * Math.pow(1 + rate / 365, days);
+  }
+}
+
+/**
+ * BTC the lender sells when a loan hits its liquidation LTV: enough to repay it in full, or for
+ * partial liquidation only enough to bring the LTV back to the partial target.
+ *
+ * @param {number} debt
+ * @param {number} collateralBtc
+ * @param {number} price
+ * @param {Object} terms - From resolveLoanTerms
+ * @returns {number} BTC sold
+ */
+export function getLiquidationSaleBtc(debt, collateralBtc, price, terms) {
+  const payoffBtc = Math.min(debt / price, collateralBtc);
+  if (terms?.liquidationStyle !== 'partial') return payoffBtc;
+  // (debt - sold × price) / ((collateral - sold) × price) = target
+  const target = terms.partialLiquidationTargetLtv / 100;
+  const partialBtc = (debt - target * collateralBtc * price) / (price * (1 - target));
+  return Math.min(payoffBtc, Math.max(0, partialBtc));
+}
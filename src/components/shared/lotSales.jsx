@@ -0,0 +1,124 @@
+// components/shared/lotSales.js
+// Recording a sale against specific tax lots. The lots are chosen with selectLots (any
+// LOT_SELECTION_METHODS key, including SPECIFIC and TAX_MIN) and the sell Transaction keeps the
+// method and the exact lots_used, so every realized gain can be traced back to its lots.
+
+import { base44 } from '@/api/base44Client';
+import { differenceInDays } from 'date-fns';
+import { selectLots, buildLotsUsed } from '@/components/shared/lotSelectionHelpers';
+import { syncHoldingFromLots } from '@/components/shared/syncHoldings';
+
+const QUANTITY_TOLERANCE = 1e-8;
+
+/**
+ * Preview a sale without saving anything.
+ *
+ * @param {Object} options
+ * @param {Array} options.lots - Open buy lots for the asset (one account)
+ * @param {string} options.ticker
+ * @param {number} options.quantity
+ * @param {number} options.pricePerUnit
+ * @param {number} [options.fee] - Selling fee in USD, deducted from proceeds
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {string} [options.method] - Key of LOT_SELECTION_METHODS
+ * @param {Array} [options.specificLots] - SPECIFIC picks: [{ lot_id, quantity }]
+ * @returns {Object} { selection, lotsUsed, proceeds, totalCostBasis, realizedGain, holdingPeriod, isComplete, shortfall }
+ */
+export function planLotSale({ lots, ticker, quantity, pricePerUnit, fee = 0, date, method = 'HIFO', specificLots = [] }) {
+  const selection = selectLots(lots, ticker, quantity, method, { specificLots, salePrice: pricePerUnit, saleDate: date });
+  const proceeds = quantity * pricePerUnit - (fee || 0);
+  const saleDate = date ? new Date(date) : new Date();
+
+  // Mixed sales are stored as short-term, matching the TaxCenter sale form
+  const hasShortTerm = selection.selectedLots.some(s => differenceInDays(saleDate, s.purchaseDate) <= 365);
+
+  return {
+    selection,
+    lotsUsed: buildLotsUsed(selection),
+    proceeds,
+    totalCostBasis: selection.totalCostBasis,
+    realizedGain: proceeds - selection.totalCostBasis,
+    holdingPeriod: hasShortTerm ? 'short_term' : 'long_term',
+    isComplete: quantity > 0 && selection.remainingToSell <= QUANTITY_TOLERANCE,
+    shortfall: selection.remainingToSell,
+  };
+}
+
+/**
+ * Save a sale: create the sell Transaction with its lot method and lots_used, draw down the
+ * lots' remaining quantities and rebuild the Holding.
+ *
+ * @param {Object} options
+ * @param {string} options.ticker
+ * @param {string|null} options.accountId - Lots are drawn from this account only
+ * @param {string} [options.accountType] - Transaction account_type
+ * @param {number} options.quantity
+ * @param {number} options.pricePerUnit
+ * @param {number} [options.fee] - Selling fee in USD
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {string} [options.method] - Key of LOT_SELECTION_METHODS
+ * @param {Array} [options.specificLots] - SPECIFIC picks: [{ lot_id, quantity }]
+ * @param {string} [options.exchange]
+ * @param {string} [options.notes]
+ * @param {Object} [options.currencyFields] - { entry_currency, fx_rate } when the sale was entered in a
+ *   base currency other than USD (see getEntryCurrencyFields); amounts passed in are already USD
+ * @returns {Promise<Object>} The saved sell Transaction
+ */
+export async function recordLotSale({
+  ticker,
+  accountId = null,
+  accountType = 'taxable',
+  quantity,
+  pricePerUnit,
+  fee = 0,
+  date,
+  method = 'HIFO',
+  specificLots = [],
+  exchange = '',
+  notes = '',
+  currencyFields = {},
+}) {
+  if (!(quantity > 0)) throw new Error('Sale quantity must be greater than zero');
+  if (!(pricePerUnit >= 0)) throw new Error('Enter a sale price');
+
+  const allTransactions = await base44.entities.Transaction.list();
+  const lots = allTransactions.filter(tx =>
+    tx.type === 'buy' &&
+    tx.asset_ticker === ticker &&
+    (tx.account_id || null) === accountId
+  );
+
+  const plan = planLotSale({ lots, ticker, quantity, pricePerUnit, fee, date, method, specificLots });
+  if (!plan.isComplete) {
+    throw new Error(`Selected lots cover ${(quantity - plan.shortfall).toFixed(8)} of ${quantity} ${ticker}`);
+  }
+
+  const sale = await base44.entities.Transaction.create({
+    type: 'sell',
+    asset_ticker: ticker,
+    quantity,
+    price_per_unit: pricePerUnit,
+    total_value: quantity * pricePerUnit,
+    trading_fee: fee || 0,
+    date,
+    exchange_or_wallet: exchange,
+    account_id: accountId || undefined,
+    account_type: accountType,
+    cost_basis: plan.totalCostBasis,
+    realized_gain_loss: plan.realizedGain,
+    holding_period: plan.holdingPeriod,
+    lot_method: method,
+    lots_used: plan.lotsUsed,
+    notes,
+    ...currencyFields,
+  });
+
+  for (const { lot, quantityFromLot } of plan.selection.selectedLots) {
+    await base44.entities.Transaction.update(lot.id, {
+      remaining_quantity: Math.max(0, lot.availableQty - quantityFromLot),
+    });
+  }
+
+  await syncHoldingFromLots(ticker, accountId);
+  return sale;
+}
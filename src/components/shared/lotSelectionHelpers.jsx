@@ -1,23 +1,182 @@
+import { addDays, format } from 'date-fns';
+
+const ONE_YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+const getPurchaseCostPerUnit = (lot) => lot.price_per_unit || (lot.cost_basis / lot.quantity) || 0;
+
+// 'YYYY-MM-DD' shifted by a number of days, read in local time like the rest of the lot dates
+const shiftDate = (dateStr, days) => format(addDays(new Date(`${String(dateStr).split('T')[0]}T00:00:00`), days), 'yyyy-MM-dd');
+
+/**
+ * A lot's shares in the order they are sold, as runs: the shares that replaced a wash sale come
+ * first (one run per wash_sale_adjustments entry, holding that sale's disallowed loss), then the
+ * rest of the lot. Sold and transferred shares always come off the front.
+ *
+ * @returns {Array} [{ sale_id, quantity, disallowed_loss, holding_days }]
+ */
+export function getLotShareRuns(lot) {
+  const quantity = lot.quantity || 0;
+  const runs = [];
+  let covered = 0;
+  for (const adjustment of lot.wash_sale_adjustments || []) {
+    const runQuantity = Math.min(adjustment.quantity || 0, quantity - covered);
+    if (runQuantity <= 0) continue;
+    runs.push({
+      sale_id: adjustment.sale_id ?? null,
+      quantity: runQuantity,
+      disallowed_loss: (adjustment.disallowed_loss || 0) * (runQuantity / adjustment.quantity),
+      holding_days: adjustment.holding_days || 0,
+    });
+    covered += runQuantity;
+  }
+  if (quantity - covered > 0) runs.push({ sale_id: null, quantity: quantity - covered, disallowed_loss: 0, holding_days: 0 });
+  return runs;
+}
+
+/**
+ * The part of `runs` covering shares [start, end), each run's disallowed loss prorated.
+ */
+export function sliceShareRuns(runs, start, end) {
+  const sliced = [];
+  let position = 0;
+  for (const run of runs) {
+    const from = Math.max(start, position);
+    const to = Math.min(end, position + run.quantity);
+    if (to > from) sliced.push({ ...run, quantity: to - from, disallowed_loss: run.disallowed_loss * ((to - from) / run.quantity) });
+    position += run.quantity;
+  }
+  return sliced;
+}
+
+/**
+ * A lot's open shares in the order they are sold, grouped by tax basis per unit and holding
+ * period start. Only replacement shares carry a disallowed wash sale loss and a tacked holding
+ * period; the rest of the lot keeps its purchase price and date.
+ *
+ * @returns {Array} [{ quantity, costPerUnit, holdingStart }] - holdingStart is YYYY-MM-DD or null
+ */
+export function getLotSegments(lot) {
+  const purchaseCost = getPurchaseCostPerUnit(lot);
+  const open = lot.remaining_quantity ?? lot.quantity ?? 0;
+  if (!lot.wash_sale_adjustments?.length) {
+    return open > 0 ? [{ quantity: open, costPerUnit: purchaseCost, holdingStart: lot.date || null }] : [];
+  }
+
+  const quantity = lot.quantity || 0;
+  const segments = [];
+  for (const run of sliceShareRuns(getLotShareRuns(lot), quantity - open, quantity)) {
+    const costPerUnit = purchaseCost + run.disallowed_loss / run.quantity;
+    const holdingStart = run.holding_days > 0 && lot.date ? shiftDate(lot.date, -run.holding_days) : (lot.date || null);
+    const previous = segments[segments.length - 1];
+    if (previous && previous.holdingStart === holdingStart && Math.abs(previous.costPerUnit - costPerUnit) < 1e-9) {
+      previous.quantity += run.quantity;
+    } else {
+      segments.push({ quantity: run.quantity, costPerUnit, holdingStart });
+    }
+  }
+  return segments;
+}
+
+/**
+ * The first `quantity` open shares of a lot, as getLotSegments groups.
+ */
+export function takeLotSegments(lot, quantity) {
+  const taken = [];
+  let remaining = quantity;
+  for (const segment of getLotSegments(lot)) {
+    if (remaining <= 0) break;
+    const fromSegment = Math.min(segment.quantity, remaining);
+    taken.push({ ...segment, quantity: fromSegment });
+    remaining -= fromSegment;
+  }
+  return taken;
+}
+
+/**
+ * Average tax basis per unit of a lot's open shares, including the disallowed wash sale losses
+ * their replacement shares carry.
+ */
+export function getLotCostPerUnit(lot) {
+  const segments = getLotSegments(lot);
+  const open = segments.reduce((sum, segment) => sum + segment.quantity, 0);
+  if (open <= 0) {
+    return getPurchaseCostPerUnit(lot) + (lot.quantity ? (lot.wash_sale_basis_adjustment || 0) / lot.quantity : 0);
+  }
+  return segments.reduce((sum, segment) => sum + segment.quantity * segment.costPerUnit, 0) / open;
+}
+
+/**
+ * Date the holding period of a lot's next share to be sold starts: the purchase date, or earlier
+ * when that share replaced a wash sale and the sold shares' holding period was tacked onto it.
+ */
+export function getLotHoldingStart(lot) {
+  return getLotSegments(lot)[0]?.holdingStart || lot.wash_sale_holding_start || lot.date || null;
+}
+
+/**
+ * Lot selection methods offered wherever a sale is recorded.
+ * SPECIFIC takes the lots and quantities the user picked; TAX_MIN needs the sale price and date.
+ */
+export const LOT_SELECTION_METHODS = {
+  FIFO: { name: 'FIFO', description: 'Oldest lots first' },
+  LIFO: { name: 'LIFO', description: 'Newest lots first' },
+  HIFO: { name: 'HIFO', description: 'Highest cost basis first' },
+  TAX_MIN: { name: 'Tax-Minimizing', description: 'Long-term losses, then short-term losses, then highest-basis long-term lots' },
+  SPECIFIC: { name: 'Specific ID', description: 'Pick exact lots and quantities' },
+};
+
+/**
+ * Orders lots to minimize tax on a sale at salePrice: long-term losses (largest first), then
+ * short-term losses (largest first), then long-term gains by highest basis, then short-term gains
+ * by highest basis.
+ */
+function sortLotsForTaxMinimization(lots, salePrice, saleDate) {
+  const saleTime = (saleDate ? new Date(saleDate) : new Date()).getTime();
+  const bucketOf = (lot) => {
+    const isLongTerm = saleTime - lot.purchaseDate.getTime() > ONE_YEAR_MS;
+    const isLoss = lot.costPerUnit > salePrice;
+    if (isLoss) return isLongTerm ? 0 : 1;
+    return isLongTerm ? 2 : 3;
+  };
+
+  return [...lots].sort((a, b) => {
+    const bucketDiff = bucketOf(a) - bucketOf(b);
+    if (bucketDiff !== 0) return bucketDiff;
+    // Within every bucket the highest basis comes first: the largest loss, or the smallest gain
+    const costDiff = b.costPerUnit - a.costPerUnit;
+    if (costDiff !== 0) return costDiff;
+    return (a.id || '').localeCompare(b.id || '');
+  });
+}
+
 /**
  * Selects tax lots to sell based on the specified method
  * @param {Array} lots - Array of tax lot objects with: asset_ticker, quantity, remaining_quantity, price_per_unit, date, cost_basis
  * @param {string} ticker - The asset ticker to sell (e.g., 'BTC')
  * @param {number} quantityToSell - How much of the asset to sell
- * @param {string} method - 'FIFO', 'LIFO', or 'HIFO'
- * @returns {Object} { selectedLots: [{lot, quantityFromLot, costBasis, proceeds}], totalCostBasis, totalQuantitySold, remainingLots }
+ * @param {string} method - 'FIFO', 'LIFO', 'HIFO', 'TAX_MIN' or 'SPECIFIC'
+ * @param {Object} [options]
+ * @param {Array} [options.specificLots] - SPECIFIC only: [{ lot_id, quantity }] in the order to use them
+ * @param {number} [options.salePrice] - TAX_MIN only: price per unit of the sale
+ * @param {string|Date} [options.saleDate] - TAX_MIN only: defaults to today
+ * @returns {Object} { selectedLots: [{lot, quantityFromLot, costBasis, costPerUnit, purchaseDate, segments}], totalCostBasis, totalQuantitySold, remainingLots }
+ *   segments are the takeLotSegments groups behind each lot's share of the sale
  */
-export function selectLots(lots, ticker, quantityToSell, method = 'HIFO') {
+export function selectLots(lots, ticker, quantityToSell, method = 'HIFO', options = {}) {
   // Filter lots for this ticker with remaining quantity
   const availableLots = lots
     .filter(lot => lot.asset_ticker === ticker)
     .map(lot => ({
       ...lot,
       availableQty: lot.remaining_quantity ?? lot.quantity ?? 0,
-      costPerUnit: lot.price_per_unit || (lot.cost_basis / lot.quantity) || 0,
-      purchaseDate: lot.date ? new Date(lot.date) : new Date(0),
+      costPerUnit: getLotCostPerUnit(lot),
+      purchaseDate: getLotHoldingStart(lot) ? new Date(getLotHoldingStart(lot)) : new Date(0),
     }))
     .filter(lot => lot.availableQty > 0);
 
+  // Per-lot caps for SPECIFIC; other methods may take each lot in full
+  const lotCaps = {};
+
   // Sort based on method
   let sortedLots;
   switch (method) {
@@ -37,6 +196,19 @@ export function selectLots(lots, ticker, quantityToSell, method = 'HIFO') {
         return (a.id || '').localeCompare(b.id || '');
       });
       break;
+    case 'TAX_MIN':
+      sortedLots = sortLotsForTaxMinimization(availableLots, options.salePrice || 0, options.saleDate);
+      break;
+    case 'SPECIFIC':
+      // Specific identification - only the lots the user picked, in the order picked
+      sortedLots = (options.specificLots || [])
+        .map(pick => {
+          const lot = availableLots.find(l => l.id === pick.lot_id);
+          if (lot) lotCaps[lot.id] = Math.min(lot.availableQty, pick.quantity ?? lot.availableQty);
+          return lot;
+        })
+        .filter(Boolean);
+      break;
     case 'HIFO':
     default:
       // Highest In, First Out - highest cost first, with ID tie-breaker
@@ -57,15 +229,20 @@ export function selectLots(lots, ticker, quantityToSell, method = 'HIFO') {
   for (const lot of sortedLots) {
     if (remainingToSell <= 0) break;
 
-    const quantityFromLot = Math.min(lot.availableQty, remainingToSell);
-    const costBasisForSale = quantityFromLot * lot.costPerUnit;
+    const quantityFromLot = Math.min(lotCaps[lot.id] ?? lot.availableQty, remainingToSell);
+    if (quantityFromLot <= 0) continue;
+    const segments = takeLotSegments(lot, quantityFromLot);
+    const costBasisForSale = segments.reduce((sum, segment) => sum + segment.quantity * segment.costPerUnit, 0);
+    // A sale mixing tacked and untacked shares is dated by its latest holding start
+    const latestStart = segments.reduce((latest, segment) => (segment.holdingStart && (!latest || segment.holdingStart > latest) ? segment.holdingStart : latest), null);
 
     selectedLots.push({
       lot: lot,
       quantityFromLot,
       costBasis: costBasisForSale,
-      costPerUnit: lot.costPerUnit,
-      purchaseDate: lot.purchaseDate,
+      costPerUnit: costBasisForSale / quantityFromLot,
+      purchaseDate: latestStart ? new Date(latestStart) : lot.purchaseDate,
+      segments,
     });
 
     totalCostBasis += costBasisForSale;
@@ -92,6 +269,29 @@ export function selectLots(lots, ticker, quantityToSell, method = 'HIFO') {
   };
 }
 
+/**
+ * Converts a selectLots result into the lots_used records stored on a sell Transaction,
+ * the audit trail that sale reversal and Form 8949 read. A lot whose sold shares differ in basis
+ * or holding period (wash sale replacement shares and the rest) gets one record per group.
+ */
+export function buildLotsUsed(selection) {
+  return selection.selectedLots.flatMap(({ lot, segments }) => buildLotUsedRecords(lot, segments));
+}
+
+/**
+ * lots_used records for the given takeLotSegments groups of one lot.
+ */
+export function buildLotUsedRecords(lot, segments) {
+  return segments.map(segment => ({
+    lot_id: lot.id,
+    quantity_sold: segment.quantity,
+    cost_basis: segment.quantity * segment.costPerUnit,
+    price_per_unit: segment.costPerUnit,
+    purchase_date: lot.date || null,
+    ...(segment.holdingStart && segment.holdingStart !== lot.date && { holding_period_start: segment.holdingStart }),
+  }));
+}
+
 /**
  * Gets the total available quantity for a ticker from lots
  */
@@ -128,9 +328,11 @@ export function getWeightedAverageCostBasis(lots, ticker) {
  * @param {number} btcAmountNeeded - Amount of BTC to collateralize
  * @param {string} costBasisMethod - 'HIFO', 'FIFO', or 'LIFO'
  * @param {Array} existingCollateralLotIds - Lot IDs already used as collateral by other loans
+ * @param {Object} [loan] - { balance, btcPrice, terms } to check the pledge against the loan's own terms
+ *   (terms from resolveLoanTerms); a loan that would open at or above its margin call is rejected
  * @returns {Object} { success, lots, totalBasis, error }
  */
-export function assignCollateralLots(taxLots, btcAmountNeeded, costBasisMethod = 'HIFO', existingCollateralLotIds = []) {
+export function assignCollateralLots(taxLots, btcAmountNeeded, costBasisMethod = 'HIFO', existingCollateralLotIds = [], loan = null) {
   console.log('=== assignCollateralLots ===');
   console.log('BTC needed:', btcAmountNeeded);
   console.log('Cost basis method:', costBasisMethod);
@@ -139,6 +341,19 @@ export function assignCollateralLots(taxLots, btcAmountNeeded, costBasisMethod =
   if (!btcAmountNeeded || btcAmountNeeded <= 0) {
     return { success: false, lots: [], totalBasis: 0, error: 'Invalid collateral amount' };
   }
+
+  if (loan?.terms && loan.balance > 0 && loan.btcPrice > 0) {
+    const startingLtv = (loan.balance / (btcAmountNeeded * loan.btcPrice)) * 100;
+    if (startingLtv >= loan.terms.marginCallLtv) {
+      const lender = loan.terms.profileName ? `${loan.terms.profileName}'s` : 'the';
+      return {
+        success: false,
+        lots: [],
+        totalBasis: 0,
+        error: `${btcAmountNeeded.toFixed(4)} BTC puts this loan at ${startingLtv.toFixed(1)}% LTV, at or above ${lender} ${loan.terms.marginCallLtv}% margin call. Pledge at least ${(loan.balance / (loan.terms.marginCallLtv / 100) / loan.btcPrice).toFixed(4)} BTC.`
+      };
+    }
+  }
   
   // Filter to available BTC lots (taxable, not already fully collateralized)
   // CRITICAL: Exclude lots that are already used as collateral by other loans
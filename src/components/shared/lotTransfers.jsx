@@ -0,0 +1,358 @@
+// components/shared/lotTransfers.js
+// Moving an asset between accounts (exchange → cold storage, broker → broker) without a sale.
+// A 'transfer' Transaction records the move; the lots themselves carry over with their original
+// acquisition date and basis. Untouched lots are reassigned whole; partially used lots are split,
+// so summed buy quantities and cost never double-count, and wash sale replacement shares take
+// their basis adjustment and tacked holding period with them. An optional network fee paid in the asset
+// is recorded as a small 'sell' disposal at fair market value.
+
+import { base44 } from '@/api/base44Client';
+import { differenceInDays } from 'date-fns';
+import { selectLots, takeLotSegments, buildLotUsedRecords } from '@/components/shared/lotSelectionHelpers';
+import { splitWashSaleLotFields, mergeWashSaleLotFields } from '@/components/shared/washSales';
+import { syncHoldingsForTransfer } from '@/components/shared/syncHoldings';
+
+export const TRANSFER_LOT_METHODS = {
+  FIFO: { name: 'FIFO', description: 'Move oldest lots first' },
+  LIFO: { name: 'LIFO', description: 'Move newest lots first' },
+  HIFO: { name: 'HIFO', description: 'Move highest-cost lots first' },
+  SPECIFIC: { name: 'Specific Lots', description: 'Choose exactly which lots move' },
+};
+
+const QUANTITY_TOLERANCE = 1e-8;
+
+// Account entity account_type → Transaction entity account_type
+const TRANSACTION_ACCOUNT_TYPES = {
+  taxable_brokerage: 'taxable',
+  taxable_crypto: 'taxable',
+  taxable_real_estate: 'taxable',
+  '401k_traditional': 'traditional_401k',
+  '401k_roth': 'roth_401k',
+  ira_traditional: 'traditional_ira',
+  ira_roth: 'roth_ira',
+  hsa: 'hsa',
+  '529': '529',
+};
+
+const getRemaining = (lot) => lot.remaining_quantity ?? lot.quantity ?? 0;
+
+/**
+ * Open lots for one asset in one account.
+ */
+export function getTransferableLots(transactions, ticker, accountId) {
+  return transactions.filter(tx =>
+    tx.type === 'buy' &&
+    tx.asset_ticker === ticker &&
+    tx.account_id === accountId &&
+    getRemaining(tx) > QUANTITY_TOLERANCE
+  );
+}
+
+// Take `quantity` from `lots` in order, returning [{ lot, quantity, costBasis, segments }]. Each lot's
+// open shares are taken in sale order (takeLotSegments), after whatever `used` already took from it.
+function takeInOrder(lots, quantity, available, used) {
+  const taken = [];
+  let remaining = quantity;
+  for (const lot of lots) {
+    if (remaining <= QUANTITY_TOLERANCE) break;
+    const fromLot = Math.min(available.get(lot.id) || 0, remaining);
+    if (fromLot <= 0) continue;
+    const alreadyUsed = used.get(lot.id) || 0;
+    const segments = takeLotSegments({ ...lot, remaining_quantity: getRemaining(lot) - alreadyUsed }, fromLot);
+    const costBasis = segments.reduce((sum, segment) => sum + segment.quantity * segment.costPerUnit, 0);
+    taken.push({ lot, quantity: fromLot, costBasis, segments });
+    available.set(lot.id, available.get(lot.id) - fromLot);
+    used.set(lot.id, alreadyUsed + fromLot);
+    remaining -= fromLot;
+  }
+  return { taken, shortfall: Math.max(0, remaining) };
+}
+
+/**
+ * Decide which lots pay the network fee and which lots move. The fee is carved out first,
+ * from the same lot order, so the moved lots keep as much of their history as possible.
+ *
+ * @param {Object} options
+ * @param {Array} options.lots - Source account's open lots (see getTransferableLots)
+ * @param {number} options.quantity - Amount arriving in the destination account
+ * @param {number} [options.networkFee] - Amount spent on the network fee, in the asset
+ * @param {string} [options.method] - Key of TRANSFER_LOT_METHODS
+ * @param {Array} [options.specificLots] - [{ lot_id, quantity }] for SPECIFIC, in the order to use them
+ * @returns {Object} { feeLots, movedLots, feeCostBasis, movedCostBasis, available, isComplete, shortfall }
+ */
+export function planLotTransfer({ lots, quantity, networkFee = 0, method = 'FIFO', specificLots = [] }) {
+  const available = new Map(lots.map(lot => [lot.id, getRemaining(lot)]));
+  const totalAvailable = [...available.values()].reduce((sum, qty) => sum + qty, 0);
+
+  let orderedLots;
+  if (method === 'SPECIFIC') {
+    // Only the chosen amounts of the chosen lots are eligible
+    available.clear();
+    orderedLots = specificLots
+      .map(choice => {
+        const lot = lots.find(l => l.id === choice.lot_id);
+        if (lot) available.set(lot.id, Math.min(getRemaining(lot), choice.quantity || 0));
+        return lot;
+      })
+      .filter(Boolean);
+  } else {
+    const ticker = lots[0]?.asset_ticker;
+    orderedLots = selectLots(lots, ticker, totalAvailable, method).selectedLots.map(s => s.lot);
+  }
+
+  const used = new Map();
+  const fee = takeInOrder(orderedLots, networkFee, available, used);
+  const moved = takeInOrder(orderedLots, quantity, available, used);
+  const shortfall = fee.shortfall + moved.shortfall;
+
+  return {
+    feeLots: fee.taken,
+    movedLots: moved.taken,
+    feeCostBasis: fee.taken.reduce((sum, t) => sum + t.costBasis, 0),
+    movedCostBasis: moved.taken.reduce((sum, t) => sum + t.costBasis, 0),
+    available: totalAvailable,
+    isComplete: quantity > 0 && shortfall <= QUANTITY_TOLERANCE,
+    shortfall,
+  };
+}
+
+/**
+ * Record a transfer: create the 'transfer' Transaction, dispose of the network fee, move or split
+ * the lots into the destination account and rebuild both accounts' Holdings.
+ *
+ * @param {Object} options
+ * @param {string} options.fromAccountId
+ * @param {string} options.toAccountId
+ * @param {string} options.ticker
+ * @param {number} options.quantity - Amount arriving in the destination account
+ * @param {number} [options.networkFee] - Asset spent on the network fee
+ * @param {number} [options.feePrice] - Asset price on the transfer date, for the fee disposal
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {string} [options.method]
+ * @param {Array} [options.specificLots]
+ * @param {string} [options.notes]
+ * @param {string} [options.assetType] - Passed to syncHoldingFromLots when the destination holding is new
+ * @param {Object} [options.currencyFields] - { entry_currency, fx_rate } for the fee disposal when its
+ *   price was entered in a base currency other than USD; feePrice is already USD
+ * @returns {Promise<Object>} The saved transfer Transaction
+ */
+export async function recordLotTransfer({
+  fromAccountId,
+  toAccountId,
+  ticker,
+  quantity,
+  networkFee = 0,
+  feePrice = 0,
+  date,
+  method = 'FIFO',
+  specificLots = [],
+  notes = '',
+  assetType = null,
+  currencyFields = {},
+}) {
+  if (!fromAccountId || !toAccountId) throw new Error('Choose both a source and a destination account');
+  if (fromAccountId === toAccountId) throw new Error('Source and destination accounts must be different');
+  if (!(quantity > 0)) throw new Error('Transfer quantity must be greater than zero');
+
+  const [allTransactions, accounts] = await Promise.all([
+    base44.entities.Transaction.list(),
+    base44.entities.Account.list(),
+  ]);
+  const fromAccount = accounts.find(a => a.id === fromAccountId);
+  const toAccount = accounts.find(a => a.id === toAccountId);
+  if (!fromAccount || !toAccount) throw new Error('Account not found');
+
+  const lots = getTransferableLots(allTransactions, ticker, fromAccountId);
+  const plan = planLotTransfer({ lots, quantity, networkFee, method, specificLots });
+  if (!plan.isComplete) {
+    throw new Error(`Not enough ${ticker} in ${fromAccount.name}: short ${plan.shortfall.toFixed(8)}`);
+  }
+
+  const fromAccountType = TRANSACTION_ACCOUNT_TYPES[fromAccount.account_type] || fromAccount.account_type || 'taxable';
+  const toAccountType = TRANSACTION_ACCOUNT_TYPES[toAccount.account_type] || toAccount.account_type || 'taxable';
+
+  const transfer = await base44.entities.Transaction.create({
+    type: 'transfer',
+    asset_ticker: ticker,
+    quantity,
+    network_fee: networkFee || 0,
+    price_per_unit: feePrice || 0,
+    total_value: 0,
+    cost_basis: plan.movedCostBasis,
+    date,
+    account_id: fromAccountId,
+    account_type: fromAccountType,
+    to_account_id: toAccountId,
+    exchange_or_wallet: `${fromAccount.name} → ${toAccount.name}`,
+    lot_method: method,
+    notes,
+  });
+
+  // Network fee: a disposal at FMV out of the source account
+  const remainingById = new Map(lots.map(lot => [lot.id, getRemaining(lot)]));
+  let feeTransaction = null;
+  if (networkFee > 0) {
+    const proceeds = networkFee * feePrice;
+    let hasShortTerm = false;
+    const lotsUsed = plan.feeLots.flatMap(({ lot, quantity: qty, segments }) => {
+      if (segments.some(segment => differenceInDays(new Date(date), new Date(segment.holdingStart || lot.date)) <= 365)) hasShortTerm = true;
+      remainingById.set(lot.id, remainingById.get(lot.id) - qty);
+      return buildLotUsedRecords(lot, segments);
+    });
+    feeTransaction = await base44.entities.Transaction.create({
+      type: 'sell',
+      disposal_type: 'network_fee',
+      asset_ticker: ticker,
+      quantity: networkFee,
+      price_per_unit: feePrice,
+      total_value: proceeds,
+      cost_basis: plan.feeCostBasis,
+      realized_gain_loss: proceeds - plan.feeCostBasis,
+      holding_period: hasShortTerm ? 'short_term' : 'long_term',
+      date,
+      account_id: fromAccountId,
+      account_type: fromAccountType,
+      exchange_or_wallet: fromAccount.name,
+      lots_used: lotsUsed,
+      transfer_id: transfer.id,
+      notes: `Network fee for transfer to ${toAccount.name}`,
+      ...currencyFields,
+    });
+    for (const { lot } of plan.feeLots) {
+      await base44.entities.Transaction.update(lot.id, { remaining_quantity: Math.max(0, remainingById.get(lot.id)) });
+    }
+  }
+
+  const lotsMoved = [];
+  for (const { lot, quantity: qty, costBasis } of plan.movedLots) {
+    const remaining = remainingById.get(lot.id);
+    const isWholeLot = Math.abs(qty - (lot.quantity || 0)) <= QUANTITY_TOLERANCE &&
+      Math.abs(remaining - (lot.quantity || 0)) <= QUANTITY_TOLERANCE;
+
+    if (isWholeLot) {
+      await base44.entities.Transaction.update(lot.id, {
+        account_id: toAccountId,
+        account_type: toAccountType,
+        transfer_id: transfer.id,
+        transferred_from_account_id: fromAccountId,
+      });
+      lotsMoved.push({ lot_id: lot.id, source_lot_id: lot.id, quantity: qty, cost_basis: lot.cost_basis || costBasis, whole_lot: true });
+      continue;
+    }
+
+    // Split: the source lot keeps the rest (including anything already sold from it)
+    const share = qty / lot.quantity;
+    const washSale = splitWashSaleLotFields({ ...lot, remaining_quantity: remaining }, qty);
+    const newLot = await base44.entities.Transaction.create({
+      type: 'buy',
+      asset_ticker: lot.asset_ticker,
+      quantity: qty,
+      remaining_quantity: qty,
+      price_per_unit: lot.price_per_unit,
+      cost_basis: (lot.cost_basis || 0) * share,
+      total_value: (lot.total_value || 0) * share,
+      trading_fee: (lot.trading_fee || 0) * share,
+      date: lot.date,
+      lot_id: `${lot.asset_ticker}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      account_id: toAccountId,
+      account_type: toAccountType,
+      exchange_or_wallet: lot.exchange_or_wallet,
+      transfer_id: transfer.id,
+      split_from_lot_id: lot.id,
+      transferred_from_account_id: fromAccountId,
+      notes: `Moved from ${fromAccount.name}`,
+      ...washSale.moved,
+    });
+    await base44.entities.Transaction.update(lot.id, {
+      quantity: lot.quantity - qty,
+      remaining_quantity: Math.max(0, remaining - qty),
+      cost_basis: (lot.cost_basis || 0) * (1 - share),
+      total_value: (lot.total_value || 0) * (1 - share),
+      trading_fee: (lot.trading_fee || 0) * (1 - share),
+      ...washSale.kept,
+    });
+    remainingById.set(lot.id, remaining - qty);
+    lot.quantity -= qty;
+    lot.cost_basis = (lot.cost_basis || 0) * (1 - share);
+    lot.total_value = (lot.total_value || 0) * (1 - share);
+    lot.trading_fee = (lot.trading_fee || 0) * (1 - share);
+    Object.assign(lot, washSale.kept);
+    lotsMoved.push({ lot_id: newLot.id, source_lot_id: lot.id, quantity: qty, cost_basis: newLot.cost_basis, whole_lot: false });
+  }
+
+  const saved = await base44.entities.Transaction.update(transfer.id, {
+    lots_moved: lotsMoved,
+    fee_transaction_id: feeTransaction?.id || null,
+  });
+
+  await syncHoldingsForTransfer({ ...transfer, lots_moved: lotsMoved }, assetType);
+  return saved || { ...transfer, lots_moved: lotsMoved, fee_transaction_id: feeTransaction?.id || null };
+}
+
+/**
+ * Undo a transfer's effect on lots: moved lots return (split lots merge back into their source),
+ * the network fee disposal is deleted and its lots restored. Fails without changing anything if a
+ * moved lot has been sold from since. The caller deletes the transfer record itself.
+ *
+ * @param {Object} transfer - A 'transfer' Transaction
+ * @returns {Promise<string[]>} IDs of the split lots and fee disposal that were deleted
+ */
+export async function reverseLotTransfer(transfer) {
+  const lotsMoved = transfer.lots_moved || [];
+  const deletedIds = [];
+  const allTransactions = await base44.entities.Transaction.list();
+  const byId = new Map(allTransactions.map(tx => [tx.id, tx]));
+
+  for (const moved of lotsMoved) {
+    const lot = byId.get(moved.lot_id);
+    if (lot && getRemaining(lot) + QUANTITY_TOLERANCE < moved.quantity) {
+      throw new Error(`Part of the ${transfer.asset_ticker} moved by this transfer has since been sold. Delete that sale first.`);
+    }
+    if (!moved.whole_lot && !byId.get(moved.source_lot_id)) {
+      throw new Error('The original lot for this transfer no longer exists, so it cannot be merged back.');
+    }
+  }
+
+  for (const moved of [...lotsMoved].reverse()) {
+    const lot = byId.get(moved.lot_id);
+    if (!lot) continue;
+
+    if (moved.whole_lot) {
+      await base44.entities.Transaction.update(lot.id, {
+        account_id: transfer.account_id,
+        account_type: transfer.account_type,
+        transfer_id: null,
+        transferred_from_account_id: null,
+      });
+      continue;
+    }
+
+    const source = byId.get(moved.source_lot_id);
+    const merged = {
+      quantity: (source.quantity || 0) + (lot.quantity || 0),
+      remaining_quantity: getRemaining(source) + getRemaining(lot),
+      cost_basis: (source.cost_basis || 0) + (lot.cost_basis || 0),
+      total_value: (source.total_value || 0) + (lot.total_value || 0),
+      trading_fee: (source.trading_fee || 0) + (lot.trading_fee || 0),
+      ...mergeWashSaleLotFields(source, lot),
+    };
+    await base44.entities.Transaction.update(source.id, merged);
+    Object.assign(source, merged);
+    await base44.entities.Transaction.delete(lot.id);
+    deletedIds.push(lot.id);
+  }
+
+  const feeTransaction = transfer.fee_transaction_id ? byId.get(transfer.fee_transaction_id) : null;
+  if (feeTransaction) {
+    for (const used of feeTransaction.lots_used || []) {
+      const lot = byId.get(used.lot_id);
+      if (!lot) continue;
+      lot.remaining_quantity = getRemaining(lot) + (used.quantity_sold || 0);
+      await base44.entities.Transaction.update(lot.id, { remaining_quantity: lot.remaining_quantity });
+    }
+    await base44.entities.Transaction.delete(feeTransaction.id);
+    deletedIds.push(feeTransaction.id);
+  }
+
+  return deletedIds;
+}
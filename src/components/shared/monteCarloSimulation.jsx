@@ -4,6 +4,13 @@
 
 import { runUnifiedProjection, getCustomReturnForYear } from './runProjection';
 import { getPowerLawCAGR } from './bitcoinPowerLaw';
+import { createBtcGrowthRateFunction, getTaxTreatmentFromHolding } from './projectionHelpers';
+import { getProjectionYears } from './household';
+import { HISTORICAL_ANNUAL_RETURNS, BTC_ANNUAL_RETURNS, HISTORICAL_FIRST_YEAR, HISTORICAL_LAST_YEAR } from './historicalReturns';
+import { resolveBtcRegimeModel, drawBtcRegimePath } from './btcRegimes';
+import { ASSET_CORRELATIONS, DEFAULT_ASSET_VOLATILITIES } from './assetCorrelations';
+
+export { ASSET_CORRELATIONS };
 
 // --- VERSION TRACKING ---
 export const MONTE_CARLO_VERSION = "2.0"; // Seeded RNG implementation
@@ -22,6 +29,12 @@ export function createSeededRNG(seed) {
   };
 }
 
+// Separate stream for BTC regime draws, so turning regimes on leaves every Z-score unchanged and
+// regime vs i.i.d. runs on the same seed are paired
+export function createRegimeRNG(seed) {
+  return createSeededRNG((seed ^ 0x5BD1E995) >>> 0);
+}
+
 // --- 2. HASH FUNCTION FOR SEED GENERATION ---
 // Converts user inputs into a consistent seed for reproducible Monte Carlo runs
 // Same inputs → Same seed → Same simulation results
@@ -56,6 +69,24 @@ export function generateMonteCarloSeed(
     hashString += `CRP${JSON.stringify(settings.custom_return_periods)}`;
   }
 
+  // Include the BTC regime model in hash only when it is on (off leaves results unchanged)
+  if (settings.btc_regime_model?.enabled) {
+    hashString += `BRG${JSON.stringify(settings.btc_regime_model)}`;
+  }
+
+  // Include BTC price model params in hash (slope, fit window, cycle shape, piecewise points...)
+  if (settings.btc_model_params) {
+    hashString += `BMP${JSON.stringify(settings.btc_model_params)}`;
+  }
+
+  // Include user correlation matrix / volatilities in hash (null = built-in defaults)
+  if (settings.asset_correlations) {
+    hashString += `AC${JSON.stringify(settings.asset_correlations)}`;
+  }
+  if (settings.asset_volatilities) {
+    hashString += `AV${JSON.stringify(settings.asset_volatilities)}`;
+  }
+
   // Include ticker returns in hash (affects per-holding growth rates)
   if (settings.ticker_returns) {
     hashString += `TR${JSON.stringify(settings.ticker_returns)}`;
@@ -75,6 +106,9 @@ export function generateMonteCarloSeed(
     hashString += `BRMO${scenario.btc_return_model_override || ''}`;
     hashString += `DIVIO${scenario.dividend_income_override || 0}`;
     hashString += `HYPL${scenario.hypothetical_btc_loan?.enabled ? 'T' : 'F'}`;
+    if (scenario.asset_correlations_override) {
+      hashString += `ACO${JSON.stringify(scenario.asset_correlations_override)}`;
+    }
     // DETERMINISTIC: Sort arrays before stringifying to ensure consistent hash
     const sortedOTE = [...(scenario.one_time_events || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
     const sortedAR = [...(scenario.asset_reallocations || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
@@ -109,28 +143,29 @@ export function generateMonteCarloSeed(
 // --- 3. CONSTANTS AND HELPERS ---
 
 // BTC volatility model - starts high and decays over time
-export const getBtcVolatilityForMonteCarlo = (yearsFromNow) => {
-  const initialVolatility = 55;
-  const minimumVolatility = 20;
-  const decayRate = 0.05;
+// volatilities: resolved assetVolatilities (see assetCorrelations); defaults when omitted
+export const getBtcVolatilityForMonteCarlo = (yearsFromNow, volatilities = DEFAULT_ASSET_VOLATILITIES) => {
+  const initialVolatility = volatilities.btc;
+  const minimumVolatility = volatilities.btcLongRun;
+  const decayRate = volatilities.btcDecayRate;
   return minimumVolatility + (initialVolatility - minimumVolatility) * Math.exp(-decayRate * yearsFromNow);
 };
 
+// BTC return for one simulated year. With a regime model the shock is shifted and scaled by that
+// year's regime (see btcRegimes); without one it is the plain Z-score.
+// Expanded caps: -75% (worst year was -73%), +250% (allow fat tail upside)
+export const getBtcMonteCarloReturn = (expectedReturn, year, zBtc, regime = null, volatilities = DEFAULT_ASSET_VOLATILITIES) => {
+  const shock = regime ? regime.drift + regime.volatility * zBtc : zBtc;
+  return Math.max(-75, Math.min(250, expectedReturn + getBtcVolatilityForMonteCarlo(year, volatilities) * shock));
+};
+
 // Bitcoin distribution parameters based on academic research
 // Swan Research: Skewness +2.8, Kurtosis ~105
 export const BTC_SKEW_PARAM = 1.15;  // Positive skew (>1 = more upside outcomes)
 export const BTC_DEGREES_OF_FREEDOM = 5;  // Fat tails (lower = fatter, 5 is typical for crypto)
 
-// Asset correlation matrix based on historical data (2018-2024)
-// Order: [BTC, Stocks, Bonds, RealEstate, Cash, Other]
-export const ASSET_CORRELATIONS = [
-  [1.00,  0.40, -0.10,  0.20,  0.00,  0.30],  // BTC
-  [0.40,  1.00, -0.20,  0.50,  0.00,  0.60],  // Stocks
-  [-0.10, -0.20, 1.00, -0.10,  0.30, -0.10],  // Bonds
-  [0.20,  0.50, -0.10,  1.00,  0.00,  0.40],  // Real Estate
-  [0.00,  0.00,  0.30,  0.00,  1.00,  0.00],  // Cash
-  [0.30,  0.60, -0.10,  0.40,  0.00,  1.00],  // Other
-];
+// Default asset correlation matrix (ASSET_CORRELATIONS) lives in assetCorrelations with the
+// user-editing helpers; params.assetCorrelations is already validated by buildProjectionParams.
 
 // Cholesky decomposition for generating correlated random numbers
 // Returns lower triangular matrix L where L * L^T = correlation matrix
@@ -154,24 +189,42 @@ export const choleskyDecomposition = (matrix) => {
   return L;
 };
 
-// Pre-compute Cholesky matrix once (it's constant)
+// Pre-compute Cholesky matrix once for the default correlations
 const CHOLESKY_L = choleskyDecomposition(ASSET_CORRELATIONS);
 
+// User matrices are decomposed once per matrix (params copies share the same array)
+const choleskyCache = new WeakMap();
+export const getCholeskyForParams = (params) => {
+  const matrix = params?.assetCorrelations;
+  if (!matrix) return CHOLESKY_L;
+  if (!choleskyCache.has(matrix)) choleskyCache.set(matrix, choleskyDecomposition(matrix));
+  return choleskyCache.get(matrix);
+};
+
 // Generate correlated random numbers from independent ones
 // independentZ = [z1, z2, z3, z4, z5, z6] (independent standard normals)
 // Returns correlated values in same order: [btc, stocks, bonds, realEstate, cash, other]
-export const generateCorrelatedReturns = (independentZ) => {
+export const generateCorrelatedReturns = (independentZ, choleskyL = CHOLESKY_L) => {
   const correlated = [];
   for (let i = 0; i < independentZ.length; i++) {
     let sum = 0;
     for (let j = 0; j <= i; j++) {
-      sum += CHOLESKY_L[i][j] * independentZ[j];
+      sum += choleskyL[i][j] * independentZ[j];
     }
     correlated.push(sum);
   }
   return correlated;
 };
 
+// Non-BTC asset returns for one year from correlated shocks and the params' volatilities
+const getOtherAssetReturns = (params, volatilities, { zStocks, zBonds, zRealEstate, zCash, zOther }) => ({
+  stocks: Math.max(-40, Math.min(50, params.effectiveStocksCagr + volatilities.stocks * zStocks)),
+  realEstate: params.realEstateCagr + volatilities.realEstate * zRealEstate,
+  bonds: params.bondsCagr + volatilities.bonds * zBonds,
+  cash: params.cashCagr + volatilities.cash * zCash,
+  other: params.otherCagr + volatilities.other * zOther,
+});
+
 // --- 4. DISTRIBUTION FUNCTIONS (SEEDED) ---
 // All distribution functions now accept a seeded random function
 
@@ -216,10 +269,16 @@ export const randomSkewedStudentT = (random, df, skew) => {
 
 // --- 5. GENERATE RANDOM PATHS (SEEDED) ---
 // Generates consistent random market scenarios using seeded RNG
-export function generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom) {
+// With baseParams.btcRegimeModel enabled, each path also gets a Markov chain of BTC regimes drawn
+// from regimeRandom (stored with the Z-scores so scenarios replay the same regimes).
+export function generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom, regimeRandom = seededRandom) {
   const paths = [];
+  const regimeModel = resolveBtcRegimeModel(baseParams.btcRegimeModel);
+  const choleskyL = getCholeskyForParams(baseParams);
+  const volatilities = baseParams.assetVolatilities || DEFAULT_ASSET_VOLATILITIES;
   
   for (let sim = 0; sim < numSimulations; sim++) {
+    const regimes = regimeModel ? drawBtcRegimePath(regimeModel, projectionYears + 1, regimeRandom) : null;
     const yearlyReturnOverrides = {
       btc: [],
       stocks: [],
@@ -243,35 +302,28 @@ export function generateRandomPaths(numSimulations, projectionYears, baseParams,
       ];
       
       // Apply correlation matrix to generate correlated shocks
-      const correlatedZ = generateCorrelatedReturns(independentZ);
+      const correlatedZ = generateCorrelatedReturns(independentZ, choleskyL);
       const [zBtc, zStocks, zBonds, zRealEstate, zCash, zOther] = correlatedZ;
 
       // Store Z-scores for regeneration with different expected returns
+      const btcRegime = regimes ? regimes[year] : null;
       yearlyReturnOverrides.zScores.push({ 
         zBtc, zStocks, zBonds, zRealEstate, zCash, zOther,
-        independent: independentZ 
+        independent: independentZ,
+        btcRegime,
       });
 
       // Calculate asset returns using baseline parameters and generated Z-scores
       const expectedBtcReturn = baseParams.getBtcGrowthRate(year, baseParams.effectiveInflation);
-      const btcVolatility = getBtcVolatilityForMonteCarlo(year);
-      // Expanded caps: -75% (worst year was -73%), +250% (allow fat tail upside)
-      const btcReturn = Math.max(-75, Math.min(250, expectedBtcReturn + btcVolatility * zBtc));
-
-      const stocksVolatilityVal = 18;
-      const stocksReturn = Math.max(-40, Math.min(50, baseParams.effectiveStocksCagr + stocksVolatilityVal * zStocks));
-
-      const realEstateReturn = baseParams.realEstateCagr + 5 * zRealEstate;
-      const bondsReturn = baseParams.bondsCagr + 2 * zBonds;
-      const cashReturn = baseParams.cashCagr + 1 * zCash;
-      const otherReturn = baseParams.otherCagr + 3 * zOther;
+      const btcReturn = getBtcMonteCarloReturn(expectedBtcReturn, year, zBtc, btcRegime, volatilities);
+      const otherReturns = getOtherAssetReturns(baseParams, volatilities, { zStocks, zBonds, zRealEstate, zCash, zOther });
 
       yearlyReturnOverrides.btc.push(btcReturn);
-      yearlyReturnOverrides.stocks.push(stocksReturn);
-      yearlyReturnOverrides.bonds.push(bondsReturn);
-      yearlyReturnOverrides.realEstate.push(realEstateReturn);
-      yearlyReturnOverrides.cash.push(cashReturn);
-      yearlyReturnOverrides.other.push(otherReturn);
+      yearlyReturnOverrides.stocks.push(otherReturns.stocks);
+      yearlyReturnOverrides.bonds.push(otherReturns.bonds);
+      yearlyReturnOverrides.realEstate.push(otherReturns.realEstate);
+      yearlyReturnOverrides.cash.push(otherReturns.cash);
+      yearlyReturnOverrides.other.push(otherReturns.other);
     }
 
     paths.push(yearlyReturnOverrides);
@@ -283,34 +335,31 @@ export function generateRandomPaths(numSimulations, projectionYears, baseParams,
 // --- 6. REGENERATE RETURNS FOR SCENARIO ---
 // Uses the same Z-scores but applies scenario-specific expected returns
 // This ensures fair comparison: same market conditions, different strategy
+// BTC regimes drawn for the path apply only if params has the regime model on.
+// Shocks are re-correlated from the stored independent draws with params' own correlation matrix
+// (identical to the stored Z-scores when it matches the baseline's).
 export function regenerateReturnsForParams(path, params) {
   const newOverrides = {
     btc: [], stocks: [], bonds: [], realEstate: [], cash: [], other: []
   };
+  const choleskyL = getCholeskyForParams(params);
+  const volatilities = params.assetVolatilities || DEFAULT_ASSET_VOLATILITIES;
 
   for (let year = 0; year < path.zScores.length; year++) {
-    const { zBtc, zStocks, zBonds, zRealEstate, zCash, zOther } = path.zScores[year];
+    const { independent, btcRegime } = path.zScores[year];
+    const [zBtc, zStocks, zBonds, zRealEstate, zCash, zOther] = generateCorrelatedReturns(independent, choleskyL);
 
     // BTC with scenario's expected return
     const expectedBtcReturn = params.getBtcGrowthRate(year, params.effectiveInflation);
-    const btcVolatility = getBtcVolatilityForMonteCarlo(year);
-    const btcReturn = Math.max(-75, Math.min(250, expectedBtcReturn + btcVolatility * zBtc));
-
-    // Stocks with scenario's expected return
-    const stocksVolatilityVal = 18;
-    const stocksReturn = Math.max(-40, Math.min(50, params.effectiveStocksCagr + stocksVolatilityVal * zStocks));
-
-    const realEstateReturn = params.realEstateCagr + 5 * zRealEstate;
-    const bondsReturn = params.bondsCagr + 2 * zBonds;
-    const cashReturn = params.cashCagr + 1 * zCash;
-    const otherReturn = params.otherCagr + 3 * zOther;
+    const btcReturn = getBtcMonteCarloReturn(expectedBtcReturn, year, zBtc, params.btcRegimeModel?.enabled ? btcRegime : null, volatilities);
+    const otherReturns = getOtherAssetReturns(params, volatilities, { zStocks, zBonds, zRealEstate, zCash, zOther });
 
     newOverrides.btc.push(btcReturn);
-    newOverrides.stocks.push(stocksReturn);
-    newOverrides.bonds.push(bondsReturn);
-    newOverrides.realEstate.push(realEstateReturn);
-    newOverrides.cash.push(cashReturn);
-    newOverrides.other.push(otherReturn);
+    newOverrides.stocks.push(otherReturns.stocks);
+    newOverrides.bonds.push(otherReturns.bonds);
+    newOverrides.realEstate.push(otherReturns.realEstate);
+    newOverrides.cash.push(otherReturns.cash);
+    newOverrides.other.push(otherReturns.other);
   }
 
   return newOverrides;
@@ -327,17 +376,21 @@ export function runMonteCarloSimulation(
 ) {
   const seededRandom = createSeededRNG(seed);
   const projectionYears = Math.max(
-    baseParams.lifeExpectancy - baseParams.currentAge + 1,
-    scenarioParams ? scenarioParams.lifeExpectancy - scenarioParams.currentAge + 1 : 0
+    getProjectionYears(baseParams),
+    scenarioParams ? getProjectionYears(scenarioParams) : 0
   );
 
   // Generate paths once using baseline params and the seeded RNG
-  const paths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom);
+  const paths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom, createRegimeRNG(seed));
 
   let baselineSuccess = 0;
   let scenarioSuccess = 0;
   let baselineLiquidations = 0;
   let scenarioLiquidations = 0;
+  const baselineTotals = [];
+  const baselineDepleteAges = [];
+  const scenarioTotals = [];
+  const scenarioDepleteAges = [];
 
   for (let i = 0; i < paths.length; i++) {
     // Run baseline with original path
@@ -349,6 +402,8 @@ export function runMonteCarloSimulation(
     });
 
     if (baseResult.survives) baselineSuccess++;
+    baselineTotals.push(baseResult.yearByYear.map(y => y.total || 0));
+    baselineDepleteAges.push(baseResult.depleteAge);
     
     // DEBUG: Log first 5 iterations to verify each produces different results
     if (i < 5) {
@@ -383,6 +438,8 @@ export function runMonteCarloSimulation(
       });
 
       if (scenResult.survives) scenarioSuccess++;
+      scenarioTotals.push(scenResult.yearByYear.map(y => y.total || 0));
+      scenarioDepleteAges.push(scenResult.depleteAge);
       
       const scenHasLiquidation = scenResult.yearByYear?.some(y => 
         y.liquidations?.some(l => l.type !== 'top_up' && l.type !== 'release')
@@ -397,6 +454,10 @@ export function runMonteCarloSimulation(
     scenarioSuccessRate: scenarioParams ? (scenarioSuccess / numSimulations) * 100 : null,
     baselineLiquidationRisk: (baselineLiquidations / numSimulations) * 100,
     scenarioLiquidationRisk: scenarioParams ? (scenarioLiquidations / numSimulations) * 100 : null,
+    baselineDistribution: summarizeMonteCarloDistribution(baselineTotals, baselineDepleteAges, baseParams.currentAge),
+    scenarioDistribution: scenarioParams
+      ? summarizeMonteCarloDistribution(scenarioTotals, scenarioDepleteAges, scenarioParams.currentAge)
+      : null,
     numSimulations,
   };
 }
@@ -406,10 +467,10 @@ export function runMonteCarloSimulation(
 // Uses seeded RNG for reproducible results
 export function calculateSafeSpending(baseParams, numSimulations, seed) {
   const seededRandom = createSeededRNG(seed);
-  const projectionYears = baseParams.lifeExpectancy - baseParams.currentAge + 1;
+  const projectionYears = getProjectionYears(baseParams);
   
   // Generate paths once using the seeded RNG
-  const paths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom);
+  const paths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom, createRegimeRNG(seed));
 
   let low = 10000;
   let high = 500000;
@@ -444,4 +505,329 @@ export function calculateSafeSpending(baseParams, numSimulations, seed) {
   }
 
   return maxSpending;
-}
\ No newline at end of file
+}
+
+// --- 9. HISTORICAL RETURN SEQUENCES ---
+// Replays actual annual returns beginning in `startYear` (index 0 is the un-grown current year).
+// Nominal history is restated against the plan's inflation assumption, so real (after-CPI) returns
+// match history while the projection keeps inflating spending at effectiveInflation.
+// Sequences that run past the last data year wrap back to the first. BTC uses its own history
+// where it exists (2011+) and the plan's BTC model otherwise; real estate and other stay at plan CAGR.
+export function generateHistoricalPath(startYear, projectionYears, baseParams) {
+  const planInflation = baseParams.effectiveInflation ?? 3;
+  const span = HISTORICAL_LAST_YEAR - HISTORICAL_FIRST_YEAR + 1;
+  const toPlanReturn = (nominal, cpi) => ((1 + nominal / 100) * (1 + planInflation / 100) / (1 + cpi / 100) - 1) * 100;
+
+  const yearlyReturnOverrides = {
+    btc: [],
+    stocks: [],
+    bonds: [],
+    realEstate: [],
+    cash: [],
+    other: [],
+    historicalYears: [],
+  };
+
+  for (let year = 0; year <= projectionYears; year++) {
+    const offset = Math.max(0, year - 1);
+    const historicalYear = HISTORICAL_FIRST_YEAR + ((startYear - HISTORICAL_FIRST_YEAR + offset) % span);
+    const data = HISTORICAL_ANNUAL_RETURNS[historicalYear];
+    const btcHistory = BTC_ANNUAL_RETURNS[historicalYear];
+
+    yearlyReturnOverrides.historicalYears.push(historicalYear);
+    yearlyReturnOverrides.stocks.push(toPlanReturn(data.stocks, data.cpi));
+    yearlyReturnOverrides.bonds.push(toPlanReturn(data.bonds, data.cpi));
+    yearlyReturnOverrides.cash.push(toPlanReturn(data.cash, data.cpi));
+    yearlyReturnOverrides.btc.push(btcHistory !== undefined
+      ? toPlanReturn(btcHistory, data.cpi)
+      : baseParams.getBtcGrowthRate(year, planInflation));
+    yearlyReturnOverrides.realEstate.push(baseParams.realEstateCagr);
+    yearlyReturnOverrides.other.push(baseParams.otherCagr);
+  }
+
+  return yearlyReturnOverrides;
+}
+
+// --- 10. HISTORICAL BACKTEST RUNNER ---
+// Runs the plan once per rolling start year and reports survival by cohort.
+// Worst cohort = earliest depletion, or lowest inflation-adjusted ending wealth if every cohort survives.
+export function runHistoricalBacktest(baseParams) {
+  const projectionYears = getProjectionYears(baseParams);
+  const retirementIndex = Math.max(0, baseParams.retirementAge - baseParams.currentAge);
+  const cohorts = [];
+  let worstResult = null;
+
+  const isWorse = (a, b) => {
+    if (a.survives !== b.survives) return !a.survives;
+    if (!a.survives) return a.depleteAge < b.depleteAge;
+    return a.finalPortfolioReal < b.finalPortfolioReal;
+  };
+
+  for (let startYear = HISTORICAL_FIRST_YEAR; startYear <= HISTORICAL_LAST_YEAR; startYear++) {
+    const path = generateHistoricalPath(startYear, projectionYears, baseParams);
+    const result = runUnifiedProjection({
+      ...baseParams,
+      yearlyReturnOverrides: path,
+      taxLots: [], // Use aggregate basis for speed, same as Monte Carlo
+      DEBUG: false,
+    });
+
+    const rows = result.yearByYear || [];
+    const finalRow = rows[rows.length - 1];
+    const endYear = startYear + projectionYears - 2;
+    const retirementRows = rows.slice(retirementIndex);
+
+    const cohort = {
+      startYear,
+      endYear,
+      isComplete: endYear <= HISTORICAL_LAST_YEAR,
+      usesBtcHistory: path.historicalYears.some(y => BTC_ANNUAL_RETURNS[y] !== undefined),
+      survives: result.survives,
+      depleteAge: result.depleteAge,
+      portfolioAtRetirement: rows[retirementIndex]?.total || 0,
+      finalPortfolio: finalRow?.total || 0,
+      finalPortfolioReal: finalRow?.realTotal || 0,
+      minRealPortfolioInRetirement: retirementRows.length > 0
+        ? Math.min(...retirementRows.map(r => r.realTotal || 0))
+        : 0,
+    };
+    cohorts.push(cohort);
+
+    if (!worstResult || isWorse(cohort, worstResult.cohort)) {
+      worstResult = { cohort, yearByYear: rows };
+    }
+  }
+
+  const survivors = cohorts.filter(c => c.survives).length;
+  const completeCohorts = cohorts.filter(c => c.isComplete);
+  const completeSurvivors = completeCohorts.filter(c => c.survives).length;
+
+  return {
+    cohorts,
+    numCohorts: cohorts.length,
+    successRate: cohorts.length > 0 ? (survivors / cohorts.length) * 100 : 0,
+    numCompleteCohorts: completeCohorts.length,
+    completeSuccessRate: completeCohorts.length > 0 ? (completeSurvivors / completeCohorts.length) * 100 : null,
+    worstCohort: worstResult ? { ...worstResult.cohort, yearByYear: worstResult.yearByYear } : null,
+    firstYear: HISTORICAL_FIRST_YEAR,
+    lastYear: HISTORICAL_LAST_YEAR,
+  };
+}
+
+// --- 11. WORKER-SAFE PARAMS ---
+// Projection params carry two functions (getBtcGrowthRate, getTaxTreatmentFromHolding) that can't be
+// posted to a Web Worker. Strip functions before posting and rebuild both from plain fields on the
+// other side (btcReturnModel, btcCagr, customReturnPeriods, btcModelParams, accounts).
+export function serializeMonteCarloParams(params) {
+  if (!params) return null;
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => typeof value !== 'function'));
+}
+
+export function hydrateMonteCarloParams(params) {
+  if (!params) return null;
+  return {
+    ...params,
+    getBtcGrowthRate: createBtcGrowthRateFunction(params.btcReturnModel, params.btcCagr, params.customReturnPeriods, params.btcModelParams),
+    getTaxTreatmentFromHolding: (holding) => getTaxTreatmentFromHolding(holding, params.accounts),
+  };
+}
+
+// --- 12. MONTE CARLO JOB RUNNER ---
+// Runs simulations [start, end) of a seeded job. Every slice regenerates the full path set from the
+// same seed, so slices merged in index order match a single-threaded run exactly.
+//   'plan'    - per-simulation totals/withdrawals/spending for the FinancialPlan fan chart
+//   'compare' - baseline vs scenario success and liquidation counts (same Z-scores for both)
+//   'success' - success count at job.retirementAnnualSpending (one safe-spending search step)
+export function generateMonteCarloJobPaths(job) {
+  const seededRandom = createSeededRNG(job.seed);
+  return generateRandomPaths(job.numSimulations, job.projectionYears, hydrateMonteCarloParams(job.params), seededRandom, createRegimeRNG(job.seed));
+}
+
+export function runMonteCarloJob(job, paths, onProgress = null, progressInterval = 10) {
+  const params = hydrateMonteCarloParams(job.params);
+  const scenarioParams = hydrateMonteCarloParams(job.scenarioParams);
+  const start = job.start ?? 0;
+  const end = job.end ?? paths.length;
+
+  const hasLiquidation = (result) => result.yearByYear?.some(y =>
+    y.liquidations?.some(l => l.type !== 'top_up' && l.type !== 'release')
+  );
+  const runPath = (runParams, yearlyReturnOverrides, sim) => runUnifiedProjection({
+    ...runParams,
+    projectionType: 'monteCarlo',
+    monteCarloIteration: sim,
+    yearlyReturnOverrides,
+    taxLots: [], // Use aggregate basis for Monte Carlo speed
+    DEBUG: false,
+  });
+
+  const result = job.type === 'plan'
+    ? { survives: [], depleteAges: [], totals: [], withdrawals: [], spending: [], spendingCut: [] }
+    : { baselineSuccess: 0, scenarioSuccess: 0, baselineLiquidations: 0, scenarioLiquidations: 0 };
+  if (job.type === 'compare') {
+    Object.assign(result, { baselineTotals: [], baselineDepleteAges: [], scenarioTotals: [], scenarioDepleteAges: [] });
+  }
+
+  for (let sim = start; sim < end; sim++) {
+    if (job.type === 'plan') {
+      const { survives, depleteAge, yearByYear } = runPath(params, paths[sim], sim);
+      result.survives.push(survives);
+      result.depleteAges.push(depleteAge);
+      result.totals.push(yearByYear.map(y => y.total || 0));
+      result.withdrawals.push(yearByYear.map(y =>
+        (y.withdrawFromTaxable || 0) + (y.withdrawFromTaxDeferred || 0) + (y.withdrawFromTaxFree || 0)
+      ));
+      result.spending.push(yearByYear.map(y => y.retirementSpending || 0));
+      result.spendingCut.push(yearByYear.some(y => y.spendingAdjustment === 'cut' || y.spendingAdjustment === 'floor'));
+    } else if (job.type === 'success') {
+      const baseResult = runPath({ ...params, retirementAnnualSpending: job.retirementAnnualSpending }, paths[sim], sim);
+      if (baseResult.survives) result.baselineSuccess++;
+    } else {
+      const baseResult = runPath(params, paths[sim], sim);
+      if (baseResult.survives) result.baselineSuccess++;
+      result.baselineTotals.push(baseResult.yearByYear.map(y => y.total || 0));
+      result.baselineDepleteAges.push(baseResult.depleteAge);
+      // Only count as catastrophic liquidation if BOTH liquidation happened AND plan failed
+      if (hasLiquidation(baseResult) && !baseResult.survives) result.baselineLiquidations++;
+
+      if (scenarioParams) {
+        const scenResult = runPath(scenarioParams, regenerateReturnsForParams(paths[sim], scenarioParams), sim);
+        if (scenResult.survives) result.scenarioSuccess++;
+        result.scenarioTotals.push(scenResult.yearByYear.map(y => y.total || 0));
+        result.scenarioDepleteAges.push(scenResult.depleteAge);
+        if (hasLiquidation(scenResult) && !scenResult.survives) result.scenarioLiquidations++;
+      }
+    }
+
+    const completed = sim - start + 1;
+    if (onProgress && (completed % progressInterval === 0 || sim === end - 1)) onProgress(completed);
+  }
+
+  return result;
+}
+
+// --- 13. DISTRIBUTION SUMMARY ---
+// Turns per-path year-by-year totals into percentile bands, terminal wealth and depletion-age
+// distributions, and the worst-decile paths. Percentiles use the same nearest-rank rule as the
+// FinancialPlan charts (index = floor(p × n)).
+export const MONTE_CARLO_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+const percentileOf = (sortedValues, p) =>
+  sortedValues[Math.min(Math.floor((p / 100) * sortedValues.length), sortedValues.length - 1)];
+
+const percentileSet = (sortedValues) => Object.fromEntries(
+  MONTE_CARLO_PERCENTILES.map(p => [`p${p}`, sortedValues.length > 0 ? percentileOf(sortedValues, p) : null])
+);
+
+// Log-spaced bins (BTC-heavy outcomes span orders of magnitude); depleted/zero paths get their own bin
+function buildWealthHistogram(values, numBins = 12) {
+  const zeroCount = values.filter(v => v <= 0).length;
+  const positives = values.filter(v => v > 0);
+  const bins = zeroCount > 0 ? [{ min: 0, max: 0, count: zeroCount }] : [];
+  if (positives.length === 0) return bins;
+
+  const logMin = Math.log10(Math.min(...positives));
+  const logMax = Math.log10(Math.max(...positives));
+  const width = Math.max((logMax - logMin) / numBins, 1e-9);
+  const counts = Array(numBins).fill(0);
+  positives.forEach(v => {
+    counts[Math.min(numBins - 1, Math.floor((Math.log10(v) - logMin) / width))]++;
+  });
+  counts.forEach((count, i) => bins.push({
+    min: Math.pow(10, logMin + i * width),
+    max: Math.pow(10, logMin + (i + 1) * width),
+    count,
+  }));
+  return bins;
+}
+
+/**
+ * Summarize Monte Carlo paths.
+ *
+ * @param {number[][]} totals - Per-path year-by-year portfolio totals (index 0 = current age)
+ * @param {(number|null)[]} depleteAges - Per-path depletion age, null when the path survives
+ * @param {number} currentAge
+ * @returns {Object} { percentileBands, terminalWealth, depletion, worstDecile, percentilePaths }
+ */
+export function summarizeMonteCarloDistribution(totals, depleteAges, currentAge) {
+  const numPaths = totals.length;
+  const numYears = numPaths > 0 ? Math.max(...totals.map(path => path.length)) : 0;
+
+  const percentileBands = [];
+  for (let year = 0; year < numYears; year++) {
+    const yearValues = totals.map(path => path[year] ?? 0).sort((a, b) => a - b);
+    percentileBands.push({ yearIndex: year, age: currentAge + year, ...percentileSet(yearValues) });
+  }
+
+  // Rank paths worst → best: earlier depletion first, then lower terminal wealth
+  const finalTotals = totals.map(path => path[path.length - 1] ?? 0);
+  const ranked = totals.map((_, index) => index).sort((a, b) => {
+    const aDepleted = depleteAges[a] != null;
+    const bDepleted = depleteAges[b] != null;
+    if (aDepleted !== bDepleted) return aDepleted ? -1 : 1;
+    if (aDepleted && depleteAges[a] !== depleteAges[b]) return depleteAges[a] - depleteAges[b];
+    return finalTotals[a] - finalTotals[b] || a - b;
+  });
+
+  const sortedFinal = [...finalTotals].sort((a, b) => a - b);
+  const terminalWealth = {
+    ...percentileSet(sortedFinal),
+    mean: numPaths > 0 ? finalTotals.reduce((sum, v) => sum + v, 0) / numPaths : 0,
+    histogram: buildWealthHistogram(finalTotals),
+  };
+
+  const depletedAges = depleteAges.filter(age => age != null).sort((a, b) => a - b);
+  const countsByAge = {};
+  depletedAges.forEach(age => { countsByAge[age] = (countsByAge[age] || 0) + 1; });
+  let cumulative = 0;
+  const byAge = Object.keys(countsByAge).map(Number).sort((a, b) => a - b).map(age => {
+    cumulative += countsByAge[age];
+    return { age, count: countsByAge[age], cumulativeProbability: (cumulative / numPaths) * 100 };
+  });
+  const depletion = {
+    numDepleted: depletedAges.length,
+    probability: numPaths > 0 ? (depletedAges.length / numPaths) * 100 : 0,
+    ...percentileSet(depletedAges),
+    byAge,
+  };
+
+  const worstDecile = ranked.slice(0, Math.max(1, Math.ceil(numPaths * 0.1))).map(index => ({
+    index,
+    survives: depleteAges[index] == null,
+    depleteAge: depleteAges[index],
+    finalTotal: finalTotals[index],
+    totals: totals[index],
+  }));
+
+  // The path sitting at each percentile rank, for "show me the median path" style drill-downs
+  const percentilePaths = numPaths > 0
+    ? Object.fromEntries(MONTE_CARLO_PERCENTILES.map(p => [`p${p}`, percentileOf(ranked, p)]))
+    : {};
+
+  return { numPaths, percentileBands, terminalWealth, depletion, worstDecile, percentilePaths };
+}
+
+// --- 14. SINGLE PATH REPLAY ---
+// Rebuilds one sampled path from the run's seed and re-runs it with full year-by-year output.
+// Path generation is cheap next to projections, so this stays on the main thread.
+export function replayMonteCarloPath(params, { seed, numSimulations, index }) {
+  const projectionYears = getProjectionYears(params);
+  const paths = generateMonteCarloJobPaths({ seed, numSimulations, projectionYears, params });
+  const path = paths[index];
+  const result = runUnifiedProjection({
+    ...hydrateMonteCarloParams(params),
+    projectionType: 'monteCarlo',
+    monteCarloIteration: index,
+    yearlyReturnOverrides: path,
+    taxLots: [],
+    DEBUG: false,
+  });
+
+  return {
+    index,
+    survives: result.survives,
+    depleteAge: result.depleteAge,
+    yearByYear: result.yearByYear,
+    returns: { btc: path.btc, stocks: path.stocks, bonds: path.bonds, realEstate: path.realEstate, cash: path.cash, other: path.other },
+  };
+}
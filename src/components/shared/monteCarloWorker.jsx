@@ -0,0 +1,22 @@
+// components/shared/monteCarloWorker.js
+// Web Worker entry for monteCarloWorkerPool. Runs one slice of a seeded Monte Carlo job and streams progress.
+// Paths are cached per run, so every binary-search step of a safe-spending search reuses them.
+
+import { generateMonteCarloJobPaths, runMonteCarloJob } from './monteCarloSimulation';
+
+let cachedRun = { runId: null, paths: null };
+
+self.onmessage = (event) => {
+  const job = event.data;
+  try {
+    if (cachedRun.runId !== job.runId) {
+      cachedRun = { runId: job.runId, paths: generateMonteCarloJobPaths(job) };
+    }
+    const result = runMonteCarloJob(job, cachedRun.paths, (completed) => {
+      self.postMessage({ jobId: job.jobId, type: 'progress', completed });
+    });
+    self.postMessage({ jobId: job.jobId, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ jobId: job.jobId, type: 'error', message: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,337 @@
+// components/shared/monteCarloWorkerPool.js
+// Runs seeded Monte Carlo jobs on a pool of Web Workers so long simulations don't freeze the UI.
+// Each worker regenerates the same seeded paths and runs a contiguous slice of simulation indices;
+// slices are merged back in index order, so results match the single-threaded MONTE_CARLO_VERSION
+// functions exactly. Every run streams progress and can be cancelled with an AbortSignal.
+
+import {
+  MONTE_CARLO_VERSION,
+  serializeMonteCarloParams,
+  generateMonteCarloJobPaths,
+  runMonteCarloJob,
+  summarizeMonteCarloDistribution,
+} from './monteCarloSimulation';
+import { getProjectionYears } from './household';
+
+const MAX_WORKERS = 4;
+const INLINE_CHUNK_SIZE = 10; // Simulations between yields when Web Workers are unavailable
+
+let runCounter = 0;
+
+function createAbortError() {
+  const error = new Error('Monte Carlo simulation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isMonteCarloCancelled(error) {
+  return error?.name === 'AbortError';
+}
+
+function getPoolSize(numSimulations) {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(MAX_WORKERS, cores - 1, numSimulations));
+}
+
+function splitRange(total, parts) {
+  const size = Math.ceil(total / parts);
+  const ranges = [];
+  for (let start = 0; start < total; start += size) {
+    ranges.push({ start, end: Math.min(total, start + size) });
+  }
+  return ranges;
+}
+
+// Arrays concatenate (slices arrive in index order), counts add up
+function mergeSliceResults(slices) {
+  return slices.reduce((merged, slice) => {
+    Object.entries(slice).forEach(([key, value]) => {
+      merged[key] = Array.isArray(value) ? [...(merged[key] || []), ...value] : (merged[key] || 0) + value;
+    });
+    return merged;
+  }, {});
+}
+
+function createWorkerPool(size) {
+  const workers = Array.from({ length: size }, () =>
+    new Worker(new URL('./monteCarloWorker.jsx', import.meta.url), { type: 'module' })
+  );
+  const pending = new Set();
+  let nextJobId = 0;
+
+  return {
+    size,
+    runSlice(workerIndex, job, onProgress) {
+      return new Promise((resolve, reject) => {
+        const worker = workers[workerIndex];
+        const jobId = ++nextJobId;
+        const settle = (fn, value) => {
+          pending.delete(reject);
+          fn(value);
+        };
+        pending.add(reject);
+
+        worker.onmessage = (event) => {
+          const message = event.data;
+          if (message.jobId !== jobId) return;
+          if (message.type === 'progress') onProgress(message.completed);
+          else if (message.type === 'result') settle(resolve, message.result);
+          else if (message.type === 'error') settle(reject, new Error(message.message));
+        };
+        worker.onerror = (event) => settle(reject, new Error(event.message || 'Monte Carlo worker failed'));
+        worker.postMessage({ ...job, jobId });
+      });
+    },
+    terminate(reason) {
+      workers.forEach(worker => worker.terminate());
+      pending.forEach(reject => reject(reason));
+      pending.clear();
+    },
+  };
+}
+
+// Fallback for environments without Web Workers: same jobs on the main thread, yielding between chunks
+function createInlinePool() {
+  let cachedRun = { runId: null, paths: null };
+  let terminatedWith = null;
+
+  return {
+    size: 1,
+    async runSlice(_workerIndex, job, onProgress) {
+      if (cachedRun.runId !== job.runId) {
+        cachedRun = { runId: job.runId, paths: generateMonteCarloJobPaths(job) };
+      }
+      const chunks = [];
+      for (let start = job.start; start < job.end; start += INLINE_CHUNK_SIZE) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (terminatedWith) throw terminatedWith;
+        const end = Math.min(job.end, start + INLINE_CHUNK_SIZE);
+        chunks.push(runMonteCarloJob({ ...job, start, end }, cachedRun.paths));
+        onProgress(end - job.start);
+      }
+      return mergeSliceResults(chunks);
+    },
+    terminate(reason) {
+      terminatedWith = reason;
+    },
+  };
+}
+
+async function withPool(numSimulations, signal, task) {
+  if (signal?.aborted) throw createAbortError();
+
+  const pool = typeof Worker !== 'undefined' ? createWorkerPool(getPoolSize(numSimulations)) : createInlinePool();
+  const onAbort = () => pool.terminate(createAbortError());
+  signal?.addEventListener('abort', onAbort);
+
+  try {
+    return await task(pool);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    pool.terminate(createAbortError());
+  }
+}
+
+// Split one job across the pool and merge the slices; onProgress receives simulations completed so far
+async function runJob(pool, job, onProgress) {
+  const ranges = splitRange(job.numSimulations, pool.size);
+  const completedBySlice = ranges.map(() => 0);
+
+  const slices = await Promise.all(ranges.map((range, i) =>
+    pool.runSlice(i, { ...job, ...range }, (completed) => {
+      completedBySlice[i] = completed;
+      onProgress(completedBySlice.reduce((sum, n) => sum + n, 0));
+    })
+  ));
+
+  return mergeSliceResults(slices);
+}
+
+function createRunId(seed) {
+  runCounter++;
+  return `${MONTE_CARLO_VERSION}-${seed}-${runCounter}`;
+}
+
+/**
+ * Run a seeded plan simulation and collect per-path data for the FinancialPlan charts.
+ *
+ * @param {Object} options
+ * @param {Object} options.params - runUnifiedProjection params (must include btcReturnModel, btcCagr, customReturnPeriods, btcModelParams)
+ * @param {number} [options.numSimulations]
+ * @param {number} options.seed - From generateMonteCarloSeed
+ * @param {Function} [options.onProgress] - ({ completed, total }) as simulations finish
+ * @param {AbortSignal} [options.signal] - Aborting terminates the workers and rejects with an AbortError
+ * @returns {Promise<Object>} { paths, successResults, depleteAges, withdrawalPaths, spendingPaths, spendingCutResults, distribution }
+ */
+export function runMonteCarloPlanInWorkers({ params, numSimulations = 500, seed, onProgress = null, signal = null }) {
+  return withPool(numSimulations, signal, async (pool) => {
+    const result = await runJob(pool, {
+      type: 'plan',
+      runId: createRunId(seed),
+      seed,
+      numSimulations,
+      projectionYears: getProjectionYears(params),
+      params: serializeMonteCarloParams(params),
+    }, (completed) => onProgress?.({ completed, total: numSimulations }));
+
+    return {
+      paths: result.totals,
+      successResults: result.survives,
+      depleteAges: result.depleteAges,
+      withdrawalPaths: result.withdrawals,
+      spendingPaths: result.spending,
+      spendingCutResults: result.spendingCut,
+      distribution: summarizeMonteCarloDistribution(result.totals, result.depleteAges, params.currentAge),
+    };
+  });
+}
+
+/**
+ * Worker-pool version of runMonteCarloSimulation: baseline and optional scenario on the same Z-scores.
+ *
+ * @param {Object} options
+ * @param {Object} options.baseParams
+ * @param {Object|null} [options.scenarioParams]
+ * @param {number} [options.numSimulations]
+ * @param {number} options.seed
+ * @param {Function} [options.onProgress] - ({ completed, total })
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} Same shape as runMonteCarloSimulation
+ */
+export function runMonteCarloSimulationInWorkers({
+  baseParams,
+  scenarioParams = null,
+  numSimulations = 500,
+  seed,
+  onProgress = null,
+  signal = null,
+}) {
+  return withPool(numSimulations, signal, async (pool) => {
+    const projectionYears = Math.max(
+      getProjectionYears(baseParams),
+      scenarioParams ? getProjectionYears(scenarioParams) : 0
+    );
+    const counts = await runJob(pool, {
+      type: 'compare',
+      runId: createRunId(seed),
+      seed,
+      numSimulations,
+      projectionYears,
+      params: serializeMonteCarloParams(baseParams),
+      scenarioParams: serializeMonteCarloParams(scenarioParams),
+    }, (completed) => onProgress?.({ completed, total: numSimulations }));
+
+    return {
+      baselineSuccessRate: (counts.baselineSuccess / numSimulations) * 100,
+      scenarioSuccessRate: scenarioParams ? (counts.scenarioSuccess / numSimulations) * 100 : null,
+      baselineLiquidationRisk: (counts.baselineLiquidations / numSimulations) * 100,
+      scenarioLiquidationRisk: scenarioParams ? (counts.scenarioLiquidations / numSimulations) * 100 : null,
+      baselineDistribution: summarizeMonteCarloDistribution(counts.baselineTotals, counts.baselineDepleteAges, baseParams.currentAge),
+      scenarioDistribution: scenarioParams
+        ? summarizeMonteCarloDistribution(counts.scenarioTotals, counts.scenarioDepleteAges, scenarioParams.currentAge)
+        : null,
+      numSimulations,
+    };
+  });
+}
+
+/**
+ * Worker-pool version of calculateSafeSpending: binary search for the highest spending that meets
+ * targetSuccessRate. Paths are generated once per worker and reused by every search step.
+ *
+ * @param {Object} options
+ * @param {Object} options.params
+ * @param {number} [options.numSimulations]
+ * @param {number} options.seed
+ * @param {number} [options.low] - Lower search bound, also returned if nothing passes
+ * @param {number} [options.high]
+ * @param {number} [options.targetSuccessRate] - Percent
+ * @param {number} [options.maxIterations]
+ * @param {Function} [options.onProgress] - ({ completed, total, iteration }); total assumes every iteration runs
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<number>} Max sustainable annual spending
+ */
+export function calculateSafeSpendingInWorkers({
+  params,
+  numSimulations = 500,
+  seed,
+  low = 10000,
+  high = 500000,
+  targetSuccessRate = 90,
+  maxIterations = 15,
+  onProgress = null,
+  signal = null,
+}) {
+  return withPool(numSimulations, signal, async (pool) => {
+    const total = numSimulations * maxIterations;
+    const baseJob = {
+      type: 'success',
+      runId: createRunId(seed),
+      seed,
+      numSimulations,
+      projectionYears: getProjectionYears(params),
+      params: serializeMonteCarloParams(params),
+    };
+    let maxSpending = low;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const testSpending = Math.round((low + high) / 2);
+      const { baselineSuccess } = await runJob(pool, { ...baseJob, retirementAnnualSpending: testSpending }, (completed) =>
+        onProgress?.({ completed: iteration * numSimulations + completed, total, iteration })
+      );
+
+      const successRate = (baselineSuccess / numSimulations) * 100;
+      if (successRate >= targetSuccessRate) {
+        maxSpending = testSpending;
+        low = testSpending;
+      } else {
+        high = testSpending;
+      }
+
+      if (high - low <= 5000) break;
+    }
+
+    onProgress?.({ completed: total, total, iteration: maxIterations });
+    return maxSpending;
+  });
+}
+
+/**
+ * Compare the BTC regime-switching model with i.i.d. draws on the same seed. Both runs share every
+ * Z-score (regimes come from their own RNG stream), so the difference is the effect of regimes alone.
+ *
+ * @param {Object} options
+ * @param {Object} options.params - runUnifiedProjection params
+ * @param {Object} options.btcRegimeModel - Regime settings to test (forced on)
+ * @param {number} [options.numSimulations]
+ * @param {number} options.seed
+ * @param {Function} [options.onProgress] - ({ completed, total })
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} { regime: { successRate, liquidationRisk, distribution }, iid: {...}, successRateChange, liquidationRiskChange }
+ */
+export async function runBtcRegimeComparisonInWorkers({ params, btcRegimeModel, numSimulations = 500, seed, onProgress = null, signal = null }) {
+  const result = await runMonteCarloSimulationInWorkers({
+    baseParams: { ...params, btcRegimeModel: { ...btcRegimeModel, enabled: true } },
+    scenarioParams: { ...params, btcRegimeModel: null },
+    numSimulations,
+    seed,
+    onProgress,
+    signal,
+  });
+
+  return {
+    regime: {
+      successRate: result.baselineSuccessRate,
+      liquidationRisk: result.baselineLiquidationRisk,
+      distribution: result.baselineDistribution,
+    },
+    iid: {
+      successRate: result.scenarioSuccessRate,
+      liquidationRisk: result.scenarioLiquidationRisk,
+      distribution: result.scenarioDistribution,
+    },
+    successRateChange: result.baselineSuccessRate - result.scenarioSuccessRate,
+    liquidationRiskChange: result.baselineLiquidationRisk - result.scenarioLiquidationRisk,
+    numSimulations,
+  };
+}
@@ -0,0 +1,279 @@
+// components/shared/mortgageCalculations.js
+// Amortizing loans (mortgages, auto loans) with a term. A Liability with loan_term_months and
+// loan_start_date gets a real amortization schedule: principal and interest from the remaining term,
+// escrow (property tax and insurance, growing with inflation), PMI until the loan reaches 78% LTV
+// against the linked real-estate holding (collateral_asset_id), scheduled extra principal and an
+// optional planned refinance (refinance_* fields) that resets rate and term.
+
+export const PMI_REMOVAL_LTV = 78;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MAX_MONTHS = 600;
+
+// Whole months from `from` to `to` (both Dates); negative if `to` is earlier
+const monthsBetween = (from, to) => (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+const parseDate = (value) => (value ? new Date(`${String(value).slice(0, 10)}T00:00:00`) : null);
+
+/** True when the liability is modeled as an amortizing loan (has a term and is not BTC-backed). */
+export const isAmortizingLoan = (liability) =>
+  !!liability && liability.type !== 'btc_collateralized' && Number(liability.loan_term_months) > 0;
+
+/**
+ * Monthly principal and interest for a fully amortizing loan.
+ *
+ * @param {number} balance
+ * @param {number} ratePct - Annual rate (%)
+ * @param {number} months - Remaining term
+ * @returns {number}
+ */
+export function calculateAmortizedPayment(balance, ratePct, months) {
+  if (balance <= 0 || months <= 0) return 0;
+  const r = (ratePct || 0) / 100 / 12;
+  if (r === 0) return balance / months;
+  return (balance * r) / (1 - Math.pow(1 + r, -months));
+}
+
+/**
+ * Months left on the original term as of a date (at least 1 while a balance remains).
+ *
+ * @param {Object} liability - Uses loan_term_months and loan_start_date
+ * @param {Date} [asOf]
+ * @returns {number}
+ */
+export function getRemainingTermMonths(liability, asOf = new Date()) {
+  const term = Number(liability.loan_term_months) || 0;
+  const start = parseDate(liability.loan_start_date);
+  if (!start) return term;
+  return Math.max(1, term - Math.max(0, monthsBetween(start, asOf)));
+}
+
+/** Current value of the real-estate holding linked to the loan, or null. */
+export function getLinkedPropertyValue(liability, holdings = []) {
+  if (!liability.collateral_asset_id) return null;
+  const holding = holdings.find(h => h.id === liability.collateral_asset_id);
+  if (!holding) return null;
+  const value = (holding.quantity || 0) * (holding.current_price || 0);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Month-by-month schedule for an amortizing loan.
+ *
+ * @param {Object} liability - Liability with loan_term_months (see file header for the other fields)
+ * @param {Object} [options]
+ * @param {Date} [options.startDate] - First month to simulate (defaults to this month)
+ * @param {number|null} [options.propertyValue] - Linked property value today (null: PMI only ends at mid-term)
+ * @param {number} [options.propertyGrowthRate] - Annual property appreciation (%)
+ * @param {number} [options.inflationRate] - Annual growth of escrow costs (%)
+ * @param {boolean} [options.applyRefinance] - Apply the liability's planned refinance (default true)
+ * @returns {Object} { months, totalInterest, totalPmi, totalEscrow, totalExtra, closingCosts, pmiEndsLabel, payoffLabel, payoffMonths }
+ *   - months: [{ index, year, month, label, balance, rate, principalInterest, interest, principal, extraPrincipal, escrow, pmi, closingCosts, payment, refinanced }]
+ *   - payment is everything paid that month (P&I + extra + escrow + PMI); closingCosts are paid in cash unless rolled into the balance
+ */
+export function buildAmortizationSchedule(liability, {
+  startDate = new Date(),
+  propertyValue = null,
+  propertyGrowthRate = 0,
+  inflationRate = 0,
+  applyRefinance = true,
+} = {}) {
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+  const loanStart = parseDate(liability.loan_start_date);
+  const originalTerm = Number(liability.loan_term_months) || 0;
+  const refinanceDate = applyRefinance ? parseDate(liability.refinance_date) : null;
+  // A refinance dated before the schedule starts is ignored (its terms should already be the loan's)
+  const refinanceMonth = refinanceDate && Number(liability.refinance_term_months) > 0 && monthsBetween(start, refinanceDate) >= 0
+    ? monthsBetween(start, refinanceDate)
+    : null;
+  const extraPrincipal = Math.max(0, Number(liability.extra_principal_monthly) || 0);
+  const escrowMonthly = ((Number(liability.escrow_property_tax_annual) || 0) + (Number(liability.escrow_insurance_annual) || 0)) / 12;
+  const pmiMonthly = Math.max(0, Number(liability.pmi_monthly) || 0);
+
+  let balance = liability.current_balance || 0;
+  let rate = liability.interest_rate || 0;
+  let remaining = getRemainingTermMonths(liability, start);
+  // Homeowners Protection Act: PMI also ends at the midpoint of the amortization schedule
+  let pmiMidpointMonth = loanStart ? Math.max(0, originalTerm / 2 - Math.max(0, monthsBetween(loanStart, start))) : remaining / 2;
+  let pmiActive = pmiMonthly > 0 && pmiMidpointMonth > 0 && !(propertyValue && (balance / propertyValue) * 100 <= PMI_REMOVAL_LTV);
+  let pmiEndsLabel = null;
+  let payoffLabel = null;
+
+  const months = [];
+  const totals = { totalInterest: 0, totalPmi: 0, totalEscrow: 0, totalExtra: 0, closingCosts: 0 };
+
+  for (let index = 0; index < MAX_MONTHS && balance > 0.01; index++) {
+    const calendarMonth = start.getMonth() + index;
+    const year = start.getFullYear() + Math.floor(calendarMonth / 12);
+    const month = calendarMonth % 12;
+    const label = `${MONTH_NAMES[month]} ${year}`;
+    let closingCosts = 0;
+    let refinanced = false;
+
+    if (index === refinanceMonth) {
+      const costs = Math.max(0, Number(liability.refinance_closing_costs) || 0);
+      if (liability.refinance_roll_costs) balance += costs;
+      else closingCosts = costs;
+      rate = Number(liability.refinance_rate) || rate;
+      remaining = Number(liability.refinance_term_months);
+      pmiMidpointMonth = index + remaining / 2;
+      refinanced = true;
+    }
+
+    const principalInterest = calculateAmortizedPayment(balance, rate, remaining);
+    const interest = balance * (rate / 100 / 12);
+    const principal = Math.min(balance, principalInterest - interest);
+    balance -= principal;
+    const extra = Math.min(balance, extraPrincipal);
+    balance -= extra;
+    remaining = Math.max(1, remaining - 1);
+
+    const escrow = escrowMonthly * Math.pow(1 + inflationRate / 100, Math.floor(index / 12));
+    const pmi = pmiActive ? pmiMonthly : 0;
+    if (pmiActive) {
+      const value = propertyValue ? propertyValue * Math.pow(1 + propertyGrowthRate / 100, (index + 1) / 12) : null;
+      if ((value && (balance / value) * 100 <= PMI_REMOVAL_LTV) || index + 1 >= pmiMidpointMonth) {
+        pmiActive = false;
+        pmiEndsLabel = label;
+      }
+    }
+    if (balance <= 0.01) {
+      balance = 0;
+      payoffLabel = label;
+    }
+
+    totals.totalInterest += interest;
+    totals.totalPmi += pmi;
+    totals.totalEscrow += escrow;
+    totals.totalExtra += extra;
+    totals.closingCosts += closingCosts;
+    months.push({
+      index,
+      year,
+      month,
+      label,
+      balance,
+      rate,
+      principalInterest: principal + interest,
+      interest,
+      principal,
+      extraPrincipal: extra,
+      escrow,
+      pmi,
+      closingCosts,
+      payment: principal + interest + extra + escrow + pmi,
+      refinanced,
+    });
+  }
+
+  return { months, ...totals, pmiEndsLabel, payoffLabel, payoffMonths: payoffLabel ? months.length : null };
+}
+
+/**
+ * Calendar-year totals of an amortization schedule, for the projections.
+ *
+ * @param {Object} schedule - From buildAmortizationSchedule
+ * @returns {Object} { [year]: { scheduled, extra, closingCosts, interest, endBalance, payoffMonth, refinanced } }
+ *   - scheduled: P&I + escrow + PMI; extra and closingCosts are cash outlays on top
+ */
+export function getYearlyAmortization(schedule) {
+  const yearly = {};
+  schedule.months.forEach(m => {
+    const entry = yearly[m.year] || { scheduled: 0, extra: 0, closingCosts: 0, interest: 0, endBalance: 0, payoffMonth: null, refinanced: false };
+    entry.scheduled += m.principalInterest + m.escrow + m.pmi;
+    entry.extra += m.extraPrincipal;
+    entry.closingCosts += m.closingCosts;
+    entry.interest += m.interest;
+    entry.endBalance = m.balance;
+    if (m.balance <= 0.01 && entry.payoffMonth === null) entry.payoffMonth = m.month + 1;
+    entry.refinanced = entry.refinanced || m.refinanced;
+    yearly[m.year] = entry;
+  });
+  return yearly;
+}
+
+/**
+ * Yearly schedules for every amortizing loan.
+ *
+ * @param {Array} liabilities - Liability records
+ * @param {Object} [options] - { holdings, startDate, propertyGrowthRate, inflationRate }
+ * @returns {Object} { [liabilityId]: getYearlyAmortization result }
+ */
+export function buildAmortizationSchedules(liabilities = [], { holdings = [], startDate = new Date(), propertyGrowthRate = 0, inflationRate = 0 } = {}) {
+  const schedules = {};
+  liabilities.filter(l => isAmortizingLoan(l) && (l.current_balance || 0) > 0).forEach(liability => {
+    schedules[liability.id] = getYearlyAmortization(buildAmortizationSchedule(liability, {
+      startDate,
+      propertyValue: getLinkedPropertyValue(liability, holdings),
+      propertyGrowthRate,
+      inflationRate,
+    }));
+  });
+  return schedules;
+}
+
+/**
+ * Compare refinancing now with keeping the current loan.
+ *
+ * @param {Object} options
+ * @param {number} options.balance
+ * @param {number} options.currentRate - Annual rate (%)
+ * @param {number} options.remainingMonths
+ * @param {number} options.newRate - Annual rate (%)
+ * @param {number} options.newTermMonths
+ * @param {number} options.closingCosts
+ * @param {boolean} [options.rollClosingCosts] - Add closing costs to the new balance instead of paying them
+ * @returns {Object} { currentPayment, newPayment, monthlySavings, simpleBreakEvenMonths, breakEvenMonths,
+ *   keepInterest, refinanceInterest, netSavings }
+ *   - simpleBreakEvenMonths: closing costs ÷ monthly payment savings
+ *   - breakEvenMonths: first month after which refinancing is ahead counting payments, closing costs and the
+ *     remaining balance (a longer new term lowers the payment without actually saving money); null if never
+ *   - netSavings: keeping's total payments minus refinancing's total payments and cash closing costs
+ */
+export function calculateRefinanceBreakEven({ balance, currentRate, remainingMonths, newRate, newTermMonths, closingCosts, rollClosingCosts = false }) {
+  const costs = Math.max(0, closingCosts || 0);
+  const newBalance = balance + (rollClosingCosts ? costs : 0);
+  const upfront = rollClosingCosts ? 0 : costs;
+  const currentPayment = calculateAmortizedPayment(balance, currentRate, remainingMonths);
+  const newPayment = calculateAmortizedPayment(newBalance, newRate, newTermMonths);
+  const monthlySavings = currentPayment - newPayment;
+
+  let keepBalance = balance;
+  let refiBalance = newBalance;
+  let keepPaid = 0;
+  let refiPaid = upfront;
+  let keepInterest = 0;
+  let refinanceInterest = 0;
+  let breakEvenMonths = null;
+  const horizon = Math.max(remainingMonths, newTermMonths);
+
+  for (let m = 1; m <= horizon; m++) {
+    if (keepBalance > 0.01) {
+      const interest = keepBalance * (currentRate / 100 / 12);
+      const payment = Math.min(currentPayment, keepBalance + interest);
+      keepBalance = keepBalance + interest - payment;
+      keepPaid += payment;
+      keepInterest += interest;
+    }
+    if (refiBalance > 0.01) {
+      const interest = refiBalance * (newRate / 100 / 12);
+      const payment = Math.min(newPayment, refiBalance + interest);
+      refiBalance = refiBalance + interest - payment;
+      refiPaid += payment;
+      refinanceInterest += interest;
+    }
+    const ahead = (keepPaid + keepBalance) - (refiPaid + refiBalance);
+    if (ahead >= 0 && breakEvenMonths === null) breakEvenMonths = m;
+    if (ahead < 0) breakEvenMonths = null;
+  }
+
+  return {
+    currentPayment,
+    newPayment,
+    monthlySavings,
+    simpleBreakEvenMonths: monthlySavings > 0 ? Math.ceil(costs / monthlySavings) : null,
+    breakEvenMonths,
+    keepInterest,
+    refinanceInterest,
+    netSavings: keepPaid - refiPaid,
+  };
+}
@@ -1,9 +1,10 @@
 // components/shared/projectionHelpers.js
 
-import { getPowerLawCAGR } from './bitcoinPowerLaw';
+import { createBtcPriceModelRate } from './btcPriceModels';
 import { estimateSocialSecurityBenefit, calculateProgressiveIncomeTax } from '../tax/taxCalculations';
 import { getTaxDataForYear, get401kLimit, getRothIRALimit, getTraditionalIRALimit, getHSALimit, getRothIRAIncomeLimit } from './taxConfig';
 import { getCustomReturnForYear } from './runProjection';
+import { calculatePIA, getBenefitAtClaimingAge } from './socialSecurity';
 
 /**
  * Determines the tax treatment for a given holding.
@@ -15,62 +16,38 @@ export function getTaxTreatmentFromHolding(holding, accounts) {
     if (account) {
       const accountType = account.account_type || '';
       if (accountType === 'taxable_real_estate' || account.tax_treatment === 'real_estate') return 'real_estate';
-      if (['traditional_401k', 'traditional_ira', 'sep_ira', '403b', '401k_traditional', 'ira_traditional'].includes(accountType)) return 'tax_deferred';
-      if (['roth_401k', 'roth_ira', 'hsa', '529', '401k_roth', 'ira_roth'].includes(accountType)) return 'tax_free';
+      if (['traditional_401k', 'traditional_ira', 'sep_ira', '403b', '401k_traditional', 'ira_traditional', 'solo_401k_traditional'].includes(accountType)) return 'tax_deferred';
+      if (accountType === '529') return 'education';
+      if (['roth_401k', 'roth_ira', 'hsa', '401k_roth', 'ira_roth', 'solo_401k_roth'].includes(accountType)) return 'tax_free';
       if (account.tax_treatment) return account.tax_treatment;
     }
   }
   const assetType = holding.asset_type || '';
   if (assetType === 'real_estate') return 'real_estate';
+  if (holding.account_type === '529') return 'education';
   if (holding.tax_treatment) return holding.tax_treatment;
   return 'taxable';
 }
 
 /**
- * Creates a BTC growth rate function.
- * EXACT logic from FinancialPlan.jsx lines 524-575
+ * Creates a BTC growth rate function from a btcPriceModels registry model.
+ * Custom periods override the power law model (with its configured params) in the years they cover.
+ *
+ * @param {string} btcReturnModel - Registry key, or 'custom_periods'
+ * @param {number} effectiveBtcCagr - Constant CAGR for the Custom % model
+ * @param {Object} customReturnPeriods
+ * @param {Object} [btcModelParams] - UserSettings.btc_model_params, keyed by model
  */
-export function createBtcGrowthRateFunction(btcReturnModel, effectiveBtcCagr, customReturnPeriods) {
-  return (yearFromNow, inflationRate) => {
-    let rate;
-    
-    if (btcReturnModel === 'custom_periods') {
+export function createBtcGrowthRateFunction(btcReturnModel, effectiveBtcCagr, customReturnPeriods, btcModelParams = {}) {
+  if (btcReturnModel === 'custom_periods') {
+    const powerLawRate = createBtcPriceModelRate('powerlaw', { btcCagr: effectiveBtcCagr, btcModelParams });
+    return (yearFromNow, inflationRate) => {
       const customRate = getCustomReturnForYear('btc', yearFromNow, customReturnPeriods, null);
-      if (customRate !== null) {
-        return customRate;
-      }
-      return getPowerLawCAGR(yearFromNow);
-    }
-    
-    switch (btcReturnModel) {
-      case 'powerlaw':
-        rate = getPowerLawCAGR(yearFromNow);
-        break;
-      case 'saylor24':
-        const currentYear = new Date().getFullYear();
-        const absoluteYear = currentYear + yearFromNow;
+      return customRate !== null ? customRate : powerLawRate(yearFromNow, inflationRate);
+    };
+  }
 
-        if (absoluteYear <= 2037) {
-          const yearsFromStart = absoluteYear - 2025;
-          rate = Math.max(20, 50 - (yearsFromStart * 2.5));
-        } else if (absoluteYear <= 2045) {
-          rate = 20;
-        } else if (absoluteYear <= 2075) {
-          const yearsIntoDecline = absoluteYear - 2045;
-          const totalDeclineYears = 2075 - 2045;
-          const targetRate = inflationRate + 3;
-          const declineAmount = 20 - targetRate;
-          rate = 20 - (declineAmount * (yearsIntoDecline / totalDeclineYears));
-        } else {
-          rate = inflationRate + 2;
-        }
-        break;
-      default:
-        rate = effectiveBtcCagr;
-    }
-    
-    return rate;
-  };
+  return createBtcPriceModelRate(btcReturnModel, { btcCagr: effectiveBtcCagr, btcModelParams });
 }
 
 /**
@@ -131,7 +108,9 @@ export function calculateComprehensiveAnnualSavings({
 
 /**
  * Derives the effective Social Security amount.
- * EXACT logic from FinancialPlan.jsx lines 436-437
+ * EXACT logic from FinancialPlan.jsx lines 436-437, except that an imported SSA earnings record
+ * (see socialSecurity.js) replaces the income-based estimate. Future years on the record assume
+ * current income until retirementAge.
  */
 export function deriveEffectiveSocialSecurity({
   grossAnnualIncome,
@@ -139,7 +118,18 @@ export function deriveEffectiveSocialSecurity({
   socialSecurityAmount,
   useCustomSocialSecurity,
   currentAge,
+  earningsRecord = null,
+  retirementAge = null,
 }) {
-  const estimatedSocialSecurity = estimateSocialSecurityBenefit(grossAnnualIncome, socialSecurityStartAge, currentAge);
-  return useCustomSocialSecurity ? socialSecurityAmount : estimatedSocialSecurity;
+  if (useCustomSocialSecurity) return socialSecurityAmount;
+  if (earningsRecord?.earnings?.length) {
+    const birthYear = new Date().getFullYear() - currentAge;
+    const { annualPia } = calculatePIA(earningsRecord.earnings, {
+      birthYear,
+      futureAnnualEarnings: grossAnnualIncome,
+      stopWorkingAge: retirementAge,
+    });
+    return getBenefitAtClaimingAge(annualPia, socialSecurityStartAge, birthYear);
+  }
+  return estimateSocialSecurityBenefit(grossAnnualIncome, socialSecurityStartAge, currentAge);
 }
\ No newline at end of file
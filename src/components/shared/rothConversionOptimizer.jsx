@@ -0,0 +1,222 @@
+// components/shared/rothConversionOptimizer.js
+// Searches year-by-year Roth conversion amounts by re-running runUnifiedProjection.
+// Taxes, taxable Social Security and Medicare IRMAA all come from the projection itself,
+// so the optimizer sees exactly what the plan charts will show.
+
+import { runUnifiedProjection } from '@/components/shared/runProjection';
+import { getFederalBrackets } from '@/components/shared/taxConfig';
+import { MEDICARE_IRMAA, getYearData } from '@/components/shared/taxData';
+
+export const ROTH_OPTIMIZER_OBJECTIVES = [
+  { value: 'min_lifetime_tax', label: 'Minimize Lifetime Tax', desc: "Federal + state tax + IRMAA, in today's dollars" },
+  { value: 'max_heir_wealth', label: 'Maximize After-Tax Legacy', desc: 'Terminal wealth after heirs pay tax on pre-tax balances' },
+];
+
+const CONVERSION_ROUNDING = 500;
+const TARGET_BRACKETS = [10, 12, 22, 24, 32, 35];
+
+/**
+ * Convert a { year: amount } plan into the Scenario `roth_conversions` shape (custom mode, fixed amounts).
+ */
+export function buildRothConversionSettings(plan) {
+  const custom_conversions = Object.entries(plan)
+    .filter(([, amount]) => amount > 0)
+    .map(([year, amount]) => ({
+      id: `optimized-${year}`,
+      year: Number(year),
+      mode: 'fixed',
+      amount: Math.round(amount),
+      target_bracket: 22,
+    }))
+    .sort((a, b) => a.year - b.year);
+
+  return {
+    enabled: custom_conversions.length > 0,
+    mode: 'custom',
+    fixed_amount: null,
+    target_bracket: null,
+    start_age: null,
+    end_age: null,
+    custom_conversions,
+  };
+}
+
+/**
+ * Summarize a projection result into the metrics the optimizer compares.
+ * Lifetime tax is discounted to today's dollars; heir wealth haircuts the pre-tax balance by heirTaxRate.
+ */
+function summarizeProjection(result, inflationRate, heirTaxRate) {
+  const rows = result.yearByYear || [];
+  let lifetimeTax = 0;
+  let lifetimeTaxPV = 0;
+  let lifetimeIrmaa = 0;
+  let totalConverted = 0;
+
+  rows.forEach((row, i) => {
+    const yearTax = (row.federalTaxPaid || 0) + (row.stateTaxPaid || 0) + (row.irmaaSurcharge || 0);
+    lifetimeTax += yearTax;
+    lifetimeTaxPV += yearTax / Math.pow(1 + inflationRate / 100, i);
+    lifetimeIrmaa += row.irmaaSurcharge || 0;
+    totalConverted += row.rothConversion || 0;
+  });
+
+  const finalRow = rows[rows.length - 1] || {};
+  const heirWealth = (finalRow.total || 0) - (finalRow.taxDeferred || 0) * (heirTaxRate / 100);
+  const heirWealthReal = heirWealth / Math.pow(1 + inflationRate / 100, Math.max(0, rows.length - 1));
+
+  return {
+    survives: result.survives,
+    depleteAge: result.depleteAge,
+    lifetimeTax,
+    lifetimeTaxPV,
+    lifetimeIrmaa,
+    totalConverted,
+    heirWealth,
+    heirWealthReal,
+  };
+}
+
+// Negative when `a` is the better plan. A plan that survives always beats one that depletes.
+function compareSummaries(a, b, objective) {
+  if (a.survives !== b.survives) return a.survives ? -1 : 1;
+  if (!a.survives && a.depleteAge !== b.depleteAge) return (b.depleteAge || 0) - (a.depleteAge || 0);
+  if (objective === 'max_heir_wealth') return b.heirWealth - a.heirWealth;
+  return a.lifetimeTaxPV - b.lifetimeTaxPV;
+}
+
+/**
+ * Candidate conversion amounts for one year, derived from the current plan's projection row:
+ * zero, each federal bracket top, and the amount that lands just under each IRMAA tier
+ * (IRMAA looks back two years, so only years that feed a Medicare-age premium get those).
+ */
+function getCandidateAmounts(row, { filingStatus, inflationRate, currentAmount }) {
+  const preConversionTaxable = (row.taxableIncome || 0) - (row.rothConversion || 0);
+  const preConversionMagi = (row.magi || 0) - (row.rothConversion || 0);
+  const availableTaxDeferred = (row.taxDeferred || 0) + (row.rothConversion || 0);
+  const candidates = [0];
+
+  const brackets = getFederalBrackets(row.year, filingStatus, inflationRate / 100);
+  brackets
+    .filter(bracket => TARGET_BRACKETS.includes(bracket.rate) && Number.isFinite(bracket.max))
+    .forEach(bracket => candidates.push(bracket.max - preConversionTaxable));
+
+  if (row.age + 2 >= 65) {
+    const normalizedStatus = filingStatus === 'married' ? 'married_filing_jointly' : filingStatus;
+    const irmaaYear = getYearData(MEDICARE_IRMAA, row.year + 2);
+    const tiers = irmaaYear.brackets[normalizedStatus] || irmaaYear.brackets.single;
+    tiers
+      .filter(tier => Number.isFinite(tier.maxIncome))
+      .forEach(tier => candidates.push(tier.maxIncome - preConversionMagi - 1));
+  }
+
+  // Also try the whole remaining balance (small accounts) and the current amount ± a step
+  candidates.push(availableTaxDeferred);
+  if (currentAmount > 0) {
+    candidates.push(currentAmount * 0.5, currentAmount * 1.5);
+  }
+
+  const rounded = candidates
+    .map(amount => Math.min(amount, availableTaxDeferred))
+    .filter(amount => amount >= 0)
+    .map(amount => Math.floor(amount / CONVERSION_ROUNDING) * CONVERSION_ROUNDING);
+
+  return [...new Set(rounded)].sort((a, b) => a - b);
+}
+
+/**
+ * Find a year-by-year Roth conversion schedule using coordinate descent over candidate amounts.
+ *
+ * @param {Object} baseParams - Params for runUnifiedProjection (e.g. from buildProjectionParams); any existing roth_conversions are ignored
+ * @param {Object} [options]
+ * @param {string} [options.objective] - 'min_lifetime_tax' | 'max_heir_wealth'
+ * @param {number} [options.startAge] - First age to consider converting (default: retirement age)
+ * @param {number} [options.endAge] - Last age to consider converting (default: 75)
+ * @param {number} [options.heirTaxRate] - Marginal rate heirs pay on inherited pre-tax balances (percent)
+ * @param {number} [options.maxPasses] - Maximum sweeps over the conversion window
+ * @param {Function} [options.onProgress] - Optional callback ({ pass, year, evaluations })
+ * @returns {Object} { plan, rothConversions, baseline, optimized, evaluations }
+ */
+export function optimizeRothConversions(baseParams, {
+  objective = 'min_lifetime_tax',
+  startAge = null,
+  endAge = null,
+  heirTaxRate = 24,
+  maxPasses = 2,
+  onProgress = null,
+} = {}) {
+  const currentYear = new Date().getFullYear();
+  const { currentAge, retirementAge, lifeExpectancy, filingStatus = 'single' } = baseParams;
+  const inflationRate = baseParams.effectiveInflation ?? 3;
+
+  const windowStart = Math.max(currentAge, startAge ?? retirementAge);
+  const windowEnd = Math.min(lifeExpectancy - 1, endAge ?? 75);
+  const windowYears = [];
+  for (let age = windowStart; age <= windowEnd; age++) {
+    windowYears.push(currentYear + (age - currentAge));
+  }
+
+  let evaluations = 0;
+  const evaluate = (plan) => {
+    evaluations++;
+    const settings = buildRothConversionSettings(plan);
+    const result = runUnifiedProjection({
+      ...baseParams,
+      roth_conversions: settings.enabled ? settings : null,
+      projectionType: 'rothOptimizer',
+      DEBUG: false,
+    });
+    return { plan, result, summary: summarizeProjection(result, inflationRate, heirTaxRate) };
+  };
+
+  const baseline = evaluate({});
+  let best = baseline;
+
+  for (let pass = 0; pass < maxPasses; pass++) {
+    let improved = false;
+
+    for (const year of windowYears) {
+      const row = best.result.yearByYear.find(r => r.year === year);
+      if (!row) continue;
+
+      const currentAmount = best.plan[year] || 0;
+      const candidates = getCandidateAmounts(row, { filingStatus, inflationRate, currentAmount });
+
+      for (const amount of candidates) {
+        if (amount === currentAmount) continue;
+        const trial = evaluate({ ...best.plan, [year]: amount });
+        if (compareSummaries(trial.summary, best.summary, objective) < 0) {
+          best = trial;
+          improved = true;
+        }
+      }
+
+      if (onProgress) onProgress({ pass, year, evaluations });
+    }
+
+    if (!improved) break;
+  }
+
+  const plan = best.result.yearByYear
+    .filter(row => (row.rothConversion || 0) > 0)
+    .map(row => ({
+      year: row.year,
+      age: row.age,
+      amount: row.rothConversion,
+      taxableIncome: row.taxableIncome,
+      magi: row.magi,
+      federalTax: row.federalTaxPaid,
+      stateTax: row.stateTaxPaid,
+    }));
+
+  // Store what the projection actually converted (capped by available balance)
+  const appliedPlan = Object.fromEntries(plan.map(p => [p.year, p.amount]));
+
+  return {
+    objective,
+    plan,
+    rothConversions: buildRothConversionSettings(appliedPlan),
+    baseline: baseline.summary,
+    optimized: best.summary,
+    evaluations,
+  };
+}
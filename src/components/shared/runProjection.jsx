@@ -1,13 +1,20 @@
-import { getRMDFactor } from '@/components/shared/taxData';
+import { getRMDFactor, getMedicareIRMAA, getRMDStartAge } from '@/components/shared/taxData';
 import { 
   estimateRetirementWithdrawalTaxes, 
   calculateTaxableSocialSecurity,
   calculateProgressiveIncomeTax,
   getLTCGRate
 } from '@/components/tax/taxCalculations';
-import { calculateStateTaxOnRetirement, calculateStateIncomeTax } from '@/components/shared/stateTaxConfig';
-import { getTaxConfigForYear, get401kLimit, getRothIRALimit, getTraditionalIRALimit, getHSALimit, getRothIRAIncomeLimit, getFederalBrackets, getSolo401kLimits, getTraditionalIRADeductibleAmount } from '@/components/shared/taxConfig';
+import { calculateTaxReturn, getTaxRules } from '@/components/tax/taxEngine';
+import { get401kLimit, getRothIRALimit, getTraditionalIRALimit, getHSALimit, getRothIRAIncomeLimit, getFederalBrackets, getSolo401kLimits, getTraditionalIRADeductibleAmount } from '@/components/shared/taxConfig';
 import { selectLots } from '@/components/shared/lotSelectionHelpers';
+import { resolveLoanTerms, accrueLoanInterest, getLiquidationSaleBtc } from '@/components/shared/lenderProfiles';
+import { buildDebtPayoffSchedule } from '@/components/shared/debtPayoffPlanner';
+import { getEquityCompByYear } from '@/components/shared/equityCompensation';
+import { get529ScheduleByYear, get529StartingBalances } from '@/components/shared/education529';
+import { buildAmortizationSchedules } from '@/components/shared/mortgageCalculations';
+import { normalizeSpendingPolicy, calculatePolicySpending } from '@/components/shared/spendingPolicies';
+import { getHouseholdEndAge, getHouseholdYear, calculateHouseholdSocialSecurity } from '@/components/shared/household';
 
 /**
  * Get custom return rate for a given asset type and year.
@@ -103,7 +110,7 @@ export function runUnifiedProjection({
   incomeGrowth,
   grossAnnualIncome,
   currentAnnualSpending,
-  filingStatus,
+  filingStatus: householdFilingStatus, // Filing status while both spouses are alive; see getHouseholdYear
   stateOfResidence,
   contribution401k,
   contribution401kEndAge = null,
@@ -140,7 +147,11 @@ export function runUnifiedProjection({
   btcLiquidationLtv,
   btcReleaseTriggerLtv,
   btcReleaseTargetLtv,
-  goals = [],
+  btcLenderProfiles = [], // UserSettings.btc_lender_profiles; loans reference them (or templates) by lender_profile_id
+  debtPayoffPlan = null, // UserSettings.debt_payoff_plan; scheduled minimum + extra payments for non-BTC liabilities
+  equityGrants = [], // UserSettings.equity_grants; RSU vests, option exercises and sales (wages, AMT preferences, gains, cash)
+  capitalLossCarryover = null, // { shortTerm, longTerm } capital losses carried into the first projected year
+  goals = [], // Education goals run their linked 529 accounts (see education529); 529 holdings stay out of the portfolio
   lifeEvents = [],
   getTaxTreatmentFromHolding,
   yearlyReturnOverrides = null, // { btc: number[], stocks: number[], bonds: number[], realEstate: number[], cash: number[], other: number[] }
@@ -158,17 +169,27 @@ export function runUnifiedProjection({
   futureBtcLoanRate = null,
   futureBtcLoanRateYears = null,
   roth_conversions = null,
+  spendingPolicy = null, // { type: 'fixed' | 'guardrails' | 'vpw' | 'floor_ceiling' | 'skip_inflation', ...rule params }
+  spouse = null, // Second person of a two-person household (see buildSpouseProfile); ages, income, SS and mortality of their own
   DEBUG = false,
 }) {
   // Disable verbose logging for production (set to true only when debugging)
   const shouldLog = false;
   const runLabel = projectionType === 'monteCarlo' ? `MC-${monteCarloIteration}` : projectionType.toUpperCase();
+  // Line-by-line tax returns are for display; Monte Carlo runs thousands of projections and skips them
+  const explainTaxes = projectionType !== 'monteCarlo';
   
   // Ensure deterministic order for all input arrays (sort by ID)
-  const sortedHoldings = [...(holdings || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
+  const sortedGoals = [...(goals || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
+  const educationGoals = sortedGoals.filter(g => g.type === 'education');
+  const plan529AccountIds = new Set(educationGoals.map(g => g.linked_account_id).filter(Boolean));
+  const allSortedHoldings = [...(holdings || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
+  // 529 money only pays for education: linked or not, it never funds retirement spending
+  const isPlan529Holding = (h) => plan529AccountIds.has(h.account_id) || getTaxTreatmentFromHolding(h) === 'education';
+  const plan529Holdings = allSortedHoldings.filter(isPlan529Holding);
+  const sortedHoldings = allSortedHoldings.filter(h => !isPlan529Holding(h));
   const sortedLiabilities = [...(liabilities || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
   const sortedCollateralizedLoans = [...(collateralizedLoans || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
-  const sortedGoals = [...(goals || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
   const sortedLifeEvents = [...(lifeEvents || [])].sort((a, b) => (a.id || '').localeCompare(b.id || ''));
   const sortedTaxLots = [...(taxLots || [])].sort((a, b) => {
     const dateA = new Date(a.date || 0);
@@ -610,8 +631,28 @@ export function runUnifiedProjection({
   };
 
   let firstDepletionAge = null;
+  // Dynamic spending policy state (initial withdrawal rate, last year's spending)
+  const activeSpendingPolicy = normalizeSpendingPolicy(spendingPolicy);
+  const spendingPolicyState = { initialWithdrawalRate: null, previousSpending: null };
+  const magiByYear = {}; // MAGI history for the IRMAA two-year lookback
   const birthYear = currentYear - currentAge;
-  const rmdStartAge = birthYear <= 1950 ? 72 : birthYear <= 1959 ? 73 : 75;
+  const rmdStartAge = getRMDStartAge(birthYear);
+  const householdEndAge = getHouseholdEndAge({ currentAge, lifeExpectancy, spouse });
+
+  // Spouse's fraction of the pooled tax-deferred balance, so each person's RMD uses their own age.
+  // Growth and withdrawals are proportional, so only contributions and deaths move it.
+  const spouseAccountIds = new Set(spouse ? (accounts || []).filter(a => a.owner === 'spouse').map(a => a.id) : []);
+  const initialTaxDeferredTotal = getAccountTotal('taxDeferred');
+  const initialSpouseTaxDeferred = sortedHoldings
+    .filter(h => spouseAccountIds.has(h.account_id) && getTaxTreatmentFromHolding(h) === 'tax_deferred')
+    .reduce((sum, h) => sum + (h.ticker === 'BTC' ? h.quantity * currentPrice : h.quantity * (h.current_price || 0)), 0);
+  let spouseTaxDeferredShare = initialTaxDeferredTotal > 0 ? Math.min(1, initialSpouseTaxDeferred / initialTaxDeferredTotal) : 0;
+  const addTaxDeferredContributions = (amount, spouseAmount) => {
+    const before = getAccountTotal('taxDeferred');
+    addToAccount('taxDeferred', amount);
+    const after = getAccountTotal('taxDeferred');
+    if (after > 0) spouseTaxDeferredShare = Math.min(1, Math.max(0, (spouseTaxDeferredShare * before + spouseAmount) / after));
+  };
   const PENALTY_FREE_AGE = 59.5;
   let cumulativeBtcPrice = currentPrice;
   let cumulativeSavings = 0;
@@ -629,6 +670,16 @@ export function runUnifiedProjection({
     remaining_quantity: lot.quantity ?? 0
   }));
   
+  // Each BTC loan follows its lender profile's terms; loans without one use the global collateral settings
+  const defaultCollateralRules = {
+    topUpTriggerLtv: btcTopUpTriggerLtv,
+    topUpTargetLtv: btcTopUpTargetLtv,
+    liquidationLtv: btcLiquidationLtv,
+    releaseTriggerLtv: btcReleaseTriggerLtv,
+    releaseTargetLtv: btcReleaseTargetLtv,
+  };
+  const getLoanTerms = (loan) => resolveLoanTerms(loan, btcLenderProfiles, defaultCollateralRules);
+
   // Initialize debt tracking
   const tempRunningDebt = {};
   sortedLiabilities.forEach(liability => {
@@ -637,9 +688,69 @@ export function runUnifiedProjection({
       current_balance: liability.current_balance || 0,
       paid_off: false,
       entity_type: 'Liability',
+      loan_terms: liability.type === 'btc_collateralized' ? getLoanTerms(liability) : null,
     };
   });
 
+  // Amortizing loans with a term (mortgages, auto loans) follow their own schedule: P&I, escrow, PMI,
+  // extra principal and any planned refinance
+  const amortizationSchedules = buildAmortizationSchedules(sortedLiabilities, {
+    holdings,
+    startDate: new Date(currentYear, currentMonth, 1),
+    propertyGrowthRate: realEstateCagr || 0,
+    inflationRate: effectiveInflation || 0,
+  });
+
+  // Debt payoff plan: liabilities in it follow the planner's month-by-month schedule
+  const debtPayoffSchedule = buildDebtPayoffSchedule(debtPayoffPlan, sortedLiabilities, sortedGoals, new Date(currentYear, currentMonth, 1));
+  const plannedLiabilityIds = new Set(Object.values(debtPayoffSchedule || {}).flatMap(year => Object.keys(year)));
+
+  // Equity compensation: each year's wages, ISO AMT preferences, gains and cash from the grants
+  const equityCompByYear = getEquityCompByYear(equityGrants, { startYear: currentYear, endYear: currentYear + householdEndAge - currentAge });
+
+  // 529 plans: contributions, tuition paid from the plan (the household covers any shortfall) and what
+  // happens to the leftover. Each plan grows at its holdings' asset-class rates, stocks if it has none yet.
+  // 529 accounts no goal links just keep growing until a goal claims them.
+  const getAssetClassRate = (assetCategory, yearIndex) => {
+    if (assetCategory !== 'btc') return getHoldingGrowthRate(null, assetCategory, yearIndex, yearlyReturnOverrides?.[assetCategory]?.[yearIndex]);
+    if (yearlyReturnOverrides?.btc?.[yearIndex] !== undefined) return yearlyReturnOverrides.btc[yearIndex];
+    return getCustomReturnForYear('btc', yearIndex, customReturnPeriods, null) ?? getBtcGrowthRate(yearIndex, effectiveInflation);
+  };
+  const get529Mix = (planHoldings) => {
+    const mix = {};
+    planHoldings.forEach(h => {
+      const category = getAssetCategory(h.asset_type, h.ticker);
+      mix[category] = (mix[category] || 0) + (h.ticker === 'BTC' ? h.quantity * currentPrice : h.quantity * (h.current_price || 0));
+    });
+    return mix;
+  };
+  const get529MixRate = (mix, yearIndex) => {
+    const total = Object.values(mix).reduce((sum, value) => sum + value, 0);
+    if (total <= 0) return getAssetClassRate('stocks', yearIndex);
+    return Object.entries(mix).reduce((sum, [category, value]) => sum + getAssetClassRate(category, yearIndex) * (value / total), 0);
+  };
+  const plan529Mixes = Object.fromEntries(educationGoals.map(goal => [
+    goal.id,
+    get529Mix(plan529Holdings.filter(h => h.account_id === goal.linked_account_id)),
+  ]));
+  const education529ByYear = get529ScheduleByYear(educationGoals, {
+    startingBalances: get529StartingBalances(educationGoals, plan529Holdings, currentPrice),
+    startYear: currentYear,
+    endYear: currentYear + householdEndAge - currentAge,
+    growthRate: (goal, yearIndex) => get529MixRate(plan529Mixes[goal.id] || {}, yearIndex),
+  });
+  const unlinked529Mix = get529Mix(plan529Holdings.filter(h => !plan529AccountIds.has(h.account_id)));
+  let unlinked529Balance = Object.values(unlinked529Mix).reduce((sum, value) => sum + value, 0);
+  Object.keys(education529ByYear).map(Number).forEach(year => {
+    const yearIndex = year - currentYear;
+    if (yearIndex > 0) unlinked529Balance *= 1 + get529MixRate(unlinked529Mix, yearIndex) / 100;
+    education529ByYear[year].balance += unlinked529Balance;
+  });
+  let amtCreditCarryforward = 0; // Minimum tax credit from ISO-driven AMT, used in later years
+  // Capital losses not yet used against gains or the annual ordinary-income offset
+  let shortTermLossCarryover = capitalLossCarryover?.shortTerm || 0;
+  let longTermLossCarryover = capitalLossCarryover?.longTerm || 0;
+
   const tempRunningCollateralizedLoans = {};
   const pendingHypotheticalLoans = [];
   sortedCollateralizedLoans.forEach(loan => {
@@ -650,6 +761,7 @@ export function runUnifiedProjection({
       entity_type: 'CollateralizedLoan',
       type: 'btc_collateralized',
       monthly_payment: loan.minimum_monthly_payment || 0,
+      loan_terms: getLoanTerms(loan),
     };
   });
 
@@ -834,15 +946,23 @@ export function runUnifiedProjection({
     const loanStartAge = (hypothetical_btc_loan.start_age !== undefined && hypothetical_btc_loan.start_age !== null && hypothetical_btc_loan.start_age !== '')
       ? parseInt(hypothetical_btc_loan.start_age) 
       : currentAge;
+    const hypotheticalLoanTerms = getLoanTerms({
+      lender_profile_id: hypothetical_btc_loan.lender_profile_id || null,
+      liquidation_ltv: btcLiquidationLtv || 80,
+    });
     
     const hypotheticalLoanObj = {
       id: 'hypothetical_btc_loan',
       name: 'Hypothetical BTC Loan',
       type: 'btc_collateralized',
-      current_balance: hypothetical_btc_loan.loan_amount || 0,
+      // Origination fee is financed into the balance; the borrower still receives loan_amount
+      current_balance: (hypothetical_btc_loan.loan_amount || 0) * (1 + hypotheticalLoanTerms.originationFeePct / 100),
+      principal_amount: hypothetical_btc_loan.loan_amount || 0,
       interest_rate: hypothetical_btc_loan.interest_rate || 12,
       collateral_btc_amount: hypothetical_btc_loan.collateral_btc || 0,
       liquidation_ltv: btcLiquidationLtv || 80,
+      lender_profile_id: hypothetical_btc_loan.lender_profile_id || null,
+      loan_terms: hypotheticalLoanTerms,
       start_age: loanStartAge,
       pay_off_age: (hypothetical_btc_loan.pay_off_age !== undefined && hypothetical_btc_loan.pay_off_age !== null && hypothetical_btc_loan.pay_off_age !== '') 
         ? parseInt(hypothetical_btc_loan.pay_off_age) 
@@ -956,12 +1076,6 @@ export function runUnifiedProjection({
     }
   }
 
-  // Get standard deduction - this is the BASE deduction
-  // Age-based senior additions are applied per-year in the loop since age changes
-  const taxConfigForYear = getTaxConfigForYear(currentYear);
-  const standardDeductions = taxConfigForYear?.standardDeduction || { single: 16100, married: 32200 };
-  const baseStandardDeduction = standardDeductions[filingStatus] || standardDeductions.single;
-
   // Track Roth contributions for accurate early withdrawal tax calculations
   // This must be defined BEFORE the main loop so it's accessible in asset reallocation
   const totalRothContributions = accounts
@@ -1040,10 +1154,14 @@ export function runUnifiedProjection({
   };
 
   // Main projection loop
-  for (let i = 0; i <= lifeExpectancy - currentAge; i++) {
+  for (let i = 0; i <= householdEndAge - currentAge; i++) {
     const year = currentYear + i;
     const age = currentAge + i;
-    const isRetired = age >= retirementAge;
+    const household = getHouseholdYear({ yearIndex: i, currentAge, lifeExpectancy, spouse, filingStatus: householdFilingStatus });
+    const { spouseAge, primaryAlive, spouseAlive, filingStatus } = household;
+    // The primary's paycheck ends at retirement or death; a surviving spouse may still be working
+    const isRetired = age >= retirementAge || !primaryAlive;
+    const isSpouseWorking = spouse !== null && spouseAlive && spouseAge < spouse.retirementAge;
     const yearsFromNow = i;
     
 
@@ -1131,6 +1249,17 @@ export function runUnifiedProjection({
         taxesPaid: 0,
         federalTaxPaid: 0,
         stateTaxPaid: 0,
+        irmaaSurcharge: 0,
+        magi: 0,
+        taxableIncome: 0,
+        taxReturn: null,
+        equityIncome: 0,
+        equityCashFlow: 0,
+        amtPaid: 0,
+        amtCreditCarryforward: 0,
+        capitalLossCarryover: 0,
+        education529Balance: Math.round(education529ByYear[year].balance),
+        rothConversion: 0,
         penaltyPaid: 0,
         canAccessPenaltyFree: age >= PENALTY_FREE_AGE,
         rmdAmount: 0,
@@ -1152,6 +1281,9 @@ export function runUnifiedProjection({
         hasEvent: false,
         hasGoalWithdrawal: false,
         goalNames: [],
+        retirementSpending: 0,
+        spendingAdjustment: null,
+        withdrawalRate: 0,
       });
       continue; // Skip to next year
     }
@@ -1198,23 +1330,28 @@ export function runUnifiedProjection({
     let shortTermGainsTax = 0;
     let longTermGainsTax = 0;
     let yearTaxableIncome = 0; // Track taxable income for bracket visualization
+    let yearTaxableSocialSecurity = 0;
     let yearTraditionalIRADeductible = 0; // Track deductible portion for results
+    let yearPortfolioReturn = null; // Liquid portfolio return from this year's growth (drives spending policies)
+    let yearSpendingAdjustment = null;
+    let yearWithdrawalRate = 0;
+    let yearIrmaaSurcharge = 0; // Medicare Part B/D income-related surcharge (age 65+)
+    let yearMagi = 0;
+    let yearTaxReturn = null; // Form 1040 for the year from the tax engine
+    const yearEquity = equityCompByYear[year];
+    const yearEducation = education529ByYear[year];
     
-    // Calculate age-specific standard deduction (includes 65+ additional)
-    let currentStandardDeduction = baseStandardDeduction;
-    if (age >= 65) {
-      const isMarried = filingStatus === 'married' || filingStatus === 'married_filing_jointly';
-      const additionalDeduction = isMarried 
-        ? (standardDeductions.additional_married || 1650) * 2  // Both spouses if MFJ
-        : (standardDeductions.additional_single || 2050);
-      currentStandardDeduction += additionalDeduction;
-      
-      if (DEBUG && i === 0) {
-        console.log('👴 Senior Standard Deduction - Age', age);
-        console.log('   Base deduction:', baseStandardDeduction);
-        console.log('   Additional deduction:', additionalDeduction);
-        console.log('   Total deduction:', currentStandardDeduction);
-      }
+    // This year's federal rule-set: published tables, inflation-projected after the latest one
+    const yearTaxRules = getTaxRules(year, filingStatus, { inflationRate: effectiveInflation / 100 });
+    // Without a spouse profile, MFJ assumes both spouses share the primary's age
+    const isMarriedFiling = filingStatus === 'married' || filingStatus === 'married_filing_jointly';
+    const seniorCount = spouse
+      ? (primaryAlive && age >= 65 ? 1 : 0) + (spouseAlive && spouseAge >= 65 ? 1 : 0)
+      : (age >= 65 ? (isMarriedFiling ? 2 : 1) : 0);
+    // Age-specific standard deduction (includes 65+ additional)
+    const currentStandardDeduction = yearTaxRules.standardDeduction + seniorCount * yearTaxRules.additionalStandardDeduction;
+    if (DEBUG && i === 0 && seniorCount > 0) {
+      console.log('👴 Senior Standard Deduction - Age', age, '| Total deduction:', currentStandardDeduction);
     }
 
     // BTC growth and price tracking - priority: Monte Carlo > Custom Periods > Power Law/model
@@ -1304,9 +1441,13 @@ export function runUnifiedProjection({
         else if (acct.other < GROWTH_DUST_THRESHOLD) acct.other = 0;
       };
       
+      const liquidBeforeGrowth = getTotalLiquid();
       applyGrowth(portfolio.taxable, effectiveTaxableStocksGrowth);
       applyGrowth(portfolio.taxDeferred, effectiveTaxDeferredStocksGrowth);
       applyGrowth(portfolio.taxFree, effectiveTaxFreeStocksGrowth);
+      if (liquidBeforeGrowth > 0) {
+        yearPortfolioReturn = ((getTotalLiquid() - liquidBeforeGrowth) / liquidBeforeGrowth) * 100;
+      }
       
       if (portfolio.realEstate >= GROWTH_DUST_THRESHOLD && yearRealEstateGrowth !== 0) portfolio.realEstate *= (1 + yearRealEstateGrowth / 100);
       else if (portfolio.realEstate < GROWTH_DUST_THRESHOLD) portfolio.realEstate = 0;
@@ -1632,19 +1773,20 @@ export function runUnifiedProjection({
           // Track conversion income for tax calculation
           yearRothConversionIncome = yearRothConversion;
           
-          console.log(`Year ${year} (Age ${age}): Roth conversion of $${yearRothConversion.toFixed(0)}. Remaining tax-deferred: $${getAccountTotal('taxDeferred').toFixed(0)}`);
+          if (DEBUG) console.log(`Year ${year} (Age ${age}): Roth conversion of $${yearRothConversion.toFixed(0)}. Remaining tax-deferred: $${getAccountTotal('taxDeferred').toFixed(0)}`);
         }
       }
     }
 
     // Social Security - calculate REGARDLESS of retirement status
-    if (age >= socialSecurityStartAge && effectiveSocialSecurity > 0) {
-      const yearsToSSStart = Math.max(0, socialSecurityStartAge - currentAge);
-      const yearsReceivingSS = age - socialSecurityStartAge;
-      socialSecurityIncome = effectiveSocialSecurity * 
-        Math.pow(1 + effectiveInflation / 100, yearsToSSStart) * 
-        Math.pow(1 + effectiveInflation / 100, yearsReceivingSS);
-    }
+    // Both spouses' own benefits, switching to the survivor benefit after the first death
+    const householdSocialSecurity = calculateHouseholdSocialSecurity({
+      yearIndex: i,
+      inflationRate: effectiveInflation,
+      primary: { currentAge, lifeExpectancy, amount: effectiveSocialSecurity, startAge: socialSecurityStartAge, birthYear },
+      spouse,
+    });
+    socialSecurityIncome = householdSocialSecurity.total;
 
     // Released collateral is now added to liquid portfolio immediately when released (same year)
     // No need to process from previous year - this eliminates the one-year timing mismatch bug
@@ -1796,7 +1938,7 @@ export function runUnifiedProjection({
 
     // Goals: withdrawal and debt payoff
     sortedGoals.forEach(goal => {
-      if (goal.withdraw_from_portfolio && goal.target_date && goal.type !== 'debt_payoff') {
+      if (goal.withdraw_from_portfolio && goal.target_date && goal.type !== 'debt_payoff' && goal.type !== 'education') {
         const goalYear = new Date(goal.target_date).getFullYear();
         if (goalYear === year) {
           yearGoalWithdrawal += goal.target_amount || 0;
@@ -1855,11 +1997,44 @@ export function runUnifiedProjection({
       }
     });
 
+    // Education: 529 contributions and the costs the plans can't cover come out of the household's cash flow
+    yearGoalWithdrawal += yearEducation.contributions + yearEducation.shortfall;
+
     // Debt amortization with month-by-month simulation
     let actualAnnualDebtPayments = 0;
+    let yearExtraDebtPayments = 0;
     const thisYearDebtPayoffs = [];
 
     Object.keys(tempRunningDebt).sort().map(k => tempRunningDebt[k]).forEach(liability => {
+      if (plannedLiabilityIds.has(liability.id)) {
+        const planned = debtPayoffSchedule[year]?.[liability.id];
+        if (planned && !liability.paid_off) {
+          actualAnnualDebtPayments += planned.minimum;
+          yearExtraDebtPayments += planned.extra;
+          liability.current_balance = planned.endBalance;
+          if (planned.endBalance <= 0.01) {
+            thisYearDebtPayoffs.push({ name: liability.name, liability_name: liability.name, month: planned.payoffMonth });
+            liability.paid_off = true;
+          }
+        }
+        return;
+      }
+
+      const amortization = amortizationSchedules[liability.id];
+      if (amortization && !liabilitiesWithPayoffGoals.has(liability.id)) {
+        const scheduled = amortization[year];
+        if (scheduled && !liability.paid_off) {
+          actualAnnualDebtPayments += scheduled.scheduled;
+          yearExtraDebtPayments += scheduled.extra + scheduled.closingCosts;
+          liability.current_balance = scheduled.endBalance;
+          if (scheduled.endBalance <= 0.01) {
+            thisYearDebtPayoffs.push({ name: liability.name, liability_name: liability.name, month: scheduled.payoffMonth });
+            liability.paid_off = true;
+          }
+        }
+        return;
+      }
+
       if (!liabilitiesWithPayoffGoals.has(liability.id) && !liability.paid_off) {
         const hasPayment = liability.monthly_payment && liability.monthly_payment > 0;
         const hasInterest = liability.interest_rate && liability.interest_rate > 0;
@@ -1901,8 +2076,13 @@ export function runUnifiedProjection({
             futureBtcLoanRate,
             futureBtcLoanRateYears
           );
-          const dailyRate = effectiveRate / 100 / 365;
-          liability.current_balance = liability.current_balance * Math.pow(1 + dailyRate, 365);
+          liability.current_balance = accrueLoanInterest(
+            liability.current_balance,
+            effectiveRate,
+            liability.loan_terms?.compounding,
+            365,
+            liability.principal_amount || liability.current_balance
+          );
         }
       }
 
@@ -1911,11 +2091,12 @@ export function runUnifiedProjection({
         const collateralValue = encumberedBtc[liability.id] * cumulativeBtcPrice;
         let currentLTV = (liability.current_balance / collateralValue) * 100;
         
-        const liquidationLTV = liability.liquidation_ltv || 80;
-        const releaseLTV = btcReleaseTriggerLtv || 30;
-        const triggerLTV = btcTopUpTriggerLtv || 70;
-        const targetLTV = btcTopUpTargetLtv || 50; // Ledn resets to 50% LTV after top-up
-        const releaseTargetLTV = btcReleaseTargetLtv || 40;
+        const terms = liability.loan_terms || getLoanTerms(liability);
+        const liquidationLTV = terms.liquidationLtv;
+        const releaseLTV = terms.releaseTriggerLtv ?? 0; // null: lender only releases once the loan is repaid
+        const triggerLTV = terms.marginCallLtv;
+        const targetLTV = terms.topUpTargetLtv;
+        const releaseTargetLTV = terms.releaseTargetLtv;
 
         // Auto Top-up
         if (autoTopUpBtcCollateral && currentLTV >= triggerLTV && currentLTV < liquidationLTV) {
@@ -1949,13 +2130,11 @@ export function runUnifiedProjection({
         const postTopUpCollateralValue = encumberedBtc[liability.id] * cumulativeBtcPrice;
         const postTopUpLTV = (liability.current_balance / postTopUpCollateralValue) * 100;
 
-        // Liquidation at 80% LTV
+        // Liquidation at the loan's liquidation LTV
         if (postTopUpLTV >= liquidationLTV) {
           const totalCollateralBtc = encumberedBtc[liability.id];
           const debtBalance = liability.current_balance;
-          const btcNeededToPayOff = debtBalance / cumulativeBtcPrice;
-
-          const btcToSell = Math.min(btcNeededToPayOff, totalCollateralBtc);
+          const btcToSell = getLiquidationSaleBtc(debtBalance, totalCollateralBtc, cumulativeBtcPrice, terms);
           const proceedsFromSale = btcToSell * cumulativeBtcPrice;
           const newDebtBalance = Math.max(0, debtBalance - proceedsFromSale);
           const remainingCollateralBtc = totalCollateralBtc - btcToSell;
@@ -2002,7 +2181,7 @@ export function runUnifiedProjection({
             }
           }
         }
-        // Release at 30% LTV
+        // Release at the loan's release trigger LTV
         else if (postTopUpLTV <= releaseLTV) {
           if (liability.current_balance <= 0) {
             // Full release - debt paid off, release all remaining collateral
@@ -2032,7 +2211,7 @@ export function runUnifiedProjection({
           } else {
             // Partial release - LTV too low, release excess collateral
             const currentCollateral = encumberedBtc[liability.id];
-            const targetCollateralForLoan = liability.current_balance / (btcReleaseTargetLtv / 100) / cumulativeBtcPrice;
+            const targetCollateralForLoan = liability.current_balance / (releaseTargetLTV / 100) / cumulativeBtcPrice;
             const excessCollateral = Math.max(0, currentCollateral - targetCollateralForLoan);
             if (excessCollateral > 0) {
               const excessCollateralValue = excessCollateral * cumulativeBtcPrice;
@@ -2053,7 +2232,7 @@ export function runUnifiedProjection({
                 age,
                 type: 'release',
                 liabilityName: liability.name || liability.lender || 'BTC Loan',
-                message: `Released ${excessCollateral.toFixed(4)} BTC (LTV ${postTopUpLTV.toFixed(1)}% → ${btcReleaseTargetLtv}%)`
+                message: `Released ${excessCollateral.toFixed(4)} BTC (LTV ${postTopUpLTV.toFixed(1)}% → ${releaseTargetLTV}%)`
               });
             }
           }
@@ -2061,6 +2240,9 @@ export function runUnifiedProjection({
       }
     });
 
+    // Extra payments (payoff plan, extra principal, refinance closing costs) come out of cash flow like debt payoff goal payments
+    yearGoalWithdrawal += yearExtraDebtPayments;
+
     // Process Collateralized Loans
     Object.keys(tempRunningCollateralizedLoans).sort().map(k => tempRunningCollateralizedLoans[k]).forEach(loan => {
       if (!loansWithPayoffGoals.has(loan.id) && !loan.paid_off) {
@@ -2098,8 +2280,13 @@ export function runUnifiedProjection({
             futureBtcLoanRate,
             futureBtcLoanRateYears
           );
-          const dailyRate = effectiveRate / 100 / 365;
-          loan.current_balance = loan.current_balance * Math.pow(1 + dailyRate, 365);
+          loan.current_balance = accrueLoanInterest(
+            loan.current_balance,
+            effectiveRate,
+            loan.loan_terms?.compounding,
+            365,
+            loan.principal_amount || loan.current_balance
+          );
         }
       }
 
@@ -2109,11 +2296,12 @@ export function runUnifiedProjection({
         const collateralValue = encumberedBtc[loanKey] * cumulativeBtcPrice;
         let currentLTV = (loan.current_balance / collateralValue) * 100;
         
-        const liquidationLTV = loan.liquidation_ltv || 80;
-        const releaseLTV = btcReleaseTriggerLtv || 30;
-        const triggerLTV = btcTopUpTriggerLtv || 70;
-        const targetLTV = btcTopUpTargetLtv || 50; // Ledn resets to 50% LTV after top-up
-        const releaseTargetLTV = btcReleaseTargetLtv || 40;
+        const terms = loan.loan_terms || getLoanTerms(loan);
+        const liquidationLTV = terms.liquidationLtv;
+        const releaseLTV = terms.releaseTriggerLtv ?? 0; // null: lender only releases once the loan is repaid
+        const triggerLTV = terms.marginCallLtv;
+        const targetLTV = terms.topUpTargetLtv;
+        const releaseTargetLTV = terms.releaseTargetLtv;
 
         // Auto Top-up
         if (autoTopUpBtcCollateral && currentLTV >= triggerLTV && currentLTV < liquidationLTV) {
@@ -2151,9 +2339,7 @@ export function runUnifiedProjection({
         if (postTopUpLTV >= liquidationLTV) {
           const totalCollateralBtc = encumberedBtc[loanKey];
           const debtBalance = loan.current_balance;
-          const btcNeededToPayOff = debtBalance / cumulativeBtcPrice;
-
-          const btcToSell = Math.min(btcNeededToPayOff, totalCollateralBtc);
+          const btcToSell = getLiquidationSaleBtc(debtBalance, totalCollateralBtc, cumulativeBtcPrice, terms);
           const proceedsFromSale = btcToSell * cumulativeBtcPrice;
           const newDebtBalance = Math.max(0, debtBalance - proceedsFromSale);
           const remainingCollateralBtc = totalCollateralBtc - btcToSell;
@@ -2232,7 +2418,7 @@ export function runUnifiedProjection({
           } else {
             // Partial release - LTV too low, release excess collateral
             const currentCollateral = encumberedBtc[loanKey];
-            const targetCollateralForLoan = loan.current_balance / (btcReleaseTargetLtv / 100) / cumulativeBtcPrice;
+            const targetCollateralForLoan = loan.current_balance / (releaseTargetLTV / 100) / cumulativeBtcPrice;
             const excessCollateral = Math.max(0, currentCollateral - targetCollateralForLoan);
             if (excessCollateral > 0) {
               const excessCollateralValue = excessCollateral * cumulativeBtcPrice;
@@ -2253,7 +2439,7 @@ export function runUnifiedProjection({
                 age,
                 type: 'release',
                 liabilityName: loan.name || loan.lender || 'BTC Loan',
-                message: `Released ${excessCollateral.toFixed(4)} BTC (LTV ${postTopUpLTV.toFixed(1)}% → ${btcReleaseTargetLtv}%)`
+                message: `Released ${excessCollateral.toFixed(4)} BTC (LTV ${postTopUpLTV.toFixed(1)}% → ${releaseTargetLTV}%)`
               });
             }
           }
@@ -2583,7 +2769,7 @@ export function runUnifiedProjection({
     const effectiveSolo401kEndAge = solo401kEndAge || lifeExpectancy;
     
     // IRS Rule: Can't contribute more than earned income
-    let remainingIncomeForContributions = Math.max(0, yearEarnedIncome);
+    let remainingIncomeForContributions = primaryAlive ? Math.max(0, yearEarnedIncome) : 0;
     
     // 401k - only if under end age AND have earned income
     if (age < effective401kEndAge && remainingIncomeForContributions > 0) {
@@ -2696,7 +2882,60 @@ export function runUnifiedProjection({
       yearSolo401kEmployee = 0;
       yearSolo401kEmployer = 0;
     }
+
+    // Spouse's paycheck and contributions (own limits by their age, until their retirement age).
+    // They are added to the household totals so the tax and account logic below covers both.
+    let yearSpouseEarnedIncome = 0;
+    let yearSpouse401k = 0;
+    let yearSpouseEmployerMatch = 0;
+    let yearSpouseTraditionalIRA = 0;
+    let yearSpouseRoth = 0;
+    if (isSpouseWorking) {
+      const spouseGrowth = Math.pow(1 + incomeGrowth / 100, i);
+      yearSpouseEarnedIncome = spouse.grossAnnualIncome * spouseGrowth;
+      let spouseRemainingIncome = yearSpouseEarnedIncome;
+
+      yearSpouse401k = Math.min(spouse.contribution401k * spouseGrowth, get401kLimit(year, spouseAge), spouseRemainingIncome);
+      spouseRemainingIncome -= yearSpouse401k;
+      if (yearSpouse401k > 0) yearSpouseEmployerMatch = spouse.employer401kMatch * spouseGrowth;
+
+      yearSpouseTraditionalIRA = Math.min(spouse.contributionTraditionalIRA * spouseGrowth, getTraditionalIRALimit(year, spouseAge), spouseRemainingIncome);
+      spouseRemainingIncome -= yearSpouseTraditionalIRA;
+
+      // Roth IRA eligibility phases out on household income
+      const rothIncomeLimit = getRothIRAIncomeLimit(year, filingStatus);
+      const householdAGI = (primaryAlive && !isRetired ? yearEarnedIncome - year401k - yearTraditionalIRA - yearHSA : 0) +
+        yearSpouseEarnedIncome - yearSpouse401k - yearSpouseTraditionalIRA;
+      const spouseRothMultiplier = householdAGI >= rothIncomeLimit.phaseOutEnd ? 0
+        : householdAGI > rothIncomeLimit.phaseOutStart
+          ? (rothIncomeLimit.phaseOutEnd - householdAGI) / (rothIncomeLimit.phaseOutEnd - rothIncomeLimit.phaseOutStart)
+          : 1;
+      yearSpouseRoth = Math.min(spouse.contributionRothIRA * spouseGrowth * spouseRothMultiplier, getRothIRALimit(year, spouseAge), spouseRemainingIncome);
+
+      year401k += yearSpouse401k;
+      yearEmployerMatch += yearSpouseEmployerMatch;
+      yearTraditionalIRA += yearSpouseTraditionalIRA;
+      yearRoth += yearSpouseRoth;
+    }
+    const yearSpouseTaxDeferredContributions = yearSpouse401k + yearSpouseEmployerMatch + yearSpouseTraditionalIRA;
+    if (!isRetired) {
+      yearGrossIncome += yearSpouseEarnedIncome;
+    }
+
+    // Each person's tax-deferred balance rolls to the survivor at the first death
+    if (spouse && !primaryAlive) spouseTaxDeferredShare = 1;
+    else if (spouse && !spouseAlive) spouseTaxDeferredShare = 0;
     
+    // Medicare IRMAA: premiums at 65+ are set by MAGI from two years prior (Roth conversions count)
+    const medicareEnrollees = spouse
+      ? (primaryAlive && age >= 65 ? 1 : 0) + (spouseAlive && spouseAge >= 65 ? 1 : 0)
+      : (age >= 65 ? (filingStatus === 'married' ? 2 : 1) : 0);
+    if (medicareEnrollees > 0 && magiByYear[year - 2] !== undefined) {
+      const irmaa = getMedicareIRMAA(year, magiByYear[year - 2], filingStatus);
+      const irmaaBase = getMedicareIRMAA(year, 0, filingStatus);
+      yearIrmaaSurcharge = Math.max(0, irmaa.annual_total - irmaaBase.annual_total) * medicareEnrollees;
+    }
+
     // Continue with pre-retirement logic ONLY if not retired
     if (!isRetired) {
       
@@ -2723,23 +2962,39 @@ export function runUnifiedProjection({
         ? (yearSolo401kEmployee + yearSolo401kEmployer)
         : yearSolo401kEmployer; // Roth: only employer portion is pre-tax
 
-      yearTaxableIncome = Math.max(0, yearGrossIncome + yearLifeEventTaxableIncome + yearRothConversion - year401k - yearTraditionalIRADeductible - yearHSA - solo401kPreTaxDeduction - currentStandardDeduction);
-      const yearFederalTax = calculateProgressiveIncomeTax(yearTaxableIncome, filingStatus, year);
-      const yearStateTax = calculateStateIncomeTax({ 
-        income: yearGrossIncome + yearLifeEventTaxableIncome - year401k - yearTraditionalIRA - yearHSA, 
-        filingStatus, 
-        state: stateOfResidence, 
+      const taxReturnInputs = {
         year,
-        inflationRate: effectiveInflation / 100
-      });
+        filingStatus,
+        age,
+        seniorCount,
+        state: stateOfResidence,
+        inflationRate: effectiveInflation / 100,
+        wages: Math.max(0, yearGrossIncome - year401k - yearHSA - solo401kPreTaxDeduction) + yearEquity.ordinaryIncome,
+        iraDistributions: yearRothConversion,
+        shortTermGains: yearEquity.shortTermGains,
+        longTermGains: yearEquity.longTermGains,
+        otherIncome: yearLifeEventTaxableIncome + yearEducation.taxableEarnings,
+        adjustments: yearTraditionalIRADeductible,
+        amtPreferences: yearEquity.isoPreference,
+        priorAmtCredit: amtCreditCarryforward,
+        additionalTax: yearEducation.penalty,
+        plan529Contributions: yearEducation.contributions,
+        priorShortTermLossCarryover: shortTermLossCarryover,
+        priorLongTermLossCarryover: longTermLossCarryover,
+        explain: explainTaxes,
+      };
+      yearTaxReturn = calculateTaxReturn(taxReturnInputs);
+      yearMagi = yearTaxReturn.magi;
+      yearTaxableIncome = yearTaxReturn.taxableIncome;
       
-      federalTaxPaid = yearFederalTax;
-      stateTaxPaid = yearStateTax;
-      taxesPaid = yearFederalTax + yearStateTax;
+      federalTaxPaid = yearTaxReturn.federalTax;
+      stateTaxPaid = yearTaxReturn.stateTax;
+      taxesPaid = yearTaxReturn.totalTax + yearIrmaaSurcharge;
       // Net income = gross - taxes - pre-tax contributions (401k, Traditional IRA, HSA come from paycheck)
       // Add estimated dividend income (calculated before withdrawals) for cash flow decisions
       // Add life event income (inheritance, windfall, etc.) AND loan proceeds - already invested in portfolio but also adds to cash flow
-      const yearNetIncome = yearGrossIncome - taxesPaid - year401k - yearTraditionalIRA - yearHSA + estimatedDividendIncome + yearLifeEventIncome + yearLoanProceeds;
+      // Equity: RSU vests and share sales less option exercise costs; non-qualified 529 withdrawals
+      const yearNetIncome = yearGrossIncome - taxesPaid - year401k - yearTraditionalIRA - yearHSA + estimatedDividendIncome + yearLifeEventIncome + yearLoanProceeds + yearEquity.cashFlow + yearEducation.nonQualifiedWithdrawal;
 
       // Calculate base spending WITHOUT one-time life event expenses (for tooltip display)
       const baseBeforeAdjustment = currentAnnualSpending * Math.pow(1 + effectiveInflation / 100, i);
@@ -2812,7 +3067,7 @@ export function runUnifiedProjection({
       }
       
       if (taxDeferredContributions > 0) {
-        addToAccount('taxDeferred', taxDeferredContributions);
+        addTaxDeferredContributions(taxDeferredContributions, yearSpouseTaxDeferredContributions);
       }
       if (taxFreeContributions > 0) {
         addToAccount('taxFree', taxFreeContributions);
@@ -2854,33 +3109,34 @@ export function runUnifiedProjection({
         // Update Roth contribution basis after withdrawal
         runningRothContributionBasis = taxEstimate.newRothContributionBasis || runningRothContributionBasis;
 
-        // Calculate Roth earnings portion for state tax (before 59.5, earnings are taxable)
-      let rothEarningsForStateTax = 0;
-      if (age < PENALTY_FREE_AGE && taxEstimate.fromTaxFree > 0) {
-        // IRS ordering: contributions come out first, then earnings
-        const rothContributionsUsed = Math.min(taxEstimate.fromTaxFree, runningRothContributionBasis);
-        rothEarningsForStateTax = Math.max(0, taxEstimate.fromTaxFree - rothContributionsUsed);
-      }
-      
-      const preRetireStateTax = calculateStateTaxOnRetirement({
-          state: stateOfResidence,
-          age: age,
-          filingStatus: filingStatus,
-          totalAGI: (grossAnnualIncome * Math.pow(1 + incomeGrowth / 100, i)) + yearLifeEventTaxableIncome + deficit + rothEarningsForStateTax,
-          socialSecurityIncome: 0,
-          taxDeferredWithdrawal: (taxEstimate.fromTaxDeferred || 0) + rothEarningsForStateTax,
-          taxableWithdrawal: prelimTaxableWithdraw.withdrawn,
-          taxableGainPortion: prelimTaxableWithdraw.shortTermGain + prelimTaxableWithdraw.longTermGain,
-          pensionIncome: 0,
-          year: year,
-          inflationRate: effectiveInflation / 100
-        });
+        // Roth earnings withdrawn before 59.5 are taxable income
+        let taxableRothEarnings = 0;
+        if (age < PENALTY_FREE_AGE && taxEstimate.fromTaxFree > 0) {
+          // IRS ordering: contributions come out first, then earnings
+          const rothContributionsUsed = Math.min(taxEstimate.fromTaxFree, runningRothContributionBasis);
+          taxableRothEarnings = Math.max(0, taxEstimate.fromTaxFree - rothContributionsUsed);
+        }
 
-        // Separate penalties from taxes in pre-retirement deficit
-        const preRetireWithdrawalTaxOnly = (taxEstimate.totalTax || 0) - (taxEstimate.totalPenalty || 0);
-        federalTaxPaid += preRetireWithdrawalTaxOnly;
+        // The year's return with the withdrawals on it; the increase over the paycheck-only return is
+        // the tax the withdrawals cost (stacked on wages, not on an empty return)
+        const withdrawalReturn = calculateTaxReturn({
+          ...taxReturnInputs,
+          iraDistributions: taxReturnInputs.iraDistributions + (taxEstimate.fromTaxDeferred || 0) + taxableRothEarnings,
+          qualifiedDividends: yearQualifiedDividends,
+          nonQualifiedDividends: yearNonQualifiedDividends,
+          shortTermGains: taxReturnInputs.shortTermGains + prelimTaxableWithdraw.shortTermGain,
+          longTermGains: taxReturnInputs.longTermGains + prelimTaxableWithdraw.longTermGain,
+        });
+        const preRetireFederalTax = Math.max(0, withdrawalReturn.federalTax - yearTaxReturn.federalTax);
+        const preRetireStateTax = Math.max(0, withdrawalReturn.stateTax - yearTaxReturn.stateTax);
+        yearTaxReturn = withdrawalReturn;
+        yearMagi = withdrawalReturn.magi;
+        yearTaxableIncome = withdrawalReturn.taxableIncome;
+
+        // Penalties are tracked separately from taxes
+        federalTaxPaid += preRetireFederalTax;
         stateTaxPaid += preRetireStateTax;
-        taxesPaid += preRetireWithdrawalTaxOnly + preRetireStateTax;
+        taxesPaid += preRetireFederalTax + preRetireStateTax;
         penaltyPaid = taxEstimate.totalPenalty || 0;
         shortTermGainsTax += (taxEstimate.taxOnShortTermGains || 0);
         longTermGainsTax += (taxEstimate.taxOnLongTermGains || 0);
@@ -2903,7 +3159,7 @@ export function runUnifiedProjection({
         // Calculate total actually withdrawn
         const totalActuallyWithdrawn = (withdrawFromTaxable || 0) + (withdrawFromTaxDeferred || 0) + (withdrawFromTaxFree || 0);
         // Include taxes and penalties in the total amount needed from portfolio
-        const totalDeficitPlusTaxes = deficit + (taxEstimate.totalTax || 0) + preRetireStateTax + (taxEstimate.totalPenalty || 0);
+        const totalDeficitPlusTaxes = deficit + preRetireFederalTax + preRetireStateTax + (taxEstimate.totalPenalty || 0);
         let remainingShortfall = totalDeficitPlusTaxes - totalActuallyWithdrawn;
         
         // For pre-retirement deficit, the true net cash flow includes withdrawal taxes
@@ -3213,8 +3469,19 @@ export function runUnifiedProjection({
       const nominalSpendingAtRetirement = retirementAnnualSpending * Math.pow(1 + effectiveInflation / 100, Math.max(0, retirementAge - currentAge));
       const yearsInRetirement = age - retirementAge;
       const inflationFactorRetirement = Math.pow(1 + effectiveInflation / 100, yearsInRetirement);
+      // Spending policy decides this year's base spending (fixed policy = inflation-adjusted target)
+      const policyResult = calculatePolicySpending(activeSpendingPolicy, spendingPolicyState, {
+        targetSpending: nominalSpendingAtRetirement * inflationFactorRetirement,
+        portfolioValue: getTotalLiquid(),
+        inflationRate: effectiveInflation,
+        portfolioReturn: yearPortfolioReturn,
+        yearsRemaining: householdEndAge - age + 1,
+        isFirstYear: spendingPolicyState.previousSpending === null,
+      });
+      yearSpendingAdjustment = policyResult.adjustment;
+      yearWithdrawalRate = policyResult.withdrawalRate;
       // Calculate base spending WITHOUT life event expenses (for tooltip display)
-      const baseBeforeAdjustmentRetirement = nominalSpendingAtRetirement * inflationFactorRetirement;
+      const baseBeforeAdjustmentRetirement = policyResult.spending;
       const rawRetirementSpending = baseBeforeAdjustmentRetirement + activeExpenseAdjustment;
       const baseSpendingOnly = Math.max(0, rawRetirementSpending);
       
@@ -3240,11 +3507,17 @@ export function runUnifiedProjection({
       // yearSpending should be just the base spending (for tooltip), NOT including life event expenses
       yearSpending = i === 0 ? baseSpendingOnly * currentYearProRataFactor : baseSpendingOnly;
 
-      // RMD calculation
+      // RMD calculation - each owner's share of the balance uses their own age and start age
       const taxDeferredBalanceForRMD = getAccountTotal('taxDeferred');
-      if (age >= rmdStartAge && taxDeferredBalanceForRMD > 0) {
+      const primaryTaxDeferred = taxDeferredBalanceForRMD * (1 - spouseTaxDeferredShare);
+      const spouseTaxDeferred = taxDeferredBalanceForRMD * spouseTaxDeferredShare;
+      if (primaryAlive && age >= rmdStartAge && primaryTaxDeferred > 0) {
         const rmdFactor = getRMDFactor(age);
-        if (rmdFactor > 0) rmdAmount = taxDeferredBalanceForRMD / rmdFactor;
+        if (rmdFactor > 0) rmdAmount += primaryTaxDeferred / rmdFactor;
+      }
+      if (spouse && spouseAlive && spouseAge >= spouse.rmdStartAge && spouseTaxDeferred > 0) {
+        const spouseRmdFactor = getRMDFactor(spouseAge);
+        if (spouseRmdFactor > 0) rmdAmount += spouseTaxDeferred / spouseRmdFactor;
       }
       
       if (rmdAmount > 0) {
@@ -3257,15 +3530,11 @@ export function runUnifiedProjection({
       // In retirement, dividend income adds to available income to fund spending
       // Use estimatedDividendIncome here (calculated before withdrawals) to properly reduce withdrawal needs
       // Include life event income (inheritance, windfall, etc.) AND loan proceeds - already invested but also reduces withdrawal need
-      const totalRetirementIncome = otherRetirementIncome + socialSecurityIncome + estimatedDividendIncome + yearLifeEventIncome + yearLoanProceeds;
-      const taxableSocialSecurity = calculateTaxableSocialSecurity(socialSecurityIncome, otherRetirementIncome + desiredWithdrawal, filingStatus);
-      const totalOtherIncomeForTax = otherRetirementIncome + taxableSocialSecurity + rmdWithdrawn + yearLifeEventTaxableIncome;
-      
-
-
-      // Calculate taxable income for retirement year (ordinary income portion)
-      yearTaxableIncome = Math.max(0, totalOtherIncomeForTax + yearRothConversion - currentStandardDeduction);
-      const federalTaxOnOtherIncome = calculateProgressiveIncomeTax(yearTaxableIncome, filingStatus, year);
+      // A spouse still working adds their take-home pay (pre-tax contributions go to their accounts)
+      const spouseWagesAfterPreTax = yearSpouseEarnedIncome - yearSpouse401k - yearSpouseTraditionalIRA;
+      const totalRetirementIncome = otherRetirementIncome + socialSecurityIncome + estimatedDividendIncome + yearLifeEventIncome + yearLoanProceeds + spouseWagesAfterPreTax + yearEquity.cashFlow + yearEducation.nonQualifiedWithdrawal;
+      const taxableSocialSecurity = calculateTaxableSocialSecurity(socialSecurityIncome, otherRetirementIncome + spouseWagesAfterPreTax + desiredWithdrawal + yearRothConversion, filingStatus);
+      const totalOtherIncomeForTax = otherRetirementIncome + taxableSocialSecurity + rmdWithdrawn + yearLifeEventTaxableIncome + spouseWagesAfterPreTax + yearEquity.ordinaryIncome + yearEducation.taxableEarnings;
       
       const netSpendingNeed = Math.max(0, desiredWithdrawal - totalRetirementIncome - rmdWithdrawn);
       
@@ -3303,7 +3572,7 @@ export function runUnifiedProjection({
         nonQualifiedDividends: yearNonQualifiedDividends,
         filingStatus,
         age: age,
-        otherIncome: totalOtherIncomeForTax,
+        otherIncome: totalOtherIncomeForTax + yearRothConversion,
         year: year,
         inflationRate: effectiveInflation / 100,
       });
@@ -3311,33 +3580,45 @@ export function runUnifiedProjection({
       // Update Roth contribution basis after withdrawal
       runningRothContributionBasis = taxEstimate.newRothContributionBasis || runningRothContributionBasis;
 
-      // Calculate Roth earnings portion for state tax (before 59.5, earnings are taxable)
-      let retirementRothEarningsForStateTax = 0;
+      // Roth earnings withdrawn before 59.5 are taxable income
+      let retirementTaxableRothEarnings = 0;
       if (age < PENALTY_FREE_AGE && taxEstimate.fromTaxFree > 0) {
         // IRS ordering: contributions come out first, then earnings
         const rothContributionsUsed = Math.min(taxEstimate.fromTaxFree, runningRothContributionBasis);
-        retirementRothEarningsForStateTax = Math.max(0, taxEstimate.fromTaxFree - rothContributionsUsed);
+        retirementTaxableRothEarnings = Math.max(0, taxEstimate.fromTaxFree - rothContributionsUsed);
       }
-      
-      const stateTax = calculateStateTaxOnRetirement({
+
+      // The year's return with this year's withdrawals on it (penalties are tracked separately)
+      yearTaxReturn = calculateTaxReturn({
+        year,
+        filingStatus,
+        age,
+        seniorCount,
         state: stateOfResidence,
-        age: age,
-        filingStatus: filingStatus,
-        totalAGI: totalOtherIncomeForTax + cappedWithdrawal + retirementRothEarningsForStateTax,
-        socialSecurityIncome: socialSecurityIncome,
-        taxDeferredWithdrawal: (taxEstimate.fromTaxDeferred || 0) + retirementRothEarningsForStateTax, // Roth earnings taxed as ordinary income
-        taxableWithdrawal: prelimRetirementTaxable.withdrawn,
-        taxableGainPortion: prelimRetirementTaxable.shortTermGain + prelimRetirementTaxable.longTermGain,
-        pensionIncome: otherRetirementIncome,
-        year: year,
-        inflationRate: effectiveInflation / 100
+        inflationRate: effectiveInflation / 100,
+        wages: Math.max(0, spouseWagesAfterPreTax) + yearEquity.ordinaryIncome,
+        pensions: otherRetirementIncome,
+        socialSecurityBenefits: socialSecurityIncome,
+        iraDistributions: rmdWithdrawn + (taxEstimate.fromTaxDeferred || 0) + yearRothConversion + retirementTaxableRothEarnings,
+        qualifiedDividends: yearQualifiedDividends,
+        nonQualifiedDividends: yearNonQualifiedDividends,
+        shortTermGains: yearEquity.shortTermGains + prelimRetirementTaxable.shortTermGain,
+        longTermGains: yearEquity.longTermGains + prelimRetirementTaxable.longTermGain,
+        otherIncome: yearLifeEventTaxableIncome + yearEducation.taxableEarnings,
+        amtPreferences: yearEquity.isoPreference,
+        priorAmtCredit: amtCreditCarryforward,
+        additionalTax: yearEducation.penalty,
+        plan529Contributions: yearEducation.contributions,
+        priorShortTermLossCarryover: shortTermLossCarryover,
+        priorLongTermLossCarryover: longTermLossCarryover,
+        explain: explainTaxes,
       });
-
-      // Separate penalties from taxes (taxEstimate.totalTax includes penalties)
-      const withdrawalTaxOnly = (taxEstimate.totalTax || 0) - (taxEstimate.totalPenalty || 0);
-      federalTaxPaid = federalTaxOnOtherIncome + withdrawalTaxOnly;
-      stateTaxPaid = stateTax;
-      taxesPaid = federalTaxOnOtherIncome + withdrawalTaxOnly + stateTax;
+      federalTaxPaid = yearTaxReturn.federalTax;
+      stateTaxPaid = yearTaxReturn.stateTax;
+      taxesPaid = yearTaxReturn.totalTax + yearIrmaaSurcharge;
+      yearMagi = yearTaxReturn.magi;
+      yearTaxableIncome = yearTaxReturn.taxableIncome;
+      yearTaxableSocialSecurity = yearTaxReturn.taxableSocialSecurity;
       penaltyPaid = taxEstimate.totalPenalty || 0;
       shortTermGainsTax += (taxEstimate.taxOnShortTermGains || 0);
       longTermGainsTax += (taxEstimate.taxOnLongTermGains || 0);
@@ -3370,7 +3651,7 @@ export function runUnifiedProjection({
       }
       
       if (retirementTaxDeferredContributions > 0) {
-        addToAccount('taxDeferred', retirementTaxDeferredContributions);
+        addTaxDeferredContributions(retirementTaxDeferredContributions, yearSpouseTaxDeferredContributions);
       }
       if (retirementTaxFreeContributions > 0) {
         addToAccount('taxFree', retirementTaxFreeContributions);
@@ -3798,6 +4079,13 @@ export function runUnifiedProjection({
 
 
 
+    magiByYear[year] = yearMagi;
+    if (yearTaxReturn) {
+      amtCreditCarryforward = yearTaxReturn.amtCreditCarryforward;
+      shortTermLossCarryover = yearTaxReturn.shortTermLossCarryover;
+      longTermLossCarryover = yearTaxReturn.longTermLossCarryover;
+    }
+
     results.push({
       year,
       age,
@@ -3829,6 +4117,16 @@ export function runUnifiedProjection({
       yearSpending: !isRetired ? Math.round(yearSpending) : 0,
       otherRetirementIncome: isRetired ? Math.round(otherRetirementIncome) : 0,
       socialSecurityIncome: Math.round(socialSecurityIncome),
+      spousalBenefit: Math.round(householdSocialSecurity.spousalBenefit),
+      survivorBenefit: Math.round(householdSocialSecurity.survivorBenefit),
+      taxableSocialSecurity: Math.round(yearTaxableSocialSecurity),
+
+      // Household
+      spouseAge,
+      primaryAlive,
+      spouseAlive,
+      filingStatus,
+      spouseEarnedIncome: Math.round(yearSpouseEarnedIncome),
       
       // Withdrawals
       isWithdrawing: isRetired || yearSavings < 0,
@@ -3848,9 +4146,26 @@ export function runUnifiedProjection({
       taxesPaid: Math.round(taxesPaid),
       federalTaxPaid: Math.round(federalTaxPaid),
       stateTaxPaid: Math.round(stateTaxPaid),
+      irmaaSurcharge: Math.round(yearIrmaaSurcharge),
+      magi: Math.round(yearMagi),
       penaltyPaid: Math.round(penaltyPaid),
       taxableIncome: Math.round(yearTaxableIncome),
+      taxReturn: explainTaxes ? yearTaxReturn : null,
+      equityIncome: Math.round(yearEquity.ordinaryIncome),
+      equityCashFlow: Math.round(yearEquity.cashFlow),
+      amtPaid: Math.round(yearTaxReturn?.amt || 0),
+      amtCreditCarryforward: Math.round(amtCreditCarryforward),
+      capitalLossCarryover: Math.round(shortTermLossCarryover + longTermLossCarryover),
       canAccessPenaltyFree: age >= PENALTY_FREE_AGE,
+
+      // Education (529 plans; the balance is outside the portfolio totals)
+      education529Contributions: Math.round(yearEducation.contributions),
+      educationCosts: Math.round(yearEducation.educationCosts),
+      education529Withdrawals: Math.round(yearEducation.qualifiedWithdrawals),
+      educationShortfall: Math.round(yearEducation.shortfall),
+      education529RothRollover: Math.round(yearEducation.rothRollover),
+      education529NonQualifiedWithdrawal: Math.round(yearEducation.nonQualifiedWithdrawal),
+      education529Balance: Math.round(yearEducation.balance),
       
       // RMD
       rmdAmount: Math.round(rmdAmount),
@@ -3860,6 +4175,7 @@ export function runUnifiedProjection({
       
       // Debt tracking
       debtPayments: Math.round(actualAnnualDebtPayments),
+      extraDebtPayments: Math.round(yearExtraDebtPayments),
       loanPayoffs: yearLoanPayoffs,
       debtPayoffs: thisYearDebtPayoffs,
       liquidations: yearLiquidations,
@@ -3938,6 +4254,11 @@ export function runUnifiedProjection({
       
       // Roth conversion tracking
       rothConversion: Math.round(yearRothConversion),
+      
+      // Spending policy tracking (base retirement spending actually used this year)
+      retirementSpending: isRetired ? Math.round(yearSpending) : 0,
+      spendingAdjustment: isRetired ? yearSpendingAdjustment : null,
+      withdrawalRate: isRetired && Number.isFinite(yearWithdrawalRate) ? yearWithdrawalRate * 100 : 0,
     });
   }
   
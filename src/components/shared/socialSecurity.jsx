@@ -0,0 +1,195 @@
+// components/shared/socialSecurity.js
+// Social Security benefit rules: PIA from an SSA earnings record, claiming-age adjustments for
+// retirement, spousal and survivor benefits, and parsing the my Social Security XML statement.
+// Kept free of the base44 client so the projection (and its Web Worker) can import it; the PDF
+// statement import lives in SocialSecurityOptimizer.
+//
+// Benefits are in today's dollars like the rest of the plan inputs: earnings are wage-indexed to
+// the latest published national average wage index and run through the bend points of the year
+// that index sets (two years later), which is how SSA's own statement estimates are built.
+
+import { SOCIAL_SECURITY, getYearData, getFullRetirementAge } from '@/components/shared/taxData';
+
+// National Average Wage Index (SSA), used to index past earnings
+export const AVERAGE_WAGE_INDEX = {
+  1951: 2799.16, 1952: 2973.32, 1953: 3139.44, 1954: 3155.64, 1955: 3301.44,
+  1956: 3532.36, 1957: 3641.72, 1958: 3673.80, 1959: 3855.80, 1960: 4007.12,
+  1961: 4086.76, 1962: 4291.40, 1963: 4396.64, 1964: 4576.32, 1965: 4658.72,
+  1966: 4938.36, 1967: 5213.44, 1968: 5571.76, 1969: 5893.76, 1970: 6186.24,
+  1971: 6497.08, 1972: 7133.80, 1973: 7580.16, 1974: 8030.76, 1975: 8630.92,
+  1976: 9226.48, 1977: 9779.44, 1978: 10556.03, 1979: 11479.46, 1980: 12513.46,
+  1981: 13773.10, 1982: 14531.34, 1983: 15239.24, 1984: 16135.07, 1985: 16822.51,
+  1986: 17321.82, 1987: 18426.51, 1988: 19334.04, 1989: 20099.55, 1990: 21027.98,
+  1991: 21811.60, 1992: 22935.42, 1993: 23132.67, 1994: 23753.53, 1995: 24705.66,
+  1996: 25913.90, 1997: 27426.00, 1998: 28861.44, 1999: 30469.84, 2000: 32154.82,
+  2001: 32921.92, 2002: 33252.09, 2003: 34064.95, 2004: 35648.55, 2005: 36952.94,
+  2006: 38651.41, 2007: 40405.48, 2008: 41334.97, 2009: 40711.61, 2010: 41673.83,
+  2011: 42979.61, 2012: 44321.67, 2013: 44888.16, 2014: 46481.52, 2015: 48098.63,
+  2016: 48642.15, 2017: 50321.89, 2018: 52145.80, 2019: 54099.99, 2020: 55628.60,
+  2021: 60575.07, 2022: 63795.13, 2023: 66621.80,
+};
+
+export const EARLIEST_CLAIMING_AGE = 62;
+export const LATEST_CLAIMING_AGE = 70;
+export const SURVIVOR_EARLIEST_AGE = 60;
+
+const COMPUTATION_YEARS = 35;
+const SURVIVOR_MAX_REDUCTION = 0.285; // At age 60
+const WIDOW_LIMIT_PIA_SHARE = 0.825; // RIB-LIM floor when the deceased claimed early
+
+const LATEST_AWI_YEAR = Math.max(...Object.keys(AVERAGE_WAGE_INDEX).map(Number));
+
+/** Full retirement age in years (e.g. 66.5 for someone born in 1957). */
+export function getFullRetirementAgeYears(birthYear) {
+  const { years, months } = getFullRetirementAge(birthYear);
+  return years + months / 12;
+}
+
+const monthsFromFra = (age, birthYear) => Math.round((age - getFullRetirementAgeYears(birthYear)) * 12);
+
+/**
+ * Retirement benefit as a share of PIA when claimed at claimingAge: 5/9% per month for the first
+ * 36 months before FRA and 5/12% per month beyond, or 2/3% per month of delayed credits up to 70.
+ */
+export function getClaimingFactor(claimingAge, birthYear) {
+  const months = monthsFromFra(Math.min(claimingAge, LATEST_CLAIMING_AGE), birthYear);
+  if (months >= 0) return 1 + months * (2 / 3) / 100;
+  const early = -months;
+  return 1 - (Math.min(36, early) * 5 / 9 + Math.max(0, early - 36) * 5 / 12) / 100;
+}
+
+/**
+ * Spousal benefit as a share of the full spousal amount (half the worker's PIA): 25/36% per month
+ * for the first 36 months before FRA and 5/12% per month beyond. There are no delayed credits.
+ */
+export function getSpousalFactor(claimingAge, birthYear) {
+  const early = Math.max(0, -monthsFromFra(claimingAge, birthYear));
+  return 1 - (Math.min(36, early) * 25 / 36 + Math.max(0, early - 36) * 5 / 12) / 100;
+}
+
+/**
+ * Survivor benefit as a share of the deceased's benefit: reduced linearly to 71.5% at 60.
+ * Uses the retirement FRA, which differs from the survivor FRA by at most a few months.
+ */
+export function getSurvivorFactor(startAge, birthYear) {
+  const fra = getFullRetirementAgeYears(birthYear);
+  const early = Math.max(0, -monthsFromFra(startAge, birthYear));
+  const window = Math.round((fra - SURVIVOR_EARLIEST_AGE) * 12);
+  return window > 0 ? 1 - SURVIVOR_MAX_REDUCTION * Math.min(early, window) / window : 1;
+}
+
+/**
+ * Amount the survivor benefit is based on: the deceased's own benefit, at least 82.5% of their
+ * PIA if they claimed early, or, if they died before claiming, their PIA plus any delayed credits
+ * earned by the age they died.
+ *
+ * @param {Object} deceased - { pia, amount, startAge, birthYear, deathAge } (annual amounts)
+ */
+export function getDeceasedBenefitBase({ pia, amount, startAge, birthYear, deathAge }) {
+  if (startAge <= deathAge) {
+    return startAge < getFullRetirementAgeYears(birthYear) ? Math.max(amount, pia * WIDOW_LIMIT_PIA_SHARE) : amount;
+  }
+  return pia * Math.max(1, getClaimingFactor(deathAge, birthYear));
+}
+
+/**
+ * Primary Insurance Amount from an earnings record.
+ *
+ * @param {Array} earnings - [{ year, amount }] taxed Social Security earnings
+ * @param {Object} options
+ * @param {number} options.birthYear
+ * @param {number} [options.futureAnnualEarnings] - Assumed earnings (today's $) for years not yet on the record
+ * @param {number} [options.stopWorkingAge] - Last age with futureAnnualEarnings (exclusive); defaults to 62
+ * @param {number} [options.currentYear]
+ * @returns {Object} { aime, monthlyPia, annualPia, bendPoints, yearsWithEarnings, indexYear }
+ */
+export function calculatePIA(earnings, { birthYear, futureAnnualEarnings = 0, stopWorkingAge = null, currentYear = new Date().getFullYear() }) {
+  const bendPointYear = LATEST_AWI_YEAR + 2;
+  const { bendPoint1, bendPoint2, wageBase } = getYearData(SOCIAL_SECURITY, bendPointYear);
+  const indexAwi = AVERAGE_WAGE_INDEX[LATEST_AWI_YEAR];
+
+  const byYear = new Map();
+  (earnings || []).forEach(({ year, amount }) => {
+    if (year >= birthYear && amount > 0) {
+      const awi = AVERAGE_WAGE_INDEX[year];
+      const indexed = awi ? amount * indexAwi / awi : amount; // years after the latest index count at face value
+      byYear.set(year, (byYear.get(year) || 0) + indexed);
+    }
+  });
+
+  // Years still to be worked (through the year before stopping, and never past age 70)
+  const lastRecordYear = Math.max(currentYear - 1, ...byYear.keys());
+  const stopYear = birthYear + Math.min(stopWorkingAge ?? EARLIEST_CLAIMING_AGE, LATEST_CLAIMING_AGE);
+  if (futureAnnualEarnings > 0) {
+    for (let year = lastRecordYear + 1; year < stopYear; year++) {
+      byYear.set(year, Math.min(futureAnnualEarnings, wageBase));
+    }
+  }
+
+  const topYears = [...byYear.values()].sort((a, b) => b - a).slice(0, COMPUTATION_YEARS);
+  const aime = Math.floor(topYears.reduce((sum, amount) => sum + amount, 0) / (COMPUTATION_YEARS * 12));
+
+  const rawPia = 0.9 * Math.min(aime, bendPoint1) +
+    0.32 * Math.max(0, Math.min(aime, bendPoint2) - bendPoint1) +
+    0.15 * Math.max(0, aime - bendPoint2);
+  const monthlyPia = Math.floor(rawPia * 10) / 10; // SSA rounds the PIA down to the dime
+
+  return {
+    aime,
+    monthlyPia,
+    annualPia: Math.round(monthlyPia * 12),
+    bendPoints: [bendPoint1, bendPoint2],
+    yearsWithEarnings: topYears.filter(amount => amount > 0).length,
+    indexYear: LATEST_AWI_YEAR,
+  };
+}
+
+/** Annual retirement benefit (today's $) when claiming at claimingAge. */
+export function getBenefitAtClaimingAge(annualPia, claimingAge, birthYear) {
+  return Math.round(annualPia * getClaimingFactor(claimingAge, birthYear));
+}
+
+/** Annual PIA implied by a benefit amount claimed at claimingAge (for custom or estimated inputs). */
+export function getPiaFromBenefit(annualBenefit, claimingAge, birthYear) {
+  const factor = getClaimingFactor(claimingAge, birthYear);
+  return factor > 0 ? (annualBenefit || 0) / factor : 0;
+}
+
+export const parseAmount = (value) => parseFloat(String(value).replace(/[$,\s]/g, '')) || 0;
+
+/**
+ * Parse the XML download of the my Social Security statement.
+ *
+ * @param {string} xml
+ * @returns {Object} Earnings record { source, imported_at, name, birth_year, earnings: [{ year, amount }] }
+ */
+export function parseSSAStatementXML(xml) {
+  const tag = (name) => new RegExp(`<(?:[\\w-]+:)?${name}[^>]*>([^<]*)</(?:[\\w-]+:)?${name}>`, 'i');
+  const earnings = [];
+  const earningsPattern = /<(?:[\w-]+:)?Earnings\s+([^>]*)>([\s\S]*?)<\/(?:[\w-]+:)?Earnings>/gi;
+
+  let match;
+  while ((match = earningsPattern.exec(xml)) !== null) {
+    const startYear = parseInt(/startYear="(\d{4})"/i.exec(match[1])?.[1]);
+    const endYear = parseInt(/endYear="(\d{4})"/i.exec(match[1])?.[1]) || startYear;
+    const fica = tag('FicaEarnings').exec(match[2]);
+    // Multi-year rows only appear for early careers; spread them evenly
+    if (startYear && fica) {
+      const perYear = parseAmount(fica[1]) / (endYear - startYear + 1);
+      for (let year = startYear; year <= endYear; year++) earnings.push({ year, amount: perYear });
+    }
+  }
+
+  if (earnings.length === 0) {
+    throw new Error('No earnings found. Download the XML file from the Earnings Record page of my Social Security.');
+  }
+
+  const dateOfBirth = tag('DateOfBirth').exec(xml)?.[1] || '';
+  return {
+    source: 'xml',
+    imported_at: new Date().toISOString(),
+    name: tag('Name').exec(xml)?.[1]?.trim() || '',
+    birth_year: parseInt(dateOfBirth.slice(0, 4)) || null,
+    earnings: earnings.sort((a, b) => a.year - b.year),
+  };
+}
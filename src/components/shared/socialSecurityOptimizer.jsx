@@ -0,0 +1,152 @@
+// components/shared/socialSecurityOptimizer.js
+// Tries every Social Security claiming-age combination (62-70 for each person) by re-running
+// runUnifiedProjection. Benefits (with spousal top-ups and survivor benefits) come from the same
+// household rules the projection uses, so they keep counting after a portfolio would run out;
+// the tax on them and the effect on the portfolio come from the projection itself.
+
+import { runUnifiedProjection } from '@/components/shared/runProjection';
+import { calculateProgressiveIncomeTax } from '@/components/shared/taxConfig';
+import { calculateHouseholdSocialSecurity } from '@/components/shared/household';
+import {
+  EARLIEST_CLAIMING_AGE,
+  LATEST_CLAIMING_AGE,
+  getBenefitAtClaimingAge,
+  getPiaFromBenefit,
+} from '@/components/shared/socialSecurity';
+
+export const SS_OPTIMIZER_RANKINGS = [
+  { value: 'after_tax_benefit', label: 'Lifetime After-Tax Benefit', desc: "Benefits less the federal tax on them, in today's dollars" },
+  { value: 'plan_success', label: 'Plan Success', desc: 'Portfolio lasts longest, then the largest ending portfolio' },
+];
+
+// Claiming ages still open to someone: from 62 (or today) to 70. Anyone already past 70 keeps their age.
+function getClaimingAges(currentAge, currentStartAge) {
+  if (currentAge > LATEST_CLAIMING_AGE || currentStartAge < currentAge) return [currentStartAge];
+  const ages = [];
+  for (let age = Math.max(EARLIEST_CLAIMING_AGE, currentAge); age <= LATEST_CLAIMING_AGE; age++) ages.push(age);
+  return ages;
+}
+
+/**
+ * Lifetime benefit metrics for one projection. Federal tax on benefits is the tax on the top
+ * `taxableSocialSecurity` dollars of each year's taxable income.
+ */
+function summarizeClaiming(result, params) {
+  const inflationRate = params.effectiveInflation ?? 3;
+  const primary = {
+    currentAge: params.currentAge,
+    lifeExpectancy: params.lifeExpectancy,
+    amount: params.effectiveSocialSecurity,
+    startAge: params.socialSecurityStartAge,
+  };
+  const rows = result.yearByYear || [];
+  let lifetimeBenefit = 0;
+  let lifetimeBenefitReal = 0;
+  let lifetimeAfterTaxReal = 0;
+  let lifetimeSpousalReal = 0;
+  let lifetimeSurvivorReal = 0;
+
+  rows.forEach((row, i) => {
+    const discount = Math.pow(1 + inflationRate / 100, i);
+    const household = calculateHouseholdSocialSecurity({ yearIndex: i, inflationRate, primary, spouse: params.spouse });
+    const benefit = household.total;
+    const taxable = Math.min(row.taxableSocialSecurity || 0, row.taxableIncome || 0);
+    const benefitTax = taxable > 0
+      ? calculateProgressiveIncomeTax(row.taxableIncome, row.filingStatus, row.year) -
+        calculateProgressiveIncomeTax(row.taxableIncome - taxable, row.filingStatus, row.year)
+      : 0;
+
+    lifetimeBenefit += benefit;
+    lifetimeBenefitReal += benefit / discount;
+    lifetimeAfterTaxReal += (benefit - benefitTax) / discount;
+    lifetimeSpousalReal += household.spousalBenefit / discount;
+    lifetimeSurvivorReal += household.survivorBenefit / discount;
+  });
+
+  const finalRow = rows[rows.length - 1] || {};
+  return {
+    survives: result.survives,
+    depleteAge: result.depleteAge,
+    lifetimeBenefit,
+    lifetimeBenefitReal,
+    lifetimeAfterTaxReal,
+    lifetimeSpousalReal,
+    lifetimeSurvivorReal,
+    finalPortfolioReal: (finalRow.total || 0) / Math.pow(1 + inflationRate / 100, Math.max(0, rows.length - 1)),
+  };
+}
+
+// Negative when `a` is the better combination
+function compareByPlan(a, b) {
+  if (a.survives !== b.survives) return a.survives ? -1 : 1;
+  if (!a.survives && a.depleteAge !== b.depleteAge) return (b.depleteAge || 0) - (a.depleteAge || 0);
+  return (b.finalPortfolioReal - a.finalPortfolioReal) || (b.lifetimeAfterTaxReal - a.lifetimeAfterTaxReal);
+}
+
+const compareByBenefit = (a, b) => b.lifetimeAfterTaxReal - a.lifetimeAfterTaxReal;
+
+/**
+ * Evaluate every claiming-age combination for the household in baseParams.
+ *
+ * Each person's PIA is implied by their current benefit and claiming age (which already reflects
+ * an imported earnings record), so custom amounts are optimized the same way.
+ *
+ * @param {Object} baseParams - Params for runUnifiedProjection (e.g. from buildProjectionParams)
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Optional callback ({ evaluations, total })
+ * @returns {Object} { combinations, bestByBenefit, bestByPlan, current, primaryPia, spousePia, evaluations }
+ */
+export function optimizeSocialSecurityClaiming(baseParams, { onProgress = null } = {}) {
+  const { currentAge, socialSecurityStartAge, effectiveSocialSecurity, spouse = null } = baseParams;
+  const birthYear = new Date().getFullYear() - currentAge;
+
+  const primaryPia = getPiaFromBenefit(effectiveSocialSecurity, socialSecurityStartAge, birthYear);
+  const spousePia = spouse ? getPiaFromBenefit(spouse.effectiveSocialSecurity, spouse.socialSecurityStartAge, spouse.birthYear) : null;
+
+  const primaryAges = getClaimingAges(currentAge, socialSecurityStartAge);
+  const spouseAges = spouse ? getClaimingAges(spouse.currentAge, spouse.socialSecurityStartAge) : [null];
+  const total = primaryAges.length * spouseAges.length;
+
+  const combinations = [];
+  for (const primaryAge of primaryAges) {
+    for (const spouseAge of spouseAges) {
+      const params = {
+        ...baseParams,
+        socialSecurityStartAge: primaryAge,
+        effectiveSocialSecurity: getBenefitAtClaimingAge(primaryPia, primaryAge, birthYear),
+        spouse: spouse ? {
+          ...spouse,
+          socialSecurityStartAge: spouseAge,
+          effectiveSocialSecurity: getBenefitAtClaimingAge(spousePia, spouseAge, spouse.birthYear),
+        } : null,
+        projectionType: 'ssOptimizer',
+        DEBUG: false,
+      };
+      const result = runUnifiedProjection(params);
+
+      combinations.push({
+        primaryAge,
+        spouseAge,
+        primaryBenefit: params.effectiveSocialSecurity,
+        spouseBenefit: params.spouse?.effectiveSocialSecurity ?? null,
+        ...summarizeClaiming(result, params),
+        rankByBenefit: null,
+        rankByPlan: null,
+      });
+      if (onProgress) onProgress({ evaluations: combinations.length, total });
+    }
+  }
+
+  [...combinations].sort(compareByBenefit).forEach((combo, i) => { combo.rankByBenefit = i + 1; });
+  [...combinations].sort(compareByPlan).forEach((combo, i) => { combo.rankByPlan = i + 1; });
+
+  return {
+    combinations,
+    bestByBenefit: combinations.find(c => c.rankByBenefit === 1),
+    bestByPlan: combinations.find(c => c.rankByPlan === 1),
+    current: combinations.find(c => c.primaryAge === socialSecurityStartAge && c.spouseAge === (spouse ? spouse.socialSecurityStartAge : null)) || null,
+    primaryPia,
+    spousePia,
+    evaluations: combinations.length,
+  };
+}
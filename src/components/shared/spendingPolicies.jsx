@@ -0,0 +1,130 @@
+// components/shared/spendingPolicies.js
+// Dynamic retirement spending rules used by runUnifiedProjection.
+// Each policy turns last year's spending + current portfolio state into this year's base spending.
+
+export const SPENDING_POLICY_OPTIONS = [
+  { value: 'fixed', label: 'Fixed (Inflation-Adjusted)', desc: 'Same real spending every year' },
+  { value: 'guardrails', label: 'Guyton-Klinger Guardrails', desc: 'Cut or raise 10% when withdrawal rate drifts 20%' },
+  { value: 'vpw', label: 'Variable Percentage', desc: 'Amortize the portfolio over remaining years' },
+  { value: 'floor_ceiling', label: 'Floor & Ceiling', desc: 'Fixed % of portfolio, bounded by a floor and ceiling' },
+  { value: 'skip_inflation', label: 'Skip Raise After Down Year', desc: 'No inflation raise after a negative year' },
+];
+
+export const DEFAULT_SPENDING_POLICY = {
+  type: 'fixed',
+  // Guyton-Klinger
+  upperGuardrailPercent: 20,   // Capital preservation: cut when withdrawal rate > initial × 1.20
+  lowerGuardrailPercent: 20,   // Prosperity: raise when withdrawal rate < initial × 0.80
+  adjustmentPercent: 10,       // Size of each cut/raise
+  guardrailSunsetYears: 15,    // Capital preservation rule not applied in the final N years
+  // Variable percentage withdrawal
+  vpwRealReturn: 5,            // Expected real return used in the amortization rate
+  // Floor & ceiling (percent of the inflation-adjusted target)
+  floorPercent: 85,
+  ceilingPercent: 120,
+};
+
+/**
+ * Normalize a stored spending policy (UserSettings / Scenario) into a complete config.
+ * Accepts a policy object, a bare type string, or null (fixed).
+ */
+export function normalizeSpendingPolicy(policy) {
+  if (!policy) return { ...DEFAULT_SPENDING_POLICY };
+  if (typeof policy === 'string') return { ...DEFAULT_SPENDING_POLICY, type: policy };
+  return { ...DEFAULT_SPENDING_POLICY, ...policy, type: policy.type || 'fixed' };
+}
+
+// Annual payout rate that exhausts a portfolio over `years` at `realReturnPct` (annuity formula)
+export function getVpwRate(years, realReturnPct) {
+  const n = Math.max(1, years);
+  const r = realReturnPct / 100;
+  if (Math.abs(r) < 1e-9) return 1 / n;
+  return r / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * Calculate this year's base retirement spending under the selected policy.
+ *
+ * @param {Object} policy - Normalized policy (see normalizeSpendingPolicy)
+ * @param {Object} state - Mutable policy state carried across years ({ initialWithdrawalRate, previousSpending })
+ * @param {Object} inputs
+ * @param {number} inputs.targetSpending - Fixed-rule spending for this year (nominal, inflation-adjusted)
+ * @param {number} inputs.portfolioValue - Liquid portfolio value available for withdrawals
+ * @param {number} inputs.inflationRate - Inflation for this year (percent)
+ * @param {number|null} inputs.portfolioReturn - Portfolio return for the year just ended (percent), null if unknown
+ * @param {number} inputs.yearsRemaining - Years left through life expectancy, including this one
+ * @param {boolean} inputs.isFirstYear - First retirement year (sets the initial withdrawal rate)
+ * @returns {{ spending: number, adjustment: string|null, withdrawalRate: number }}
+ */
+export function calculatePolicySpending(policy, state, {
+  targetSpending,
+  portfolioValue,
+  inflationRate,
+  portfolioReturn,
+  yearsRemaining,
+  isFirstYear,
+}) {
+  const withdrawalRateFor = (spending) => (portfolioValue > 0 ? spending / portfolioValue : Infinity);
+
+  if (isFirstYear || state.previousSpending == null) {
+    state.initialWithdrawalRate = portfolioValue > 0 ? targetSpending / portfolioValue : 0;
+    let spending = targetSpending;
+    if (policy.type === 'vpw') {
+      spending = portfolioValue * getVpwRate(yearsRemaining, policy.vpwRealReturn);
+    }
+    state.previousSpending = spending;
+    return { spending, adjustment: null, withdrawalRate: withdrawalRateFor(spending) };
+  }
+
+  const inflationMultiplier = 1 + inflationRate / 100;
+  const wasDownYear = portfolioReturn !== null && portfolioReturn < 0;
+  let spending;
+  let adjustment = null;
+
+  switch (policy.type) {
+    case 'guardrails': {
+      const initialRate = state.initialWithdrawalRate;
+      // Withdrawal rule: skip the inflation raise after a losing year if the rate is above initial
+      spending = state.previousSpending * inflationMultiplier;
+      if (wasDownYear && withdrawalRateFor(spending) > initialRate) {
+        spending = state.previousSpending;
+        adjustment = 'skip_inflation';
+      }
+      const currentRate = withdrawalRateFor(spending);
+      const upperLimit = initialRate * (1 + policy.upperGuardrailPercent / 100);
+      const lowerLimit = initialRate * (1 - policy.lowerGuardrailPercent / 100);
+      if (currentRate > upperLimit && yearsRemaining > policy.guardrailSunsetYears) {
+        spending *= 1 - policy.adjustmentPercent / 100;
+        adjustment = 'cut';
+      } else if (currentRate < lowerLimit) {
+        spending *= 1 + policy.adjustmentPercent / 100;
+        adjustment = 'raise';
+      }
+      break;
+    }
+    case 'vpw': {
+      spending = Math.max(0, portfolioValue) * getVpwRate(yearsRemaining, policy.vpwRealReturn);
+      break;
+    }
+    case 'floor_ceiling': {
+      const rawSpending = Math.max(0, portfolioValue) * state.initialWithdrawalRate;
+      const floor = targetSpending * (policy.floorPercent / 100);
+      const ceiling = targetSpending * (policy.ceilingPercent / 100);
+      spending = Math.min(ceiling, Math.max(floor, rawSpending));
+      if (rawSpending < floor) adjustment = 'floor';
+      else if (rawSpending > ceiling) adjustment = 'ceiling';
+      break;
+    }
+    case 'skip_inflation': {
+      spending = wasDownYear ? state.previousSpending : state.previousSpending * inflationMultiplier;
+      if (wasDownYear) adjustment = 'skip_inflation';
+      break;
+    }
+    case 'fixed':
+    default:
+      spending = targetSpending;
+  }
+
+  state.previousSpending = spending;
+  return { spending, adjustment, withdrawalRate: withdrawalRateFor(spending) };
+}
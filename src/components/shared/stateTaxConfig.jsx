@@ -2,7 +2,8 @@
 // STATE TAX CONFIGURATION - COMPLETE VERSION
 // Last updated: 2025
 // Base year: 2026. Brackets inflate automatically for future projection years.
-// Includes: brackets, standard deductions, LTCG treatment
+// Includes: brackets, standard deductions, LTCG treatment, 529 contribution deductions
+// (plan529Deduction is the yearly cap per return; credit states - IN, MN, OR, UT, VT - aren't modeled)
 // ===========================================
 
 export const STATE_TAX_CONFIG = {
@@ -165,50 +166,51 @@ export const STATE_TAX_CONFIG = {
     taxesRetirement: true,
     retirementDeduction: 20000,
     retirementDeductionAge: 59.5, 
-    taxesPension: false 
+    taxesPension: false,
+    plan529Deduction: { single: 5000, married: 10000 }
   },
 
   // ===== REMAINING STATES WITH COMPLETE DATA =====
-  AL: { name: 'Alabama', hasIncomeTax: true, brackets: [{ min: 0, max: 500, rate: 2 }, { min: 500, max: 3000, rate: 4 }, { min: 3000, max: Infinity, rate: 5 }], standardDeduction: { single: 3000, married: 8500 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 6000, retirementDeductionAge: 65, taxesPension: false },
-  AZ: { name: 'Arizona', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 2.5 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', ltcgDeductionPercent: 25, taxesSS: false, taxesRetirement: true, taxesPension: true },
-  AR: { name: 'Arkansas', hasIncomeTax: true, brackets: [{ min: 0, max: 5100, rate: 0 }, { min: 5100, max: 10300, rate: 2 }, { min: 10300, max: 15400, rate: 3 }, { min: 15400, max: 26800, rate: 3.4 }, { min: 26800, max: Infinity, rate: 3.9 }], standardDeduction: { single: 2340, married: 4680 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 6000, taxesPension: true },
-  CO: { name: 'Colorado', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.4 }], standardDeduction: { single: 15000, married: 30000 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptAge: 55, ssExemptSingleAGI: 75000, ssExemptJointAGI: 95000, taxesRetirement: true, retirementDeduction: 24000, retirementDeductionAge: 65, taxesPension: true },
-  CT: { name: 'Connecticut', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 3 }, { min: 10000, max: 50000, rate: 5 }, { min: 50000, max: 100000, rate: 5.5 }, { min: 100000, max: 200000, rate: 6 }, { min: 200000, max: 250000, rate: 6.5 }, { min: 250000, max: 500000, rate: 6.9 }, { min: 500000, max: Infinity, rate: 6.99 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 15000, married: 24000 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptSingleAGI: 75000, ssExemptJointAGI: 100000, ssPartialExemptPct: 75, taxesRetirement: true, taxesPension: true },
-  DE: { name: 'Delaware', hasIncomeTax: true, brackets: [{ min: 0, max: 2000, rate: 0 }, { min: 2000, max: 5000, rate: 2.2 }, { min: 5000, max: 10000, rate: 3.9 }, { min: 10000, max: 20000, rate: 4.8 }, { min: 20000, max: 25000, rate: 5.2 }, { min: 25000, max: 60000, rate: 5.55 }, { min: 60000, max: Infinity, rate: 6.6 }], standardDeduction: { single: 3250, married: 6500 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 12500, retirementDeductionAge: 60, taxesPension: true },
-  GA: { name: 'Georgia', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 5.39 }], standardDeduction: { single: 12000, married: 24000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 65000, retirementDeductionAge: 65, taxesPension: true },
+  AL: { name: 'Alabama', hasIncomeTax: true, brackets: [{ min: 0, max: 500, rate: 2 }, { min: 500, max: 3000, rate: 4 }, { min: 3000, max: Infinity, rate: 5 }], standardDeduction: { single: 3000, married: 8500 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 6000, retirementDeductionAge: 65, taxesPension: false, plan529Deduction: { single: 5000, married: 10000 } },
+  AZ: { name: 'Arizona', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 2.5 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', ltcgDeductionPercent: 25, taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 2000, married: 4000 } },
+  AR: { name: 'Arkansas', hasIncomeTax: true, brackets: [{ min: 0, max: 5100, rate: 0 }, { min: 5100, max: 10300, rate: 2 }, { min: 10300, max: 15400, rate: 3 }, { min: 15400, max: 26800, rate: 3.4 }, { min: 26800, max: Infinity, rate: 3.9 }], standardDeduction: { single: 2340, married: 4680 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 6000, taxesPension: true, plan529Deduction: { single: 5000, married: 10000 } },
+  CO: { name: 'Colorado', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.4 }], standardDeduction: { single: 15000, married: 30000 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptAge: 55, ssExemptSingleAGI: 75000, ssExemptJointAGI: 95000, taxesRetirement: true, retirementDeduction: 24000, retirementDeductionAge: 65, taxesPension: true, plan529Deduction: { single: 25400, married: 38100 } },
+  CT: { name: 'Connecticut', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 3 }, { min: 10000, max: 50000, rate: 5 }, { min: 50000, max: 100000, rate: 5.5 }, { min: 100000, max: 200000, rate: 6 }, { min: 200000, max: 250000, rate: 6.5 }, { min: 250000, max: 500000, rate: 6.9 }, { min: 500000, max: Infinity, rate: 6.99 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 15000, married: 24000 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptSingleAGI: 75000, ssExemptJointAGI: 100000, ssPartialExemptPct: 75, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 5000, married: 10000 } },
+  DE: { name: 'Delaware', hasIncomeTax: true, brackets: [{ min: 0, max: 2000, rate: 0 }, { min: 2000, max: 5000, rate: 2.2 }, { min: 5000, max: 10000, rate: 3.9 }, { min: 10000, max: 20000, rate: 4.8 }, { min: 20000, max: 25000, rate: 5.2 }, { min: 25000, max: 60000, rate: 5.55 }, { min: 60000, max: Infinity, rate: 6.6 }], standardDeduction: { single: 3250, married: 6500 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 12500, retirementDeductionAge: 60, taxesPension: true, plan529Deduction: { single: 1000, married: 2000 } },
+  GA: { name: 'Georgia', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 5.39 }], standardDeduction: { single: 12000, married: 24000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 65000, retirementDeductionAge: 65, taxesPension: true, plan529Deduction: { single: 8000, married: 8000 } },
   HI: { name: 'Hawaii', hasIncomeTax: true, brackets: [{ min: 0, max: 2400, rate: 1.4 }, { min: 2400, max: 4800, rate: 3.2 }, { min: 4800, max: 9600, rate: 5.5 }, { min: 9600, max: 14400, rate: 6.4 }, { min: 14400, max: 19200, rate: 6.8 }, { min: 19200, max: 24000, rate: 7.2 }, { min: 24000, max: 36000, rate: 7.6 }, { min: 36000, max: 48000, rate: 7.9 }, { min: 48000, max: 150000, rate: 8.25 }, { min: 150000, max: 175000, rate: 9 }, { min: 175000, max: 200000, rate: 10 }, { min: 200000, max: Infinity, rate: 11 }], standardDeduction: { single: 2200, married: 4400 }, ltcgTreatment: 'special', ltcgRate: 7.25, taxesSS: false, taxesRetirement: true, taxesPension: false },
-  ID: { name: 'Idaho', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 5.8 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true },
-  IL: { name: 'Illinois', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.95 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 2625, married: 5250 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false },
+  ID: { name: 'Idaho', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 5.8 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 6000, married: 12000 } },
+  IL: { name: 'Illinois', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.95 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 2625, married: 5250 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false, plan529Deduction: { single: 10000, married: 20000 } },
   IN: { name: 'Indiana', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.0 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 1000, married: 2000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true },
-  IA: { name: 'Iowa', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.8 }], standardDeduction: { single: 0, married: 0 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false },
-  KS: { name: 'Kansas', hasIncomeTax: true, brackets: [{ min: 0, max: 15000, rate: 3.1 }, { min: 15000, max: 30000, rate: 5.25 }, { min: 30000, max: Infinity, rate: 5.7 }], standardDeduction: { single: 3500, married: 8000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true },
+  IA: { name: 'Iowa', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.8 }], standardDeduction: { single: 0, married: 0 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false, plan529Deduction: { single: 4185, married: 8370 } },
+  KS: { name: 'Kansas', hasIncomeTax: true, brackets: [{ min: 0, max: 15000, rate: 3.1 }, { min: 15000, max: 30000, rate: 5.25 }, { min: 30000, max: Infinity, rate: 5.7 }], standardDeduction: { single: 3500, married: 8000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 3000, married: 6000 } },
   KY: { name: 'Kentucky', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.0 }], standardDeduction: { single: 3160, married: 6320 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 31110, taxesPension: true },
-  LA: { name: 'Louisiana', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.0 }], standardDeduction: { single: 12500, married: 25000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 6000, retirementDeductionAge: 65, taxesPension: true },
+  LA: { name: 'Louisiana', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.0 }], standardDeduction: { single: 12500, married: 25000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 6000, retirementDeductionAge: 65, taxesPension: true, plan529Deduction: { single: 2400, married: 4800 } },
   ME: { name: 'Maine', hasIncomeTax: true, brackets: [{ min: 0, max: 26050, rate: 5.8 }, { min: 26050, max: 61600, rate: 6.75 }, { min: 61600, max: Infinity, rate: 7.15 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 35000, taxesPension: true },
-  MD: { name: 'Maryland', hasIncomeTax: true, brackets: [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 2000, rate: 3 }, { min: 2000, max: 3000, rate: 4 }, { min: 3000, max: 100000, rate: 4.75 }, { min: 100000, max: 125000, rate: 5 }, { min: 125000, max: 150000, rate: 5.25 }, { min: 150000, max: 250000, rate: 5.5 }, { min: 250000, max: Infinity, rate: 5.75 }], standardDeduction: { single: 2550, married: 5150 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 34300, retirementDeductionAge: 65, taxesPension: true },
-  MA: { name: 'Massachusetts', hasIncomeTax: true, brackets: [{ min: 0, max: 1000000, rate: 5.0 }, { min: 1000000, max: Infinity, rate: 9.0 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 4400, married: 8800 }, ltcgTreatment: 'special', ltcgShortTermRate: 8.5, ltcgLongTermRate: 5.0, ltcgMillionaireSurtax: 4.0, taxesSS: false, taxesRetirement: true, taxesPension: true },
-  MI: { name: 'Michigan', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.25 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 5600, married: 11200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 20000, retirementDeductionAge: 67, taxesPension: true },
+  MD: { name: 'Maryland', hasIncomeTax: true, brackets: [{ min: 0, max: 1000, rate: 2 }, { min: 1000, max: 2000, rate: 3 }, { min: 2000, max: 3000, rate: 4 }, { min: 3000, max: 100000, rate: 4.75 }, { min: 100000, max: 125000, rate: 5 }, { min: 125000, max: 150000, rate: 5.25 }, { min: 150000, max: 250000, rate: 5.5 }, { min: 250000, max: Infinity, rate: 5.75 }], standardDeduction: { single: 2550, married: 5150 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 34300, retirementDeductionAge: 65, taxesPension: true, plan529Deduction: { single: 2500, married: 5000 } },
+  MA: { name: 'Massachusetts', hasIncomeTax: true, brackets: [{ min: 0, max: 1000000, rate: 5.0 }, { min: 1000000, max: Infinity, rate: 9.0 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 4400, married: 8800 }, ltcgTreatment: 'special', ltcgShortTermRate: 8.5, ltcgLongTermRate: 5.0, ltcgMillionaireSurtax: 4.0, taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 1000, married: 2000 } },
+  MI: { name: 'Michigan', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.25 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 5600, married: 11200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 20000, retirementDeductionAge: 67, taxesPension: true, plan529Deduction: { single: 5000, married: 10000 } },
   MN: { name: 'Minnesota', hasIncomeTax: true, brackets: [{ min: 0, max: 31690, rate: 5.35 }, { min: 31690, max: 104090, rate: 6.8 }, { min: 104090, max: 193240, rate: 7.85 }, { min: 193240, max: Infinity, rate: 9.85 }], standardDeduction: { single: 14575, married: 29150 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptSingleAGI: 84490, ssExemptJointAGI: 108320, taxesRetirement: true, taxesPension: true },
-  MS: { name: 'Mississippi', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 0 }, { min: 10000, max: Infinity, rate: 4.4 }], standardDeduction: { single: 2300, married: 4600 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false },
-  MO: { name: 'Missouri', hasIncomeTax: true, brackets: [{ min: 0, max: 1207, rate: 0 }, { min: 1207, max: 2414, rate: 2.0 }, { min: 2414, max: 3621, rate: 2.5 }, { min: 3621, max: 4828, rate: 3.0 }, { min: 4828, max: 6035, rate: 3.5 }, { min: 6035, max: 7242, rate: 4.0 }, { min: 7242, max: 8449, rate: 4.5 }, { min: 8449, max: Infinity, rate: 4.8 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'exempt', ltcgExemptionNote: 'MO exempts all capital gains starting 2025', taxesSS: false, taxesRetirement: true, taxesPension: true },
-  MT: { name: 'Montana', hasIncomeTax: true, brackets: [{ min: 0, max: 20500, rate: 4.7 }, { min: 20500, max: Infinity, rate: 5.9 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'credit', ltcgCreditPercent: 2, taxesSS: true, ssExemptSingleAGI: 25000, ssExemptJointAGI: 32000, taxesRetirement: true, retirementDeduction: 5500, taxesPension: true },
-  NE: { name: 'Nebraska', hasIncomeTax: true, brackets: [{ min: 0, max: 3700, rate: 2.46 }, { min: 3700, max: 22170, rate: 3.51 }, { min: 22170, max: 35730, rate: 5.01 }, { min: 35730, max: Infinity, rate: 5.2 }], standardDeduction: { single: 8100, married: 16100 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true },
-  NJ: { name: 'New Jersey', hasIncomeTax: true, brackets: [{ min: 0, max: 20000, rate: 1.4 }, { min: 20000, max: 35000, rate: 1.75 }, { min: 35000, max: 40000, rate: 3.5 }, { min: 40000, max: 75000, rate: 5.525 }, { min: 75000, max: 500000, rate: 6.37 }, { min: 500000, max: 1000000, rate: 8.97 }, { min: 1000000, max: Infinity, rate: 10.75 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 1000, married: 2000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 100000, retirementDeductionAge: 62, taxesPension: true },
-  NM: { name: 'New Mexico', hasIncomeTax: true, brackets: [{ min: 0, max: 5500, rate: 1.7 }, { min: 5500, max: 11000, rate: 3.2 }, { min: 11000, max: 16000, rate: 4.7 }, { min: 16000, max: 210000, rate: 4.9 }, { min: 210000, max: Infinity, rate: 5.9 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'deduction', ltcgDeductionMax: 1000, taxesSS: true, ssExemptSingleAGI: 100000, ssExemptJointAGI: 150000, taxesRetirement: true, taxesPension: true },
+  MS: { name: 'Mississippi', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 0 }, { min: 10000, max: Infinity, rate: 4.4 }], standardDeduction: { single: 2300, married: 4600 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false, plan529Deduction: { single: 10000, married: 20000 } },
+  MO: { name: 'Missouri', hasIncomeTax: true, brackets: [{ min: 0, max: 1207, rate: 0 }, { min: 1207, max: 2414, rate: 2.0 }, { min: 2414, max: 3621, rate: 2.5 }, { min: 3621, max: 4828, rate: 3.0 }, { min: 4828, max: 6035, rate: 3.5 }, { min: 6035, max: 7242, rate: 4.0 }, { min: 7242, max: 8449, rate: 4.5 }, { min: 8449, max: Infinity, rate: 4.8 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'exempt', ltcgExemptionNote: 'MO exempts all capital gains starting 2025', taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 8000, married: 16000 } },
+  MT: { name: 'Montana', hasIncomeTax: true, brackets: [{ min: 0, max: 20500, rate: 4.7 }, { min: 20500, max: Infinity, rate: 5.9 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'credit', ltcgCreditPercent: 2, taxesSS: true, ssExemptSingleAGI: 25000, ssExemptJointAGI: 32000, taxesRetirement: true, retirementDeduction: 5500, taxesPension: true, plan529Deduction: { single: 3000, married: 6000 } },
+  NE: { name: 'Nebraska', hasIncomeTax: true, brackets: [{ min: 0, max: 3700, rate: 2.46 }, { min: 3700, max: 22170, rate: 3.51 }, { min: 22170, max: 35730, rate: 5.01 }, { min: 35730, max: Infinity, rate: 5.2 }], standardDeduction: { single: 8100, married: 16100 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 10000, married: 10000 } },
+  NJ: { name: 'New Jersey', hasIncomeTax: true, brackets: [{ min: 0, max: 20000, rate: 1.4 }, { min: 20000, max: 35000, rate: 1.75 }, { min: 35000, max: 40000, rate: 3.5 }, { min: 40000, max: 75000, rate: 5.525 }, { min: 75000, max: 500000, rate: 6.37 }, { min: 500000, max: 1000000, rate: 8.97 }, { min: 1000000, max: Infinity, rate: 10.75 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 1000, married: 2000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 100000, retirementDeductionAge: 62, taxesPension: true, plan529Deduction: { single: 10000, married: 10000 } },
+  NM: { name: 'New Mexico', hasIncomeTax: true, brackets: [{ min: 0, max: 5500, rate: 1.7 }, { min: 5500, max: 11000, rate: 3.2 }, { min: 11000, max: 16000, rate: 4.7 }, { min: 16000, max: 210000, rate: 4.9 }, { min: 210000, max: Infinity, rate: 5.9 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'deduction', ltcgDeductionMax: 1000, taxesSS: true, ssExemptSingleAGI: 100000, ssExemptJointAGI: 150000, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: Infinity, married: Infinity } },
   NC: { name: 'North Carolina', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.25 }], standardDeduction: { single: 12750, married: 25500 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, taxesPension: true },
-  ND: { name: 'North Dakota', hasIncomeTax: true, brackets: [{ min: 0, max: 44725, rate: 1.95 }, { min: 44725, max: Infinity, rate: 2.5 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'deduction', ltcgDeductionPercent: 40, taxesSS: false, taxesRetirement: true, taxesPension: true },
-  OH: { name: 'Ohio', hasIncomeTax: true, brackets: [{ min: 0, max: 26050, rate: 0 }, { min: 26050, max: 100000, rate: 2.75 }, { min: 100000, max: Infinity, rate: 3.5 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 2400, married: 4800 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 200, taxesPension: true },
-  OK: { name: 'Oklahoma', hasIncomeTax: true, brackets: [{ min: 0, max: 1000, rate: 0.25 }, { min: 1000, max: 2500, rate: 0.75 }, { min: 2500, max: 3750, rate: 1.75 }, { min: 3750, max: 4900, rate: 2.75 }, { min: 4900, max: 7200, rate: 3.75 }, { min: 7200, max: Infinity, rate: 4.75 }], standardDeduction: { single: 6350, married: 12700 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 10000, taxesPension: true },
+  ND: { name: 'North Dakota', hasIncomeTax: true, brackets: [{ min: 0, max: 44725, rate: 1.95 }, { min: 44725, max: Infinity, rate: 2.5 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'deduction', ltcgDeductionPercent: 40, taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 5000, married: 10000 } },
+  OH: { name: 'Ohio', hasIncomeTax: true, brackets: [{ min: 0, max: 26050, rate: 0 }, { min: 26050, max: 100000, rate: 2.75 }, { min: 100000, max: Infinity, rate: 3.5 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 2400, married: 4800 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 200, taxesPension: true, plan529Deduction: { single: 4000, married: 4000 } },
+  OK: { name: 'Oklahoma', hasIncomeTax: true, brackets: [{ min: 0, max: 1000, rate: 0.25 }, { min: 1000, max: 2500, rate: 0.75 }, { min: 2500, max: 3750, rate: 1.75 }, { min: 3750, max: 4900, rate: 2.75 }, { min: 4900, max: 7200, rate: 3.75 }, { min: 7200, max: Infinity, rate: 4.75 }], standardDeduction: { single: 6350, married: 12700 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 10000, taxesPension: true, plan529Deduction: { single: 10000, married: 20000 } },
   OR: { name: 'Oregon', hasIncomeTax: true, brackets: [{ min: 0, max: 4300, rate: 4.75 }, { min: 4300, max: 10750, rate: 6.75 }, { min: 10750, max: 125000, rate: 8.75 }, { min: 125000, max: Infinity, rate: 9.9 }], standardDeduction: { single: 2745, married: 5495 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 7500, taxesPension: true },
-  PA: { name: 'Pennsylvania', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.07 }], standardDeduction: { single: 0, married: 0 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false },
-  RI: { name: 'Rhode Island', hasIncomeTax: true, brackets: [{ min: 0, max: 77450, rate: 3.75 }, { min: 77450, max: 176050, rate: 4.75 }, { min: 176050, max: Infinity, rate: 5.99 }], standardDeduction: { single: 10550, married: 21150 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptSingleAGI: 107000, ssExemptJointAGI: 133750, ssRequiresFullRetirementAge: true, taxesRetirement: true, taxesPension: true },
-  SC: { name: 'South Carolina', hasIncomeTax: true, brackets: [{ min: 0, max: 3460, rate: 0 }, { min: 3460, max: 17330, rate: 3.0 }, { min: 17330, max: Infinity, rate: 6.2 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'deduction', ltcgDeductionPercent: 44, taxesSS: false, taxesRetirement: true, retirementDeduction: 10000, retirementDeductionAge: 65, taxesPension: true },
+  PA: { name: 'Pennsylvania', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 3.07 }], standardDeduction: { single: 0, married: 0 }, ltcgTreatment: 'exempt', taxesSS: false, taxesRetirement: false, taxesPension: false, plan529Deduction: { single: 19000, married: 38000 } },
+  RI: { name: 'Rhode Island', hasIncomeTax: true, brackets: [{ min: 0, max: 77450, rate: 3.75 }, { min: 77450, max: 176050, rate: 4.75 }, { min: 176050, max: Infinity, rate: 5.99 }], standardDeduction: { single: 10550, married: 21150 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptSingleAGI: 107000, ssExemptJointAGI: 133750, ssRequiresFullRetirementAge: true, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 500, married: 1000 } },
+  SC: { name: 'South Carolina', hasIncomeTax: true, brackets: [{ min: 0, max: 3460, rate: 0 }, { min: 3460, max: 17330, rate: 3.0 }, { min: 17330, max: Infinity, rate: 6.2 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'deduction', ltcgDeductionPercent: 44, taxesSS: false, taxesRetirement: true, retirementDeduction: 10000, retirementDeductionAge: 65, taxesPension: true, plan529Deduction: { single: Infinity, married: Infinity } },
   UT: { name: 'Utah', hasIncomeTax: true, brackets: [{ min: 0, max: Infinity, rate: 4.65 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 0, married: 0 }, taxpayerCredit: { single: 876, married: 1752 }, ltcgTreatment: 'ordinary', taxesSS: true, ssExemptSingleAGI: 45000, ssExemptJointAGI: 75000, ssCreditPhaseout: true, taxesRetirement: true, taxesPension: true },
   VT: { name: 'Vermont', hasIncomeTax: true, brackets: [{ min: 0, max: 45400, rate: 3.35 }, { min: 45400, max: 110050, rate: 6.6 }, { min: 110050, max: 229550, rate: 7.6 }, { min: 229550, max: Infinity, rate: 8.75 }], standardDeduction: { single: 7000, married: 14050 }, ltcgTreatment: 'exclusion', ltcgExclusionPercent: 40, ltcgExclusionCap: 350000, taxesSS: true, ssExemptSingleAGI: 50000, ssExemptJointAGI: 65000, taxesRetirement: true, taxesPension: true },
-  VA: { name: 'Virginia', hasIncomeTax: true, brackets: [{ min: 0, max: 3000, rate: 2 }, { min: 3000, max: 5000, rate: 3 }, { min: 5000, max: 17000, rate: 5 }, { min: 17000, max: Infinity, rate: 5.75 }], standardDeduction: { single: 8000, married: 16000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 12000, retirementDeductionAge: 65, taxesPension: true },
-  WV: { name: 'West Virginia', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 2.36 }, { min: 10000, max: 25000, rate: 3.15 }, { min: 25000, max: 40000, rate: 3.54 }, { min: 40000, max: 60000, rate: 4.72 }, { min: 60000, max: Infinity, rate: 5.12 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 2000, married: 4000 }, ltcgTreatment: 'ordinary', taxesSS: true, ssPhaseoutYear: 2026, ssExemptSingleAGI: 50000, ssExemptJointAGI: 100000, taxesRetirement: true, taxesPension: true },
-  WI: { name: 'Wisconsin', hasIncomeTax: true, brackets: [{ min: 0, max: 14320, rate: 3.5 }, { min: 14320, max: 28640, rate: 4.4 }, { min: 28640, max: 315310, rate: 5.3 }, { min: 315310, max: Infinity, rate: 7.65 }], standardDeduction: { single: 13230, married: 24470 }, ltcgTreatment: 'deduction', ltcgDeductionPercent: 30, ltcgDeductionMax: 500, taxesSS: false, taxesRetirement: true, taxesPension: true },
-  DC: { name: 'Washington D.C.', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 4 }, { min: 10000, max: 40000, rate: 6 }, { min: 40000, max: 60000, rate: 6.5 }, { min: 60000, max: 250000, rate: 8.5 }, { min: 250000, max: 500000, rate: 9.25 }, { min: 500000, max: 1000000, rate: 9.75 }, { min: 1000000, max: Infinity, rate: 10.75 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 3000, taxesPension: true },
+  VA: { name: 'Virginia', hasIncomeTax: true, brackets: [{ min: 0, max: 3000, rate: 2 }, { min: 3000, max: 5000, rate: 3 }, { min: 5000, max: 17000, rate: 5 }, { min: 17000, max: Infinity, rate: 5.75 }], standardDeduction: { single: 8000, married: 16000 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 12000, retirementDeductionAge: 65, taxesPension: true, plan529Deduction: { single: 4000, married: 4000 } },
+  WV: { name: 'West Virginia', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 2.36 }, { min: 10000, max: 25000, rate: 3.15 }, { min: 25000, max: 40000, rate: 3.54 }, { min: 40000, max: 60000, rate: 4.72 }, { min: 60000, max: Infinity, rate: 5.12 }], standardDeduction: { single: 0, married: 0 }, personalExemption: { single: 2000, married: 4000 }, ltcgTreatment: 'ordinary', taxesSS: true, ssPhaseoutYear: 2026, ssExemptSingleAGI: 50000, ssExemptJointAGI: 100000, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: Infinity, married: Infinity } },
+  WI: { name: 'Wisconsin', hasIncomeTax: true, brackets: [{ min: 0, max: 14320, rate: 3.5 }, { min: 14320, max: 28640, rate: 4.4 }, { min: 28640, max: 315310, rate: 5.3 }, { min: 315310, max: Infinity, rate: 7.65 }], standardDeduction: { single: 13230, married: 24470 }, ltcgTreatment: 'deduction', ltcgDeductionPercent: 30, ltcgDeductionMax: 500, taxesSS: false, taxesRetirement: true, taxesPension: true, plan529Deduction: { single: 5130, married: 5130 } },
+  DC: { name: 'Washington D.C.', hasIncomeTax: true, brackets: [{ min: 0, max: 10000, rate: 4 }, { min: 10000, max: 40000, rate: 6 }, { min: 40000, max: 60000, rate: 6.5 }, { min: 60000, max: 250000, rate: 8.5 }, { min: 250000, max: 500000, rate: 9.25 }, { min: 500000, max: 1000000, rate: 9.75 }, { min: 1000000, max: Infinity, rate: 10.75 }], standardDeduction: { single: 14600, married: 29200 }, ltcgTreatment: 'ordinary', taxesSS: false, taxesRetirement: true, retirementDeduction: 3000, taxesPension: true, plan529Deduction: { single: 4000, married: 8000 } },
 };
 
 
@@ -553,6 +555,13 @@ export function getStateTaxSummary(state) {
       break;
   }
   
+  // 529 contributions
+  if (config.plan529Deduction) {
+    details.push(config.plan529Deduction.single === Infinity
+      ? 'Full 529 deduction'
+      : `$${config.plan529Deduction.single.toLocaleString()} 529 deduction`);
+  }
+  
   // Standard deduction
   if (config.standardDeduction?.single > 0) {
     details.push(`$${config.standardDeduction.single.toLocaleString()} std deduction`);
@@ -566,62 +575,135 @@ export function getStateTaxSummary(state) {
 }
 
 
-// Legacy function for backward compatibility
-export function calculateStateTaxOnRetirement({
+/**
+ * State deduction for 529 plan contributions: the contributions up to the state's yearly cap
+ * (plan529Deduction), which is per return here even where the state applies it per beneficiary.
+ * Only contributions to the home state's plan qualify in most states; that isn't checked.
+ *
+ * @param {Object} params
+ * @param {string} params.state - Two-letter state code
+ * @param {number} params.contributions - 529 contributions made during the year
+ * @param {string} [params.filingStatus] - 'single', 'married_filing_jointly', 'married'
+ * @returns {number} Deduction from state taxable income
+ */
+export function getPlan529Deduction({ state, contributions = 0, filingStatus = 'single' }) {
+  const cap = STATE_TAX_CONFIG[state]?.plan529Deduction;
+  if (!cap || contributions <= 0) return 0;
+  const isMarried = filingStatus === 'married_filing_jointly' || filingStatus === 'married';
+  return Math.min(contributions, isMarried ? cap.married : cap.single);
+}
+
+
+/**
+ * State income tax for one year's return, as the tax engine sees it.
+ *
+ * Applies the state's retirement rules before the brackets: IRA/401k distributions and pensions are
+ * left out where the state exempts them (taxesRetirement / taxesPension), the retirement deduction
+ * comes off what remains, and Social Security is taxed only where the state does and the AGI test
+ * (or age exemption) doesn't exclude it. Gains then go through calculateStateCapitalGainsTax.
+ *
+ * @param {Object} params
+ * @param {string} params.state - Two-letter state code
+ * @param {number} [params.age] - Taxpayer's age (retirement deduction and Social Security age rules)
+ * @param {string} [params.filingStatus] - 'single', 'married_filing_jointly', 'married'
+ * @param {number} [params.year] - Tax year
+ * @param {number} [params.inflationRate] - Annual inflation rate (default: 0.025 = 2.5%)
+ * @param {number} [params.federalAgi] - Federal AGI (Social Security exemption tests)
+ * @param {number} [params.ordinaryIncome] - Wages, interest, dividends and other income after adjustments
+ * @param {number} [params.iraDistributions] - IRA/401k withdrawals and Roth conversions
+ * @param {number} [params.pensions] - Pension and annuity income
+ * @param {number} [params.socialSecurityBenefits] - Total benefits received
+ * @param {number} [params.shortTermGains] - Net short-term gains
+ * @param {number} [params.longTermGains] - Net long-term gains
+ * @param {number} [params.plan529Contributions] - 529 contributions, deductible up to the state's cap
+ * @returns {Object} { tax, taxOnGains, taxableRetirementIncome, retirementExclusion, taxableSocialSecurity, plan529Deduction }
+ */
+export function calculateStateTaxReturn({
   state,
-  age,
-  filingStatus,
-  totalAGI,
-  socialSecurityIncome = 0,
-  taxDeferredWithdrawal = 0,
-  taxableWithdrawal = 0,
-  taxableGainPortion = 0,
-  pensionIncome = 0,
-  year = new Date().getFullYear(),
-  inflationRate = 0.025
+  age = 0,
+  filingStatus = 'single',
+  year = 2026,
+  inflationRate = 0.025,
+  federalAgi = 0,
+  ordinaryIncome = 0,
+  iraDistributions = 0,
+  pensions = 0,
+  socialSecurityBenefits = 0,
+  shortTermGains = 0,
+  longTermGains = 0,
+  plan529Contributions = 0
 }) {
   const config = STATE_TAX_CONFIG[state];
-  if (!config || !config.hasIncomeTax) return 0;
+  if (!config || !config.hasIncomeTax) {
+    return { tax: 0, taxOnGains: 0, taxableRetirementIncome: 0, retirementExclusion: 0, taxableSocialSecurity: 0, plan529Deduction: 0 };
+  }
 
-  // Use new calculation functions
-  const ordinaryIncome = taxDeferredWithdrawal + pensionIncome;
-  const gains = taxableGainPortion;
-  
-  // Calculate tax on retirement income (ordinary)
-  let taxableRetirement = ordinaryIncome;
+  // Retirement income: exempt categories first, then the state's retirement deduction
+  const retirementIncome = (config.taxesRetirement === false ? 0 : iraDistributions) + (config.taxesPension === false ? 0 : pensions);
+  let taxableRetirementIncome = retirementIncome;
   if (config.retirementDeduction && (!config.retirementDeductionAge || age >= config.retirementDeductionAge)) {
-    taxableRetirement = Math.max(0, ordinaryIncome - config.retirementDeduction);
+    taxableRetirementIncome = Math.max(0, retirementIncome - config.retirementDeduction);
   }
-  
+  const retirementExclusion = iraDistributions + pensions - taxableRetirementIncome;
+
   // Social Security
-  let taxableSS = 0;
-  if (config.taxesSS && socialSecurityIncome > 0) {
+  let taxableSocialSecurity = 0;
+  if (config.taxesSS && socialSecurityBenefits > 0) {
     const isJoint = filingStatus === 'married_filing_jointly' || filingStatus === 'married';
     const threshold = isJoint ? config.ssExemptJointAGI : config.ssExemptSingleAGI;
     
     if (config.ssPhaseoutYear && year >= config.ssPhaseoutYear) {
-      taxableSS = 0;
-    } else if (config.ssExemptAge && age >= config.ssExemptAge && (!threshold || totalAGI <= threshold)) {
-      taxableSS = 0;
-    } else if (threshold && totalAGI <= threshold) {
-      taxableSS = 0;
+      taxableSocialSecurity = 0;
+    } else if (config.ssExemptAge && age >= config.ssExemptAge && (!threshold || federalAgi <= threshold)) {
+      taxableSocialSecurity = 0;
+    } else if (threshold && federalAgi <= threshold) {
+      taxableSocialSecurity = 0;
     } else {
-      taxableSS = config.ssPartialExemptPct 
-        ? socialSecurityIncome * (1 - config.ssPartialExemptPct / 100)
-        : socialSecurityIncome;
+      taxableSocialSecurity = config.ssPartialExemptPct 
+        ? socialSecurityBenefits * (1 - config.ssPartialExemptPct / 100)
+        : socialSecurityBenefits;
     }
   }
-  
-  // Calculate using new functions
-  const { tax } = calculateStateCapitalGainsTax({
-    longTermGains: gains,
-    shortTermGains: 0,
-    otherIncome: taxableRetirement + taxableSS,
+
+  const plan529Deduction = getPlan529Deduction({ state, contributions: plan529Contributions, filingStatus });
+
+  const { tax, taxOnGains = 0 } = calculateStateCapitalGainsTax({
+    longTermGains,
+    shortTermGains,
+    otherIncome: Math.max(0, ordinaryIncome + taxableRetirementIncome + taxableSocialSecurity - plan529Deduction),
     filingStatus,
     state,
     year,
     inflationRate
   });
-  
-  return tax;
-}
\ No newline at end of file
+
+  return { tax, taxOnGains, taxableRetirementIncome, retirementExclusion, taxableSocialSecurity, plan529Deduction };
+}
+
+
+// Legacy function for backward compatibility (delegates to calculateStateTaxReturn)
+export function calculateStateTaxOnRetirement({
+  state,
+  age,
+  filingStatus,
+  totalAGI,
+  socialSecurityIncome = 0,
+  taxDeferredWithdrawal = 0,
+  taxableGainPortion = 0,
+  pensionIncome = 0,
+  year = new Date().getFullYear(),
+  inflationRate = 0.025
+}) {
+  return calculateStateTaxReturn({
+    state,
+    age,
+    filingStatus,
+    year,
+    inflationRate,
+    federalAgi: totalAGI,
+    iraDistributions: taxDeferredWithdrawal,
+    pensions: pensionIncome,
+    socialSecurityBenefits: socialSecurityIncome,
+    longTermGains: taxableGainPortion
+  }).tax;
+}
@@ -25,6 +25,7 @@ const detectAssetType = (ticker) => {
  * 4. Deleting a transaction
  * 5. Editing a transaction
  * 6. Manual lot edits
+ * 7. Transfers between accounts (both sides - see syncHoldingsForTransfer)
  */
 
 /**
@@ -70,7 +71,7 @@ export async function syncHoldingFromLots(ticker, accountId, assetType = null) {
       const currentCostBasis = matchingHolding.cost_basis_total || 0;
       
       // Calculate new total cost basis from lots
-      const newTotalCostBasis = lotsForAccount.reduce((sum, lot) => sum + (lot.cost_basis || 0), 0);
+      const newTotalCostBasis = lotsForAccount.reduce((sum, lot) => sum + (lot.cost_basis || 0) + (lot.wash_sale_basis_adjustment || 0), 0);
       
       // If no transactions exist and holding is manual_entry, PRESERVE it
       if (lotsForAccount.length === 0 && matchingHolding.manual_entry === true) {
@@ -93,7 +94,7 @@ export async function syncHoldingFromLots(ticker, accountId, assetType = null) {
       // CREATE new holding if none exists
       if (totalFromLots > 0) {
         const account = await base44.entities.Account.get(accountId);
-        const newTotalCostBasis = lotsForAccount.reduce((sum, lot) => sum + (lot.cost_basis || 0), 0);
+        const newTotalCostBasis = lotsForAccount.reduce((sum, lot) => sum + (lot.cost_basis || 0) + (lot.wash_sale_basis_adjustment || 0), 0);
         
         await base44.entities.Holding.create({
           asset_name: ticker,
@@ -118,6 +119,17 @@ export async function syncHoldingFromLots(ticker, accountId, assetType = null) {
   }
 }
 
+/**
+ * Sync both accounts touched by a transfer. Moved lots already carry the destination account_id,
+ * so each side simply rebuilds from its own lots.
+ * @param {Object} transfer - 'transfer' Transaction (asset_ticker, account_id, to_account_id)
+ * @param {string} assetType - Optional asset type for a newly created destination holding
+ */
+export async function syncHoldingsForTransfer(transfer, assetType = null) {
+  await syncHoldingFromLots(transfer.asset_ticker, transfer.account_id, assetType);
+  await syncHoldingFromLots(transfer.asset_ticker, transfer.to_account_id, assetType);
+}
+
 /**
  * Sync all holdings for a specific account (useful after CSV import)
  * @param {string} accountId - Account ID (optional)
@@ -1,272 +1,37 @@
 // ===========================================
-// TAX CONFIGURATION - UPDATE ANNUALLY
-// Last updated: December 2024 (for 2025 tax year)
-// Source: IRS.gov
+// TAX CONFIGURATION
+// Year-by-year helpers over the tax engine's rule-sets (components/tax/taxEngine.js).
+// The tables themselves live in taxData.js; nothing here holds its own numbers.
 // ===========================================
 
 import {
-  FEDERAL_INCOME_BRACKETS,
-  FEDERAL_LTCG_BRACKETS,
-  STANDARD_DEDUCTIONS as TAX_DATA_STANDARD_DEDUCTIONS,
   CONTRIBUTION_LIMITS,
   SOCIAL_SECURITY,
+  ROTH_INCOME_LIMITS,
+  TRADITIONAL_IRA_DEDUCTION_LIMITS,
+  NIIT,
   getYearData,
-  getStandardDeduction as getStandardDeductionFromTaxData,
-  getFederalBrackets,
-  getContributionLimit
+  getFederalBrackets
 } from './taxData';
+import { getTaxRules, calculateBracketTax, normalizeFilingStatus } from '@/components/tax/taxEngine';
 
-export const TAX_CONFIG = {
-  // ----- CONTRIBUTION LIMITS -----
-  // Historical data only (2024+ comes from taxData.js)
-  contributionLimits: {
-    // No historical data - taxData.js starts at 2024
-  },
-
-  // ----- FEDERAL INCOME TAX BRACKETS -----
-  // Historical data only (2024+ comes from taxData.js)
-  federalBrackets: {
-    2018: {
-      single: [
-        { min: 0, max: 9525, rate: 0.10, label: '10%' },
-        { min: 9525, max: 38700, rate: 0.12, label: '12%' },
-        { min: 38700, max: 82500, rate: 0.22, label: '22%' },
-        { min: 82500, max: 157500, rate: 0.24, label: '24%' },
-        { min: 157500, max: 200000, rate: 0.32, label: '32%' },
-        { min: 200000, max: 500000, rate: 0.35, label: '35%' },
-        { min: 500000, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-      married: [
-        { min: 0, max: 19050, rate: 0.10, label: '10%' },
-        { min: 19050, max: 77400, rate: 0.12, label: '12%' },
-        { min: 77400, max: 165000, rate: 0.22, label: '22%' },
-        { min: 165000, max: 315000, rate: 0.24, label: '24%' },
-        { min: 315000, max: 400000, rate: 0.32, label: '32%' },
-        { min: 400000, max: 600000, rate: 0.35, label: '35%' },
-        { min: 600000, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-    },
-    2019: {
-      single: [
-        { min: 0, max: 9700, rate: 0.10, label: '10%' },
-        { min: 9700, max: 39475, rate: 0.12, label: '12%' },
-        { min: 39475, max: 84200, rate: 0.22, label: '22%' },
-        { min: 84200, max: 160725, rate: 0.24, label: '24%' },
-        { min: 160725, max: 204100, rate: 0.32, label: '32%' },
-        { min: 204100, max: 510300, rate: 0.35, label: '35%' },
-        { min: 510300, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-      married: [
-        { min: 0, max: 19400, rate: 0.10, label: '10%' },
-        { min: 19400, max: 78950, rate: 0.12, label: '12%' },
-        { min: 78950, max: 168400, rate: 0.22, label: '22%' },
-        { min: 168400, max: 321450, rate: 0.24, label: '24%' },
-        { min: 321450, max: 408200, rate: 0.32, label: '32%' },
-        { min: 408200, max: 612350, rate: 0.35, label: '35%' },
-        { min: 612350, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-    },
-    2020: {
-      single: [
-        { min: 0, max: 9875, rate: 0.10, label: '10%' },
-        { min: 9875, max: 40125, rate: 0.12, label: '12%' },
-        { min: 40125, max: 85525, rate: 0.22, label: '22%' },
-        { min: 85525, max: 163300, rate: 0.24, label: '24%' },
-        { min: 163300, max: 207350, rate: 0.32, label: '32%' },
-        { min: 207350, max: 518400, rate: 0.35, label: '35%' },
-        { min: 518400, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-      married: [
-        { min: 0, max: 19750, rate: 0.10, label: '10%' },
-        { min: 19750, max: 80250, rate: 0.12, label: '12%' },
-        { min: 80250, max: 171050, rate: 0.22, label: '22%' },
-        { min: 171050, max: 326600, rate: 0.24, label: '24%' },
-        { min: 326600, max: 414700, rate: 0.32, label: '32%' },
-        { min: 414700, max: 622050, rate: 0.35, label: '35%' },
-        { min: 622050, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-    },
-    2021: {
-      single: [
-        { min: 0, max: 9950, rate: 0.10, label: '10%' },
-        { min: 9950, max: 40525, rate: 0.12, label: '12%' },
-        { min: 40525, max: 86375, rate: 0.22, label: '22%' },
-        { min: 86375, max: 164925, rate: 0.24, label: '24%' },
-        { min: 164925, max: 209425, rate: 0.32, label: '32%' },
-        { min: 209425, max: 523600, rate: 0.35, label: '35%' },
-        { min: 523600, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-      married: [
-        { min: 0, max: 19900, rate: 0.10, label: '10%' },
-        { min: 19900, max: 81050, rate: 0.12, label: '12%' },
-        { min: 81050, max: 172750, rate: 0.22, label: '22%' },
-        { min: 172750, max: 329850, rate: 0.24, label: '24%' },
-        { min: 329850, max: 418850, rate: 0.32, label: '32%' },
-        { min: 418850, max: 628300, rate: 0.35, label: '35%' },
-        { min: 628300, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-    },
-    2022: {
-      single: [
-        { min: 0, max: 10275, rate: 0.10, label: '10%' },
-        { min: 10275, max: 41775, rate: 0.12, label: '12%' },
-        { min: 41775, max: 89075, rate: 0.22, label: '22%' },
-        { min: 89075, max: 170050, rate: 0.24, label: '24%' },
-        { min: 170050, max: 215950, rate: 0.32, label: '32%' },
-        { min: 215950, max: 539900, rate: 0.35, label: '35%' },
-        { min: 539900, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-      married: [
-        { min: 0, max: 20550, rate: 0.10, label: '10%' },
-        { min: 20550, max: 83550, rate: 0.12, label: '12%' },
-        { min: 83550, max: 178150, rate: 0.22, label: '22%' },
-        { min: 178150, max: 340100, rate: 0.24, label: '24%' },
-        { min: 340100, max: 431900, rate: 0.32, label: '32%' },
-        { min: 431900, max: 647850, rate: 0.35, label: '35%' },
-        { min: 647850, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-    },
-    2023: {
-      single: [
-        { min: 0, max: 11000, rate: 0.10, label: '10%' },
-        { min: 11000, max: 44725, rate: 0.12, label: '12%' },
-        { min: 44725, max: 95375, rate: 0.22, label: '22%' },
-        { min: 95375, max: 182100, rate: 0.24, label: '24%' },
-        { min: 182100, max: 231250, rate: 0.32, label: '32%' },
-        { min: 231250, max: 578125, rate: 0.35, label: '35%' },
-        { min: 578125, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-      married: [
-        { min: 0, max: 22000, rate: 0.10, label: '10%' },
-        { min: 22000, max: 89075, rate: 0.12, label: '12%' },
-        { min: 89075, max: 190750, rate: 0.22, label: '22%' },
-        { min: 190750, max: 364200, rate: 0.24, label: '24%' },
-        { min: 364200, max: 462500, rate: 0.32, label: '32%' },
-        { min: 462500, max: 693750, rate: 0.35, label: '35%' },
-        { min: 693750, max: Infinity, rate: 0.37, label: '37%' },
-      ],
-    },
-  },
-
-  // ----- STANDARD DEDUCTION -----
-  // Historical data only (2024+ comes from taxData.js)
-  standardDeduction: {
-    2018: { single: 12000, married: 24000 },
-    2019: { single: 12200, married: 24400 },
-    2020: { single: 12400, married: 24800 },
-    2021: { single: 12550, married: 25100 },
-    2022: { single: 12950, married: 25900 },
-    2023: { single: 13850, married: 27700 },
-  },
-
-  // ----- CAPITAL GAINS TAX BRACKETS -----
-  // Historical data only (2024+ comes from taxData.js)
-  capitalGainsBrackets: {
-    2018: {
-      single: [
-        { min: 0, max: 38600, rate: 0, label: '0%' },
-        { min: 38600, max: 425800, rate: 0.15, label: '15%' },
-        { min: 425800, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-      married: [
-        { min: 0, max: 77200, rate: 0, label: '0%' },
-        { min: 77200, max: 479000, rate: 0.15, label: '15%' },
-        { min: 479000, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-    },
-    2019: {
-      single: [
-        { min: 0, max: 39375, rate: 0, label: '0%' },
-        { min: 39375, max: 434550, rate: 0.15, label: '15%' },
-        { min: 434550, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-      married: [
-        { min: 0, max: 78750, rate: 0, label: '0%' },
-        { min: 78750, max: 488850, rate: 0.15, label: '15%' },
-        { min: 488850, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-    },
-    2020: {
-      single: [
-        { min: 0, max: 40000, rate: 0, label: '0%' },
-        { min: 40000, max: 441450, rate: 0.15, label: '15%' },
-        { min: 441450, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-      married: [
-        { min: 0, max: 80000, rate: 0, label: '0%' },
-        { min: 80000, max: 496600, rate: 0.15, label: '15%' },
-        { min: 496600, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-    },
-    2021: {
-      single: [
-        { min: 0, max: 40400, rate: 0, label: '0%' },
-        { min: 40400, max: 445850, rate: 0.15, label: '15%' },
-        { min: 445850, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-      married: [
-        { min: 0, max: 80800, rate: 0, label: '0%' },
-        { min: 80800, max: 501600, rate: 0.15, label: '15%' },
-        { min: 501600, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-    },
-    2022: {
-      single: [
-        { min: 0, max: 41675, rate: 0, label: '0%' },
-        { min: 41675, max: 459750, rate: 0.15, label: '15%' },
-        { min: 459750, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-      married: [
-        { min: 0, max: 83350, rate: 0, label: '0%' },
-        { min: 83350, max: 517200, rate: 0.15, label: '15%' },
-        { min: 517200, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-    },
-    2023: {
-      single: [
-        { min: 0, max: 44625, rate: 0, label: '0%' },
-        { min: 44625, max: 492300, rate: 0.15, label: '15%' },
-        { min: 492300, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-      married: [
-        { min: 0, max: 89250, rate: 0, label: '0%' },
-        { min: 89250, max: 553850, rate: 0.15, label: '15%' },
-        { min: 553850, max: Infinity, rate: 0.20, label: '20%' },
-      ],
-    },
-  },
-
-  // ----- NIIT (Net Investment Income Tax) -----
-  niitThreshold: {
-    single: 200000,
-    married: 250000,
-    rate: 0.038,
-  },
-
-  // ----- SOCIAL SECURITY -----
-  // Historical data only (2024+ comes from taxData.js)
-  socialSecurity: {
-    // No historical data - taxData.js starts at 2024
-  },
-
-  // ----- MEDICARE -----
-  medicare: {
-    baseRate: 0.0145,
-    additionalRate: 0.009, // Above threshold
-    threshold: { single: 200000, married: 250000 },
-  },
+// Payroll Medicare tax (not a rule the engine uses, kept for display)
+const MEDICARE_PAYROLL = {
+  baseRate: 0.0145,
+  additionalRate: 0.009, // Above threshold
+  threshold: { single: 200000, married: 250000 },
 };
 
 /**
- * Get complete tax configuration for a specific year with inflation adjustments.
+ * Get complete tax configuration for a specific year, keyed 'single' / 'married' (jointly).
  * 
- * For 2024+: Uses taxData.js (supports inflation projection)
- * For pre-2024: Uses historical data from TAX_CONFIG
+ * Built from getTaxRules, so brackets and deductions match the tax engine for every year:
+ * published tables through the latest year in taxData.js, inflation-projected after that.
  * 
  * Returns all tax-related values for the year:
  * - Federal income brackets (10% to 37%)
  * - LTCG brackets (0%, 15%, 20%)
- * - Standard deductions (includes 65+ bonus)
+ * - Standard deductions (base, without 65+ additions)
  * - Contribution limits (401k, IRA, HSA with catch-up)
  * - Social Security wage base and tax rate
  * - NIIT and Medicare thresholds
@@ -275,81 +40,47 @@ export const TAX_CONFIG = {
  * @returns {Object} - Complete tax config for that year
  */
 export function getTaxConfigForYear(year) {
-  // For 2024+ use taxData.js (supports inflation adjustment)
-  if (year >= 2024) {
-    const fedBrackets = getYearData(FEDERAL_INCOME_BRACKETS, year);
-    const ltcgBrackets = getYearData(FEDERAL_LTCG_BRACKETS, year);
-    const stdDeduction = getYearData(TAX_DATA_STANDARD_DEDUCTIONS, year);
-    const contribLimits = getYearData(CONTRIBUTION_LIMITS, year);
-    const socialSec = getYearData(SOCIAL_SECURITY, year);
-    
-    // Normalize filing status
-    const normalizedFedBrackets = {
-      single: fedBrackets.single || [],
-      married: fedBrackets.married_filing_jointly || fedBrackets.married || [],
-    };
-    
-    const normalizedLtcgBrackets = {
-      single: ltcgBrackets.single || { zeroMax: 48350, fifteenMax: 533400 },
-      married: ltcgBrackets.married_filing_jointly || ltcgBrackets.married || { zeroMax: 96700, fifteenMax: 600050 },
-    };
-    
-    const normalizedStdDeduction = {
-      single: stdDeduction.single || 15000,
-      married: stdDeduction.married_filing_jointly || stdDeduction.married || 30000,
-    };
-    
-    return {
-      contributionLimits: {
-        traditional401k: contribLimits.traditional_401k || 23500,
-        traditional401k_catchUp: contribLimits.traditional_401k_catchup || 7500,
-        rothIRA: contribLimits.roth_ira || 7000,
-        rothIRA_catchUp: contribLimits.roth_ira_catchup || 1000,
-        hsaIndividual: contribLimits.hsa_single || 4300,
-        hsaFamily: contribLimits.hsa_family || 8550,
-        hsa_catchUp: contribLimits.hsa_catchup || 1000,
-      },
-      federalBrackets: {
-        single: normalizedFedBrackets.single.map(b => ({ ...b, rate: b.rate / 100, label: `${b.rate}%` })),
-        married: normalizedFedBrackets.married.map(b => ({ ...b, rate: b.rate / 100, label: `${b.rate}%` })),
-      },
-      standardDeduction: normalizedStdDeduction,
-      capitalGainsBrackets: {
-        single: [
-          { min: 0, max: normalizedLtcgBrackets.single.zeroMax, rate: 0, label: '0%' },
-          { min: normalizedLtcgBrackets.single.zeroMax, max: normalizedLtcgBrackets.single.fifteenMax, rate: 0.15, label: '15%' },
-          { min: normalizedLtcgBrackets.single.fifteenMax, max: Infinity, rate: 0.20, label: '20%' },
-        ],
-        married: [
-          { min: 0, max: normalizedLtcgBrackets.married.zeroMax, rate: 0, label: '0%' },
-          { min: normalizedLtcgBrackets.married.zeroMax, max: normalizedLtcgBrackets.married.fifteenMax, rate: 0.15, label: '15%' },
-          { min: normalizedLtcgBrackets.married.fifteenMax, max: Infinity, rate: 0.20, label: '20%' },
-        ],
-      },
-      socialSecurity: {
-        wageBase: socialSec.wageBase || 176100,
-        taxRate: (socialSec.taxRate || 6.2) / 100,
-      },
-      niit: TAX_CONFIG.niitThreshold,
-      medicare: TAX_CONFIG.medicare,
-    };
-  }
-  
-  // For historical years (pre-2024), use local TAX_CONFIG data
-  const getForYear = (configSection) => {
-    if (configSection[year]) return configSection[year];
-    const years = Object.keys(configSection).map(Number).sort((a, b) => b - a);
-    return configSection[years[0]];
-  };
-  
+  const singleRules = getTaxRules(year, 'single');
+  const marriedRules = getTaxRules(year, 'married_filing_jointly');
+  const contribLimits = getYearData(CONTRIBUTION_LIMITS, year);
+  const socialSec = getYearData(SOCIAL_SECURITY, year);
+
   return {
-    contributionLimits: getForYear(TAX_CONFIG.contributionLimits),
-    federalBrackets: getForYear(TAX_CONFIG.federalBrackets),
-    standardDeduction: getForYear(TAX_CONFIG.standardDeduction),
-    capitalGainsBrackets: getForYear(TAX_CONFIG.capitalGainsBrackets),
-    socialSecurity: getForYear(TAX_CONFIG.socialSecurity),
-    niit: TAX_CONFIG.niitThreshold,
-    medicare: TAX_CONFIG.medicare,
+    contributionLimits: {
+      traditional401k: contribLimits.traditional_401k,
+      traditional401k_catchUp: contribLimits.traditional_401k_catchup,
+      rothIRA: contribLimits.roth_ira,
+      rothIRA_catchUp: contribLimits.roth_ira_catchup,
+      traditionalIRA: contribLimits.traditional_ira,
+      traditionalIRA_catchUp: contribLimits.traditional_ira_catchup,
+      hsaIndividual: contribLimits.hsa_single,
+      hsaFamily: contribLimits.hsa_family,
+      hsa_catchUp: contribLimits.hsa_catchup,
+    },
+    federalBrackets: {
+      single: singleRules.ordinaryBrackets,
+      married: marriedRules.ordinaryBrackets,
+    },
+    standardDeduction: {
+      single: singleRules.standardDeduction,
+      married: marriedRules.standardDeduction,
+      additional_single: singleRules.additionalStandardDeduction,
+      additional_married: marriedRules.additionalStandardDeduction,
+    },
+    capitalGainsBrackets: {
+      single: singleRules.preferentialBrackets,
+      married: marriedRules.preferentialBrackets,
+    },
+    socialSecurity: {
+      wageBase: socialSec.wageBase,
+      taxRate: socialSec.taxRate / 100,
+    },
+    niit: {
+      single: NIIT.thresholds.single,
+      married: NIIT.thresholds.married_filing_jointly,
+      rate: NIIT.rate / 100,
+    },
+    medicare: MEDICARE_PAYROLL,
   };
 }
 
@@ -400,28 +131,29 @@ export function getRothIRALimit(year, age) {
  * @returns {number} - Maximum Traditional IRA contribution
  */
 export function getTraditionalIRALimit(year, age) {
-  const baseLimit = 7000;
-  const catchUp = age >= 50 ? 1000 : 0;
-  return baseLimit + catchUp;
+  const limits = getYearData(CONTRIBUTION_LIMITS, year);
+  return limits.traditional_ira + (age >= 50 ? limits.traditional_ira_catchup : 0);
 }
 
+// Phase-out range for a year and status from one of the taxData MAGI tables
+const getPhaseOut = (table, year, filingStatus) => {
+  const yearData = getYearData(table, year);
+  const limits = yearData[normalizeFilingStatus(filingStatus)] || yearData.single;
+  return { phaseOutStart: limits.phaseoutStart, phaseOutEnd: limits.phaseoutEnd };
+};
+
 /**
  * Get Roth IRA income limits for eligibility/phase-out.
  * 
  * Above phaseOutEnd: Cannot contribute to Roth IRA directly
  * Between phaseOutStart and phaseOutEnd: Reduced contribution allowed
  * 
- * @param {number} year - Tax year
+ * @param {number} year - Tax year (inflation-projected after the latest table)
  * @param {string} filingStatus - 'single' or 'married'
  * @returns {Object} - { phaseOutStart, phaseOutEnd }
  */
 export function getRothIRAIncomeLimit(year, filingStatus) {
-  // 2024/2025/2026 limits (adjust for inflation in future)
-  if (filingStatus === 'married' || filingStatus === 'married_filing_jointly') {
-    return { phaseOutStart: 230000, phaseOutEnd: 240000 };
-  } else {
-    return { phaseOutStart: 146000, phaseOutEnd: 161000 };
-  }
+  return getPhaseOut(ROTH_INCOME_LIMITS, year, filingStatus);
 }
 
 /**
@@ -432,16 +164,12 @@ export function getRothIRAIncomeLimit(year, filingStatus) {
  * - Between phaseOutStart and phaseOutEnd: Partially deductible
  * - Below phaseOutStart: Fully deductible
  * 
- * @param {number} year - Tax year
+ * @param {number} year - Tax year (inflation-projected after the latest table)
  * @param {string} filingStatus - 'single' or 'married'
  * @returns {Object} - { phaseOutStart, phaseOutEnd }
  */
 export function getTraditionalIRADeductibilityLimit(year, filingStatus) {
-  if (filingStatus === 'married' || filingStatus === 'married_filing_jointly') {
-    return { phaseOutStart: 123000, phaseOutEnd: 143000 };
-  } else {
-    return { phaseOutStart: 77000, phaseOutEnd: 87000 };
-  }
+  return getPhaseOut(TRADITIONAL_IRA_DEDUCTION_LIMITS, year, filingStatus);
 }
 
 /**
@@ -475,13 +203,9 @@ export function getHSALimit(year, age, familyCoverage = false) {
  * @returns {number} - Marginal tax rate (0.10 to 0.37)
  */
 export const getIncomeTaxRate = (taxableIncome, filingStatus = 'single', year = 2025) => {
-  const config = getTaxConfigForYear(year);
-  const brackets = config.federalBrackets[filingStatus] || config.federalBrackets.single;
-  
-  for (const bracket of brackets) {
-    if (taxableIncome <= bracket.max) return bracket.rate;
-  }
-  return 0.37;
+  const brackets = getTaxRules(year, filingStatus).ordinaryBrackets;
+  const bracket = brackets.find(b => taxableIncome <= b.max);
+  return bracket ? bracket.rate : brackets[brackets.length - 1].rate;
 };
 
 /**
@@ -498,13 +222,9 @@ export const getIncomeTaxRate = (taxableIncome, filingStatus = 'single', year =
  * @returns {number} - LTCG rate (0, 0.15, or 0.20)
  */
 export const getLTCGRate = (taxableIncome, filingStatus = 'single', year = 2025) => {
-  const config = getTaxConfigForYear(year);
-  const brackets = config.capitalGainsBrackets[filingStatus] || config.capitalGainsBrackets.single;
-  
-  for (const bracket of brackets) {
-    if (taxableIncome <= bracket.max) return bracket.rate;
-  }
-  return 0.20;
+  const brackets = getTaxRules(year, filingStatus).preferentialBrackets;
+  const bracket = brackets.find(b => taxableIncome <= b.max);
+  return bracket ? bracket.rate : 0.20;
 };
 
 /**
@@ -533,39 +253,23 @@ export const getSTCGRate = (taxableIncome, filingStatus = 'single', year = 2025)
  * - 22% on remaining $11,525 ($48,475 to $60,000) = $2,536
  * - Total tax: $8,115 (effective rate: 13.5%)
  * 
+ * Ordinary income only - calculateTaxReturn stacks gains and dividends on top.
+ * 
  * @param {number} taxableIncome - Taxable income (after deductions)
  * @param {string} filingStatus - 'single' or 'married'
  * @param {number} year - Tax year
  * @returns {number} - Total federal income tax owed
  */
 export const calculateProgressiveIncomeTax = (taxableIncome, filingStatus = 'single', year = 2025) => {
-  const config = getTaxConfigForYear(year);
-  const brackets = config.federalBrackets[filingStatus] || config.federalBrackets.single;
-  
-  let totalTax = 0;
-  let remainingIncome = taxableIncome;
-  let previousMax = 0;
-
-  for (const bracket of brackets) {
-    if (remainingIncome <= 0) break;
-    const taxableInBracket = Math.min(remainingIncome, bracket.max - previousMax);
-    totalTax += taxableInBracket * bracket.rate;
-    remainingIncome -= taxableInBracket;
-    previousMax = bracket.max;
-  }
-
-  return totalTax;
+  return calculateBracketTax(getTaxRules(year, filingStatus).ordinaryBrackets, taxableIncome).tax;
 };
 
-// Get standard deduction for a given year
+// Get standard deduction for a given year (base amount, without 65+ additions)
 export const getStandardDeduction = (filingStatus = 'single', year = 2025) => {
-  const config = getTaxConfigForYear(year);
-  return config.standardDeduction[filingStatus] || config.standardDeduction.single;
+  return getTaxRules(year, filingStatus).standardDeduction;
 };
 
-// Backward compatibility exports
-export const STANDARD_DEDUCTIONS = TAX_CONFIG.standardDeduction;
-export const INCOME_TAX_BRACKETS = TAX_CONFIG.federalBrackets;
+// Backward compatibility export
 export const getTaxDataForYear = (year) => {
   const config = getTaxConfigForYear(year);
   return {
@@ -1,11 +1,12 @@
 // =============================================================================
 // TAX DATA - Updated January 2026
 // Sources: IRS Revenue Procedure 2025-32, One Big Beautiful Bill Act (OBBBA)
-// Historical data preserved for tax lot reporting (2024-2025)
+// Historical data preserved for tax lot reporting (2018-2025)
 // Future years (2027+) inflate from 2026 base using FALLBACK_INFLATION (2.5%)
 // =============================================================================
 //
 // UPDATE CHECKLIST (Every January):
+// [ ] TAX_LAW_SOURCES entry for the new year
 // [ ] Federal income brackets
 // [ ] Federal LTCG brackets  
 // [ ] Standard deductions
@@ -13,6 +14,8 @@
 // [ ] Roth income limits
 // [ ] Social Security wage base & bend points
 // [ ] Medicare IRMAA brackets
+// [ ] AMT exemptions, phase-outs and 28% breakpoint
+// [ ] Underpayment interest rates (announced each quarter)
 // [ ] Estate/gift limits
 // [ ] State tax updates (check each state)
 // =============================================================================
@@ -24,6 +27,235 @@ const FALLBACK_INFLATION = 0.025; // 2.5% for projecting unknown years
 // FEDERAL INCOME TAX BRACKETS
 // ===========================================
 export const FEDERAL_INCOME_BRACKETS = {
+  // 2018-2023: TCJA brackets, kept for tax lot reports on past years
+  2018: {
+    single: [
+      { min: 0, max: 9525, rate: 10 },
+      { min: 9525, max: 38700, rate: 12 },
+      { min: 38700, max: 82500, rate: 22 },
+      { min: 82500, max: 157500, rate: 24 },
+      { min: 157500, max: 200000, rate: 32 },
+      { min: 200000, max: 500000, rate: 35 },
+      { min: 500000, max: Infinity, rate: 37 }
+    ],
+    married_filing_jointly: [
+      { min: 0, max: 19050, rate: 10 },
+      { min: 19050, max: 77400, rate: 12 },
+      { min: 77400, max: 165000, rate: 22 },
+      { min: 165000, max: 315000, rate: 24 },
+      { min: 315000, max: 400000, rate: 32 },
+      { min: 400000, max: 600000, rate: 35 },
+      { min: 600000, max: Infinity, rate: 37 }
+    ],
+    married_filing_separately: [
+      { min: 0, max: 9525, rate: 10 },
+      { min: 9525, max: 38700, rate: 12 },
+      { min: 38700, max: 82500, rate: 22 },
+      { min: 82500, max: 157500, rate: 24 },
+      { min: 157500, max: 200000, rate: 32 },
+      { min: 200000, max: 300000, rate: 35 },
+      { min: 300000, max: Infinity, rate: 37 }
+    ],
+    head_of_household: [
+      { min: 0, max: 13600, rate: 10 },
+      { min: 13600, max: 51800, rate: 12 },
+      { min: 51800, max: 82500, rate: 22 },
+      { min: 82500, max: 157500, rate: 24 },
+      { min: 157500, max: 200000, rate: 32 },
+      { min: 200000, max: 500000, rate: 35 },
+      { min: 500000, max: Infinity, rate: 37 }
+    ]
+  },
+  2019: {
+    single: [
+      { min: 0, max: 9700, rate: 10 },
+      { min: 9700, max: 39475, rate: 12 },
+      { min: 39475, max: 84200, rate: 22 },
+      { min: 84200, max: 160725, rate: 24 },
+      { min: 160725, max: 204100, rate: 32 },
+      { min: 204100, max: 510300, rate: 35 },
+      { min: 510300, max: Infinity, rate: 37 }
+    ],
+    married_filing_jointly: [
+      { min: 0, max: 19400, rate: 10 },
+      { min: 19400, max: 78950, rate: 12 },
+      { min: 78950, max: 168400, rate: 22 },
+      { min: 168400, max: 321450, rate: 24 },
+      { min: 321450, max: 408200, rate: 32 },
+      { min: 408200, max: 612350, rate: 35 },
+      { min: 612350, max: Infinity, rate: 37 }
+    ],
+    married_filing_separately: [
+      { min: 0, max: 9700, rate: 10 },
+      { min: 9700, max: 39475, rate: 12 },
+      { min: 39475, max: 84200, rate: 22 },
+      { min: 84200, max: 160725, rate: 24 },
+      { min: 160725, max: 204100, rate: 32 },
+      { min: 204100, max: 306175, rate: 35 },
+      { min: 306175, max: Infinity, rate: 37 }
+    ],
+    head_of_household: [
+      { min: 0, max: 13850, rate: 10 },
+      { min: 13850, max: 52850, rate: 12 },
+      { min: 52850, max: 84200, rate: 22 },
+      { min: 84200, max: 160700, rate: 24 },
+      { min: 160700, max: 204100, rate: 32 },
+      { min: 204100, max: 510300, rate: 35 },
+      { min: 510300, max: Infinity, rate: 37 }
+    ]
+  },
+  2020: {
+    single: [
+      { min: 0, max: 9875, rate: 10 },
+      { min: 9875, max: 40125, rate: 12 },
+      { min: 40125, max: 85525, rate: 22 },
+      { min: 85525, max: 163300, rate: 24 },
+      { min: 163300, max: 207350, rate: 32 },
+      { min: 207350, max: 518400, rate: 35 },
+      { min: 518400, max: Infinity, rate: 37 }
+    ],
+    married_filing_jointly: [
+      { min: 0, max: 19750, rate: 10 },
+      { min: 19750, max: 80250, rate: 12 },
+      { min: 80250, max: 171050, rate: 22 },
+      { min: 171050, max: 326600, rate: 24 },
+      { min: 326600, max: 414700, rate: 32 },
+      { min: 414700, max: 622050, rate: 35 },
+      { min: 622050, max: Infinity, rate: 37 }
+    ],
+    married_filing_separately: [
+      { min: 0, max: 9875, rate: 10 },
+      { min: 9875, max: 40125, rate: 12 },
+      { min: 40125, max: 85525, rate: 22 },
+      { min: 85525, max: 163300, rate: 24 },
+      { min: 163300, max: 207350, rate: 32 },
+      { min: 207350, max: 311025, rate: 35 },
+      { min: 311025, max: Infinity, rate: 37 }
+    ],
+    head_of_household: [
+      { min: 0, max: 14100, rate: 10 },
+      { min: 14100, max: 53700, rate: 12 },
+      { min: 53700, max: 85500, rate: 22 },
+      { min: 85500, max: 163300, rate: 24 },
+      { min: 163300, max: 207350, rate: 32 },
+      { min: 207350, max: 518400, rate: 35 },
+      { min: 518400, max: Infinity, rate: 37 }
+    ]
+  },
+  2021: {
+    single: [
+      { min: 0, max: 9950, rate: 10 },
+      { min: 9950, max: 40525, rate: 12 },
+      { min: 40525, max: 86375, rate: 22 },
+      { min: 86375, max: 164925, rate: 24 },
+      { min: 164925, max: 209425, rate: 32 },
+      { min: 209425, max: 523600, rate: 35 },
+      { min: 523600, max: Infinity, rate: 37 }
+    ],
+    married_filing_jointly: [
+      { min: 0, max: 19900, rate: 10 },
+      { min: 19900, max: 81050, rate: 12 },
+      { min: 81050, max: 172750, rate: 22 },
+      { min: 172750, max: 329850, rate: 24 },
+      { min: 329850, max: 418850, rate: 32 },
+      { min: 418850, max: 628300, rate: 35 },
+      { min: 628300, max: Infinity, rate: 37 }
+    ],
+    married_filing_separately: [
+      { min: 0, max: 9950, rate: 10 },
+      { min: 9950, max: 40525, rate: 12 },
+      { min: 40525, max: 86375, rate: 22 },
+      { min: 86375, max: 164925, rate: 24 },
+      { min: 164925, max: 209425, rate: 32 },
+      { min: 209425, max: 314150, rate: 35 },
+      { min: 314150, max: Infinity, rate: 37 }
+    ],
+    head_of_household: [
+      { min: 0, max: 14200, rate: 10 },
+      { min: 14200, max: 54200, rate: 12 },
+      { min: 54200, max: 86350, rate: 22 },
+      { min: 86350, max: 164900, rate: 24 },
+      { min: 164900, max: 209400, rate: 32 },
+      { min: 209400, max: 523600, rate: 35 },
+      { min: 523600, max: Infinity, rate: 37 }
+    ]
+  },
+  2022: {
+    single: [
+      { min: 0, max: 10275, rate: 10 },
+      { min: 10275, max: 41775, rate: 12 },
+      { min: 41775, max: 89075, rate: 22 },
+      { min: 89075, max: 170050, rate: 24 },
+      { min: 170050, max: 215950, rate: 32 },
+      { min: 215950, max: 539900, rate: 35 },
+      { min: 539900, max: Infinity, rate: 37 }
+    ],
+    married_filing_jointly: [
+      { min: 0, max: 20550, rate: 10 },
+      { min: 20550, max: 83550, rate: 12 },
+      { min: 83550, max: 178150, rate: 22 },
+      { min: 178150, max: 340100, rate: 24 },
+      { min: 340100, max: 431900, rate: 32 },
+      { min: 431900, max: 647850, rate: 35 },
+      { min: 647850, max: Infinity, rate: 37 }
+    ],
+    married_filing_separately: [
+      { min: 0, max: 10275, rate: 10 },
+      { min: 10275, max: 41775, rate: 12 },
+      { min: 41775, max: 89075, rate: 22 },
+      { min: 89075, max: 170050, rate: 24 },
+      { min: 170050, max: 215950, rate: 32 },
+      { min: 215950, max: 323925, rate: 35 },
+      { min: 323925, max: Infinity, rate: 37 }
+    ],
+    head_of_household: [
+      { min: 0, max: 14650, rate: 10 },
+      { min: 14650, max: 55900, rate: 12 },
+      { min: 55900, max: 89050, rate: 22 },
+      { min: 89050, max: 170050, rate: 24 },
+      { min: 170050, max: 215950, rate: 32 },
+      { min: 215950, max: 539900, rate: 35 },
+      { min: 539900, max: Infinity, rate: 37 }
+    ]
+  },
+  2023: {
+    single: [
+      { min: 0, max: 11000, rate: 10 },
+      { min: 11000, max: 44725, rate: 12 },
+      { min: 44725, max: 95375, rate: 22 },
+      { min: 95375, max: 182100, rate: 24 },
+      { min: 182100, max: 231250, rate: 32 },
+      { min: 231250, max: 578125, rate: 35 },
+      { min: 578125, max: Infinity, rate: 37 }
+    ],
+    married_filing_jointly: [
+      { min: 0, max: 22000, rate: 10 },
+      { min: 22000, max: 89075, rate: 12 },
+      { min: 89075, max: 190750, rate: 22 },
+      { min: 190750, max: 364200, rate: 24 },
+      { min: 364200, max: 462500, rate: 32 },
+      { min: 462500, max: 693750, rate: 35 },
+      { min: 693750, max: Infinity, rate: 37 }
+    ],
+    married_filing_separately: [
+      { min: 0, max: 11000, rate: 10 },
+      { min: 11000, max: 44725, rate: 12 },
+      { min: 44725, max: 95375, rate: 22 },
+      { min: 95375, max: 182100, rate: 24 },
+      { min: 182100, max: 231250, rate: 32 },
+      { min: 231250, max: 346875, rate: 35 },
+      { min: 346875, max: Infinity, rate: 37 }
+    ],
+    head_of_household: [
+      { min: 0, max: 15700, rate: 10 },
+      { min: 15700, max: 59850, rate: 12 },
+      { min: 59850, max: 95350, rate: 22 },
+      { min: 95350, max: 182100, rate: 24 },
+      { min: 182100, max: 231250, rate: 32 },
+      { min: 231250, max: 578100, rate: 35 },
+      { min: 578100, max: Infinity, rate: 37 }
+    ]
+  },
   2024: {
     single: [
       { min: 0, max: 11600, rate: 10 },
@@ -145,6 +377,42 @@ export const FEDERAL_INCOME_BRACKETS = {
 // FEDERAL LONG-TERM CAPITAL GAINS BRACKETS
 // ===========================================
 export const FEDERAL_LTCG_BRACKETS = {
+  2018: {
+    single: { zeroMax: 38600, fifteenMax: 425800 },
+    married_filing_jointly: { zeroMax: 77200, fifteenMax: 479000 },
+    married_filing_separately: { zeroMax: 38600, fifteenMax: 239500 },
+    head_of_household: { zeroMax: 51700, fifteenMax: 452400 }
+  },
+  2019: {
+    single: { zeroMax: 39375, fifteenMax: 434550 },
+    married_filing_jointly: { zeroMax: 78750, fifteenMax: 488850 },
+    married_filing_separately: { zeroMax: 39375, fifteenMax: 244425 },
+    head_of_household: { zeroMax: 52750, fifteenMax: 461700 }
+  },
+  2020: {
+    single: { zeroMax: 40000, fifteenMax: 441450 },
+    married_filing_jointly: { zeroMax: 80000, fifteenMax: 496600 },
+    married_filing_separately: { zeroMax: 40000, fifteenMax: 248300 },
+    head_of_household: { zeroMax: 53600, fifteenMax: 469050 }
+  },
+  2021: {
+    single: { zeroMax: 40400, fifteenMax: 445850 },
+    married_filing_jointly: { zeroMax: 80800, fifteenMax: 501600 },
+    married_filing_separately: { zeroMax: 40400, fifteenMax: 250800 },
+    head_of_household: { zeroMax: 54100, fifteenMax: 473750 }
+  },
+  2022: {
+    single: { zeroMax: 41675, fifteenMax: 459750 },
+    married_filing_jointly: { zeroMax: 83350, fifteenMax: 517200 },
+    married_filing_separately: { zeroMax: 41675, fifteenMax: 258600 },
+    head_of_household: { zeroMax: 55800, fifteenMax: 488500 }
+  },
+  2023: {
+    single: { zeroMax: 44625, fifteenMax: 492300 },
+    married_filing_jointly: { zeroMax: 89250, fifteenMax: 553850 },
+    married_filing_separately: { zeroMax: 44625, fifteenMax: 276900 },
+    head_of_household: { zeroMax: 59750, fifteenMax: 523050 }
+  },
   2024: {
     single: { zeroMax: 47025, fifteenMax: 518900 },
     married_filing_jointly: { zeroMax: 94050, fifteenMax: 583750 },
@@ -170,6 +438,54 @@ export const FEDERAL_LTCG_BRACKETS = {
 // STANDARD DEDUCTIONS
 // ===========================================
 export const STANDARD_DEDUCTIONS = {
+  2018: {
+    single: 12000,
+    married_filing_jointly: 24000,
+    married_filing_separately: 12000,
+    head_of_household: 18000,
+    additional_single: 1600,
+    additional_married: 1300
+  },
+  2019: {
+    single: 12200,
+    married_filing_jointly: 24400,
+    married_filing_separately: 12200,
+    head_of_household: 18350,
+    additional_single: 1650,
+    additional_married: 1300
+  },
+  2020: {
+    single: 12400,
+    married_filing_jointly: 24800,
+    married_filing_separately: 12400,
+    head_of_household: 18650,
+    additional_single: 1650,
+    additional_married: 1300
+  },
+  2021: {
+    single: 12550,
+    married_filing_jointly: 25100,
+    married_filing_separately: 12550,
+    head_of_household: 18800,
+    additional_single: 1700,
+    additional_married: 1350
+  },
+  2022: {
+    single: 12950,
+    married_filing_jointly: 25900,
+    married_filing_separately: 12950,
+    head_of_household: 19400,
+    additional_single: 1750,
+    additional_married: 1400
+  },
+  2023: {
+    single: 13850,
+    married_filing_jointly: 27700,
+    married_filing_separately: 13850,
+    head_of_household: 20800,
+    additional_single: 1850,
+    additional_married: 1500
+  },
   2024: {
     single: 14600,
     married_filing_jointly: 29200,
@@ -560,6 +876,145 @@ export const NIIT = {
   }
 };
 
+// ===========================================
+// ALTERNATIVE MINIMUM TAX (Form 6251)
+// ===========================================
+// Exemption shrinks by phaseoutRate% of AMTI above phaseoutStart. AMTI after the exemption is taxed
+// at 26% up to bracket28Start and 28% above; LTCG and qualified dividends keep their 0/15/20% rates.
+export const AMT_RATES = { low: 26, high: 28 };
+
+export const AMT = {
+  2018: {
+    exemption: { single: 70300, married_filing_jointly: 109400, married_filing_separately: 54700, head_of_household: 70300 },
+    phaseoutStart: { single: 500000, married_filing_jointly: 1000000, married_filing_separately: 500000, head_of_household: 500000 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 191500, married_filing_jointly: 191500, married_filing_separately: 95750, head_of_household: 191500 }
+  },
+  2019: {
+    exemption: { single: 71700, married_filing_jointly: 111700, married_filing_separately: 55850, head_of_household: 71700 },
+    phaseoutStart: { single: 510300, married_filing_jointly: 1020600, married_filing_separately: 510300, head_of_household: 510300 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 194800, married_filing_jointly: 194800, married_filing_separately: 97400, head_of_household: 194800 }
+  },
+  2020: {
+    exemption: { single: 72900, married_filing_jointly: 113400, married_filing_separately: 56700, head_of_household: 72900 },
+    phaseoutStart: { single: 518400, married_filing_jointly: 1036800, married_filing_separately: 518400, head_of_household: 518400 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 197900, married_filing_jointly: 197900, married_filing_separately: 98950, head_of_household: 197900 }
+  },
+  2021: {
+    exemption: { single: 73600, married_filing_jointly: 114600, married_filing_separately: 57300, head_of_household: 73600 },
+    phaseoutStart: { single: 523600, married_filing_jointly: 1047200, married_filing_separately: 523600, head_of_household: 523600 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 199900, married_filing_jointly: 199900, married_filing_separately: 99950, head_of_household: 199900 }
+  },
+  2022: {
+    exemption: { single: 75900, married_filing_jointly: 118100, married_filing_separately: 59050, head_of_household: 75900 },
+    phaseoutStart: { single: 539900, married_filing_jointly: 1079800, married_filing_separately: 539900, head_of_household: 539900 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 206100, married_filing_jointly: 206100, married_filing_separately: 103050, head_of_household: 206100 }
+  },
+  2023: {
+    exemption: { single: 81300, married_filing_jointly: 126500, married_filing_separately: 63250, head_of_household: 81300 },
+    phaseoutStart: { single: 578150, married_filing_jointly: 1156300, married_filing_separately: 578150, head_of_household: 578150 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 220700, married_filing_jointly: 220700, married_filing_separately: 110350, head_of_household: 220700 }
+  },
+  2024: {
+    exemption: { single: 85700, married_filing_jointly: 133300, married_filing_separately: 66650, head_of_household: 85700 },
+    phaseoutStart: { single: 609350, married_filing_jointly: 1218700, married_filing_separately: 609350, head_of_household: 609350 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 232600, married_filing_jointly: 232600, married_filing_separately: 116300, head_of_household: 232600 }
+  },
+  2025: {
+    exemption: { single: 88100, married_filing_jointly: 137000, married_filing_separately: 68500, head_of_household: 88100 },
+    phaseoutStart: { single: 626350, married_filing_jointly: 1252700, married_filing_separately: 626350, head_of_household: 626350 },
+    phaseoutRate: 25,
+    bracket28Start: { single: 239100, married_filing_jointly: 239100, married_filing_separately: 119550, head_of_household: 239100 }
+  },
+  // 2026: OBBBA reset the phase-out thresholds to 2018 levels and doubled the phase-out rate
+  2026: {
+    exemption: { single: 90100, married_filing_jointly: 140200, married_filing_separately: 70100, head_of_household: 90100 },
+    phaseoutStart: { single: 500000, married_filing_jointly: 1000000, married_filing_separately: 500000, head_of_household: 500000 },
+    phaseoutRate: 50,
+    bracket28Start: { single: 244500, married_filing_jointly: 244500, married_filing_separately: 122250, head_of_household: 244500 }
+  }
+};
+
+// ===========================================
+// SOCIAL SECURITY BENEFIT TAXATION (IRC §86)
+// ===========================================
+// Provisional income thresholds - statutory since 1984/1993, NOT inflation-adjusted.
+// tier1Max caps the 50% tier once provisional income passes the upper threshold.
+// MFS assumes the spouses lived together at some point in the year (no thresholds).
+export const SOCIAL_SECURITY_TAXATION = {
+  single: { base: 25000, upper: 34000, tier1Max: 4500 },
+  married_filing_jointly: { base: 32000, upper: 44000, tier1Max: 6000 },
+  married_filing_separately: { base: 0, upper: 0, tier1Max: 0 },
+  head_of_household: { base: 25000, upper: 34000, tier1Max: 4500 }
+};
+
+// ===========================================
+// CAPITAL LOSS DEDUCTION LIMIT
+// ===========================================
+// Net capital losses offset at most this much ordinary income per year (NOT inflation-adjusted)
+export const CAPITAL_LOSS_LIMIT = {
+  single: 3000,
+  married_filing_jointly: 3000,
+  married_filing_separately: 1500,
+  head_of_household: 3000
+};
+
+// ===========================================
+// ESTIMATED TAX (Form 1040-ES / Form 2210)
+// ===========================================
+// No penalty when the year's tax less withholding is under minimumBalanceDue. Otherwise the required
+// annual payment is the smaller of currentYearPercent of this year's tax and priorYearPercent of last
+// year's (highIncomePriorYearPercent when last year's AGI was over highIncomeAgi; half that if
+// married filing separately).
+export const ESTIMATED_TAX_SAFE_HARBOR = {
+  minimumBalanceDue: 1000,
+  currentYearPercent: 90,
+  priorYearPercent: 100,
+  highIncomePriorYearPercent: 110,
+  highIncomeAgi: 150000,
+};
+
+// Installment periods: income through each period end is annualized by `annualizationFactor` on
+// Schedule AI, and `cumulativePercent` of that year's tax is due by the installment
+export const ESTIMATED_TAX_PERIODS = [
+  { quarter: 1, endMonth: 3, dueMonth: 4, dueDay: 15, annualizationFactor: 4, cumulativePercent: 22.5 },
+  { quarter: 2, endMonth: 5, dueMonth: 6, dueDay: 15, annualizationFactor: 2.4, cumulativePercent: 45 },
+  { quarter: 3, endMonth: 8, dueMonth: 9, dueDay: 15, annualizationFactor: 1.5, cumulativePercent: 67.5 },
+  { quarter: 4, endMonth: 12, dueMonth: 13, dueDay: 15, annualizationFactor: 1, cumulativePercent: 90 },
+];
+
+// IRS underpayment interest rate (%) by calendar quarter. Quarters not listed yet use the latest
+// published rate.
+export const UNDERPAYMENT_RATES = {
+  2022: [3, 4, 5, 6],
+  2023: [7, 7, 7, 8],
+  2024: [8, 8, 8, 8],
+  2025: [7, 7, 7, 7],
+  2026: [7],
+};
+
+// ===========================================
+// TAX LAW VERSIONS
+// ===========================================
+// Source of each year's published tables. Years after the last entry are projected from it.
+export const TAX_LAW_SOURCES = {
+  2018: 'Rev. Proc. 2018-18 (TCJA)',
+  2019: 'Rev. Proc. 2018-57',
+  2020: 'Rev. Proc. 2019-44',
+  2021: 'Rev. Proc. 2020-45',
+  2022: 'Rev. Proc. 2021-45',
+  2023: 'Rev. Proc. 2022-38',
+  2024: 'Rev. Proc. 2023-34',
+  2025: 'Rev. Proc. 2024-40',
+  2026: 'Rev. Proc. 2025-32 (OBBBA)'
+};
+
 // ===========================================
 // HELPER FUNCTIONS
 // ===========================================
@@ -584,12 +1039,11 @@ export function getYearData(dataObject, year, customInflationRate = null) {
     return dataObject[year];
   }
   
-  // Find most recent year available
-  const availableYears = Object.keys(dataObject).map(Number).sort((a, b) => b - a);
-  const mostRecentYear = availableYears.find(y => y <= year) || availableYears[0];
+  // Find most recent year available (years before the first table use the first table as is)
+  const mostRecentYear = getDataYear(dataObject, year);
   const yearDiff = year - mostRecentYear;
   
-  if (yearDiff === 0) {
+  if (yearDiff <= 0) {
     return dataObject[mostRecentYear];
   }
   
@@ -601,7 +1055,16 @@ export function getYearData(dataObject, year, customInflationRate = null) {
   return inflateDataWithRate(baseData, yearDiff, inflationRate);
 }
 
-// Recursively inflate numeric values with custom rate
+/**
+ * Year of the table getYearData uses for `year`: the year itself when published, otherwise the most
+ * recent earlier year (or the earliest year for dates before the data starts).
+ */
+export function getDataYear(dataObject, year) {
+  const availableYears = Object.keys(dataObject).map(Number).sort((a, b) => b - a);
+  return availableYears.find(y => y <= year) ?? availableYears[availableYears.length - 1];
+}
+
+// Recursively inflate numeric values with custom rate (rates - rate, taxRate, topRate - are percentages and stay as they are)
 function inflateDataWithRate(data, years, rate) {
   if (typeof data === 'number') {
     return Math.round(data * Math.pow(1 + rate, years));
@@ -612,7 +1075,7 @@ function inflateDataWithRate(data, years, rate) {
   if (typeof data === 'object' && data !== null) {
     const inflated = {};
     for (const key in data) {
-      inflated[key] = inflateDataWithRate(data[key], years, rate);
+      inflated[key] = /rate$/i.test(key) ? data[key] : inflateDataWithRate(data[key], years, rate);
     }
     return inflated;
   }
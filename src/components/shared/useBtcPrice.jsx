@@ -1,14 +1,23 @@
 import { useState, useEffect } from 'react';
 
-// Cache key for sessionStorage
+// Cache key for sessionStorage (one entry per base currency)
 const CACHE_KEY = 'btc_price_cache';
 const FALLBACK_PRICE = 100000; // Reasonable fallback if all APIs fail
 
-export function useBtcPrice() {
+const getCacheKey = (currency) => currency === 'USD' ? CACHE_KEY : `${CACHE_KEY}_${currency}`;
+
+/**
+ * Live BTC price. btcPrice is always in USD (what holdings and projections are calculated in);
+ * localPrice is the market quote in `currency`, for display.
+ *
+ * @param {string} [currency] - Base currency (UserSettings.base_currency)
+ */
+export function useBtcPrice(currency = 'USD') {
+  const cacheKey = getCacheKey(currency);
   const [btcPrice, setBtcPrice] = useState(() => {
     // Initialize from cache if available (use even if stale as fallback)
     try {
-      const cached = sessionStorage.getItem(CACHE_KEY);
+      const cached = sessionStorage.getItem(cacheKey);
       if (cached) {
         const { price } = JSON.parse(cached);
         if (price) return price;
@@ -16,9 +25,19 @@ export function useBtcPrice() {
     } catch (e) {}
     return null;
   });
+  const [localPrice, setLocalPrice] = useState(() => {
+    try {
+      const cached = sessionStorage.getItem(cacheKey);
+      if (cached) {
+        const { price, local } = JSON.parse(cached);
+        return local || (currency === 'USD' ? price : null) || null;
+      }
+    } catch (e) {}
+    return null;
+  });
   const [priceChange, setPriceChange] = useState(() => {
     try {
-      const cached = sessionStorage.getItem(CACHE_KEY);
+      const cached = sessionStorage.getItem(cacheKey);
       if (cached) {
         const { change } = JSON.parse(cached);
         return change || null;
@@ -30,15 +49,21 @@ export function useBtcPrice() {
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    const quote = currency.toLowerCase();
+    const setPrices = (price, local) => {
+      setBtcPrice(price);
+      setLocalPrice(local || (currency === 'USD' ? price : null));
+    };
+
     const fetchPrice = async () => {
       // Check cache freshness first
       try {
-        const cached = sessionStorage.getItem(CACHE_KEY);
+        const cached = sessionStorage.getItem(cacheKey);
         if (cached) {
-          const { price, change, timestamp } = JSON.parse(cached);
+          const { price, local, change, timestamp } = JSON.parse(cached);
           // Use cached value if less than 2 minutes old (reduce API calls)
           if (Date.now() - timestamp < 2 * 60 * 1000 && price) {
-            setBtcPrice(price);
+            setPrices(price, local);
             setPriceChange(change);
             setLoading(false);
             return;
@@ -48,20 +73,25 @@ export function useBtcPrice() {
 
       // Try CoinGecko first
       try {
-        const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd&include_24hr_change=true', {
+        const vsCurrencies = currency === 'USD' ? 'usd' : `usd,${quote}`;
+        const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=${vsCurrencies}&include_24hr_change=true`, {
           signal: AbortSignal.timeout(5000) // 5 second timeout
         });
         
         if (response.ok) {
           const data = await response.json();
           if (data.bitcoin?.usd) {
-            setBtcPrice(data.bitcoin.usd);
-            setPriceChange(data.bitcoin.usd_24h_change);
+            const local = data.bitcoin[quote];
+            // 24h change in the base currency, so it matches the price shown
+            const change = data.bitcoin[`${quote}_24h_change`] ?? data.bitcoin.usd_24h_change;
+            setPrices(data.bitcoin.usd, local);
+            setPriceChange(change);
             setError(null);
             try {
-              sessionStorage.setItem(CACHE_KEY, JSON.stringify({
+              sessionStorage.setItem(cacheKey, JSON.stringify({
                 price: data.bitcoin.usd,
-                change: data.bitcoin.usd_24h_change,
+                local,
+                change,
                 timestamp: Date.now()
               }));
             } catch (e) {}
@@ -82,11 +112,13 @@ export function useBtcPrice() {
         if (response.ok) {
           const data = await response.json();
           if (data.USD?.last) {
-            setBtcPrice(data.USD.last);
+            const local = data[currency]?.last;
+            setPrices(data.USD.last, local);
             setError(null);
             try {
-              sessionStorage.setItem(CACHE_KEY, JSON.stringify({
+              sessionStorage.setItem(cacheKey, JSON.stringify({
                 price: data.USD.last,
+                local,
                 change: priceChange, // Keep existing change
                 timestamp: Date.now()
               }));
@@ -101,17 +133,17 @@ export function useBtcPrice() {
 
       // If we have a cached price (even stale), use it
       try {
-        const cached = sessionStorage.getItem(CACHE_KEY);
+        const cached = sessionStorage.getItem(cacheKey);
         if (cached) {
-          const { price, change } = JSON.parse(cached);
+          const { price, local, change } = JSON.parse(cached);
           if (price) {
-            setBtcPrice(price);
+            setPrices(price, local);
             setPriceChange(change);
             setLoading(false);
             return;
           }
         }
-      } catch (e) {}
+      } catch {}
 
       // Last resort: use fallback price
       if (!btcPrice) {
@@ -124,7 +156,7 @@ export function useBtcPrice() {
     // Refresh every 2 minutes (reduced frequency to avoid rate limits)
     const interval = setInterval(fetchPrice, 120000);
     return () => clearInterval(interval);
-  }, []);
+  }, [currency, cacheKey]);
 
-  return { btcPrice, priceChange, loading, error };
+  return { btcPrice, localPrice, priceChange, loading, error };
 }
\ No newline at end of file
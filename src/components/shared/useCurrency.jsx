@@ -0,0 +1,163 @@
+import { useCallback, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { base44 } from '@/api/base44Client';
+import {
+  convertFromUSD,
+  convertToUSD,
+  findRateOnDate,
+  formatCurrency,
+  getBaseCurrency,
+  getEntryCurrencyFields,
+  getCurrencySymbol,
+  getTransactionRate,
+  getUsdRate,
+} from '@/components/shared/currency';
+
+const RATES_STALE_TIME = 60 * 60 * 1000;
+
+// Today's rates (USD per unit of each currency), shared by every page through the query cache
+export function useExchangeRates() {
+  return useQuery({
+    queryKey: ['exchangeRates'],
+    queryFn: async () => {
+      const response = await base44.functions.invoke('getExchangeRates', {});
+      return response.data?.rates || { USD: 1 };
+    },
+    staleTime: RATES_STALE_TIME,
+  });
+}
+
+/**
+ * Daily rates for `currency` from `startDate` to today, as { 'YYYY-MM-DD': USD per unit }.
+ * Empty for USD.
+ */
+export async function fetchHistoricalRates(currency, startDate, endDate) {
+  if (!currency || currency === 'USD' || !startDate) return {};
+  const response = await base44.functions.invoke('getHistoricalExchangeRates', { currency, startDate, endDate });
+  return response.data?.rates || {};
+}
+
+/**
+ * USD per unit of `currency` on `date`, for converting a buy or sell as it is saved. Falls back to
+ * `fallbackRate` (usually today's) when the lookup fails.
+ */
+export async function fetchRateOnDate(currency, date, fallbackRate = 1) {
+  if (!currency || currency === 'USD') return 1;
+  const day = date ? new Date(`${String(date).split('T')[0]}T00:00:00Z`) : new Date();
+  if (isNaN(day.getTime())) return fallbackRate;
+  const endDate = day.toISOString().split('T')[0];
+  day.setUTCDate(day.getUTCDate() - 14);
+  try {
+    const series = await fetchHistoricalRates(currency, day.toISOString().split('T')[0], endDate);
+    return findRateOnDate(series, endDate) || fallbackRate;
+  } catch {
+    return fallbackRate;
+  }
+}
+
+/**
+ * Convert imported trades priced in another fiat currency (price_currency, e.g. Kraken EUR pairs) to
+ * USD at the rate on each trade's date. The original currency and rate stay on the transaction as
+ * entry_currency / fx_rate. Throws when a rate is missing rather than importing euros as dollars.
+ */
+export async function convertTradesToUSD(transactions) {
+  const startDates = {};
+  transactions.forEach(tx => {
+    if (!tx.price_currency || tx.price_currency === 'USD' || !tx.date) return;
+    const day = String(tx.date).split('T')[0];
+    if (!startDates[tx.price_currency] || day < startDates[tx.price_currency]) startDates[tx.price_currency] = day;
+  });
+
+  const series = {};
+  for (const [currency, firstDay] of Object.entries(startDates)) {
+    const start = new Date(`${firstDay}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - 14);
+    series[currency] = await fetchHistoricalRates(currency, start.toISOString().split('T')[0]);
+  }
+
+  return transactions.map(tx => {
+    const { price_currency: priceCurrency, ...rest } = tx;
+    if (!priceCurrency || priceCurrency === 'USD') return rest;
+    const rate = findRateOnDate(series[priceCurrency], tx.date);
+    if (!rate) throw new Error(`No ${priceCurrency}/USD exchange rate for ${tx.date}`);
+    return {
+      ...rest,
+      price_per_unit: (tx.price_per_unit || 0) * rate,
+      trading_fee: (tx.trading_fee || 0) * rate,
+      ...getEntryCurrencyFields(priceCurrency, rate),
+    };
+  });
+}
+
+export function useHistoricalRates(currency, startDate) {
+  return useQuery({
+    queryKey: ['historicalExchangeRates', currency, startDate],
+    queryFn: () => fetchHistoricalRates(currency, startDate),
+    enabled: !!startDate && currency !== 'USD',
+    staleTime: RATES_STALE_TIME,
+  });
+}
+
+/**
+ * The user's base currency and converters for USD amounts at today's rate.
+ *
+ * @returns {Object} { currency, symbol, rates, rate, fromUSD, toUSD, format }
+ *   - format(usd, { decimals, compact }) converts and formats a USD amount
+ */
+export function useCurrency() {
+  const { data: userSettings = [] } = useQuery({
+    queryKey: ['userSettings'],
+    queryFn: () => base44.entities.UserSettings.list(),
+  });
+  const { data: rates } = useExchangeRates();
+  const currency = getBaseCurrency(userSettings[0]);
+
+  return useMemo(() => ({
+    currency,
+    symbol: getCurrencySymbol(currency),
+    rates,
+    rate: getUsdRate(rates, currency) || 1,
+    fromUSD: (amount) => convertFromUSD(amount, currency, rates),
+    toUSD: (amount) => convertToUSD(amount, currency, rates),
+    format: (amount, options) => formatCurrency(convertFromUSD(amount, currency, rates), currency, options),
+  }), [currency, rates]);
+}
+
+/**
+ * useCurrency plus converters for amounts tied to a transaction (cost basis, proceeds), which use the
+ * rate on the transaction's date instead of today's.
+ *
+ * @param {Array} transactions - Transactions (or lots) whose amounts will be shown
+ * @returns {Object} useCurrency() + { fromUSDOn(usd, transaction), toUSDOn(amount, transaction), formatOn(usd, transaction, options) }
+ *   - `transaction` can be any object with a date, e.g. { date: saleDate } for a sale being entered
+ */
+export function useTransactionCurrency(transactions = []) {
+  const base = useCurrency();
+  const { currency, rates } = base;
+
+  // Transactions entered in the base currency carry their own rate; only the rest need the series
+  const startDate = useMemo(() => {
+    if (currency === 'USD') return null;
+    const dates = transactions
+      .filter(t => t?.date && !(t.entry_currency === currency && t.fx_rate > 0))
+      .map(t => String(t.date).split('T')[0])
+      .sort();
+    return dates[0] || null;
+  }, [transactions, currency]);
+  const { data: historicalRates } = useHistoricalRates(currency, startDate);
+
+  const fromUSDOn = useCallback(
+    (amount, transaction) => (amount || 0) / getTransactionRate(transaction, currency, historicalRates, rates),
+    [currency, historicalRates, rates]
+  );
+  const toUSDOn = useCallback(
+    (amount, transaction) => (amount || 0) * getTransactionRate(transaction, currency, historicalRates, rates),
+    [currency, historicalRates, rates]
+  );
+  const formatOn = useCallback(
+    (amount, transaction, options) => formatCurrency(fromUSDOn(amount, transaction), currency, options),
+    [fromUSDOn, currency]
+  );
+
+  return { ...base, fromUSDOn, toUSDOn, formatOn };
+}
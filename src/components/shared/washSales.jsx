@@ -0,0 +1,292 @@
+// components/shared/washSales.js
+// Wash sale engine (IRC §1091) over the Transaction history. A loss is disallowed to the extent
+// the same ticker was bought within 30 days before or after the sale. The disallowed loss moves
+// into the replacement lot's basis and the sold lot's holding period is tacked onto it. Buying the
+// replacement in an IRA or other tax-advantaged account disallows the loss permanently.
+//
+// Which asset types the rule covers is a lookup table, so crypto (currently property, not a
+// security) can be switched on without touching the matching logic.
+
+import { base44 } from '@/api/base44Client';
+import { differenceInDays, addDays, format } from 'date-fns';
+import { syncHoldingFromLots } from '@/components/shared/syncHoldings';
+import { getLotShareRuns, sliceShareRuns } from '@/components/shared/lotSelectionHelpers';
+
+export const WASH_SALE_WINDOW_DAYS = 30;
+
+// Asset type → whether the wash sale rule applies. Unknown types are treated as securities.
+export const WASH_SALE_RULES = {
+  stocks: true,
+  bonds: true,
+  btc: false,
+  crypto: false,
+  real_estate: false,
+  cash: false,
+  other: false,
+};
+
+const QUANTITY_TOLERANCE = 1e-8;
+const TAXABLE_ACCOUNT_TYPES = new Set(['taxable', 'taxable_brokerage', 'taxable_crypto', 'taxable_real_estate']);
+
+const parseDate = (dateStr) => new Date(`${String(dateStr).split('T')[0]}T00:00:00`);
+
+export function isWashSaleAsset(assetType, rules = WASH_SALE_RULES) {
+  return rules[assetType] ?? true;
+}
+
+/**
+ * First date a ticker can be bought back after a sale on saleDate without a wash sale.
+ * @returns {string} YYYY-MM-DD
+ */
+export function getWashSaleSafeDate(saleDate = new Date()) {
+  return format(addDays(new Date(saleDate), WASH_SALE_WINDOW_DAYS + 1), 'yyyy-MM-dd');
+}
+
+/**
+ * Buys of a ticker inside the window around a (possibly hypothetical) sale date that would make
+ * a loss on that date a wash sale.
+ */
+export function findReplacementPurchases(transactions, ticker, saleDate, excludeLotIds = []) {
+  const sale = parseDate(saleDate);
+  return transactions.filter(tx =>
+    tx.type === 'buy' &&
+    tx.asset_ticker === ticker &&
+    tx.date &&
+    !tx.split_from_lot_id && // a lot split off by a transfer is not a new purchase
+    !excludeLotIds.includes(tx.id) &&
+    Math.abs(differenceInDays(parseDate(tx.date), sale)) <= WASH_SALE_WINDOW_DAYS
+  );
+}
+
+// Loss units of a sale: [{ sold_lot_id, sold_lot_index, quantity, lossPerUnit, holdingDays }]
+// sold_lot_index is the lots_used position, as one lot can have several records in a sale
+function getLossUnits(sale) {
+  const quantity = sale.quantity || 0;
+  if (quantity <= 0) return [];
+  const saleDate = parseDate(sale.date);
+  const netProceedsPerUnit = ((sale.total_value ?? quantity * (sale.price_per_unit || 0)) - (sale.trading_fee || 0)) / quantity;
+
+  if (sale.lots_used?.length) {
+    return sale.lots_used
+      .map((used, index) => ({ used, index }))
+      .filter(({ used }) => used.lot_id && used.quantity_sold > 0)
+      .map(({ used, index }) => {
+        const costPerUnit = (used.cost_basis ?? used.quantity_sold * (used.price_per_unit || 0)) / used.quantity_sold;
+        const acquired = used.holding_period_start || used.purchase_date;
+        return {
+          sold_lot_id: used.lot_id,
+          sold_lot_index: index,
+          quantity: used.quantity_sold,
+          lossPerUnit: costPerUnit - netProceedsPerUnit,
+          holdingDays: acquired ? Math.max(0, differenceInDays(saleDate, parseDate(acquired))) : 0,
+        };
+      })
+      .filter(unit => unit.lossPerUnit > 0);
+  }
+
+  // Sales recorded without lots: the whole sale is one unit
+  const realized = sale.realized_gain_loss_before_wash_sale ?? sale.realized_gain_loss ?? 0;
+  return realized < 0 ? [{ sold_lot_id: null, sold_lot_index: null, quantity, lossPerUnit: -realized / quantity, holdingDays: 0 }] : [];
+}
+
+/**
+ * Find every wash sale in the history.
+ *
+ * Loss sales are processed in date order; each replacement share can absorb only one sold share,
+ * and replacements are used in the order they were bought. Lots sold in the same sale never
+ * count as their own replacement.
+ *
+ * @param {Array} transactions - All Transaction records
+ * @param {Object} [options]
+ * @param {Function} [options.getAssetType] - ticker → asset type; defaults to 'stocks'
+ * @param {Object} [options.rules] - Asset type → boolean, see WASH_SALE_RULES
+ * @returns {Array} [{ sale_id, ticker, sale_date, loss, disallowed_loss, permanently_disallowed,
+ *   replacements: [{ lot_id, sold_lot_id, sold_lot_index, quantity, disallowed_loss, holding_days, permanent }], is_applied }]
+ */
+export function detectWashSales(transactions, { getAssetType = () => 'stocks', rules = WASH_SALE_RULES } = {}) {
+  const sales = transactions
+    .filter(tx => tx.type === 'sell' && tx.date && tx.asset_ticker && isWashSaleAsset(getAssetType(tx.asset_ticker), rules))
+    .filter(tx => TAXABLE_ACCOUNT_TYPES.has(tx.account_type || 'taxable'))
+    .sort((a, b) => parseDate(a.date).getTime() - parseDate(b.date).getTime());
+
+  const usedCapacity = new Map(); // replacement lot id → quantity already matched
+  const results = [];
+
+  for (const sale of sales) {
+    const lossUnits = getLossUnits(sale);
+    if (lossUnits.length === 0) continue;
+
+    // The sold lots, and the lots they were split from by a transfer, are the same purchase
+    const soldLotIds = (sale.lots_used || []).flatMap(used => {
+      const soldLot = transactions.find(tx => tx.id === used.lot_id);
+      return [used.lot_id, soldLot?.split_from_lot_id].filter(Boolean);
+    });
+    const candidates = findReplacementPurchases(transactions, sale.asset_ticker, sale.date, soldLotIds)
+      .sort((a, b) => parseDate(a.date).getTime() - parseDate(b.date).getTime() || (a.id || '').localeCompare(b.id || ''));
+
+    const replacements = [];
+    for (const unit of lossUnits) {
+      let unmatched = unit.quantity;
+      for (const lot of candidates) {
+        if (unmatched <= QUANTITY_TOLERANCE) break;
+        const capacity = (lot.quantity || 0) - (usedCapacity.get(lot.id) || 0);
+        if (capacity <= QUANTITY_TOLERANCE) continue;
+
+        const quantity = Math.min(capacity, unmatched);
+        usedCapacity.set(lot.id, (usedCapacity.get(lot.id) || 0) + quantity);
+        unmatched -= quantity;
+        replacements.push({
+          lot_id: lot.id,
+          sold_lot_id: unit.sold_lot_id,
+          sold_lot_index: unit.sold_lot_index,
+          quantity,
+          disallowed_loss: quantity * unit.lossPerUnit,
+          holding_days: unit.holdingDays,
+          permanent: !TAXABLE_ACCOUNT_TYPES.has(lot.account_type || 'taxable'),
+        });
+      }
+    }
+    if (replacements.length === 0) continue;
+
+    const disallowedLoss = replacements.reduce((sum, r) => sum + r.disallowed_loss, 0);
+    results.push({
+      sale_id: sale.id,
+      ticker: sale.asset_ticker,
+      sale_date: sale.date,
+      loss: lossUnits.reduce((sum, u) => sum + u.quantity * u.lossPerUnit, 0),
+      disallowed_loss: disallowedLoss,
+      permanently_disallowed: replacements.filter(r => r.permanent).reduce((sum, r) => sum + r.disallowed_loss, 0),
+      replacements,
+      is_applied: Math.abs((sale.wash_sale_disallowed || 0) - disallowedLoss) < 0.01,
+    });
+  }
+
+  return results;
+}
+
+// Wash sale fields of a lot made of `runs` (see getLotShareRuns). Trailing plain shares need no
+// entry; the tacked holding period start is only exact when every share is a replacement share.
+function toWashSaleLotFields(runs, date) {
+  let last = runs.length - 1;
+  while (last >= 0 && !runs[last].disallowed_loss && !runs[last].holding_days) last--;
+  const adjustments = [];
+  for (const { sale_id, quantity, disallowed_loss, holding_days } of runs.slice(0, last + 1)) {
+    // Runs of one sale that were split apart and have met again become one entry
+    const previous = adjustments[adjustments.length - 1];
+    if (previous && previous.sale_id === sale_id && previous.holding_days === holding_days) {
+      previous.quantity += quantity;
+      previous.disallowed_loss += disallowed_loss;
+    } else {
+      adjustments.push({ sale_id, quantity, disallowed_loss, holding_days });
+    }
+  }
+  const quantity = runs.reduce((sum, run) => sum + run.quantity, 0);
+  const replacedQuantity = adjustments.reduce((sum, a) => sum + a.quantity, 0);
+  const tackedDays = adjustments.length > 0 && replacedQuantity >= quantity - QUANTITY_TOLERANCE
+    ? Math.min(...adjustments.map(a => a.holding_days))
+    : 0;
+
+  return {
+    wash_sale_basis_adjustment: adjustments.reduce((sum, a) => sum + a.disallowed_loss, 0),
+    wash_sale_adjustments: adjustments,
+    wash_sale_holding_start: tackedDays > 0 && date ? format(addDays(parseDate(date), -tackedDays), 'yyyy-MM-dd') : null,
+  };
+}
+
+/**
+ * Wash sale fields to store on a lot for its wash_sale_adjustments.
+ */
+export function getWashSaleLotFields(lot) {
+  return toWashSaleLotFields(getLotShareRuns(lot), lot.date);
+}
+
+/**
+ * Divide a lot's wash sale fields when `quantity` of its open shares are split off into a new lot.
+ * The split-off shares are the next ones to be sold, so replacement shares go first and take
+ * their disallowed loss and tacked holding period with them.
+ *
+ * @returns {Object} { moved, kept } - Fields for the new lot and for the source lot; both empty
+ *   when the lot has no wash sale adjustments
+ */
+export function splitWashSaleLotFields(lot, quantity) {
+  if (!lot.wash_sale_adjustments?.length) return { moved: {}, kept: {} };
+  const runs = getLotShareRuns(lot);
+  const total = lot.quantity || 0;
+  const start = total - (lot.remaining_quantity ?? total);
+  return {
+    moved: toWashSaleLotFields(sliceShareRuns(runs, start, start + quantity), lot.date),
+    kept: toWashSaleLotFields([...sliceShareRuns(runs, 0, start), ...sliceShareRuns(runs, start + quantity, total)], lot.date),
+  };
+}
+
+/**
+ * Wash sale fields for a source lot once a lot split off it (splitWashSaleLotFields) merges back:
+ * the returning shares go back in front of the source's open shares.
+ *
+ * @returns {Object} Fields for the merged lot; empty when neither lot has wash sale adjustments
+ */
+export function mergeWashSaleLotFields(source, lot) {
+  if (!source.wash_sale_adjustments?.length && !lot.wash_sale_adjustments?.length) return {};
+  const runs = getLotShareRuns(source);
+  const total = source.quantity || 0;
+  const sold = total - (source.remaining_quantity ?? total);
+  return toWashSaleLotFields([...sliceShareRuns(runs, 0, sold), ...getLotShareRuns(lot), ...sliceShareRuns(runs, sold, total)], source.date);
+}
+
+/**
+ * Persist detectWashSales results: each sale gets its disallowed loss (8949 code W) and an
+ * allowed realized_gain_loss; each taxable replacement lot gets its wash_sale_adjustments, the
+ * replacement quantity, disallowed loss and tacked holding days per sale, which apply to that
+ * many of the lot's shares only (see getLotSegments). Adjustments from earlier runs that no
+ * longer apply are cleared, so re-running after edits is safe.
+ *
+ * @param {Array} results - From detectWashSales
+ * @param {Array} transactions - The same Transaction records the results were computed from
+ */
+export async function applyWashSaleAdjustments(results, transactions) {
+  const affectedHoldings = new Set();
+
+  // Sales
+  const resultBySale = new Map(results.map(r => [r.sale_id, r]));
+  for (const tx of transactions) {
+    if (tx.type !== 'sell') continue;
+    const result = resultBySale.get(tx.id);
+    const hadAdjustment = tx.wash_sale_disallowed > 0;
+    if (!result && !hadAdjustment) continue;
+
+    const originalGain = tx.realized_gain_loss_before_wash_sale ?? tx.realized_gain_loss ?? 0;
+    const disallowed = result?.disallowed_loss || 0;
+    await base44.entities.Transaction.update(tx.id, {
+      realized_gain_loss_before_wash_sale: result ? originalGain : null,
+      realized_gain_loss: originalGain + disallowed,
+      wash_sale_disallowed: disallowed,
+      wash_sale_replacements: result?.replacements || [],
+    });
+  }
+
+  // Replacement lots
+  const adjustmentsByLot = new Map();
+  results.forEach(result => result.replacements
+    .filter(r => !r.permanent)
+    .forEach(r => {
+      const list = adjustmentsByLot.get(r.lot_id) || [];
+      list.push({ sale_id: result.sale_id, quantity: r.quantity, disallowed_loss: r.disallowed_loss, holding_days: r.holding_days });
+      adjustmentsByLot.set(r.lot_id, list);
+    }));
+
+  for (const tx of transactions) {
+    // Lots split off by a transfer are never replacements themselves; they carry their share of
+    // the source lot's adjustments (splitWashSaleLotFields)
+    if (tx.type !== 'buy' || tx.split_from_lot_id) continue;
+    const adjustments = adjustmentsByLot.get(tx.id);
+    if (!adjustments && !tx.wash_sale_basis_adjustment) continue;
+
+    await base44.entities.Transaction.update(tx.id, getWashSaleLotFields({ ...tx, wash_sale_adjustments: adjustments || [] }));
+    affectedHoldings.add(`${tx.asset_ticker}|${tx.account_id || ''}`);
+  }
+
+  for (const key of affectedHoldings) {
+    const [ticker, accountId] = key.split('|');
+    if (ticker) await syncHoldingFromLots(ticker, accountId || null);
+  }
+}
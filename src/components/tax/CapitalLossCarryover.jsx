@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { History } from 'lucide-react';
+import { cn } from "@/lib/utils";
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+/**
+ * Capital loss carryover ledger: the carryover seeded from the user's last return
+ * (UserSettings.capital_loss_carryover) and, year by year, the losses carried in, the year's realized
+ * results, the deduction against ordinary income and what carries out.
+ *
+ * @param {Object} props
+ * @param {Array} props.ledger - From buildCapitalLossLedger
+ * @param {Object} [props.seed] - Saved capital_loss_carryover setting
+ * @param {Function} props.onSeedChange - ({ seed_year, short_term, long_term }) => void
+ * @param {number} props.selectedYear - Highlighted row
+ */
+export default function CapitalLossCarryover({ ledger, seed, onSeedChange, selectedYear }) {
+  const { format: formatCurrency, fromUSD, toUSD } = useCurrency();
+  const currentYear = new Date().getFullYear();
+  const [form, setForm] = useState({ seed_year: currentYear, short_term: 0, long_term: 0 });
+
+  useEffect(() => {
+    setForm({
+      seed_year: seed?.seed_year || currentYear,
+      short_term: seed?.short_term || 0,
+      long_term: seed?.long_term || 0,
+    });
+  }, [seed?.seed_year, seed?.short_term, seed?.long_term, currentYear]);
+
+  const formatLoss = (amount) => (amount > 0 ? `(${formatCurrency(amount)})` : '—');
+  const formatResult = (amount) => (amount === 0 ? '—' : amount < 0 ? `(${formatCurrency(-amount)})` : formatCurrency(amount));
+  const seedChanged = form.seed_year !== (seed?.seed_year || null) ||
+    form.short_term !== (seed?.short_term || 0) || form.long_term !== (seed?.long_term || 0);
+
+  return (
+    <div className="card-premium rounded-2xl p-6 border border-zinc-800/50 space-y-5">
+      <div className="flex items-center gap-3">
+        <div className="p-2 rounded-lg bg-orange-500/10">
+          <History className="w-5 h-5 text-orange-400" />
+        </div>
+        <div>
+          <h3 className="font-semibold text-zinc-200">Capital Loss Carryover</h3>
+          <p className="text-sm text-zinc-500">Net losses beyond the annual limit carry forward, keeping their short- or long-term character. The projection starts from this year's carryover.</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end">
+        <div>
+          <Label className="text-zinc-400 text-xs">Carryover Into Year</Label>
+          <Input
+            type="number"
+            value={form.seed_year}
+            onChange={(e) => setForm({ ...form, seed_year: parseInt(e.target.value) || currentYear })}
+            className="bg-zinc-900 border-zinc-700"
+          />
+        </div>
+        <div>
+          <Label className="text-zinc-400 text-xs">Short-Term Carryover</Label>
+          <Input
+            type="number"
+            min="0"
+            value={toInputValue(fromUSD(form.short_term))}
+            onChange={(e) => setForm({ ...form, short_term: Math.abs(toUSD(parseFloat(e.target.value) || 0)) })}
+            className="bg-zinc-900 border-zinc-700"
+          />
+        </div>
+        <div>
+          <Label className="text-zinc-400 text-xs">Long-Term Carryover</Label>
+          <Input
+            type="number"
+            min="0"
+            value={toInputValue(fromUSD(form.long_term))}
+            onChange={(e) => setForm({ ...form, long_term: Math.abs(toUSD(parseFloat(e.target.value) || 0)) })}
+            className="bg-zinc-900 border-zinc-700"
+          />
+        </div>
+        <Button
+          type="button"
+          size="sm"
+          disabled={!seedChanged}
+          onClick={() => onSeedChange(form)}
+          className="bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+        >
+          Save Carryover
+        </Button>
+      </div>
+      <p className="text-xs text-zinc-500">
+        From your last return's Capital Loss Carryover Worksheet (Schedule D instructions): the short- and long-term
+        losses carried into the year after it. Sales before that year are treated as already on filed returns.
+      </p>
+
+      {ledger.length === 0 ? (
+        <p className="text-sm text-zinc-500">No realized sales or carryover yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-zinc-500 text-left text-xs">
+                <th className="py-2 pr-3">Year</th>
+                <th className="py-2 pr-3 text-right">Carried In (ST / LT)</th>
+                <th className="py-2 pr-3 text-right">Realized ST</th>
+                <th className="py-2 pr-3 text-right">Realized LT</th>
+                <th className="py-2 pr-3 text-right">Line 7</th>
+                <th className="py-2 pr-3 text-right">Carried Out (ST / LT)</th>
+              </tr>
+            </thead>
+            <tbody className="text-zinc-300">
+              {ledger.map(row => (
+                <tr key={row.year} className={cn("border-t border-zinc-800/50", row.year === selectedYear && "bg-zinc-800/30")}>
+                  <td className="py-2 pr-3">{row.year}</td>
+                  <td className="py-2 pr-3 text-right">{formatLoss(row.carryIn.shortTerm)} / {formatLoss(row.carryIn.longTerm)}</td>
+                  <td className="py-2 pr-3 text-right">{formatResult(row.shortTerm)}</td>
+                  <td className="py-2 pr-3 text-right">{formatResult(row.longTerm)}</td>
+                  <td className={cn("py-2 pr-3 text-right", row.capitalGain < 0 ? "text-emerald-400" : "")}>{formatResult(row.capitalGain)}</td>
+                  <td className="py-2 pr-3 text-right text-amber-400">{formatLoss(row.carryOut.shortTerm)} / {formatLoss(row.carryOut.longTerm)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,435 @@
+import { useMemo, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
+import { Briefcase, Pencil, Plus, Trash2 } from 'lucide-react';
+import { cn } from "@/lib/utils";
+import {
+  EQUITY_GRANT_TYPES,
+  VESTING_FREQUENCIES,
+  createEquityGrant,
+  getEquityCompByYear,
+  getEquityGrant,
+  getExercisableShares,
+  getVestedShares,
+  planIsoExercises,
+} from '@/components/shared/equityCompensation';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const PLAN_YEARS = 5;
+
+const typeLabel = (value) => EQUITY_GRANT_TYPES.find(t => t.value === value)?.label || value;
+const formatShares = (shares) => Math.round(shares).toLocaleString('en-US');
+
+/**
+ * RSU, NSO and ISO grants (UserSettings.equity_grants) with their vesting, planned exercises and
+ * sales, the next years' equity income, and the ISO planner: how many shares each year can take
+ * before AMT applies.
+ *
+ * @param {Object} props
+ * @param {Array} props.grants - Saved grants
+ * @param {Function} props.onChange - (grants) => void
+ * @param {number} props.annualIncome - This year's wages before equity income
+ * @param {number} [props.incomeGrowthRate] - Wage growth, percent per year
+ * @param {string} props.filingStatus
+ * @param {string} [props.state]
+ */
+export default function EquityCompensation({ grants, onChange, annualIncome, incomeGrowthRate = 0, filingStatus, state }) {
+  const { format: formatCurrency, fromUSD, toUSD } = useCurrency();
+  const [editing, setEditing] = useState(null);
+  const currentYear = new Date().getFullYear();
+
+  const equityByYear = useMemo(
+    () => getEquityCompByYear(grants, { startYear: currentYear, endYear: currentYear + PLAN_YEARS - 1 }),
+    [grants, currentYear]
+  );
+  const isoPlan = useMemo(
+    () => (grants.some(g => g.grant_type === 'iso')
+      ? planIsoExercises({ grants, wages: annualIncome, incomeGrowthRate, filingStatus, state, years: PLAN_YEARS })
+      : []),
+    [grants, annualIncome, incomeGrowthRate, filingStatus, state]
+  );
+
+  const update = (patch) => setEditing(prev => ({ ...prev, ...patch }));
+  const updateExercise = (index, patch) => update({
+    exercises: editing.exercises.map((e, i) => (i === index ? { ...e, ...patch } : e)),
+  });
+  const saveEditing = () => {
+    const grant = { ...editing, strike_price: editing.grant_type === 'rsu' ? 0 : editing.strike_price };
+    const exists = grants.some(g => g.id === grant.id);
+    onChange(exists ? grants.map(g => (g.id === grant.id ? grant : g)) : [...grants, grant]);
+    setEditing(null);
+  };
+
+  const years = Object.keys(equityByYear).map(Number);
+  const editingIsOption = editing && editing.grant_type !== 'rsu';
+
+  return (
+    <div className="card-premium rounded-2xl p-6 border border-zinc-800/50 space-y-5">
+      <div className="flex items-start justify-between gap-4 flex-wrap">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-orange-500/10">
+            <Briefcase className="w-5 h-5 text-orange-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-zinc-200">Equity Compensation</h3>
+            <p className="text-sm text-zinc-500">RSU vests and NSO spreads are wages; ISO spreads count toward AMT. The projection and Budget include them.</p>
+          </div>
+        </div>
+        <Button
+          type="button"
+          size="sm"
+          onClick={() => setEditing(createEquityGrant())}
+          className="bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+        >
+          <Plus className="w-3 h-3 mr-1" /> Add Grant
+        </Button>
+      </div>
+
+      {grants.length === 0 ? (
+        <p className="text-sm text-zinc-500">No grants yet. Add your RSU, NSO or ISO grants to plan exercises and see their tax.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-zinc-500 text-left text-xs">
+                <th className="py-2 pr-3">Grant</th>
+                <th className="py-2 pr-3 text-right">Shares</th>
+                <th className="py-2 pr-3 text-right">Vested</th>
+                <th className="py-2 pr-3 text-right">Strike</th>
+                <th className="py-2 pr-3 text-right">Share Price</th>
+                <th className="py-2 pr-3 text-right">Exercisable Now</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="text-zinc-300">
+              {grants.map(raw => {
+                const grant = getEquityGrant(raw);
+                const isOption = grant.grant_type !== 'rsu';
+                return (
+                  <tr key={grant.id} className="border-t border-zinc-800">
+                    <td className="py-2 pr-3">
+                      <span className="text-zinc-200">{grant.name}</span>
+                      <span className="ml-2 text-[10px] uppercase tracking-wider text-zinc-500">{typeLabel(grant.grant_type)}</span>
+                    </td>
+                    <td className="py-2 pr-3 text-right">{formatShares(grant.total_shares)}</td>
+                    <td className="py-2 pr-3 text-right">{formatShares(getVestedShares(grant, currentYear))}</td>
+                    <td className="py-2 pr-3 text-right">{isOption ? formatCurrency(grant.strike_price, { decimals: 2 }) : '—'}</td>
+                    <td className="py-2 pr-3 text-right">{formatCurrency(grant.share_price, { decimals: 2 })}</td>
+                    <td className="py-2 pr-3 text-right">{isOption ? formatShares(getExercisableShares(grant, currentYear)) : '—'}</td>
+                    <td className="py-2 text-right whitespace-nowrap">
+                      <button type="button" onClick={() => setEditing({ ...raw, exercises: [...(raw.exercises || [])] })} className="p-1.5 rounded hover:bg-zinc-800" aria-label={`Edit ${grant.name}`}>
+                        <Pencil className="w-3.5 h-3.5 text-zinc-400" />
+                      </button>
+                      <button type="button" onClick={() => onChange(grants.filter(g => g.id !== grant.id))} className="p-1.5 rounded hover:bg-rose-600/30" aria-label={`Delete ${grant.name}`}>
+                        <Trash2 className="w-3.5 h-3.5 text-zinc-400" />
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {grants.length > 0 && (
+        <div className="overflow-x-auto">
+          <p className="text-sm font-medium text-zinc-300 mb-2">Equity Income by Year</p>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-zinc-500 text-left">
+                <th className="py-2 pr-3">Year</th>
+                <th className="py-2 pr-3 text-right">RSU Wages</th>
+                <th className="py-2 pr-3 text-right">Option Wages</th>
+                <th className="py-2 pr-3 text-right">ISO AMT Preference</th>
+                <th className="py-2 pr-3 text-right">Exercise Cost</th>
+                <th className="py-2 pr-3 text-right">Sale Proceeds</th>
+                <th className="py-2 pr-3 text-right">Capital Gains</th>
+              </tr>
+            </thead>
+            <tbody className="text-zinc-300">
+              {years.map(year => {
+                const entry = equityByYear[year];
+                const gains = entry.shortTermGains + entry.longTermGains;
+                return (
+                  <tr key={year} className="border-t border-zinc-800/50">
+                    <td className="py-1.5 pr-3">{year}</td>
+                    <td className="py-1.5 pr-3 text-right">{entry.rsuIncome > 0 ? formatCurrency(entry.rsuIncome) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right">{entry.nsoIncome + entry.disqualifyingIncome > 0 ? formatCurrency(entry.nsoIncome + entry.disqualifyingIncome) : '—'}</td>
+                    <td className={cn("py-1.5 pr-3 text-right", entry.isoPreference > 0 && "text-amber-400")}>{entry.isoPreference !== 0 ? formatCurrency(entry.isoPreference) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right text-rose-300">{entry.exerciseCost > 0 ? formatCurrency(entry.exerciseCost) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right text-emerald-400">{entry.saleProceeds > 0 ? formatCurrency(entry.saleProceeds) : '—'}</td>
+                    <td className="py-1.5 pr-3 text-right">{gains !== 0 ? formatCurrency(gains) : '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {isoPlan.length > 0 && (
+        <div className="overflow-x-auto">
+          <p className="text-sm font-medium text-zinc-300">ISO Exercise Planner</p>
+          <p className="text-xs text-zinc-500 mb-2">
+            Shares you can exercise each year with no AMT, after your wages ({formatCurrency(annualIncome)} growing {incomeGrowthRate}%/yr) and the exercises and sales already planned. Each grant's figure assumes it uses the whole room.
+          </p>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-zinc-500 text-left">
+                <th className="py-2 pr-3">Year</th>
+                <th className="py-2 pr-3 text-right">Regular Tax</th>
+                <th className="py-2 pr-3 text-right">Tentative Min. Tax</th>
+                <th className="py-2 pr-3 text-right">AMT-Free Spread</th>
+                {isoPlan[0].grants.map(g => <th key={g.id} className="py-2 pr-3 text-right">{g.name}</th>)}
+              </tr>
+            </thead>
+            <tbody className="text-zinc-300">
+              {isoPlan.map(row => (
+                <tr key={row.year} className="border-t border-zinc-800/50">
+                  <td className="py-1.5 pr-3">{row.year}</td>
+                  <td className="py-1.5 pr-3 text-right">{formatCurrency(row.taxReturn.incomeTax)}</td>
+                  <td className="py-1.5 pr-3 text-right">{formatCurrency(row.taxReturn.tentativeMinimumTax)}</td>
+                  <td className="py-1.5 pr-3 text-right">
+                    {row.taxReturn.amt > 0
+                      ? <span className="text-rose-400">AMT {formatCurrency(row.taxReturn.amt)}</span>
+                      : <span className="text-emerald-400">{formatCurrency(row.room)}</span>}
+                  </td>
+                  {row.grants.map(g => (
+                    <td key={g.id} className="py-1.5 pr-3 text-right">
+                      {g.available === 0 ? <span className="text-zinc-500">none vested</span> : (
+                        <>
+                          {formatShares(g.shares)} <span className="text-zinc-500">of {formatShares(g.available)}</span>
+                          {g.shares > 0 && <p className="text-[10px] text-zinc-500">costs {formatCurrency(g.cost)}</p>}
+                        </>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-zinc-500 mt-2">
+            AMT paid because of ISO exercises becomes a credit against regular tax in later years; the projection carries it forward.
+          </p>
+        </div>
+      )}
+
+      <Dialog open={!!editing} onOpenChange={(open) => { if (!open) setEditing(null); }}>
+        <DialogContent className="bg-[#0f0f10] border-zinc-800 text-zinc-100 max-w-lg max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>{grants.some(g => g.id === editing?.id) ? 'Edit Grant' : 'New Grant'}</DialogTitle>
+          </DialogHeader>
+          {editing && (
+            <div className="space-y-4 mt-2">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Name</Label>
+                  <Input
+                    value={editing.name}
+                    onChange={(e) => update({ name: e.target.value })}
+                    placeholder="e.g. Acme 2025 refresh"
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Type</Label>
+                  <Select value={editing.grant_type} onValueChange={(grant_type) => update({ grant_type, exercises: grant_type === 'rsu' ? [] : editing.exercises })}>
+                    <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-800">
+                      {EQUITY_GRANT_TYPES.map(option => <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              <p className="text-xs text-zinc-500">{EQUITY_GRANT_TYPES.find(t => t.value === editing.grant_type)?.description}</p>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Total Shares</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={editing.total_shares || ''}
+                    onChange={(e) => update({ total_shares: Math.max(0, parseInt(e.target.value) || 0) })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+                {editingIsOption && (
+                  <div className="space-y-1">
+                    <Label className="text-zinc-400 text-xs">Strike Price</Label>
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={toInputValue(fromUSD(editing.strike_price))}
+                      onChange={(e) => update({ strike_price: toUSD(Math.max(0, parseFloat(e.target.value) || 0)) })}
+                      className="bg-zinc-900 border-zinc-800"
+                    />
+                  </div>
+                )}
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Share Price Today</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={toInputValue(fromUSD(editing.share_price))}
+                    onChange={(e) => update({ share_price: toUSD(Math.max(0, parseFloat(e.target.value) || 0)) })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Price Growth (%/yr)</Label>
+                  <Input
+                    type="number"
+                    step="1"
+                    value={editing.price_growth_rate ?? ''}
+                    onChange={(e) => update({ price_growth_rate: parseFloat(e.target.value) || 0 })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Grant Date</Label>
+                  <Input
+                    type="date"
+                    value={editing.grant_date}
+                    onChange={(e) => update({ grant_date: e.target.value })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Vesting Start</Label>
+                  <Input
+                    type="date"
+                    value={editing.vesting_start_date}
+                    onChange={(e) => update({ vesting_start_date: e.target.value })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Vesting (months)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={editing.vesting_months ?? ''}
+                    onChange={(e) => update({ vesting_months: Math.max(0, parseInt(e.target.value) || 0) })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Cliff (months)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={editing.cliff_months ?? ''}
+                    onChange={(e) => update({ cliff_months: Math.max(0, parseInt(e.target.value) || 0) })}
+                    className="bg-zinc-900 border-zinc-800"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label className="text-zinc-400 text-xs">Vests</Label>
+                  <Select value={editing.vesting_frequency} onValueChange={(vesting_frequency) => update({ vesting_frequency })}>
+                    <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-800">
+                      {VESTING_FREQUENCIES.map(option => <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>)}
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+
+              {editingIsOption && (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label className="text-zinc-400 text-xs">Planned Exercises</Label>
+                    <Button
+                      type="button"
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => update({ exercises: [...editing.exercises, { id: `exercise_${Date.now()}`, year: currentYear, shares: 0, sale_year: null }] })}
+                      className="text-orange-400 hover:bg-orange-500/10 h-7"
+                    >
+                      <Plus className="w-3 h-3 mr-1" /> Add
+                    </Button>
+                  </div>
+                  {editing.exercises.length === 0 && <p className="text-xs text-zinc-500">No exercises planned.</p>}
+                  {editing.exercises.map((exercise, index) => (
+                    <div key={exercise.id || index} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 items-end">
+                      <div className="space-y-1">
+                        <Label className="text-zinc-500 text-[10px]">Exercise Year</Label>
+                        <Input
+                          type="number"
+                          value={exercise.year}
+                          onChange={(e) => updateExercise(index, { year: parseInt(e.target.value) || currentYear })}
+                          className="bg-zinc-900 border-zinc-800 h-8"
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label className="text-zinc-500 text-[10px]">Shares (of {formatShares(getExercisableShares(editing, exercise.year, { excludeYear: exercise.year }))} vested)</Label>
+                        <Input
+                          type="number"
+                          min="0"
+                          value={exercise.shares || ''}
+                          onChange={(e) => updateExercise(index, { shares: Math.max(0, parseInt(e.target.value) || 0) })}
+                          className="bg-zinc-900 border-zinc-800 h-8"
+                        />
+                      </div>
+                      <div className="space-y-1">
+                        <Label className="text-zinc-500 text-[10px]">Sell In (blank = hold)</Label>
+                        <Input
+                          type="number"
+                          value={exercise.sale_year ?? ''}
+                          onChange={(e) => updateExercise(index, { sale_year: e.target.value === '' ? null : parseInt(e.target.value) })}
+                          className="bg-zinc-900 border-zinc-800 h-8"
+                        />
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => update({ exercises: editing.exercises.filter((_, i) => i !== index) })}
+                        className="p-2 rounded hover:bg-rose-600/30"
+                        aria-label="Remove exercise"
+                      >
+                        <Trash2 className="w-3.5 h-3.5 text-zinc-400" />
+                      </button>
+                    </div>
+                  ))}
+                  <p className="text-[10px] text-zinc-500">
+                    {editing.grant_type === 'iso'
+                      ? 'Selling in the exercise year is a disqualifying disposition (the spread is wages). Held shares are not in the portfolio until sold.'
+                      : 'Held shares are not in the portfolio until sold.'}
+                  </p>
+                </div>
+              )}
+
+              <div className="flex justify-end gap-2 pt-2">
+                <Button type="button" variant="outline" onClick={() => setEditing(null)} className="bg-transparent border-zinc-700">Cancel</Button>
+                <Button
+                  type="button"
+                  onClick={saveEditing}
+                  disabled={!editing.total_shares}
+                  className="accent-gradient text-zinc-950 font-semibold"
+                >
+                  Save Grant
+                </Button>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
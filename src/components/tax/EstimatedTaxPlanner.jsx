@@ -0,0 +1,248 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { CalendarClock, Plus, Trash2 } from 'lucide-react';
+import { cn } from "@/lib/utils";
+import { planEstimatedTax } from '@/components/tax/estimatedTax';
+import TaxReturnBreakdown from '@/components/tax/TaxReturnBreakdown';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+
+const EMPTY_PLAN = { prior_year_tax: null, prior_year_agi: null, withholding: 0, other_taxes: 0, conversions: [], payments: [] };
+
+const INCOME_LABELS = {
+  wages: 'Wages',
+  otherIncome: 'Other income',
+  iraDistributions: 'Roth conversions',
+  shortTermGains: 'Short-term gains',
+  longTermGains: 'Long-term gains',
+  amtPreferences: 'ISO AMT preference',
+};
+
+const formatDate = (dateStr) => new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Quarterly estimated tax planner: the year's projected federal liability, the safe harbors, the four
+ * 1040-ES installments (regular or annualized) with what is still to pay, and the Form 2210 penalty for
+ * the payments recorded so far. The plan is one year's entry of UserSettings.estimated_tax_plans.
+ *
+ * @param {Object} props
+ * @param {number} props.year
+ * @param {Object} [props.plan] - Saved plan for the year
+ * @param {Function} props.onChange - (plan) => void
+ * @param {Array} props.incomeItems - Income items from buildEstimatedIncomeItems; the plan's conversions are added here
+ * @param {string} props.filingStatus
+ * @param {string} [props.state]
+ * @param {number} [props.age]
+ * @param {Object} [props.lossCarryover] - { shortTerm, longTerm } carried into the year
+ */
+export default function EstimatedTaxPlanner({ year, plan, onChange, incomeItems, filingStatus, state, age = 0, lossCarryover }) {
+  const { format: formatCurrency, fromUSD, toUSD } = useCurrency();
+  const [draft, setDraft] = useState({ ...EMPTY_PLAN, ...plan });
+  const [showReturn, setShowReturn] = useState(false);
+
+  useEffect(() => {
+    setDraft({ ...EMPTY_PLAN, ...plan });
+  }, [plan, year]);
+
+  const items = useMemo(() => [
+    ...incomeItems,
+    ...draft.conversions.filter(c => c.amount > 0).map(c => ({ kind: 'iraDistributions', amount: c.amount, date: c.date || `${year}-12-31`, source: 'Roth conversion' })),
+  ], [incomeItems, draft.conversions, year]);
+
+  const result = useMemo(() => planEstimatedTax({
+    year,
+    filingStatus,
+    state,
+    age,
+    incomeItems: items,
+    lossCarryover,
+    otherTaxes: draft.other_taxes || 0,
+    withholding: draft.withholding || 0,
+    priorYearTax: draft.prior_year_tax,
+    priorYearAgi: draft.prior_year_agi,
+    payments: draft.payments,
+  }), [year, filingStatus, state, age, items, lossCarryover, draft]);
+
+  const incomeTotals = items.reduce((acc, item) => ({ ...acc, [item.kind]: (acc[item.kind] || 0) + item.amount }), {});
+  const dirty = JSON.stringify({ ...EMPTY_PLAN, ...plan }) !== JSON.stringify(draft);
+  const amountInput = (value, onValue, props = {}) => (
+    <Input
+      type="number"
+      min="0"
+      value={value === null || value === undefined ? '' : toInputValue(fromUSD(value))}
+      onChange={(e) => onValue(e.target.value === '' ? null : Math.max(0, toUSD(parseFloat(e.target.value) || 0)))}
+      className="bg-zinc-900 border-zinc-700"
+      {...props}
+    />
+  );
+  const updateRow = (key, index, patch) => setDraft({
+    ...draft,
+    [key]: draft[key].map((row, i) => (i === index ? { ...row, ...patch } : row)),
+  });
+  const addRow = (key, prefix) => setDraft({
+    ...draft,
+    [key]: [...draft[key], { id: `${prefix}_${Date.now()}`, date: new Date().toISOString().split('T')[0], amount: 0 }],
+  });
+  const removeRow = (key, index) => setDraft({ ...draft, [key]: draft[key].filter((_, i) => i !== index) });
+
+  const rowList = (key, prefix, label, emptyText) => (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium text-zinc-300">{label}</p>
+        <Button type="button" size="sm" variant="ghost" onClick={() => addRow(key, prefix)} className="text-orange-400 hover:text-orange-300 h-7">
+          <Plus className="w-3 h-3 mr-1" /> Add
+        </Button>
+      </div>
+      {draft[key].length === 0 && <p className="text-xs text-zinc-500">{emptyText}</p>}
+      {draft[key].map((row, index) => (
+        <div key={row.id} className="flex items-center gap-2">
+          <Input
+            type="date"
+            value={row.date || ''}
+            onChange={(e) => updateRow(key, index, { date: e.target.value })}
+            className="bg-zinc-900 border-zinc-700"
+          />
+          {amountInput(row.amount, (amount) => updateRow(key, index, { amount: amount || 0 }))}
+          <button type="button" onClick={() => removeRow(key, index)} className="p-1.5 rounded hover:bg-rose-600/30" aria-label="Remove">
+            <Trash2 className="w-3.5 h-3.5 text-zinc-400" />
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="card-premium rounded-2xl p-6 border border-zinc-800/50 space-y-5">
+      <div className="flex items-start justify-between gap-4 flex-wrap">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-orange-500/10">
+            <CalendarClock className="w-5 h-5 text-orange-400" />
+          </div>
+          <div>
+            <h3 className="font-semibold text-zinc-200">{year} Estimated Tax Payments</h3>
+            <p className="text-sm text-zinc-500">Form 1040-ES installments from your budget income, realized sales, equity compensation and planned conversions.</p>
+          </div>
+        </div>
+        <Button
+          type="button"
+          size="sm"
+          disabled={!dirty}
+          onClick={() => onChange(draft)}
+          className="bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+        >
+          Save Plan
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">{year - 1} Total Tax (1040 line 24)</Label>
+          {amountInput(draft.prior_year_tax, (value) => setDraft({ ...draft, prior_year_tax: value }), { placeholder: 'Not entered' })}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">{year - 1} AGI (line 11)</Label>
+          {amountInput(draft.prior_year_agi, (value) => setDraft({ ...draft, prior_year_agi: value }), { placeholder: 'Not entered' })}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">{year} Federal Withholding</Label>
+          {amountInput(draft.withholding, (value) => setDraft({ ...draft, withholding: value || 0 }))}
+        </div>
+        <div className="space-y-1">
+          <Label className="text-zinc-400 text-xs">Other Taxes (e.g. self-employment)</Label>
+          {amountInput(draft.other_taxes, (value) => setDraft({ ...draft, other_taxes: value || 0 }))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {rowList('conversions', 'conversion', 'Planned Roth Conversions', 'None planned this year.')}
+        {rowList('payments', 'payment', 'Estimated Payments Made', 'No payments recorded yet.')}
+      </div>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-zinc-500">
+        {Object.entries(INCOME_LABELS).filter(([kind]) => incomeTotals[kind]).map(([kind, label]) => (
+          <span key={kind}>{label}: <span className="text-zinc-300">{formatCurrency(incomeTotals[kind])}</span></span>
+        ))}
+        {lossCarryover && lossCarryover.shortTerm + lossCarryover.longTerm > 0 && (
+          <span>Loss carried in: <span className="text-zinc-300">{formatCurrency(lossCarryover.shortTerm + lossCarryover.longTerm)}</span></span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+        <div className="p-3 rounded-xl bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Projected {year} Federal Tax</p>
+          <p className="text-lg font-semibold text-zinc-200">{formatCurrency(result.totalTax)}</p>
+          <button type="button" onClick={() => setShowReturn(!showReturn)} className="text-xs text-orange-400 hover:text-orange-300">
+            {showReturn ? 'Hide return' : 'Show return'}
+          </button>
+        </div>
+        <div className="p-3 rounded-xl bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Required Annual Payment</p>
+          <p className="text-lg font-semibold text-zinc-200">{formatCurrency(result.noPenaltyRequired ? 0 : result.safeHarbor.required)}</p>
+          <p className="text-xs text-zinc-500">
+            {result.noPenaltyRequired
+              ? 'Under the $1,000 threshold or no prior-year tax'
+              : result.safeHarbor.basis === 'prior'
+                ? `${result.safeHarbor.priorYearPercent}% of ${year - 1} tax`
+                : `90% of ${year} tax`}
+          </p>
+        </div>
+        <div className="p-3 rounded-xl bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Withheld + Paid</p>
+          <p className="text-lg font-semibold text-zinc-200">
+            {formatCurrency((draft.withholding || 0) + draft.payments.reduce((sum, p) => sum + (p.amount || 0), 0))}
+          </p>
+        </div>
+        <div className="p-3 rounded-xl bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Still to Pay</p>
+          <p className="text-lg font-semibold text-orange-400">{formatCurrency(result.remainingDue)}</p>
+        </div>
+        <div className="p-3 rounded-xl bg-zinc-800/30">
+          <p className="text-xs text-zinc-500">Underpayment Penalty (Form 2210)</p>
+          <p className={cn("text-lg font-semibold", result.penalty > 0.5 ? "text-rose-400" : "text-emerald-400")}>{formatCurrency(result.penalty)}</p>
+          {result.method === 'annualized' && result.regularPenalty - result.annualizedPenalty > 0.5 && (
+            <p className="text-xs text-zinc-500">Schedule AI saves {formatCurrency(result.regularPenalty - result.annualizedPenalty)}</p>
+          )}
+        </div>
+      </div>
+
+      {showReturn && <TaxReturnBreakdown columns={[{ label: String(year), taxReturn: result.taxReturn }]} />}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-zinc-500 text-left text-xs">
+              <th className="py-2 pr-3">Installment</th>
+              <th className="py-2 pr-3">Due</th>
+              <th className="py-2 pr-3 text-right">Regular</th>
+              <th className="py-2 pr-3 text-right">Annualized</th>
+              <th className="py-2 pr-3 text-right">Paid</th>
+              <th className="py-2 pr-3 text-right">To Pay</th>
+              <th className="py-2 pr-3 text-right">Penalty</th>
+            </tr>
+          </thead>
+          <tbody className="text-zinc-300">
+            {result.installments.map(inst => (
+              <tr key={inst.quarter} className={cn("border-t border-zinc-800/50", inst.isPast && "text-zinc-500")}>
+                <td className="py-2 pr-3">Q{inst.quarter} <span className="text-xs text-zinc-500">through {formatDate(inst.periodEnd)}</span></td>
+                <td className="py-2 pr-3 whitespace-nowrap">{formatDate(inst.dueDate)}</td>
+                <td className={cn("py-2 pr-3 text-right", result.method === 'regular' && "text-zinc-100")}>{formatCurrency(inst.regular)}</td>
+                <td className={cn("py-2 pr-3 text-right", result.method === 'annualized' && "text-zinc-100")}>{formatCurrency(inst.annualized)}</td>
+                <td className="py-2 pr-3 text-right">{inst.paid > 0 ? formatCurrency(inst.paid) : '—'}</td>
+                <td className="py-2 pr-3 text-right text-orange-400">{inst.isPast ? 'past due' : inst.toPay > 0 ? formatCurrency(inst.toPay) : '—'}</td>
+                <td className={cn("py-2 pr-3 text-right", inst.penalty > 0.5 && "text-rose-400")}>{inst.penalty > 0.5 ? formatCurrency(inst.penalty) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-zinc-500">
+        Withholding counts as paid evenly on the due dates. {result.method === 'annualized'
+          ? 'Income is uneven, so the annualized installments (Form 2210 Schedule AI) are used; file Schedule AI with your return to claim them.'
+          : 'Income is even through the year, so the regular installments apply.'} A missed installment rolls into the next one, and the penalty
+        runs until it's paid or April 15. State estimated payments aren't included.
+      </p>
+    </div>
+  );
+}
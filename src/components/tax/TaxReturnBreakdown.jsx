@@ -0,0 +1,99 @@
+import { cn } from "@/lib/utils";
+
+// Tax figures are always US dollars (the engine works in USD whatever the display currency)
+const formatUSD = (amount) => `${amount < 0 ? '-' : ''}$${Math.round(Math.abs(amount)).toLocaleString('en-US')}`;
+
+const ROW_STYLES = {
+  amount: 'text-zinc-300',
+  subtotal: 'text-zinc-200 font-medium border-t border-zinc-800',
+  tax: 'text-rose-300',
+  total: 'text-zinc-100 font-semibold border-t border-zinc-700',
+  info: 'text-zinc-500',
+};
+
+/**
+ * Form 1040 line-by-line view of one or more calculateTaxReturn results, side by side.
+ * With two columns a difference column is added (second minus first).
+ *
+ * @param {Object} props
+ * @param {Array} props.columns - [{ label, taxReturn }] - taxReturn from calculateTaxReturn (explain on)
+ * @param {boolean} [props.showNotes] - Show each line's explanation under it (single column only)
+ */
+export default function TaxReturnBreakdown({ columns, showNotes = true }) {
+  const returns = columns.filter(c => c.taxReturn);
+  if (returns.length === 0) {
+    return <p className="text-sm text-zinc-500">No tax return for this year.</p>;
+  }
+
+  // Every line that appears in any column, in form order (zero lines are left off each return)
+  const rows = [];
+  returns.forEach(({ taxReturn }) => {
+    let previous = -1;
+    taxReturn.lines.forEach(line => {
+      const key = `${line.line}|${line.label}`;
+      const existing = rows.findIndex(r => r.key === key);
+      if (existing !== -1) {
+        previous = existing;
+        return;
+      }
+      previous += 1;
+      rows.splice(previous, 0, { key, line: line.line, label: line.label, kind: line.kind });
+    });
+  });
+  const findLine = (taxReturn, key) => taxReturn.lines.find(l => `${l.line}|${l.label}` === key);
+  const showDifference = returns.length === 2;
+  const notesVisible = showNotes && returns.length === 1;
+  const rules = returns[0].taxReturn.rules;
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-zinc-500 text-left text-xs">
+              <th className="py-2 pr-3 w-16">Line</th>
+              <th className="py-2 pr-3">Item</th>
+              {returns.map(({ label }) => (
+                <th key={label} className="py-2 pr-3 text-right">{label}</th>
+              ))}
+              {showDifference && <th className="py-2 pr-3 text-right">Difference</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const lines = returns.map(({ taxReturn }) => findLine(taxReturn, row.key));
+              const difference = showDifference ? (lines[1]?.amount || 0) - (lines[0]?.amount || 0) : 0;
+              const isTax = row.kind === 'tax' || row.kind === 'total' || row.kind === 'info';
+              return (
+                <tr key={row.key} className={cn(ROW_STYLES[row.kind] || ROW_STYLES.amount)}>
+                  <td className="py-1.5 pr-3 text-xs text-zinc-500 align-top">{row.line}</td>
+                  <td className="py-1.5 pr-3 align-top">
+                    {row.label}
+                    {notesVisible && lines[0]?.note && <p className="text-xs text-zinc-500 font-normal">{lines[0].note}</p>}
+                  </td>
+                  {lines.map((line, index) => (
+                    <td key={returns[index].label} className="py-1.5 pr-3 text-right align-top whitespace-nowrap">
+                      {line ? formatUSD(line.amount) : '—'}
+                    </td>
+                  ))}
+                  {showDifference && (
+                    <td className={cn(
+                      "py-1.5 pr-3 text-right align-top whitespace-nowrap",
+                      difference === 0 ? "text-zinc-500" : (difference > 0) === isTax ? "text-rose-400" : "text-emerald-400"
+                    )}>
+                      {difference === 0 ? '—' : `${difference > 0 ? '+' : ''}${formatUSD(difference)}`}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-zinc-500">
+        {rules.version}{rules.source && ` • ${rules.source}`} • amounts in USD
+        {rules.projected && ' • projected: brackets and deductions after the latest published year grow with inflation'}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,354 @@
+// components/tax/estimatedTax.js
+// Quarterly estimated tax (Form 1040-ES) and the underpayment penalty (Form 2210). The year's liability
+// comes from calculateTaxReturn over dated income items (realized sales, conversions) and items earned
+// evenly through the year (wages, budget income). The required annual payment is the smaller of the
+// current-year and prior-year safe harbors; it is due in four equal installments, or by the
+// annualized income installment method (Schedule AI) when income is lumpy. The penalty is interest at
+// the IRS underpayment rate on each installment's shortfall from its due date until paid.
+//
+// All amounts are US dollars, whatever the display currency.
+
+import { calculateTaxReturn, normalizeFilingStatus } from '@/components/tax/taxEngine';
+import { ESTIMATED_TAX_SAFE_HARBOR, ESTIMATED_TAX_PERIODS, UNDERPAYMENT_RATES } from '@/components/shared/taxData';
+import { getEquityCompByYear } from '@/components/shared/equityCompensation';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Return fields an income item can feed
+export const ESTIMATED_INCOME_KINDS = ['wages', 'otherIncome', 'iraDistributions', 'shortTermGains', 'longTermGains', 'amtPreferences'];
+
+// BudgetItem frequency → payments per year (one-time items aren't recurring income)
+const BUDGET_PAYMENTS_PER_YEAR = { monthly: 12, weekly: 52, biweekly: 26, quarterly: 4, annual: 1, one_time: 0 };
+
+const parseDate = (dateStr) => new Date(`${String(dateStr).split('T')[0]}T00:00:00`);
+const toDateString = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * The four 1040-ES due dates for `year` (the fourth is in January of the next year). A due date on a
+ * weekend moves to the following Monday.
+ * @returns {Array} [{ quarter, periodEnd, dueDate }] - dates as YYYY-MM-DD
+ */
+export function getEstimatedTaxDueDates(year) {
+  return ESTIMATED_TAX_PERIODS.map(period => {
+    const due = new Date(year, period.dueMonth - 1, period.dueDay);
+    while (due.getDay() === 0 || due.getDay() === 6) due.setDate(due.getDate() + 1);
+    return {
+      quarter: period.quarter,
+      periodEnd: toDateString(new Date(year, period.endMonth, 0)),
+      dueDate: toDateString(due),
+    };
+  });
+}
+
+/** Underpayment interest rate (decimal) in effect on `date`. */
+export function getUnderpaymentRate(date) {
+  const d = typeof date === 'string' ? parseDate(date) : date;
+  const years = Object.keys(UNDERPAYMENT_RATES).map(Number).sort((a, b) => a - b);
+  const year = Math.min(Math.max(d.getFullYear(), years[0]), years[years.length - 1]);
+  const rates = UNDERPAYMENT_RATES[year];
+  const quarter = d.getFullYear() > year ? rates.length - 1 : Math.min(Math.floor(d.getMonth() / 3), rates.length - 1);
+  return rates[quarter] / 100;
+}
+
+/**
+ * Form 2210 penalty on `amount` outstanding from `from` to `to`, day by day at each quarter's rate.
+ */
+export function calculateUnderpaymentInterest(amount, from, to) {
+  let start = parseDate(from);
+  const end = parseDate(to);
+  let interest = 0;
+  while (amount > 0 && start < end) {
+    const quarterEnd = new Date(start.getFullYear(), Math.floor(start.getMonth() / 3) * 3 + 3, 1);
+    const segmentEnd = quarterEnd < end ? quarterEnd : end;
+    const days = Math.round((segmentEnd.getTime() - start.getTime()) / DAY_MS);
+    interest += amount * getUnderpaymentRate(start) * days / 365;
+    start = segmentEnd;
+  }
+  return interest;
+}
+
+/**
+ * Required annual payment (Form 2210 Part I): the smaller of the current-year safe harbor and the
+ * prior-year one. Without a prior-year tax only the current-year safe harbor applies; a prior year with
+ * no tax requires nothing.
+ *
+ * @param {Object} params
+ * @param {number} params.currentYearTax - This year's total federal tax
+ * @param {number|null} [params.priorYearTax] - Last year's total tax (Form 1040 line 24)
+ * @param {number|null} [params.priorYearAgi] - Last year's AGI, for the 110% rule
+ * @param {string} [params.filingStatus]
+ * @returns {Object} { required, basis: 'current' | 'prior', currentYearSafeHarbor, priorYearSafeHarbor, priorYearPercent }
+ */
+export function getRequiredAnnualPayment({ currentYearTax, priorYearTax = null, priorYearAgi = null, filingStatus = 'single' }) {
+  const rules = ESTIMATED_TAX_SAFE_HARBOR;
+  const highIncomeAgi = normalizeFilingStatus(filingStatus) === 'married_filing_separately'
+    ? rules.highIncomeAgi / 2
+    : rules.highIncomeAgi;
+  const priorYearPercent = (priorYearAgi || 0) > highIncomeAgi ? rules.highIncomePriorYearPercent : rules.priorYearPercent;
+  const currentYearSafeHarbor = Math.max(0, currentYearTax) * rules.currentYearPercent / 100;
+  const priorYearSafeHarbor = priorYearTax === null || priorYearTax === undefined
+    ? null
+    : Math.max(0, priorYearTax) * priorYearPercent / 100;
+  const usePrior = priorYearSafeHarbor !== null && priorYearSafeHarbor < currentYearSafeHarbor;
+  return {
+    required: usePrior ? priorYearSafeHarbor : currentYearSafeHarbor,
+    basis: usePrior ? 'prior' : 'current',
+    currentYearSafeHarbor,
+    priorYearSafeHarbor,
+    priorYearPercent,
+  };
+}
+
+/**
+ * Return inputs from income items through the end of month `throughMonth`. Dated items count once their date
+ * has passed; undated items are earned evenly, so only the elapsed share of the year counts.
+ *
+ * @param {Array} items - [{ kind, amount, date? }] - kind is one of ESTIMATED_INCOME_KINDS
+ * @param {number} year
+ * @param {number} [throughMonth] - Months elapsed (12 for the full year)
+ */
+export function sumIncomeItems(items, year, throughMonth = 12) {
+  const periodEnd = new Date(year, throughMonth, 0);
+  const totals = Object.fromEntries(ESTIMATED_INCOME_KINDS.map(kind => [kind, 0]));
+  items.forEach(item => {
+    if (!(item.kind in totals) || !item.amount) return;
+    if (item.date) {
+      const date = parseDate(item.date);
+      if (date.getFullYear() === year && date <= periodEnd) totals[item.kind] += item.amount;
+    } else {
+      totals[item.kind] += item.amount * throughMonth / 12;
+    }
+  });
+  return totals;
+}
+
+/**
+ * Income items for a year's estimate: active BudgetItem income (salary as wages, the rest as other
+ * income) earned evenly, the year's realized sales on their dates and equity compensation vesting
+ * that year. Planned Roth conversions are entered in the planner and added there.
+ *
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {Array} [params.budgetItems] - BudgetItem records
+ * @param {Array} [params.transactions] - Transaction records (sells in `year` are used)
+ * @param {Array} [params.equityGrants] - UserSettings.equity_grants
+ * @param {number} [params.fallbackWages] - Wages when the budget has no salary
+ * @returns {Array} [{ kind, amount, date?, source }]
+ */
+export function buildEstimatedIncomeItems({ year, budgetItems = [], transactions = [], equityGrants = [], fallbackWages = 0 }) {
+  const items = [];
+  budgetItems
+    .filter(b => b.type === 'income' && b.is_active !== false)
+    .forEach(b => items.push({
+      kind: b.category === 'salary' ? 'wages' : 'otherIncome',
+      amount: (b.amount || 0) * (BUDGET_PAYMENTS_PER_YEAR[b.frequency] ?? 12),
+      source: b.name || 'Budget income',
+    }));
+  if (!items.some(item => item.kind === 'wages') && fallbackWages > 0) {
+    items.push({ kind: 'wages', amount: fallbackWages, source: 'Annual income' });
+  }
+
+  transactions
+    .filter(t => t.type === 'sell' && t.date && parseDate(t.date).getFullYear() === year && t.realized_gain_loss)
+    .forEach(t => items.push({
+      kind: t.holding_period === 'long_term' ? 'longTermGains' : 'shortTermGains',
+      amount: t.realized_gain_loss,
+      date: String(t.date).split('T')[0],
+      source: `${t.asset_ticker || 'Sale'} sale`,
+    }));
+
+  const equity = getEquityCompByYear(equityGrants, { startYear: year, endYear: year })[year];
+  if (equity) {
+    [['wages', equity.ordinaryIncome], ['shortTermGains', equity.shortTermGains], ['longTermGains', equity.longTermGains], ['amtPreferences', equity.isoPreference]]
+      .forEach(([kind, amount]) => { if (amount) items.push({ kind, amount, source: 'Equity compensation' }); });
+  }
+  return items;
+}
+
+/**
+ * Apply withholding and estimated payments to required installments (Form 2210 Part IV). Withholding
+ * counts as paid in equal parts on the due dates; payments go to the earliest installment still owed,
+ * and any shortfall accrues interest from its due date until paid or until the return's due date.
+ *
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {Array} params.installments - [{ quarter, dueDate, required }]
+ * @param {Array} [params.payments] - [{ date, amount }]
+ * @param {number} [params.withholding] - Federal income tax withheld for the year
+ * @returns {Object} { penalty, rows: [{ quarter, dueDate, required, paidByDueDate, underpayment, penalty }] }
+ */
+export function calculateUnderpaymentPenalty({ year, installments, payments = [], withholding = 0 }) {
+  const penaltyEnd = toDateString(new Date(year + 1, 3, 15));
+  const queue = [
+    ...installments.map(inst => ({ date: inst.dueDate, amount: withholding / installments.length })),
+    ...payments.filter(p => p.amount > 0 && p.date).map(p => ({ date: String(p.date).split('T')[0], amount: p.amount })),
+  ]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(p => ({ ...p }));
+
+  let penalty = 0;
+  const rows = installments.map(inst => {
+    let owed = inst.required;
+    let paidByDueDate = 0;
+    let installmentPenalty = 0;
+    queue.forEach(payment => {
+      if (owed <= 0 || payment.amount <= 0) return;
+      const applied = Math.min(owed, payment.amount);
+      payment.amount -= applied;
+      owed -= applied;
+      if (payment.date <= inst.dueDate) {
+        paidByDueDate += applied;
+      } else if (payment.date < penaltyEnd) {
+        installmentPenalty += calculateUnderpaymentInterest(applied, inst.dueDate, payment.date);
+      } else {
+        installmentPenalty += calculateUnderpaymentInterest(applied, inst.dueDate, penaltyEnd);
+      }
+    });
+    if (owed > 0) installmentPenalty += calculateUnderpaymentInterest(owed, inst.dueDate, penaltyEnd);
+    penalty += installmentPenalty;
+    return {
+      quarter: inst.quarter,
+      dueDate: inst.dueDate,
+      required: inst.required,
+      paidByDueDate,
+      underpayment: Math.max(0, inst.required - paidByDueDate),
+      penalty: installmentPenalty,
+    };
+  });
+  return { penalty, rows };
+}
+
+/**
+ * Plan a year's estimated payments: the projected liability, the safe harbors, the four 1040-ES
+ * installments under the regular and annualized methods, what is still to pay by each due date, and the
+ * Form 2210 penalty for the payments recorded so far.
+ *
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {string} [params.filingStatus]
+ * @param {string} [params.state] - For the state tax shown alongside (1040-ES covers federal only)
+ * @param {number} [params.age]
+ * @param {Array} params.incomeItems - [{ kind, amount, date? }] (see sumIncomeItems)
+ * @param {Object} [params.lossCarryover] - { shortTerm, longTerm } capital losses carried into the year
+ * @param {number} [params.otherTaxes] - Taxes outside the income tax, e.g. self-employment tax
+ * @param {number} [params.withholding] - Federal tax withheld for the year
+ * @param {number|null} [params.priorYearTax]
+ * @param {number|null} [params.priorYearAgi]
+ * @param {Array} [params.payments] - Estimated payments made [{ date, amount }]
+ * @param {Date} [params.asOf] - Due dates before this are past
+ * @returns {Object} { taxReturn, totalTax, safeHarbor, noPenaltyRequired, installments, method, regularPenalty,
+ *   annualizedPenalty, penalty, remainingDue }
+ *   - installments: [{ quarter, periodEnd, dueDate, regular, annualized, required, paid, isPast, toPay, penalty }]
+ */
+export function planEstimatedTax({
+  year,
+  filingStatus = 'single',
+  state = null,
+  age = 0,
+  incomeItems = [],
+  lossCarryover = null,
+  otherTaxes = 0,
+  withholding = 0,
+  priorYearTax = null,
+  priorYearAgi = null,
+  payments = [],
+  asOf = new Date(),
+}) {
+  const returnFor = (income, explain) => calculateTaxReturn({
+    year,
+    filingStatus,
+    state,
+    age,
+    ...income,
+    priorShortTermLossCarryover: lossCarryover?.shortTerm || 0,
+    priorLongTermLossCarryover: lossCarryover?.longTerm || 0,
+    explain,
+  });
+
+  const taxReturn = returnFor(sumIncomeItems(incomeItems, year), true);
+  const totalTax = taxReturn.federalTax + otherTaxes;
+  const safeHarbor = getRequiredAnnualPayment({ currentYearTax: totalTax, priorYearTax, priorYearAgi, filingStatus });
+  // Under the $1,000 balance due, or no tax last year: no estimated payments are required
+  const noPenaltyRequired = totalTax - withholding < ESTIMATED_TAX_SAFE_HARBOR.minimumBalanceDue || priorYearTax === 0;
+
+  const dueDates = getEstimatedTaxDueDates(year);
+  const regularInstallment = noPenaltyRequired ? 0 : safeHarbor.required / 4;
+
+  // Schedule AI: tax on income through each period, annualized; the installment is the smaller of the
+  // annualized amount and the regular installment plus any regular amount not yet required
+  let requiredSoFar = 0;
+  let regularAvailable = 0;
+  const installments = ESTIMATED_TAX_PERIODS.map((period, index) => {
+    const throughPeriod = sumIncomeItems(incomeItems, year, period.endMonth);
+    const annualizedIncome = Object.fromEntries(
+      Object.entries(throughPeriod).map(([kind, amount]) => [kind, amount * period.annualizationFactor])
+    );
+    const annualizedTax = returnFor(annualizedIncome, false).federalTax + otherTaxes;
+    const annualizedInstallment = Math.max(0, annualizedTax * period.cumulativePercent / 100 - requiredSoFar);
+    regularAvailable += regularInstallment;
+    const annualized = noPenaltyRequired ? 0 : Math.min(annualizedInstallment, regularAvailable);
+    regularAvailable -= annualized;
+    requiredSoFar += annualized;
+    return {
+      ...dueDates[index],
+      regular: regularInstallment,
+      annualized,
+      annualizedTax,
+    };
+  });
+
+  const penaltyFor = (key) => calculateUnderpaymentPenalty({
+    year,
+    installments: installments.map(inst => ({ quarter: inst.quarter, dueDate: inst.dueDate, required: inst[key] })),
+    payments,
+    withholding,
+  });
+  const regularPenalty = penaltyFor('regular');
+  const annualizedPenalty = penaltyFor('annualized');
+  // Schedule AI never requires more by any due date, so it's worth filing whenever it requires less
+  const useAnnualized = installments.some(inst => inst.annualized < inst.regular - 0.5);
+  const method = useAnnualized ? 'annualized' : 'regular';
+  const penaltyRows = (useAnnualized ? annualizedPenalty : regularPenalty).rows;
+
+  // Still to pay by each upcoming due date; a missed installment rolls into the next one
+  const today = toDateString(asOf);
+  const recordedPayments = payments.filter(p => p.amount > 0 && p.date);
+  let cumulativeRequired = 0;
+  let recommendedSoFar = 0;
+  const schedule = installments.map((inst, index) => {
+    cumulativeRequired += inst[method];
+    const paid = recordedPayments
+      .filter(p => String(p.date).split('T')[0] <= inst.dueDate)
+      .reduce((sum, p) => sum + p.amount, 0);
+    const withheld = withholding * (index + 1) / installments.length;
+    const isPast = inst.dueDate < today;
+    const toPay = isPast ? 0 : Math.max(0, cumulativeRequired - withheld - paid - recommendedSoFar);
+    recommendedSoFar += toPay;
+    return {
+      ...inst,
+      required: inst[method],
+      paid: recordedPayments
+        .filter(p => {
+          const date = String(p.date).split('T')[0];
+          return date <= inst.dueDate && (index === 0 || date > installments[index - 1].dueDate);
+        })
+        .reduce((sum, p) => sum + p.amount, 0),
+      isPast,
+      toPay,
+      penalty: penaltyRows[index].penalty,
+    };
+  });
+
+  return {
+    taxReturn,
+    totalTax,
+    safeHarbor,
+    noPenaltyRequired,
+    installments: schedule,
+    method,
+    regularPenalty: regularPenalty.penalty,
+    annualizedPenalty: annualizedPenalty.penalty,
+    penalty: (useAnnualized ? annualizedPenalty : regularPenalty).penalty,
+    remainingDue: recommendedSoFar,
+  };
+}
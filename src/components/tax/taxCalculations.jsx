@@ -6,10 +6,12 @@ import {
   getSTCGRate,
   calculateProgressiveIncomeTax,
   getStandardDeduction,
-  STANDARD_DEDUCTIONS,
-  INCOME_TAX_BRACKETS,
   getTaxDataForYear
 } from '@/components/shared/taxConfig';
+import {
+  getTaxRules,
+  calculateSocialSecurityTaxation
+} from '@/components/tax/taxEngine';
 
 /**
  * Estimate Social Security benefit based on current income.
@@ -85,6 +87,7 @@ export function estimateSocialSecurityBenefit(currentIncome, claimingAge = 67, c
  * Tier 1 (0% taxable): Provisional income ≤ base threshold ($25k single, $32k married)
  * Tier 2 (up to 50% taxable): Provisional income between base and upper threshold
  * Tier 3 (up to 85% taxable): Provisional income > upper threshold ($34k single, $44k married)
+ * MFS has no thresholds (85% taxable), assuming the spouses lived together during the year.
  * 
  * NOTE: These thresholds are NOT inflation-adjusted - they are statutory since 1984/1993.
  * 
@@ -94,48 +97,9 @@ export function estimateSocialSecurityBenefit(currentIncome, claimingAge = 67, c
  * @returns {number} - Taxable portion of SS benefits (0 to 85% of benefits)
  */
 export function calculateTaxableSocialSecurity(socialSecurityBenefits, otherIncome, filingStatus) {
-  if (socialSecurityBenefits <= 0) return 0;
-  
-  // Provisional income thresholds (these are statutory and NOT inflation-adjusted)
-  const isMarried = filingStatus === 'married_filing_jointly' || filingStatus === 'married';
-  const thresholds = isMarried 
-    ? { base: 32000, upper: 44000 }
-    : { base: 25000, upper: 34000 }; // Single, HoH, MFS
-  
-  // Provisional income = other income + 50% of SS benefits
-  const provisionalIncome = otherIncome + (socialSecurityBenefits * 0.5);
-  
-  // Tier 1: Below base threshold - 0% taxable
-  if (provisionalIncome <= thresholds.base) {
-    return 0;
-  }
-  
-  // Tier 2: Between base and upper - up to 50% taxable
-  if (provisionalIncome <= thresholds.upper) {
-    // Taxable = lesser of: 50% of SS OR 50% of (provisional income - base threshold)
-    const tier1Taxable = Math.min(
-      socialSecurityBenefits * 0.5,
-      (provisionalIncome - thresholds.base) * 0.5
-    );
-    return tier1Taxable;
-  }
-  
-  // Tier 3: Above upper threshold - up to 85% taxable
-  // Taxable = lesser of:
-  //   85% of SS benefits, OR
-  //   85% of (provisional income - upper threshold) + lesser of:
-  //     $4,500 (single) / $6,000 (MFJ), OR
-  //     50% of SS benefits
-  const maxTier1 = isMarried ? 6000 : 4500;
-  const tier1Portion = Math.min(maxTier1, socialSecurityBenefits * 0.5);
-  const tier2Portion = (provisionalIncome - thresholds.upper) * 0.85;
-  
-  const totalTaxable = Math.min(
-    socialSecurityBenefits * 0.85,
-    tier1Portion + tier2Portion
-  );
-  
-  return Math.max(0, totalTaxable);
+  // Thresholds are statutory, so any year's rule-set has the same ones
+  const { socialSecurity } = getTaxRules(new Date().getFullYear(), filingStatus);
+  return calculateSocialSecurityTaxation(socialSecurityBenefits, otherIncome, socialSecurity).taxable;
 }
 
 import { 
@@ -147,8 +111,6 @@ import {
 
 // Re-export for backward compatibility
 export { 
-  STANDARD_DEDUCTIONS, 
-  INCOME_TAX_BRACKETS,
   getTaxConfigForYear,
   getIncomeTaxRate,
   getLTCGRate,
@@ -183,65 +145,33 @@ export {
  * @returns {number} - NIIT amount owed
  */
 export const calculateNIIT = (netInvestmentIncome, magi, filingStatus) => {
-  // NIIT thresholds (these are statutory and NOT inflation-adjusted)
-  const thresholds = {
-    single: 200000,
-    married: 250000,
-    married_filing_jointly: 250000,
-    married_filing_separately: 125000,
-    head_of_household: 200000,
-  };
-  
-  const normalizedStatus = filingStatus === 'married' ? 'married_filing_jointly' : filingStatus;
-  const threshold = thresholds[normalizedStatus] || thresholds.single;
+  // Thresholds are statutory (not inflation-adjusted), so any year's rule-set has the same ones
+  const { niit } = getTaxRules(new Date().getFullYear(), filingStatus);
   
   // No NIIT if MAGI is at or below threshold
-  if (magi <= threshold) return 0;
+  if (magi <= niit.threshold) return 0;
   
   // NIIT is 3.8% of the lesser of NII or excess MAGI
-  const excessMagi = magi - threshold;
-  const niitableAmount = Math.min(netInvestmentIncome, excessMagi);
-  
-  return Math.max(0, niitableAmount * 0.038);
+  const niitableAmount = Math.min(netInvestmentIncome, magi - niit.threshold);
+  return Math.max(0, niitableAmount * niit.rate);
 };
 
-// Backward compatibility
-export const STANDARD_DEDUCTION_2024 = { single: 14600, married: 29200 };
-export const STANDARD_DEDUCTION_2025 = { single: 15000, married: 30000 };
-export const TAX_BRACKETS_2024 = {
-  single: {
-    income: [
-      { min: 0, max: 11925, rate: 0.10, label: '10%' },
-      { min: 11925, max: 48475, rate: 0.12, label: '12%' },
-      { min: 48475, max: 103350, rate: 0.22, label: '22%' },
-      { min: 103350, max: 197300, rate: 0.24, label: '24%' },
-      { min: 197300, max: 250525, rate: 0.32, label: '32%' },
-      { min: 250525, max: 626350, rate: 0.35, label: '35%' },
-      { min: 626350, max: Infinity, rate: 0.37, label: '37%' },
-    ],
-    ltcg: [
-      { min: 0, max: 48350, rate: 0, label: '0%' },
-      { min: 48350, max: 533400, rate: 0.15, label: '15%' },
-      { min: 533400, max: Infinity, rate: 0.20, label: '20%' },
-    ],
-  },
-  married: {
-    income: [
-      { min: 0, max: 23850, rate: 0.10, label: '10%' },
-      { min: 23850, max: 96950, rate: 0.12, label: '12%' },
-      { min: 96950, max: 206700, rate: 0.22, label: '22%' },
-      { min: 206700, max: 394600, rate: 0.24, label: '24%' },
-      { min: 394600, max: 501050, rate: 0.32, label: '32%' },
-      { min: 501050, max: 751600, rate: 0.35, label: '35%' },
-      { min: 751600, max: Infinity, rate: 0.37, label: '37%' },
-    ],
-    ltcg: [
-      { min: 0, max: 96700, rate: 0, label: '0%' },
-      { min: 96700, max: 600050, rate: 0.15, label: '15%' },
-      { min: 600050, max: Infinity, rate: 0.20, label: '20%' },
-    ],
-  },
+// Backward compatibility - published tables from the tax engine's rule-sets
+const toLegacyTables = (year) => {
+  const single = getTaxRules(year, 'single');
+  const married = getTaxRules(year, 'married_filing_jointly');
+  return {
+    deduction: { single: single.standardDeduction, married: married.standardDeduction },
+    brackets: {
+      single: { income: single.ordinaryBrackets, ltcg: single.preferentialBrackets },
+      married: { income: married.ordinaryBrackets, ltcg: married.preferentialBrackets },
+    },
+  };
 };
+export const STANDARD_DEDUCTION_2024 = toLegacyTables(2024).deduction;
+export const STANDARD_DEDUCTION_2025 = toLegacyTables(2025).deduction;
+// Historically held the 2025 brackets under this name; kept that way for existing callers
+export const TAX_BRACKETS_2024 = toLegacyTables(2025).brackets;
 
 /**
  * Calculate federal capital gains tax on a realized gain.
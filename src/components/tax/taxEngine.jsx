@@ -0,0 +1,525 @@
+// components/tax/taxEngine.js
+// The one place a year's tax is computed. getTaxRules(year) assembles that year's rule-set from the
+// published tables in taxData (years after the last table are projected with inflation), and
+// calculateTaxReturn walks a Form 1040 with it: income, AGI, deductions, ordinary tax, stacked
+// LTCG/qualified dividend tax, AMT and the minimum tax credit, NIIT, taxable Social Security, the IRMAA
+// tier and state tax, with a line-by-line explanation. The projection, Tax Center and Scenarios all call it, so every screen
+// shows the same numbers; taxConfig and taxCalculations keep their old helpers as thin wrappers.
+//
+// All amounts are US dollars, whatever the display currency.
+
+import {
+  FEDERAL_INCOME_BRACKETS,
+  FEDERAL_LTCG_BRACKETS,
+  STANDARD_DEDUCTIONS,
+  MEDICARE_IRMAA,
+  NIIT,
+  AMT,
+  AMT_RATES,
+  SOCIAL_SECURITY_TAXATION,
+  CAPITAL_LOSS_LIMIT,
+  TAX_LAW_SOURCES,
+  FALLBACK_INFLATION,
+  getYearData,
+  getDataYear,
+} from '@/components/shared/taxData';
+import { calculateStateTaxReturn, STATE_TAX_CONFIG } from '@/components/shared/stateTaxConfig';
+
+export const FILING_STATUS_LABELS = {
+  single: 'Single',
+  married_filing_jointly: 'Married Filing Jointly',
+  married_filing_separately: 'Married Filing Separately',
+  head_of_household: 'Head of Household',
+};
+
+// IRMAA is set from MAGI two years before the premium year
+export const IRMAA_LOOKBACK_YEARS = 2;
+
+/** 'married' (the settings value) → 'married_filing_jointly'; unknown values → 'single'. */
+export const normalizeFilingStatus = (filingStatus) => {
+  if (filingStatus === 'married') return 'married_filing_jointly';
+  return FILING_STATUS_LABELS[filingStatus] ? filingStatus : 'single';
+};
+
+// Rule-sets are rebuilt for every projection year of every run, so keep the recent ones
+const rulesCache = new Map();
+const RULES_CACHE_LIMIT = 500;
+
+/**
+ * The federal rule-set for a tax year and filing status.
+ *
+ * Published years use their own tables; later years inflate the most recent table at
+ * `inflationRate` (statutory amounts - NIIT thresholds, Social Security thresholds and the capital
+ * loss limit - never inflate). Years before the first table use the first table.
+ *
+ * @param {number} year - Tax year
+ * @param {string} [filingStatus] - 'single', 'married', 'married_filing_jointly', 'married_filing_separately', 'head_of_household'
+ * @param {Object} [options]
+ * @param {number|null} [options.inflationRate] - Decimal rate for projected years (default 2.5%)
+ * @returns {Object} { year, dataYear, projected, version, source, filingStatus, ordinaryBrackets,
+ *   preferentialBrackets, standardDeduction, additionalStandardDeduction, niit, amt, socialSecurity, capitalLossLimit }
+ *   - Bracket rates are decimals with a display label ('22%')
+ *   - amt is { exemption, phaseoutStart, phaseoutRate, bracket28Start, lowRate, highRate } (rates as decimals)
+ */
+export function getTaxRules(year, filingStatus = 'single', { inflationRate = null } = {}) {
+  const status = normalizeFilingStatus(filingStatus);
+  const key = `${year}|${status}|${inflationRate}`;
+  const cached = rulesCache.get(key);
+  if (cached) return cached;
+
+  const dataYear = getDataYear(FEDERAL_INCOME_BRACKETS, year);
+  const projected = year > dataYear;
+  const rate = inflationRate ?? FALLBACK_INFLATION;
+  const incomeData = getYearData(FEDERAL_INCOME_BRACKETS, year, inflationRate);
+  const ltcgData = getYearData(FEDERAL_LTCG_BRACKETS, year, inflationRate);
+  const deductionData = getYearData(STANDARD_DEDUCTIONS, year, inflationRate);
+  const amtData = getYearData(AMT, year, inflationRate);
+  const ltcg = ltcgData[status] || ltcgData.single;
+  const isMarried = status === 'married_filing_jointly' || status === 'married_filing_separately';
+
+  const rules = {
+    year,
+    dataYear,
+    projected,
+    version: projected ? `${dataYear} tables + ${(rate * 100).toFixed(1)}%/yr inflation` : `${year} tables`,
+    source: TAX_LAW_SOURCES[dataYear] || null,
+    filingStatus: status,
+    ordinaryBrackets: (incomeData[status] || incomeData.single).map(b => ({
+      min: b.min,
+      max: b.max,
+      rate: b.rate / 100,
+      label: `${b.rate}%`,
+    })),
+    preferentialBrackets: [
+      { min: 0, max: ltcg.zeroMax, rate: 0, label: '0%' },
+      { min: ltcg.zeroMax, max: ltcg.fifteenMax, rate: 0.15, label: '15%' },
+      { min: ltcg.fifteenMax, max: Infinity, rate: 0.20, label: '20%' },
+    ],
+    standardDeduction: deductionData[status] || deductionData.single,
+    // Per person 65+ or blind
+    additionalStandardDeduction: (isMarried ? deductionData.additional_married : deductionData.additional_single) || 0,
+    niit: { rate: NIIT.rate / 100, threshold: NIIT.thresholds[status] || NIIT.thresholds.single },
+    amt: {
+      exemption: amtData.exemption[status],
+      phaseoutStart: amtData.phaseoutStart[status],
+      phaseoutRate: amtData.phaseoutRate / 100,
+      bracket28Start: amtData.bracket28Start[status],
+      lowRate: AMT_RATES.low / 100,
+      highRate: AMT_RATES.high / 100,
+    },
+    socialSecurity: SOCIAL_SECURITY_TAXATION[status] || SOCIAL_SECURITY_TAXATION.single,
+    capitalLossLimit: CAPITAL_LOSS_LIMIT[status] || CAPITAL_LOSS_LIMIT.single,
+  };
+
+  if (rulesCache.size >= RULES_CACHE_LIMIT) rulesCache.clear();
+  rulesCache.set(key, rules);
+  return rules;
+}
+
+/** Progressive tax on `amount` of income stacked on top of `start` (both taxable income). */
+export function calculateBracketTax(brackets, amount, start = 0) {
+  let tax = 0;
+  const portions = [];
+  let remaining = Math.max(0, amount);
+  let position = Math.max(0, start);
+  for (const bracket of brackets) {
+    if (remaining <= 0) break;
+    const room = Math.max(0, bracket.max - Math.max(position, bracket.min));
+    const inBracket = Math.min(remaining, room);
+    if (inBracket > 0) {
+      tax += inBracket * bracket.rate;
+      portions.push({ label: bracket.label, rate: bracket.rate, amount: inBracket });
+      position += inBracket;
+      remaining -= inBracket;
+    }
+  }
+  return { tax, portions };
+}
+
+/** Rate of the bracket the next dollar above `taxableIncome` falls in. */
+export function getMarginalRate(brackets, taxableIncome) {
+  const bracket = brackets.find(b => taxableIncome < b.max) || brackets[brackets.length - 1];
+  return bracket.rate;
+}
+
+/**
+ * Taxable part of Social Security benefits (IRS Publication 915 worksheet).
+ * Provisional income = other income (MAGI without benefits) + half the benefits.
+ *
+ * @param {number} benefits - Benefits received this year
+ * @param {number} otherIncome - MAGI excluding benefits
+ * @param {Object} thresholds - { base, upper, tier1Max } from getTaxRules().socialSecurity
+ * @returns {Object} { taxable, provisionalIncome }
+ */
+export function calculateSocialSecurityTaxation(benefits, otherIncome, thresholds) {
+  const provisionalIncome = Math.max(0, otherIncome) + Math.max(0, benefits) * 0.5;
+  if (benefits <= 0 || provisionalIncome <= thresholds.base) return { taxable: 0, provisionalIncome };
+  if (provisionalIncome <= thresholds.upper) {
+    return { taxable: Math.min(benefits * 0.5, (provisionalIncome - thresholds.base) * 0.5), provisionalIncome };
+  }
+  const taxable = Math.min(
+    benefits * 0.85,
+    (provisionalIncome - thresholds.upper) * 0.85 + Math.min(thresholds.tier1Max, benefits * 0.5)
+  );
+  return { taxable: Math.max(0, taxable), provisionalIncome };
+}
+
+/**
+ * Medicare IRMAA tier that `magi` for `year` sets for premiums two years later.
+ *
+ * @returns {Object} { tier, premiumYear, partB_surcharge, partD_surcharge, annualSurcharge, nextThreshold }
+ *   - Surcharges are monthly per enrollee; annualSurcharge is the yearly total per enrollee
+ *   - nextThreshold is the MAGI where the next tier starts (null in the top tier)
+ */
+export function getIrmaaTier(year, magi, filingStatus = 'single') {
+  const status = normalizeFilingStatus(filingStatus);
+  const premiumYear = year + IRMAA_LOOKBACK_YEARS;
+  const yearData = getYearData(MEDICARE_IRMAA, premiumYear);
+  const brackets = yearData.brackets[status] || yearData.brackets.single;
+  const index = brackets.findIndex(b => magi <= b.maxIncome);
+  const tier = index === -1 ? brackets.length - 1 : index;
+  const bracket = brackets[tier];
+  return {
+    tier,
+    premiumYear,
+    partB_surcharge: bracket.partB_surcharge,
+    partD_surcharge: bracket.partD_surcharge,
+    annualSurcharge: (bracket.partB_surcharge + bracket.partD_surcharge) * 12,
+    nextThreshold: bracket.maxIncome === Infinity ? null : bracket.maxIncome,
+  };
+}
+
+/**
+ * Schedule D netting: short- and long-term results offset each other (after any loss carried in from
+ * earlier years), and a net loss offsets up to `lossLimit` of other income with the rest carried forward.
+ * The carryforward is split by character per the Capital Loss Carryover Worksheet.
+ *
+ * @param {number} shortTermGains
+ * @param {number} longTermGains
+ * @param {number} lossLimit
+ * @param {Object} [carryover] - { shortTerm, longTerm } losses carried in (positive amounts)
+ * @returns {Object} { netShortTerm, netLongTerm, capitalGain, netCapitalGain, capitalLossCarryover,
+ *   shortTermLossCarryover, longTermLossCarryover }
+ *   - capitalGain is Form 1040 line 7 (negative for a deductible loss)
+ *   - netCapitalGain is the part taxed at preferential rates
+ */
+export function netCapitalGains(shortTermGains, longTermGains, lossLimit, carryover = {}) {
+  const netShortTerm = shortTermGains - Math.max(0, carryover.shortTerm || 0);
+  const netLongTerm = longTermGains - Math.max(0, carryover.longTerm || 0);
+  const net = netShortTerm + netLongTerm;
+  if (net < 0) {
+    const deductible = Math.min(lossLimit, -net);
+    const shortTermLoss = Math.max(0, -netShortTerm);
+    const longTermLoss = Math.max(0, -netLongTerm);
+    // The deduction uses up short-term loss first; gains of the other character absorb the rest
+    const shortTermLossCarryover = Math.max(0, shortTermLoss - deductible - Math.max(0, netLongTerm));
+    const longTermLossCarryover = Math.max(0,
+      longTermLoss - Math.max(0, netShortTerm) - Math.max(0, deductible - shortTermLoss));
+    return {
+      netShortTerm,
+      netLongTerm,
+      capitalGain: -deductible,
+      netCapitalGain: 0,
+      capitalLossCarryover: shortTermLossCarryover + longTermLossCarryover,
+      shortTermLossCarryover,
+      longTermLossCarryover,
+    };
+  }
+  return {
+    netShortTerm,
+    netLongTerm,
+    capitalGain: net,
+    netCapitalGain: Math.max(0, Math.min(netLongTerm, net)),
+    capitalLossCarryover: 0,
+    shortTermLossCarryover: 0,
+    longTermLossCarryover: 0,
+  };
+}
+
+/**
+ * Form 6251 Part II/III: exemption after phase-out and the tentative minimum tax on `amti`, with
+ * `preferentialIncome` (qualified dividends and net capital gain) kept at its 0/15/20% rates.
+ *
+ * @returns {Object} { exemption, base, tax } - base is AMTI less the exemption
+ */
+export function calculateTentativeMinimumTax(rules, amti, preferentialIncome = 0) {
+  const { amt } = rules;
+  const exemption = Math.max(0, amt.exemption - Math.max(0, amti - amt.phaseoutStart) * amt.phaseoutRate);
+  const base = Math.max(0, amti - exemption);
+  const flatTax = (amount) => amount <= amt.bracket28Start
+    ? amount * amt.lowRate
+    : amt.bracket28Start * amt.lowRate + (amount - amt.bracket28Start) * amt.highRate;
+  const preferential = Math.min(base, Math.max(0, preferentialIncome));
+  const tax = Math.min(
+    flatTax(base),
+    flatTax(base - preferential) + calculateBracketTax(rules.preferentialBrackets, preferential, base - preferential).tax
+  );
+  return { exemption, base, tax };
+}
+
+const line = (number, label, amount, note = null, kind = 'amount') => ({ line: number, label, amount, note, kind });
+const formatUSD = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
+const formatRate = (rate) => `${+(rate * 100).toFixed(1)}%`;
+
+/**
+ * Compute a full federal return (plus state tax) for one year.
+ *
+ * Income amounts are the year's totals in USD. Gains are net realized gains (negative for losses).
+ * Pre-tax payroll deductions (401k, HSA) should already be out of `wages`; deductible IRA
+ * contributions and other above-the-line deductions go in `adjustments`.
+ *
+ * @param {Object} params
+ * @param {number} params.year - Tax year
+ * @param {string} [params.filingStatus] - Any status normalizeFilingStatus accepts
+ * @param {number} [params.age] - Taxpayer's age (65+ adds to the standard deduction)
+ * @param {number|null} [params.spouseAge] - Spouse's age for a joint return
+ * @param {number|null} [params.seniorCount] - People 65+ on the return, when ages aren't known individually
+ * @param {string} [params.state] - Two-letter state code for state tax
+ * @param {number|null} [params.inflationRate] - Decimal rate for projected years' tables
+ * @param {number} [params.wages] - Wages and self-employment income after pre-tax deductions
+ * @param {number} [params.taxableInterest]
+ * @param {number} [params.qualifiedDividends] - Taxed at LTCG rates
+ * @param {number} [params.nonQualifiedDividends] - Taxed as ordinary income
+ * @param {number} [params.iraDistributions] - Taxable IRA/401k withdrawals, RMDs and Roth conversions
+ * @param {number} [params.pensions] - Pensions and annuities
+ * @param {number} [params.socialSecurityBenefits] - Total benefits received
+ * @param {number} [params.shortTermGains]
+ * @param {number} [params.longTermGains]
+ * @param {number} [params.priorShortTermLossCarryover] - Short-term capital loss carried in (Schedule D line 6)
+ * @param {number} [params.priorLongTermLossCarryover] - Long-term capital loss carried in (Schedule D line 14)
+ * @param {number} [params.otherIncome] - Other taxable income (Schedule 1)
+ * @param {number} [params.adjustments] - Above-the-line deductions
+ * @param {number} [params.itemizedDeductions] - Used when larger than the standard deduction
+ * @param {number} [params.amtPreferences] - AMT adjustments on Form 6251, e.g. the ISO bargain element (line 2i)
+ * @param {number} [params.priorAmtCredit] - Minimum tax credit carried in from earlier years (Form 8801)
+ * @param {number} [params.additionalTax] - Additional tax on tax-favored accounts (Form 5329), e.g. the 10% on
+ *   non-qualified 529 earnings; Schedule 2 line 8
+ * @param {number} [params.plan529Contributions] - 529 contributions, for the state's contribution deduction
+ * @param {boolean} [params.explain] - Build the line-by-line explanation (skip in tight loops)
+ * @returns {Object} Return figures, { federalTax, stateTax, totalTax } and `lines` ({ line, label, amount, note, kind })
+ *   - amt, amtCreditUsed and amtCreditCarryforward (credit left for next year) are already in federalTax
+ *   - shortTermLossCarryover and longTermLossCarryover are the capital losses left for next year
+ */
+export function calculateTaxReturn({
+  year,
+  filingStatus = 'single',
+  age = 0,
+  spouseAge = null,
+  seniorCount = null,
+  state = null,
+  inflationRate = null,
+  wages = 0,
+  taxableInterest = 0,
+  qualifiedDividends = 0,
+  nonQualifiedDividends = 0,
+  iraDistributions = 0,
+  pensions = 0,
+  socialSecurityBenefits = 0,
+  shortTermGains = 0,
+  longTermGains = 0,
+  priorShortTermLossCarryover = 0,
+  priorLongTermLossCarryover = 0,
+  otherIncome = 0,
+  adjustments = 0,
+  itemizedDeductions = 0,
+  amtPreferences = 0,
+  priorAmtCredit = 0,
+  additionalTax = 0,
+  plan529Contributions = 0,
+  explain = true,
+}) {
+  const rules = getTaxRules(year, filingStatus, { inflationRate });
+  const status = rules.filingStatus;
+  const isJoint = status === 'married_filing_jointly';
+
+  // Schedule D
+  const gains = netCapitalGains(shortTermGains, longTermGains, rules.capitalLossLimit, {
+    shortTerm: priorShortTermLossCarryover,
+    longTerm: priorLongTermLossCarryover,
+  });
+  const priorLossCarryover = Math.max(0, priorShortTermLossCarryover) + Math.max(0, priorLongTermLossCarryover);
+
+  // Social Security: provisional income uses everything else on the return, less adjustments
+  const ordinaryDividends = qualifiedDividends + nonQualifiedDividends;
+  const incomeBeforeSocialSecurity = wages + taxableInterest + ordinaryDividends + iraDistributions + pensions +
+    gains.capitalGain + otherIncome;
+  const { taxable: taxableSocialSecurity, provisionalIncome } = calculateSocialSecurityTaxation(
+    socialSecurityBenefits,
+    incomeBeforeSocialSecurity - adjustments,
+    rules.socialSecurity
+  );
+
+  const totalIncome = incomeBeforeSocialSecurity + taxableSocialSecurity;
+  const agi = Math.max(0, totalIncome - adjustments);
+  const magi = agi;
+
+  // Deduction: standard (plus 65+ additions) or itemized, whichever is larger
+  const seniors = seniorCount ?? ((age >= 65 ? 1 : 0) + (isJoint && spouseAge !== null && spouseAge >= 65 ? 1 : 0));
+  const standardDeduction = rules.standardDeduction + seniors * rules.additionalStandardDeduction;
+  const usingItemized = itemizedDeductions > standardDeduction;
+  const deduction = usingItemized ? itemizedDeductions : standardDeduction;
+  const taxableIncome = Math.max(0, agi - deduction);
+
+  // Qualified dividends and net capital gain stack on top of ordinary income at 0/15/20%
+  const preferentialIncome = Math.min(taxableIncome, qualifiedDividends + gains.netCapitalGain);
+  const ordinaryTaxableIncome = taxableIncome - preferentialIncome;
+  const ordinary = calculateBracketTax(rules.ordinaryBrackets, ordinaryTaxableIncome);
+  const preferential = calculateBracketTax(rules.preferentialBrackets, preferentialIncome, ordinaryTaxableIncome);
+  // Qualified Dividends and Capital Gain Tax Worksheet: never more than the regular tax on everything
+  const regularTaxOnAll = calculateBracketTax(rules.ordinaryBrackets, taxableIncome).tax;
+  const incomeTax = Math.min(ordinary.tax + preferential.tax, regularTaxOnAll);
+
+  // Net Investment Income Tax (Form 8960)
+  const netInvestmentIncome = Math.max(0, taxableInterest + ordinaryDividends + Math.max(0, gains.capitalGain));
+  const niit = Math.max(0, Math.min(netInvestmentIncome, magi - rules.niit.threshold)) * rules.niit.rate;
+
+  // Alternative minimum tax (Form 6251): AMTI adds back the standard deduction and the preference
+  // items; AMT is what the tentative minimum tax exceeds the regular tax by
+  const amtPreferentialIncome = qualifiedDividends + gains.netCapitalGain;
+  const amti = Math.max(0, agi - (usingItemized ? deduction : 0)) + amtPreferences;
+  const tentativeMinimum = calculateTentativeMinimumTax(rules, amti, amtPreferentialIncome);
+  const amt = Math.max(0, tentativeMinimum.tax - incomeTax);
+  // Minimum tax credit (Form 8801): only AMT caused by deferral items (ISO exercises) becomes a credit,
+  // usable in later years as far as the regular tax exceeds the tentative minimum tax
+  const amtWithoutPreferences = amtPreferences > 0
+    ? Math.max(0, calculateTentativeMinimumTax(rules, amti - amtPreferences, amtPreferentialIncome).tax - incomeTax)
+    : amt;
+  const amtCreditUsed = Math.min(Math.max(0, priorAmtCredit), Math.max(0, incomeTax - tentativeMinimum.tax));
+  const amtCreditCarryforward = Math.max(0, priorAmtCredit) - amtCreditUsed + Math.max(0, amt - amtWithoutPreferences);
+
+  const federalTax = incomeTax + amt - amtCreditUsed + niit + additionalTax;
+  const irmaa = getIrmaaTier(year, magi, status);
+
+  const stateResult = state
+    ? calculateStateTaxReturn({
+        state,
+        age,
+        filingStatus: status,
+        year,
+        inflationRate: inflationRate ?? FALLBACK_INFLATION,
+        federalAgi: agi,
+        ordinaryIncome: wages + taxableInterest + ordinaryDividends + otherIncome - adjustments +
+          Math.min(0, gains.capitalGain),
+        iraDistributions,
+        pensions,
+        socialSecurityBenefits,
+        shortTermGains: Math.max(0, gains.capitalGain - gains.netCapitalGain),
+        longTermGains: gains.netCapitalGain,
+        plan529Contributions,
+      })
+    : { tax: 0, taxableSocialSecurity: 0, retirementExclusion: 0, plan529Deduction: 0 };
+  const stateTax = stateResult.tax || 0;
+  const totalTax = federalTax + stateTax;
+  const grossIncome = incomeBeforeSocialSecurity + socialSecurityBenefits;
+
+  const result = {
+    year,
+    filingStatus: status,
+    rules: { version: rules.version, source: rules.source, projected: rules.projected, dataYear: rules.dataYear },
+    wages,
+    taxableInterest,
+    qualifiedDividends,
+    ordinaryDividends,
+    iraDistributions,
+    pensions,
+    socialSecurityBenefits,
+    taxableSocialSecurity,
+    provisionalIncome,
+    capitalGain: gains.capitalGain,
+    netCapitalGain: gains.netCapitalGain,
+    priorLossCarryover,
+    capitalLossCarryover: gains.capitalLossCarryover,
+    shortTermLossCarryover: gains.shortTermLossCarryover,
+    longTermLossCarryover: gains.longTermLossCarryover,
+    otherIncome,
+    totalIncome,
+    adjustments,
+    agi,
+    magi,
+    standardDeduction,
+    usingItemized,
+    deduction,
+    taxableIncome,
+    ordinaryTaxableIncome,
+    preferentialIncome,
+    ordinaryTax: ordinary.tax,
+    preferentialTax: preferential.tax,
+    incomeTax,
+    amtPreferences,
+    amti,
+    amtExemption: tentativeMinimum.exemption,
+    tentativeMinimumTax: tentativeMinimum.tax,
+    amt,
+    amtCreditUsed,
+    amtCreditCarryforward,
+    netInvestmentIncome,
+    niit,
+    additionalTax,
+    federalTax,
+    irmaa,
+    state,
+    stateTax,
+    stateTaxableSocialSecurity: stateResult.taxableSocialSecurity || 0,
+    stateRetirementExclusion: stateResult.retirementExclusion || 0,
+    statePlan529Deduction: stateResult.plan529Deduction || 0,
+    totalTax,
+    marginalRate: getMarginalRate(rules.ordinaryBrackets, taxableIncome),
+    marginalPreferentialRate: getMarginalRate(rules.preferentialBrackets, taxableIncome),
+    effectiveRate: grossIncome > 0 ? totalTax / grossIncome : 0,
+    lines: [],
+  };
+
+  if (!explain) return result;
+
+  const lines = [];
+  const add = (number, label, amount, note, kind) => {
+    if (kind || amount) lines.push(line(number, label, amount, note, kind));
+  };
+  add('1z', 'Wages', wages);
+  add('2b', 'Taxable interest', taxableInterest);
+  add('3b', 'Ordinary dividends', ordinaryDividends, qualifiedDividends > 0 ? `${formatUSD(qualifiedDividends)} qualified (line 3a)` : null);
+  add('4b', 'IRA distributions and conversions', iraDistributions);
+  add('5b', 'Pensions and annuities', pensions);
+  add('6b', 'Taxable Social Security', taxableSocialSecurity, socialSecurityBenefits > 0
+    ? `${formatRate(taxableSocialSecurity / socialSecurityBenefits)} of ${formatUSD(socialSecurityBenefits)} in benefits; provisional income ${formatUSD(provisionalIncome)}`
+    : null);
+  add('7', 'Capital gain or (loss)', gains.capitalGain, [
+    priorLossCarryover > 0 && `After ${formatUSD(priorLossCarryover)} loss carried in from prior years`,
+    gains.capitalLossCarryover > 0 && `Loss limited to ${formatUSD(rules.capitalLossLimit)}; ${formatUSD(gains.capitalLossCarryover)} carries forward`,
+  ].filter(Boolean).join('; ') || null);
+  add('8', 'Other income', otherIncome);
+  add('9', 'Total income', totalIncome, null, 'subtotal');
+  add('10', 'Adjustments to income', -adjustments);
+  add('11', 'Adjusted gross income', agi, null, 'subtotal');
+  add('12', usingItemized ? 'Itemized deductions' : 'Standard deduction', -deduction,
+    !usingItemized && seniors > 0 ? `Includes ${formatUSD(seniors * rules.additionalStandardDeduction)} for ${seniors === 1 ? 'one person' : 'two people'} 65+` : null);
+  add('15', 'Taxable income', taxableIncome, null, 'subtotal');
+  add('16', 'Income tax', incomeTax, [
+    ordinary.portions.length > 0 && `${formatUSD(ordinary.tax)} on ${formatUSD(ordinaryTaxableIncome)} ordinary income (top bracket ${ordinary.portions[ordinary.portions.length - 1].label})`,
+    preferential.portions.length > 0 && `${formatUSD(preferential.tax)} on ${formatUSD(preferentialIncome)} LTCG/qualified dividends (${preferential.portions.map(p => `${formatUSD(p.amount)} at ${p.label}`).join(', ')})`,
+  ].filter(Boolean).join('; ') || null, 'tax');
+  add('Sch 2, 1', 'Alternative minimum tax', amt, amt > 0 || amtPreferences > 0
+    ? `Form 6251: AMTI ${formatUSD(amti)}${amtPreferences > 0 ? ` incl. ${formatUSD(amtPreferences)} ISO bargain element` : ''}, exemption ${formatUSD(tentativeMinimum.exemption)}; tentative minimum tax ${formatUSD(tentativeMinimum.tax)} vs ${formatUSD(incomeTax)} regular tax`
+    : null, amt > 0 || amtPreferences > 0 ? 'tax' : undefined);
+  add('Sch 3, 6b', 'Prior-year minimum tax credit', -amtCreditUsed, amtCreditUsed > 0
+    ? `Form 8801; ${formatUSD(amtCreditCarryforward)} carries forward`
+    : null, amtCreditUsed > 0 ? 'tax' : undefined);
+  add('Sch 2, 12', 'Net investment income tax', niit, niit > 0
+    ? `${formatRate(rules.niit.rate)} of the lesser of ${formatUSD(netInvestmentIncome)} investment income and MAGI over ${formatUSD(rules.niit.threshold)}`
+    : null, niit > 0 ? 'tax' : undefined);
+  add('Sch 2, 8', 'Additional tax on tax-favored accounts', additionalTax, additionalTax > 0 ? 'Form 5329' : null, additionalTax > 0 ? 'tax' : undefined);
+  add('24', 'Total federal tax', federalTax, null, 'total');
+  if (state && STATE_TAX_CONFIG[state]) {
+    add(state, `${STATE_TAX_CONFIG[state].name} income tax`, stateTax, [
+      result.stateRetirementExclusion > 0 && `${formatUSD(result.stateRetirementExclusion)} retirement income excluded`,
+      result.statePlan529Deduction > 0 && `${formatUSD(result.statePlan529Deduction)} 529 contributions deducted`,
+      socialSecurityBenefits > 0 && (result.stateTaxableSocialSecurity > 0 ? `${formatUSD(result.stateTaxableSocialSecurity)} Social Security taxed` : 'Social Security exempt'),
+    ].filter(Boolean).join('; ') || null, 'tax');
+  }
+  add('', 'Total tax', totalTax, `Effective rate ${formatRate(result.effectiveRate)}; marginal ${formatRate(result.marginalRate)} ordinary, ${formatRate(result.marginalPreferentialRate)} LTCG`, 'total');
+  add('IRMAA', `Medicare IRMAA tier ${irmaa.tier} (${irmaa.premiumYear} premiums)`, irmaa.annualSurcharge,
+    irmaa.nextThreshold !== null ? `Per enrollee; next tier above ${formatUSD(irmaa.nextThreshold)} MAGI` : 'Per enrollee; top tier', 'info');
+
+  result.lines = lines;
+  return result;
+}
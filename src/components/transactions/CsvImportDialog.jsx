@@ -13,9 +13,22 @@ import { cn } from '@/lib/utils';
 import { toast } from 'sonner';
 import { differenceInDays } from 'date-fns';
 import { syncHoldingFromLots } from '@/components/shared/syncHoldings';
+import { convertTradesToUSD } from '@/components/shared/useCurrency';
+import {
+  TRANSACTION_CATEGORIES,
+  IMPORTABLE_CATEGORIES,
+  CSV_IMPORT_PRESETS,
+  getCsvPreset,
+  getCsvPresetName,
+  detectCsvPreset,
+  parseCsvRows,
+  classifyTransactionType,
+  summarizeCategories,
+  parseAmount,
+} from '@/components/shared/csvImportPresets';
 
 const TRANSACTION_FIELDS = [
-  { key: 'type', label: 'Type (buy/sell)', required: true, description: 'Transaction type' },
+  { key: 'type', label: 'Type (buy/sell/reward...)', required: true, description: 'Transaction type' },
   { key: 'asset_ticker', label: 'Asset Ticker', required: true, description: 'e.g., BTC' },
   { key: 'quantity', label: 'Quantity', required: true, description: 'Amount traded' },
   { key: 'price_per_unit', label: 'Price per Unit', required: true, description: 'Price at time of trade' },
@@ -33,6 +46,10 @@ const HOLDING_FIELDS = [
   { key: 'acquisition_date', label: 'Acquisition Date', required: false, description: 'YYYY-MM-DD or estimated' },
 ];
 
+// Amounts parseAmount couldn't read are NaN; such rows are skipped as invalid rather than imported as 0
+const hasValidAmounts = (tx) => ['quantity', 'price_per_unit', 'trading_fee']
+  .every(key => tx[key] === undefined || Number.isFinite(tx[key]));
+
 const LOT_METHODS = {
   FIFO: { name: 'FIFO', description: 'First In, First Out - Sell oldest lots first' },
   LIFO: { name: 'LIFO', description: 'Last In, First Out - Sell newest lots first' },
@@ -70,6 +87,8 @@ export default function CsvImportDialog({ open, onClose }) {
   const [importDuplicates, setImportDuplicates] = useState(false);
   const [selectedRows, setSelectedRows] = useState(new Set());
   const [rowAssetTypes, setRowAssetTypes] = useState({});
+  const [presetId, setPresetId] = useState('generic');
+  const [detectedPresetId, setDetectedPresetId] = useState(null);
   const queryClient = useQueryClient();
 
   // Fetch accounts
@@ -104,6 +123,8 @@ export default function CsvImportDialog({ open, onClose }) {
     setNewAccountInstitution('');
     setSelectedRows(new Set());
     setRowAssetTypes({});
+    setPresetId('generic');
+    setDetectedPresetId(null);
   }, []);
 
   const handleClose = () => {
@@ -111,26 +132,6 @@ export default function CsvImportDialog({ open, onClose }) {
     onClose();
   };
 
-  const parseCSVLine = (line) => {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      if (char === '"') {
-        inQuotes = !inQuotes;
-      } else if (char === ',' && !inQuotes) {
-        values.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    values.push(current.trim());
-    return values;
-  };
-
   const handleFileChange = (e) => {
     const selectedFile = e.target.files[0];
     if (selectedFile) {
@@ -143,17 +144,16 @@ export default function CsvImportDialog({ open, onClose }) {
           const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
           if (lines.length === 0) throw new Error('Empty file.');
 
-          const headers = parseCSVLine(lines[0]);
+          // Broker exports may have a preamble; presets find their own header row
+          const detection = importType === 'transactions' ? detectCsvPreset(lines) : null;
+          const { headers, rows: allData } = parseCsvRows(lines, detection?.headerIndex ?? 0);
           setCsvHeaders(headers);
-
-          const allData = lines.slice(1).map(line => {
-            const values = parseCSVLine(line);
-            const row = {};
-            headers.forEach((header, i) => {
-              row[header] = values[i] || '';
-            });
-            return row;
-          }).filter(row => Object.values(row).some(v => v !== ''));
+          setDetectedPresetId(detection?.preset.id ?? null);
+          setPresetId(detection?.preset.id ?? 'generic');
+          if (detection) {
+            setNewAccountType(detection.preset.accountType);
+            setNewAccountInstitution(detection.preset.label);
+          }
 
           setFullCsvData(allData);
           setCsvData(allData.slice(0, 10));
@@ -200,20 +200,36 @@ export default function CsvImportDialog({ open, onClose }) {
     );
 
     const processedTransactions = [];
-    let stats = { buys: 0, sells: 0, totalGains: 0, totalLosses: 0, shortTerm: 0, longTerm: 0 };
+    let stats = { buys: 0, sells: 0, rewards: 0, rewardIncome: 0, totalGains: 0, totalLosses: 0, shortTerm: 0, longTerm: 0, skipped: {} };
 
     const lotPool = [...existingBuys];
     const modifiedLotIds = new Set(); // Track which existing lots were modified by sells
 
     for (const tx of sortedTransactions) {
-      const txType = String(tx.type || '').toLowerCase().trim();
-      const isSell = txType === 'sell' || txType.includes('sell') || txType.includes('sold') || txType === 'sale' || txType === 's';
-      const isBuy = txType === 'buy' || txType.includes('buy') || txType.includes('bought') || txType === 'purchase' || txType === 'b' || !isSell;
+      const txType = classifyTransactionType(tx.type);
+      const isSell = txType === 'sell';
+      const isBuy = txType === 'buy';
+      const isReward = txType === 'income';
+
+      // Deposits, withdrawals, transfers, fees and dividends don't touch tax lots
+      if (!isBuy && !isSell && !isReward) {
+        stats.skipped[txType] = (stats.skipped[txType] || 0) + 1;
+        continue;
+      }
       
-      if (isBuy) {
-        stats.buys++;
+      if (isBuy || isReward) {
         const lotId = `${tx.asset_ticker}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const costBasis = (tx.quantity * tx.price_per_unit) + (tx.trading_fee || 0);
+        // Rewards are ordinary income at FMV, which becomes the lot's basis
+        const costBasis = isReward
+          ? tx.quantity * tx.price_per_unit
+          : (tx.quantity * tx.price_per_unit) + (tx.trading_fee || 0);
+
+        if (isReward) {
+          stats.rewards++;
+          stats.rewardIncome += costBasis;
+        } else {
+          stats.buys++;
+        }
         
         const buyTx = {
           ...tx,
@@ -222,6 +238,11 @@ export default function CsvImportDialog({ open, onClose }) {
           cost_basis: costBasis,
           total_value: tx.quantity * tx.price_per_unit,
           remaining_quantity: tx.quantity, // CRITICAL FIX: Set explicitly
+          ...(isReward && {
+            acquisition_type: 'income',
+            trading_fee: 0,
+            notes: `${tx.notes || ''} [Reward income at FMV]`.trim(),
+          }),
         };
         
         processedTransactions.push(buyTx);
@@ -371,11 +392,11 @@ export default function CsvImportDialog({ open, onClose }) {
     let stats = { holdings: 0, errors: 0 };
 
     rawHoldings.forEach((row, index) => {
-      const quantity = parseFloat(row.quantity) || 0;
-      const costBasisTotal = parseFloat(row.cost_basis_total) || 0;
+      const quantity = row.quantity ?? 0;
+      const costBasisTotal = row.cost_basis_total ?? 0;
       const ticker = String(row.asset_ticker || '').toUpperCase().trim();
       
-      if (!ticker || quantity <= 0 || costBasisTotal < 0) {
+      if (!ticker || !(quantity > 0) || !Number.isFinite(costBasisTotal) || costBasisTotal < 0) {
         stats.errors++;
         return;
       }
@@ -426,6 +447,20 @@ export default function CsvImportDialog({ open, onClose }) {
   // Stringify mapping for stable dependency
   const mappingKey = JSON.stringify(mapping);
 
+  // Broker presets replace column mapping with a parser that already knows the export format
+  const activePreset = importType === 'transactions' ? getCsvPreset(presetId) : null;
+  const presetTransactions = useMemo(
+    () => (activePreset ? activePreset.parse(fullCsvData) : null),
+    [activePreset, fullCsvData]
+  );
+  const presetCategoryCounts = useMemo(
+    () => (presetTransactions ? summarizeCategories(presetTransactions) : {}),
+    [presetTransactions]
+  );
+  const importableCount = presetTransactions
+    ? presetTransactions.filter(tx => IMPORTABLE_CATEGORIES.includes(tx.type)).length
+    : fullCsvData.length;
+
   // Check for duplicates when entering Step 3
   React.useEffect(() => {
     if (step !== 3) {
@@ -440,31 +475,28 @@ export default function CsvImportDialog({ open, onClose }) {
 
     const parsedMapping = JSON.parse(mappingKey);
     
-    const rawData = fullCsvData.map(row => {
+    const rawData = (presetTransactions || fullCsvData.map(row => {
       const item = {};
       for (const field of TRANSACTION_FIELDS) {
         const mappedColumn = parsedMapping[field.key];
         if (mappedColumn && row[mappedColumn] !== undefined) {
           let value = row[mappedColumn];
           if (['quantity', 'price_per_unit', 'trading_fee'].includes(field.key)) {
-            value = parseFloat(String(value).replace(/[^0-9.-]+/g, "")) || 0;
+            value = parseAmount(value);
           } else if (field.key === 'date') {
             value = String(value).split(' ')[0];
           } else if (field.key === 'asset_ticker') {
             value = String(value).toUpperCase();
           } else if (field.key === 'type') {
-            value = String(value).toLowerCase().trim();
-            if (value.includes('sell') || value.includes('sold') || value === 'sale' || value === 's') {
-              value = 'sell';
-            } else {
-              value = 'buy';
-            }
+            value = classifyTransactionType(value);
           }
           item[field.key] = value;
         }
       }
       return item;
-    }).filter(tx => tx.quantity > 0 && tx.price_per_unit > 0);
+    })).filter(tx =>
+      hasValidAmounts(tx) && IMPORTABLE_CATEGORIES.includes(tx.type) && tx.quantity > 0 && (tx.price_per_unit > 0 || tx.type === 'income')
+    );
 
     const dupes = [];
     for (const tx of rawData) {
@@ -477,7 +509,7 @@ export default function CsvImportDialog({ open, onClose }) {
       }
       const exactMatch = existingTransactions.find(e =>
         e.asset_ticker === tx.asset_ticker &&
-        e.type === tx.type &&
+        e.type === (tx.type === 'income' ? 'buy' : tx.type) &&
         Math.abs((e.quantity || 0) - (tx.quantity || 0)) < 0.000001 &&
         Math.abs((e.price_per_unit || 0) - (tx.price_per_unit || 0)) < 0.000001 &&
         new Date(e.date).toDateString() === new Date(tx.date).toDateString() &&
@@ -488,9 +520,10 @@ export default function CsvImportDialog({ open, onClose }) {
       }
     }
     setDetectedDuplicates(dupes);
-  }, [step, fullCsvData, importType, mappingKey, existingTransactions]);
+  }, [step, fullCsvData, importType, mappingKey, existingTransactions, presetTransactions]);
 
   const mappedPreviewData = useMemo(() => {
+    if (presetTransactions) return presetTransactions.slice(0, 10);
     if (!csvData || csvData.length === 0 || Object.keys(mapping).length === 0) return [];
     return csvData.map(row => {
       const previewRow = {};
@@ -499,20 +532,13 @@ export default function CsvImportDialog({ open, onClose }) {
         if (mappedColumn && row[mappedColumn] !== undefined) {
           let value = row[mappedColumn];
           if (['quantity', 'price_per_unit', 'trading_fee', 'cost_basis_total'].includes(field.key)) {
-            value = parseFloat(String(value).replace(/[^0-9.-]+/g, "")) || 0;
+            value = parseAmount(value);
           } else if (field.key === 'date' || field.key === 'acquisition_date') {
             value = String(value).split(' ')[0];
           } else if (field.key === 'asset_ticker') {
             value = String(value).toUpperCase();
           } else if (field.key === 'type') {
-            value = String(value).toLowerCase().trim();
-            if (value.includes('sell') || value.includes('sold') || value === 'sale' || value === 's') {
-              value = 'sell';
-            } else if (value.includes('buy') || value.includes('bought') || value === 'purchase' || value === 'b') {
-              value = 'buy';
-            } else if (!['buy', 'sell'].includes(value)) {
-              value = 'buy';
-            }
+            value = classifyTransactionType(value);
           }
           previewRow[field.key] = value;
         } else {
@@ -521,7 +547,7 @@ export default function CsvImportDialog({ open, onClose }) {
       }
       return previewRow;
     });
-  }, [csvData, mapping, activeFields]);
+  }, [csvData, mapping, activeFields, presetTransactions]);
 
   const allRequiredFieldsMapped = useMemo(() => {
     return activeFields.every(field => 
@@ -543,28 +569,21 @@ export default function CsvImportDialog({ open, onClose }) {
 
   const importData = useMutation({
     mutationFn: async () => {
-      // Parse all data with mapped fields
-      const rawData = fullCsvData.map(row => {
+      // Parse all data with the detected preset or the mapped fields
+      const rawData = presetTransactions || fullCsvData.map(row => {
         const item = {};
         for (const field of activeFields) {
           const mappedColumn = mapping[field.key];
           if (mappedColumn && row[mappedColumn] !== undefined) {
             let value = row[mappedColumn];
             if (['quantity', 'price_per_unit', 'trading_fee', 'cost_basis_total'].includes(field.key)) {
-              value = parseFloat(String(value).replace(/[^0-9.-]+/g, "")) || 0;
+              value = parseAmount(value);
             } else if (field.key === 'date' || field.key === 'acquisition_date') {
               value = String(value).split(' ')[0];
             } else if (field.key === 'asset_ticker') {
               value = String(value).toUpperCase();
             } else if (field.key === 'type') {
-              value = String(value).toLowerCase().trim();
-              if (value.includes('sell') || value.includes('sold') || value === 'sale' || value === 's') {
-                value = 'sell';
-              } else if (value.includes('buy') || value.includes('bought') || value === 'purchase' || value === 'b') {
-                value = 'buy';
-              } else if (!['buy', 'sell'].includes(value)) {
-                value = 'buy';
-              }
+              value = classifyTransactionType(value);
             }
             item[field.key] = value;
           }
@@ -650,9 +669,20 @@ export default function CsvImportDialog({ open, onClose }) {
       }
 
       // ===== TRANSACTIONS IMPORT =====
-      const validTransactions = rawData.filter(tx => tx.quantity > 0 && tx.price_per_unit > 0);
+      // Trades quoted in EUR, GBP etc. become USD at their date's rate before lots are matched
+      const usdData = await convertTradesToUSD(rawData);
+
+      // Rewards may lack a price (zero basis); non-lot rows are counted by category during processing
+      const validTransactions = usdData.filter(tx => hasValidAmounts(tx) && (
+        !IMPORTABLE_CATEGORIES.includes(tx.type) ||
+        (tx.quantity > 0 && (tx.price_per_unit > 0 || tx.type === 'income'))
+      ));
       const { transactions: processedTransactions, stats, modifiedLots } = processTransactionsWithLots(validTransactions, lotMethod);
-      stats.duplicatesSkipped = rawData.length - validTransactions.length;
+      stats.duplicatesSkipped = usdData.length - validTransactions.length;
+
+      if (processedTransactions.length === 0) {
+        throw new Error('No buys, sells or rewards found to import');
+      }
 
       // Smart duplicate detection
       const findDuplicate = (newTx) => {
@@ -869,6 +899,9 @@ export default function CsvImportDialog({ open, onClose }) {
                       </li>
                     </ul>
                     <p className="text-xs text-zinc-500 mt-3">Optional: Trading Fee, Exchange/Wallet, Transaction ID, Notes</p>
+                    <p className="text-xs text-zinc-400 mt-2">
+                      Exports from {[...new Set(CSV_IMPORT_PRESETS.map(preset => preset.label))].join(', ')} are detected automatically — no column mapping needed.
+                    </p>
                   </>
                 ) : (
                   <>
@@ -917,41 +950,93 @@ export default function CsvImportDialog({ open, onClose }) {
               <div className="p-3 rounded-lg bg-zinc-800/50 border border-zinc-700">
                 <p className="text-sm text-zinc-300">
                   Found <span className="text-orange-400 font-semibold">{fullCsvData.length}</span> rows and <span className="text-orange-400 font-semibold">{csvHeaders.length}</span> columns. 
-                  Map your CSV columns to {importType} fields below.
+                  {activePreset
+                    ? <> Reading them as a <span className="text-orange-400 font-semibold">{getCsvPresetName(activePreset)}</span> export.</>
+                    : <> Map your CSV columns to {importType} fields below.</>}
                 </p>
               </div>
 
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {activeFields.map(field => (
-                  <div key={field.key} className="space-y-1.5">
-                    <Label className={cn("text-sm", field.required ? 'text-zinc-200' : 'text-zinc-400')}>
-                      {field.label} {field.required && <span className="text-rose-400">*</span>}
-                    </Label>
-                    <Select
-                      value={mapping[field.key] || '_none_'}
-                      onValueChange={(value) => handleMappingChange(field.key, value)}
-                    >
-                      <SelectTrigger className={cn(
-                        "bg-zinc-900 border-zinc-700",
-                        !mapping[field.key] && field.required && 'border-rose-500/50'
-                      )}>
-                        <SelectValue placeholder="Select column..." />
-                      </SelectTrigger>
-                      <SelectContent className="bg-zinc-900 border-zinc-700">
-                        <SelectItem value="_none_" className="text-zinc-400">— Not mapped —</SelectItem>
-                        {csvHeaders.map(header => (
-                          <SelectItem key={header} value={header} className="text-zinc-100">{header}</SelectItem>
-                        ))}
-                      </SelectContent>
-                    </Select>
-                    {mapping[field.key] && csvData.length > 0 && csvData[0] && csvData[0][mapping[field.key]] !== undefined && (
-                      <p className="text-xs text-zinc-500">
-                        Example: <span className="font-mono text-zinc-400">{csvData[0][mapping[field.key]]}</span>
-                      </p>
-                    )}
+              {importType === 'transactions' && (
+                <div className="space-y-1.5">
+                  <Label className="text-sm text-zinc-200">CSV Format</Label>
+                  <Select value={presetId} onValueChange={setPresetId}>
+                    <SelectTrigger className="bg-zinc-900 border-zinc-700">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-zinc-900 border-zinc-700">
+                      <SelectItem value="generic" className="text-zinc-100">Generic CSV (map columns manually)</SelectItem>
+                      {CSV_IMPORT_PRESETS.map(preset => (
+                        <SelectItem key={preset.id} value={preset.id} className="text-zinc-100">
+                          {getCsvPresetName(preset)}{preset.id === detectedPresetId ? ' — detected' : ''}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+
+              {activePreset ? (
+                <div className="p-4 rounded-xl bg-zinc-800/30 border border-zinc-700 space-y-3">
+                  <p className="text-sm text-zinc-300">
+                    Parsed <span className="text-orange-400 font-semibold">{presetTransactions.length}</span> transactions.
+                    Buys, sells and rewards create or consume tax lots; everything else is listed but not imported.
+                  </p>
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                    {Object.entries(TRANSACTION_CATEGORIES)
+                      .filter(([key]) => presetCategoryCounts[key])
+                      .map(([key, category]) => (
+                        <div
+                          key={key}
+                          title={category.desc}
+                          className={cn(
+                            "p-2 rounded-lg border text-sm flex items-center justify-between",
+                            IMPORTABLE_CATEGORIES.includes(key) ? "border-emerald-500/30 bg-emerald-500/5" : "border-zinc-700 bg-zinc-800/50"
+                          )}
+                        >
+                          <span className={IMPORTABLE_CATEGORIES.includes(key) ? "text-zinc-200" : "text-zinc-500"}>{category.label}</span>
+                          <span className="font-semibold text-zinc-100">{presetCategoryCounts[key]}</span>
+                        </div>
+                      ))}
                   </div>
-                ))}
-              </div>
+                  {presetCategoryCounts.income > 0 && (
+                    <p className="text-xs text-amber-400">
+                      Rewards are recorded as lots with their fair market value as cost basis (ordinary income when received).
+                    </p>
+                  )}
+                </div>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {activeFields.map(field => (
+                    <div key={field.key} className="space-y-1.5">
+                      <Label className={cn("text-sm", field.required ? 'text-zinc-200' : 'text-zinc-400')}>
+                        {field.label} {field.required && <span className="text-rose-400">*</span>}
+                      </Label>
+                      <Select
+                        value={mapping[field.key] || '_none_'}
+                        onValueChange={(value) => handleMappingChange(field.key, value)}
+                      >
+                        <SelectTrigger className={cn(
+                          "bg-zinc-900 border-zinc-700",
+                          !mapping[field.key] && field.required && 'border-rose-500/50'
+                        )}>
+                          <SelectValue placeholder="Select column..." />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border-zinc-700">
+                          <SelectItem value="_none_" className="text-zinc-400">— Not mapped —</SelectItem>
+                          {csvHeaders.map(header => (
+                            <SelectItem key={header} value={header} className="text-zinc-100">{header}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      {mapping[field.key] && csvData.length > 0 && csvData[0] && csvData[0][mapping[field.key]] !== undefined && (
+                        <p className="text-xs text-zinc-500">
+                          Example: <span className="font-mono text-zinc-400">{csvData[0][mapping[field.key]]}</span>
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
 
               <DialogFooter className="pt-4">
                 <Button variant="outline" onClick={() => setStep(1)} className="bg-transparent border-zinc-700">
@@ -959,7 +1044,7 @@ export default function CsvImportDialog({ open, onClose }) {
                 </Button>
                 <Button 
                   onClick={() => setStep(3)} 
-                  disabled={!allRequiredFieldsMapped}
+                  disabled={activePreset ? importableCount === 0 : !allRequiredFieldsMapped}
                   className="brand-gradient text-white"
                 >
                   Next
@@ -981,8 +1066,8 @@ export default function CsvImportDialog({ open, onClose }) {
                     if (value === '_create_') {
                       setSelectedAccountId('_new_');
                       setNewAccountName('');
-                      setNewAccountType('taxable_brokerage');
-                      setNewAccountInstitution('');
+                      setNewAccountType(activePreset?.accountType || 'taxable_brokerage');
+                      setNewAccountInstitution(activePreset?.label || '');
                     } else {
                       setSelectedAccountId(value);
                     }
@@ -1241,10 +1326,13 @@ export default function CsvImportDialog({ open, onClose }) {
                           </div>
                           {importType === 'transactions' && (
                             <div className={cn(
-                              "col-span-1 font-medium",
-                              row.type === 'buy' ? 'text-emerald-400' : 'text-rose-400'
+                              "col-span-1 font-medium text-xs",
+                              row.type === 'buy' ? 'text-emerald-400' :
+                              row.type === 'sell' ? 'text-rose-400' :
+                              row.type === 'income' ? 'text-amber-400' :
+                              'text-zinc-500'
                             )}>
-                              {row.type?.toUpperCase()}
+                              {(TRANSACTION_CATEGORIES[row.type]?.label || row.type)?.toUpperCase()}
                             </div>
                           )}
                           <div className="col-span-2 text-zinc-100 font-medium">{row.asset_ticker}</div>
@@ -1317,7 +1405,7 @@ export default function CsvImportDialog({ open, onClose }) {
                   {importData.isPending ? (
                     <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Importing...</>
                   ) : (
-                    <>Import {fullCsvData.length} {importType === 'holdings' ? 'Holdings' : 'Transactions'}</>
+                    <>Import {importableCount} {importType === 'holdings' ? 'Holdings' : 'Transactions'}</>
                   )}
                 </Button>
               </DialogFooter>
@@ -1337,7 +1425,7 @@ export default function CsvImportDialog({ open, onClose }) {
 
               {importType === 'transactions' ? (
                 <>
-                  <div className="grid grid-cols-2 gap-4 w-full max-w-xs">
+                  <div className={cn("grid gap-4 w-full", importStats.rewards > 0 ? "grid-cols-3 max-w-sm" : "grid-cols-2 max-w-xs")}>
                     <div className="p-3 rounded-xl bg-emerald-500/10 border border-emerald-500/20 text-center">
                       <p className="text-2xl font-bold text-emerald-400">{importStats.buys || 0}</p>
                       <p className="text-xs text-zinc-400">Buys</p>
@@ -1346,8 +1434,33 @@ export default function CsvImportDialog({ open, onClose }) {
                       <p className="text-2xl font-bold text-rose-400">{importStats.sells || 0}</p>
                       <p className="text-xs text-zinc-400">Sells</p>
                     </div>
+                    {importStats.rewards > 0 && (
+                      <div className="p-3 rounded-xl bg-amber-500/10 border border-amber-500/20 text-center">
+                        <p className="text-2xl font-bold text-amber-400">{importStats.rewards}</p>
+                        <p className="text-xs text-zinc-400">Rewards</p>
+                      </div>
+                    )}
                   </div>
 
+                  {importStats.rewardIncome > 0 && (
+                    <p className="text-sm text-zinc-400">
+                      Reward income at FMV: <span className="text-amber-400 font-semibold">${Math.round(importStats.rewardIncome).toLocaleString()}</span>
+                    </p>
+                  )}
+
+                  {Object.keys(importStats.skipped || {}).length > 0 && (
+                    <div className="p-3 rounded-lg bg-zinc-800/50 border border-zinc-700 w-full max-w-sm">
+                      <p className="text-xs text-zinc-400 mb-2">Not imported (no effect on tax lots):</p>
+                      <div className="flex flex-wrap gap-2">
+                        {Object.entries(importStats.skipped).map(([type, count]) => (
+                          <span key={type} className="px-2 py-1 rounded bg-zinc-800 text-xs text-zinc-300">
+                            {count} {TRANSACTION_CATEGORIES[type]?.label || type}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   {importStats.duplicatesSkipped > 0 && (
                     <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/20">
                       <p className="text-sm text-amber-400">
@@ -0,0 +1,363 @@
+import { useState, useMemo, useEffect } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import { Loader2, ArrowLeftRight, AlertTriangle } from 'lucide-react';
+import { base44 } from '@/api/base44Client';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { cn } from '@/lib/utils';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { formatCurrency, getEntryCurrencyFields, toInputValue } from '@/components/shared/currency';
+import { fetchRateOnDate, useTransactionCurrency } from '@/components/shared/useCurrency';
+import {
+  TRANSFER_LOT_METHODS,
+  getTransferableLots,
+  planLotTransfer,
+  recordLotTransfer,
+} from '@/components/shared/lotTransfers';
+
+const EMPTY_FORM = {
+  from_account_id: '',
+  to_account_id: '',
+  asset_ticker: '',
+  quantity: '',
+  network_fee: '',
+  fee_price: '',
+  date: format(new Date(), 'yyyy-MM-dd'),
+  lot_method: 'FIFO',
+  notes: '',
+};
+
+export default function TransferLotsDialog({ open, onClose, currentPrices = {} }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [specificQuantities, setSpecificQuantities] = useState({});
+  const queryClient = useQueryClient();
+
+  const { data: accounts = [] } = useQuery({
+    queryKey: ['accounts'],
+    queryFn: () => base44.entities.Account.list(),
+    enabled: open,
+  });
+
+  const { data: transactions = [] } = useQuery({
+    queryKey: ['transactions'],
+    queryFn: () => base44.entities.Transaction.list('-date'),
+    enabled: open,
+  });
+
+  const { data: holdings = [] } = useQuery({
+    queryKey: ['holdings'],
+    queryFn: () => base44.entities.Holding.list(),
+    enabled: open,
+  });
+
+  useEffect(() => {
+    if (!open) {
+      setForm(EMPTY_FORM);
+      setSpecificQuantities({});
+    }
+  }, [open]);
+
+  // Assets with open lots in the source account
+  const sourceAssets = useMemo(() => {
+    const totals = {};
+    transactions
+      .filter(tx => tx.type === 'buy' && tx.account_id === form.from_account_id)
+      .forEach(tx => {
+        totals[tx.asset_ticker] = (totals[tx.asset_ticker] || 0) + (tx.remaining_quantity ?? tx.quantity ?? 0);
+      });
+    return Object.entries(totals)
+      .filter(([, qty]) => qty > 0)
+      .map(([ticker, available]) => ({ ticker, available }));
+  }, [transactions, form.from_account_id]);
+
+  const sourceLots = useMemo(
+    () => getTransferableLots(transactions, form.asset_ticker, form.from_account_id)
+      .sort((a, b) => new Date(a.date) - new Date(b.date)),
+    [transactions, form.asset_ticker, form.from_account_id]
+  );
+  const { currency, rate, symbol, fromUSD, fromUSDOn } = useTransactionCurrency(sourceLots);
+
+  const quantity = parseFloat(form.quantity) || 0;
+  const networkFee = parseFloat(form.network_fee) || 0;
+  const feePrice = parseFloat(form.fee_price) || 0; // base currency
+  const decimals = form.asset_ticker === 'BTC' ? 8 : 4;
+
+  const specificLots = useMemo(
+    () => sourceLots
+      .filter(lot => specificQuantities[lot.id] > 0)
+      .map(lot => ({ lot_id: lot.id, quantity: specificQuantities[lot.id] })),
+    [sourceLots, specificQuantities]
+  );
+
+  const plan = useMemo(() => {
+    if (!form.asset_ticker || quantity <= 0) return null;
+    return planLotTransfer({ lots: sourceLots, quantity, networkFee, method: form.lot_method, specificLots });
+  }, [sourceLots, quantity, networkFee, form.lot_method, form.asset_ticker, specificLots]);
+
+  // Cost basis shows at each lot's purchase-date rate; the fee is valued at the transfer date's
+  const movedCostBasisLocal = plan ? plan.movedLots.reduce((sum, t) => sum + fromUSDOn(t.costBasis, t.lot), 0) : 0;
+  const feeCostBasisLocal = plan ? plan.feeLots.reduce((sum, t) => sum + fromUSDOn(t.costBasis, t.lot), 0) : 0;
+  const feeProceeds = networkFee * feePrice;
+  const feeGain = plan ? feeProceeds - feeCostBasisLocal : 0;
+
+  const transfer = useMutation({
+    mutationFn: async () => {
+      const holding = holdings.find(h => h.ticker === form.asset_ticker && h.account_id === form.from_account_id);
+      const feeRate = networkFee > 0 ? await fetchRateOnDate(currency, form.date, rate) : 1;
+      return recordLotTransfer({
+        fromAccountId: form.from_account_id,
+        toAccountId: form.to_account_id,
+        ticker: form.asset_ticker,
+        quantity,
+        networkFee,
+        feePrice: feePrice * feeRate,
+        date: form.date,
+        method: form.lot_method,
+        specificLots,
+        notes: form.notes,
+        assetType: holding?.asset_type || null,
+        currencyFields: networkFee > 0 ? getEntryCurrencyFields(currency, feeRate) : {},
+      });
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      queryClient.invalidateQueries({ queryKey: ['holdings'] });
+      toast.success(`Transferred ${quantity} ${form.asset_ticker}`);
+      onClose();
+    },
+    onError: (error) => {
+      toast.error(`Transfer failed: ${error.message}`);
+    },
+  });
+
+  const canSubmit = plan?.isComplete &&
+    form.from_account_id && form.to_account_id &&
+    form.from_account_id !== form.to_account_id &&
+    form.date &&
+    (networkFee === 0 || feePrice > 0);
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <DialogContent className="bg-[#0f0f10] border-zinc-800 text-zinc-100 max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ArrowLeftRight className="w-5 h-5 text-orange-400" />
+            Transfer Between Accounts
+          </DialogTitle>
+        </DialogHeader>
+
+        <p className="text-sm text-zinc-400">
+          Moves tax lots with their original purchase dates and cost basis. A transfer is not a sale — only the network fee, if any, is a taxable disposal.
+        </p>
+
+        <div className="space-y-4 mt-2">
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label className="text-zinc-400">From Account</Label>
+              <Select
+                value={form.from_account_id}
+                onValueChange={(value) => {
+                  setForm({ ...form, from_account_id: value, asset_ticker: '' });
+                  setSpecificQuantities({});
+                }}
+              >
+                <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                  <SelectValue placeholder="Select account..." />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border-zinc-700">
+                  {accounts.map(account => (
+                    <SelectItem key={account.id} value={account.id}>{account.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label className="text-zinc-400">To Account</Label>
+              <Select value={form.to_account_id} onValueChange={(value) => setForm({ ...form, to_account_id: value })}>
+                <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                  <SelectValue placeholder="Select account..." />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border-zinc-700">
+                  {accounts.filter(a => a.id !== form.from_account_id).map(account => (
+                    <SelectItem key={account.id} value={account.id}>{account.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {form.from_account_id && form.to_account_id && (() => {
+            const from = accounts.find(a => a.id === form.from_account_id);
+            const to = accounts.find(a => a.id === form.to_account_id);
+            return from && to && (from.tax_treatment || 'taxable') !== (to.tax_treatment || 'taxable') ? (
+              <div className="p-3 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm text-amber-400 flex gap-2">
+                <AlertTriangle className="w-4 h-4 shrink-0 mt-0.5" />
+                These accounts have different tax treatment. Moving assets between them is usually a sale, rollover or contribution, not a transfer.
+              </div>
+            ) : null;
+          })()}
+
+          <div className="space-y-2">
+            <Label className="text-zinc-400">Asset</Label>
+            <Select
+              value={form.asset_ticker}
+              onValueChange={(value) => {
+                setForm({ ...form, asset_ticker: value, fee_price: currentPrices[value] ? toInputValue(fromUSD(currentPrices[value])) : form.fee_price });
+                setSpecificQuantities({});
+              }}
+              disabled={!form.from_account_id}
+            >
+              <SelectTrigger className="bg-zinc-900 border-zinc-800">
+                <SelectValue placeholder={form.from_account_id ? 'Select asset...' : 'Select source account first...'} />
+              </SelectTrigger>
+              <SelectContent className="bg-zinc-900 border-zinc-700">
+                {sourceAssets.length === 0 ? (
+                  <SelectItem value="_none_" disabled>No lots in this account</SelectItem>
+                ) : (
+                  sourceAssets.map(asset => (
+                    <SelectItem key={asset.ticker} value={asset.ticker}>
+                      {asset.ticker} - {asset.available.toFixed(asset.ticker === 'BTC' ? 8 : 2)} available
+                    </SelectItem>
+                  ))
+                )}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4">
+            <div className="space-y-2">
+              <Label className="text-zinc-400">Amount Received</Label>
+              <Input type="number" step="any" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} placeholder="0.5" className="bg-zinc-900 border-zinc-800" />
+            </div>
+            <div className="space-y-2">
+              <Label className="text-zinc-400">Network Fee ({form.asset_ticker || 'units'})</Label>
+              <Input type="number" step="any" value={form.network_fee} onChange={(e) => setForm({ ...form, network_fee: e.target.value })} placeholder="0" className="bg-zinc-900 border-zinc-800" />
+            </div>
+            <div className="space-y-2">
+              <Label className="text-zinc-400">Date</Label>
+              <Input type="date" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} className="bg-zinc-900 border-zinc-800" />
+            </div>
+          </div>
+
+          {networkFee > 0 && (
+            <div className="space-y-2">
+              <Label className="text-zinc-400">{form.asset_ticker} Price on Transfer Date ({symbol}, values the fee disposal)</Label>
+              <Input type="number" step="any" value={form.fee_price} onChange={(e) => setForm({ ...form, fee_price: e.target.value })} className="bg-zinc-900 border-zinc-800" />
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label className="text-zinc-400">Which Lots Move</Label>
+            <RadioGroup
+              value={form.lot_method}
+              onValueChange={(value) => {
+                setForm({ ...form, lot_method: value });
+                setSpecificQuantities({});
+              }}
+              className="grid grid-cols-2 md:grid-cols-4 gap-2"
+            >
+              {Object.entries(TRANSFER_LOT_METHODS).map(([key, method]) => (
+                <div key={key} className={cn(
+                  "flex items-start gap-2 p-3 rounded-lg border cursor-pointer transition-all",
+                  form.lot_method === key ? "border-orange-400/50 bg-orange-500/10" : "border-zinc-800 hover:border-zinc-700"
+                )}>
+                  <RadioGroupItem value={key} id={`transfer-${key}`} className="mt-0.5" />
+                  <Label htmlFor={`transfer-${key}`} className="cursor-pointer flex-1">
+                    <span className="font-medium text-sm">{method.name}</span>
+                    <p className="text-[11px] text-zinc-500 mt-0.5">{method.description}</p>
+                  </Label>
+                </div>
+              ))}
+            </RadioGroup>
+          </div>
+
+          {form.lot_method === 'SPECIFIC' && form.asset_ticker && (
+            <div className="max-h-56 overflow-y-auto space-y-2 p-2 rounded-xl bg-zinc-900/50 border border-zinc-800">
+              {sourceLots.map(lot => {
+                const remaining = lot.remaining_quantity ?? lot.quantity ?? 0;
+                return (
+                  <div key={lot.id} className="flex items-center justify-between gap-3 p-2 rounded-lg border border-zinc-800">
+                    <div>
+                      <p className="text-sm">{remaining.toFixed(decimals)} {lot.asset_ticker}</p>
+                      <p className="text-xs text-zinc-500">
+                        Bought {lot.date ? format(new Date(lot.date), 'MMM d, yyyy') : 'Unknown'} @ {formatCurrency(fromUSDOn(lot.price_per_unit, lot), currency, { decimals: 2 })}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <Input
+                        type="number"
+                        step="any"
+                        placeholder="0"
+                        value={specificQuantities[lot.id] || ''}
+                        onChange={(e) => setSpecificQuantities(prev => ({ ...prev, [lot.id]: Math.min(remaining, parseFloat(e.target.value) || 0) }))}
+                        className="h-7 text-xs bg-zinc-900 border-zinc-700 w-32"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setSpecificQuantities(prev => ({ ...prev, [lot.id]: remaining }))}
+                        className="text-xs text-orange-400 hover:underline"
+                      >
+                        All
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+              {networkFee > 0 && (
+                <p className="text-xs text-zinc-500 px-1">The network fee is taken from the first selected lots.</p>
+              )}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label className="text-zinc-400">Notes</Label>
+            <Input value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} placeholder="e.g., Withdrawal to hardware wallet" className="bg-zinc-900 border-zinc-800" />
+          </div>
+
+          {plan && (
+            <div className="p-4 rounded-xl bg-zinc-800/30 border border-zinc-700 space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-zinc-400">Lots moving</span>
+                <span>{plan.movedLots.length} ({quantity.toFixed(decimals)} {form.asset_ticker})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-zinc-400">Cost basis carried over</span>
+                <span>{formatCurrency(movedCostBasisLocal, currency)}</span>
+              </div>
+              {networkFee > 0 && (
+                <div className="flex justify-between">
+                  <span className="text-zinc-400">Network fee disposal</span>
+                  <span className={feeGain >= 0 ? 'text-emerald-400' : 'text-rose-400'}>
+                    {networkFee.toFixed(decimals)} {form.asset_ticker} · {feeGain >= 0 ? '+' : ''}{formatCurrency(feeGain, currency, { decimals: 2 })} gain
+                  </span>
+                </div>
+              )}
+              {!plan.isComplete && (
+                <p className="text-rose-400 text-xs">
+                  <AlertTriangle className="w-3 h-3 inline mr-1" />
+                  {form.lot_method === 'SPECIFIC'
+                    ? `Selected lots are short ${plan.shortfall.toFixed(decimals)} ${form.asset_ticker} (amount + fee).`
+                    : `Only ${plan.available.toFixed(decimals)} ${form.asset_ticker} available in this account.`}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter className="pt-4">
+          <Button variant="outline" onClick={onClose} className="bg-transparent border-zinc-700">
+            Cancel
+          </Button>
+          <Button onClick={() => transfer.mutate()} disabled={!canSubmit || transfer.isPending} className="brand-gradient text-white">
+            {transfer.isPending ? <><Loader2 className="mr-2 h-4 w-4 animate-spin" /> Transferring...</> : 'Record Transfer'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
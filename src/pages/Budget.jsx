@@ -13,7 +13,10 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { cn } from "@/lib/utils";
 import CashFlowProjections from '@/components/budget/CashFlowProjections';
 import { calculateCurrentMonthlyDebtPayments, calculateCurrentYearDebtPayments } from '@/components/shared/debtCalculations';
+import { getEquityCompByYear } from '@/components/shared/equityCompensation';
 import EmptyState from '@/components/ui/EmptyState';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
 
 const categoryLabels = {
   salary: 'Salary',
@@ -52,6 +55,7 @@ export default function Budget() {
   const [editingItem, setEditingItem] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
   const queryClient = useQueryClient();
+  const { symbol, fromUSD, toUSD, format } = useCurrency();
 
   const [formData, setFormData] = useState({
     name: '',
@@ -73,6 +77,11 @@ export default function Budget() {
     queryFn: () => base44.entities.Liability.list(),
   });
 
+  const { data: holdings = [] } = useQuery({
+    queryKey: ['holdings'],
+    queryFn: () => base44.entities.Holding.list(),
+  });
+
   const { data: lifeEvents = [] } = useQuery({
     queryKey: ['lifeEvents'],
     queryFn: () => base44.entities.LifeEvent.list(),
@@ -130,7 +139,7 @@ export default function Budget() {
         name: editingItem.name || '',
         type: editingItem.type || 'expense',
         category: editingItem.category || 'other_expense',
-        amount: editingItem.amount || '',
+        amount: toInputValue(fromUSD(editingItem.amount)),
         frequency: editingItem.frequency || 'monthly',
         is_active: editingItem.is_active !== false,
         notes: editingItem.notes || '',
@@ -140,7 +149,7 @@ export default function Budget() {
 
   const freqMultiplier = { monthly: 1, weekly: 4.33, biweekly: 2.17, quarterly: 0.33, annual: 0.083, one_time: 0 };
 
-  const monthlyIncome = budgetItems
+  const monthlyBudgetIncome = budgetItems
     .filter(b => b.type === 'income' && b.is_active !== false)
     .reduce((sum, b) => sum + (b.amount * (freqMultiplier[b.frequency] || 1)), 0);
 
@@ -154,6 +163,10 @@ export default function Budget() {
   const monthlyDebtPayments = calculateCurrentMonthlyDebtPayments(liabilities, currentYear, currentMonthIndex);
   const annualDebtPayments = calculateCurrentYearDebtPayments(liabilities, currentYear, currentMonthIndex);
 
+  // RSUs vesting this year are wages (sold at vest), spread over the year
+  const annualRsuIncome = getEquityCompByYear(userSettings[0]?.equity_grants || [], { startYear: currentYear, endYear: currentYear })[currentYear].rsuIncome;
+  const monthlyIncome = monthlyBudgetIncome + annualRsuIncome / 12;
+
   const totalMonthlyExpenses = monthlyExpenses + monthlyDebtPayments;
   const surplus = monthlyIncome - totalMonthlyExpenses;
 
@@ -187,7 +200,7 @@ export default function Budget() {
     e.preventDefault();
     const data = {
       ...formData,
-      amount: parseFloat(formData.amount) || 0,
+      amount: toUSD(parseFloat(formData.amount) || 0),
     };
     if (editingItem) {
       updateItem.mutate({ id: editingItem.id, data });
@@ -225,8 +238,11 @@ export default function Budget() {
               <ArrowUpRight className="w-4 h-4 text-emerald-400" />
             </div>
           </div>
-          <p className="text-2xl lg:text-3xl font-bold text-emerald-400">${monthlyIncome.toLocaleString()}</p>
-          <p className="text-xs text-zinc-500 mt-1">${annualIncome.toLocaleString()} / year</p>
+          <p className="text-2xl lg:text-3xl font-bold text-emerald-400">{format(monthlyIncome)}</p>
+          <p className="text-xs text-zinc-500 mt-1">
+            {format(annualIncome)} / year
+            {annualRsuIncome > 0 && ` (includes ${format(annualRsuIncome)} RSU vesting)`}
+          </p>
         </div>
 
         <div className="card-glass rounded-xl p-6">
@@ -236,10 +252,10 @@ export default function Budget() {
               <ArrowDownRight className="w-4 h-4 text-rose-400" />
             </div>
           </div>
-          <p className="text-3xl font-bold text-rose-400">${totalMonthlyExpenses.toLocaleString()}</p>
+          <p className="text-3xl font-bold text-rose-400">{format(totalMonthlyExpenses)}</p>
           <p className="text-xs text-zinc-500 mt-1">
-            ${totalAnnualExpenses.toLocaleString()} / year
-            {annualDebtPayments > 0 && ` (includes $${annualDebtPayments.toLocaleString()}/yr debt)`}
+            {format(totalAnnualExpenses)} / year
+            {annualDebtPayments > 0 && ` (includes ${format(annualDebtPayments)}/yr debt)`}
           </p>
         </div>
 
@@ -251,10 +267,10 @@ export default function Budget() {
             </div>
           </div>
           <p className={cn("text-3xl font-bold", surplus >= 0 ? "text-amber-400" : "text-rose-400")}>
-            {surplus >= 0 ? '+' : '-'}${Math.abs(surplus).toLocaleString()}
+            {surplus >= 0 ? '+' : '-'}{format(Math.abs(surplus))}
           </p>
           <p className="text-xs text-zinc-500 mt-1">
-            {annualSurplus >= 0 ? '+' : '-'}${Math.abs(annualSurplus).toLocaleString()} / year
+            {annualSurplus >= 0 ? '+' : '-'}{format(Math.abs(annualSurplus))} / year
           </p>
         </div>
       </div>
@@ -270,11 +286,12 @@ export default function Budget() {
 
         <TabsContent value="projections" className="space-y-6">
           <CashFlowProjections
-            monthlyIncome={monthlyIncome}
+            monthlyIncome={monthlyBudgetIncome}
             monthlyBudgetExpenses={monthlyExpenses}
             lifeEvents={lifeEvents}
             goals={goals}
             liabilities={liabilities}
+            holdings={holdings}
             userSettings={userSettings[0]}
           />
         </TabsContent>
@@ -310,7 +327,7 @@ export default function Budget() {
                         }}
                         itemStyle={{ color: '#f4f4f5' }}
                         labelStyle={{ color: '#f4f4f5' }}
-                        formatter={(value) => [`$${value.toLocaleString()}`, '']}
+                        formatter={(value) => [format(value), '']}
                       />
                     </PieChart>
                   </ResponsiveContainer>
@@ -342,7 +359,7 @@ export default function Budget() {
                     layout="vertical"
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
-                    <XAxis type="number" stroke="#71717a" tickFormatter={(v) => `$${(v/1000).toFixed(0)}k`} />
+                    <XAxis type="number" stroke="#71717a" tickFormatter={(v) => format(v, { compact: true })} />
                     <YAxis type="category" dataKey="name" stroke="#71717a" width={80} />
                     <Tooltip
                       contentStyle={{
@@ -353,7 +370,7 @@ export default function Budget() {
                       }}
                       itemStyle={{ color: '#f4f4f5' }}
                       labelStyle={{ color: '#f4f4f5' }}
-                      formatter={(value) => [`$${value.toLocaleString()}`, '']}
+                      formatter={(value) => [format(value), '']}
                     />
                     <Bar dataKey="value" radius={[0, 4, 4, 0]} />
                   </BarChart>
@@ -489,7 +506,7 @@ export default function Budget() {
             </div>
             <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
-                <Label className="text-zinc-400">Amount</Label>
+                <Label className="text-zinc-400">Amount ({symbol})</Label>
                 <Input
                   type="number"
                   value={formData.amount}
@@ -541,6 +558,7 @@ export default function Budget() {
 }
 
 function BudgetItemRow({ item, onEdit, onDelete, setFormOpen }) {
+  const { format } = useCurrency();
   const freqMultiplier = { monthly: 1, weekly: 4.33, biweekly: 2.17, quarterly: 0.33, annual: 0.083, one_time: 0 };
   const monthlyAmount = item.amount * (freqMultiplier[item.frequency] || 1);
 
@@ -569,8 +587,8 @@ function BudgetItemRow({ item, onEdit, onDelete, setFormOpen }) {
       </div>
       <div className="flex items-center gap-4">
         <div className="text-right">
-          <p className="font-semibold">${item.amount.toLocaleString()}</p>
-          <p className="text-xs text-zinc-500">${monthlyAmount.toFixed(0)}/mo</p>
+          <p className="font-semibold">{format(item.amount)}</p>
+          <p className="text-xs text-zinc-500">{format(monthlyAmount)}/mo</p>
         </div>
         <div className="flex gap-1">
           <button
@@ -592,6 +610,7 @@ function BudgetItemRow({ item, onEdit, onDelete, setFormOpen }) {
 }
 
 function DebtPaymentRow({ liability }) {
+  const { format } = useCurrency();
   return (
     <div className="flex items-center justify-between p-4 rounded-xl bg-orange-500/5 border border-orange-500/20">
       <div className="flex items-center gap-4">
@@ -607,8 +626,8 @@ function DebtPaymentRow({ liability }) {
       </div>
       <div className="flex items-center gap-4">
         <div className="text-right">
-          <p className="font-semibold text-orange-400">${liability.monthly_payment.toLocaleString()}/mo</p>
-          <p className="text-xs text-zinc-500">Balance: ${(liability.current_balance || 0).toLocaleString()}</p>
+          <p className="font-semibold text-orange-400">{format(liability.monthly_payment)}/mo</p>
+          <p className="text-xs text-zinc-500">Balance: {format(liability.current_balance)}</p>
         </div>
         <div className="px-2 py-1 rounded-lg bg-zinc-800/50 border border-zinc-700">
           <p className="text-[10px] text-zinc-500">Auto-synced</p>
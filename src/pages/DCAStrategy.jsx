@@ -19,29 +19,14 @@ import { createPageUrl } from '../utils';
 
 import DCAvsLumpSum from '@/components/investing/DCAvsLumpSum';
 import EmptyState from '@/components/ui/EmptyState';
+import { toInputValue } from '@/components/shared/currency';
+import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { useCurrency } from '@/components/shared/useCurrency';
 
 export default function DCAStrategy() {
-  const [btcPrice, setBtcPrice] = useState(null);
-  const [priceLoading, setPriceLoading] = useState(true);
   const [formOpen, setFormOpen] = useState(false);
-
-  // Fetch live BTC price
-  useEffect(() => {
-    const fetchPrice = async () => {
-      try {
-        const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-        const data = await response.json();
-        setBtcPrice(data.bitcoin.usd);
-        setPriceLoading(false);
-      } catch (err) {
-        setBtcPrice(97000);
-        setPriceLoading(false);
-      }
-    };
-    fetchPrice();
-    const interval = setInterval(fetchPrice, 60000);
-    return () => clearInterval(interval);
-  }, []);
+  const { currency, symbol, fromUSD, toUSD, format: formatAmount } = useCurrency();
+  const { btcPrice } = useBtcPrice(currency);
 
   const currentPrice = btcPrice || 97000;
   const [editingPlan, setEditingPlan] = useState(null);
@@ -143,11 +128,11 @@ export default function DCAStrategy() {
         name: editingPlan.name || '',
         asset_ticker: editingPlan.asset_ticker || 'BTC',
         strategy_type: editingPlan.strategy_type || 'accumulation',
-        amount_per_period: editingPlan.amount_per_period || '',
+        amount_per_period: toInputValue(fromUSD(editingPlan.amount_per_period)),
         frequency: editingPlan.frequency || 'weekly',
         start_date: editingPlan.start_date || '',
-        target_amount: editingPlan.target_amount || '',
-        current_progress: editingPlan.current_progress || '',
+        target_amount: toInputValue(fromUSD(editingPlan.target_amount)),
+        current_progress: toInputValue(fromUSD(editingPlan.current_progress)),
         is_active: editingPlan.is_active !== false,
         linked_goal_id: editingPlan.linked_goal_id || '',
         notes: editingPlan.notes || '',
@@ -159,9 +144,9 @@ export default function DCAStrategy() {
     e.preventDefault();
     const data = {
       ...formData,
-      amount_per_period: parseFloat(formData.amount_per_period) || 0,
-      target_amount: parseFloat(formData.target_amount) || 0,
-      current_progress: parseFloat(formData.current_progress) || 0,
+      amount_per_period: toUSD(parseFloat(formData.amount_per_period) || 0),
+      target_amount: toUSD(parseFloat(formData.target_amount) || 0),
+      current_progress: toUSD(parseFloat(formData.current_progress) || 0),
       linked_goal_id: formData.linked_goal_id || null,
     };
     if (editingPlan) {
@@ -259,15 +244,15 @@ export default function DCAStrategy() {
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
           <div className="p-4 rounded-lg bg-zinc-800/30">
             <p className="text-sm text-zinc-500">Monthly Income</p>
-            <p className="text-xl font-bold text-emerald-400">${monthlyIncome.toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+            <p className="text-xl font-bold text-emerald-400">{formatAmount(monthlyIncome)}</p>
           </div>
           <div className="p-4 rounded-lg bg-zinc-800/30">
             <p className="text-sm text-zinc-500">Monthly Expenses</p>
-            <p className="text-xl font-bold text-rose-400">${monthlyExpenses.toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+            <p className="text-xl font-bold text-rose-400">{formatAmount(monthlyExpenses)}</p>
           </div>
           <div className="p-4 rounded-lg bg-emerald-500/10 border border-emerald-500/20">
             <p className="text-sm text-zinc-500">Monthly Savings</p>
-            <p className="text-2xl font-bold text-emerald-400">${monthlySavings.toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+            <p className="text-2xl font-bold text-emerald-400">{formatAmount(monthlySavings)}</p>
           </div>
         </div>
       </div>
@@ -278,7 +263,7 @@ export default function DCAStrategy() {
           <PieChart className="w-5 h-5 text-orange-400" />
           <h3 className="font-semibold">Savings Allocation</h3>
         </div>
-        <p className="text-sm text-zinc-500 mb-6">How do you want to allocate your ${monthlySavings.toLocaleString('en-US', { maximumFractionDigits: 0 })}/month savings?</p>
+        <p className="text-sm text-zinc-500 mb-6">How do you want to allocate your {formatAmount(monthlySavings)}/month savings?</p>
         
         <div className="space-y-6">
           <div className="space-y-3">
@@ -287,7 +272,7 @@ export default function DCAStrategy() {
                 <div className="w-3 h-3 rounded-full bg-orange-400" />
                 Bitcoin
               </Label>
-              <span className="text-orange-400 font-semibold">{btcAllocation}% (${monthlyBtcAmount.toLocaleString('en-US', { maximumFractionDigits: 0 })}/mo)</span>
+              <span className="text-orange-400 font-semibold">{btcAllocation}% ({formatAmount(monthlyBtcAmount)}/mo)</span>
             </div>
             <Slider value={[btcAllocation]} onValueChange={([v]) => {
               setBtcAllocation(v);
@@ -304,7 +289,7 @@ export default function DCAStrategy() {
                 <div className="w-3 h-3 rounded-full bg-blue-400" />
                 Stocks/ETFs
               </Label>
-              <span className="text-blue-400 font-semibold">{stocksAllocation}% (${monthlyStocksAmount.toLocaleString('en-US', { maximumFractionDigits: 0 })}/mo)</span>
+              <span className="text-blue-400 font-semibold">{stocksAllocation}% ({formatAmount(monthlyStocksAmount)}/mo)</span>
             </div>
             <Slider value={[stocksAllocation]} onValueChange={([v]) => {
               setStocksAllocation(v);
@@ -318,7 +303,7 @@ export default function DCAStrategy() {
                 <div className="w-3 h-3 rounded-full bg-emerald-400" />
                 Cash/Bonds
               </Label>
-              <span className="text-emerald-400 font-semibold">{cashAllocation}% (${monthlyCashAmount.toLocaleString('en-US', { maximumFractionDigits: 0 })}/mo)</span>
+              <span className="text-emerald-400 font-semibold">{cashAllocation}% ({formatAmount(monthlyCashAmount)}/mo)</span>
             </div>
             <div className="h-2 bg-zinc-800 rounded-full overflow-hidden">
               <div className="h-full bg-emerald-500/50 rounded-full" style={{ width: `${cashAllocation}%` }} />
@@ -343,7 +328,7 @@ export default function DCAStrategy() {
               <Bitcoin className="w-4 h-4 text-orange-400" />
             </div>
           </div>
-          <p className="text-2xl lg:text-3xl font-bold text-orange-400">${monthlyBtcAmount.toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+          <p className="text-2xl lg:text-3xl font-bold text-orange-400">{formatAmount(monthlyBtcAmount)}</p>
           <p className="text-sm text-zinc-500 mt-1">
             ≈ {(monthlyBtcAmount / currentPrice).toFixed(6)} BTC/mo
           </p>
@@ -356,7 +341,7 @@ export default function DCAStrategy() {
               <TrendingUp className="w-4 h-4 text-orange-400" />
             </div>
           </div>
-          <p className="text-3xl font-bold text-orange-400">${(monthlyBtcAmount * 12).toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+          <p className="text-3xl font-bold text-orange-400">{formatAmount(monthlyBtcAmount * 12)}</p>
           <p className="text-sm text-zinc-500 mt-1">
             ≈ {((monthlyBtcAmount * 12) / currentPrice).toFixed(4)} BTC/yr
           </p>
@@ -410,7 +395,7 @@ export default function DCAStrategy() {
                     borderRadius: '12px',
                   }}
                   formatter={(value, name) => [
-                    name === 'btc' ? `${value} BTC` : `$${value.toLocaleString()}`,
+                    name === 'btc' ? `${value} BTC` : formatAmount(value),
                     name === 'btc' ? 'Accumulated' : 'Invested'
                   ]}
                 />
@@ -421,7 +406,7 @@ export default function DCAStrategy() {
           <div className="grid grid-cols-3 gap-4 mt-6 p-4 rounded-xl bg-zinc-800/30">
             <div className="text-center">
               <p className="text-sm text-zinc-500">Total Invested</p>
-              <p className="text-lg font-bold text-zinc-100">${(monthlyBtcAmount * 12).toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+              <p className="text-lg font-bold text-zinc-100">{formatAmount(monthlyBtcAmount * 12)}</p>
             </div>
             <div className="text-center">
               <p className="text-sm text-zinc-500">BTC Accumulated</p>
@@ -429,7 +414,7 @@ export default function DCAStrategy() {
             </div>
             <div className="text-center">
               <p className="text-sm text-zinc-500">At Current Price</p>
-              <p className="text-lg font-bold text-emerald-400">${(monthlyBtcAmount * 12).toLocaleString('en-US', { maximumFractionDigits: 0 })}</p>
+              <p className="text-lg font-bold text-emerald-400">{formatAmount(monthlyBtcAmount * 12)}</p>
             </div>
           </div>
         </div>
@@ -512,16 +497,16 @@ export default function DCAStrategy() {
                   <div className="grid grid-cols-3 gap-4 mb-4">
                     <div>
                       <p className="text-sm text-zinc-500">Per {plan.frequency}</p>
-                      <p className="text-lg font-semibold">${plan.amount_per_period.toLocaleString()}</p>
+                      <p className="text-lg font-semibold">{formatAmount(plan.amount_per_period)}</p>
                     </div>
                     <div>
                       <p className="text-sm text-zinc-500">Monthly</p>
-                      <p className="text-lg font-semibold">${monthlyAmount.toFixed(0)}</p>
+                      <p className="text-lg font-semibold">{formatAmount(monthlyAmount)}</p>
                     </div>
                     {plan.target_amount > 0 && (
                       <div>
                         <p className="text-sm text-zinc-500">Target</p>
-                        <p className="text-lg font-semibold">${plan.target_amount.toLocaleString()}</p>
+                        <p className="text-lg font-semibold">{formatAmount(plan.target_amount)}</p>
                       </div>
                     )}
                   </div>
@@ -577,7 +562,7 @@ export default function DCAStrategy() {
             </div>
             <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
-                <Label className="text-zinc-400">Amount ($)</Label>
+                <Label className="text-zinc-400">Amount ({symbol})</Label>
                 <Input
                   type="number"
                   value={formData.amount_per_period}
@@ -606,7 +591,7 @@ export default function DCAStrategy() {
             </div>
             <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
-                <Label className="text-zinc-400">Target Amount (optional)</Label>
+                <Label className="text-zinc-400">Target Amount ({symbol}, optional)</Label>
                 <Input
                   type="number"
                   value={formData.target_amount}
@@ -637,7 +622,7 @@ export default function DCAStrategy() {
                   <SelectItem value="none">No linked goal</SelectItem>
                   {goals.map(goal => (
                     <SelectItem key={goal.id} value={goal.id}>
-                      {goal.name} (${(goal.target_amount || 0).toLocaleString()})
+                      {goal.name} ({formatAmount(goal.target_amount)})
                     </SelectItem>
                   ))}
                 </SelectContent>
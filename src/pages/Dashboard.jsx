@@ -6,6 +6,8 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/u
 import CsvImportDialog from '@/components/transactions/CsvImportDialog';
 import useAssetPrices from '@/components/shared/useAssetPrices';
 import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { useCurrency } from '@/components/shared/useCurrency';
+import { convertToUSD, formatCurrency } from '@/components/shared/currency';
 import { syncHoldingFromLots } from '@/components/shared/syncHoldings';
 import { Button } from "@/components/ui/button";
 import NetWorthCard from '@/components/dashboard/NetWorthCard';
@@ -23,10 +25,10 @@ import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
 export default function Dashboard() {
   const [user, setUser] = useState(null);
   const [checkingAccess, setCheckingAccess] = useState(true);
-  const [exchangeRates, setExchangeRates] = useState({ USD: 1 });
+  const { currency, rates: exchangeRates, fromUSD, format } = useCurrency();
 
   // Use shared BTC price hook
-  const { btcPrice, priceChange, loading: priceLoading } = useBtcPrice();
+  const { btcPrice, localPrice, priceChange, loading: priceLoading } = useBtcPrice(currency);
 
   // Check user access
   useEffect(() => {
@@ -43,23 +45,6 @@ export default function Dashboard() {
     checkUserAccess();
   }, []);
 
-  // Fetch exchange rates
-  useEffect(() => {
-    const fetchRates = async () => {
-      try {
-        const response = await base44.functions.invoke('getExchangeRates');
-        if (response.data?.rates) {
-          setExchangeRates(response.data.rates);
-        }
-      } catch (error) {
-  
-      }
-    };
-    fetchRates();
-  }, []);
-
-
-
   // Use live price, show loading state if not available yet
   const currentPrice = btcPrice;
   const [formOpen, setFormOpen] = useState(false);
@@ -208,32 +193,23 @@ export default function Dashboard() {
     },
   });
 
-  // Helper to convert prices to USD
-  const convertToUSD = (price, currency) => {
-    if (!currency || currency === 'USD') return price;
-    const rate = exchangeRates[currency];
-    if (rate) {
-      return price * rate;
-    }
-
-    return price;
+  // Quotes in a foreign listing currency (e.g. a Tokyo-listed stock) are converted to USD
+  const getQuoteInUSD = (ticker) => {
+    const quote = assetPrices[ticker];
+    return convertToUSD(quote.price, quote.currency || 'USD', exchangeRates);
   };
 
   // Get live price for a holding (BTC, stocks, or manual)
       const getHoldingPrice = (holding) => {
         if (holding.ticker === 'BTC') return currentPrice;
-        if (assetPrices[holding.ticker]?.price) {
-          const price = assetPrices[holding.ticker].price;
-          const currency = assetPrices[holding.ticker].currency || 'USD';
-          return convertToUSD(price, currency);
-        }
+        if (assetPrices[holding.ticker]?.price) return getQuoteInUSD(holding.ticker);
         return holding.current_price || 0;
       };
 
       // Helper to get price by ticker
       const getPriceByTicker = (ticker) => {
         if (ticker === 'BTC') return currentPrice;
-        if (assetPrices[ticker]?.price) return assetPrices[ticker].price;
+        if (assetPrices[ticker]?.price) return getQuoteInUSD(ticker);
         const holding = holdings.find(h => h.ticker === ticker);
         return holding?.current_price || 0;
       };
@@ -366,7 +342,7 @@ export default function Dashboard() {
               <RefreshCw className="w-4 h-4 text-zinc-500 animate-spin" />
             ) : (
               <>
-                <span className="font-semibold text-amber-400">${currentPrice.toLocaleString()}</span>
+                <span className="font-semibold text-amber-400">{formatCurrency(localPrice || fromUSD(currentPrice), currency)}</span>
                 {priceChange !== null && (
                   <span className={`text-xs ${priceChange >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
                     {priceChange >= 0 ? '↑' : '↓'}{Math.abs(priceChange).toFixed(1)}%
@@ -478,7 +454,7 @@ export default function Dashboard() {
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-zinc-400">Total Assets</span>
                   <span className="text-lg font-bold text-emerald-400">
-                    ${totalAssets.toLocaleString()}
+                    {format(totalAssets)}
                   </span>
                 </div>
               </div>
@@ -511,9 +487,9 @@ export default function Dashboard() {
                   </div>
                 </div>
                 <div className="text-right">
-                  <p className="font-semibold text-rose-400">${(liability.current_balance || 0).toLocaleString()}</p>
+                  <p className="font-semibold text-rose-400">{format(liability.current_balance)}</p>
                   {liability.monthly_payment > 0 && (
-                    <p className="text-xs text-zinc-500">${liability.monthly_payment}/mo</p>
+                    <p className="text-xs text-zinc-500">{format(liability.monthly_payment)}/mo</p>
                   )}
                 </div>
               </div>
@@ -529,7 +505,7 @@ export default function Dashboard() {
           </div>
           <div className="mt-4 pt-4 border-t border-zinc-800 flex justify-between items-center">
             <span className="text-sm text-zinc-400">Total Debt</span>
-            <span className="text-lg font-bold text-rose-400">${totalLiabilities.toLocaleString()}</span>
+            <span className="text-lg font-bold text-rose-400">{format(totalLiabilities)}</span>
           </div>
         </div>
       )}
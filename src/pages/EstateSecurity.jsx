@@ -16,6 +16,9 @@ import { Switch } from "@/components/ui/switch";
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from "@/components/ui/tooltip";
 import { cn } from "@/lib/utils";
 import EmptyState from '@/components/ui/EmptyState';
+import { toInputValue } from '@/components/shared/currency';
+import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { useCurrency } from '@/components/shared/useCurrency';
 
 // Auto-calculated security scores based on custody type
 const SECURITY_SCORES = {
@@ -89,8 +92,6 @@ const ASSET_TYPES = [
 ];
 
 export default function EstateSecurity() {
-  const [btcPrice, setBtcPrice] = useState(null);
-  const [priceLoading, setPriceLoading] = useState(true);
   const [formOpen, setFormOpen] = useState(false);
   const [protocolFormOpen, setProtocolFormOpen] = useState(false);
   const [editingItem, setEditingItem] = useState(null);
@@ -101,21 +102,8 @@ export default function EstateSecurity() {
   const [lastCheckin, setLastCheckin] = useState(null);
   const queryClient = useQueryClient();
 
-  useEffect(() => {
-    const fetchPrice = async () => {
-      try {
-        const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-        const data = await response.json();
-        setBtcPrice(data.bitcoin.usd);
-        setPriceLoading(false);
-      } catch (err) {
-        setBtcPrice(97000);
-        setPriceLoading(false);
-      }
-    };
-    fetchPrice();
-  }, []);
-
+  const { currency, fromUSD, toUSD, format: formatAmount } = useCurrency();
+  const { btcPrice } = useBtcPrice(currency);
   const currentPrice = btcPrice || 97000;
 
   const [formData, setFormData] = useState({
@@ -231,7 +219,7 @@ export default function EstateSecurity() {
         custody_type: editingItem.custody_type || 'hardware_wallet',
         asset_type: editingItem.asset_type || 'btc',
         btc_amount: editingItem.btc_amount || '',
-        asset_value: editingItem.asset_value || '',
+        asset_value: toInputValue(fromUSD(editingItem.asset_value)),
         beneficiary_name: editingItem.beneficiary_name || '',
         beneficiary_allocation_percent: editingItem.beneficiary_allocation_percent || '',
         beneficiary_email: editingItem.beneficiary_email || '',
@@ -271,7 +259,7 @@ export default function EstateSecurity() {
     const data = {
       ...formData,
       btc_amount: parseFloat(formData.btc_amount) || 0,
-      asset_value: parseFloat(formData.asset_value) || 0,
+      asset_value: toUSD(parseFloat(formData.asset_value) || 0),
       security_score: securityScore,
       beneficiary_allocation_percent: parseFloat(formData.beneficiary_allocation_percent) || 0,
       linked_holding_id: formData.linked_holding_id || null,
@@ -432,10 +420,10 @@ export default function EstateSecurity() {
 
     report += `ESTATE SUMMARY\n`;
     report += `${'-'.repeat(40)}\n`;
-    report += `Bitcoin Holdings: ${totalBtcHoldings.toFixed(8)} BTC ($${totalBtcHoldingsValue.toLocaleString()})\n`;
-    report += `Other Holdings (Stocks/Bonds/etc.): $${totalNonBtcHoldingsValue.toLocaleString()}\n`;
-    report += `Other Manual Assets: $${totalOtherAssetsValue.toLocaleString()}\n`;
-    report += `Total Net Worth: $${totalEstateValue.toLocaleString()}\n\n`;
+    report += `Bitcoin Holdings: ${totalBtcHoldings.toFixed(8)} BTC (${formatAmount(totalBtcHoldingsValue)})\n`;
+    report += `Other Holdings (Stocks/Bonds/etc.): ${formatAmount(totalNonBtcHoldingsValue)}\n`;
+    report += `Other Manual Assets: ${formatAmount(totalOtherAssetsValue)}\n`;
+    report += `Total Net Worth: ${formatAmount(totalEstateValue)}\n\n`;
 
     report += `BENEFICIARIES\n`;
     report += `${'-'.repeat(40)}\n`;
@@ -477,7 +465,7 @@ export default function EstateSecurity() {
       otherAssets.forEach(asset => {
         report += `\n☐ ${asset.title}\n`;
         report += `   Type: ${ASSET_TYPES.find(t => t.value === asset.asset_type)?.label || asset.asset_type || 'other'}\n`;
-        if (asset.asset_value) report += `   Value: $${asset.asset_value.toLocaleString()}\n`;
+        if (asset.asset_value) report += `   Value: ${formatAmount(asset.asset_value)}\n`;
         if (asset.access_instructions) report += `   Access: ${asset.access_instructions}\n`;
         if (asset.notes) report += `   Notes: ${asset.notes}\n`;
       });
@@ -497,7 +485,7 @@ export default function EstateSecurity() {
         
         report += `\n☐ ${account?.name || 'Account'}\n`;
         report += `   Type: Investment Account\n`;
-        if (totalValue) report += `   Value: $${totalValue.toLocaleString()}\n`;
+        if (totalValue) report += `   Value: ${formatAmount(totalValue)}\n`;
         if (item.access_instructions) report += `   Access: ${item.access_instructions}\n`;
       });
     }
@@ -711,7 +699,7 @@ export default function EstateSecurity() {
             </div>
           </div>
           <p className="text-2xl font-bold text-orange-400">{totalCustodyBtc.toFixed(4)} BTC</p>
-          <p className="text-xs text-zinc-500 mt-1">${(totalCustodyBtc * currentPrice).toLocaleString()}</p>
+          <p className="text-xs text-zinc-500 mt-1">{formatAmount(totalCustodyBtc * currentPrice)}</p>
         </div>
 
         <div className="card-premium rounded-xl p-5 border border-zinc-800/50">
@@ -871,8 +859,8 @@ export default function EstateSecurity() {
                           </p>
                         </div>
                         <div>
-                          <p className="text-sm text-zinc-500">USD Value</p>
-                          <p className="text-lg font-semibold text-zinc-300">${((location.btc_amount || 0) * currentPrice).toLocaleString()}</p>
+                          <p className="text-sm text-zinc-500">{currency} Value</p>
+                          <p className="text-lg font-semibold text-zinc-300">{formatAmount((location.btc_amount || 0) * currentPrice)}</p>
                         </div>
                         <div>
                           <p className="text-sm text-zinc-500">Last Verified</p>
@@ -954,7 +942,7 @@ export default function EstateSecurity() {
                             </div>
                           </div>
                           <div className="flex items-center gap-3">
-                            <p className="text-lg font-semibold text-emerald-400">${totalValue.toLocaleString()}</p>
+                            <p className="text-lg font-semibold text-emerald-400">{formatAmount(totalValue)}</p>
                             {existingItem ? (
                               <Button 
                                 size="sm" 
@@ -977,7 +965,7 @@ export default function EstateSecurity() {
                                     asset_type: 'stocks',
                                     title: accountName,
                                     linked_account_id: accountId,
-                                    asset_value: totalValue.toString()
+                                    asset_value: toInputValue(fromUSD(totalValue))
                                   })); 
                                   setFormOpen(true); 
                                 }}
@@ -999,7 +987,7 @@ export default function EstateSecurity() {
                                 <span className="text-sm">{h.asset_name}</span>
                                 <span className="text-xs text-zinc-500">{h.ticker}</span>
                               </div>
-                              <span className="text-sm text-zinc-300">${(h.quantity * (h.current_price || 0)).toLocaleString()}</span>
+                              <span className="text-sm text-zinc-300">{formatAmount(h.quantity * (h.current_price || 0))}</span>
                             </div>
                           ))}
                         </div>
@@ -1061,7 +1049,7 @@ export default function EstateSecurity() {
                         <div className="grid grid-cols-2 gap-4">
                           <div>
                             <p className="text-sm text-zinc-500">Estimated Value</p>
-                            <p className="text-lg font-semibold text-emerald-400">${(asset.asset_value || 0).toLocaleString()}</p>
+                            <p className="text-lg font-semibold text-emerald-400">{formatAmount(asset.asset_value)}</p>
                           </div>
                           <div>
                             <p className="text-sm text-zinc-500">Last Verified</p>
@@ -1094,7 +1082,7 @@ export default function EstateSecurity() {
                 <div className="flex items-center justify-between">
                   <span className="text-zinc-400">Total Other Assets Value</span>
                   <span className="text-xl font-bold text-emerald-400">
-                    ${(totalOtherAssetsValue + nonBtcHoldings.reduce((sum, h) => sum + (h.quantity * (h.current_price || 0)), 0)).toLocaleString()}
+                    {formatAmount(totalOtherAssetsValue + nonBtcHoldings.reduce((sum, h) => sum + (h.quantity * (h.current_price || 0)), 0))}
                   </span>
                 </div>
               </div>
@@ -1221,7 +1209,7 @@ export default function EstateSecurity() {
               <div>
                 <h3 className="font-semibold">Beneficiaries</h3>
                 <p className={cn("text-sm", totalAllocation === 100 ? "text-emerald-400" : "text-amber-400")}>
-                  Total allocated: {totalAllocation}% of ${totalEstateValue.toLocaleString()} estate
+                  Total allocated: {totalAllocation}% of {formatAmount(totalEstateValue)} estate
                 </p>
               </div>
               <Button size="sm" onClick={() => { resetForm(); setFormData(prev => ({ ...prev, item_type: 'beneficiary' })); setFormOpen(true); }} className="brand-gradient text-white">
@@ -1273,7 +1261,7 @@ export default function EstateSecurity() {
                       <div className="text-right">
                         <p className="text-xl font-bold text-purple-400">{beneficiary.beneficiary_allocation_percent || 0}%</p>
                         <p className="text-xs text-zinc-500">
-                          ≈ ${(((beneficiary.beneficiary_allocation_percent || 0) / 100) * totalEstateValue).toLocaleString()}
+                          ≈ {formatAmount(((beneficiary.beneficiary_allocation_percent || 0) / 100) * totalEstateValue)}
                         </p>
                       </div>
                       <div className="flex gap-1">
@@ -1327,23 +1315,23 @@ export default function EstateSecurity() {
                 <div>
                   <p className="text-sm text-zinc-500">Bitcoin</p>
                   <p className="text-xl font-bold text-orange-400">{totalBtcHoldings.toFixed(4)} BTC</p>
-                  <p className="text-sm text-zinc-500">${totalBtcHoldingsValue.toLocaleString()}</p>
+                  <p className="text-sm text-zinc-500">{formatAmount(totalBtcHoldingsValue)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-500">Stocks/Bonds</p>
-                  <p className="text-xl font-bold text-blue-400">${totalStocksBondsValue.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-blue-400">{formatAmount(totalStocksBondsValue)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-500">Real Estate</p>
-                  <p className="text-xl font-bold text-purple-400">${totalRealEstateValue.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-purple-400">{formatAmount(totalRealEstateValue)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-500">Other Assets</p>
-                  <p className="text-xl font-bold text-emerald-400">${(totalOtherAssetsValue + totalOtherHoldingsValue).toLocaleString()}</p>
+                  <p className="text-xl font-bold text-emerald-400">{formatAmount(totalOtherAssetsValue + totalOtherHoldingsValue)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-500">Total Net Worth</p>
-                  <p className="text-xl font-bold text-white">${totalEstateValue.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-white">{formatAmount(totalEstateValue)}</p>
                 </div>
               </div>
             </div>
@@ -1435,7 +1423,7 @@ export default function EstateSecurity() {
                         <div className="flex items-center gap-2 mb-2">
                           <CheckCircle className="w-4 h-4 text-zinc-600" />
                           <p className="font-medium">{asset.title}</p>
-                          <span className="text-emerald-400 ml-auto">${(asset.asset_value || 0).toLocaleString()}</span>
+                          <span className="text-emerald-400 ml-auto">{formatAmount(asset.asset_value)}</span>
                         </div>
                         {asset.access_instructions ? (
                           <p className="text-sm text-zinc-400 ml-6">Access: {asset.access_instructions}</p>
@@ -1457,7 +1445,7 @@ export default function EstateSecurity() {
                         <div className="flex items-center gap-2 mb-2">
                           <CheckCircle className="w-4 h-4 text-zinc-600" />
                           <p className="font-medium">{account?.name || item.title}</p>
-                          <span className="text-emerald-400 ml-auto">${totalValue.toLocaleString()}</span>
+                          <span className="text-emerald-400 ml-auto">{formatAmount(totalValue)}</span>
                         </div>
                         {item.access_instructions ? (
                           <p className="text-sm text-zinc-400 ml-6">Access: {item.access_instructions}</p>
@@ -1573,7 +1561,7 @@ export default function EstateSecurity() {
                 ) : (
                   <>
                     <div className="space-y-2">
-                      <Label className="text-zinc-400">Estimated Value (USD)</Label>
+                      <Label className="text-zinc-400">Estimated Value ({currency})</Label>
                       <Input type="number" value={formData.asset_value} onChange={(e) => setFormData({ ...formData, asset_value: e.target.value })} placeholder="100000" className="bg-zinc-900 border-zinc-800" />
                     </div>
                     <div className="space-y-2">
@@ -1607,7 +1595,7 @@ export default function EstateSecurity() {
                 </div>
 
                 <div className="space-y-2">
-                  <Label className="text-zinc-400">Estimated Value (USD)</Label>
+                  <Label className="text-zinc-400">Estimated Value ({currency})</Label>
                   <Input type="number" value={formData.asset_value} onChange={(e) => setFormData({ ...formData, asset_value: e.target.value })} placeholder="100000" className="bg-zinc-900 border-zinc-800" />
                 </div>
 
@@ -1,34 +1,25 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, ReferenceLine, Area, AreaChart, Legend } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, ReferenceLine, Area, AreaChart, Legend, ComposedChart, BarChart, Bar } from 'recharts';
 import { Tooltip, TooltipContent, TooltipTrigger, TooltipProvider } from "@/components/ui/tooltip";
 import { Checkbox } from "@/components/ui/checkbox";
-import { Target, Plus, Pencil, Trash2, TrendingUp, Calendar, Settings, Play, AlertTriangle, ChevronDown, ChevronUp, Sparkles, Home, Car, Baby, Briefcase, Heart, DollarSign, RefreshCw, Receipt, Info } from 'lucide-react';
+import { Target, Plus, Pencil, Trash2, TrendingUp, Calendar, Settings, Play, AlertTriangle, ChevronDown, ChevronUp, Sparkles, Home, Car, Baby, Briefcase, Heart, DollarSign, RefreshCw, Receipt, Info, X } from 'lucide-react';
 import { createPageUrl } from '../utils';
 import { useBtcPrice } from '@/components/shared/useBtcPrice';
-import {
-  STANDARD_DEDUCTION_2024,
-  TAX_BRACKETS_2024,
-  getIncomeTaxRate,
-  getLTCGRate,
-  calculateProgressiveIncomeTax,
-  estimateRetirementWithdrawalTaxes,
-  getTaxDataForYear,
-  calculateTaxableSocialSecurity,
-  estimateSocialSecurityBenefit
-} from '@/components/tax/taxCalculations';
-import { runUnifiedProjection, getCustomReturnForYear } from '@/components/shared/runProjection';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+import { calculateTaxReturn, getTaxRules } from '@/components/tax/taxEngine';
+import { runUnifiedProjection } from '@/components/shared/runProjection';
 import { buildProjectionParams } from '@/components/shared/buildProjectionParams';
 import { selectLots, getAvailableQuantity } from '../components/shared/lotSelectionHelpers';
 import { getRMDFactor } from '@/components/shared/taxData';
-import { get401kLimit, getRothIRALimit, getTraditionalIRALimit, getHSALimit, getTaxConfigForYear, getRothIRAIncomeLimit } from '@/components/shared/taxConfig';
-import { getStateOptions, getStateTaxSummary, STATE_TAX_CONFIG, calculateStateTaxOnRetirement, calculateStateCapitalGainsTax, calculateStateIncomeTax } from '@/components/shared/stateTaxConfig';
-import { getPowerLawCAGR } from '@/components/shared/bitcoinPowerLaw';
+import { get401kLimit, getRothIRALimit, getTraditionalIRALimit, getHSALimit, getRothIRAIncomeLimit } from '@/components/shared/taxConfig';
+import { getStateOptions, getStateTaxSummary, STATE_TAX_CONFIG } from '@/components/shared/stateTaxConfig';
+import { createBtcPriceModelRate, getBtcPriceModel, getBtcPriceModelOptions, describeBtcModelRates } from '@/components/shared/btcPriceModels';
+import { SPENDING_POLICY_OPTIONS, normalizeSpendingPolicy } from '@/components/shared/spendingPolicies';
 import { 
-  createSeededRNG, 
   generateMonteCarloSeed, 
-  generateRandomPaths,
   getBtcVolatilityForMonteCarlo,
   BTC_SKEW_PARAM,
   BTC_DEGREES_OF_FREEDOM,
@@ -36,8 +27,12 @@ import {
   generateCorrelatedReturns,
   randomNormal,
   randomSkewedStudentT,
+  runHistoricalBacktest,
+  replayMonteCarloPath,
+  MONTE_CARLO_PERCENTILES,
   MONTE_CARLO_VERSION 
 } from '../components/shared/monteCarloSimulation';
+import { runMonteCarloPlanInWorkers, calculateSafeSpendingInWorkers, isMonteCarloCancelled } from '@/components/shared/monteCarloWorkerPool';
 import { Button } from "@/components/ui/button";
 import { Slider } from "@/components/ui/slider";
 import { Input } from "@/components/ui/input";
@@ -52,12 +47,21 @@ import { Textarea } from "@/components/ui/textarea";
 import { cn } from "@/lib/utils";
 import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
 import CustomPeriodsModal from '@/components/retirement/CustomPeriodsModal';
+import SpouseSettings from '@/components/retirement/SpouseSettings';
+import SocialSecurityOptimizer from '@/components/retirement/SocialSecurityOptimizer';
+import BtcPriceModelSettings from '@/components/retirement/BtcPriceModelSettings';
+import BtcRegimeSettings from '@/components/retirement/BtcRegimeSettings';
+import MarketRiskSettings from '@/components/retirement/MarketRiskSettings';
+import { resolveAssetCorrelations, resolveAssetVolatilities } from '@/components/shared/assetCorrelations';
+import { DEFAULT_BTC_REGIME_MODEL } from '@/components/shared/btcRegimes';
+import { normalizeSpouseProfile, buildSpouseProfile } from '@/components/shared/household';
+import { deriveEffectiveSocialSecurity, createBtcGrowthRateFunction } from '@/components/shared/projectionHelpers';
+import { getCarryoverIntoYear } from '@/components/shared/capitalLossCarryover';
 
 // Default settings for new users
 const DEFAULT_USER_SETTINGS = {
   btc_cagr_assumption: 25,
   stocks_cagr: 7,
-  stocks_volatility: 15,
   real_estate_cagr: 4,
   bonds_cagr: 3,
   cash_cagr: 0,
@@ -105,6 +109,7 @@ const DEFAULT_USER_SETTINGS = {
   asset_withdrawal_strategy: 'proportional',
   withdrawal_priority_order: ['bonds', 'stocks', 'other', 'btc'],
   withdrawal_blend_percentages: { bonds: 25, stocks: 35, other: 10, btc: 30 },
+  retirement_spending_policy: { type: 'fixed' },
   auto_top_up_btc_collateral: true,
   btc_top_up_trigger_ltv: 70,
   btc_top_up_target_ltv: 50,
@@ -149,6 +154,7 @@ export default function FinancialPlan() {
   
   // Use shared BTC price hook for consistency across pages
   const { btcPrice, priceChange, loading: priceLoading } = useBtcPrice();
+  const { symbol, fromUSD, toUSD, format: formatAmount } = useCurrency();
   
   // Check if user has data (for empty states)
   const [hasHoldings, setHasHoldings] = useState(false);
@@ -175,7 +181,6 @@ export default function FinancialPlan() {
   // Assumption states - will be loaded from UserSettings
   const [btcCagr, setBtcCagr] = useState(25);
   const [stocksCagr, setStocksCagr] = useState(7);
-  const [stocksVolatility, setStocksVolatility] = useState(15);
   const [realEstateCagr, setRealEstateCagr] = useState(4);
   const [bondsCagr, setBondsCagr] = useState(3);
   const [cashCagr, setCashCagr] = useState(0);
@@ -195,6 +200,10 @@ export default function FinancialPlan() {
 
   // BTC return model (separate from withdrawal)
   const [btcReturnModel, setBtcReturnModel] = useState('custom');
+  const [btcModelParams, setBtcModelParams] = useState({}); // Per-model params from btcPriceModels, keyed by model
+  const [btcRegimeModel, setBtcRegimeModel] = useState(DEFAULT_BTC_REGIME_MODEL); // Monte Carlo regime switching (btcRegimes)
+  const [assetVolatilities, setAssetVolatilities] = useState({}); // Monte Carlo volatility overrides (assetCorrelations)
+  const [assetCorrelations, setAssetCorrelations] = useState(null); // null = built-in ASSET_CORRELATIONS
   const userBtcModelSelectionMade = useRef(false);
   
   // Custom return periods
@@ -222,6 +231,7 @@ export default function FinancialPlan() {
   const [socialSecurityStartAge, setSocialSecurityStartAge] = useState(67);
   const [socialSecurityAmount, setSocialSecurityAmount] = useState(0);
   const [useCustomSocialSecurity, setUseCustomSocialSecurity] = useState(false);
+  const [ssaEarningsRecord, setSsaEarningsRecord] = useState(null); // Imported my Social Security earnings record
 
   // Savings allocation percentages
   const [savingsAllocationBtc, setSavingsAllocationBtc] = useState(80);
@@ -291,6 +301,12 @@ export default function FinancialPlan() {
   const [withdrawalPriorityOrder, setWithdrawalPriorityOrder] = useState(['cash', 'bonds', 'stocks', 'other', 'btc']);
   const [withdrawalBlendPercentages, setWithdrawalBlendPercentages] = useState({ bonds: 25, stocks: 35, other: 10, btc: 30 });
 
+  // Retirement spending policy (fixed, guardrails, VPW, etc.)
+  const [spendingPolicy, setSpendingPolicy] = useState(normalizeSpendingPolicy(null));
+
+  // Second person of a married household (UserSettings.spouse_profile)
+  const [spouseProfile, setSpouseProfile] = useState(normalizeSpouseProfile(null));
+
   // Settings loaded flag
   const [settingsLoaded, setSettingsLoaded] = useState(false);
 
@@ -299,6 +315,15 @@ export default function FinancialPlan() {
   const [simulationResults, setSimulationResults] = useState(null);
   const [successProbability, setSuccessProbability] = useState(null);
   const [safeSpending90, setSafeSpending90] = useState(null);
+  const [spendingCutProbability, setSpendingCutProbability] = useState(null);
+  const [historicalBacktest, setHistoricalBacktest] = useState(null);
+  const [historicalBacktestRunning, setHistoricalBacktestRunning] = useState(false);
+  const [monteCarloProgress, setMonteCarloProgress] = useState(null); // { stage, percent } while the worker pool runs
+  const [monteCarloDistribution, setMonteCarloDistribution] = useState(null);
+  const [monteCarloRun, setMonteCarloRun] = useState(null); // { seed, params, numSimulations } for path drill-down
+  const [selectedMonteCarloPath, setSelectedMonteCarloPath] = useState(null);
+  const [pathIndexInput, setPathIndexInput] = useState('');
+  const monteCarloAbortRef = useRef(null);
 
   // Forms
   const [goalFormOpen, setGoalFormOpen] = useState(false);
@@ -502,12 +527,14 @@ export default function FinancialPlan() {
         const accountType = account.account_type || '';
         if (accountType === 'taxable_real_estate' || account.tax_treatment === 'real_estate') return 'real_estate';
         if (['traditional_401k', 'traditional_ira', 'sep_ira', '403b', '401k_traditional', 'ira_traditional', 'solo_401k_traditional'].includes(accountType)) return 'tax_deferred';
-        if (['roth_401k', 'roth_ira', 'hsa', '529', '401k_roth', 'ira_roth', 'solo_401k_roth'].includes(accountType)) return 'tax_free';
+        if (accountType === '529') return 'education';
+        if (['roth_401k', 'roth_ira', 'hsa', '401k_roth', 'ira_roth', 'solo_401k_roth'].includes(accountType)) return 'tax_free';
         if (account.tax_treatment) return account.tax_treatment;
       }
     }
     const assetType = h.asset_type || '';
     if (assetType === 'real_estate') return 'real_estate';
+    if (h.account_type === '529') return 'education';
     if (h.tax_treatment) return h.tax_treatment;
     return 'taxable';
   };
@@ -536,7 +563,6 @@ export default function FinancialPlan() {
     if (birthYear <= 1959) return 73;
     return 75;
   };
-  const standardDeduction = STANDARD_DEDUCTION_2024[filingStatus] || STANDARD_DEDUCTION_2024.single;
 
   // Auto-create UserSettings for new users
   useEffect(() => {
@@ -588,7 +614,8 @@ export default function FinancialPlan() {
       console.log('Loading settings into state. Has DB record:', userSettings.length > 0);
       if (settings.btc_cagr_assumption !== undefined) setBtcCagr(settings.btc_cagr_assumption);
       if (settings.stocks_cagr !== undefined) setStocksCagr(settings.stocks_cagr);
-      if (settings.stocks_volatility !== undefined) setStocksVolatility(settings.stocks_volatility);
+      if (settings.asset_volatilities !== undefined) setAssetVolatilities(settings.asset_volatilities || {});
+      if (settings.asset_correlations !== undefined) setAssetCorrelations(settings.asset_correlations || null);
       if (settings.real_estate_cagr !== undefined) setRealEstateCagr(settings.real_estate_cagr);
       if (settings.bonds_cagr !== undefined) setBondsCagr(settings.bonds_cagr);
       if (settings.cash_cagr !== undefined) setCashCagr(settings.cash_cagr);
@@ -603,6 +630,8 @@ export default function FinancialPlan() {
       if (settings.btc_return_model !== undefined && !userBtcModelSelectionMade.current) {
         setBtcReturnModel(settings.btc_return_model);
       }
+      if (settings.btc_model_params !== undefined) setBtcModelParams(settings.btc_model_params || {});
+      if (settings.btc_regime_model !== undefined) setBtcRegimeModel({ ...DEFAULT_BTC_REGIME_MODEL, ...(settings.btc_regime_model || {}) });
       if (settings.custom_return_periods !== undefined) setCustomReturnPeriods(settings.custom_return_periods);
       if (settings.ticker_returns !== undefined) setTickerReturns(settings.ticker_returns);
       if (settings.other_retirement_income !== undefined) setOtherRetirementIncome(settings.other_retirement_income);
@@ -643,6 +672,9 @@ export default function FinancialPlan() {
                   if (settings.asset_withdrawal_strategy !== undefined) setAssetWithdrawalStrategy(settings.asset_withdrawal_strategy);
                   if (settings.withdrawal_priority_order !== undefined) setWithdrawalPriorityOrder(settings.withdrawal_priority_order);
                   if (settings.withdrawal_blend_percentages !== undefined) setWithdrawalBlendPercentages(settings.withdrawal_blend_percentages);
+                  if (settings.retirement_spending_policy !== undefined) setSpendingPolicy(normalizeSpendingPolicy(settings.retirement_spending_policy));
+                  if (settings.spouse_profile !== undefined) setSpouseProfile(normalizeSpouseProfile(settings.spouse_profile));
+                  if (settings.ssa_earnings_record !== undefined) setSsaEarningsRecord(settings.ssa_earnings_record);
                   if (settings.auto_top_up_btc_collateral !== undefined) setAutoTopUpBtcCollateral(settings.auto_top_up_btc_collateral);
                   if (settings.btc_top_up_trigger_ltv !== undefined) setBtcTopUpTriggerLtv(settings.btc_top_up_trigger_ltv);
                   if (settings.btc_top_up_target_ltv !== undefined) setBtcTopUpTargetLtv(settings.btc_top_up_target_ltv);
@@ -706,7 +738,8 @@ export default function FinancialPlan() {
       saveSettings.mutate({
         btc_cagr_assumption: btcCagr || 25,
         stocks_cagr: stocksCagr || 7,
-        stocks_volatility: stocksVolatility || 15,
+        asset_volatilities: assetVolatilities,
+        asset_correlations: assetCorrelations,
         real_estate_cagr: realEstateCagr || 4,
         bonds_cagr: bondsCagr || 3,
         cash_cagr: cashCagr || 0,
@@ -719,10 +752,13 @@ export default function FinancialPlan() {
         current_annual_spending: currentAnnualSpending || 80000,
         annual_retirement_spending: retirementAnnualSpending || 100000,
         btc_return_model: btcReturnModel || 'custom',
+        btc_model_params: btcModelParams,
+        btc_regime_model: btcRegimeModel,
                       other_retirement_income: otherRetirementIncome || 0,
                       social_security_start_age: socialSecurityStartAge || 67,
                       social_security_amount: socialSecurityAmount || 0,
                       use_custom_social_security: useCustomSocialSecurity,
+                      ssa_earnings_record: ssaEarningsRecord,
                       savings_allocation_btc: savingsAllocationBtc,
                       savings_allocation_stocks: savingsAllocationStocks,
                       savings_allocation_bonds: savingsAllocationBonds,
@@ -758,6 +794,8 @@ export default function FinancialPlan() {
                       asset_withdrawal_strategy: assetWithdrawalStrategy,
                       withdrawal_priority_order: withdrawalPriorityOrder,
                       withdrawal_blend_percentages: withdrawalBlendPercentages,
+                      retirement_spending_policy: spendingPolicy,
+                      spouse_profile: spouseProfile,
                       future_btc_loan_rate: futureBtcLoanRate,
                       future_btc_loan_rate_years: futureBtcLoanRateYears,
                       covered_by_employer_plan: coveredByEmployerPlan,
@@ -766,7 +804,7 @@ export default function FinancialPlan() {
                       console.log('✅ saveSettings.mutate called');
                       }, 1000); // Debounce 1 second
                       return () => clearTimeout(timeoutId);
-                      }, [settingsLoaded, btcCagr, stocksCagr, stocksVolatility, realEstateCagr, bondsCagr, cashCagr, otherCagr, inflationRate, incomeGrowth, retirementAge, currentAge, lifeExpectancy, currentAnnualSpending, retirementAnnualSpending, btcReturnModel, otherRetirementIncome, socialSecurityStartAge, socialSecurityAmount, useCustomSocialSecurity, grossAnnualIncome, contribution401k, contribution401kEndAge, employer401kMatch, contributionRothIRA, contributionRothIRAEndAge, contributionTraditionalIRA, contributionTraditionalIRAEndAge, contributionHSA, contributionHSAEndAge, hsaFamilyCoverage, solo401kEnabled, solo401kType, solo401kEmployeeContribution, solo401kEmployerContributionPercent, solo401kEndAge, filingStatus, stateOfResidence, autoTopUpBtcCollateral, btcTopUpTriggerLtv, btcTopUpTargetLtv, btcReleaseTriggerLtv, btcReleaseTargetLtv, savingsAllocationBtc, savingsAllocationStocks, savingsAllocationBonds, savingsAllocationCash, savingsAllocationOther, investmentMode, monthlyInvestmentAmount, customReturnPeriods, tickerReturns, assetWithdrawalStrategy, withdrawalPriorityOrder, withdrawalBlendPercentages, futureBtcLoanRate, futureBtcLoanRateYears, coveredByEmployerPlan, spouseCoveredByEmployerPlan, saveSettings]);
+                      }, [settingsLoaded, btcCagr, stocksCagr, assetVolatilities, assetCorrelations, realEstateCagr, bondsCagr, cashCagr, otherCagr, inflationRate, incomeGrowth, retirementAge, currentAge, lifeExpectancy, currentAnnualSpending, retirementAnnualSpending, btcReturnModel, btcModelParams, btcRegimeModel, otherRetirementIncome, socialSecurityStartAge, socialSecurityAmount, useCustomSocialSecurity, ssaEarningsRecord, grossAnnualIncome, contribution401k, contribution401kEndAge, employer401kMatch, contributionRothIRA, contributionRothIRAEndAge, contributionTraditionalIRA, contributionTraditionalIRAEndAge, contributionHSA, contributionHSAEndAge, hsaFamilyCoverage, solo401kEnabled, solo401kType, solo401kEmployeeContribution, solo401kEmployerContributionPercent, solo401kEndAge, filingStatus, stateOfResidence, autoTopUpBtcCollateral, btcTopUpTriggerLtv, btcTopUpTargetLtv, btcReleaseTriggerLtv, btcReleaseTargetLtv, savingsAllocationBtc, savingsAllocationStocks, savingsAllocationBonds, savingsAllocationCash, savingsAllocationOther, investmentMode, monthlyInvestmentAmount, customReturnPeriods, tickerReturns, assetWithdrawalStrategy, withdrawalPriorityOrder, withdrawalBlendPercentages, spendingPolicy, spouseProfile, futureBtcLoanRate, futureBtcLoanRateYears, coveredByEmployerPlan, spouseCoveredByEmployerPlan, saveSettings]);
 
                       // Calculate accurate debt payments for current month
   const currentMonthForDebt = new Date().getMonth();
@@ -792,15 +830,20 @@ export default function FinancialPlan() {
     return sum;
   }, 0);
 
-  // Calculate estimated Social Security benefit
-  const estimatedSocialSecurity = estimateSocialSecurityBenefit(grossAnnualIncome, socialSecurityStartAge, currentAge);
+  // Calculate estimated Social Security benefit (from the imported earnings record when there is one)
+  const estimatedSocialSecurity = deriveEffectiveSocialSecurity({
+    grossAnnualIncome,
+    socialSecurityStartAge,
+    socialSecurityAmount,
+    useCustomSocialSecurity: false,
+    currentAge,
+    earningsRecord: ssaEarningsRecord,
+    retirementAge,
+  });
   const effectiveSocialSecurity = useCustomSocialSecurity ? socialSecurityAmount : estimatedSocialSecurity;
 
   // Calculate annual net cash flow after estimated income tax and retirement contributions
   const currentYear = new Date().getFullYear();
-  const { standardDeductions } = getTaxDataForYear(currentYear);
-  const currentStandardDeduction = standardDeductions[filingStatus] || standardDeductions.single;
-  
   // Get current contribution limits for validation
   const currentLimit401k = get401kLimit(currentYear, currentAge);
   const currentLimitRoth = getRothIRALimit(currentYear, currentAge);
@@ -820,8 +863,15 @@ export default function FinancialPlan() {
   const rothInPhaseOut = adjustedGrossIncome >= rothIncomeLimit.phaseOutStart && adjustedGrossIncome < rothIncomeLimit.phaseOutEnd;
   
   // Pre-tax contributions (401k, Traditional IRA, HSA) reduce taxable income
-  const taxableGrossIncome = Math.max(0, grossAnnualIncome - actual401k - actualTraditionalIRA - actualHSA - currentStandardDeduction);
-  const estimatedIncomeTax = calculateProgressiveIncomeTax(taxableGrossIncome, filingStatus, currentYear);
+  const estimatedIncomeTax = calculateTaxReturn({
+    year: currentYear,
+    filingStatus,
+    age: currentAge,
+    state: stateOfResidence,
+    wages: Math.max(0, grossAnnualIncome - actual401k - actualHSA),
+    adjustments: actualTraditionalIRA,
+    explain: false,
+  }).totalTax;
   
   // Net income after taxes
   const netIncome = grossAnnualIncome - estimatedIncomeTax;
@@ -870,227 +920,146 @@ export default function FinancialPlan() {
   const effectiveStocksCagr = stocksCagr;
   const effectiveInflation = inflationRate;
 
-  // Power Law Year 1 CAGR (for display purposes)
-  const powerLawYear1CAGR = useMemo(() => {
-    return getPowerLawCAGR(0); // Year 1 rate
-  }, []);
-  
-  // Power Law Year 10 CAGR (for display)
-  const powerLawYear10CAGR = useMemo(() => {
-    return getPowerLawCAGR(10);
-  }, []);
-
-  // BTC growth models - now based on btcReturnModel, not withdrawalStrategy
-  const getBtcGrowthRate = useCallback((yearFromNow, inflationRate) => {
-    let rate;
-    
-    // If custom_periods is selected, check for a custom period first
-    if (btcReturnModel === 'custom_periods') {
-      const customRate = getCustomReturnForYear('btc', yearFromNow, customReturnPeriods, null);
-      if (customRate !== null) {
-        return customRate;
-      }
-      // Fallback to Power Law if no custom period defined for this year
-      return getPowerLawCAGR(yearFromNow);
-    }
-    
-    switch (btcReturnModel) {
-      case 'powerlaw':
-        // Power Law model - use year-specific declining CAGR
-        rate = getPowerLawCAGR(yearFromNow);
-        break;
-      case 'saylor24':
-        // Saylor's Bitcoin 24 Model with extended phases:
-        // Phase 1 (2025-2037): 50% declining to 20%
-        // Phase 2 (2038-2045): Plateau at 20%
-        // Phase 3 (2046-2075): Decline from 20% to inflation + 3%
-        // Phase 4 (Beyond 2075): Terminal rate of inflation + 2%
-        const currentYear = new Date().getFullYear();
-        const absoluteYear = currentYear + yearFromNow;
-
-        if (absoluteYear <= 2037) {
-          // Phase 1: Linear decline from 50% to 20%
-          const yearsFromStart = absoluteYear - 2025;
-          rate = Math.max(20, 50 - (yearsFromStart * 2.5));
-        } else if (absoluteYear <= 2045) {
-          // Phase 2: Plateau at 20%
-          rate = 20;
-        } else if (absoluteYear <= 2075) {
-          // Phase 3: Decline from 20% to inflation + 3%
-          const yearsIntoDecline = absoluteYear - 2045;
-          const totalDeclineYears = 2075 - 2045; // 30 years
-          const targetRate = inflationRate + 3; // Mid-point of 2-4% above inflation
-          const declineAmount = 20 - targetRate;
-          rate = 20 - (declineAmount * (yearsIntoDecline / totalDeclineYears));
-        } else {
-          // Phase 4: Terminal rate (2% above inflation for long-term real returns)
-          rate = inflationRate + 2;
-        }
-        break;
-      default:
-        rate = effectiveBtcCagr;
-    }
-    
-    return rate;
-  }, [btcReturnModel, effectiveBtcCagr, customReturnPeriods]);
+  // Power Law Year 1 / Year 10 CAGR (for display purposes), with any saved power law params
+  const powerLawRate = useMemo(() => createBtcPriceModelRate('powerlaw', { btcCagr: effectiveBtcCagr, btcModelParams }), [effectiveBtcCagr, btcModelParams]);
+  const powerLawYear1CAGR = powerLawRate(0);
+  const powerLawYear10CAGR = powerLawRate(10);
+
+  // BTC growth models - now based on btcReturnModel, not withdrawalStrategy (see btcPriceModels)
+  const getBtcGrowthRate = useMemo(
+    () => createBtcGrowthRateFunction(btcReturnModel, effectiveBtcCagr, customReturnPeriods, btcModelParams),
+    [btcReturnModel, effectiveBtcCagr, customReturnPeriods, btcModelParams]
+  );
 
   // Number formatting helper
-  const formatNumber = (num, decimals = 0) => {
-    if (num == null || isNaN(num)) return '$0';
-    if (num >= 1e9) return `$${(num / 1e9).toFixed(decimals)}B`;
-    if (num >= 1e6) return `$${(num / 1e6).toFixed(decimals)}M`;
-    if (num >= 1e3) return `$${(num / 1e3).toFixed(decimals)}k`;
-    return `$${num.toLocaleString()}`;
-  };
+  const formatNumber = (num, decimals = 0) => formatAmount(num, { compact: true, decimals });
 
-  const formatNumberFull = (num) => {
-    if (num == null || isNaN(num)) return '$0';
-    return `$${num.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
-  };
+  const formatNumberFull = (num) => formatAmount(num);
 
   // Monte Carlo constants and functions now imported from shared module
 
-  // Monte Carlo simulation - now uses seeded RNG from shared module
-  const runMonteCarloSimulation = useCallback((numSimulations = 500) => {
-    const projectionYears = lifeExpectancy - currentAge + 1;
-    const paths = [];
-    const successResults = [];
-    const withdrawalPaths = [];
-
-    // Generate seed from current state
-    const seed = generateMonteCarloSeed(
-      {
-        current_age: currentAge,
-        retirement_age: retirementAge,
-        life_expectancy: lifeExpectancy,
-        annual_retirement_spending: retirementAnnualSpending,
-        gross_annual_income: grossAnnualIncome,
-        filing_status: filingStatus,
-        state_of_residence: stateOfResidence,
-        btc_cagr_assumption: btcCagr,
-        stocks_cagr: stocksCagr,
-        income_growth_rate: incomeGrowth,
-        inflation_rate: inflationRate,
-        btc_return_model: btcReturnModel,
-        asset_withdrawal_strategy: assetWithdrawalStrategy,
-        cost_basis_method: costBasisMethod,
-        custom_return_periods: customReturnPeriods,
-        ticker_returns: tickerReturns,
-      },
-      null, // no scenario
-      holdings,
-      liabilities,
-      accounts,
-      currentPrice
-    );
-
-    // Create seeded RNG
-    const seededRandom = createSeededRNG(seed);
-
-    // Generate random paths using seeded RNG
-    const baseParams = {
-      getBtcGrowthRate,
-      effectiveInflation,
-      effectiveStocksCagr,
-      bondsCagr,
-      realEstateCagr,
-      cashCagr,
-      otherCagr,
-    };
-
-    const generatedPaths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom);
-
-    for (let sim = 0; sim < numSimulations; sim++) {
-      const yearlyReturnOverrides = generatedPaths[sim];
-
-      // Run unified projection with randomized returns
-      const result = runUnifiedProjection({
-        holdings,
-        projectionType: 'monteCarlo',
-        monteCarloIteration: sim,
-        accounts,
-        liabilities,
-        collateralizedLoans,
-        currentPrice,
-        currentAge,
-        retirementAge,
-        lifeExpectancy,
-        retirementAnnualSpending,
-        effectiveSocialSecurity,
-        socialSecurityStartAge,
-        otherRetirementIncome,
-        annualSavings,
-        incomeGrowth,
-        grossAnnualIncome,
-        currentAnnualSpending,
-        filingStatus,
-        stateOfResidence,
-        contribution401k,
-        employer401kMatch,
-        contributionRothIRA,
-        contributionTraditionalIRA,
-        contributionHSA,
-        hsaFamilyCoverage,
-        getBtcGrowthRate,
-        effectiveInflation,
-        effectiveStocksCagr,
-        bondsCagr,
-        realEstateCagr,
-        cashCagr,
-        otherCagr,
-        savingsAllocationBtc,
-        savingsAllocationStocks,
-        savingsAllocationBonds,
-        savingsAllocationCash,
-        savingsAllocationOther,
-        investmentMode,
-        monthlyInvestmentAmount,
-        autoTopUpBtcCollateral,
-        btcTopUpTriggerLtv,
-        btcTopUpTargetLtv,
-        btcReleaseTriggerLtv,
-        btcReleaseTargetLtv,
-        goals,
-        lifeEvents,
-        getTaxTreatmentFromHolding,
-        yearlyReturnOverrides,
-        customReturnPeriods,
-        tickerReturns,
-        taxLots: [],
-        costBasisMethod,
-        assetWithdrawalStrategy,
-        withdrawalPriorityOrder,
-        withdrawalBlendPercentages,
-        futureBtcLoanRate,
-        futureBtcLoanRateYears,
-        DEBUG: false,
-      });
-
-        // Extract path data from result
-      const path = result.yearByYear.map(yearData => yearData.total || 0);
-      const withdrawalPath = result.yearByYear.map(yearData => 
-        (yearData.withdrawFromTaxable || 0) + 
-        (yearData.withdrawFromTaxDeferred || 0) + 
-        (yearData.withdrawFromTaxFree || 0)
-      );
-
-      paths.push(path);
-      withdrawalPaths.push(withdrawalPath);
-      successResults.push(result.survives);
-    }
+  // Monte Carlo seed from current state - same inputs → same seed → same results
+  const getMonteCarloSeed = useCallback(() => generateMonteCarloSeed(
+    {
+      current_age: currentAge,
+      retirement_age: retirementAge,
+      life_expectancy: lifeExpectancy,
+      annual_retirement_spending: retirementAnnualSpending,
+      gross_annual_income: grossAnnualIncome,
+      filing_status: filingStatus,
+      state_of_residence: stateOfResidence,
+      btc_cagr_assumption: btcCagr,
+      stocks_cagr: stocksCagr,
+      income_growth_rate: incomeGrowth,
+      inflation_rate: inflationRate,
+      btc_return_model: btcReturnModel,
+      btc_model_params: btcModelParams,
+      btc_regime_model: btcRegimeModel,
+      asset_correlations: assetCorrelations,
+      asset_volatilities: assetVolatilities,
+      asset_withdrawal_strategy: assetWithdrawalStrategy,
+      cost_basis_method: costBasisMethod,
+      custom_return_periods: customReturnPeriods,
+      ticker_returns: tickerReturns,
+      spouse_profile: spouseProfile,
+    },
+    null, // no scenario
+    holdings,
+    liabilities,
+    accounts,
+    currentPrice
+  ), [
+    currentAge, retirementAge, lifeExpectancy, retirementAnnualSpending, grossAnnualIncome, filingStatus,
+    stateOfResidence, btcCagr, stocksCagr, incomeGrowth, inflationRate, btcReturnModel, btcModelParams, btcRegimeModel, assetCorrelations, assetVolatilities, assetWithdrawalStrategy,
+    costBasisMethod, customReturnPeriods, tickerReturns, spouseProfile, holdings, liabilities, accounts, currentPrice
+  ]);
 
-    return { paths, successResults, withdrawalPaths };
-  }, [
+  // Projection params for the Monte Carlo worker pool. Functions can't be posted to a worker, so instead of
+  // getBtcGrowthRate/getTaxTreatmentFromHolding we pass btcReturnModel + btcCagr + btcModelParams and let the pool rebuild them.
+  // The safe-spending search runs on the core plan inputs only (default withdrawal order, no future loan rate).
+  const getSafeSpendingParams = useCallback(() => ({
+    holdings,
+    accounts,
+    liabilities,
+    collateralizedLoans,
+    currentPrice,
+    currentAge,
+    retirementAge,
+    lifeExpectancy,
+    retirementAnnualSpending,
+    effectiveSocialSecurity,
+    socialSecurityStartAge,
+    otherRetirementIncome,
+    annualSavings,
+    incomeGrowth,
+    grossAnnualIncome,
+    currentAnnualSpending,
+    filingStatus,
+    stateOfResidence,
+    contribution401k,
+    employer401kMatch,
+    contributionRothIRA,
+    contributionTraditionalIRA,
+    contributionHSA,
+    hsaFamilyCoverage,
+    btcReturnModel,
+    btcCagr: effectiveBtcCagr,
+    btcModelParams,
+    btcRegimeModel,
+    assetCorrelations: assetCorrelations ? resolveAssetCorrelations(assetCorrelations) : null,
+    assetVolatilities: resolveAssetVolatilities(assetVolatilities),
+    effectiveInflation,
+    effectiveStocksCagr,
+    bondsCagr,
+    realEstateCagr,
+    cashCagr,
+    otherCagr,
+    savingsAllocationBtc,
+    savingsAllocationStocks,
+    savingsAllocationBonds,
+    savingsAllocationCash,
+    savingsAllocationOther,
+    investmentMode,
+    monthlyInvestmentAmount,
+    autoTopUpBtcCollateral,
+    btcTopUpTriggerLtv,
+    btcTopUpTargetLtv,
+    btcReleaseTriggerLtv,
+    btcReleaseTargetLtv,
+    btcLenderProfiles: settings.btc_lender_profiles || [],
+    debtPayoffPlan: settings.debt_payoff_plan || null,
+    equityGrants: settings.equity_grants || [],
+    capitalLossCarryover: getCarryoverIntoYear(settings.capital_loss_carryover, currentYear),
+    goals,
+    lifeEvents,
+    customReturnPeriods,
+    tickerReturns,
+    costBasisMethod,
+    spendingPolicy,
+    spouse: buildSpouseProfile({ spouse_profile: spouseProfile, filing_status: filingStatus }),
+  }), [
     holdings, accounts, liabilities, collateralizedLoans, currentPrice, currentAge, retirementAge,
     lifeExpectancy, retirementAnnualSpending, effectiveSocialSecurity, socialSecurityStartAge,
     otherRetirementIncome, annualSavings, incomeGrowth, grossAnnualIncome, currentAnnualSpending,
     filingStatus, stateOfResidence, contribution401k, employer401kMatch, contributionRothIRA,
-    contributionTraditionalIRA, contributionHSA, hsaFamilyCoverage, getBtcGrowthRate, effectiveInflation,
-    effectiveStocksCagr, bondsCagr, realEstateCagr, cashCagr, otherCagr, savingsAllocationBtc,
-    savingsAllocationStocks, savingsAllocationBonds, savingsAllocationCash, savingsAllocationOther,
-    autoTopUpBtcCollateral, btcTopUpTriggerLtv, btcTopUpTargetLtv, btcReleaseTriggerLtv,
-    btcReleaseTargetLtv, goals, lifeEvents, getTaxTreatmentFromHolding,
-    activeTaxLots, costBasisMethod, btcReturnModel
+    contributionTraditionalIRA, contributionHSA, hsaFamilyCoverage, btcReturnModel, effectiveBtcCagr, btcModelParams, btcRegimeModel, assetCorrelations, assetVolatilities,
+    effectiveInflation, effectiveStocksCagr, bondsCagr, realEstateCagr, cashCagr, otherCagr,
+    savingsAllocationBtc, savingsAllocationStocks, savingsAllocationBonds, savingsAllocationCash,
+    savingsAllocationOther, investmentMode, monthlyInvestmentAmount, autoTopUpBtcCollateral,
+    btcTopUpTriggerLtv, btcTopUpTargetLtv, btcReleaseTriggerLtv, btcReleaseTargetLtv, settings.btc_lender_profiles, settings.debt_payoff_plan, settings.equity_grants, settings.capital_loss_carryover, goals, lifeEvents,
+    customReturnPeriods, tickerReturns, costBasisMethod, spendingPolicy, spouseProfile
+  ]);
+
+  const getMonteCarloParams = useCallback(() => ({
+    ...getSafeSpendingParams(),
+    assetWithdrawalStrategy,
+    withdrawalPriorityOrder,
+    withdrawalBlendPercentages,
+    futureBtcLoanRate,
+    futureBtcLoanRateYears,
+  }), [
+    getSafeSpendingParams, assetWithdrawalStrategy, withdrawalPriorityOrder, withdrawalBlendPercentages,
+    futureBtcLoanRate, futureBtcLoanRateYears
   ]);
 
   // Reusable projection function using buildProjectionParams
@@ -1171,353 +1140,29 @@ export default function FinancialPlan() {
     return result.yearByYear;
   }, [holdings, accounts, liabilities, btcCollateralizedLoans, goals, lifeEvents, activeTaxLots, currentPrice, userSettings, settings]);
 
-  // Calculate 90% safe spending using Monte Carlo binary search - SEEDED
-  const calculateSafeSpendingMonteCarlo = useCallback((numSimulations = 500) => {
-    let low = 0;
-    let high = 500000;
-    let safeSpending = 0;
-    
-    const projectionYears = lifeExpectancy - currentAge + 1;
-    
-    // Generate seed from current state
-    const seed = generateMonteCarloSeed(
-      {
-        current_age: currentAge,
-        retirement_age: retirementAge,
-        life_expectancy: lifeExpectancy,
-        annual_retirement_spending: retirementAnnualSpending,
-        gross_annual_income: grossAnnualIncome,
-        filing_status: filingStatus,
-        state_of_residence: stateOfResidence,
-        btc_cagr_assumption: btcCagr,
-        stocks_cagr: stocksCagr,
-        income_growth_rate: incomeGrowth,
-        inflation_rate: inflationRate,
-        btc_return_model: btcReturnModel,
-        asset_withdrawal_strategy: assetWithdrawalStrategy,
-        cost_basis_method: costBasisMethod,
-        custom_return_periods: customReturnPeriods,
-        ticker_returns: tickerReturns,
-      },
-      null,
-      holdings,
-      liabilities,
-      accounts,
-      currentPrice
-    );
-
-    // Create seeded RNG
-    const seededRandom = createSeededRNG(seed);
-    
-    console.log('=== FINANCIAL PLAN SAFE SPENDING DEBUG ===');
-    console.log('Seed value:', seed);
-    console.log('retirementAge:', retirementAge);
-    console.log('currentAnnualSpending:', currentAnnualSpending);
-    console.log('annualSavings:', annualSavings);
-    
-    // Generate base parameters
-    const baseParams = {
-      getBtcGrowthRate,
-      effectiveInflation,
-      effectiveStocksCagr,
-      bondsCagr,
-      realEstateCagr,
-      cashCagr,
-      otherCagr,
-    };
-    
-    // STEP 1: Generate all random paths ONCE at the start using seeded RNG
-    const paths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom);
-    
-    console.log('First path BTC returns (years 0-4):', paths[0]?.btc?.slice(0, 5));
-    
-    // STEP 2: Binary search using the SAME paths for each spending level test
-    for (let iteration = 0; iteration < 15; iteration++) {
-      const mid = Math.round((low + high) / 2);
-      let successes = 0;
-      
-      for (let sim = 0; sim < numSimulations; sim++) {
-        const result = runUnifiedProjection({
-          holdings,
-          projectionType: 'monteCarlo',
-          monteCarloIteration: sim,
-          accounts,
-          liabilities,
-          collateralizedLoans,
-          currentPrice,
-          currentAge,
-          retirementAge,
-          lifeExpectancy,
-          retirementAnnualSpending: mid,
-          effectiveSocialSecurity,
-          socialSecurityStartAge,
-          otherRetirementIncome,
-          annualSavings,
-          incomeGrowth,
-          grossAnnualIncome,
-          currentAnnualSpending,
-          filingStatus,
-          stateOfResidence,
-          contribution401k,
-          employer401kMatch,
-          contributionRothIRA,
-          contributionTraditionalIRA,
-          contributionHSA,
-          hsaFamilyCoverage,
-          getBtcGrowthRate,
-          effectiveInflation,
-          effectiveStocksCagr,
-          bondsCagr,
-          realEstateCagr,
-          cashCagr,
-          otherCagr,
-          savingsAllocationBtc,
-          savingsAllocationStocks,
-          savingsAllocationBonds,
-          savingsAllocationCash,
-          savingsAllocationOther,
-          investmentMode,
-          monthlyInvestmentAmount,
-          autoTopUpBtcCollateral,
-          btcTopUpTriggerLtv,
-          btcTopUpTargetLtv,
-          btcReleaseTriggerLtv,
-          btcReleaseTargetLtv,
-          goals,
-          lifeEvents,
-          getTaxTreatmentFromHolding,
-          yearlyReturnOverrides: paths[sim],
-          customReturnPeriods,
-          tickerReturns,
-          taxLots: [],
-          costBasisMethod,
-          DEBUG: false,
-        });
-        
-        // Detailed logging for safe spending comparison
-        if (mid >= 25000 && mid <= 26000 && sim < 3) {
-          const retIdx = retirementAge - currentAge;
-          const portfolioAtRet = result.yearByYear?.[retIdx]?.total || 0;
-          const finalTotal = result.yearByYear?.[result.yearByYear.length - 1]?.total || 0;
-          
-          // Find depletion year
-          let depletionYear = 'Never';
-          for (let y = 0; y < result.yearByYear.length; y++) {
-            if ((result.yearByYear[y]?.total || 0) <= 0) {
-              depletionYear = `Year ${y} (Age ${currentAge + y})`;
-              break;
-            }
-          }
-          
-          console.log(`Retire ${retirementAge} | Sim ${sim} | Portfolio@Ret: $${(portfolioAtRet/1000).toFixed(0)}K | Final: $${(finalTotal/1000).toFixed(0)}K | Depletes: ${depletionYear} | Survives: ${result.survives}`);
-        }
-        
-        if (result.survives) {
-          successes++;
-        }
-      }
-      
-      const successRate = successes / numSimulations;
-      if (successRate >= 0.90) {
-        safeSpending = mid;
-        low = mid;
-      } else {
-        high = mid;
-      }
-      
-      if (high - low <= 5000) break;
-    }
-    
-    // Debug: Compare failures at $40K spending
-    if (retirementAge === 32 || retirementAge === 35) {
-      console.log(`\n=== Debug: Comparing sims at $40K for Retire ${retirementAge} ===`);
-      const debugSpending = 40000;
-      let failCount = 0;
-      let failDetails = [];
-
-      for (let i = 0; i < paths.length; i++) {
-        const result = runUnifiedProjection({
-          holdings,
-          projectionType: 'monteCarlo',
-          monteCarloIteration: i,
-          accounts,
-          liabilities,
-          collateralizedLoans,
-          currentPrice,
-          currentAge,
-          retirementAge,
-          lifeExpectancy,
-          retirementAnnualSpending: debugSpending,
-          effectiveSocialSecurity,
-          socialSecurityStartAge,
-          otherRetirementIncome,
-          annualSavings,
-          incomeGrowth,
-          grossAnnualIncome,
-          currentAnnualSpending,
-          filingStatus,
-          stateOfResidence,
-          contribution401k,
-          employer401kMatch,
-          contributionRothIRA,
-          contributionTraditionalIRA,
-          contributionHSA,
-          hsaFamilyCoverage,
-          getBtcGrowthRate,
-          effectiveInflation,
-          effectiveStocksCagr,
-          bondsCagr,
-          realEstateCagr,
-          cashCagr,
-          otherCagr,
-          savingsAllocationBtc,
-          savingsAllocationStocks,
-          savingsAllocationBonds,
-          savingsAllocationCash,
-          savingsAllocationOther,
-          autoTopUpBtcCollateral,
-          btcTopUpTriggerLtv,
-          btcTopUpTargetLtv,
-          btcReleaseTriggerLtv,
-          btcReleaseTargetLtv,
-          goals,
-          lifeEvents,
-          getTaxTreatmentFromHolding,
-          yearlyReturnOverrides: paths[i],
-          customReturnPeriods,
-          tickerReturns,
-          taxLots: [],
-          costBasisMethod,
-          futureBtcLoanRate,
-          futureBtcLoanRateYears,
-          DEBUG: false,
-        });
-        
-        if (!result.survives) {
-          failCount++;
-          if (failDetails.length < 5) {
-            const retIdx = retirementAge - currentAge;
-            failDetails.push({
-              sim: i,
-              portfolioAtRet: result.yearByYear?.[retIdx]?.total || 0,
-              finalTotal: result.yearByYear?.[result.yearByYear.length - 1]?.total || 0
-            });
-          }
-        }
-      }
-      
-      console.log(`Retire ${retirementAge}: ${failCount}/${paths.length} failed at $40K`);
-      failDetails.forEach(f => {
-        console.log(`  Sim ${f.sim}: Portfolio@Ret $${(f.portfolioAtRet/1000).toFixed(0)}K | Final $${(f.finalTotal/1000).toFixed(0)}K`);
-      });
-    }
-    
-    // Debug: Run one more time at $25K to compare specific simulations
-    if (retirementAge === 32 || retirementAge === 35) {
-      console.log(`\n=== Comparing individual sims at $25K for Retire ${retirementAge} ===`);
-      const debugSpending = 25000;
-
-      let failedSims = [];
-      for (let i = 0; i < Math.min(paths.length, 20); i++) {
-        const result = runUnifiedProjection({
-          holdings,
-          projectionType: 'monteCarlo',
-          monteCarloIteration: i,
-          accounts,
-          liabilities,
-          collateralizedLoans,
-          currentPrice,
-          currentAge,
-          retirementAge,
-          lifeExpectancy,
-          retirementAnnualSpending: debugSpending,
-          effectiveSocialSecurity,
-          socialSecurityStartAge,
-          otherRetirementIncome,
-          annualSavings,
-          incomeGrowth,
-          grossAnnualIncome,
-          currentAnnualSpending,
-          filingStatus,
-          stateOfResidence,
-          contribution401k,
-          employer401kMatch,
-          contributionRothIRA,
-          contributionTraditionalIRA,
-          contributionHSA,
-          hsaFamilyCoverage,
-          getBtcGrowthRate,
-          effectiveInflation,
-          effectiveStocksCagr,
-          bondsCagr,
-          realEstateCagr,
-          cashCagr,
-          otherCagr,
-          savingsAllocationBtc,
-          savingsAllocationStocks,
-          savingsAllocationBonds,
-          savingsAllocationCash,
-          savingsAllocationOther,
-          autoTopUpBtcCollateral,
-          btcTopUpTriggerLtv,
-          btcTopUpTargetLtv,
-          btcReleaseTriggerLtv,
-          btcReleaseTargetLtv,
-          goals,
-          lifeEvents,
-          getTaxTreatmentFromHolding,
-          yearlyReturnOverrides: paths[i],
-          customReturnPeriods,
-          tickerReturns,
-          taxLots: [],
-          costBasisMethod,
-          DEBUG: false,
-        });
-        
-        if (!result.survives) {
-          const retIdx = retirementAge - currentAge;
-          const portfolioAtRet = result.yearByYear?.[retIdx]?.total || 0;
-          
-          // Find depletion year
-          let depletionAge = 'Unknown';
-          for (let y = 0; y < result.yearByYear.length; y++) {
-            if ((result.yearByYear[y]?.total || 0) <= 0) {
-              depletionAge = currentAge + y;
-              break;
-            }
-          }
-          
-          failedSims.push({ sim: i, portfolioAtRet, depletionAge });
-        }
-      }
-      
-      console.log(`Retire ${retirementAge}: ${failedSims.length}/20 sims failed at $25K`);
-      failedSims.slice(0, 5).forEach(f => {
-        console.log(`  Sim ${f.sim}: Portfolio@Ret $${(f.portfolioAtRet/1000).toFixed(0)}K, Depleted at age ${f.depletionAge}`);
+  // Run Monte Carlo when button clicked - simulations run in a worker pool so the page stays responsive.
+  // Progress: first half is the 500-path simulation, second half the safe-spending binary search.
+  const handleRunSimulation = async () => {
+    const controller = new AbortController();
+    monteCarloAbortRef.current = controller;
+    setMonteCarloProgress({ stage: 'Simulating 500 market paths', percent: 0 });
+
+    try {
+      const seed = getMonteCarloSeed();
+      const params = getMonteCarloParams();
+      const { successResults, withdrawalPaths, spendingPaths, spendingCutResults, distribution } = await runMonteCarloPlanInWorkers({
+        params,
+        numSimulations: 500,
+        seed,
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => setMonteCarloProgress({
+          stage: 'Simulating 500 market paths',
+          percent: (completed / total) * 50,
+        }),
       });
-    }
-    
-    return safeSpending;
-  }, [
-    holdings, accounts, liabilities, collateralizedLoans, currentPrice, currentAge, retirementAge,
-    lifeExpectancy, effectiveSocialSecurity, socialSecurityStartAge, otherRetirementIncome, annualSavings,
-    incomeGrowth, grossAnnualIncome, currentAnnualSpending, filingStatus, stateOfResidence,
-    contribution401k, employer401kMatch, contributionRothIRA, contributionTraditionalIRA, contributionHSA,
-    hsaFamilyCoverage, getBtcGrowthRate, effectiveInflation, effectiveStocksCagr, bondsCagr, realEstateCagr,
-    cashCagr, otherCagr, savingsAllocationBtc, savingsAllocationStocks, savingsAllocationBonds,
-    savingsAllocationCash, savingsAllocationOther, autoTopUpBtcCollateral, btcTopUpTriggerLtv,
-    btcTopUpTargetLtv, btcReleaseTriggerLtv, btcReleaseTargetLtv, goals, lifeEvents,
-    getTaxTreatmentFromHolding, customReturnPeriods, tickerReturns,
-    activeTaxLots, costBasisMethod, btcCagr, stocksCagr, inflationRate, btcReturnModel, assetWithdrawalStrategy
-  ]);
-
-  // Run Monte Carlo when button clicked
-  const handleRunSimulation = () => {
-    // Use setTimeout to prevent UI freezing during heavy computation
-    setTimeout(() => {
-      const { paths: simulations, successResults, withdrawalPaths } = runMonteCarloSimulation(500);
 
-      const percentiles = calculatePercentiles(simulations);
+      const percentiles = distribution.percentileBands;
+      const spendingPercentiles = calculatePercentiles(spendingPaths);
 
       // Calculate median withdrawal per year from simulations
       const medianWithdrawals = [];
@@ -1531,24 +1176,102 @@ export default function FinancialPlan() {
       // Calculate success probability - did you NOT run out of money through life expectancy?
       const probability = calculateSuccessProbability(successResults);
       setSuccessProbability(probability);
+
+      // Share of simulations where the spending policy had to cut below the planned amount
+      setSpendingCutProbability(spendingPolicy.type === 'fixed' ? null : calculateSuccessProbability(spendingCutResults));
       
-      // Calculate 90% safe spending
-      const safeSpendingResult = calculateSafeSpendingMonteCarlo(500);
+      // Calculate 90% safe spending (binary search over the same seeded paths)
+      const safeSpendingResult = await calculateSafeSpendingInWorkers({
+        params: getSafeSpendingParams(),
+        numSimulations: 500,
+        seed,
+        low: 0,
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => setMonteCarloProgress({
+          stage: 'Searching for 90% safe spending',
+          percent: 50 + (completed / total) * 50,
+        }),
+      });
       setSafeSpending90(safeSpendingResult);
 
       const chartData = percentiles.map((p, i) => ({
         age: currentAge + i,
         year: new Date().getFullYear() + i,
+        p5: Math.round(p.p5 || 0),
         p10: Math.round(p.p10 || 0),
         p25: Math.round(p.p25 || 0),
         p50: Math.round(p.p50 || 0),
         p75: Math.round(p.p75 || 0),
         p90: Math.round(p.p90 || 0),
+        p95: Math.round(p.p95 || 0),
+        // [low, high] ranges drawn as fan chart bands
+        band5to95: [Math.round(p.p5 || 0), Math.round(p.p95 || 0)],
+        band10to90: [Math.round(p.p10 || 0), Math.round(p.p90 || 0)],
+        band25to75: [Math.round(p.p25 || 0), Math.round(p.p75 || 0)],
         withdrawal: Math.round(medianWithdrawals[i] || 0),
+        spendingP10: Math.round(spendingPercentiles[i]?.p10 || 0),
+        spendingP50: Math.round(spendingPercentiles[i]?.p50 || 0),
+        spendingP90: Math.round(spendingPercentiles[i]?.p90 || 0),
         isRetired: i >= (retirementAge - currentAge),
       }));
 
       setSimulationResults(chartData);
+      setMonteCarloDistribution(distribution);
+      setMonteCarloRun({ seed, params, numSimulations: 500 });
+      setSelectedMonteCarloPath(null);
+    } catch (error) {
+      if (!isMonteCarloCancelled(error)) console.error('Monte Carlo error:', error);
+    } finally {
+      monteCarloAbortRef.current = null;
+      setMonteCarloProgress(null);
+    }
+  };
+
+  const handleCancelSimulation = () => {
+    monteCarloAbortRef.current?.abort();
+  };
+
+  // Re-run one sampled path (0-based index) with full year-by-year detail from the last run's seed
+  const handleSelectMonteCarloPath = (index) => {
+    if (!monteCarloRun || !Number.isInteger(index) || index < 0 || index >= monteCarloRun.numSimulations) return;
+    setSelectedMonteCarloPath(replayMonteCarloPath(monteCarloRun.params, {
+      seed: monteCarloRun.seed,
+      numSimulations: monteCarloRun.numSimulations,
+      index,
+    }));
+    setPathIndexInput(String(index + 1));
+  };
+
+  // Fan chart data with the drilled-down path overlaid
+  const fanChartData = useMemo(() => {
+    if (!simulationResults) return null;
+    if (!selectedMonteCarloPath) return simulationResults;
+    return simulationResults.map((d, i) => ({
+      ...d,
+      selectedPath: Math.round(selectedMonteCarloPath.yearByYear[i]?.total || 0),
+    }));
+  }, [simulationResults, selectedMonteCarloPath]);
+
+  // Stop any running simulation when leaving the page
+  useEffect(() => () => monteCarloAbortRef.current?.abort(), []);
+
+  // Replay every rolling start year of bundled market history (stocks/bonds/cash/CPI, BTC since 2011)
+  const handleRunHistoricalBacktest = () => {
+    setHistoricalBacktestRunning(true);
+    setTimeout(() => {
+      const effectiveSettings = userSettings.length > 0 ? userSettings[0] : DEFAULT_USER_SETTINGS;
+      const params = buildProjectionParams(effectiveSettings, {}, {
+        holdings,
+        accounts,
+        liabilities,
+        btcCollateralizedLoans,
+        goals,
+        lifeEvents,
+        activeTaxLots,
+        currentPrice,
+      });
+      setHistoricalBacktest(runHistoricalBacktest({ ...params, projectionType: 'historical' }));
+      setHistoricalBacktestRunning(false);
     }, 50);
   };
 
@@ -1715,70 +1438,28 @@ export default function FinancialPlan() {
     let low = 0;
     let high = 500000; // $500k/year upper bound
     
+    // Same params as the base check above, with only the extra savings added
+    const additionalSavingsParams = buildProjectionParams(settings, { retirement_age_override: retirementAge }, {
+      holdings,
+      accounts,
+      liabilities,
+      btcCollateralizedLoans,
+      goals,
+      lifeEvents,
+      activeTaxLots,
+      currentPrice,
+    });
+
     // Helper to run projection with additional savings
     const testWithAdditionalSavings = (additionalAmount) => {
       const result = runUnifiedProjection({
-        holdings,
+        ...additionalSavingsParams,
         projectionType: 'additionalSavings',
-        accounts,
-        liabilities,
-        collateralizedLoans,
-        currentPrice,
-        currentAge,
-        retirementAge,
-        lifeExpectancy,
-        retirementAnnualSpending,
-        effectiveSocialSecurity,
-        socialSecurityStartAge,
-        otherRetirementIncome,
-        annualSavings,
         additionalAnnualSavings: additionalAmount,
-        incomeGrowth,
-        grossAnnualIncome,
-        currentAnnualSpending,
-        filingStatus,
-        stateOfResidence,
-        contribution401k,
-        employer401kMatch,
-        contributionRothIRA,
-        contributionTraditionalIRA,
-        contributionHSA,
-        hsaFamilyCoverage,
-        getBtcGrowthRate,
-        effectiveInflation,
-        effectiveStocksCagr,
-        bondsCagr,
-        realEstateCagr,
-        cashCagr,
-        otherCagr,
-        savingsAllocationBtc,
-        savingsAllocationStocks,
-        savingsAllocationBonds,
-        savingsAllocationCash,
-        savingsAllocationOther,
-        investmentMode,
-        monthlyInvestmentAmount,
-        autoTopUpBtcCollateral,
-        btcTopUpTriggerLtv,
-        btcTopUpTargetLtv,
-        btcReleaseTriggerLtv,
-        btcReleaseTargetLtv,
-        goals,
-        lifeEvents,
-        getTaxTreatmentFromHolding,
-        customReturnPeriods,
-        tickerReturns,
-        taxLots: activeTaxLots,
-        costBasisMethod,
-        assetWithdrawalStrategy,
-        withdrawalPriorityOrder,
-        withdrawalBlendPercentages,
-        futureBtcLoanRate,
-        futureBtcLoanRateYears,
         DEBUG: false,
-        });
+      });
 
-        return result.survives;
+      return result.survives;
     };
     
     // First check if even max amount works
@@ -1948,13 +1629,13 @@ export default function FinancialPlan() {
       setGoalForm({
         name: editingGoal.name || '',
         type: editingGoal.type || 'savings',
-        target_amount: editingGoal.target_amount || '',
-        saved_so_far: editingGoal.saved_so_far || editingGoal.current_amount || '',
+        target_amount: toInputValue(fromUSD(editingGoal.target_amount)),
+        saved_so_far: toInputValue(fromUSD(editingGoal.saved_so_far || editingGoal.current_amount)),
         target_date: editingGoal.target_date || '',
         withdraw_from_portfolio: editingGoal.withdraw_from_portfolio || editingGoal.will_be_spent || false,
         linked_liability_id: editingGoal.linked_liability_id || '',
         payoff_strategy: editingGoal.payoff_strategy || 'minimum',
-        extra_monthly_payment: editingGoal.extra_monthly_payment || '',
+        extra_monthly_payment: toInputValue(fromUSD(editingGoal.extra_monthly_payment)),
         lump_sum_date: editingGoal.lump_sum_date || '',
         notes: editingGoal.notes || '',
       });
@@ -1965,10 +1646,10 @@ export default function FinancialPlan() {
     if (editingEvent) {
       setEventForm({
         name: editingEvent.name || '', event_type: editingEvent.event_type || 'expense_change', year: editingEvent.year || new Date().getFullYear() + 1,
-        amount: editingEvent.amount || '', is_recurring: editingEvent.is_recurring || false, recurring_years: editingEvent.recurring_years || '',
+        amount: toInputValue(fromUSD(editingEvent.amount)), is_recurring: editingEvent.is_recurring || false, recurring_years: editingEvent.recurring_years || '',
         affects: editingEvent.affects || 'expenses', notes: editingEvent.notes || '',
-        monthly_expense_impact: editingEvent.monthly_expense_impact || '', liability_amount: editingEvent.liability_amount || '',
-        down_payment: editingEvent.down_payment || '', interest_rate: editingEvent.interest_rate || '', loan_term_years: editingEvent.loan_term_years || '',
+        monthly_expense_impact: toInputValue(fromUSD(editingEvent.monthly_expense_impact)), liability_amount: toInputValue(fromUSD(editingEvent.liability_amount)),
+        down_payment: toInputValue(fromUSD(editingEvent.down_payment)), interest_rate: editingEvent.interest_rate || '', loan_term_years: editingEvent.loan_term_years || '',
         allocation_method: editingEvent.allocation_method || 'proportionate',
         btc_allocation: editingEvent.btc_allocation || 0,
         stocks_allocation: editingEvent.stocks_allocation || 0,
@@ -1990,13 +1671,13 @@ export default function FinancialPlan() {
     const data = {
       name: goalForm.name,
       type: goalForm.type,
-      target_amount: parseFloat(goalForm.target_amount) || 0,
+      target_amount: toUSD(parseFloat(goalForm.target_amount) || 0),
       target_date: goalForm.target_date || null,
-      saved_so_far: parseFloat(goalForm.saved_so_far) || 0,
+      saved_so_far: toUSD(parseFloat(goalForm.saved_so_far) || 0),
       withdraw_from_portfolio: goalForm.withdraw_from_portfolio || false,
       notes: goalForm.notes || null,
       payoff_strategy: goalForm.payoff_strategy || null,
-      extra_monthly_payment: parseFloat(goalForm.extra_monthly_payment) || null,
+      extra_monthly_payment: toUSD(parseFloat(goalForm.extra_monthly_payment)) || null,
       lump_sum_date: goalForm.lump_sum_date || null,
       linked_liability_id: goalForm.linked_liability_id || null,
     };
@@ -2009,11 +1690,11 @@ export default function FinancialPlan() {
     const data = {
       ...eventForm,
       year: parseInt(eventForm.year),
-      amount: parseFloat(eventForm.amount) || 0,
+      amount: toUSD(parseFloat(eventForm.amount) || 0),
       recurring_years: parseInt(eventForm.recurring_years) || 0,
-      monthly_expense_impact: parseFloat(eventForm.monthly_expense_impact) || 0,
-      liability_amount: parseFloat(eventForm.liability_amount) || 0,
-      down_payment: parseFloat(eventForm.down_payment) || 0,
+      monthly_expense_impact: toUSD(parseFloat(eventForm.monthly_expense_impact) || 0),
+      liability_amount: toUSD(parseFloat(eventForm.liability_amount) || 0),
+      down_payment: toUSD(parseFloat(eventForm.down_payment) || 0),
       interest_rate: parseFloat(eventForm.interest_rate) || 0,
       loan_term_years: parseInt(eventForm.loan_term_years) || 0,
       affects: eventForm.event_type === 'home_purchase' ? 'multiple' : eventForm.affects,
@@ -2071,10 +1752,16 @@ export default function FinancialPlan() {
             <Label className="text-zinc-300 font-medium mb-3 block">Bitcoin Return Model</Label>
             <div className="grid grid-cols-2 lg:grid-cols-4 gap-2">
               {[
-                { value: 'custom', label: 'Custom %', desc: `${btcCagr}% CAGR` },
-                { value: 'saylor24', label: 'Saylor Model', desc: '50%→20%' },
-                { value: 'powerlaw', label: 'Power Law', desc: `${powerLawYear1CAGR.toFixed(0)}%→${powerLawYear10CAGR.toFixed(0)}%`, hasTooltip: true },
-                { value: 'custom_periods', label: 'Custom Periods', desc: '⚙️ Configure', isAction: true },
+                ...getBtcPriceModelOptions().map(model => ({
+                  value: model.value,
+                  label: model.label,
+                  desc: model.value === 'custom'
+                    ? `${btcCagr}% CAGR`
+                    : describeBtcModelRates(model.value, { btcCagr: effectiveBtcCagr, btcModelParams, inflationRate: effectiveInflation }),
+                  hasTooltip: model.value === 'powerlaw',
+                  isAction: false,
+                })),
+                { value: 'custom_periods', label: 'Custom Periods', desc: '⚙️ Configure', hasTooltip: false, isAction: true },
               ].map(model => (
                 <div key={model.value} className="relative">
                   <button
@@ -2129,6 +1816,14 @@ export default function FinancialPlan() {
                 Power Law growth: {powerLawYear1CAGR.toFixed(1)}% Year 1 → {powerLawYear10CAGR.toFixed(1)}% Year 10 (declining)
               </p>
             )}
+            <BtcPriceModelSettings
+              modelKey={btcReturnModel}
+              btcModelParams={btcModelParams}
+              onChange={setBtcModelParams}
+              btcCagr={effectiveBtcCagr}
+              currentPrice={currentPrice}
+              inflationRate={effectiveInflation}
+            />
             {btcReturnModel === 'custom_periods' && (
               <div className="mt-3 space-y-2">
                 <p className="text-xs text-zinc-500">
@@ -2629,7 +2324,7 @@ export default function FinancialPlan() {
                       <h5 className="text-xs font-semibold text-zinc-300 uppercase tracking-wide">Save More</h5>
                     </div>
                     <p className="text-2xl font-bold text-blue-400">
-                      +${monthlySavingsNeeded.toLocaleString()}<span className="text-sm text-zinc-500">/mo</span>
+                      +{formatAmount(monthlySavingsNeeded)}<span className="text-sm text-zinc-500">/mo</span>
                     </p>
                     <p className="text-[10px] text-zinc-500 mt-1">to retire at age {retirementAge}</p>
                   </div>
@@ -2824,8 +2519,8 @@ export default function FinancialPlan() {
                   >
                     <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
                     <XAxis dataKey="age" stroke="#71717a" fontSize={12} />
-                    <YAxis yAxisId="left" stroke="#71717a" fontSize={12} tickFormatter={(v) => `$${(v/1000000).toFixed(1)}M`} />
-                    <YAxis yAxisId="right" orientation="right" stroke="#71717a" fontSize={12} tickFormatter={(v) => `$${(v/1000).toFixed(0)}k`} />
+                    <YAxis yAxisId="left" stroke="#71717a" fontSize={12} tickFormatter={(v) => formatAmount(v, { compact: true, decimals: 1 })} />
+                    <YAxis yAxisId="right" orientation="right" stroke="#71717a" fontSize={12} tickFormatter={(v) => formatAmount(v, { compact: true })} />
                     <RechartsTooltip
                       contentStyle={{ 
                         backgroundColor: '#18181b', 
@@ -2870,6 +2565,9 @@ export default function FinancialPlan() {
                                 )}
                               </div>
                               <p className="text-xs text-zinc-500">{p.isRetired ? '(Retirement)' : '(Pre-Retirement)'}{lockedTooltipData ? ' • Click to unlock' : ''}</p>
+                              {p.spouseAge != null && (
+                                <p className="text-xs text-zinc-500">Spouse age {p.spouseAge}{!p.primaryAlive ? ' • Surviving spouse' : !p.spouseAlive ? ' • Widowed, filing single' : ''}</p>
+                              )}
                             </div>
                             <div className="space-y-2">
                               {((p.btcLiquid || 0) > 0 || (p.btcEncumbered || 0) > 0) && (() => {
@@ -2883,7 +2581,7 @@ export default function FinancialPlan() {
                                     <div className="flex justify-between gap-6">
                                       <span className="text-orange-400 font-medium">Bitcoin:</span>
                                       <span className="text-zinc-200 font-medium text-right">
-                                        ${((p.btcLiquid || 0) + (p.btcEncumbered || 0)).toLocaleString()}
+                                        {formatAmount((p.btcLiquid || 0) + (p.btcEncumbered || 0))}
                                         <span className="text-zinc-500 text-xs ml-1">({totalBtcAmount.toFixed(4)} BTC)</span>
                                         <span className="text-zinc-600 text-xs ml-1">@ {(p.btcGrowthRate || 0).toFixed(1)}%</span>
                                       </span>
@@ -2892,7 +2590,7 @@ export default function FinancialPlan() {
                                       <div className="flex justify-between gap-6 pl-3">
                                         <span className="text-orange-400/70 font-light text-sm">└ Liquid:</span>
                                         <span className="text-zinc-300 text-sm text-right">
-                                          ${(p.btcLiquid || 0).toLocaleString()}
+                                          {formatAmount(p.btcLiquid)}
                                           <span className="text-zinc-500 text-xs ml-1">({liquidBtcAmount.toFixed(4)} BTC)</span>
                                         </span>
                                       </div>
@@ -2901,7 +2599,7 @@ export default function FinancialPlan() {
                                       <div className="flex justify-between gap-6 pl-3">
                                         <span className="text-amber-700/70 font-light text-sm">└ Collateral 🔒:</span>
                                         <span className="text-zinc-300 text-sm text-right">
-                                          ${(p.btcEncumbered || 0).toLocaleString()}
+                                          {formatAmount(p.btcEncumbered)}
                                           <span className="text-zinc-500 text-xs ml-1">({collateralBtcAmount.toFixed(4)} BTC)</span>
                                         </span>
                                       </div>
@@ -2912,36 +2610,42 @@ export default function FinancialPlan() {
                               <div className="flex justify-between gap-6">
                                 <span className="text-blue-400 font-light">Stocks:</span>
                                 <span className="text-zinc-200 font-medium text-right">
-                                  ${(p.stocks || 0).toLocaleString()}
+                                  {formatAmount(p.stocks)}
                                   <span className="text-zinc-600 text-xs ml-1">@ {(p.stocksGrowthRate || 0).toFixed(1)}%</span>
                                 </span>
                               </div>
                               <div className="flex justify-between gap-6">
                                 <span className="text-emerald-400 font-light">Real Estate:</span>
                                 <span className="text-zinc-200 font-medium text-right">
-                                  ${(p.realEstate || 0).toLocaleString()}
+                                  {formatAmount(p.realEstate)}
                                   <span className="text-zinc-600 text-xs ml-1">@ {(p.realEstateGrowthRate || 0).toFixed(1)}%</span>
                                 </span>
                               </div>
                               <div className="flex justify-between gap-6">
                                 <span className="text-purple-400 font-light">Bonds:</span>
                                 <span className="text-zinc-200 font-medium text-right">
-                                  ${(p.bonds || 0).toLocaleString()}
+                                  {formatAmount(p.bonds)}
                                   <span className="text-zinc-600 text-xs ml-1">@ {(p.bondsGrowthRate || 0).toFixed(1)}%</span>
                                 </span>
                               </div>
                               <div className="flex justify-between gap-6">
                                 <span className="text-cyan-400 font-light">Cash:</span>
                                 <span className="text-zinc-200 font-medium text-right">
-                                  ${(p.cash || 0).toLocaleString()}
+                                  {formatAmount(p.cash)}
                                   <span className="text-zinc-600 text-xs ml-1">@ {(p.cashGrowthRate || 0).toFixed(1)}%</span>
                                 </span>
                               </div>
                               <div className="pt-3 mt-3 border-t border-zinc-700/70 space-y-1.5">
                                 <div className="flex justify-between gap-6">
                                   <span className="text-zinc-100 font-semibold">Total Assets:</span>
-                                  <span className="text-zinc-100 font-semibold text-right">${(p.total || 0).toLocaleString()}</span>
+                                  <span className="text-zinc-100 font-semibold text-right">{formatAmount(p.total)}</span>
                                 </div>
+                                {(p.education529Balance || 0) > 0 && (
+                                  <div className="flex justify-between gap-6 text-xs">
+                                    <span className="text-violet-400">529 Plans (education only):</span>
+                                    <span className="text-zinc-300 text-right">{formatAmount(p.education529Balance)}</span>
+                                  </div>
+                                )}
                               </div>
                               
                               {/* Debt Summary - Simplified */}
@@ -2949,26 +2653,26 @@ export default function FinancialPlan() {
                                 <div className="pt-3 mt-3 border-t border-zinc-700/70">
                                   <div className="flex justify-between gap-6">
                                     <span className="text-rose-300 font-semibold">Total Debt:</span>
-                                    <span className="text-rose-300 font-semibold">-${(p.totalDebt || 0).toLocaleString()}</span>
+                                    <span className="text-rose-300 font-semibold">-{formatAmount(p.totalDebt)}</span>
                                   </div>
                                   {p.totalBtcLoanDebt > 0 && (
                                     <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                                       <span>BTC-Backed:</span>
-                                      <span>${(p.totalBtcLoanDebt || 0).toLocaleString()} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
+                                      <span>{formatAmount(p.totalBtcLoanDebt)} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
                                     </div>
                                   )}
                                   {p.totalRegularDebt > 0 && (
                                     <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                                       <span>Regular Debt:</span>
-                                      <span>${(p.totalRegularDebt || 0).toLocaleString()}</span>
+                                      <span>{formatAmount(p.totalRegularDebt)}</span>
                                     </div>
                                   )}
                                   <div className="flex justify-between gap-6 mt-2 pt-2 border-t border-zinc-700/40">
-                                    <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                                    <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
                                       Net Worth:
                                     </span>
-                                    <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                                      ${((p.total || 0) - (p.totalDebt || 0)).toLocaleString()}
+                                    <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                                      {formatAmount((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0))}
                                     </span>
                                   </div>
                                 </div>
@@ -2980,75 +2684,80 @@ export default function FinancialPlan() {
                                   <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                                    <div className="flex justify-between gap-6">
                                      <span>Gross Income:</span>
-                                     <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                                     <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                                    </div>
                                    {p.lifeEventIncome > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Life Event Income:</span>
-                                       <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                                      </div>
                                    )}
                                    {p.loanProceeds > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Loan Proceeds:</span>
-                                       <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                                      </div>
                                    )}
                                    {p.totalDividendIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Dividend Income:</span>
-                                        <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                                       </div>
                                     )}
                                     {p.federalTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Federal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.stateTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>{stateOfResidence} State Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalTax > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalPenalty > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Penalty (10%):</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                       </div>
                                     )}
                                     <div className="flex justify-between gap-6">
                                       <span>Spending:</span>
-                                      <span className="text-zinc-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                                      <span className="text-zinc-300 text-right">-{formatAmount(p.yearSpending)}</span>
                                     </div>
                                     {p.goalFunding > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Goal Funding:</span>
-                                        <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
+                                      </div>
+                                    )}
+                                    {p.extraDebtPayments > 0 && (
+                                      <div className="text-xs text-zinc-500">
+                                        (incl. {formatAmount(p.extraDebtPayments)} extra debt payments)
                                       </div>
                                     )}
                                     {p.lifeEventExpense > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Life Event Expense:</span>
-                                        <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                                       </div>
                                     )}
                                     </div>
                                     {p.debtPayments > 0 && (
                                     <div className="text-xs text-zinc-500 mb-2">
-                                      (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                                      (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                                     </div>
                                   )}
                                   <div className="pt-2 border-t border-zinc-700/40">
                                     <p className={`font-semibold text-sm ${p.netCashFlow >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                                      Net Cash Flow: {p.netCashFlow >= 0 ? '+' : ''}${p.netCashFlow.toLocaleString()}
+                                      Net Cash Flow: {p.netCashFlow >= 0 ? '+' : ''}{formatAmount(p.netCashFlow)}
                                     </p>
                                   </div>
                                   {/* Withdrawal sources for pre-retirement deficit */}
@@ -3058,31 +2767,31 @@ export default function FinancialPlan() {
                                       {p.withdrawFromTaxable > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Taxable:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromTaxDeferred > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Tax-Deferred:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromTaxFree > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Tax-Free:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                                         </div>
                                       )}
                                       {p.earlyWithdrawalTax > 0 && (
                                        <div className="flex justify-between gap-6">
                                          <span>Early Withdrawal Tax:</span>
-                                         <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                         <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                        </div>
                                       )}
                                       {p.earlyWithdrawalPenalty > 0 && (
                                        <div className="flex justify-between gap-6">
                                          <span>Early Withdrawal Penalty (10%):</span>
-                                         <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                         <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                        </div>
                                       )}
                                       </div>
@@ -3099,25 +2808,25 @@ export default function FinancialPlan() {
                                              {r.sellAsset} from {r.fromAccount} → {r.buyAsset} in {r.toAccount}
                                            </p>
                                            <p className="ml-3 text-zinc-500">
-                                             Sold: ${r.amount.toLocaleString()}
+                                             Sold: {formatAmount(r.amount)}
                                            </p>
                                            {r.capitalGains > 0 && (
                                              <p className="ml-3 text-zinc-500">
-                                               Capital Gains: ${r.capitalGains.toLocaleString()}
+                                               Capital Gains: {formatAmount(r.capitalGains)}
                                              </p>
                                            )}
                                            {r.taxPaid > 0 && (
                                              <p className="ml-3 text-rose-400">
-                                               Tax: -${r.taxPaid.toLocaleString()}
+                                               Tax: -{formatAmount(r.taxPaid)}
                                              </p>
                                            )}
                                            {r.penaltyPaid > 0 && (
                                              <p className="ml-3 text-rose-400">
-                                               Penalty: -${r.penaltyPaid.toLocaleString()}
+                                               Penalty: -{formatAmount(r.penaltyPaid)}
                                              </p>
                                            )}
                                            <p className="ml-3 text-emerald-400">
-                                             Net Proceeds: ${r.netProceeds.toLocaleString()}
+                                             Net Proceeds: {formatAmount(r.netProceeds)}
                                            </p>
                                          </div>
                                        ))}
@@ -3135,72 +2844,83 @@ export default function FinancialPlan() {
                                     <div className="flex justify-between gap-6">
                                       <span>Gross Income:</span>
                                       <span className="text-emerald-400 text-right">
-                                        {otherRetirementIncome > 0 ? `+$${otherRetirementIncome.toLocaleString()}` : '$0'}
+                                        {otherRetirementIncome > 0 ? `+${formatAmount(otherRetirementIncome)}` : formatAmount(0)}
                                       </span>
                                     </div>
                                     {p.lifeEventIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Life Event Income:</span>
-                                        <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                                       </div>
                                     )}
                                     {p.totalDividendIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Dividend Income:</span>
-                                        <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                                       </div>
                                     )}
                                     {p.socialSecurityIncome > 0 && (
                                     <div className="flex justify-between gap-6">
-                                      <span>Social Security Income:</span>
-                                      <span className="text-emerald-400 text-right">+${p.socialSecurityIncome.toLocaleString()}</span>
+                                      <span>Social Security Income{p.survivorBenefit > 0 ? ' (Survivor)' : ''}:</span>
+                                      <span className="text-emerald-400 text-right">+{formatAmount(p.socialSecurityIncome)}</span>
+                                    </div>
+                                    )}
+                                    {p.isRetired && p.spouseEarnedIncome > 0 && (
+                                    <div className="flex justify-between gap-6">
+                                      <span>Spouse Income:</span>
+                                      <span className="text-emerald-400 text-right">+{formatAmount(p.spouseEarnedIncome)}</span>
                                     </div>
                                     )}
                                     {p.rmdWithdrawn > 0 && (
                                     <div className="flex justify-between gap-6">
                                       <span>RMD (Required):</span>
-                                      <span className="text-emerald-400 text-right">+${p.rmdWithdrawn.toLocaleString()}</span>
+                                      <span className="text-emerald-400 text-right">+{formatAmount(p.rmdWithdrawn)}</span>
                                     </div>
                                     )}
                                     {p.excessRmdReinvested > 0 && (
                                       <div className="flex justify-between gap-6 text-xs">
                                         <span className="text-zinc-500">└ Excess RMD Reinvested:</span>
-                                        <span className="text-zinc-400 text-right">${p.excessRmdReinvested.toLocaleString()}</span>
+                                        <span className="text-zinc-400 text-right">{formatAmount(p.excessRmdReinvested)}</span>
                                       </div>
                                     )}
                                     {/* Expenses */}
                                     <div className="flex justify-between gap-6">
                                       <span>Spending:</span>
-                                      <span className="text-zinc-300 text-right">-${(p.retirementSpendingOnly || 0).toLocaleString()}</span>
+                                      <span className="text-zinc-300 text-right">-{formatAmount(p.retirementSpendingOnly)}</span>
                                     </div>
                                     {p.yearGoalWithdrawal > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Goal Funding:</span>
-                                        <span className="text-zinc-300 text-right">-${p.yearGoalWithdrawal.toLocaleString()}</span>
+                                        <span className="text-zinc-300 text-right">-{formatAmount(p.yearGoalWithdrawal)}</span>
+                                      </div>
+                                    )}
+                                    {p.extraDebtPayments > 0 && (
+                                      <div className="text-xs text-zinc-500">
+                                        (incl. {formatAmount(p.extraDebtPayments)} extra debt payments)
                                       </div>
                                     )}
                                     {p.federalTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Federal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.stateTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>{stateOfResidence} State Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalTax > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalPenalty > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Penalty (10%):</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                       </div>
                                     )}
                                   </div>
@@ -3211,7 +2931,7 @@ export default function FinancialPlan() {
                                       </p>
                                     ) : (
                                       <p className="font-semibold text-rose-400 text-sm">
-                                        Net Withdrawal from Portfolio: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                                        Net Withdrawal from Portfolio: -{formatAmount(p.totalWithdrawalAmount)}
                                       </p>
                                     )}
                                   </div>
@@ -3221,31 +2941,31 @@ export default function FinancialPlan() {
                                       {p.withdrawFromTaxable > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Taxable:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromTaxDeferred > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Tax-Deferred:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromTaxFree > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Tax-Free:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromRealEstate > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Real Estate:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromRealEstate.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromRealEstate)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromLoanPayoff > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Loan Payoff:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromLoanPayoff.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromLoanPayoff)}</span>
                                         </div>
                                       )}
                                     </div>
@@ -3256,10 +2976,10 @@ export default function FinancialPlan() {
                                       {p.loanPayoffs.map((lp, lpIdx) => (
                                         <div key={lpIdx} className="text-[10px] text-zinc-400 mt-1">
                                           <div className="font-medium text-orange-300">{lp.loanName}</div>
-                                          <div>Debt Cleared: ${Math.round(lp.debtPaid).toLocaleString()}</div>
-                                          <div>BTC Released: {(lp.btcReleased || 0).toFixed(4)} BTC (${Math.round(lp.equityReleased || 0).toLocaleString()})</div>
-                                          <div>Tax on Sale: ${Math.round(lp.taxOnSale || 0).toLocaleString()}</div>
-                                          <div>Net Equity Applied: ${Math.round(lp.appliedToDeficit || 0).toLocaleString()}</div>
+                                          <div>Debt Cleared: {formatAmount(lp.debtPaid)}</div>
+                                          <div>BTC Released: {(lp.btcReleased || 0).toFixed(4)} BTC ({formatAmount(lp.equityReleased)})</div>
+                                          <div>Tax on Sale: {formatAmount(lp.taxOnSale)}</div>
+                                          <div>Net Equity Applied: {formatAmount(lp.appliedToDeficit)}</div>
                                         </div>
                                       ))}
                                     </div>
@@ -3268,9 +2988,9 @@ export default function FinancialPlan() {
                                     <div className="mt-2 p-2 rounded bg-cyan-500/10 border border-cyan-500/20">
                                       <p className="text-xs text-cyan-400 font-medium">🏠 Real Estate Sold</p>
                                       <div className="text-[10px] text-zinc-400 mt-1">
-                                        <div>Sale Proceeds: ${(p.realEstateSaleProceeds || 0).toLocaleString()}</div>
-                                        <div>Used for Withdrawal: ${(p.withdrawFromRealEstate || 0).toLocaleString()}</div>
-                                        <div>Added to Taxable: ${((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0)).toLocaleString()}</div>
+                                        <div>Sale Proceeds: {formatAmount(p.realEstateSaleProceeds)}</div>
+                                        <div>Used for Withdrawal: {formatAmount(p.withdrawFromRealEstate)}</div>
+                                        <div>Added to Taxable: {formatAmount((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0))}</div>
                                       </div>
                                     </div>
                                   )}
@@ -3282,99 +3002,99 @@ export default function FinancialPlan() {
                                   <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                                     <div className="flex justify-between gap-6">
                                       <span>• Gross Income:</span>
-                                      <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                                      <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                                     </div>
                                     {p.lifeEventIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Life Event Income:</span>
-                                        <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                                       </div>
                                     )}
                                     {p.loanProceeds > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Loan Proceeds:</span>
-                                        <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                                       </div>
                                     )}
                                     {p.federalTaxPaid > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>• Federal Tax:</span>
-                                       <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                       <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                                      </div>
                                     )}
                                     {p.stateTaxPaid > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>• {stateOfResidence} State Tax:</span>
-                                       <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                       <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                                      </div>
                                     )}
                                     {p.earlyWithdrawalTax > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Early Withdrawal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalPenalty > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Early Withdrawal Penalty (10%):</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                       </div>
                                     )}
                                     {p.year401kContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• 401k/403b Contribution:</span>
-                                        <span className="text-rose-300 text-right">-${p.year401kContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.year401kContribution)}</span>
                                       </div>
                                     )}
                                     {p.yearEmployer401kMatch > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Employer 401k Match:</span>
-                                        <span className="text-emerald-400 text-right">+${p.yearEmployer401kMatch.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.yearEmployer401kMatch)}</span>
                                       </div>
                                     )}
                                     {p.yearRothContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Roth IRA Contribution:</span>
-                                        <span className="text-rose-300 text-right">-${p.yearRothContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.yearRothContribution)}</span>
                                       </div>
                                     )}
                                     {p.yearTraditionalIRAContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Traditional IRA Contribution:</span>
-                                        <span className="text-rose-300 text-right">-${p.yearTraditionalIRAContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.yearTraditionalIRAContribution)}</span>
                                       </div>
                                     )}
                                     {p.yearTraditionalIRANonDeductible > 0 && (
                                       <div className="flex justify-between gap-6 text-xs">
                                         <span className="text-amber-400 ml-3">└ Non-deductible:</span>
-                                        <span className="text-amber-400 text-right">${p.yearTraditionalIRANonDeductible.toLocaleString()}</span>
+                                        <span className="text-amber-400 text-right">{formatAmount(p.yearTraditionalIRANonDeductible)}</span>
                                       </div>
                                     )}
                                     {p.yearHSAContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• HSA Contribution:</span>
-                                        <span className="text-rose-300 text-right">-${p.yearHSAContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.yearHSAContribution)}</span>
                                       </div>
                                     )}
                                     {(p.solo401kEmployeeContribution > 0 || p.solo401kEmployerContribution > 0) && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Solo 401k ({p.solo401kType}):</span>
-                                        <span className="text-rose-300 text-right">-${(p.solo401kEmployeeContribution + p.solo401kEmployerContribution).toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.solo401kEmployeeContribution + p.solo401kEmployerContribution)}</span>
                                       </div>
                                     )}
                                     <div className="flex justify-between gap-6">
                                       <span>• Spending:</span>
-                                      <span className="text-rose-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                                      <span className="text-rose-300 text-right">-{formatAmount(p.yearSpending)}</span>
                                     </div>
                                   </div>
                                   {(p.debtPayments > 0) && (
                                     <div className="text-xs text-zinc-500 mb-2">
-                                      (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                                      (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                                     </div>
                                   )}
                                   <div className="pt-2 border-t border-zinc-700/40">
                                     <p className="font-semibold text-emerald-400 text-sm">
-                                      Net Savings: ${p.netCashFlow.toLocaleString()}
+                                      Net Savings: {formatAmount(p.netCashFlow)}
                                     </p>
                                   </div>
                                 </div>
@@ -3406,25 +3126,25 @@ export default function FinancialPlan() {
                                           {r.sellAsset} from {r.fromAccount} → {r.buyAsset} in {r.toAccount}
                                         </p>
                                         <p className="ml-3 text-zinc-500">
-                                          Sold: ${r.amount.toLocaleString()}
+                                          Sold: {formatAmount(r.amount)}
                                         </p>
                                         {r.capitalGains > 0 && (
                                           <p className="ml-3 text-zinc-500">
-                                            Capital Gains: ${r.capitalGains.toLocaleString()}
+                                            Capital Gains: {formatAmount(r.capitalGains)}
                                           </p>
                                         )}
                                         {r.taxPaid > 0 && (
                                           <p className="ml-3 text-rose-400">
-                                            Tax: -${r.taxPaid.toLocaleString()}
+                                            Tax: -{formatAmount(r.taxPaid)}
                                           </p>
                                         )}
                                         {r.penaltyPaid > 0 && (
                                           <p className="ml-3 text-rose-400">
-                                            Penalty: -${r.penaltyPaid.toLocaleString()}
+                                            Penalty: -{formatAmount(r.penaltyPaid)}
                                           </p>
                                         )}
                                         <p className="ml-3 text-emerald-400">
-                                          Net Proceeds: ${r.netProceeds.toLocaleString()}
+                                          Net Proceeds: {formatAmount(r.netProceeds)}
                                         </p>
                                       </div>
                                     ))}
@@ -3453,9 +3173,9 @@ export default function FinancialPlan() {
                                             {liq.remainingDebt <= 0 ? '⚠️ Loan Liquidated:' : '⚠️ Partial Liquidation:'}
                                           </p>
                                           <p className="text-rose-400">• {liq.liabilityName}</p>
-                                          <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC ($${(liq.proceeds || 0).toLocaleString()})`}</p>
+                                          <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC (${formatAmount(liq.proceeds)})`}</p>
                                           {liq.remainingDebt > 0 && (
-                                            <p className="ml-3 text-zinc-500">Remaining debt: ${liq.remainingDebt?.toLocaleString()} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
+                                            <p className="ml-3 text-zinc-500">Remaining debt: {formatAmount(liq.remainingDebt)} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
                                           )}
                                         </>
                                       )}
@@ -3664,6 +3384,9 @@ export default function FinancialPlan() {
                     <Area type="monotone" dataKey="btcEncumbered" stackId="1" stroke="#92400e" fill="#b45309" fillOpacity={0.4} name="Bitcoin (Collateral) 🔒" yAxisId="left" />
                     <Area type="monotone" dataKey="btcLiquid" stackId="1" stroke="#F7931A" fill="#F7931A" fillOpacity={0.6} name="Bitcoin (Liquid)" yAxisId="left" />
                     <Line type="monotone" dataKey="total" stroke="#ffffff" strokeWidth={2} dot={false} name="Total Assets" yAxisId="left" />
+                    {projections.some(p => p.education529Balance > 0) && (
+                      <Line type="monotone" dataKey="education529Balance" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="6 3" dot={false} name="529 Plans" yAxisId="left" />
+                    )}
                     <Line type="monotone" dataKey="totalDebt" stroke="#ef4444" strokeWidth={2} strokeDasharray="3 3" dot={false} name="Total Debt" yAxisId="left" />
                     <Line type="monotone" dataKey="yearGoalWithdrawal" stroke="#fb923c" strokeWidth={2} strokeDasharray="4 4" dot={(props) => {
                       // Show dots for years with goal withdrawals
@@ -3728,6 +3451,9 @@ export default function FinancialPlan() {
                       </button>
                     </div>
                     <p className="text-xs text-zinc-500">{p.isRetired ? '(Retirement)' : '(Pre-Retirement)'}</p>
+                    {p.spouseAge != null && (
+                      <p className="text-xs text-zinc-500">Spouse age {p.spouseAge}{!p.primaryAlive ? ' • Surviving spouse' : !p.spouseAlive ? ' • Widowed, filing single' : ''}</p>
+                    )}
                   </div>
                   <div className="space-y-2">
                     {((p.btcLiquid || 0) > 0 || (p.btcEncumbered || 0) > 0) && (() => {
@@ -3741,7 +3467,7 @@ export default function FinancialPlan() {
                           <div className="flex justify-between gap-6">
                             <span className="text-orange-400 font-medium">Bitcoin:</span>
                             <span className="text-zinc-200 font-medium text-right">
-                              ${((p.btcLiquid || 0) + (p.btcEncumbered || 0)).toLocaleString()}
+                              {formatAmount((p.btcLiquid || 0) + (p.btcEncumbered || 0))}
                               <span className="text-zinc-500 text-xs ml-1">({totalBtcAmount.toFixed(4)} BTC)</span>
                               <span className="text-zinc-600 text-xs ml-1">@ {(p.btcGrowthRate || 0).toFixed(1)}%</span>
                             </span>
@@ -3750,7 +3476,7 @@ export default function FinancialPlan() {
                             <div className="flex justify-between gap-6 pl-3">
                               <span className="text-orange-400/70 font-light text-sm">└ Liquid:</span>
                               <span className="text-zinc-300 text-sm text-right">
-                                ${(p.btcLiquid || 0).toLocaleString()}
+                                {formatAmount(p.btcLiquid)}
                                 <span className="text-zinc-500 text-xs ml-1">({liquidBtcAmount.toFixed(4)} BTC)</span>
                               </span>
                             </div>
@@ -3759,7 +3485,7 @@ export default function FinancialPlan() {
                             <div className="flex justify-between gap-6 pl-3">
                               <span className="text-amber-700/70 font-light text-sm">└ Collateral 🔒:</span>
                               <span className="text-zinc-300 text-sm text-right">
-                                ${(p.btcEncumbered || 0).toLocaleString()}
+                                {formatAmount(p.btcEncumbered)}
                                 <span className="text-zinc-500 text-xs ml-1">({collateralBtcAmount.toFixed(4)} BTC)</span>
                               </span>
                             </div>
@@ -3770,36 +3496,42 @@ export default function FinancialPlan() {
                     <div className="flex justify-between gap-6">
                       <span className="text-blue-400 font-light">Stocks:</span>
                       <span className="text-zinc-200 font-medium text-right">
-                        ${(p.stocks || 0).toLocaleString()}
+                        {formatAmount(p.stocks)}
                         <span className="text-zinc-600 text-xs ml-1">@ {(p.stocksGrowthRate || 0).toFixed(1)}%</span>
                       </span>
                     </div>
                     <div className="flex justify-between gap-6">
                       <span className="text-emerald-400 font-light">Real Estate:</span>
                       <span className="text-zinc-200 font-medium text-right">
-                        ${(p.realEstate || 0).toLocaleString()}
+                        {formatAmount(p.realEstate)}
                         <span className="text-zinc-600 text-xs ml-1">@ {(p.realEstateGrowthRate || 0).toFixed(1)}%</span>
                       </span>
                     </div>
                     <div className="flex justify-between gap-6">
                       <span className="text-purple-400 font-light">Bonds:</span>
                       <span className="text-zinc-200 font-medium text-right">
-                        ${(p.bonds || 0).toLocaleString()}
+                        {formatAmount(p.bonds)}
                         <span className="text-zinc-600 text-xs ml-1">@ {(p.bondsGrowthRate || 0).toFixed(1)}%</span>
                       </span>
                     </div>
                     <div className="flex justify-between gap-6">
                       <span className="text-cyan-400 font-light">Cash:</span>
                       <span className="text-zinc-200 font-medium text-right">
-                        ${(p.cash || 0).toLocaleString()}
+                        {formatAmount(p.cash)}
                         <span className="text-zinc-600 text-xs ml-1">@ {(p.cashGrowthRate || 0).toFixed(1)}%</span>
                       </span>
                     </div>
                     <div className="pt-3 mt-3 border-t border-zinc-700/70 space-y-1.5">
                       <div className="flex justify-between gap-6">
                         <span className="text-zinc-100 font-semibold">Total Assets:</span>
-                        <span className="text-zinc-100 font-semibold text-right">${(p.total || 0).toLocaleString()}</span>
+                        <span className="text-zinc-100 font-semibold text-right">{formatAmount(p.total)}</span>
                       </div>
+                      {(p.education529Balance || 0) > 0 && (
+                        <div className="flex justify-between gap-6 text-xs">
+                          <span className="text-violet-400">529 Plans (education only):</span>
+                          <span className="text-zinc-300 text-right">{formatAmount(p.education529Balance)}</span>
+                        </div>
+                      )}
                     </div>
                     
                     {/* Debt Summary - Detailed */}
@@ -3807,26 +3539,26 @@ export default function FinancialPlan() {
                       <div className="pt-3 mt-3 border-t border-zinc-700/70">
                         <div className="flex justify-between gap-6">
                           <span className="text-rose-300 font-semibold">Total Debt:</span>
-                          <span className="text-rose-300 font-semibold">-${(p.totalDebt || 0).toLocaleString()}</span>
+                          <span className="text-rose-300 font-semibold">-{formatAmount(p.totalDebt)}</span>
                         </div>
                         {p.totalBtcLoanDebt > 0 && (
                           <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                             <span>BTC-Backed:</span>
-                            <span>${(p.totalBtcLoanDebt || 0).toLocaleString()} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
+                            <span>{formatAmount(p.totalBtcLoanDebt)} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
                           </div>
                         )}
                         {p.totalRegularDebt > 0 && (
                           <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                             <span>Regular Debt:</span>
-                            <span>${(p.totalRegularDebt || 0).toLocaleString()}</span>
+                            <span>{formatAmount(p.totalRegularDebt)}</span>
                           </div>
                         )}
                         <div className="flex justify-between gap-6 mt-2 pt-2 border-t border-zinc-700/40">
-                          <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                          <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
                             Net Worth:
                           </span>
-                          <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                            ${((p.total || 0) - (p.totalDebt || 0)).toLocaleString()}
+                          <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                            {formatAmount((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0))}
                           </span>
                         </div>
                       </div>
@@ -3839,36 +3571,36 @@ export default function FinancialPlan() {
                         <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                           <div className="flex justify-between gap-6">
                             <span>Gross Income:</span>
-                            <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                            <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                           </div>
                           {p.lifeEventIncome > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Life Event Income:</span>
-                              <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                             </div>
                           )}
                           {p.loanProceeds > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Loan Proceeds:</span>
-                              <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                             </div>
                           )}
                           {p.totalDividendIncome > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Dividend Income:</span>
-                              <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                             </div>
                           )}
                           {p.federalTaxPaid > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Federal Tax:</span>
-                              <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                             </div>
                           )}
                           {p.stateTaxPaid > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>{stateOfResidence} State Tax:</span>
-                             <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                             <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                            </div>
                           )}
                           {(p.federalTaxPaid > 0 || p.stateTaxPaid > 0) && p.taxableIncome > 0 && (
@@ -3878,24 +3610,24 @@ export default function FinancialPlan() {
                           )}
                           <div className="flex justify-between gap-6">
                             <span>Spending:</span>
-                            <span className="text-zinc-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                            <span className="text-zinc-300 text-right">-{formatAmount(p.yearSpending)}</span>
                           </div>
                           {p.goalFunding > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Goal Funding:</span>
-                              <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                             </div>
                           )}
                           {p.lifeEventExpense > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Life Event Expense:</span>
-                              <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                             </div>
                           )}
                           </div>
                         {p.debtPayments > 0 && (
                           <div className="text-xs text-zinc-500 mb-2">
-                            (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                            (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                           </div>
                         )}
                         <div className="pt-2 border-t border-zinc-700/40">
@@ -3905,7 +3637,7 @@ export default function FinancialPlan() {
                             </p>
                           ) : (
                             <p className="font-semibold text-rose-400 text-sm">
-                              Net Withdrawal from Portfolio: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                              Net Withdrawal from Portfolio: -{formatAmount(p.totalWithdrawalAmount)}
                             </p>
                           )}
                         </div>
@@ -3916,25 +3648,25 @@ export default function FinancialPlan() {
                             {p.withdrawFromTaxable > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Taxable:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                               </div>
                             )}
                             {p.withdrawFromTaxDeferred > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Tax-Deferred:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                               </div>
                             )}
                             {p.withdrawFromTaxFree > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Tax-Free:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                               </div>
                             )}
                             {p.penaltyPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Early Withdrawal Penalty:</span>
-                                <span className="text-rose-300 text-right">-${p.penaltyPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.penaltyPaid)}</span>
                               </div>
                             )}
                           </div>
@@ -3950,66 +3682,72 @@ export default function FinancialPlan() {
                           <div className="flex justify-between gap-6">
                             <span>Gross Income:</span>
                             <span className="text-emerald-400 text-right">
-                              {otherRetirementIncome > 0 ? `+$${otherRetirementIncome.toLocaleString()}` : '$0'}
+                              {otherRetirementIncome > 0 ? `+${formatAmount(otherRetirementIncome)}` : formatAmount(0)}
                             </span>
                           </div>
                           {p.lifeEventIncome > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Life Event Income:</span>
-                              <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                             </div>
                           )}
                           {p.totalDividendIncome > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Dividend Income:</span>
-                              <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                             </div>
                           )}
                           {p.socialSecurityIncome > 0 && (
                             <div className="flex justify-between gap-6">
-                              <span>Social Security Income:</span>
-                              <span className="text-emerald-400 text-right">+${p.socialSecurityIncome.toLocaleString()}</span>
+                              <span>Social Security Income{p.survivorBenefit > 0 ? ' (Survivor)' : ''}:</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.socialSecurityIncome)}</span>
+                            </div>
+                          )}
+                          {p.isRetired && p.spouseEarnedIncome > 0 && (
+                            <div className="flex justify-between gap-6">
+                              <span>Spouse Income:</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.spouseEarnedIncome)}</span>
                             </div>
                           )}
                           {p.rmdWithdrawn > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>RMD (Required):</span>
-                              <span className="text-emerald-400 text-right">+${p.rmdWithdrawn.toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.rmdWithdrawn)}</span>
                             </div>
                           )}
                           {p.excessRmdReinvested > 0 && (
                             <div className="flex justify-between gap-6 text-xs">
                               <span className="text-zinc-500">└ Excess RMD Reinvested:</span>
-                              <span className="text-zinc-400 text-right">${p.excessRmdReinvested.toLocaleString()}</span>
+                              <span className="text-zinc-400 text-right">{formatAmount(p.excessRmdReinvested)}</span>
                             </div>
                           )}
                           {/* Expenses */}
                           <div className="flex justify-between gap-6">
                             <span>Spending:</span>
-                            <span className="text-zinc-300 text-right">-${(p.retirementSpendingOnly || 0).toLocaleString()}</span>
+                            <span className="text-zinc-300 text-right">-{formatAmount(p.retirementSpendingOnly)}</span>
                           </div>
                           {p.goalFunding > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Goal Funding:</span>
-                              <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                             </div>
                           )}
                           {p.lifeEventExpense > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Life Event Expense:</span>
-                              <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                             </div>
                           )}
                           {p.federalTaxPaid > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>Federal Tax:</span>
-                              <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                             </div>
                           )}
                           {p.stateTaxPaid > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>{stateOfResidence} State Tax:</span>
-                             <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                             <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                            </div>
                           )}
                           {(p.federalTaxPaid > 0 || p.stateTaxPaid > 0) && p.taxableIncome > 0 && (
@@ -4020,13 +3758,13 @@ export default function FinancialPlan() {
                           {p.earlyWithdrawalTax > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>Early Withdrawal Tax:</span>
-                             <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                             <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                            </div>
                           )}
                           {p.earlyWithdrawalPenalty > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>Early Withdrawal Penalty (10%):</span>
-                             <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                             <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                            </div>
                           )}
                           </div>
@@ -4037,7 +3775,7 @@ export default function FinancialPlan() {
                             </p>
                           ) : (
                             <p className="font-semibold text-rose-400 text-sm">
-                              Net Withdrawal from Portfolio: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                              Net Withdrawal from Portfolio: -{formatAmount(p.totalWithdrawalAmount)}
                             </p>
                           )}
                         </div>
@@ -4047,31 +3785,31 @@ export default function FinancialPlan() {
                             {p.withdrawFromTaxable > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Taxable:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                               </div>
                             )}
                             {p.withdrawFromTaxDeferred > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Tax-Deferred:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                               </div>
                             )}
                             {p.withdrawFromTaxFree > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Tax-Free:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                               </div>
                             )}
                             {p.withdrawFromRealEstate > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Real Estate:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromRealEstate.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromRealEstate)}</span>
                               </div>
                             )}
                             {p.withdrawFromLoanPayoff > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>From Loan Payoff:</span>
-                                <span className="text-rose-400 text-right">-${p.withdrawFromLoanPayoff.toLocaleString()}</span>
+                                <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromLoanPayoff)}</span>
                               </div>
                             )}
                           </div>
@@ -4082,10 +3820,10 @@ export default function FinancialPlan() {
                             {p.loanPayoffs.map((lp, lpIdx) => (
                               <div key={lpIdx} className="text-[10px] text-zinc-400 mt-1">
                                 <div className="font-medium text-orange-300">{lp.loanName}</div>
-                                <div>Debt Cleared: ${Math.round(lp.debtPaid).toLocaleString()}</div>
-                                <div>BTC Released: {(lp.btcReleased || 0).toFixed(4)} BTC (${Math.round(lp.equityReleased || 0).toLocaleString()})</div>
-                                <div>Tax on Sale: ${Math.round(lp.taxOnSale || 0).toLocaleString()}</div>
-                                <div>Net Equity Applied: ${Math.round(lp.appliedToDeficit || 0).toLocaleString()}</div>
+                                <div>Debt Cleared: {formatAmount(lp.debtPaid)}</div>
+                                <div>BTC Released: {(lp.btcReleased || 0).toFixed(4)} BTC ({formatAmount(lp.equityReleased)})</div>
+                                <div>Tax on Sale: {formatAmount(lp.taxOnSale)}</div>
+                                <div>Net Equity Applied: {formatAmount(lp.appliedToDeficit)}</div>
                               </div>
                             ))}
                           </div>
@@ -4094,9 +3832,9 @@ export default function FinancialPlan() {
                           <div className="mt-2 p-2 rounded bg-cyan-500/10 border border-cyan-500/20">
                             <p className="text-xs text-cyan-400 font-medium">🏠 Real Estate Sold</p>
                             <div className="text-[10px] text-zinc-400 mt-1">
-                              <div>Sale Proceeds: ${(p.realEstateSaleProceeds || 0).toLocaleString()}</div>
-                              <div>Used for Withdrawal: ${(p.withdrawFromRealEstate || 0).toLocaleString()}</div>
-                              <div>Added to Taxable: ${((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0)).toLocaleString()}</div>
+                              <div>Sale Proceeds: {formatAmount(p.realEstateSaleProceeds)}</div>
+                              <div>Used for Withdrawal: {formatAmount(p.withdrawFromRealEstate)}</div>
+                              <div>Added to Taxable: {formatAmount((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0))}</div>
                             </div>
                           </div>
                         )}
@@ -4108,72 +3846,72 @@ export default function FinancialPlan() {
                         <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                          <div className="flex justify-between gap-6">
                            <span>• Gross Income:</span>
-                           <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                           <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                          </div>
                          {p.lifeEventIncome > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>• Life Event Income:</span>
-                             <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                             <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                            </div>
                          )}
                          {p.loanProceeds > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>• Loan Proceeds:</span>
-                             <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                             <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                            </div>
                          )}
                          {p.federalTaxPaid > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>• Federal Tax:</span>
-                             <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                             <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                            </div>
                           )}
                           {p.stateTaxPaid > 0 && (
                            <div className="flex justify-between gap-6">
                              <span>• {stateOfResidence} State Tax:</span>
-                             <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                             <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                            </div>
                           )}
                           {p.earlyWithdrawalTax > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Early Withdrawal Tax:</span>
-                              <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                             </div>
                           )}
                           {p.earlyWithdrawalPenalty > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Early Withdrawal Penalty (10%):</span>
-                              <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                             </div>
                           )}
                           {p.year401kContribution > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• 401k/403b Contribution:</span>
-                              <span className="text-rose-300 text-right">-${p.year401kContribution.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.year401kContribution)}</span>
                             </div>
                           )}
                           {p.yearEmployer401kMatch > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Employer 401k Match:</span>
-                              <span className="text-emerald-400 text-right">+${p.yearEmployer401kMatch.toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">+{formatAmount(p.yearEmployer401kMatch)}</span>
                             </div>
                           )}
                           {p.yearRothContribution > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Roth IRA Contribution:</span>
-                              <span className="text-rose-300 text-right">-${p.yearRothContribution.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.yearRothContribution)}</span>
                             </div>
                           )}
                           {p.yearTraditionalIRAContribution > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Traditional IRA Contribution:</span>
-                              <span className="text-rose-300 text-right">-${p.yearTraditionalIRAContribution.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.yearTraditionalIRAContribution)}</span>
                             </div>
                           )}
                           {p.yearTraditionalIRANonDeductible > 0 && (
                             <div className="p-2 rounded bg-amber-500/10 border border-amber-500/20 mt-1">
                               <p className="text-xs text-amber-400">
-                                ⚠️ Non-deductible Traditional IRA: ${p.yearTraditionalIRANonDeductible.toLocaleString()}
+                                ⚠️ Non-deductible Traditional IRA: {formatAmount(p.yearTraditionalIRANonDeductible)}
                                 <span className="text-zinc-500 ml-1">(above MAGI limit)</span>
                               </p>
                               <p className="text-[10px] text-zinc-500 mt-1">
@@ -4184,29 +3922,29 @@ export default function FinancialPlan() {
                           {p.yearHSAContribution > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• HSA Contribution:</span>
-                              <span className="text-rose-300 text-right">-${p.yearHSAContribution.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.yearHSAContribution)}</span>
                             </div>
                           )}
                           <div className="flex justify-between gap-6">
                             <span>• Spending:</span>
-                            <span className="text-rose-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                            <span className="text-rose-300 text-right">-{formatAmount(p.yearSpending)}</span>
                           </div>
                           {p.goalFunding > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Goal Funding:</span>
-                              <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                             </div>
                           )}
                           {p.lifeEventExpense > 0 && (
                             <div className="flex justify-between gap-6">
                               <span>• Life Event Expense:</span>
-                              <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                             </div>
                           )}
                         </div>
                         {(p.debtPayments > 0) && (
                           <div className="text-xs text-zinc-500 mb-2">
-                            (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                            (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                           </div>
                         )}
                         <div className="pt-2 border-t border-zinc-700/40">
@@ -4216,7 +3954,7 @@ export default function FinancialPlan() {
                             </p>
                           ) : (
                             <p className="font-semibold text-rose-400 text-sm">
-                              Net Withdrawal from Portfolio: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                              Net Withdrawal from Portfolio: -{formatAmount(p.totalWithdrawalAmount)}
                             </p>
                           )}
                         </div>
@@ -4234,25 +3972,25 @@ export default function FinancialPlan() {
                                 {r.sellAsset} from {r.fromAccount} → {r.buyAsset} in {r.toAccount}
                               </p>
                               <p className="ml-3 text-zinc-500">
-                                Sold: ${r.amount.toLocaleString()}
+                                Sold: {formatAmount(r.amount)}
                               </p>
                               {r.capitalGains > 0 && (
                                 <p className="ml-3 text-zinc-500">
-                                  Capital Gains: ${r.capitalGains.toLocaleString()}
+                                  Capital Gains: {formatAmount(r.capitalGains)}
                                 </p>
                               )}
                               {r.taxPaid > 0 && (
                                 <p className="ml-3 text-rose-400">
-                                  Tax: -${r.taxPaid.toLocaleString()}
+                                  Tax: -{formatAmount(r.taxPaid)}
                                 </p>
                               )}
                               {r.penaltyPaid > 0 && (
                                 <p className="ml-3 text-rose-400">
-                                  Penalty: -${r.penaltyPaid.toLocaleString()}
+                                  Penalty: -{formatAmount(r.penaltyPaid)}
                                 </p>
                               )}
                               <p className="ml-3 text-emerald-400">
-                                Net Proceeds: ${r.netProceeds.toLocaleString()}
+                                Net Proceeds: {formatAmount(r.netProceeds)}
                               </p>
                             </div>
                           ))}
@@ -4296,9 +4034,9 @@ export default function FinancialPlan() {
                                   {liq.remainingDebt <= 0 ? '⚠️ Loan Liquidated:' : '⚠️ Partial Liquidation:'}
                                 </p>
                                 <p className="text-rose-400">• {liq.liabilityName}</p>
-                                <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC ($${(liq.proceeds || 0).toLocaleString()})`}</p>
+                                <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC (${formatAmount(liq.proceeds)})`}</p>
                                 {liq.remainingDebt > 0 && (
-                                  <p className="ml-3 text-zinc-500">Remaining debt: ${liq.remainingDebt?.toLocaleString()} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
+                                  <p className="ml-3 text-zinc-500">Remaining debt: {formatAmount(liq.remainingDebt)} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
                                 )}
                               </>
                             )}
@@ -4436,10 +4174,8 @@ export default function FinancialPlan() {
               const selectedProjection = projections.find(p => p.year === selectedBracketYear) || projections[0];
               const taxableIncome = selectedProjection?.taxableIncome || 0;
               
-              // Get inflation-adjusted brackets for selected year
-              const config = getTaxConfigForYear(selectedBracketYear);
-              const normalizedStatus = filingStatus === 'married' ? 'married_filing_jointly' : filingStatus;
-              const brackets = config.federalBrackets[normalizedStatus] || config.federalBrackets.single;
+              // Brackets for the selected year, inflation-projected the same way as the projection
+              const brackets = getTaxRules(selectedBracketYear, filingStatus, { inflationRate: effectiveInflation / 100 }).ordinaryBrackets;
               
               // Find current bracket
               const currentBracket = brackets.find(b => taxableIncome <= b.max) || brackets[brackets.length - 1];
@@ -4450,7 +4186,7 @@ export default function FinancialPlan() {
                   {/* Summary */}
                   <div className="flex justify-between text-sm mb-1">
                     <span className="text-zinc-400">Your taxable income:</span>
-                    <span className="text-white font-medium">${taxableIncome.toLocaleString()}</span>
+                    <span className="text-white font-medium">{formatAmount(taxableIncome)}</span>
                   </div>
                   <div className="flex justify-between text-sm mb-4">
                     <span className="text-zinc-400">Current bracket:</span>
@@ -4535,12 +4271,12 @@ export default function FinancialPlan() {
                                 {nextBracket && (
                                   <div className="flex justify-between">
                                     <span className="text-zinc-400">Stay under {nextBracket.label}:</span>
-                                    <span className="text-green-400">${roomInCurrent.toLocaleString()} available</span>
+                                    <span className="text-green-400">{formatAmount(roomInCurrent)} available</span>
                                   </div>
                                 )}
                                 <div className="flex justify-between text-zinc-500">
                                   <span>Tax cost to fill bracket:</span>
-                                  <span>${Math.round(taxCostToFill).toLocaleString()}</span>
+                                  <span>{formatAmount(taxCostToFill)}</span>
                                 </div>
                               </>
                             )}
@@ -4618,7 +4354,7 @@ export default function FinancialPlan() {
                           <p className="text-[10px] text-rose-400 font-medium">Liquidation occurred</p>
                         )}
                         <p className="text-[10px] text-zinc-500 mt-1">
-                          Debt: ${(s.data?.totalBtcLoanDebt || 0).toLocaleString()}
+                          Debt: {formatAmount(s.data?.totalBtcLoanDebt)}
                         </p>
                         {totalCollateralBtc > 0 && (
                           <p className="text-[10px] text-zinc-400 mt-0.5">
@@ -4645,10 +4381,10 @@ export default function FinancialPlan() {
                       )}>{loan.ltv}% LTV</span>
                     </div>
                     <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
-                      <div><span className="text-zinc-500">Balance:</span> <span className="text-rose-300">${loan.balance.toLocaleString()}</span></div>
-                      <div><span className="text-zinc-500">Collateral:</span> <span className="text-emerald-400">${loan.collateralValue.toLocaleString()}</span></div>
+                      <div><span className="text-zinc-500">Balance:</span> <span className="text-rose-300">{formatAmount(loan.balance)}</span></div>
+                      <div><span className="text-zinc-500">Collateral:</span> <span className="text-emerald-400">{formatAmount(loan.collateralValue)}</span></div>
                       <div><span className="text-zinc-500">BTC Locked:</span> <span className="text-orange-400">{loan.collateralBtc?.toFixed(4)}</span></div>
-                      <div><span className="text-zinc-500">Equity:</span> <span className="text-emerald-400">${(loan.collateralValue - loan.balance).toLocaleString()}</span></div>
+                      <div><span className="text-zinc-500">Equity:</span> <span className="text-emerald-400">{formatAmount(loan.collateralValue - loan.balance)}</span></div>
                     </div>
                   </div>
                 ))}
@@ -4695,6 +4431,9 @@ export default function FinancialPlan() {
                     <p><span className="text-rose-400">LTV ≥ {userSettings[0]?.btc_liquidation_ltv || 80}%:</span> <span className="text-zinc-400">Collateral liquidated to pay off loan entirely</span></p>
                   </div>
                 </div>
+                <p className="text-xs text-zinc-500 mt-3">
+                  Loans with a lender profile (set on the Leverage page) use that lender's thresholds and compounding instead.
+                </p>
                 <p className="text-xs text-zinc-500 mt-3">
                   To model paying off a loan early, create a Debt Payoff Goal linked to the loan.
                 </p>
@@ -4812,6 +4551,9 @@ export default function FinancialPlan() {
                   </p>
                       </div>
                     </div>
+                    {(filingStatus === 'married' || filingStatus === 'married_filing_jointly') && (
+                      <SpouseSettings profile={spouseProfile} onChange={setSpouseProfile} />
+                    )}
                   </div>
                 )}
               </div>
@@ -4830,15 +4572,15 @@ export default function FinancialPlan() {
                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                       <div className="space-y-2">
                         <Label className="text-zinc-400">Gross Income (Pre-Retirement)</Label>
-                        <Input type="number" value={grossAnnualIncome} onChange={(e) => setGrossAnnualIncome(parseFloat(e.target.value) || 0)} className="bg-zinc-900 border-zinc-800" />
+                        <Input type="number" value={toInputValue(fromUSD(grossAnnualIncome))} onChange={(e) => setGrossAnnualIncome(toUSD(parseFloat(e.target.value) || 0))} className="bg-zinc-900 border-zinc-800" />
                         <p className="text-xs text-zinc-500">Salary/wages used until retirement age</p>
                       </div>
                       <div className="space-y-2">
                         <Label className="text-zinc-400">Gross Income (In Retirement)</Label>
                         <Input 
                           type="number" 
-                          value={otherRetirementIncome} 
-                          onChange={(e) => setOtherRetirementIncome(parseFloat(e.target.value) || 0)} 
+                          value={toInputValue(fromUSD(otherRetirementIncome))} 
+                          onChange={(e) => setOtherRetirementIncome(toUSD(parseFloat(e.target.value) || 0))} 
                           className="bg-zinc-900 border-zinc-800" 
                           placeholder="0"
                         />
@@ -4846,11 +4588,11 @@ export default function FinancialPlan() {
                       </div>
                       <div className="space-y-2">
                         <Label className="text-zinc-400">Annual Spending (After Tax)</Label>
-                        <Input type="number" value={currentAnnualSpending} onChange={(e) => setCurrentAnnualSpending(parseFloat(e.target.value) || 0)} className="bg-zinc-900 border-zinc-800" />
+                        <Input type="number" value={toInputValue(fromUSD(currentAnnualSpending))} onChange={(e) => setCurrentAnnualSpending(toUSD(parseFloat(e.target.value) || 0))} className="bg-zinc-900 border-zinc-800" />
                       </div>
                       <div className="space-y-2">
                         <Label className="text-zinc-400">Target Retirement Spending</Label>
-                        <Input type="number" value={retirementAnnualSpending} onChange={(e) => setRetirementAnnualSpending(parseFloat(e.target.value) || 0)} className="bg-zinc-900 border-zinc-800" />
+                        <Input type="number" value={toInputValue(fromUSD(retirementAnnualSpending))} onChange={(e) => setRetirementAnnualSpending(toUSD(parseFloat(e.target.value) || 0))} className="bg-zinc-900 border-zinc-800" />
                         <p className="text-xs text-zinc-500">Annual spending goal in retirement</p>
                       </div>
                     </div>
@@ -4869,6 +4611,104 @@ export default function FinancialPlan() {
                 </button>
                 {sectionsExpanded.withdrawalStrategy && (
                   <div className="p-4 bg-zinc-900/30 space-y-6">
+                    {/* Retirement Spending Policy */}
+                    <div>
+                      <Label className="text-zinc-300 text-sm mb-3 block">Retirement Spending Policy</Label>
+                      <p className="text-xs text-zinc-500 mb-3">How should retirement spending respond to market performance? Dynamic policies trade some income stability for a higher chance of success.</p>
+                      <div className="grid grid-cols-2 lg:grid-cols-3 gap-3">
+                        {SPENDING_POLICY_OPTIONS.map(policy => (
+                          <div
+                            key={policy.value}
+                            onClick={() => setSpendingPolicy(prev => ({ ...prev, type: policy.value }))}
+                            className={cn(
+                              "p-3 rounded-lg border cursor-pointer transition-all",
+                              spendingPolicy.type === policy.value
+                                ? "bg-orange-500/20 border-orange-500/50 ring-1 ring-orange-500/30"
+                                : "bg-zinc-800/30 border-zinc-700 hover:border-zinc-600"
+                            )}
+                          >
+                            <span className={cn(
+                              "font-medium text-sm",
+                              spendingPolicy.type === policy.value ? "text-orange-400" : "text-zinc-300"
+                            )}>
+                              {policy.label}
+                            </span>
+                            <p className="text-xs text-zinc-500 mt-1">{policy.desc}</p>
+                          </div>
+                        ))}
+                      </div>
+
+                      {spendingPolicy.type === 'guardrails' && (
+                        <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 mt-4 p-4 rounded-lg bg-zinc-800/30 border border-zinc-700">
+                          {[
+                            { key: 'upperGuardrailPercent', label: 'Upper Guardrail %', min: 5, max: 50 },
+                            { key: 'lowerGuardrailPercent', label: 'Lower Guardrail %', min: 5, max: 50 },
+                            { key: 'adjustmentPercent', label: 'Cut / Raise %', min: 1, max: 25 },
+                            { key: 'guardrailSunsetYears', label: 'No Cuts Final Years', min: 0, max: 30 },
+                          ].map(field => (
+                            <div key={field.key}>
+                              <Label className="text-xs text-zinc-500 mb-1 block">{field.label}</Label>
+                              <Input
+                                type="number"
+                                value={spendingPolicy[field.key]}
+                                onChange={(e) => setSpendingPolicy(prev => ({ ...prev, [field.key]: parseFloat(e.target.value) || 0 }))}
+                                className="bg-zinc-900 border-zinc-700"
+                                min={field.min}
+                                max={field.max}
+                              />
+                            </div>
+                          ))}
+                          <p className="col-span-2 lg:col-span-4 text-xs text-zinc-500">
+                            Spending is cut when the withdrawal rate rises above the initial rate by the upper guardrail, and raised when it falls below by the lower guardrail.
+                          </p>
+                        </div>
+                      )}
+
+                      {spendingPolicy.type === 'vpw' && (
+                        <div className="grid grid-cols-2 gap-3 mt-4 p-4 rounded-lg bg-zinc-800/30 border border-zinc-700">
+                          <div>
+                            <Label className="text-xs text-zinc-500 mb-1 block">Expected Real Return %</Label>
+                            <Input
+                              type="number"
+                              value={spendingPolicy.vpwRealReturn}
+                              onChange={(e) => setSpendingPolicy(prev => ({ ...prev, vpwRealReturn: parseFloat(e.target.value) || 0 }))}
+                              className="bg-zinc-900 border-zinc-700"
+                              step="0.5"
+                              min={0}
+                              max={15}
+                            />
+                          </div>
+                          <p className="text-xs text-zinc-500 self-end">
+                            Each year withdraws the payment that would exhaust the portfolio by age {lifeExpectancy} at this return.
+                          </p>
+                        </div>
+                      )}
+
+                      {spendingPolicy.type === 'floor_ceiling' && (
+                        <div className="grid grid-cols-2 gap-3 mt-4 p-4 rounded-lg bg-zinc-800/30 border border-zinc-700">
+                          {[
+                            { key: 'floorPercent', label: 'Floor (% of target)', min: 0, max: 100 },
+                            { key: 'ceilingPercent', label: 'Ceiling (% of target)', min: 100, max: 300 },
+                          ].map(field => (
+                            <div key={field.key}>
+                              <Label className="text-xs text-zinc-500 mb-1 block">{field.label}</Label>
+                              <Input
+                                type="number"
+                                value={spendingPolicy[field.key]}
+                                onChange={(e) => setSpendingPolicy(prev => ({ ...prev, [field.key]: parseFloat(e.target.value) || 0 }))}
+                                className="bg-zinc-900 border-zinc-700"
+                                min={field.min}
+                                max={field.max}
+                              />
+                            </div>
+                          ))}
+                          <p className="col-span-2 text-xs text-zinc-500">
+                            Spending tracks your initial withdrawal rate applied to the current portfolio, bounded by these limits of your inflation-adjusted target.
+                          </p>
+                        </div>
+                      )}
+                    </div>
+
                     {/* Asset Withdrawal */}
                     <div>
                       <Label className="text-zinc-300 text-sm mb-3 block">Asset Withdrawal</Label>
@@ -5096,11 +4936,11 @@ export default function FinancialPlan() {
                     </div>
                     {investmentMode === 'custom' && (
                       <div className="flex items-center gap-2">
-                        <span className="text-zinc-400">$</span>
+                        <span className="text-zinc-400">{symbol}</span>
                         <Input
                           type="number"
-                          value={monthlyInvestmentAmount}
-                          onChange={(e) => setMonthlyInvestmentAmount(Number(e.target.value) || 0)}
+                          value={toInputValue(fromUSD(monthlyInvestmentAmount))}
+                          onChange={(e) => setMonthlyInvestmentAmount(toUSD(Number(e.target.value) || 0))}
                           className="bg-zinc-800 border-zinc-700 text-zinc-100 w-32"
                           placeholder="500"
                         />
@@ -5111,12 +4951,12 @@ export default function FinancialPlan() {
                     {investmentMode === 'custom' && (
                       <div className="space-y-1 mt-2">
                         <p className="text-xs text-zinc-500">
-                          ${monthlyInvestmentAmount.toLocaleString()}/month (${(monthlyInvestmentAmount * 12).toLocaleString()}/year) will be invested. Remaining surplus stays as cash.
+                          {formatAmount(monthlyInvestmentAmount)}/month ({formatAmount(monthlyInvestmentAmount * 12)}/year) will be invested. Remaining surplus stays as cash.
                         </p>
                         {annualSavings > 0 && monthlyInvestmentAmount > Math.round(annualSavings / 12) && (
                           <p className="text-xs text-orange-400 flex items-center gap-1">
                             <span>⚠️</span>
-                            <span>Amount exceeds your current monthly surplus of ${Math.round(annualSavings / 12).toLocaleString()}. Investment will be capped at available surplus.</span>
+                            <span>Amount exceeds your current monthly surplus of {formatAmount(annualSavings / 12)}. Investment will be capped at available surplus.</span>
                           </p>
                         )}
                         {annualSavings <= 0 && (
@@ -5136,7 +4976,7 @@ export default function FinancialPlan() {
                           const yearlySurplus = Math.max(0, Math.round(firstYearCashFlow));
                           
                           return yearlySurplus > 0
-                            ? `All surplus ($${monthlySurplus.toLocaleString()}/month or $${yearlySurplus.toLocaleString()}/year) will be invested according to the allocation below.`
+                            ? `All surplus (${formatAmount(monthlySurplus)}/month or ${formatAmount(yearlySurplus)}/year) will be invested according to the allocation below.`
                             : `No surplus available to invest ($0/month). Increase income or reduce expenses to invest.`;
                         })()}
                       </p>
@@ -5569,7 +5409,7 @@ export default function FinancialPlan() {
                         />
                       ) : (
                         <div className="w-full bg-zinc-800/50 border border-zinc-700 rounded px-3 py-2 text-emerald-400">
-                          ${estimatedSocialSecurity.toLocaleString()}/yr
+                          {formatAmount(estimatedSocialSecurity)}/yr
                           <span className="text-zinc-500 text-xs ml-1">(today's $)</span>
                         </div>
                       )}
@@ -5602,9 +5442,46 @@ export default function FinancialPlan() {
                       </p>
                     </div>
                         <div className="flex items-end pb-2">
-                          <p className="text-xs text-zinc-500">Based on current income. Get exact amount at ssa.gov</p>
+                          <p className="text-xs text-zinc-500">
+                            {ssaEarningsRecord ? 'Based on your imported SSA earnings record.' : 'Based on current income. Import your statement below for your real benefit.'}
+                          </p>
                         </div>
                       </div>
+                      <SocialSecurityOptimizer
+                        primary={{
+                          birthYear: new Date().getFullYear() - currentAge,
+                          grossAnnualIncome,
+                          retirementAge,
+                          earningsRecord: ssaEarningsRecord,
+                        }}
+                        spouse={spouseProfile.enabled && (filingStatus === 'married' || filingStatus === 'married_filing_jointly') ? {
+                          birthYear: parseInt(spouseProfile.birth_year) || new Date().getFullYear() - 35,
+                          grossAnnualIncome: spouseProfile.gross_annual_income || 0,
+                          retirementAge: spouseProfile.retirement_age || 65,
+                          earningsRecord: spouseProfile.ssa_earnings_record,
+                        } : null}
+                        onEarningsRecordChange={(who, record) => {
+                          if (who === 'spouse') {
+                            setSpouseProfile({ ...spouseProfile, ssa_earnings_record: record });
+                          } else {
+                            setSsaEarningsRecord(record);
+                          }
+                        }}
+                        getProjectionParams={() => buildProjectionParams(settings, {}, {
+                          holdings,
+                          accounts,
+                          liabilities,
+                          btcCollateralizedLoans,
+                          goals,
+                          lifeEvents,
+                          activeTaxLots,
+                          currentPrice,
+                        })}
+                        onApply={({ primaryAge, spouseAge }) => {
+                          setSocialSecurityStartAge(primaryAge);
+                          if (spouseAge !== null) setSpouseProfile({ ...spouseProfile, social_security_start_age: spouseAge });
+                        }}
+                      />
                     </div>
                   )}
                 </div>
@@ -5620,23 +5497,54 @@ export default function FinancialPlan() {
               <div>
               <Label className="text-zinc-300 text-sm">Success = Not Running Out of Money Through Age {lifeExpectancy}</Label>
               <p className="text-xs text-zinc-400">
-                ${(retirementAnnualSpending || 0).toLocaleString()}/yr today → ${Math.round(inflationAdjustedRetirementSpending || 0).toLocaleString()}/yr at retirement ({inflationRate || 0}% inflation) for {yearsInRetirement} years
+                {formatAmount(retirementAnnualSpending)}/yr today → {formatAmount(inflationAdjustedRetirementSpending)}/yr at retirement ({inflationRate || 0}% inflation) for {yearsInRetirement} years
               </p>
               <p className="text-xs text-zinc-400 mt-1">
                 BTC Model: <span className="text-orange-400 font-semibold">
                   {btcReturnModel === 'custom' ? `${btcCagr || 25}%` :
                    btcReturnModel === 'saylor24' ? 'Saylor Bitcoin24' :
-                   btcReturnModel === 'powerlaw' ? `Power Law (${powerLawYear1CAGR.toFixed(0)}%→${powerLawYear10CAGR.toFixed(0)}%)` : 'Custom'}
+                   btcReturnModel === 'powerlaw' ? `Power Law (${powerLawYear1CAGR.toFixed(0)}%→${powerLawYear10CAGR.toFixed(0)}%)` : getBtcPriceModel(btcReturnModel)?.label ?? 'Custom'}
                 </span>
+                {btcRegimeModel.enabled && <span className="text-zinc-500"> • regime switching</span>}
               </p>
               </div>
-              <Button onClick={handleRunSimulation} className="brand-gradient text-white font-semibold">
-                <RefreshCw className="w-4 h-4 mr-2" />
-                Run Simulation
-              </Button>
+              {monteCarloProgress ? (
+                <Button onClick={handleCancelSimulation} variant="outline" className="bg-transparent border-zinc-700 text-zinc-300 hover:bg-zinc-800">
+                  <X className="w-4 h-4 mr-2" />
+                  Cancel
+                </Button>
+              ) : (
+                <Button onClick={handleRunSimulation} className="brand-gradient text-white font-semibold">
+                  <RefreshCw className="w-4 h-4 mr-2" />
+                  Run Simulation
+                </Button>
+              )}
             </div>
+            {monteCarloProgress && (
+              <div className="mt-4 space-y-1">
+                <div className="flex justify-between text-xs text-zinc-400">
+                  <span>{monteCarloProgress.stage}…</span>
+                  <span>{Math.round(monteCarloProgress.percent)}%</span>
+                </div>
+                <Progress value={monteCarloProgress.percent} className="h-2 bg-zinc-800" />
+              </div>
+            )}
           </div>
 
+          <BtcRegimeSettings
+            config={btcRegimeModel}
+            onChange={setBtcRegimeModel}
+            getMonteCarloParams={getMonteCarloParams}
+            getSeed={getMonteCarloSeed}
+          />
+
+          <MarketRiskSettings
+            volatilities={assetVolatilities}
+            onVolatilitiesChange={setAssetVolatilities}
+            correlations={assetCorrelations}
+            onCorrelationsChange={setAssetCorrelations}
+          />
+
           <div className="card-premium rounded-2xl p-6 border border-zinc-800/50">
             <div className="flex items-center justify-between mb-6">
               <div>
@@ -5684,7 +5592,7 @@ export default function FinancialPlan() {
                     {successProbability?.toFixed(0)}%
                   </p>
                   <p className="text-xs text-zinc-400 mt-1">
-                    Target Spending: ${Math.round(inflationAdjustedRetirementSpending || 0).toLocaleString()}/yr • {btcReturnModel === 'custom' ? `${btcCagr || 25}%` : btcReturnModel === 'powerlaw' ? `Power Law (${powerLawYear1CAGR.toFixed(0)}%→${powerLawYear10CAGR.toFixed(0)}%)` : btcReturnModel} BTC • BTC Vol: {getBtcVolatilityForMonteCarlo(0).toFixed(0)}%→{getBtcVolatilityForMonteCarlo(30).toFixed(0)}%
+                    Target Spending: {formatAmount(inflationAdjustedRetirementSpending)}/yr • {btcReturnModel === 'custom' ? `${btcCagr || 25}%` : btcReturnModel === 'powerlaw' ? `Power Law (${powerLawYear1CAGR.toFixed(0)}%→${powerLawYear10CAGR.toFixed(0)}%)` : getBtcPriceModel(btcReturnModel)?.label ?? btcReturnModel} BTC • BTC Vol: {getBtcVolatilityForMonteCarlo(0, resolveAssetVolatilities(assetVolatilities)).toFixed(0)}%→{getBtcVolatilityForMonteCarlo(30, resolveAssetVolatilities(assetVolatilities)).toFixed(0)}%
                   </p>
                   <p className="text-sm text-zinc-300 mt-2">
                     {successProbability >= 80 ? "Excellent! You're on track for your desired retirement lifestyle." :
@@ -5693,15 +5601,25 @@ export default function FinancialPlan() {
                   </p>
                 </div>
 
-                {/* Portfolio Value Chart */}
+                {/* Portfolio Value Fan Chart */}
                 <div className="mb-6">
-                  <h4 className="text-sm font-medium text-zinc-400 mb-3">Portfolio Value Over Time</h4>
+                  <div className="flex items-center justify-between mb-3">
+                    <h4 className="text-sm font-medium text-zinc-400">Portfolio Value Over Time</h4>
+                    <div className="flex items-center gap-3 text-xs text-zinc-500">
+                      <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-orange-500/15" />5–95%</span>
+                      <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-orange-500/25" />10–90%</span>
+                      <span className="flex items-center gap-1"><span className="w-3 h-2 rounded-sm bg-orange-500/40" />25–75%</span>
+                      {selectedMonteCarloPath && (
+                        <span className="flex items-center gap-1"><span className="w-3 h-0.5 bg-cyan-400" />Path #{selectedMonteCarloPath.index + 1}</span>
+                      )}
+                    </div>
+                  </div>
                   <div className="h-64">
                     <ResponsiveContainer width="100%" height="100%">
-                      <AreaChart data={simulationResults}>
+                      <ComposedChart data={fanChartData}>
                         <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
                         <XAxis dataKey="age" stroke="#71717a" fontSize={12} />
-                        <YAxis stroke="#71717a" fontSize={12} tickFormatter={(v) => `$${(v/1000000).toFixed(1)}M`} />
+                        <YAxis stroke="#71717a" fontSize={12} tickFormatter={(v) => formatAmount(v, { compact: true, decimals: 1 })} />
                         <RechartsTooltip
                           contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
                           wrapperStyle={{ zIndex: 1000 }}
@@ -5714,23 +5632,25 @@ export default function FinancialPlan() {
                               <div className="bg-zinc-900 border border-zinc-700 rounded-xl p-3 text-sm">
                                 <p className="font-semibold text-zinc-200 mb-2">Age {label}{data?.isRetired ? ' (Retired)' : ''}</p>
                                 <div className="space-y-1">
-                                  <div className="flex justify-between gap-4">
-                                    <span className="text-emerald-400">Best Case (90%):</span>
-                                    <span className="text-zinc-200">${(data?.p90 || 0).toLocaleString()}</span>
-                                  </div>
-                                  <div className="flex justify-between gap-4">
-                                    <span className="text-orange-400">Most Likely:</span>
-                                    <span className="text-zinc-200 font-semibold">${(data?.p50 || 0).toLocaleString()}</span>
-                                  </div>
-                                  <div className="flex justify-between gap-4">
-                                    <span className="text-rose-400">Worst Case (10%):</span>
-                                    <span className="text-zinc-200">${(data?.p10 || 0).toLocaleString()}</span>
-                                  </div>
+                                  {[...MONTE_CARLO_PERCENTILES].reverse().map(p => (
+                                    <div key={p} className="flex justify-between gap-4">
+                                      <span className={p > 50 ? "text-emerald-400" : p < 50 ? "text-rose-400" : "text-orange-400"}>
+                                        {p === 50 ? 'Median' : `${p}th percentile`}:
+                                      </span>
+                                      <span className={cn("text-zinc-200", p === 50 && "font-semibold")}>{formatAmount(data?.[`p${p}`])}</span>
+                                    </div>
+                                  ))}
+                                  {data?.selectedPath !== undefined && (
+                                    <div className="flex justify-between gap-4 pt-2 mt-2 border-t border-zinc-700">
+                                      <span className="text-cyan-400">Path #{selectedMonteCarloPath?.index + 1}:</span>
+                                      <span className="text-zinc-200">{formatAmount(data.selectedPath)}</span>
+                                    </div>
+                                  )}
                                   {data?.isRetired && data?.withdrawal > 0 && (
                                     <div className="pt-2 mt-2 border-t border-zinc-700">
                                       <div className="flex justify-between gap-4">
                                         <span className="text-cyan-400">Annual Withdrawal:</span>
-                                        <span className="text-zinc-200">${(data?.withdrawal || 0).toLocaleString()}/yr</span>
+                                        <span className="text-zinc-200">{formatAmount(data?.withdrawal)}/yr</span>
                                       </div>
                                     </div>
                                   )}
@@ -5740,14 +5660,16 @@ export default function FinancialPlan() {
                           }}
                         />
                         <ReferenceLine x={retirementAge} stroke="#F7931A" strokeDasharray="5 5" label={{ value: 'Retire', fill: '#F7931A', fontSize: 10 }} />
-                        <Area type="monotone" dataKey="p90" stroke="none" fill="#10b981" fillOpacity={0.15} name="p90" />
-                        <Area type="monotone" dataKey="p75" stroke="none" fill="#10b981" fillOpacity={0.2} name="p75" />
-                        <Area type="monotone" dataKey="p25" stroke="none" fill="#f59e0b" fillOpacity={0.2} name="p25" />
-                        <Area type="monotone" dataKey="p10" stroke="none" fill="#ef4444" fillOpacity={0.15} name="p10" />
-                        <Line type="monotone" dataKey="p50" stroke="#F7931A" strokeWidth={3} dot={false} name="p50" />
+                        <Area type="monotone" dataKey="band5to95" stroke="none" fill="#F7931A" fillOpacity={0.12} name="5–95%" />
+                        <Area type="monotone" dataKey="band10to90" stroke="none" fill="#F7931A" fillOpacity={0.15} name="10–90%" />
+                        <Area type="monotone" dataKey="band25to75" stroke="none" fill="#F7931A" fillOpacity={0.25} name="25–75%" />
+                        <Line type="monotone" dataKey="p50" stroke="#F7931A" strokeWidth={3} dot={false} name="Median" />
                         <Line type="monotone" dataKey="p10" stroke="#ef4444" strokeWidth={1} strokeDasharray="3 3" dot={false} name="p10" />
                         <Line type="monotone" dataKey="p90" stroke="#10b981" strokeWidth={1} strokeDasharray="3 3" dot={false} name="p90" />
-                      </AreaChart>
+                        {selectedMonteCarloPath && (
+                          <Line type="monotone" dataKey="selectedPath" stroke="#22d3ee" strokeWidth={2} dot={false} name="Selected path" />
+                        )}
+                      </ComposedChart>
                     </ResponsiveContainer>
                   </div>
                 </div>
@@ -5815,6 +5737,254 @@ export default function FinancialPlan() {
                   </p>
                 </div>
 
+                {/* Retirement Spending Range (dynamic spending policies) */}
+                {spendingPolicy.type !== 'fixed' && (
+                  <div className="mt-4 p-4 rounded-xl bg-zinc-800/30">
+                    <div className="flex items-center justify-between mb-3">
+                      <h4 className="text-sm font-medium text-zinc-400">
+                        Retirement Spending Range • {SPENDING_POLICY_OPTIONS.find(o => o.value === spendingPolicy.type)?.label}
+                      </h4>
+                      {spendingCutProbability !== null && (
+                        <span className={cn(
+                          "text-xs font-medium",
+                          spendingCutProbability <= 20 ? "text-emerald-400" :
+                          spendingCutProbability <= 50 ? "text-amber-400" : "text-rose-400"
+                        )}>
+                          {spendingCutProbability.toFixed(0)}% of scenarios cut spending
+                        </span>
+                      )}
+                    </div>
+                    <div className="h-48">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={simulationResults.filter(d => d.isRetired)}>
+                          <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
+                          <XAxis dataKey="age" stroke="#71717a" fontSize={12} />
+                          <YAxis stroke="#71717a" fontSize={12} tickFormatter={(v) => formatAmount(v, { compact: true })} />
+                          <RechartsTooltip
+                            contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
+                            formatter={(value, name) => [`${formatAmount(value)}/yr`, name]}
+                            labelFormatter={(label) => `Age ${label}`}
+                          />
+                          <Line type="monotone" dataKey="spendingP90" stroke="#10b981" strokeWidth={1} strokeDasharray="3 3" dot={false} name="High (90%)" />
+                          <Line type="monotone" dataKey="spendingP50" stroke="#F7931A" strokeWidth={2} dot={false} name="Median" />
+                          <Line type="monotone" dataKey="spendingP10" stroke="#ef4444" strokeWidth={1} strokeDasharray="3 3" dot={false} name="Low (10%)" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <p className="text-xs text-zinc-500 mt-2">
+                      Nominal annual spending under your spending policy. Lower success risk comes at the cost of variable income.
+                    </p>
+                  </div>
+                )}
+
+
+                {/* Outcome Distribution */}
+                {monteCarloDistribution && (
+                  <div className="mt-4 grid md:grid-cols-2 gap-4">
+                    <div className="p-4 rounded-xl bg-zinc-800/30">
+                      <h4 className="text-sm font-medium text-zinc-400 mb-1">Ending Wealth at Age {lifeExpectancy}</h4>
+                      <p className="text-xs text-zinc-500 mb-3">
+                        Mean {formatNumber(monteCarloDistribution.terminalWealth.mean, 1)} • Median {formatNumber(monteCarloDistribution.terminalWealth.p50, 1)}
+                      </p>
+                      <div className="h-40">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <BarChart data={monteCarloDistribution.terminalWealth.histogram.map(bin => ({
+                            ...bin,
+                            label: bin.max === 0 ? formatAmount(0) : formatNumber(bin.min, 1),
+                          }))}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
+                            <XAxis dataKey="label" stroke="#71717a" fontSize={10} interval="preserveStartEnd" />
+                            <YAxis stroke="#71717a" fontSize={10} allowDecimals={false} />
+                            <RechartsTooltip
+                              contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
+                              labelFormatter={(_, payload) => {
+                                const bin = payload?.[0]?.payload;
+                                if (!bin) return '';
+                                return bin.max === 0 ? `Depleted (${formatAmount(0)})` : `${formatNumber(bin.min, 1)} – ${formatNumber(bin.max, 1)}`;
+                              }}
+                              formatter={(value) => [`${value} paths`, 'Count']}
+                            />
+                            <Bar dataKey="count" fill="#F7931A" radius={[3, 3, 0, 0]} />
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                      <div className="grid grid-cols-7 gap-1 mt-3 text-center">
+                        {MONTE_CARLO_PERCENTILES.map(p => (
+                          <div key={p}>
+                            <p className="text-[10px] text-zinc-500">p{p}</p>
+                            <p className="text-xs font-medium text-zinc-300">{formatNumber(monteCarloDistribution.terminalWealth[`p${p}`] || 0, 1)}</p>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="p-4 rounded-xl bg-zinc-800/30">
+                      <h4 className="text-sm font-medium text-zinc-400 mb-1">When Money Runs Out</h4>
+                      {monteCarloDistribution.depletion.numDepleted > 0 ? (
+                        <>
+                          <p className="text-xs text-zinc-500 mb-3">
+                            {monteCarloDistribution.depletion.probability.toFixed(1)}% of paths run out • Median age {monteCarloDistribution.depletion.p50} • Earliest 10% by age {monteCarloDistribution.depletion.p10}
+                          </p>
+                          <div className="h-40">
+                            <ResponsiveContainer width="100%" height="100%">
+                              <ComposedChart data={monteCarloDistribution.depletion.byAge}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#27272a" />
+                                <XAxis dataKey="age" stroke="#71717a" fontSize={10} />
+                                <YAxis yAxisId="count" stroke="#71717a" fontSize={10} allowDecimals={false} />
+                                <YAxis yAxisId="cumulative" orientation="right" stroke="#71717a" fontSize={10} tickFormatter={(v) => `${v.toFixed(0)}%`} />
+                                <RechartsTooltip
+                                  contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
+                                  labelFormatter={(label) => `Age ${label}`}
+                                  formatter={(value, name) => name === 'cumulativeProbability'
+                                    ? [`${Number(value).toFixed(1)}%`, 'Depleted by this age']
+                                    : [`${value} paths`, 'Run out at this age']}
+                                />
+                                <Bar yAxisId="count" dataKey="count" fill="#ef4444" fillOpacity={0.7} radius={[3, 3, 0, 0]} />
+                                <Line yAxisId="cumulative" type="monotone" dataKey="cumulativeProbability" stroke="#f59e0b" strokeWidth={2} dot={false} />
+                              </ComposedChart>
+                            </ResponsiveContainer>
+                          </div>
+                        </>
+                      ) : (
+                        <p className="text-sm text-emerald-400 mt-6 text-center">No simulated path ran out of money before age {lifeExpectancy}.</p>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                {/* Worst-decile paths and single-path drill-down */}
+                {monteCarloDistribution && (
+                  <div className="mt-4 p-4 rounded-xl bg-zinc-800/30">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 mb-3">
+                      <h4 className="text-sm font-medium text-zinc-400">Explore Individual Paths</h4>
+                      <div className="flex flex-wrap items-center gap-2">
+                        {['p5', 'p25', 'p50', 'p75', 'p95'].map(key => (
+                          <Button
+                            key={key}
+                            size="sm"
+                            variant="outline"
+                            onClick={() => handleSelectMonteCarloPath(monteCarloDistribution.percentilePaths[key])}
+                            className={cn(
+                              "h-7 px-2 text-xs bg-transparent border-zinc-700 text-zinc-300 hover:bg-zinc-800",
+                              selectedMonteCarloPath?.index === monteCarloDistribution.percentilePaths[key] && "border-cyan-500 text-cyan-300"
+                            )}
+                          >
+                            {key === 'p50' ? 'Median' : key.replace('p', '') + 'th'}
+                          </Button>
+                        ))}
+                        <Input
+                          type="number"
+                          min={1}
+                          max={monteCarloDistribution.numPaths}
+                          value={pathIndexInput}
+                          onChange={(e) => setPathIndexInput(e.target.value)}
+                          onKeyDown={(e) => { if (e.key === 'Enter') handleSelectMonteCarloPath(Number(pathIndexInput) - 1); }}
+                          placeholder={`1–${monteCarloDistribution.numPaths}`}
+                          className="h-7 w-24 text-xs bg-zinc-900 border-zinc-700"
+                        />
+                        <Button size="sm" onClick={() => handleSelectMonteCarloPath(Number(pathIndexInput) - 1)} className="h-7 px-3 text-xs brand-gradient text-white">
+                          View
+                        </Button>
+                      </div>
+                    </div>
+
+                    <p className="text-xs text-zinc-500 mb-2">
+                      Worst 10% of paths ({monteCarloDistribution.worstDecile.length}), ranked by earliest depletion then lowest ending wealth
+                    </p>
+                    <div className="max-h-48 overflow-y-auto rounded-lg border border-zinc-800">
+                      <table className="w-full text-xs">
+                        <thead className="bg-zinc-900 sticky top-0">
+                          <tr className="text-zinc-500">
+                            <th className="text-left p-2">Path</th>
+                            <th className="text-left p-2">Outcome</th>
+                            <th className="text-right p-2">At Retirement</th>
+                            <th className="text-right p-2">Ending Wealth</th>
+                            <th className="p-2" />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {monteCarloDistribution.worstDecile.map(path => (
+                            <tr
+                              key={path.index}
+                              className={cn("border-t border-zinc-800/60", selectedMonteCarloPath?.index === path.index && "bg-cyan-500/10")}
+                            >
+                              <td className="p-2 text-zinc-300">#{path.index + 1}</td>
+                              <td className={cn("p-2", path.survives ? "text-amber-400" : "text-rose-400")}>
+                                {path.survives ? 'Survives' : `Runs out at ${path.depleteAge}`}
+                              </td>
+                              <td className="p-2 text-right text-zinc-300">
+                                {formatNumber(path.totals[Math.min(Math.max(0, retirementAge - currentAge), path.totals.length - 1)] || 0, 1)}
+                              </td>
+                              <td className="p-2 text-right text-zinc-300">{formatNumber(path.finalTotal, 1)}</td>
+                              <td className="p-2 text-right">
+                                <button
+                                  onClick={() => handleSelectMonteCarloPath(path.index)}
+                                  className="text-cyan-400 hover:text-cyan-300"
+                                >
+                                  View
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    {selectedMonteCarloPath && (
+                      <div className="mt-4">
+                        <div className="flex items-center justify-between mb-2">
+                          <p className="text-sm text-zinc-300">
+                            Path #{selectedMonteCarloPath.index + 1}{' '}
+                            <span className={selectedMonteCarloPath.survives ? "text-emerald-400" : "text-rose-400"}>
+                              {selectedMonteCarloPath.survives ? '• survives' : `• runs out at age ${selectedMonteCarloPath.depleteAge}`}
+                            </span>
+                          </p>
+                          <button onClick={() => setSelectedMonteCarloPath(null)} className="text-zinc-500 hover:text-zinc-300">
+                            <X className="w-4 h-4" />
+                          </button>
+                        </div>
+                        <div className="max-h-72 overflow-y-auto rounded-lg border border-zinc-800">
+                          <table className="w-full text-xs">
+                            <thead className="bg-zinc-900 sticky top-0">
+                              <tr className="text-zinc-500">
+                                <th className="text-left p-2">Age</th>
+                                <th className="text-right p-2">BTC Return</th>
+                                <th className="text-right p-2">Stocks Return</th>
+                                <th className="text-right p-2">Portfolio</th>
+                                <th className="text-right p-2">vs Median</th>
+                                <th className="text-right p-2">Withdrawal</th>
+                                <th className="text-right p-2">Spending</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {selectedMonteCarloPath.yearByYear.map((row, i) => {
+                                const median = simulationResults[i]?.p50 || 0;
+                                const withdrawal = (row.withdrawFromTaxable || 0) + (row.withdrawFromTaxDeferred || 0) + (row.withdrawFromTaxFree || 0);
+                                return (
+                                  <tr key={row.age} className={cn("border-t border-zinc-800/60", row.depleted && "bg-rose-500/5")}>
+                                    <td className="p-2 text-zinc-300">{row.age}</td>
+                                    <td className={cn("p-2 text-right", i === 0 ? "text-zinc-600" : selectedMonteCarloPath.returns.btc[i] >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                                      {i === 0 ? '—' : `${selectedMonteCarloPath.returns.btc[i].toFixed(1)}%`}
+                                    </td>
+                                    <td className={cn("p-2 text-right", i === 0 ? "text-zinc-600" : selectedMonteCarloPath.returns.stocks[i] >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                                      {i === 0 ? '—' : `${selectedMonteCarloPath.returns.stocks[i].toFixed(1)}%`}
+                                    </td>
+                                    <td className="p-2 text-right text-zinc-200">{formatNumber(row.total || 0, 1)}</td>
+                                    <td className={cn("p-2 text-right", (row.total || 0) >= median ? "text-emerald-400" : "text-rose-400")}>
+                                      {median > 0 ? `${(((row.total || 0) / median - 1) * 100).toFixed(0)}%` : '—'}
+                                    </td>
+                                    <td className="p-2 text-right text-zinc-400">{withdrawal > 0 ? formatNumber(withdrawal, 1) : '—'}</td>
+                                    <td className="p-2 text-right text-zinc-400">{row.retirementSpending > 0 ? formatNumber(row.retirementSpending, 1) : '—'}</td>
+                                  </tr>
+                                );
+                              })}
+                            </tbody>
+                          </table>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
 
               </>
             ) : (
@@ -5825,6 +5995,117 @@ export default function FinancialPlan() {
               </div>
             )}
           </div>
+
+          {/* Historical Backtest */}
+          <div className="card-premium rounded-2xl p-6 border border-zinc-800/50">
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+              <div>
+                <h3 className="font-semibold text-zinc-200">Historical Backtest</h3>
+                <p className="text-xs text-zinc-500 mt-1">
+                  Replays every start year of real US stock, bond, cash and inflation history (BTC history since 2011; plan model before that)
+                </p>
+              </div>
+              <Button onClick={handleRunHistoricalBacktest} disabled={historicalBacktestRunning} variant="outline" className="bg-transparent border-zinc-700 text-zinc-200 hover:bg-zinc-800">
+                <RefreshCw className={cn("w-4 h-4 mr-2", historicalBacktestRunning && "animate-spin")} />
+                {historicalBacktestRunning ? 'Running...' : 'Run Backtest'}
+              </Button>
+            </div>
+
+            {historicalBacktest ? (
+              <>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                  <div className="p-4 rounded-xl bg-zinc-800/30">
+                    <p className="text-xs text-zinc-500">Historical Success Rate</p>
+                    <p className={cn(
+                      "text-2xl font-bold",
+                      historicalBacktest.successRate >= 90 ? "text-emerald-400" :
+                      historicalBacktest.successRate >= 70 ? "text-amber-400" : "text-rose-400"
+                    )}>
+                      {historicalBacktest.successRate.toFixed(0)}%
+                    </p>
+                    <p className="text-xs text-zinc-600">
+                      {historicalBacktest.cohorts.filter(c => c.survives).length} of {historicalBacktest.numCohorts} start years ({historicalBacktest.firstYear}–{historicalBacktest.lastYear})
+                    </p>
+                  </div>
+                  <div className="p-4 rounded-xl bg-zinc-800/30">
+                    <p className="text-xs text-zinc-500">Complete Histories Only</p>
+                    <p className="text-2xl font-bold text-zinc-200">
+                      {historicalBacktest.completeSuccessRate !== null ? `${historicalBacktest.completeSuccessRate.toFixed(0)}%` : '—'}
+                    </p>
+                    <p className="text-xs text-zinc-600">
+                      {historicalBacktest.numCompleteCohorts} start years without wrapping past {historicalBacktest.lastYear}
+                    </p>
+                  </div>
+                  {historicalBacktest.worstCohort && (
+                    <div className="p-4 rounded-xl bg-rose-500/10 border border-rose-500/20">
+                      <p className="text-xs text-zinc-500">Worst Historical Cohort</p>
+                      <p className="text-2xl font-bold text-rose-400">{historicalBacktest.worstCohort.startYear}</p>
+                      <p className="text-xs text-zinc-400">
+                        {historicalBacktest.worstCohort.survives
+                          ? `Survives with ${formatNumber(historicalBacktest.worstCohort.finalPortfolioReal, 1)} (today's $) at ${lifeExpectancy}`
+                          : `Depletes at age ${historicalBacktest.worstCohort.depleteAge}`}
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Survival by start year */}
+                <div className="mb-4">
+                  <h4 className="text-sm font-medium text-zinc-400 mb-3">Survival by Start Year</h4>
+                  <div className="grid grid-cols-10 sm:grid-cols-[repeat(16,minmax(0,1fr))] gap-1">
+                    {historicalBacktest.cohorts.map(cohort => (
+                      <div
+                        key={cohort.startYear}
+                        title={`${cohort.startYear}: ${cohort.survives ? `survives, ${formatNumber(cohort.finalPortfolioReal, 1)} (today's $) at ${lifeExpectancy}` : `depletes at age ${cohort.depleteAge}`}${cohort.isComplete ? '' : ' (wraps past ' + historicalBacktest.lastYear + ')'}`}
+                        className={cn(
+                          "text-[10px] text-center py-1 rounded",
+                          cohort.survives ? "bg-emerald-500/20 text-emerald-300" : "bg-rose-500/30 text-rose-300",
+                          !cohort.isComplete && "opacity-60"
+                        )}
+                      >
+                        {cohort.startYear}
+                      </div>
+                    ))}
+                  </div>
+                  <p className="text-xs text-zinc-500 mt-2">Faded years run past the end of the data and wrap back to {historicalBacktest.firstYear}.</p>
+                </div>
+
+                <div className="max-h-64 overflow-y-auto">
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-zinc-900">
+                      <tr className="text-xs text-zinc-500 text-left">
+                        <th className="py-2">Start Year</th>
+                        <th className="py-2">Result</th>
+                        <th className="py-2 text-right">At Retirement</th>
+                        <th className="py-2 text-right">Lowest in Retirement (today's $)</th>
+                        <th className="py-2 text-right">Final (today's $)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {historicalBacktest.cohorts.map(cohort => (
+                        <tr key={cohort.startYear} className="border-t border-zinc-800 text-zinc-300">
+                          <td className="py-1.5">
+                            {cohort.startYear}
+                            {cohort.usesBtcHistory && <span className="ml-1 text-[10px] text-orange-400">₿</span>}
+                          </td>
+                          <td className={cn("py-1.5", cohort.survives ? "text-emerald-400" : "text-rose-400")}>
+                            {cohort.survives ? 'Survives' : `Depletes at ${cohort.depleteAge}`}
+                          </td>
+                          <td className="py-1.5 text-right">{formatNumber(cohort.portfolioAtRetirement, 1)}</td>
+                          <td className="py-1.5 text-right">{formatNumber(cohort.minRealPortfolioInRetirement, 1)}</td>
+                          <td className="py-1.5 text-right">{formatNumber(cohort.finalPortfolioReal, 1)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-zinc-500 text-center py-8">
+                Run the backtest to see how your plan would have fared starting in each historical year.
+              </p>
+            )}
+          </div>
         </TabsContent>
 
 
@@ -5888,7 +6169,7 @@ export default function FinancialPlan() {
               </div>
               
               <div>
-                <Label className="text-zinc-300">Amount</Label>
+                <Label className="text-zinc-300">Amount ({symbol})</Label>
                 <Input
                   type="number"
                   value={eventForm.amount}
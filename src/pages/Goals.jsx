@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Target, Plus, Pencil, Trash2, Calendar, Home, Car, Briefcase, Heart, DollarSign, Building, CreditCard, TrendingUp } from 'lucide-react';
+import { Target, Plus, Pencil, Trash2, Calendar, Home, Car, Briefcase, Heart, DollarSign, Building, CreditCard, TrendingUp, GraduationCap } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
@@ -13,6 +13,12 @@ import { Switch } from "@/components/ui/switch";
 import { cn } from "@/lib/utils";
 import EmptyState from '@/components/ui/EmptyState';
 import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
+import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { get529StartingBalances, getCollegeYears, getEducationCost } from '@/components/shared/education529';
+import EducationGoalFields from '@/components/goals/EducationGoalFields';
+import EducationPlanProjection from '@/components/goals/EducationPlanProjection';
 
 const eventIcons = {
   income_change: Briefcase,
@@ -34,6 +40,22 @@ export default function Goals() {
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
   const queryClient = useQueryClient();
+  const { symbol, fromUSD, toUSD, format: formatAmount } = useCurrency();
+  const { btcPrice } = useBtcPrice();
+
+  // Education goal fields as form strings (amounts in the display currency)
+  const getEducationFormFields = (goal = {}) => ({
+    beneficiary_name: goal.beneficiary_name || '',
+    beneficiary_birth_year: goal.beneficiary_birth_year || '',
+    college_start_age: goal.college_start_age ?? 18,
+    college_years: goal.college_years || 4,
+    annual_cost: toInputValue(fromUSD(goal.annual_cost)),
+    education_inflation_rate: goal.education_inflation_rate ?? 5,
+    annual_contribution: toInputValue(fromUSD(goal.annual_contribution)),
+    linked_account_id: goal.linked_account_id || '',
+    plan_opened_year: goal.plan_opened_year || '',
+    leftover_action: goal.leftover_action || 'keep',
+  });
 
   // Form states - ONLY valid schema fields
   const [goalForm, setGoalForm] = useState({
@@ -48,6 +70,7 @@ export default function Goals() {
     extra_monthly_payment: '',
     lump_sum_date: '',
     linked_liability_id: '',
+    ...getEducationFormFields(),
   });
 
   const [eventForm, setEventForm] = useState({
@@ -79,6 +102,22 @@ export default function Goals() {
     queryFn: () => base44.entities.CollateralizedLoan.list(),
   });
 
+  const { data: accounts = [] } = useQuery({
+    queryKey: ['accounts'],
+    queryFn: () => base44.entities.Account.list(),
+  });
+
+  const { data: holdings = [] } = useQuery({
+    queryKey: ['holdings'],
+    queryFn: () => base44.entities.Holding.list(),
+  });
+
+  const { data: userSettings = [] } = useQuery({
+    queryKey: ['userSettings'],
+    queryFn: () => base44.entities.UserSettings.list(),
+  });
+  const settings = userSettings[0] || {};
+
   // Check if critical data is loading
   const isLoadingData = !goals || !liabilities || !collateralizedLoans;
 
@@ -87,6 +126,12 @@ export default function Goals() {
     return [...goals].sort((a, b) => new Date(b.created_date) - new Date(a.created_date));
   }, [goals]);
 
+  const plan529Accounts = useMemo(() => accounts.filter(a => a.account_type === '529'), [accounts]);
+  const education529Balances = useMemo(
+    () => get529StartingBalances(goals.filter(g => g.type === 'education'), holdings, btcPrice || 0),
+    [goals, holdings, btcPrice]
+  );
+
   // Life events sorted by year
   const sortedEvents = useMemo(() => {
     return [...lifeEvents].sort((a, b) => a.year - b.year);
@@ -155,6 +200,7 @@ export default function Goals() {
       extra_monthly_payment: '',
       lump_sum_date: '',
       linked_liability_id: '',
+      ...getEducationFormFields(),
     });
   };
   
@@ -172,15 +218,16 @@ export default function Goals() {
       setGoalForm({
         name: editingGoal.name || '',
         type: editingGoal.type || 'savings',
-        target_amount: editingGoal.target_amount || '',
+        target_amount: toInputValue(fromUSD(editingGoal.target_amount)),
         target_date: editingGoal.target_date || '',
-        saved_so_far: editingGoal.saved_so_far || '',
+        saved_so_far: toInputValue(fromUSD(editingGoal.saved_so_far)),
         withdraw_from_portfolio: editingGoal.withdraw_from_portfolio || false,
         notes: editingGoal.notes || '',
         payoff_strategy: editingGoal.payoff_strategy || 'minimum',
-        extra_monthly_payment: editingGoal.extra_monthly_payment || '',
+        extra_monthly_payment: toInputValue(fromUSD(editingGoal.extra_monthly_payment)),
         lump_sum_date: editingGoal.lump_sum_date || '',
         linked_liability_id: editingGoal.linked_liability_id || '',
+        ...getEducationFormFields(editingGoal),
       });
     }
   }, [editingGoal]);
@@ -191,14 +238,14 @@ export default function Goals() {
         name: editingEvent.name || '',
         event_type: editingEvent.event_type || 'major_expense',
         year: editingEvent.year || new Date().getFullYear() + 1,
-        amount: editingEvent.amount || '',
+        amount: toInputValue(fromUSD(editingEvent.amount)),
         is_recurring: editingEvent.is_recurring || false,
         recurring_years: editingEvent.recurring_years || '',
         affects: editingEvent.affects || 'assets',
         notes: editingEvent.notes || '',
-        monthly_expense_impact: editingEvent.monthly_expense_impact || '',
-        liability_amount: editingEvent.liability_amount || '',
-        down_payment: editingEvent.down_payment || '',
+        monthly_expense_impact: toInputValue(fromUSD(editingEvent.monthly_expense_impact)),
+        liability_amount: toInputValue(fromUSD(editingEvent.liability_amount)),
+        down_payment: toInputValue(fromUSD(editingEvent.down_payment)),
         interest_rate: editingEvent.interest_rate || '',
         loan_term_years: editingEvent.loan_term_years || '',
         allocation_method: editingEvent.allocation_method || 'proportionate',
@@ -212,6 +259,30 @@ export default function Goals() {
     }
   }, [editingEvent]);
 
+  // Education fields for the record; the target is the projected cost and the date is when college starts
+  const getEducationGoalData = () => {
+    if (goalForm.type !== 'education') {
+      return { beneficiary_name: null, beneficiary_birth_year: null, linked_account_id: null, annual_cost: null, annual_contribution: null };
+    }
+    const data = {
+      beneficiary_name: goalForm.beneficiary_name || null,
+      beneficiary_birth_year: parseInt(goalForm.beneficiary_birth_year) || new Date().getFullYear(),
+      college_start_age: parseInt(goalForm.college_start_age) || 18,
+      college_years: parseInt(goalForm.college_years) || 4,
+      annual_cost: toUSD(parseFloat(goalForm.annual_cost) || 0),
+      education_inflation_rate: parseFloat(goalForm.education_inflation_rate) || 0,
+      annual_contribution: toUSD(parseFloat(goalForm.annual_contribution) || 0),
+      linked_account_id: goalForm.linked_account_id || null,
+      plan_opened_year: parseInt(goalForm.plan_opened_year) || null,
+      leftover_action: goalForm.leftover_action || 'keep',
+      withdraw_from_portfolio: false,
+    };
+    const college = getCollegeYears(data);
+    let targetAmount = 0;
+    for (let year = college.startYear; year <= college.endYear; year++) targetAmount += getEducationCost(data, year);
+    return { ...data, target_amount: Math.round(targetAmount), target_date: `${college.startYear}-09-01` };
+  };
+
   const handleSubmitGoal = (e) => {
     if (e) e.preventDefault();
     
@@ -220,15 +291,16 @@ export default function Goals() {
       // Valid fields
       name: goalForm.name,
       type: goalForm.type || 'savings',
-      target_amount: parseFloat(goalForm.target_amount) || 0,
+      target_amount: toUSD(parseFloat(goalForm.target_amount) || 0),
       target_date: goalForm.target_date || null,
-      saved_so_far: parseFloat(goalForm.saved_so_far) || 0,
+      saved_so_far: toUSD(parseFloat(goalForm.saved_so_far) || 0),
       withdraw_from_portfolio: goalForm.withdraw_from_portfolio || false,
       notes: goalForm.notes || null,
       payoff_strategy: goalForm.payoff_strategy || null,
-      extra_monthly_payment: parseFloat(goalForm.extra_monthly_payment) || null,
+      extra_monthly_payment: toUSD(parseFloat(goalForm.extra_monthly_payment)) || null,
       lump_sum_date: goalForm.lump_sum_date || null,
       linked_liability_id: goalForm.linked_liability_id || null,
+      ...getEducationGoalData(),
       
       // Explicitly null out ALL deprecated fields to clear them from record
       funding_sources: null,
@@ -265,11 +337,11 @@ export default function Goals() {
     const data = { 
       ...eventForm, 
       year: parseInt(eventForm.year), 
-      amount: parseFloat(eventForm.amount) || 0, 
+      amount: toUSD(parseFloat(eventForm.amount) || 0), 
       recurring_years: parseInt(eventForm.recurring_years) || 0,
-      monthly_expense_impact: parseFloat(eventForm.monthly_expense_impact) || 0,
-      liability_amount: parseFloat(eventForm.liability_amount) || 0,
-      down_payment: parseFloat(eventForm.down_payment) || 0,
+      monthly_expense_impact: toUSD(parseFloat(eventForm.monthly_expense_impact) || 0),
+      liability_amount: toUSD(parseFloat(eventForm.liability_amount) || 0),
+      down_payment: toUSD(parseFloat(eventForm.down_payment) || 0),
       interest_rate: parseFloat(eventForm.interest_rate) || 0,
       loan_term_years: parseInt(eventForm.loan_term_years) || 0,
       affects: eventForm.event_type === 'home_purchase' ? 'multiple' : eventForm.affects,
@@ -284,12 +356,7 @@ export default function Goals() {
     editingEvent ? updateEvent.mutate({ id: editingEvent.id, data }) : createEvent.mutate(data);
   };
 
-  const formatNumber = (num, decimals = 0) => {
-    if (num == null || isNaN(num)) return '$0';
-    if (num >= 1e6) return `$${(num / 1e6).toFixed(decimals)}M`;
-    if (num >= 1e3) return `$${(num / 1e3).toFixed(decimals)}k`;
-    return `$${num.toLocaleString()}`;
-  };
+  const formatNumber = (num, decimals = 0) => formatAmount(num, { compact: true, decimals });
 
   // Calculate payoff date for debt payoff goals
   const getDebtPayoffInfo = (goal) => {
@@ -401,6 +468,7 @@ export default function Goals() {
 
               const isSavings = goalType === 'savings';
               const isDebtPayoff = goalType === 'debt_payoff';
+              const isEducation = goalType === 'education';
 
               let progress = 0;
               let subtitle = '';
@@ -424,6 +492,15 @@ export default function Goals() {
                 } else {
                   subtitle = 'Debt Payoff • No linked liability';
                 }
+              } else if (isEducation) {
+                const college = getCollegeYears(goal);
+                const account = plan529Accounts.find(a => a.id === goal.linked_account_id);
+                subtitle = [
+                  'Education',
+                  goal.beneficiary_name,
+                  `College ${college.startYear}–${college.endYear}`,
+                  account ? `529: ${account.name}` : null,
+                ].filter(Boolean).join(' • ');
               }
 
               return (
@@ -433,6 +510,7 @@ export default function Goals() {
                       <div className="flex items-center gap-2 mb-1">
                         {isSavings && <DollarSign className="w-4 h-4 text-blue-400" />}
                         {isDebtPayoff && <CreditCard className="w-4 h-4 text-rose-400" />}
+                        {isEducation && <GraduationCap className="w-4 h-4 text-violet-400" />}
                         <h4 className="font-medium text-zinc-200">{goal.name}</h4>
                       </div>
                       <p className="text-xs text-zinc-400">{subtitle}</p>
@@ -461,28 +539,36 @@ export default function Goals() {
                   </div>
 
                   {/* Progress Bar */}
-                  <div className="space-y-1.5">
-                    <div className="flex justify-between text-xs">
-                      <span className="text-zinc-400">
-                        {isSavings ? `Progress: ${formatNumber(savedAmount)}` : `Remaining: ${formatNumber(isDebtPayoff && getDebtPayoffInfo(goal) ? getDebtPayoffInfo(goal).currentBalance : 0)}`}
-                      </span>
-                      <span className={cn(
-                        "font-medium",
-                        progress >= 100 ? "text-emerald-400" : 
-                        progress >= 50 ? "text-blue-400" : "text-zinc-400"
-                      )}>
-                        {formatNumber(targetAmount)} • {Math.round(progress)}%
-                      </span>
-                    </div>
-                    <Progress 
-                      value={Math.min(100, progress)} 
-                      className={cn(
-                        "h-2 bg-zinc-700",
-                        isSavings && "[&>div]:bg-blue-500",
-                        isDebtPayoff && "[&>div]:bg-rose-500"
-                      )} 
+                  {isEducation ? (
+                    <EducationPlanProjection
+                      goal={goal}
+                      startingBalance={education529Balances[goal.id]}
+                      growthRate={settings.stocks_cagr ?? 7}
                     />
-                  </div>
+                  ) : (
+                    <div className="space-y-1.5">
+                      <div className="flex justify-between text-xs">
+                        <span className="text-zinc-400">
+                          {isSavings ? `Progress: ${formatNumber(savedAmount)}` : `Remaining: ${formatNumber(isDebtPayoff && getDebtPayoffInfo(goal) ? getDebtPayoffInfo(goal).currentBalance : 0)}`}
+                        </span>
+                        <span className={cn(
+                          "font-medium",
+                          progress >= 100 ? "text-emerald-400" : 
+                          progress >= 50 ? "text-blue-400" : "text-zinc-400"
+                        )}>
+                          {formatNumber(targetAmount)} • {Math.round(progress)}%
+                        </span>
+                      </div>
+                      <Progress 
+                        value={Math.min(100, progress)} 
+                        className={cn(
+                          "h-2 bg-zinc-700",
+                          isSavings && "[&>div]:bg-blue-500",
+                          isDebtPayoff && "[&>div]:bg-rose-500"
+                        )} 
+                      />
+                    </div>
+                  )}
                 </div>
               );
             })}
@@ -577,6 +663,7 @@ export default function Goals() {
                 <SelectContent className="bg-zinc-900 border-zinc-700">
                   <SelectItem value="savings" className="text-zinc-100">💰 Savings Goal</SelectItem>
                   <SelectItem value="debt_payoff" className="text-zinc-100">💳 Debt Payoff</SelectItem>
+                  <SelectItem value="education" className="text-zinc-100">🎓 Education (529)</SelectItem>
                 </SelectContent>
               </Select>
             </div>
@@ -586,7 +673,7 @@ export default function Goals() {
               <>
                 <div className="grid grid-cols-2 gap-4">
                   <div className="space-y-2">
-                    <Label className="text-zinc-400">Target Amount ($)</Label>
+                    <Label className="text-zinc-400">Target Amount ({symbol})</Label>
                     <Input 
                       type="number" 
                       value={goalForm.target_amount} 
@@ -597,7 +684,7 @@ export default function Goals() {
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label className="text-zinc-400">Saved So Far ($)</Label>
+                    <Label className="text-zinc-400">Saved So Far ({symbol})</Label>
                     <Input 
                       type="number" 
                       value={goalForm.saved_so_far} 
@@ -634,11 +721,22 @@ export default function Goals() {
               </>
             )}
 
+            {/* Education Goal Fields */}
+            {goalForm.type === 'education' && (
+              <EducationGoalFields
+                form={goalForm}
+                onChange={(fields) => setGoalForm({ ...goalForm, ...fields })}
+                accounts={plan529Accounts}
+                stateOfResidence={settings.state_of_residence}
+                filingStatus={settings.filing_status}
+              />
+            )}
+
             {/* Debt Payoff Fields */}
             {goalForm.type === 'debt_payoff' && (
               <div className="p-4 rounded-xl bg-rose-500/10 border border-rose-500/20 space-y-4">
                 <div className="space-y-2">
-                  <Label className="text-zinc-400">Target Amount ($)</Label>
+                  <Label className="text-zinc-400">Target Amount ({symbol})</Label>
                   <Input 
                     type="number" 
                     value={goalForm.target_amount} 
@@ -675,12 +773,12 @@ export default function Goals() {
                       <SelectItem value="none" className="text-zinc-100">None</SelectItem>
                       {liabilities.map(liability => (
                         <SelectItem key={liability.id} value={liability.id} className="text-zinc-100">
-                          {liability.name} (${(liability.current_balance || 0).toLocaleString()} @ {liability.interest_rate || 0}%)
+                          {liability.name} ({formatAmount(liability.current_balance)} @ {liability.interest_rate || 0}%)
                         </SelectItem>
                       ))}
                       {collateralizedLoans.map(loan => (
                         <SelectItem key={loan.id} value={`loan_${loan.id}`} className="text-zinc-100">
-                          {loan.name} (${(loan.current_balance || 0).toLocaleString()} @ {loan.interest_rate || 0}%)
+                          {loan.name} ({formatAmount(loan.current_balance)} @ {loan.interest_rate || 0}%)
                         </SelectItem>
                       ))}
                     </SelectContent>
@@ -740,7 +838,7 @@ export default function Goals() {
 
                 {goalForm.payoff_strategy === 'extra' && (
                   <div className="space-y-2">
-                    <Label className="text-zinc-400">Extra Monthly Payment ($)</Label>
+                    <Label className="text-zinc-400">Extra Monthly Payment ({symbol})</Label>
                     <Input 
                       type="number" 
                       value={goalForm.extra_monthly_payment} 
@@ -820,11 +918,11 @@ export default function Goals() {
                 </div>
                 <div className="grid grid-cols-2 gap-4">
                   <div className="space-y-2">
-                    <Label className="text-zinc-400">Home Price ($)</Label>
+                    <Label className="text-zinc-400">Home Price ({symbol})</Label>
                     <Input type="number" value={eventForm.amount} onChange={(e) => setEventForm({ ...eventForm, amount: e.target.value })} placeholder="500000" className="bg-zinc-900 border-zinc-700 text-zinc-100" required />
                   </div>
                   <div className="space-y-2">
-                    <Label className="text-zinc-400">Down Payment ($)</Label>
+                    <Label className="text-zinc-400">Down Payment ({symbol})</Label>
                     <Input type="number" value={eventForm.down_payment} onChange={(e) => setEventForm({ ...eventForm, down_payment: e.target.value })} placeholder="100000" className="bg-zinc-900 border-zinc-700 text-zinc-100" />
                   </div>
                 </div>
@@ -832,7 +930,7 @@ export default function Goals() {
             ) : (
               <div className="space-y-2">
                 <Label className="text-zinc-400">
-                  {eventForm.event_type === 'income_change' ? 'Additional Annual Income ($)' : 'Amount ($)'}
+                  {eventForm.event_type === 'income_change' ? `Additional Annual Income (${symbol})` : `Amount (${symbol})`}
                 </Label>
                 <Input type="number" value={eventForm.amount} onChange={(e) => setEventForm({ ...eventForm, amount: e.target.value })} placeholder={eventForm.event_type === 'income_change' ? '50000' : '-50000 (negative = expense)'} className="bg-zinc-900 border-zinc-700 text-zinc-100" required />
                 {eventForm.event_type === 'income_change' && (
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { format } from 'date-fns';
@@ -16,22 +16,32 @@ import { cn } from "@/lib/utils";
 import EmptyState from '@/components/ui/EmptyState';
 import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
 import { assignCollateralLots, getCollateralizedLotIds } from '@/components/shared/lotSelectionHelpers';
+import { getTaxTreatmentFromHolding } from '@/components/shared/projectionHelpers';
+import BtcLoanStressTest from '@/components/liabilities/BtcLoanStressTest';
+import LenderProfiles from '@/components/liabilities/LenderProfiles';
+import DebtPayoffPlanner from '@/components/liabilities/DebtPayoffPlanner';
+import MortgageDetails from '@/components/liabilities/MortgageDetails';
+import { isAmortizingLoan } from '@/components/shared/mortgageCalculations';
+import { getLenderProfiles, resolveLoanTerms } from '@/components/shared/lenderProfiles';
+import { toInputValue } from '@/components/shared/currency';
+import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { useCurrency } from '@/components/shared/useCurrency';
 
 // BTC Collateral Loan Constants
 const INITIAL_LTV = 0.50; // 50% LTV at loan origination
 const LIQUIDATION_LTV = 0.80; // 80% LTV triggers liquidation
 
 export default function Liabilities() {
-  const [btcPrice, setBtcPrice] = useState(null);
-  const [priceLoading, setPriceLoading] = useState(true);
   const [formOpen, setFormOpen] = useState(false);
   const [editingLiability, setEditingLiability] = useState(null);
   const [showCollateralSettings, setShowCollateralSettings] = useState(false);
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
   const queryClient = useQueryClient();
+  const { currency, symbol, fromUSD, toUSD, format: formatAmount } = useCurrency();
+  const { btcPrice } = useBtcPrice(currency);
 
-  // BTC Collateral Management Settings (Ledn defaults)
+  // Default BTC collateral terms (Ledn-style) for loans without a lender profile
   const [autoTopUp, setAutoTopUp] = useState(true);
   const [topUpTriggerLtv, setTopUpTriggerLtv] = useState(70);
   const [topUpTargetLtv, setTopUpTargetLtv] = useState(50); // Ledn resets to 50% LTV after top-up
@@ -40,23 +50,6 @@ export default function Liabilities() {
   const [releaseTargetLtv, setReleaseTargetLtv] = useState(40);
   const [settingsLoaded, setSettingsLoaded] = useState(false);
 
-  useEffect(() => {
-    const fetchPrice = async () => {
-      try {
-        const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-        const data = await response.json();
-        setBtcPrice(data.bitcoin.usd);
-        setPriceLoading(false);
-      } catch (err) {
-        setBtcPrice(97000);
-        setPriceLoading(false);
-      }
-    };
-    fetchPrice();
-    const interval = setInterval(fetchPrice, 60000);
-    return () => clearInterval(interval);
-  }, []);
-
   const currentPrice = btcPrice || 97000;
 
   const [formData, setFormData] = useState({
@@ -73,6 +66,17 @@ export default function Liabilities() {
     renewal_date: '',
     lender: '',
     due_date: '',
+    loan_term_months: '',
+    loan_start_date: '',
+    escrow_property_tax_annual: '',
+    escrow_insurance_annual: '',
+    pmi_monthly: '',
+    extra_principal_monthly: '',
+    refinance_date: '',
+    refinance_rate: '',
+    refinance_term_months: '',
+    refinance_closing_costs: '',
+    refinance_roll_costs: false,
     notes: '',
   });
 
@@ -96,11 +100,31 @@ export default function Liabilities() {
     queryFn: () => base44.entities.UserSettings.list(),
   });
 
+  const lenderProfiles = useMemo(() => userSettings[0]?.btc_lender_profiles || [], [userSettings]);
+  const collateralRules = useMemo(() => ({
+    autoTopUp,
+    topUpTriggerLtv,
+    topUpTargetLtv,
+    liquidationLtv,
+    releaseTriggerLtv,
+    releaseTargetLtv,
+  }), [autoTopUp, topUpTriggerLtv, topUpTargetLtv, liquidationLtv, releaseTriggerLtv, releaseTargetLtv]);
+
   const { data: transactions = [] } = useQuery({
     queryKey: ['transactions'],
     queryFn: () => base44.entities.Transaction.list(),
   });
 
+  const { data: accounts = [] } = useQuery({
+    queryKey: ['accounts'],
+    queryFn: () => base44.entities.Account.list(),
+  });
+
+  const { data: goals = [] } = useQuery({
+    queryKey: ['goals'],
+    queryFn: () => base44.entities.FinancialGoal.list(),
+  });
+
   // Check if critical data is loading
   const isLoadingData = !liabilities || !holdings || !collateralizedLoans || !userSettings;
 
@@ -165,6 +189,17 @@ export default function Liabilities() {
     },
   });
 
+  // Attach a lender profile to a loan (null = default collateral terms)
+  const setLoanLenderProfile = useMutation({
+    mutationFn: ({ loan, profileId }) => (loan.entity_type === 'CollateralizedLoan'
+      ? base44.entities.CollateralizedLoan.update(loan.id, { lender_profile_id: profileId })
+      : base44.entities.Liability.update(loan.id, { lender_profile_id: profileId })),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['liabilities'] });
+      queryClient.invalidateQueries({ queryKey: ['collateralizedLoans'] });
+    },
+  });
+
   const deleteLiability = useMutation({
     mutationFn: (id) => base44.entities.Liability.delete(id),
     onSuccess: () => queryClient.invalidateQueries({ queryKey: ['liabilities'] }),
@@ -184,6 +219,17 @@ export default function Liabilities() {
       collateral_release_ltv: '30',
       lender: '',
       due_date: '',
+      loan_term_months: '',
+      loan_start_date: '',
+      escrow_property_tax_annual: '',
+      escrow_insurance_annual: '',
+      pmi_monthly: '',
+      extra_principal_monthly: '',
+      refinance_date: '',
+      refinance_rate: '',
+      refinance_term_months: '',
+      refinance_closing_costs: '',
+      refinance_roll_costs: false,
       notes: '',
     });
   };
@@ -193,28 +239,39 @@ export default function Liabilities() {
       setFormData({
         name: editingLiability.name || '',
         type: editingLiability.type || 'unsecured',
-        principal_amount: editingLiability.principal_amount || '',
-        current_balance: editingLiability.current_balance || '',
+        principal_amount: toInputValue(fromUSD(editingLiability.principal_amount)),
+        current_balance: toInputValue(fromUSD(editingLiability.current_balance)),
         interest_rate: editingLiability.interest_rate || '',
-        monthly_payment: editingLiability.monthly_payment || '',
+        monthly_payment: toInputValue(fromUSD(editingLiability.monthly_payment)),
         collateral_btc_amount: editingLiability.collateral_btc_amount || '',
         collateral_asset_id: editingLiability.collateral_asset_id || '_none_',
-        liquidation_price: editingLiability.liquidation_price || '',
+        liquidation_price: toInputValue(fromUSD(editingLiability.liquidation_price)),
         collateral_release_ltv: editingLiability.collateral_release_ltv || '30',
         renewal_date: editingLiability.renewal_date || '',
         lender: editingLiability.lender || '',
         due_date: editingLiability.due_date || '',
+        loan_term_months: editingLiability.loan_term_months || '',
+        loan_start_date: editingLiability.loan_start_date || '',
+        escrow_property_tax_annual: toInputValue(fromUSD(editingLiability.escrow_property_tax_annual)),
+        escrow_insurance_annual: toInputValue(fromUSD(editingLiability.escrow_insurance_annual)),
+        pmi_monthly: toInputValue(fromUSD(editingLiability.pmi_monthly)),
+        extra_principal_monthly: toInputValue(fromUSD(editingLiability.extra_principal_monthly)),
+        refinance_date: editingLiability.refinance_date || '',
+        refinance_rate: editingLiability.refinance_rate || '',
+        refinance_term_months: editingLiability.refinance_term_months || '',
+        refinance_closing_costs: toInputValue(fromUSD(editingLiability.refinance_closing_costs)),
+        refinance_roll_costs: !!editingLiability.refinance_roll_costs,
         notes: editingLiability.notes || '',
       });
     }
   }, [editingLiability]);
 
-  // Auto-calculate liquidation price based on 50% LTV start, 80% liquidation
-  const calculateLiquidationPrice = (loanAmount, btcCollateral) => {
+  // Auto-calculate liquidation price from the loan's liquidation LTV (80% unless its lender profile says otherwise)
+  const calculateLiquidationPrice = (loanAmount, btcCollateral, liquidationLtvPct = LIQUIDATION_LTV * 100) => {
     if (!loanAmount || !btcCollateral) return 0;
-    // Liquidation occurs when loan / (BTC * price) = 80%
-    // So price = loan / (BTC * 0.80)
-    return loanAmount / (btcCollateral * LIQUIDATION_LTV);
+    // Liquidation occurs when loan / (BTC * price) = liquidation LTV
+    // So price = loan / (BTC * liquidation LTV)
+    return loanAmount / (btcCollateral * (liquidationLtvPct / 100));
   };
 
   // Update liquidation price when collateral or balance changes
@@ -222,24 +279,35 @@ export default function Liabilities() {
     if (formData.type === 'btc_collateralized' && formData.collateral_btc_amount && formData.current_balance) {
       const calcLiqPrice = calculateLiquidationPrice(
         parseFloat(formData.current_balance),
-        parseFloat(formData.collateral_btc_amount)
+        parseFloat(formData.collateral_btc_amount),
+        editingLiability?.lender_profile_id ? resolveLoanTerms(editingLiability, lenderProfiles).liquidationLtv : undefined
       );
       setFormData(prev => ({ ...prev, liquidation_price: calcLiqPrice.toFixed(0) }));
     }
-  }, [formData.collateral_btc_amount, formData.current_balance, formData.type]);
+  }, [formData.collateral_btc_amount, formData.current_balance, formData.type, editingLiability, lenderProfiles]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     const data = {
       ...formData,
-      principal_amount: parseFloat(formData.principal_amount) || 0,
-      current_balance: parseFloat(formData.current_balance) || 0,
+      principal_amount: toUSD(parseFloat(formData.principal_amount) || 0),
+      current_balance: toUSD(parseFloat(formData.current_balance) || 0),
       interest_rate: parseFloat(formData.interest_rate) || 0,
-      monthly_payment: parseFloat(formData.monthly_payment) || 0,
+      monthly_payment: toUSD(parseFloat(formData.monthly_payment) || 0),
       collateral_btc_amount: parseFloat(formData.collateral_btc_amount) || 0,
-      liquidation_price: parseFloat(formData.liquidation_price) || 0,
+      liquidation_price: toUSD(parseFloat(formData.liquidation_price) || 0),
       collateral_release_ltv: parseFloat(formData.collateral_release_ltv) || 30,
       renewal_date: formData.renewal_date || null,
+      loan_term_months: parseInt(formData.loan_term_months) || null,
+      loan_start_date: formData.loan_start_date || null,
+      escrow_property_tax_annual: toUSD(parseFloat(formData.escrow_property_tax_annual) || 0),
+      escrow_insurance_annual: toUSD(parseFloat(formData.escrow_insurance_annual) || 0),
+      pmi_monthly: toUSD(parseFloat(formData.pmi_monthly) || 0),
+      extra_principal_monthly: toUSD(parseFloat(formData.extra_principal_monthly) || 0),
+      refinance_date: formData.refinance_date || null,
+      refinance_rate: parseFloat(formData.refinance_rate) || null,
+      refinance_term_months: parseInt(formData.refinance_term_months) || null,
+      refinance_closing_costs: toUSD(parseFloat(formData.refinance_closing_costs) || 0),
     };
 
     // For BTC collateralized loans, assign specific tax lots
@@ -279,7 +347,12 @@ export default function Liabilities() {
         btcLots,
         data.collateral_btc_amount,
         costBasisMethod,
-        existingCollateralIds
+        existingCollateralIds,
+        {
+          balance: data.current_balance,
+          btcPrice: currentPrice,
+          terms: resolveLoanTerms({ ...editingLiability, ...data }, lenderProfiles, collateralRules),
+        }
       );
       
       console.log('Assignment result:', {
@@ -337,6 +410,12 @@ export default function Liabilities() {
   const btcLoans = allDebts.filter(l => l.type === 'btc_collateralized');
   const totalCollateralBtc = btcLoans.reduce((sum, l) => sum + (l.collateral_btc_amount || 0), 0);
   const totalCollateralValue = totalCollateralBtc * currentPrice;
+
+  // Unencumbered BTC available for top-ups: taxable BTC holdings (which include pledged BTC) minus collateral
+  const taxableBtc = holdings
+    .filter(h => h.ticker === 'BTC' && getTaxTreatmentFromHolding(h, accounts) === 'taxable')
+    .reduce((sum, h) => sum + (h.quantity || 0), 0);
+  const unencumberedBtc = Math.max(0, taxableBtc - totalCollateralBtc);
   
   // Current weighted average LTV
   const currentLTV = btcCollateralizedDebt > 0 && totalCollateralValue > 0 
@@ -512,14 +591,33 @@ export default function Liabilities() {
                   <li>• When LTV drops below <span className="text-purple-400">{releaseTriggerLtv}%</span>, excess collateral is released back to liquid (bringing LTV up to <span className="text-emerald-400">{releaseTargetLtv}%</span>)</li>
                 </ul>
                 <p className="text-xs text-zinc-500 mt-2 italic">
-                  Note: Full liquidation is modeled (loan paid off, excess returned). Partial liquidation (Nexo-style) coming in future update.
+                  These are the default terms. Loans with a lender profile use that lender's thresholds, liquidation style (full or partial) and interest compounding instead.
                 </p>
               </div>
+
+              <LenderProfiles
+                profiles={lenderProfiles}
+                onChange={(profiles) => saveCollateralSettings.mutate({ btc_lender_profiles: profiles })}
+                rules={collateralRules}
+                loans={btcLoans}
+              />
             </div>
           )}
         </div>
       )}
 
+      {/* Historical Crash Stress Test */}
+      {btcLoans.length > 0 && (
+        <BtcLoanStressTest
+          liabilities={liabilities}
+          collateralizedLoans={collateralizedLoans}
+          lenderProfiles={lenderProfiles}
+          rules={collateralRules}
+          currentPrice={currentPrice}
+          reserveBtc={unencumberedBtc}
+        />
+      )}
+
       {/* BTC Collateral Alert Banner */}
       {btcLoans.length > 0 && (
         <div className={cn(
@@ -618,7 +716,7 @@ export default function Liabilities() {
               <TrendingDown className="w-4 h-4 text-rose-400" />
             </div>
           </div>
-          <p className="text-2xl lg:text-3xl font-bold text-rose-400">${totalLiabilities.toLocaleString()}</p>
+          <p className="text-2xl lg:text-3xl font-bold text-rose-400">{formatAmount(totalLiabilities)}</p>
         </div>
 
         <div className="card-premium rounded-xl p-6 border border-zinc-700/30">
@@ -642,7 +740,7 @@ export default function Liabilities() {
             </div>
           </div>
           <p className="text-3xl font-bold text-orange-400">{totalCollateralBtc.toFixed(4)}</p>
-          <p className="text-xs text-zinc-500 mt-1">${totalCollateralValue.toLocaleString()} value</p>
+          <p className="text-xs text-zinc-500 mt-1">{formatAmount(totalCollateralValue)} value</p>
         </div>
 
         <div className="card-premium rounded-xl p-6 border border-zinc-700/30">
@@ -671,7 +769,7 @@ export default function Liabilities() {
               <p className="text-xs text-zinc-500">Mortgages, auto loans</p>
             </div>
           </div>
-          <p className="text-3xl font-bold text-zinc-100">${securedDebt.toLocaleString()}</p>
+          <p className="text-3xl font-bold text-zinc-100">{formatAmount(securedDebt)}</p>
         </div>
 
         <div className="card-premium rounded-xl p-6 border border-purple-400/10">
@@ -684,7 +782,7 @@ export default function Liabilities() {
               <p className="text-xs text-zinc-500">Credit cards, personal</p>
             </div>
           </div>
-          <p className="text-3xl font-bold text-zinc-100">${unsecuredDebt.toLocaleString()}</p>
+          <p className="text-3xl font-bold text-zinc-100">{formatAmount(unsecuredDebt)}</p>
         </div>
 
         <div className="card-premium rounded-xl p-6 border border-orange-400/10 glow-subtle">
@@ -697,10 +795,18 @@ export default function Liabilities() {
               <p className="text-xs text-zinc-500">Collateralized loans</p>
             </div>
           </div>
-          <p className="text-3xl font-bold text-orange-400">${btcCollateralizedDebt.toLocaleString()}</p>
+          <p className="text-3xl font-bold text-orange-400">{formatAmount(btcCollateralizedDebt)}</p>
         </div>
       </div>
 
+      {/* Debt Payoff Planner */}
+      <DebtPayoffPlanner
+        liabilities={liabilities}
+        goals={goals}
+        plan={userSettings[0]?.debt_payoff_plan}
+        onSave={(plan) => saveCollateralSettings.mutate({ debt_payoff_plan: plan })}
+      />
+
       {/* Liabilities List */}
       <div className="card-premium rounded-2xl p-6 lg:p-8 border border-zinc-800/50">
         <div className="flex items-center justify-between mb-6">
@@ -726,11 +832,16 @@ export default function Liabilities() {
                 : 0;
 
               // Calculate collateral health for BTC loans
+              const loanTerms = liability.type === 'btc_collateralized' ? resolveLoanTerms(liability, lenderProfiles, collateralRules) : null;
               let collateralHealth = null;
               if (liability.type === 'btc_collateralized' && liability.collateral_btc_amount > 0) {
                 const collateralValue = liability.collateral_btc_amount * currentPrice;
                 const currentLoanLTV = (liability.current_balance / collateralValue) * 100;
-                const liqPrice = calculateLiquidationPrice(liability.current_balance, liability.collateral_btc_amount);
+                const liqPrice = calculateLiquidationPrice(
+                  liability.current_balance,
+                  liability.collateral_btc_amount,
+                  loanTerms.profileId ? loanTerms.liquidationLtv : undefined
+                );
                 const priceDropToLiq = ((currentPrice - liqPrice) / currentPrice) * 100;
                 
                 collateralHealth = {
@@ -804,18 +915,18 @@ export default function Liabilities() {
                   <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-5">
                     <div>
                       <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Outstanding</p>
-                      <p className="text-2xl font-bold text-rose-400">${(liability.current_balance || 0).toLocaleString()}</p>
+                      <p className="text-2xl font-bold text-rose-400">{formatAmount(liability.current_balance)}</p>
                     </div>
                     {liability.principal_amount > 0 && (
                       <div>
                         <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Original</p>
-                        <p className="text-2xl font-bold text-zinc-300">${(liability.principal_amount || 0).toLocaleString()}</p>
+                        <p className="text-2xl font-bold text-zinc-300">{formatAmount(liability.principal_amount)}</p>
                       </div>
                     )}
                     {liability.monthly_payment > 0 && (
                       <div>
                         <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Monthly</p>
-                        <p className="text-2xl font-bold text-zinc-300">${(liability.monthly_payment || 0).toLocaleString()}</p>
+                        <p className="text-2xl font-bold text-zinc-300">{formatAmount(liability.monthly_payment)}</p>
                       </div>
                     )}
                     {liability.type === 'btc_collateralized' && liability.collateral_btc_amount > 0 && (
@@ -836,6 +947,43 @@ export default function Liabilities() {
                     </div>
                   )}
 
+                  {liability.entity_type === 'Liability' && isAmortizingLoan(liability) && (
+                    <MortgageDetails
+                      liability={liability}
+                      holdings={holdings}
+                      inflationRate={userSettings[0]?.inflation_rate ?? 3}
+                      propertyGrowthRate={userSettings[0]?.real_estate_cagr ?? 4}
+                    />
+                  )}
+
+                  {loanTerms && (
+                    <div className="flex flex-wrap items-center gap-3 mb-5">
+                      <Label className="text-zinc-500 text-xs uppercase tracking-wider">Lender Terms</Label>
+                      <Select
+                        value={liability.lender_profile_id || '_default_'}
+                        onValueChange={(value) => setLoanLenderProfile.mutate({ loan: liability, profileId: value === '_default_' ? null : value })}
+                      >
+                        <SelectTrigger className="bg-zinc-900 border-zinc-800 h-8 w-56">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border-zinc-800">
+                          <SelectItem value="_default_">Default collateral settings</SelectItem>
+                          {getLenderProfiles(lenderProfiles).map(profile => (
+                            <SelectItem key={profile.id} value={profile.id}>{profile.name}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <span className="text-xs text-zinc-500">
+                        Margin call {loanTerms.marginCallLtv}% • {loanTerms.liquidationStyle === 'partial' ? 'Partial liquidation' : 'Liquidation'} {loanTerms.liquidationLtv}%
+                        {loanTerms.profileId && ` • ${loanTerms.compounding} interest`}
+                        {loanTerms.originationFeePct > 0 && ` • ${loanTerms.originationFeePct}% origination fee`}
+                      </span>
+                      {loanTerms.rehypothecated && (
+                        <span className="px-2 py-0.5 rounded-md bg-amber-500/10 text-amber-400 text-xs">Rehypothecated</span>
+                      )}
+                    </div>
+                  )}
+
                   {collateralHealth && (
                     <div className={cn(
                       "p-4 rounded-xl",
@@ -856,11 +1004,11 @@ export default function Liabilities() {
                         </div>
                         <div>
                           <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Liquidation Price</p>
-                          <p className="text-xl font-bold text-rose-400">${collateralHealth.liqPrice.toLocaleString(undefined, {maximumFractionDigits: 0})}</p>
+                          <p className="text-xl font-bold text-rose-400">{formatAmount(collateralHealth.liqPrice)}</p>
                         </div>
                         <div>
                           <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">BTC Price</p>
-                          <p className="text-xl font-bold text-orange-400">${currentPrice.toLocaleString()}</p>
+                          <p className="text-xl font-bold text-orange-400">{formatAmount(currentPrice)}</p>
                         </div>
                         <div>
                           <p className="text-xs text-zinc-500 uppercase tracking-wider mb-1">Cushion</p>
@@ -934,7 +1082,7 @@ export default function Liabilities() {
             </div>
             <div className="grid grid-cols-2 gap-4">
               <div className="space-y-2">
-                <Label className="text-zinc-400 text-xs uppercase tracking-wider">Original Amount</Label>
+                <Label className="text-zinc-400 text-xs uppercase tracking-wider">Original Amount ({symbol})</Label>
                 <Input
                   type="number"
                   value={formData.principal_amount}
@@ -943,7 +1091,7 @@ export default function Liabilities() {
                 />
               </div>
               <div className="space-y-2">
-                <Label className="text-zinc-400 text-xs uppercase tracking-wider">Current Balance</Label>
+                <Label className="text-zinc-400 text-xs uppercase tracking-wider">Current Balance ({symbol})</Label>
                 <Input
                   type="number"
                   value={formData.current_balance}
@@ -965,7 +1113,7 @@ export default function Liabilities() {
                 />
               </div>
               <div className="space-y-2">
-                <Label className="text-zinc-400 text-xs uppercase tracking-wider">Monthly Payment</Label>
+                <Label className="text-zinc-400 text-xs uppercase tracking-wider">Monthly Payment ({symbol})</Label>
                 <Input
                   type="number"
                   value={formData.monthly_payment}
@@ -993,7 +1141,7 @@ export default function Liabilities() {
                     />
                   </div>
                   <div className="space-y-2">
-                    <Label className="text-zinc-400 text-xs uppercase tracking-wider">Liquidation Price</Label>
+                    <Label className="text-zinc-400 text-xs uppercase tracking-wider">Liquidation Price ({symbol})</Label>
                     <Input
                       type="number"
                       value={formData.liquidation_price}
@@ -1027,7 +1175,141 @@ export default function Liabilities() {
                 </div>
                 </>
                 )}
-            {formData.type === 'real_estate_collateralized' && (
+            {formData.type !== 'btc_collateralized' && (
+              <>
+                <div className="p-4 rounded-xl bg-zinc-800/30 border border-zinc-800">
+                  <p className="text-xs text-zinc-300 mb-1 font-medium">Amortization (optional)</p>
+                  <p className="text-xs text-zinc-500">With a term, projections amortize the loan from its rate and remaining term instead of the monthly payment above, plus escrow and PMI.</p>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <Label className="text-zinc-400 text-xs uppercase tracking-wider">Term (months)</Label>
+                    <Input
+                      type="number"
+                      step="1"
+                      value={formData.loan_term_months}
+                      onChange={(e) => setFormData({ ...formData, loan_term_months: e.target.value })}
+                      placeholder="360"
+                      className="bg-zinc-900 border-zinc-800"
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <Label className="text-zinc-400 text-xs uppercase tracking-wider">Start Date</Label>
+                    <Input
+                      type="date"
+                      value={formData.loan_start_date}
+                      onChange={(e) => setFormData({ ...formData, loan_start_date: e.target.value })}
+                      className="bg-zinc-900 border-zinc-800"
+                    />
+                  </div>
+                </div>
+                {formData.loan_term_months && (
+                  <>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">Property Tax / yr</Label>
+                        <Input
+                          type="number"
+                          step="100"
+                          value={formData.escrow_property_tax_annual}
+                          onChange={(e) => setFormData({ ...formData, escrow_property_tax_annual: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">Insurance / yr</Label>
+                        <Input
+                          type="number"
+                          step="100"
+                          value={formData.escrow_insurance_annual}
+                          onChange={(e) => setFormData({ ...formData, escrow_insurance_annual: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">PMI / mo</Label>
+                        <Input
+                          type="number"
+                          step="1"
+                          value={formData.pmi_monthly}
+                          onChange={(e) => setFormData({ ...formData, pmi_monthly: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">Extra Principal / mo</Label>
+                        <Input
+                          type="number"
+                          step="50"
+                          value={formData.extra_principal_monthly}
+                          onChange={(e) => setFormData({ ...formData, extra_principal_monthly: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                    </div>
+                    <p className="text-[10px] text-zinc-500">Escrow grows with inflation. PMI stops at 78% LTV against the linked property, or at the middle of the term.</p>
+                    <div className="p-4 rounded-xl bg-orange-500/5 border border-orange-500/20">
+                      <p className="text-xs text-orange-400 mb-1 font-medium">Planned Refinance</p>
+                      <p className="text-xs text-zinc-500">Resets the rate and term on this date. Leave the date blank for none.</p>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">Refinance Date</Label>
+                        <Input
+                          type="date"
+                          value={formData.refinance_date}
+                          onChange={(e) => setFormData({ ...formData, refinance_date: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">New Rate (%)</Label>
+                        <Input
+                          type="number"
+                          step="0.01"
+                          value={formData.refinance_rate}
+                          onChange={(e) => setFormData({ ...formData, refinance_rate: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">New Term (months)</Label>
+                        <Input
+                          type="number"
+                          step="1"
+                          value={formData.refinance_term_months}
+                          onChange={(e) => setFormData({ ...formData, refinance_term_months: e.target.value })}
+                          placeholder="360"
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label className="text-zinc-400 text-xs uppercase tracking-wider">Closing Costs</Label>
+                        <Input
+                          type="number"
+                          step="100"
+                          value={formData.refinance_closing_costs}
+                          onChange={(e) => setFormData({ ...formData, refinance_closing_costs: e.target.value })}
+                          className="bg-zinc-900 border-zinc-800"
+                        />
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <Switch
+                        checked={formData.refinance_roll_costs}
+                        onCheckedChange={(checked) => setFormData({ ...formData, refinance_roll_costs: checked })}
+                      />
+                      <span className="text-sm text-zinc-400">Roll closing costs into the new loan</span>
+                    </div>
+                  </>
+                )}
+              </>
+            )}
+            {(formData.type === 'real_estate_collateralized' || (formData.type === 'secured' && formData.loan_term_months)) && (
               <div className="space-y-2">
                 <Label className="text-zinc-400 text-xs uppercase tracking-wider">Collateralized Asset</Label>
                 <Select
@@ -1044,7 +1326,7 @@ export default function Liabilities() {
                     ))}
                   </SelectContent>
                 </Select>
-                <p className="text-[10px] text-zinc-500">Link the real estate asset used as collateral</p>
+                <p className="text-[10px] text-zinc-500">Link the real estate asset used as collateral (used for the PMI LTV)</p>
               </div>
             )}
             <div className="space-y-2">
@@ -20,6 +20,7 @@ const parseDate = (dateStr) => {
   return null;
 };
 import { cn } from "@/lib/utils";
+import { useCurrency } from '@/components/shared/useCurrency';
 
 // CoinGecko ID mapping for common tickers
 const COINGECKO_IDS = {
@@ -42,6 +43,7 @@ const COINGECKO_IDS = {
 
 // Account Performance Section Component
 function AccountPerformanceSection({ holdings, transactions, accounts, getCurrentPrice, COINGECKO_IDS }) {
+  const { format: formatAmount } = useCurrency();
   const [expandedAccounts, setExpandedAccounts] = useState({});
 
   const toggleAccount = (accountId) => {
@@ -165,11 +167,11 @@ function AccountPerformanceSection({ holdings, transactions, accounts, getCurren
                   </div>
                 </div>
                 <div className="text-right">
-                  <p className="font-semibold">${totals.totalValue.toLocaleString()}</p>
+                  <p className="font-semibold">{formatAmount(totals.totalValue)}</p>
                   <div className="flex items-center gap-2 justify-end">
                     {totals.totalCostBasis > 0 && (
                       <>
-                        <span className="text-xs text-zinc-500">${totals.totalCostBasis.toLocaleString()}</span>
+                        <span className="text-xs text-zinc-500">{formatAmount(totals.totalCostBasis)}</span>
                         <span className={cn(
                           "text-sm font-medium",
                           totals.totalGain >= 0 ? "text-emerald-400" : "text-rose-400"
@@ -210,11 +212,11 @@ function AccountPerformanceSection({ holdings, transactions, accounts, getCurren
                         </div>
                       </div>
                       <div className="text-right">
-                        <p className="font-medium text-sm">${perf.value.toLocaleString()}</p>
+                        <p className="font-medium text-sm">{formatAmount(perf.value)}</p>
                         <div className="flex items-center gap-2 justify-end">
                           {perf.adjustedCostBasis > 0 && (
                             <>
-                              <span className="text-xs text-zinc-500">${perf.adjustedCostBasis.toLocaleString()}</span>
+                              <span className="text-xs text-zinc-500">{formatAmount(perf.adjustedCostBasis)}</span>
                               <span className={cn(
                                 "text-xs font-medium",
                                 perf.gain >= 0 ? "text-emerald-400" : "text-rose-400"
@@ -245,6 +247,7 @@ export default function Performance() {
   const [stockPrices, setStockPrices] = useState({}); // { ticker: { currentPrice, historical: [{date, price}] } }
   const [irrMetrics, setIrrMetrics] = useState(null);
   const [irrLoading, setIrrLoading] = useState(false);
+  const { format: formatAmount } = useCurrency();
 
   const { data: performanceData } = useQuery({
     queryKey: ['performanceData'],
@@ -614,7 +617,7 @@ export default function Performance() {
       if (tx.type === 'buy') {
         cumulativeQty[ticker] += tx.quantity;
         cumulativeCost[ticker] += tx.cost_basis || (tx.quantity * tx.price_per_unit);
-      } else {
+      } else if (tx.type === 'sell') {
         cumulativeQty[ticker] -= tx.quantity;
       }
     }
@@ -674,7 +677,7 @@ export default function Performance() {
         if (tx.type === 'buy') {
           cumulativeQty[ticker] += tx.quantity;
           cumulativeCost[ticker] += tx.cost_basis || (tx.quantity * tx.price_per_unit);
-        } else {
+        } else if (tx.type === 'sell') {
           cumulativeQty[ticker] -= tx.quantity;
         }
         txIndex++;
@@ -784,20 +787,20 @@ export default function Performance() {
   const stats = [
     {
       label: 'Portfolio Value',
-      value: `$${displayMetrics.currentValue.toLocaleString()}`,
+      value: formatAmount(displayMetrics.currentValue),
       icon: DollarSign,
       color: 'text-emerald-400',
     },
     {
       label: 'Total Invested',
-      value: `$${displayMetrics.totalInvested.toLocaleString()}`,
+      value: formatAmount(displayMetrics.totalInvested),
       subtext: displayMetrics.holdingDays > 0 ? `${Math.round(displayMetrics.holdingDays / 30)} months` : '',
       icon: DollarSign,
       color: 'text-zinc-400',
     },
     {
       label: 'Total Return',
-      value: `$${Math.abs(displayMetrics.totalGainLoss).toLocaleString()}`,
+      value: formatAmount(Math.abs(displayMetrics.totalGainLoss)),
       prefix: displayMetrics.totalGainLoss >= 0 ? '+' : '-',
       subtext: `${displayMetrics.totalGainLoss >= 0 ? '+' : ''}${displayMetrics.totalReturnPercent.toFixed(1)}%`,
       icon: displayMetrics.totalGainLoss >= 0 ? TrendingUp : TrendingDown,
@@ -903,7 +906,7 @@ export default function Performance() {
                   </Pie>
                   <Tooltip
                     contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '12px' }}
-                    formatter={(value) => `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`}
+                    formatter={(value) => formatAmount(value)}
                   />
                 </PieChart>
               </ResponsiveContainer>
@@ -920,7 +923,7 @@ export default function Performance() {
                   </div>
                   <div className="text-right">
                     <p className="text-sm font-semibold text-zinc-200">
-                      ${asset.value.toLocaleString('en-US', { maximumFractionDigits: 0 })}
+                      {formatAmount(asset.value)}
                     </p>
                     <p className="text-xs text-zinc-500">{asset.percentage.toFixed(1)}%</p>
                   </div>
@@ -1009,7 +1012,7 @@ export default function Performance() {
                   tickMargin={8}
                   angle={['10Y', 'ALL'].includes(timeframe) ? 0 : 0}
                 />
-                <YAxis stroke="#71717a" fontSize={12} tickFormatter={(v) => `$${(v/1000).toFixed(0)}k`} />
+                <YAxis stroke="#71717a" fontSize={12} tickFormatter={(v) => formatAmount(v, { compact: true })} />
                 <Tooltip
                   contentStyle={{
                     backgroundColor: '#18181b',
@@ -1018,7 +1021,7 @@ export default function Performance() {
                   }}
                   labelStyle={{ color: '#a1a1aa' }}
                   itemStyle={{ color: '#F7931A' }}
-                  formatter={(value) => [`$${value.toLocaleString()}`, 'Value']}
+                  formatter={(value) => [formatAmount(value), 'Value']}
                 />
                 <Area
                   type="monotone"
@@ -1057,7 +1060,7 @@ export default function Performance() {
               "text-xl font-bold",
               transactionStats.realizedGains >= 0 ? "text-emerald-400" : "text-rose-400"
             )}>
-              {transactionStats.realizedGains >= 0 ? '+' : ''}${transactionStats.realizedGains.toLocaleString()}
+              {transactionStats.realizedGains >= 0 ? '+' : ''}{formatAmount(transactionStats.realizedGains)}
             </span>
           </div>
         </div>
@@ -3,19 +3,21 @@ import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { runUnifiedProjection } from '@/components/shared/runProjection';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine, Area, ComposedChart } from 'recharts';
-import { Plus, Pencil, Trash2, Target, TrendingUp, TrendingDown, ArrowRight, RefreshCw, ChevronDown, ChevronUp, Sparkles, DollarSign, Calendar, MapPin, PiggyBank, Loader2, Play, Settings2 } from 'lucide-react';
+import { Plus, Pencil, Trash2, Target, TrendingUp, TrendingDown, ArrowRight, RefreshCw, ChevronDown, ChevronUp, Sparkles, DollarSign, Calendar, MapPin, PiggyBank, Loader2, Play, Settings2, X } from 'lucide-react';
 import { getPowerLawCAGR } from '@/components/shared/bitcoinPowerLaw';
+import { getBtcPriceModel, getBtcPriceModelOptions, describeBtcModelRates } from '@/components/shared/btcPriceModels';
+import { ASSET_CORRELATIONS, CORRELATION_PRESETS, matricesEqual } from '@/components/shared/assetCorrelations';
+import { getCollateralRules, getLenderProfiles, resolveLoanTerms } from '@/components/shared/lenderProfiles';
 import { 
-  createSeededRNG, 
   generateMonteCarloSeed, 
-  generateRandomPaths,
-  regenerateReturnsForParams,
   getBtcVolatilityForMonteCarlo,
   MONTE_CARLO_VERSION 
 } from '../components/shared/monteCarloSimulation';
+import { runMonteCarloSimulationInWorkers, isMonteCarloCancelled } from '@/components/shared/monteCarloWorkerPool';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Progress } from "@/components/ui/progress";
 import { Slider } from "@/components/ui/slider";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog";
@@ -25,8 +27,13 @@ import { Switch } from "@/components/ui/switch";
 import { cn } from "@/lib/utils";
 import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
 import { useBtcPrice } from '@/components/shared/useBtcPrice';
+import { toInputValue } from '@/components/shared/currency';
+import { useCurrency } from '@/components/shared/useCurrency';
 import CustomPeriodsModal from '@/components/retirement/CustomPeriodsModal';
+import CorrelationMatrixEditor from '@/components/retirement/CorrelationMatrixEditor';
+import TaxReturnBreakdown from '@/components/tax/TaxReturnBreakdown';
 import { buildProjectionParams } from '@/components/shared/buildProjectionParams';
+import { optimizeRothConversions, ROTH_OPTIMIZER_OBJECTIVES } from '@/components/shared/rothConversionOptimizer';
 
 // CollapsibleSection component for organizing metrics
 const CollapsibleSection = ({ title, defaultOpen = true, children }) => {
@@ -87,6 +94,13 @@ function getBtcAtAge(projectionResults, targetAge, startAge) {
   return { quantity: btcQuantity, value: btcValue, depleted: false };
 }
 
+// Scenario correlation override: none (plan's matrix), the crisis preset, or a custom matrix
+const CRISIS_CORRELATIONS = CORRELATION_PRESETS.find(preset => preset.value === 'crisis').matrix;
+const getCorrelationOverrideMode = (override) => {
+  if (!override) return 'plan';
+  return matricesEqual(override, CRISIS_CORRELATIONS) ? 'crisis' : 'custom';
+};
+
 // Helper for liquidation risk display with proper coloring
 function getLiquidationRiskDisplay(riskPercent) {
   if (riskPercent === null || riskPercent === undefined) {
@@ -168,6 +182,9 @@ const US_STATES = [
 
 export default function Scenarios() {
   const { btcPrice, loading: priceLoading } = useBtcPrice();
+  const { symbol, fromUSD, toUSD, format: formatAmount } = useCurrency();
+  // Money fields are edited in the base currency and saved in USD; '' (no override) stays ''
+  const toMoneyInput = (usd) => (usd === '' || usd === null || usd === undefined ? '' : toInputValue(fromUSD(Number(usd))) || '0');
   
   // CRITICAL: Snapshot BTC price on mount to ensure deterministic projections
   const [snapshotPrice, setSnapshotPrice] = useState(null);
@@ -187,9 +204,16 @@ export default function Scenarios() {
   const [editingScenario, setEditingScenario] = useState(null);
   const [showChart, setShowChart] = useState(true);
   const [monteCarloRunning, setMonteCarloRunning] = useState(false);
+  const [monteCarloProgress, setMonteCarloProgress] = useState(0); // Percent of simulations finished
+  const monteCarloAbortRef = useRef(null);
   const [baselineMonteCarloResults, setBaselineMonteCarloResults] = useState(null);
   const [scenarioMonteCarloResults, setScenarioMonteCarloResults] = useState(null);
   const [lockedTooltipData, setLockedTooltipData] = useState(null);
+  const [rothOptimizerObjective, setRothOptimizerObjective] = useState('min_lifetime_tax');
+  const [rothOptimizerHeirTaxRate, setRothOptimizerHeirTaxRate] = useState(24);
+  const [rothOptimizerRunning, setRothOptimizerRunning] = useState(false);
+  const [rothOptimizerResult, setRothOptimizerResult] = useState(null);
+  const [taxReturnYear, setTaxReturnYear] = useState(null); // Year shown in TAX RETURN BY YEAR (null = first retirement year)
   const chartContainerRef = useRef(null);
   const queryClient = useQueryClient();
 
@@ -229,6 +253,7 @@ export default function Scenarios() {
     hypothetical_btc_loan: { enabled: false, loan_amount: '', interest_rate: '', collateral_btc: '', ltv: '' },
     future_btc_loan_rate: '',
     future_btc_loan_rate_years: '',
+    asset_correlations_override: null,
     roth_conversions: { enabled: false, mode: 'fixed', fixed_amount: '', target_bracket: 22, start_age: '', end_age: '' }
   });
 
@@ -743,9 +768,9 @@ export default function Scenarios() {
     });
     const effectiveTaxRate = totalIncome > 0 ? (totalTaxes / totalIncome) * 100 : 0;
     
-    // Calculate Net Worth = Total Assets - Total Debt
-    const retirementNetWorth = (retirementYear?.total || 0) - (retirementYear?.totalDebt || 0);
-    const finalNetWorth = (finalYear?.total || 0) - (finalYear?.totalDebt || 0);
+    // Calculate Net Worth = Total Assets + 529 plans - Total Debt
+    const retirementNetWorth = (retirementYear?.total || 0) + (retirementYear?.education529Balance || 0) - (retirementYear?.totalDebt || 0);
+    const finalNetWorth = (finalYear?.total || 0) + (finalYear?.education529Balance || 0) - (finalYear?.totalDebt || 0);
     
     return {
       survives: projection.survives,
@@ -808,176 +833,110 @@ export default function Scenarios() {
     );
   }, []);
 
-  // Run Monte Carlo comparison with SAME random paths for both baseline and scenario
-  const runMonteCarloComparison = useCallback((baselineParams, scenarioParams, numSimulations = 500) => {
-    const projectionYears = Math.max(
-      baselineParams.lifeExpectancy - baselineParams.currentAge + 1,
-      scenarioParams ? scenarioParams.lifeExpectancy - scenarioParams.currentAge + 1 : 0
-    );
-
-    // Format settings object with correct key names for generateMonteCarloSeed
-    // generateMonteCarloSeed expects snake_case keys, but buildProjectionParams returns camelCase
-    const seedSettings = {
-      current_age: baselineParams.currentAge,
-      retirement_age: baselineParams.retirementAge,
-      life_expectancy: baselineParams.lifeExpectancy,
-      annual_retirement_spending: baselineParams.retirementAnnualSpending,
-      gross_annual_income: baselineParams.grossAnnualIncome,
-      filing_status: baselineParams.filingStatus,
-      state_of_residence: baselineParams.stateOfResidence,
-      btc_cagr_assumption: settings?.btc_cagr_assumption ?? 25,
-      stocks_cagr: baselineParams.effectiveStocksCagr,
-      income_growth_rate: baselineParams.incomeGrowth,
-      inflation_rate: baselineParams.effectiveInflation,
-      btc_return_model: settings?.btc_return_model || 'powerlaw',
-      asset_withdrawal_strategy: baselineParams.assetWithdrawalStrategy,
-      cost_basis_method: baselineParams.costBasisMethod,
-      custom_return_periods: settings?.custom_return_periods || {},
-      ticker_returns: settings?.ticker_returns || {},
-    };
-    const seed = generateMonteCarloSeed(seedSettings, scenarioParams, holdings, liabilities, accounts, currentPrice);
-    const seededRandom = createSeededRNG(seed);
-    
-    // Generate paths once using baseline params with seeded RNG
-    const paths = generateRandomPaths(numSimulations, projectionYears, baselineParams, seededRandom);
-
-    let baselineSuccess = 0;
-    let scenarioSuccess = 0;
-    let baselineLiquidations = 0;
-    let scenarioLiquidations = 0;
-
-    for (let i = 0; i < paths.length; i++) {
-      // Run baseline with original path
-      const baseResult = runUnifiedProjection({
-        ...baselineParams,
-        yearlyReturnOverrides: paths[i],
-        taxLots: [], // Use aggregate basis for Monte Carlo speed
-        DEBUG: false,
-      });
-
-      if (baseResult.survives) baselineSuccess++;
-      
-      // Check for liquidation events (excluding top_up and release)
-      const baseHasLiquidation = baseResult.yearByYear?.some(y => 
-        y.liquidations?.some(l => l.type !== 'top_up' && l.type !== 'release')
-      );
-      
-      // Only count as catastrophic liquidation if BOTH liquidation happened AND plan failed
-      if (baseHasLiquidation && !baseResult.survives) baselineLiquidations++;
-
-      // Run scenario with regenerated returns (same Z-scores, different expected returns if changed)
-      if (scenarioParams) {
-        const scenarioOverrides = regenerateReturnsForParams(paths[i], scenarioParams);
-        const scenResult = runUnifiedProjection({
-          ...scenarioParams,
-          yearlyReturnOverrides: scenarioOverrides,
-          taxLots: [], // Use aggregate basis for Monte Carlo speed
-          DEBUG: false,
-        });
+  // Format settings object with correct key names for generateMonteCarloSeed
+  // generateMonteCarloSeed expects snake_case keys, but buildProjectionParams returns camelCase
+  const getMonteCarloSeedSettings = useCallback((params) => ({
+    current_age: params.currentAge,
+    retirement_age: params.retirementAge,
+    life_expectancy: params.lifeExpectancy,
+    annual_retirement_spending: params.retirementAnnualSpending,
+    gross_annual_income: params.grossAnnualIncome,
+    filing_status: params.filingStatus,
+    state_of_residence: params.stateOfResidence,
+    btc_cagr_assumption: settings?.btc_cagr_assumption ?? 25,
+    stocks_cagr: params.effectiveStocksCagr,
+    income_growth_rate: params.incomeGrowth,
+    inflation_rate: params.effectiveInflation,
+    btc_return_model: settings?.btc_return_model || 'powerlaw',
+    asset_withdrawal_strategy: params.assetWithdrawalStrategy,
+    cost_basis_method: params.costBasisMethod,
+    custom_return_periods: settings?.custom_return_periods || {},
+    btc_model_params: settings?.btc_model_params || {},
+    btc_regime_model: settings?.btc_regime_model || null,
+    asset_correlations: settings?.asset_correlations || null,
+    asset_volatilities: settings?.asset_volatilities || null,
+    ticker_returns: settings?.ticker_returns || {},
+  }), [settings]);
 
-        if (scenResult.survives) scenarioSuccess++;
-        
-        // Check for liquidation events (excluding top_up and release)
-        const scenHasLiquidation = scenResult.yearByYear?.some(y => 
-          y.liquidations?.some(l => l.type !== 'top_up' && l.type !== 'release')
-        );
-        
-        // Only count as catastrophic liquidation if BOTH liquidation happened AND plan failed
-        if (scenHasLiquidation && !scenResult.survives) scenarioLiquidations++;
-      }
-    }
+  // Run Monte Carlo comparison with SAME random paths for both baseline and scenario
+  // Runs in the Monte Carlo worker pool; onProgress/signal are passed through for progress and cancellation
+  const runMonteCarloComparison = useCallback((baselineParams, scenarioParams, numSimulations = 500, { onProgress = null, signal = null } = {}) => {
+    const seed = generateMonteCarloSeed(getMonteCarloSeedSettings(baselineParams), scenarioParams, holdings, liabilities, accounts, currentPrice);
 
-    return {
-      baselineSuccessRate: (baselineSuccess / numSimulations) * 100,
-      scenarioSuccessRate: scenarioParams ? (scenarioSuccess / numSimulations) * 100 : null,
-      baselineLiquidationRisk: (baselineLiquidations / numSimulations) * 100,
-      scenarioLiquidationRisk: scenarioParams ? (scenarioLiquidations / numSimulations) * 100 : null,
+    return runMonteCarloSimulationInWorkers({
+      baseParams: baselineParams,
+      scenarioParams,
       numSimulations,
-    };
-  }, [holdings, liabilities, accounts, currentPrice, settings]);
-
-  // Binary search for max sustainable spending with shared paths
-  // If sharedPaths is provided, use those instead of generating new ones
-  const findMaxSustainableSpendingWithPaths = useCallback((baseParams, numSimulations = 200, sharedPaths = null) => {
-    let low = 10000;
-    let high = 500000;
-    let maxSpending = low;
-
-    // Use shared paths if provided, otherwise generate new ones with seeded RNG
-    const projectionYears = baseParams.lifeExpectancy - baseParams.currentAge + 1;
-    
-    let paths;
-    if (sharedPaths) {
-      paths = sharedPaths;
-    } else {
-      // Format settings object with correct key names for generateMonteCarloSeed
-      const seedSettingsLocal = {
-        current_age: baseParams.currentAge,
-        retirement_age: baseParams.retirementAge,
-        life_expectancy: baseParams.lifeExpectancy,
-        annual_retirement_spending: baseParams.retirementAnnualSpending,
-        gross_annual_income: baseParams.grossAnnualIncome,
-        filing_status: baseParams.filingStatus,
-        state_of_residence: baseParams.stateOfResidence,
-        btc_cagr_assumption: settings?.btc_cagr_assumption ?? 25,
-        stocks_cagr: baseParams.effectiveStocksCagr,
-        income_growth_rate: baseParams.incomeGrowth,
-        inflation_rate: baseParams.effectiveInflation,
-        btc_return_model: settings?.btc_return_model || 'powerlaw',
-        asset_withdrawal_strategy: baseParams.assetWithdrawalStrategy,
-        cost_basis_method: baseParams.costBasisMethod,
-        custom_return_periods: settings?.custom_return_periods || {},
-        ticker_returns: settings?.ticker_returns || {},
-      };
-      const seed = generateMonteCarloSeed(seedSettingsLocal, null, holdings, liabilities, accounts, currentPrice);
-      const seededRandom = createSeededRNG(seed);
-      paths = generateRandomPaths(numSimulations, projectionYears, baseParams, seededRandom);
-    }
-
-    for (let iteration = 0; iteration < 15; iteration++) {
-      const testSpending = Math.round((low + high) / 2);
-      const testParams = { ...baseParams, retirementAnnualSpending: testSpending };
-      
-      let successCount = 0;
-      for (let i = 0; i < paths.length; i++) {
-        const result = runUnifiedProjection({
-          ...testParams,
-          yearlyReturnOverrides: paths[i],
-          taxLots: [], // Use aggregate basis for Monte Carlo speed
-          DEBUG: false,
-        });
-
-        if (result.survives) successCount++;
-      }
-      
-      const successRate = (successCount / numSimulations) * 100;
-
-      if (successRate >= 90) {
-        maxSpending = testSpending;
-        low = testSpending;
-      } else {
-        high = testSpending;
-      }
-
-      if (high - low <= 5000) break;
-    }
-
-    return maxSpending;
-  }, [holdings, liabilities, accounts, currentPrice, settings]);
+      seed,
+      onProgress,
+      signal,
+    });
+  }, [holdings, liabilities, accounts, currentPrice, getMonteCarloSeedSettings]);
 
   // Run Monte Carlo for both baseline and scenario
   const handleRunMonteCarlo = useCallback(async () => {
+    const controller = new AbortController();
+    monteCarloAbortRef.current = controller;
     setMonteCarloRunning(true);
+    setMonteCarloProgress(0);
     setBaselineMonteCarloResults(null);
     setScenarioMonteCarloResults(null);
 
     // Ensure we have fresh settings before running Monte Carlo
     await queryClient.invalidateQueries({ queryKey: ['userSettings'] });
 
-    // Use setTimeout to allow UI to update before heavy computation
-    setTimeout(() => {
-      try {
-        const baselineParams = buildProjectionParams(settings, {}, {
+    try {
+      const baselineParams = buildProjectionParams(settings, {}, {
+        holdings,
+        accounts,
+        liabilities,
+        btcCollateralizedLoans,
+        goals,
+        lifeEvents,
+        activeTaxLots,
+        currentPrice,
+      });
+      let scenarioParams = null;
+
+      if (selectedScenario) {
+        const overrides = {
+          retirement_age_override: selectedScenario.retirement_age_override,
+          life_expectancy_override: selectedScenario.life_expectancy_override,
+          annual_retirement_spending_override: selectedScenario.annual_retirement_spending_override,
+          state_override: selectedScenario.state_override,
+          btc_cagr_override: selectedScenario.btc_cagr_override,
+          stocks_cagr_override: selectedScenario.stocks_cagr_override,
+          bonds_cagr_override: selectedScenario.bonds_cagr_override,
+          real_estate_cagr_override: selectedScenario.real_estate_cagr_override,
+          cash_cagr_override: selectedScenario.cash_cagr_override,
+          inflation_override: selectedScenario.inflation_override,
+          income_growth_override: selectedScenario.income_growth_override,
+          social_security_start_age_override: selectedScenario.social_security_start_age_override,
+          social_security_amount_override: selectedScenario.social_security_amount_override,
+          savings_allocation_btc_override: selectedScenario.savings_allocation_btc_override,
+          savings_allocation_stocks_override: selectedScenario.savings_allocation_stocks_override,
+          savings_allocation_bonds_override: selectedScenario.savings_allocation_bonds_override,
+          savings_allocation_cash_override: selectedScenario.savings_allocation_cash_override,
+          savings_allocation_other_override: selectedScenario.savings_allocation_other_override,
+          investment_mode_override: selectedScenario.investment_mode_override,
+          monthly_investment_amount_override: selectedScenario.monthly_investment_amount_override,
+          // New fields for Monte Carlo
+          btc_return_model_override: selectedScenario.btc_return_model_override,
+          custom_return_periods_override: selectedScenario.custom_return_periods_override,
+          ticker_returns_override: selectedScenario.ticker_returns_override,
+          gross_annual_income_override: selectedScenario.gross_annual_income_override,
+          current_annual_spending_override: selectedScenario.current_annual_spending_override,
+          dividend_income_override: selectedScenario.dividend_income_override,
+          dividend_income_qualified: selectedScenario.dividend_income_qualified,
+          one_time_events: selectedScenario.one_time_events,
+          asset_reallocations: selectedScenario.asset_reallocations,
+          hypothetical_btc_loan: selectedScenario.hypothetical_btc_loan,
+          future_btc_loan_rate: selectedScenario.future_btc_loan_rate,
+          future_btc_loan_rate_years: selectedScenario.future_btc_loan_rate_years,
+          roth_conversions: selectedScenario.roth_conversions,
+          asset_correlations_override: selectedScenario.asset_correlations_override,
+        };
+        scenarioParams = buildProjectionParams(settings, overrides, {
           holdings,
           accounts,
           liabilities,
@@ -987,97 +946,57 @@ export default function Scenarios() {
           activeTaxLots,
           currentPrice,
         });
-        let scenarioParams = null;
-
-        if (selectedScenario) {
-          const overrides = {
-            retirement_age_override: selectedScenario.retirement_age_override,
-            life_expectancy_override: selectedScenario.life_expectancy_override,
-            annual_retirement_spending_override: selectedScenario.annual_retirement_spending_override,
-            state_override: selectedScenario.state_override,
-            btc_cagr_override: selectedScenario.btc_cagr_override,
-            stocks_cagr_override: selectedScenario.stocks_cagr_override,
-            bonds_cagr_override: selectedScenario.bonds_cagr_override,
-            real_estate_cagr_override: selectedScenario.real_estate_cagr_override,
-            cash_cagr_override: selectedScenario.cash_cagr_override,
-            inflation_override: selectedScenario.inflation_override,
-            income_growth_override: selectedScenario.income_growth_override,
-            social_security_start_age_override: selectedScenario.social_security_start_age_override,
-            social_security_amount_override: selectedScenario.social_security_amount_override,
-            savings_allocation_btc_override: selectedScenario.savings_allocation_btc_override,
-            savings_allocation_stocks_override: selectedScenario.savings_allocation_stocks_override,
-            savings_allocation_bonds_override: selectedScenario.savings_allocation_bonds_override,
-            savings_allocation_cash_override: selectedScenario.savings_allocation_cash_override,
-            savings_allocation_other_override: selectedScenario.savings_allocation_other_override,
-            investment_mode_override: selectedScenario.investment_mode_override,
-            monthly_investment_amount_override: selectedScenario.monthly_investment_amount_override,
-            // New fields for Monte Carlo
-            btc_return_model_override: selectedScenario.btc_return_model_override,
-            custom_return_periods_override: selectedScenario.custom_return_periods_override,
-            ticker_returns_override: selectedScenario.ticker_returns_override,
-            gross_annual_income_override: selectedScenario.gross_annual_income_override,
-            current_annual_spending_override: selectedScenario.current_annual_spending_override,
-            dividend_income_override: selectedScenario.dividend_income_override,
-            dividend_income_qualified: selectedScenario.dividend_income_qualified,
-            one_time_events: selectedScenario.one_time_events,
-            asset_reallocations: selectedScenario.asset_reallocations,
-            hypothetical_btc_loan: selectedScenario.hypothetical_btc_loan,
-            future_btc_loan_rate: selectedScenario.future_btc_loan_rate,
-            future_btc_loan_rate_years: selectedScenario.future_btc_loan_rate_years,
-            roth_conversions: selectedScenario.roth_conversions,
-          };
-          scenarioParams = buildProjectionParams(settings, overrides, {
-            holdings,
-            accounts,
-            liabilities,
-            btcCollateralizedLoans,
-            goals,
-            lifeEvents,
-            activeTaxLots,
-            currentPrice,
-          });
-        }
-
-        // Run comparison with shared random paths (500 simulations)
-        const mcResults = runMonteCarloComparison(baselineParams, scenarioParams, 500);
-        
-        // Check if liquidation difference is meaningful
-        const liquidationAffected = scenarioAffectsLiquidation(selectedScenario);
+      }
 
-        setBaselineMonteCarloResults({
-          successRate: mcResults.baselineSuccessRate,
-          liquidationRisk: mcResults.baselineLiquidationRisk,
+      // Run comparison with shared random paths (500 simulations) in the worker pool
+      const mcResults = await runMonteCarloComparison(baselineParams, scenarioParams, 500, {
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => setMonteCarloProgress((completed / total) * 100),
+      });
+      
+      // Check if liquidation difference is meaningful
+      const liquidationAffected = scenarioAffectsLiquidation(selectedScenario);
+
+      setBaselineMonteCarloResults({
+        successRate: mcResults.baselineSuccessRate,
+        liquidationRisk: mcResults.baselineLiquidationRisk,
+        numSimulations: mcResults.numSimulations,
+      });
+
+      if (scenarioParams) {
+        setScenarioMonteCarloResults({
+          successRate: mcResults.scenarioSuccessRate,
+          liquidationRisk: mcResults.scenarioLiquidationRisk,
           numSimulations: mcResults.numSimulations,
+          liquidationAffected,
         });
-
-        if (scenarioParams) {
-          setScenarioMonteCarloResults({
-            successRate: mcResults.scenarioSuccessRate,
-            liquidationRisk: mcResults.scenarioLiquidationRisk,
-            numSimulations: mcResults.numSimulations,
-            liquidationAffected,
-          });
-        }
-      } catch (error) {
-        console.error('Monte Carlo error:', error);
-      } finally {
-        setMonteCarloRunning(false);
       }
-    }, 50);
-  }, [buildProjectionParams, runMonteCarloComparison, findMaxSustainableSpendingWithPaths, selectedScenario, scenarioAffectsLiquidation, settings, holdings, accounts, liabilities, btcCollateralizedLoans, goals, lifeEvents, activeTaxLots, currentPrice, queryClient]);
+    } catch (error) {
+      if (!isMonteCarloCancelled(error)) console.error('Monte Carlo error:', error);
+    } finally {
+      monteCarloAbortRef.current = null;
+      setMonteCarloRunning(false);
+      setMonteCarloProgress(0);
+    }
+  }, [buildProjectionParams, runMonteCarloComparison, selectedScenario, scenarioAffectsLiquidation, settings, holdings, accounts, liabilities, btcCollateralizedLoans, goals, lifeEvents, activeTaxLots, currentPrice, queryClient]);
+
+  const handleCancelMonteCarlo = useCallback(() => {
+    monteCarloAbortRef.current?.abort();
+  }, []);
+
+  // Stop any running simulation when leaving the page
+  useEffect(() => () => monteCarloAbortRef.current?.abort(), []);
 
-  // Clear Monte Carlo results when scenario changes
+  // Clear Monte Carlo results (and stop a run in progress) when scenario changes
   useEffect(() => {
+    monteCarloAbortRef.current?.abort();
     setScenarioMonteCarloResults(null);
   }, [selectedScenarioId]);
 
   // Format currency helper (moved up for use in holdingsOptions)
   const formatCurrency = (num) => {
     if (num === null || num === undefined) return '-';
-    if (num >= 1e9) return `$${(num / 1e9).toFixed(1)}B`;
-    if (num >= 1e6) return `$${(num / 1e6).toFixed(1)}M`;
-    if (num >= 1e3) return `$${(num / 1e3).toFixed(0)}K`;
-    return `$${num.toLocaleString()}`;
+    return formatAmount(num, { compact: true });
   };
 
   // Holdings options for asset reallocation dropdown
@@ -1126,6 +1045,8 @@ export default function Scenarios() {
         year: baseYear.year,
         baseline: baseYear.total,
         scenario: scenarioYear?.total || null,
+        baseline529: baseYear.education529Balance || 0,
+        scenario529: scenarioYear ? scenarioYear.education529Balance || 0 : null,
         baselineRetired: baseYear.isRetired,
         scenarioRetired: scenarioYear?.isRetired || false,
       };
@@ -1161,6 +1082,7 @@ export default function Scenarios() {
   });
 
   const resetForm = () => {
+    setRothOptimizerResult(null);
     setForm({
       name: '', description: '',
       retirement_age_override: '', life_expectancy_override: '',
@@ -1186,23 +1108,17 @@ export default function Scenarios() {
       hypothetical_btc_loan: { enabled: false, loan_amount: '', interest_rate: '', collateral_btc: '', ltv: '' },
       future_btc_loan_rate: '',
       future_btc_loan_rate_years: '',
+      asset_correlations_override: null,
       roth_conversions: { enabled: false, mode: 'fixed', fixed_amount: '', target_bracket: 22, start_age: '', end_age: '', custom_conversions: [] }
     });
   };
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    
-    // Guard: Ensure BTC price is loaded before saving scenario
-    if (!currentPrice || currentPrice <= 0) {
-      alert('BTC price is still loading. Please wait a moment and try again.');
-      return;
-    }
-    
+  // Convert the form into Scenario entity fields (also used as projection overrides)
+  const buildScenarioDataFromForm = () => {
     // Clean up hypothetical_btc_loan - only include if actually enabled and has valid loan_amount
     let cleanedHypotheticalLoan = null;
     if (form.hypothetical_btc_loan?.enabled && form.hypothetical_btc_loan?.loan_amount) {
-      const loanAmt = parseFloat(form.hypothetical_btc_loan.loan_amount) || 0;
+      const loanAmt = toUSD(parseFloat(form.hypothetical_btc_loan.loan_amount) || 0);
       const ltv = parseFloat(form.hypothetical_btc_loan.ltv) || 50;
       
       // Auto-calculate collateral from Loan Amount and LTV
@@ -1224,13 +1140,14 @@ export default function Scenarios() {
           ? parseFloat(form.hypothetical_btc_loan.pay_off_age) 
           : null,
         use_of_proceeds: form.hypothetical_btc_loan.use_of_proceeds || 'cash',
+        lender_profile_id: form.hypothetical_btc_loan.lender_profile_id || null,
       };
     }
 
     // Process asset reallocations - convert empty strings to null for numeric fields
     const processedReallocations = (form.asset_reallocations || []).map(r => ({
       ...r,
-      sell_amount: r.sell_amount !== '' && r.sell_amount !== undefined ? Number(r.sell_amount) : null,
+      sell_amount: r.sell_amount !== '' && r.sell_amount !== undefined ? toUSD(Number(r.sell_amount)) : null,
       execution_year: r.execution_year !== '' && r.execution_year !== undefined ? Number(r.execution_year) : null,
       buy_cagr: r.buy_cagr !== '' && r.buy_cagr !== undefined ? Number(r.buy_cagr) : null,
       buy_dividend_yield: r.buy_dividend_yield !== '' && r.buy_dividend_yield !== undefined ? Number(r.buy_dividend_yield) : null,
@@ -1241,7 +1158,7 @@ export default function Scenarios() {
       description: form.description,
       retirement_age_override: form.retirement_age_override ? parseInt(form.retirement_age_override) : null,
       life_expectancy_override: form.life_expectancy_override ? parseInt(form.life_expectancy_override) : null,
-      annual_retirement_spending_override: form.annual_retirement_spending_override ? parseFloat(form.annual_retirement_spending_override) : null,
+      annual_retirement_spending_override: form.annual_retirement_spending_override ? toUSD(parseFloat(form.annual_retirement_spending_override)) : null,
       state_override: form.state_override || null,
       btc_cagr_override: form.btc_cagr_override !== '' ? parseFloat(form.btc_cagr_override) : null,
       stocks_cagr_override: form.stocks_cagr_override !== '' ? parseFloat(form.stocks_cagr_override) : null,
@@ -1251,30 +1168,31 @@ export default function Scenarios() {
       inflation_override: form.inflation_override !== '' ? parseFloat(form.inflation_override) : null,
       income_growth_override: form.income_growth_override !== '' ? parseFloat(form.income_growth_override) : null,
       social_security_start_age_override: form.social_security_start_age_override ? parseInt(form.social_security_start_age_override) : null,
-      social_security_amount_override: form.social_security_amount_override !== '' ? parseFloat(form.social_security_amount_override) : null,
+      social_security_amount_override: form.social_security_amount_override !== '' ? toUSD(parseFloat(form.social_security_amount_override)) : null,
       savings_allocation_btc_override: form.savings_allocation_btc_override !== '' ? parseFloat(form.savings_allocation_btc_override) : null,
       savings_allocation_stocks_override: form.savings_allocation_stocks_override !== '' ? parseFloat(form.savings_allocation_stocks_override) : null,
       savings_allocation_bonds_override: form.savings_allocation_bonds_override !== '' ? parseFloat(form.savings_allocation_bonds_override) : null,
       savings_allocation_cash_override: form.savings_allocation_cash_override !== '' ? parseFloat(form.savings_allocation_cash_override) : null,
       savings_allocation_other_override: form.savings_allocation_other_override !== '' ? parseFloat(form.savings_allocation_other_override) : null,
       investment_mode_override: form.investment_mode_override || null,
-      monthly_investment_amount_override: form.monthly_investment_amount_override ? Number(form.monthly_investment_amount_override) : null,
+      monthly_investment_amount_override: form.monthly_investment_amount_override ? toUSD(Number(form.monthly_investment_amount_override)) : null,
       btc_return_model_override: form.btc_return_model_override || null,
       custom_return_periods_override: (form.custom_return_periods_override && Object.keys(form.custom_return_periods_override).length > 0) ? form.custom_return_periods_override : null,
       ticker_returns_override: (form.ticker_returns_override && Object.keys(form.ticker_returns_override).length > 0) ? form.ticker_returns_override : null,
-      gross_annual_income_override: form.gross_annual_income_override !== '' ? parseFloat(form.gross_annual_income_override) : null,
-      current_annual_spending_override: form.current_annual_spending_override !== '' ? parseFloat(form.current_annual_spending_override) : null,
-      dividend_income_override: form.dividend_income_override !== '' ? parseFloat(form.dividend_income_override) : null,
+      gross_annual_income_override: form.gross_annual_income_override !== '' ? toUSD(parseFloat(form.gross_annual_income_override)) : null,
+      current_annual_spending_override: form.current_annual_spending_override !== '' ? toUSD(parseFloat(form.current_annual_spending_override)) : null,
+      dividend_income_override: form.dividend_income_override !== '' ? toUSD(parseFloat(form.dividend_income_override)) : null,
       dividend_income_qualified: form.dividend_income_qualified,
-      one_time_events: form.one_time_events || [],
+      one_time_events: (form.one_time_events || []).map(e => ({ ...e, amount: e.amount !== '' && e.amount !== undefined ? toUSD(parseFloat(e.amount) || 0) : e.amount })),
       asset_reallocations: processedReallocations,
       hypothetical_btc_loan: cleanedHypotheticalLoan,
       future_btc_loan_rate: form.future_btc_loan_rate !== '' ? parseFloat(form.future_btc_loan_rate) : null,
       future_btc_loan_rate_years: form.future_btc_loan_rate_years !== '' ? parseInt(form.future_btc_loan_rate_years) : null,
+      asset_correlations_override: form.asset_correlations_override || null,
       roth_conversions: form.roth_conversions?.enabled ? {
         enabled: true,
         mode: form.roth_conversions.mode || 'fixed',
-        fixed_amount: form.roth_conversions.mode === 'fixed' ? (parseFloat(form.roth_conversions.fixed_amount) || 0) : null,
+        fixed_amount: form.roth_conversions.mode === 'fixed' ? toUSD(parseFloat(form.roth_conversions.fixed_amount) || 0) : null,
         target_bracket: form.roth_conversions.mode === 'bracket_fill' ? (parseInt(form.roth_conversions.target_bracket) || 22) : null,
         start_age: form.roth_conversions.start_age ? parseInt(form.roth_conversions.start_age) : null,
         end_age: form.roth_conversions.end_age ? parseInt(form.roth_conversions.end_age) : null,
@@ -1282,6 +1200,20 @@ export default function Scenarios() {
       } : null,
     };
 
+    return data;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    
+    // Guard: Ensure BTC price is loaded before saving scenario
+    if (!currentPrice || currentPrice <= 0) {
+      alert('BTC price is still loading. Please wait a moment and try again.');
+      return;
+    }
+
+    const data = buildScenarioDataFromForm();
+
     if (editingScenario) {
       updateScenario.mutate({ id: editingScenario.id, data });
     } else {
@@ -1289,14 +1221,61 @@ export default function Scenarios() {
     }
   };
 
+  // Search conversion schedules for the scenario being edited (other form overrides apply)
+  const handleOptimizeRothConversions = () => {
+    setRothOptimizerRunning(true);
+    setRothOptimizerResult(null);
+
+    // Use setTimeout to prevent UI freezing during heavy computation
+    setTimeout(() => {
+      try {
+        const params = buildProjectionParams(settings, { ...buildScenarioDataFromForm(), roth_conversions: null }, {
+          holdings,
+          accounts,
+          liabilities,
+          btcCollateralizedLoans,
+          goals,
+          lifeEvents,
+          activeTaxLots,
+          currentPrice,
+        });
+
+        const result = optimizeRothConversions(params, {
+          objective: rothOptimizerObjective,
+          startAge: form.roth_conversions?.start_age ? Number(form.roth_conversions.start_age) : null,
+          endAge: form.roth_conversions?.end_age ? Number(form.roth_conversions.end_age) : null,
+          heirTaxRate: parseFloat(rothOptimizerHeirTaxRate) || 0,
+        });
+        setRothOptimizerResult(result);
+      } catch (error) {
+        console.error('Roth conversion optimizer error:', error);
+      } finally {
+        setRothOptimizerRunning(false);
+      }
+    }, 50);
+  };
+
+  const applyRothOptimizerPlan = () => {
+    if (!rothOptimizerResult) return;
+    setForm({
+      ...form,
+      roth_conversions: {
+        ...form.roth_conversions,
+        ...rothOptimizerResult.rothConversions,
+        enabled: true,
+      }
+    });
+  };
+
   const handleEdit = (scenario) => {
     setEditingScenario(scenario);
+    setRothOptimizerResult(null);
     setForm({
       name: scenario.name || '',
       description: scenario.description || '',
       retirement_age_override: scenario.retirement_age_override || '',
       life_expectancy_override: scenario.life_expectancy_override || '',
-      annual_retirement_spending_override: scenario.annual_retirement_spending_override || '',
+      annual_retirement_spending_override: toMoneyInput(scenario.annual_retirement_spending_override || ''),
       state_override: scenario.state_override || '',
       btc_cagr_override: scenario.btc_cagr_override ?? '',
       stocks_cagr_override: scenario.stocks_cagr_override ?? '',
@@ -1306,27 +1285,32 @@ export default function Scenarios() {
       inflation_override: scenario.inflation_override ?? '',
       income_growth_override: scenario.income_growth_override ?? '',
       social_security_start_age_override: scenario.social_security_start_age_override || '',
-      social_security_amount_override: scenario.social_security_amount_override ?? '',
+      social_security_amount_override: toMoneyInput(scenario.social_security_amount_override ?? ''),
       savings_allocation_btc_override: scenario.savings_allocation_btc_override ?? '',
       savings_allocation_stocks_override: scenario.savings_allocation_stocks_override ?? '',
       savings_allocation_bonds_override: scenario.savings_allocation_bonds_override ?? '',
       savings_allocation_cash_override: scenario.savings_allocation_cash_override ?? '',
       savings_allocation_other_override: scenario.savings_allocation_other_override ?? '',
       investment_mode_override: scenario.investment_mode_override || '',
-      monthly_investment_amount_override: scenario.monthly_investment_amount_override ?? '',
+      monthly_investment_amount_override: toMoneyInput(scenario.monthly_investment_amount_override ?? ''),
       btc_return_model_override: scenario.btc_return_model_override || '',
       custom_return_periods_override: scenario.custom_return_periods_override || {},
       ticker_returns_override: scenario.ticker_returns_override || {},
-      gross_annual_income_override: scenario.gross_annual_income_override ?? '',
-      current_annual_spending_override: scenario.current_annual_spending_override ?? '',
-      dividend_income_override: scenario.dividend_income_override ?? '',
+      gross_annual_income_override: toMoneyInput(scenario.gross_annual_income_override ?? ''),
+      current_annual_spending_override: toMoneyInput(scenario.current_annual_spending_override ?? ''),
+      dividend_income_override: toMoneyInput(scenario.dividend_income_override ?? ''),
       dividend_income_qualified: scenario.dividend_income_qualified ?? true,
-      one_time_events: scenario.one_time_events || [],
-      asset_reallocations: scenario.asset_reallocations || [],
-      hypothetical_btc_loan: scenario.hypothetical_btc_loan || { enabled: false, loan_amount: '', interest_rate: '', collateral_btc: '', ltv: '' },
+      one_time_events: (scenario.one_time_events || []).map(e => ({ ...e, amount: toMoneyInput(e.amount) })),
+      asset_reallocations: (scenario.asset_reallocations || []).map(r => ({ ...r, sell_amount: toMoneyInput(r.sell_amount) })),
+      hypothetical_btc_loan: scenario.hypothetical_btc_loan
+        ? { ...scenario.hypothetical_btc_loan, loan_amount: toMoneyInput(scenario.hypothetical_btc_loan.loan_amount) }
+        : { enabled: false, loan_amount: '', interest_rate: '', collateral_btc: '', ltv: '' },
       future_btc_loan_rate: scenario.future_btc_loan_rate ?? '',
       future_btc_loan_rate_years: scenario.future_btc_loan_rate_years ?? '',
-      roth_conversions: scenario.roth_conversions || { enabled: false, mode: 'fixed', fixed_amount: '', target_bracket: 22, start_age: '', end_age: '', custom_conversions: [] }
+      asset_correlations_override: scenario.asset_correlations_override || null,
+      roth_conversions: scenario.roth_conversions
+        ? { ...scenario.roth_conversions, fixed_amount: toMoneyInput(scenario.roth_conversions.fixed_amount) }
+        : { enabled: false, mode: 'fixed', fixed_amount: '', target_bracket: 22, start_age: '', end_age: '', custom_conversions: [] }
     });
     setFormOpen(true);
   };
@@ -1476,7 +1460,7 @@ export default function Scenarios() {
                 {selectedScenario.roth_conversions?.enabled && (
                   <Badge variant="outline" className="border-purple-500/50 text-purple-400">
                     Roth Conv: {selectedScenario.roth_conversions.mode === 'fixed' 
-                      ? `$${(selectedScenario.roth_conversions.fixed_amount || 0).toLocaleString()}/yr`
+                      ? `${formatAmount(selectedScenario.roth_conversions.fixed_amount)}/yr`
                       : selectedScenario.roth_conversions.mode === 'bracket_fill'
                       ? `Fill ${selectedScenario.roth_conversions.target_bracket}%`
                       : `Custom (${(selectedScenario.roth_conversions.custom_conversions || []).length} years)`}
@@ -1600,7 +1584,7 @@ export default function Scenarios() {
                                     <div className="flex justify-between gap-6">
                                       <span className="text-orange-400 font-medium">Bitcoin:</span>
                                       <span className="text-zinc-200 font-medium text-right">
-                                        ${((p.btcLiquid || 0) + (p.btcEncumbered || 0)).toLocaleString()}
+                                        {formatAmount((p.btcLiquid || 0) + (p.btcEncumbered || 0))}
                                         <span className="text-zinc-500 text-xs ml-1">({totalBtcAmount.toFixed(4)} BTC)</span>
                                         <span className="text-zinc-600 text-xs ml-1">@ {(p.btcGrowthRate || 0).toFixed(1)}%</span>
                                       </span>
@@ -1609,7 +1593,7 @@ export default function Scenarios() {
                                       <div className="flex justify-between gap-6 pl-3">
                                         <span className="text-orange-400/70 font-light text-sm">└ Liquid:</span>
                                         <span className="text-zinc-300 text-sm text-right">
-                                          ${(p.btcLiquid || 0).toLocaleString()}
+                                          {formatAmount(p.btcLiquid)}
                                           <span className="text-zinc-500 text-xs ml-1">({liquidBtcAmount.toFixed(4)} BTC)</span>
                                         </span>
                                       </div>
@@ -1618,7 +1602,7 @@ export default function Scenarios() {
                                       <div className="flex justify-between gap-6 pl-3">
                                         <span className="text-amber-700/70 font-light text-sm">└ Collateral 🔒:</span>
                                         <span className="text-zinc-300 text-sm text-right">
-                                          ${(p.btcEncumbered || 0).toLocaleString()}
+                                          {formatAmount(p.btcEncumbered)}
                                           <span className="text-zinc-500 text-xs ml-1">({collateralBtcAmount.toFixed(4)} BTC)</span>
                                         </span>
                                       </div>
@@ -1632,7 +1616,7 @@ export default function Scenarios() {
                                 <div className="flex justify-between gap-6">
                                   <span className="text-blue-400 font-light">Stocks:</span>
                                   <span className="text-zinc-200 font-medium text-right">
-                                    ${(p.stocks || 0).toLocaleString()}
+                                    {formatAmount(p.stocks)}
                                     <span className="text-zinc-600 text-xs ml-1">@ {(p.stocksGrowthRate || 0).toFixed(1)}%</span>
                                   </span>
                                 </div>
@@ -1641,7 +1625,7 @@ export default function Scenarios() {
                                 <div className="flex justify-between gap-6">
                                   <span className="text-emerald-400 font-light">Real Estate:</span>
                                   <span className="text-zinc-200 font-medium text-right">
-                                    ${(p.realEstate || 0).toLocaleString()}
+                                    {formatAmount(p.realEstate)}
                                     <span className="text-zinc-600 text-xs ml-1">@ {(p.realEstateGrowthRate || 0).toFixed(1)}%</span>
                                   </span>
                                 </div>
@@ -1650,7 +1634,7 @@ export default function Scenarios() {
                                 <div className="flex justify-between gap-6">
                                   <span className="text-purple-400 font-light">Bonds:</span>
                                   <span className="text-zinc-200 font-medium text-right">
-                                    ${(p.bonds || 0).toLocaleString()}
+                                    {formatAmount(p.bonds)}
                                     <span className="text-zinc-600 text-xs ml-1">@ {(p.bondsGrowthRate || 0).toFixed(1)}%</span>
                                   </span>
                                 </div>
@@ -1659,7 +1643,7 @@ export default function Scenarios() {
                                 <div className="flex justify-between gap-6">
                                   <span className="text-cyan-400 font-light">Cash:</span>
                                   <span className="text-zinc-200 font-medium text-right">
-                                    ${(p.cash || 0).toLocaleString()}
+                                    {formatAmount(p.cash)}
                                     <span className="text-zinc-600 text-xs ml-1">@ {(p.cashGrowthRate || 0).toFixed(1)}%</span>
                                   </span>
                                 </div>
@@ -1669,8 +1653,14 @@ export default function Scenarios() {
                               <div className="pt-3 mt-3 border-t border-zinc-700/70 space-y-1.5">
                                 <div className="flex justify-between gap-6">
                                   <span className="text-zinc-100 font-semibold">Total Assets:</span>
-                                  <span className="text-zinc-100 font-semibold text-right">${(p.total || 0).toLocaleString()}</span>
+                                  <span className="text-zinc-100 font-semibold text-right">{formatAmount(p.total)}</span>
                                 </div>
+                                {(p.education529Balance || 0) > 0 && (
+                                  <div className="flex justify-between gap-6 text-xs">
+                                    <span className="text-violet-400">529 Plans (education only):</span>
+                                    <span className="text-zinc-300 text-right">{formatAmount(p.education529Balance)}</span>
+                                  </div>
+                                )}
                               </div>
                               
                               {/* Debt Summary */}
@@ -1678,26 +1668,26 @@ export default function Scenarios() {
                                 <div className="pt-3 mt-3 border-t border-zinc-700/70">
                                   <div className="flex justify-between gap-6">
                                     <span className="text-rose-300 font-semibold">Total Debt:</span>
-                                    <span className="text-rose-300 font-semibold">-${(p.totalDebt || 0).toLocaleString()}</span>
+                                    <span className="text-rose-300 font-semibold">-{formatAmount(p.totalDebt)}</span>
                                   </div>
                                   {p.totalBtcLoanDebt > 0 && (
                                     <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                                       <span>BTC-Backed:</span>
-                                      <span>${(p.totalBtcLoanDebt || 0).toLocaleString()} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
+                                      <span>{formatAmount(p.totalBtcLoanDebt)} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
                                     </div>
                                   )}
                                   {p.totalRegularDebt > 0 && (
                                     <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                                       <span>Regular Debt:</span>
-                                      <span>${(p.totalRegularDebt || 0).toLocaleString()}</span>
+                                      <span>{formatAmount(p.totalRegularDebt)}</span>
                                     </div>
                                   )}
                                   <div className="flex justify-between gap-6 mt-2 pt-2 border-t border-zinc-700/40">
-                                    <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                                    <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
                                       Net Worth:
                                     </span>
-                                    <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                                      ${((p.total || 0) - (p.totalDebt || 0)).toLocaleString()}
+                                    <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                                      {formatAmount((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0))}
                                     </span>
                                   </div>
                                 </div>
@@ -1710,81 +1700,81 @@ export default function Scenarios() {
                                   <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                                    <div className="flex justify-between gap-6">
                                      <span>Gross Income:</span>
-                                     <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                                     <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                                    </div>
                                    {p.lifeEventIncome > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Life Event Income:</span>
-                                       <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                                      </div>
                                    )}
                                    {p.loanProceeds > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Loan Proceeds:</span>
-                                       <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                                      </div>
                                    )}
                                    {p.totalDividendIncome > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Dividend Income:</span>
-                                       <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                                      </div>
                                    )}
                                    {p.federalTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Federal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.stateTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>{stateCode} State Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalTax > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalPenalty > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Penalty (10%):</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                       </div>
                                     )}
                                     <div className="flex justify-between gap-6">
                                       <span>Spending:</span>
-                                      <span className="text-zinc-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                                      <span className="text-zinc-300 text-right">-{formatAmount(p.yearSpending)}</span>
                                     </div>
                                     {p.goalFunding > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Goal Funding:</span>
-                                        <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                                       </div>
                                     )}
                                     {p.lifeEventExpense > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Life Event Expense:</span>
-                                        <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                                       </div>
                                     )}
                                     {p.rothConversion > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Roth Conversion:</span>
-                                        <span className="text-purple-400 text-right">+${p.rothConversion.toLocaleString()}</span>
+                                        <span className="text-purple-400 text-right">+{formatAmount(p.rothConversion)}</span>
                                       </div>
                                     )}
                                     </div>
                                   {p.debtPayments > 0 && (
                                     <div className="text-xs text-zinc-500 mb-2">
-                                      (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                                      (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                                     </div>
                                   )}
                                   <div className="pt-2 border-t border-zinc-700/40">
                                     <p className={`font-semibold text-sm ${p.netCashFlow >= 0 ? 'text-emerald-400' : 'text-rose-400'}`}>
-                                      Net Cash Flow: {p.netCashFlow >= 0 ? '+' : ''}${p.netCashFlow.toLocaleString()}
+                                      Net Cash Flow: {p.netCashFlow >= 0 ? '+' : ''}{formatAmount(p.netCashFlow)}
                                     </p>
                                   </div>
                                   {/* Withdrawal sources */}
@@ -1794,31 +1784,31 @@ export default function Scenarios() {
                                       {p.withdrawFromTaxable > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Taxable:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromTaxDeferred > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Tax-Deferred:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                                         </div>
                                       )}
                                       {p.withdrawFromTaxFree > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>From Tax-Free:</span>
-                                          <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                          <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                                         </div>
                                       )}
                                       {p.earlyWithdrawalTax > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>Early Withdrawal Tax:</span>
-                                          <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                          <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                         </div>
                                       )}
                                       {p.earlyWithdrawalPenalty > 0 && (
                                         <div className="flex justify-between gap-6">
                                           <span>Early Withdrawal Penalty (10%):</span>
-                                          <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                          <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                         </div>
                                       )}
                                     </div>
@@ -1835,25 +1825,25 @@ export default function Scenarios() {
                                               {r.sellAsset} from {r.fromAccount} → {r.buyAsset} in {r.toAccount}
                                             </p>
                                             <p className="ml-3 text-zinc-500">
-                                              Sold: ${r.amount.toLocaleString()}
+                                              Sold: {formatAmount(r.amount)}
                                             </p>
                                             {r.capitalGains > 0 && (
                                               <p className="ml-3 text-zinc-500">
-                                                Capital Gains: ${r.capitalGains.toLocaleString()}
+                                                Capital Gains: {formatAmount(r.capitalGains)}
                                               </p>
                                             )}
                                             {r.taxPaid > 0 && (
                                               <p className="ml-3 text-rose-400">
-                                                Tax: -${r.taxPaid.toLocaleString()}
+                                                Tax: -{formatAmount(r.taxPaid)}
                                               </p>
                                             )}
                                             {r.penaltyPaid > 0 && (
                                               <p className="ml-3 text-rose-400">
-                                                Penalty: -${r.penaltyPaid.toLocaleString()}
+                                                Penalty: -{formatAmount(r.penaltyPaid)}
                                               </p>
                                             )}
                                             <p className="ml-3 text-emerald-400">
-                                              Net Proceeds: ${r.netProceeds.toLocaleString()}
+                                              Net Proceeds: {formatAmount(r.netProceeds)}
                                             </p>
                                           </div>
                                         ))}
@@ -1866,10 +1856,10 @@ export default function Scenarios() {
                                       {p.loanPayoffs.map((lp, lpIdx) => (
                                         <div key={lpIdx} className="text-[10px] text-zinc-400 mt-1">
                                           <div className="font-medium text-orange-300">{lp.loanName}</div>
-                                          <div>Debt Cleared: ${Math.round(lp.debtPaid).toLocaleString()}</div>
-                                          <div>BTC Released: {lp.btcReleased.toFixed(4)} BTC (${Math.round(lp.equityReleased).toLocaleString()})</div>
-                                          <div>Tax on Sale: ${Math.round(lp.taxOnSale).toLocaleString()}</div>
-                                          <div>Net Equity Applied: ${Math.round(lp.appliedToDeficit).toLocaleString()}</div>
+                                          <div>Debt Cleared: {formatAmount(lp.debtPaid)}</div>
+                                          <div>BTC Released: {lp.btcReleased.toFixed(4)} BTC ({formatAmount(lp.equityReleased)})</div>
+                                          <div>Tax on Sale: {formatAmount(lp.taxOnSale)}</div>
+                                          <div>Net Equity Applied: {formatAmount(lp.appliedToDeficit)}</div>
                                         </div>
                                       ))}
                                     </div>
@@ -1878,9 +1868,9 @@ export default function Scenarios() {
                                     <div className="mt-2 p-2 rounded bg-cyan-500/10 border border-cyan-500/20">
                                       <p className="text-xs text-cyan-400 font-medium">🏠 Real Estate Sold</p>
                                       <div className="text-[10px] text-zinc-400 mt-1">
-                                        <div>Sale Proceeds: ${(p.realEstateSaleProceeds || 0).toLocaleString()}</div>
-                                        <div>Used for Withdrawal: ${(p.withdrawFromRealEstate || 0).toLocaleString()}</div>
-                                        <div>Added to Taxable: ${((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0)).toLocaleString()}</div>
+                                        <div>Sale Proceeds: {formatAmount(p.realEstateSaleProceeds)}</div>
+                                        <div>Used for Withdrawal: {formatAmount(p.withdrawFromRealEstate)}</div>
+                                        <div>Added to Taxable: {formatAmount((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0))}</div>
                                       </div>
                                     </div>
                                   )}
@@ -1895,89 +1885,89 @@ export default function Scenarios() {
                                    <div className="flex justify-between gap-6">
                                      <span>Gross Income:</span>
                                      <span className="text-emerald-400 text-right">
-                                       {(p.otherRetirementIncome || 0) > 0 ? `+$${(p.otherRetirementIncome || 0).toLocaleString()}` : '$0'}
+                                       {(p.otherRetirementIncome || 0) > 0 ? `+${formatAmount(p.otherRetirementIncome)}` : formatAmount(0)}
                                      </span>
                                    </div>
                                    {p.lifeEventIncome > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Life Event Income:</span>
-                                       <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                                      </div>
                                    )}
                                    {p.loanProceeds > 0 && (
                                      <div className="flex justify-between gap-6">
                                        <span>Loan Proceeds:</span>
-                                       <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                       <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                                      </div>
                                    )}
                                    {p.totalDividendIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Dividend Income:</span>
-                                        <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                                       </div>
                                     )}
                                     {p.socialSecurityIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Social Security:</span>
-                                        <span className="text-emerald-400 text-right">+${p.socialSecurityIncome.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.socialSecurityIncome)}</span>
                                       </div>
                                     )}
                                     {p.rmdWithdrawn > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>RMD (Required):</span>
-                                        <span className="text-emerald-400 text-right">+${p.rmdWithdrawn.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.rmdWithdrawn)}</span>
                                       </div>
                                     )}
                                     {p.excessRmdReinvested > 0 && (
                                       <div className="flex justify-between gap-6 text-xs">
                                         <span className="text-zinc-500">└ Excess RMD Reinvested:</span>
-                                        <span className="text-zinc-400 text-right">${p.excessRmdReinvested.toLocaleString()}</span>
+                                        <span className="text-zinc-400 text-right">{formatAmount(p.excessRmdReinvested)}</span>
                                       </div>
                                     )}
                                     <div className="flex justify-between gap-6">
                                       <span>Spending:</span>
-                                      <span className="text-zinc-300 text-right">-${(p.retirementSpendingOnly || 0).toLocaleString()}</span>
+                                      <span className="text-zinc-300 text-right">-{formatAmount(p.retirementSpendingOnly)}</span>
                                     </div>
                                     {p.goalFunding > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Goal Funding:</span>
-                                        <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                                       </div>
                                     )}
                                     {p.lifeEventExpense > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Life Event Expense:</span>
-                                        <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                                       </div>
                                     )}
                                     {p.federalTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Federal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.stateTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>{stateCode} State Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalTax > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalPenalty > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Early Withdrawal Penalty (10%):</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                       </div>
                                     )}
                                     {p.rothConversion > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>Roth Conversion:</span>
-                                        <span className="text-purple-400 text-right">+${p.rothConversion.toLocaleString()}</span>
+                                        <span className="text-purple-400 text-right">+{formatAmount(p.rothConversion)}</span>
                                       </div>
                                     )}
                                   </div>
@@ -1988,7 +1978,7 @@ export default function Scenarios() {
                                       </p>
                                     ) : (
                                       <p className="font-semibold text-rose-400 text-sm">
-                                        Net Withdrawal: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                                        Net Withdrawal: -{formatAmount(p.totalWithdrawalAmount)}
                                       </p>
                                     )}
                                   </div>
@@ -2002,99 +1992,99 @@ export default function Scenarios() {
                                   <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                                     <div className="flex justify-between gap-6">
                                       <span>• Gross Income:</span>
-                                      <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                                      <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                                     </div>
                                     {p.lifeEventIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Life Event Income:</span>
-                                        <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                                       </div>
                                     )}
                                     {p.loanProceeds > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Loan Proceeds:</span>
-                                        <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                                       </div>
                                     )}
                                     {p.totalDividendIncome > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Dividend Income:</span>
-                                        <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                                       </div>
                                     )}
                                     {p.federalTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Federal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.stateTaxPaid > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• {stateCode} State Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalTax > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Early Withdrawal Tax:</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                                       </div>
                                     )}
                                     {p.earlyWithdrawalPenalty > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Early Withdrawal Penalty (10%):</span>
-                                        <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                                       </div>
                                     )}
                                     {p.year401kContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• 401k/403b:</span>
-                                        <span className="text-rose-300 text-right">-${p.year401kContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.year401kContribution)}</span>
                                       </div>
                                     )}
                                     {p.yearEmployer401kMatch > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Employer Match:</span>
-                                        <span className="text-emerald-400 text-right">+${p.yearEmployer401kMatch.toLocaleString()}</span>
+                                        <span className="text-emerald-400 text-right">+{formatAmount(p.yearEmployer401kMatch)}</span>
                                       </div>
                                     )}
                                     {p.yearRothContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Roth IRA:</span>
-                                        <span className="text-rose-300 text-right">-${p.yearRothContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.yearRothContribution)}</span>
                                       </div>
                                     )}
                                     {p.yearHSAContribution > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• HSA:</span>
-                                        <span className="text-rose-300 text-right">-${p.yearHSAContribution.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.yearHSAContribution)}</span>
                                       </div>
                                     )}
                                     <div className="flex justify-between gap-6">
                                       <span>• Spending:</span>
-                                      <span className="text-rose-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                                      <span className="text-rose-300 text-right">-{formatAmount(p.yearSpending)}</span>
                                     </div>
                                     {p.goalFunding > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Goal Funding:</span>
-                                        <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                                       </div>
                                     )}
                                     {p.lifeEventExpense > 0 && (
                                       <div className="flex justify-between gap-6">
                                         <span>• Life Event Expense:</span>
-                                        <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                        <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                                       </div>
                                     )}
                                   </div>
                                   {p.debtPayments > 0 && (
                                     <div className="text-xs text-zinc-500 mb-2">
-                                      (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                                      (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                                     </div>
                                   )}
                                   <div className="pt-2 border-t border-zinc-700/40">
                                     <p className="font-semibold text-emerald-400 text-sm">
-                                      Net Savings: ${p.netCashFlow.toLocaleString()}
+                                      Net Savings: {formatAmount(p.netCashFlow)}
                                     </p>
                                   </div>
                                 </div>
@@ -2113,25 +2103,25 @@ export default function Scenarios() {
                                           {r.sellAsset} from {r.fromAccount} → {r.buyAsset} in {r.toAccount}
                                         </p>
                                         <p className="ml-3 text-zinc-500">
-                                          Sold: ${r.amount.toLocaleString()}
+                                          Sold: {formatAmount(r.amount)}
                                         </p>
                                         {r.capitalGains > 0 && (
                                           <p className="ml-3 text-zinc-500">
-                                            Capital Gains: ${r.capitalGains.toLocaleString()}
+                                            Capital Gains: {formatAmount(r.capitalGains)}
                                           </p>
                                         )}
                                         {r.taxPaid > 0 && (
                                           <p className="ml-3 text-rose-400">
-                                            Tax: -${r.taxPaid.toLocaleString()}
+                                            Tax: -{formatAmount(r.taxPaid)}
                                           </p>
                                         )}
                                         {r.penaltyPaid > 0 && (
                                           <p className="ml-3 text-rose-400">
-                                            Penalty: -${r.penaltyPaid.toLocaleString()}
+                                            Penalty: -{formatAmount(r.penaltyPaid)}
                                           </p>
                                         )}
                                         <p className="ml-3 text-emerald-400">
-                                          Net Proceeds: ${r.netProceeds.toLocaleString()}
+                                          Net Proceeds: {formatAmount(r.netProceeds)}
                                         </p>
                                       </div>
                                     ))}
@@ -2179,9 +2169,9 @@ export default function Scenarios() {
                                             {liq.remainingDebt <= 0 ? '⚠️ Loan Liquidated:' : '⚠️ Partial Liquidation:'}
                                           </p>
                                           <p className="text-rose-400">• {liq.liabilityName}</p>
-                                          <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC ($${(liq.proceeds || 0).toLocaleString()})`}</p>
+                                          <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC (${formatAmount(liq.proceeds)})`}</p>
                                           {liq.remainingDebt > 0 && (
-                                            <p className="ml-3 text-zinc-500">Remaining debt: ${liq.remainingDebt?.toLocaleString()} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
+                                            <p className="ml-3 text-zinc-500">Remaining debt: {formatAmount(liq.remainingDebt)} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
                                           )}
                                         </>
                                       )}
@@ -2204,10 +2194,22 @@ export default function Scenarios() {
                     }}
                     labelFormatter={(age) => `Age ${age}`}
                   />
-                  <Legend formatter={(value) => value === 'baseline' ? 'Baseline' : selectedScenario.name} />
+                  <Legend formatter={(value) => ({
+                    baseline: 'Baseline',
+                    scenario: selectedScenario.name,
+                    baseline529: 'Baseline 529 Plans',
+                    scenario529: `${selectedScenario.name} 529 Plans`,
+                  })[value]} />
                   <ReferenceLine x={baselineRetirementAge} stroke="#F7931A" strokeDasharray="5 5" label={{ value: 'Retire', position: 'top', fill: '#F7931A', fontSize: 10 }} />
                   <Line type="monotone" dataKey="baseline" stroke="#71717a" strokeWidth={2} dot={false} strokeDasharray="5 5" name="baseline" />
                   <Line type="monotone" dataKey="scenario" stroke="#F7931A" strokeWidth={2} dot={false} name="scenario" />
+                  {/* 529 plans sit outside the totals: education money only */}
+                  {chartData.some(d => d.baseline529 > 0) && (
+                    <Line type="monotone" dataKey="baseline529" stroke="#8b5cf6" strokeWidth={1.5} dot={false} strokeDasharray="5 5" strokeOpacity={0.6} name="baseline529" />
+                  )}
+                  {chartData.some(d => d.scenario529 > 0) && (
+                    <Line type="monotone" dataKey="scenario529" stroke="#8b5cf6" strokeWidth={1.5} dot={false} name="scenario529" />
+                  )}
                 </LineChart>
               </ResponsiveContainer>
               
@@ -2286,7 +2288,7 @@ export default function Scenarios() {
                             <div className="flex justify-between gap-6">
                               <span className="text-orange-400 font-medium">Bitcoin:</span>
                               <span className="text-zinc-200 font-medium text-right">
-                                ${((p.btcLiquid || 0) + (p.btcEncumbered || 0)).toLocaleString()}
+                                {formatAmount((p.btcLiquid || 0) + (p.btcEncumbered || 0))}
                                 <span className="text-zinc-500 text-xs ml-1">({totalBtcAmount.toFixed(4)} BTC)</span>
                                 <span className="text-zinc-600 text-xs ml-1">@ {(p.btcGrowthRate || 0).toFixed(1)}%</span>
                               </span>
@@ -2295,7 +2297,7 @@ export default function Scenarios() {
                               <div className="flex justify-between gap-6 pl-3">
                                 <span className="text-orange-400/70 font-light text-sm">└ Liquid:</span>
                                 <span className="text-zinc-300 text-sm text-right">
-                                  ${(p.btcLiquid || 0).toLocaleString()}
+                                  {formatAmount(p.btcLiquid)}
                                   <span className="text-zinc-500 text-xs ml-1">({liquidBtcAmount.toFixed(4)} BTC)</span>
                                 </span>
                               </div>
@@ -2304,7 +2306,7 @@ export default function Scenarios() {
                               <div className="flex justify-between gap-6 pl-3">
                                 <span className="text-amber-700/70 font-light text-sm">└ Collateral 🔒:</span>
                                 <span className="text-zinc-300 text-sm text-right">
-                                  ${(p.btcEncumbered || 0).toLocaleString()}
+                                  {formatAmount(p.btcEncumbered)}
                                   <span className="text-zinc-500 text-xs ml-1">({collateralBtcAmount.toFixed(4)} BTC)</span>
                                 </span>
                               </div>
@@ -2318,7 +2320,7 @@ export default function Scenarios() {
                         <div className="flex justify-between gap-6">
                           <span className="text-blue-400 font-light">Stocks:</span>
                           <span className="text-zinc-200 font-medium text-right">
-                            ${(p.stocks || 0).toLocaleString()}
+                            {formatAmount(p.stocks)}
                             <span className="text-zinc-600 text-xs ml-1">@ {(p.stocksGrowthRate || 0).toFixed(1)}%</span>
                           </span>
                         </div>
@@ -2327,7 +2329,7 @@ export default function Scenarios() {
                         <div className="flex justify-between gap-6">
                           <span className="text-emerald-400 font-light">Real Estate:</span>
                           <span className="text-zinc-200 font-medium text-right">
-                            ${(p.realEstate || 0).toLocaleString()}
+                            {formatAmount(p.realEstate)}
                             <span className="text-zinc-600 text-xs ml-1">@ {(p.realEstateGrowthRate || 0).toFixed(1)}%</span>
                           </span>
                         </div>
@@ -2336,7 +2338,7 @@ export default function Scenarios() {
                         <div className="flex justify-between gap-6">
                           <span className="text-purple-400 font-light">Bonds:</span>
                           <span className="text-zinc-200 font-medium text-right">
-                            ${(p.bonds || 0).toLocaleString()}
+                            {formatAmount(p.bonds)}
                             <span className="text-zinc-600 text-xs ml-1">@ {(p.bondsGrowthRate || 0).toFixed(1)}%</span>
                           </span>
                         </div>
@@ -2345,7 +2347,7 @@ export default function Scenarios() {
                         <div className="flex justify-between gap-6">
                           <span className="text-cyan-400 font-light">Cash:</span>
                           <span className="text-zinc-200 font-medium text-right">
-                            ${(p.cash || 0).toLocaleString()}
+                            {formatAmount(p.cash)}
                             <span className="text-zinc-600 text-xs ml-1">@ {(p.cashGrowthRate || 0).toFixed(1)}%</span>
                           </span>
                         </div>
@@ -2355,8 +2357,14 @@ export default function Scenarios() {
                       <div className="pt-3 mt-3 border-t border-zinc-700/70 space-y-1.5">
                         <div className="flex justify-between gap-6">
                           <span className="text-zinc-100 font-semibold">Total Assets:</span>
-                          <span className="text-zinc-100 font-semibold text-right">${(p.total || 0).toLocaleString()}</span>
+                          <span className="text-zinc-100 font-semibold text-right">{formatAmount(p.total)}</span>
                         </div>
+                        {(p.education529Balance || 0) > 0 && (
+                          <div className="flex justify-between gap-6 text-xs">
+                            <span className="text-violet-400">529 Plans (education only):</span>
+                            <span className="text-zinc-300 text-right">{formatAmount(p.education529Balance)}</span>
+                          </div>
+                        )}
                       </div>
                       
                       {/* Debt Summary */}
@@ -2364,26 +2372,26 @@ export default function Scenarios() {
                         <div className="pt-3 mt-3 border-t border-zinc-700/70">
                           <div className="flex justify-between gap-6">
                             <span className="text-rose-300 font-semibold">Total Debt:</span>
-                            <span className="text-rose-300 font-semibold">-${(p.totalDebt || 0).toLocaleString()}</span>
+                            <span className="text-rose-300 font-semibold">-{formatAmount(p.totalDebt)}</span>
                           </div>
                           {p.totalBtcLoanDebt > 0 && (
                             <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                               <span>BTC-Backed:</span>
-                              <span>${(p.totalBtcLoanDebt || 0).toLocaleString()} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
+                              <span>{formatAmount(p.totalBtcLoanDebt)} ({Math.round((p.btcLoanDetails || []).reduce((sum, l) => sum + l.ltv, 0) / (p.btcLoanDetails?.length || 1))}% avg LTV)</span>
                             </div>
                           )}
                           {p.totalRegularDebt > 0 && (
                             <div className="flex justify-between gap-6 text-xs text-zinc-500 mt-1">
                               <span>Regular Debt:</span>
-                              <span>${(p.totalRegularDebt || 0).toLocaleString()}</span>
+                              <span>{formatAmount(p.totalRegularDebt)}</span>
                             </div>
                           )}
                           <div className="flex justify-between gap-6 mt-2 pt-2 border-t border-zinc-700/40">
-                            <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                            <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
                               Net Worth:
                             </span>
-                            <span className={cn("font-semibold", ((p.total || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                              ${((p.total || 0) - (p.totalDebt || 0)).toLocaleString()}
+                            <span className={cn("font-semibold", ((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0)) >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                              {formatAmount((p.total || 0) + (p.education529Balance || 0) - (p.totalDebt || 0))}
                             </span>
                           </div>
                         </div>
@@ -2396,64 +2404,64 @@ export default function Scenarios() {
                           <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                             <div className="flex justify-between gap-6">
                               <span>Gross Income:</span>
-                              <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                             </div>
                             {p.lifeEventIncome > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Life Event Income:</span>
-                                <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                               </div>
                             )}
                             {p.totalDividendIncome > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Dividend Income:</span>
-                                <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                               </div>
                             )}
                             {p.federalTaxPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Federal Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                               </div>
                             )}
                             {p.stateTaxPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>{stateCode} State Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                               </div>
                             )}
                             {p.earlyWithdrawalTax > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Early Withdrawal Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                               </div>
                             )}
                             {p.earlyWithdrawalPenalty > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Early Withdrawal Penalty (10%):</span>
-                                <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                               </div>
                             )}
                             <div className="flex justify-between gap-6">
                               <span>Spending:</span>
-                              <span className="text-zinc-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                              <span className="text-zinc-300 text-right">-{formatAmount(p.yearSpending)}</span>
                             </div>
                             {p.goalFunding > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Goal Funding:</span>
-                                <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                               </div>
                             )}
                             {p.lifeEventExpense > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Life Event Expense:</span>
-                                <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                               </div>
                             )}
                           </div>
                           {p.debtPayments > 0 && (
                             <div className="text-xs text-zinc-500 mb-2">
-                              (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                              (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                             </div>
                           )}
                           <div className="pt-2 border-t border-zinc-700/40">
@@ -2463,7 +2471,7 @@ export default function Scenarios() {
                               </p>
                             ) : (
                               <p className="font-semibold text-rose-400 text-sm">
-                                Net Withdrawal: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                                Net Withdrawal: -{formatAmount(p.totalWithdrawalAmount)}
                               </p>
                             )}
                           </div>
@@ -2473,25 +2481,25 @@ export default function Scenarios() {
                               {p.withdrawFromTaxable > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Taxable:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                                 </div>
                               )}
                               {p.withdrawFromTaxDeferred > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Tax-Deferred:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                                 </div>
                               )}
                               {p.withdrawFromTaxFree > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Tax-Free:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                                 </div>
                               )}
                               {p.penaltyPaid > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>Early Withdrawal Penalty:</span>
-                                  <span className="text-rose-300 text-right">-${p.penaltyPaid.toLocaleString()}</span>
+                                  <span className="text-rose-300 text-right">-{formatAmount(p.penaltyPaid)}</span>
                                 </div>
                               )}
                             </div>
@@ -2502,10 +2510,10 @@ export default function Scenarios() {
                               {p.loanPayoffs.map((lp, lpIdx) => (
                                 <div key={lpIdx} className="text-[10px] text-zinc-400 mt-1">
                                   <div className="font-medium text-orange-300">{lp.loanName}</div>
-                                  <div>Debt Cleared: ${Math.round(lp.debtPaid).toLocaleString()}</div>
-                                  <div>BTC Released: {lp.btcReleased.toFixed(4)} BTC (${Math.round(lp.equityReleased).toLocaleString()})</div>
-                                  <div>Tax on Sale: ${Math.round(lp.taxOnSale).toLocaleString()}</div>
-                                  <div>Net Equity Applied: ${Math.round(lp.appliedToDeficit).toLocaleString()}</div>
+                                  <div>Debt Cleared: {formatAmount(lp.debtPaid)}</div>
+                                  <div>BTC Released: {lp.btcReleased.toFixed(4)} BTC ({formatAmount(lp.equityReleased)})</div>
+                                  <div>Tax on Sale: {formatAmount(lp.taxOnSale)}</div>
+                                  <div>Net Equity Applied: {formatAmount(lp.appliedToDeficit)}</div>
                                 </div>
                               ))}
                             </div>
@@ -2514,9 +2522,9 @@ export default function Scenarios() {
                             <div className="mt-2 p-2 rounded bg-cyan-500/10 border border-cyan-500/20">
                               <p className="text-xs text-cyan-400 font-medium">🏠 Real Estate Sold</p>
                               <div className="text-[10px] text-zinc-400 mt-1">
-                                <div>Sale Proceeds: ${(p.realEstateSaleProceeds || 0).toLocaleString()}</div>
-                                <div>Used for Withdrawal: ${(p.withdrawFromRealEstate || 0).toLocaleString()}</div>
-                                <div>Added to Taxable: ${((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0)).toLocaleString()}</div>
+                                <div>Sale Proceeds: {formatAmount(p.realEstateSaleProceeds)}</div>
+                                <div>Used for Withdrawal: {formatAmount(p.withdrawFromRealEstate)}</div>
+                                <div>Added to Taxable: {formatAmount((p.realEstateSaleProceeds || 0) - (p.withdrawFromRealEstate || 0))}</div>
                               </div>
                             </div>
                           )}
@@ -2531,83 +2539,83 @@ export default function Scenarios() {
                             <div className="flex justify-between gap-6">
                               <span>Gross Income:</span>
                               <span className="text-emerald-400 text-right">
-                                {(p.otherRetirementIncome || 0) > 0 ? `+$${(p.otherRetirementIncome || 0).toLocaleString()}` : '$0'}
+                                {(p.otherRetirementIncome || 0) > 0 ? `+${formatAmount(p.otherRetirementIncome)}` : formatAmount(0)}
                               </span>
                             </div>
                             {p.lifeEventIncome > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Life Event Income:</span>
-                                <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                               </div>
                             )}
                             {p.loanProceeds > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Loan Proceeds:</span>
-                                <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                               </div>
                             )}
                             {p.totalDividendIncome > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Dividend Income:</span>
-                                <span className="text-emerald-400 text-right">+${(p.totalDividendIncome || 0).toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.totalDividendIncome)}</span>
                               </div>
                             )}
                             {p.socialSecurityIncome > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Social Security:</span>
-                                <span className="text-emerald-400 text-right">+${p.socialSecurityIncome.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.socialSecurityIncome)}</span>
                               </div>
                             )}
                             {p.rmdWithdrawn > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>RMD (Required):</span>
-                                <span className="text-emerald-400 text-right">+${p.rmdWithdrawn.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.rmdWithdrawn)}</span>
                               </div>
                             )}
                             {p.excessRmdReinvested > 0 && (
                               <div className="flex justify-between gap-6 text-xs">
                                 <span className="text-zinc-500">└ Excess RMD Reinvested:</span>
-                                <span className="text-zinc-400 text-right">${p.excessRmdReinvested.toLocaleString()}</span>
+                                <span className="text-zinc-400 text-right">{formatAmount(p.excessRmdReinvested)}</span>
                               </div>
                             )}
                             <div className="flex justify-between gap-6">
                               <span>Spending:</span>
-                              <span className="text-zinc-300 text-right">-${(p.retirementSpendingOnly || 0).toLocaleString()}</span>
+                              <span className="text-zinc-300 text-right">-{formatAmount(p.retirementSpendingOnly)}</span>
                             </div>
                             {p.goalFunding > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Goal Funding:</span>
-                                <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                               </div>
                             )}
                             {p.lifeEventExpense > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Life Event Expense:</span>
-                                <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                               </div>
                             )}
                             {p.federalTaxPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Federal Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                               </div>
                             )}
                             {p.stateTaxPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>{stateCode} State Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                               </div>
                             )}
                             {p.earlyWithdrawalTax > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Early Withdrawal Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.earlyWithdrawalTax.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalTax)}</span>
                               </div>
                             )}
                             {p.earlyWithdrawalPenalty > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>Early Withdrawal Penalty (10%):</span>
-                                <span className="text-rose-300 text-right">-${p.earlyWithdrawalPenalty.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.earlyWithdrawalPenalty)}</span>
                               </div>
                             )}
                           </div>
@@ -2618,7 +2626,7 @@ export default function Scenarios() {
                               </p>
                             ) : (
                               <p className="font-semibold text-rose-400 text-sm">
-                                Net Withdrawal: -${(p.totalWithdrawalAmount || 0).toLocaleString()}
+                                Net Withdrawal: -{formatAmount(p.totalWithdrawalAmount)}
                               </p>
                             )}
                           </div>
@@ -2628,25 +2636,25 @@ export default function Scenarios() {
                               {p.withdrawFromTaxable > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Taxable:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromTaxable.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxable)}</span>
                                 </div>
                               )}
                               {p.withdrawFromTaxDeferred > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Tax-Deferred:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromTaxDeferred.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxDeferred)}</span>
                                 </div>
                               )}
                               {p.withdrawFromTaxFree > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Tax-Free:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromTaxFree.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromTaxFree)}</span>
                                 </div>
                               )}
                               {p.withdrawFromRealEstate > 0 && (
                                 <div className="flex justify-between gap-6">
                                   <span>From Real Estate:</span>
-                                  <span className="text-rose-400 text-right">-${p.withdrawFromRealEstate.toLocaleString()}</span>
+                                  <span className="text-rose-400 text-right">-{formatAmount(p.withdrawFromRealEstate)}</span>
                                 </div>
                               )}
                             </div>
@@ -2660,30 +2668,30 @@ export default function Scenarios() {
                           <div className="text-xs space-y-1.5 text-zinc-500 mb-2">
                             <div className="flex justify-between gap-6">
                               <span>• Gross Income:</span>
-                              <span className="text-emerald-400 text-right">${(p.yearGrossIncome || 0).toLocaleString()}</span>
+                              <span className="text-emerald-400 text-right">{formatAmount(p.yearGrossIncome)}</span>
                             </div>
                             {p.lifeEventIncome > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Life Event Income:</span>
-                                <span className="text-emerald-400 text-right">+${p.lifeEventIncome.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.lifeEventIncome)}</span>
                               </div>
                             )}
                             {p.loanProceeds > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Loan Proceeds:</span>
-                                <span className="text-emerald-400 text-right">+${p.loanProceeds.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.loanProceeds)}</span>
                               </div>
                             )}
                             {p.federalTaxPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Federal Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.federalTaxPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.federalTaxPaid)}</span>
                               </div>
                             )}
                             {p.stateTaxPaid > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• {stateCode} State Tax:</span>
-                                <span className="text-rose-300 text-right">-${p.stateTaxPaid.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.stateTaxPaid)}</span>
                               </div>
                             )}
                             {(p.federalTaxPaid > 0 || p.stateTaxPaid > 0) && p.taxableIncome > 0 && (
@@ -2694,52 +2702,52 @@ export default function Scenarios() {
                             {p.year401kContribution > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• 401k/403b:</span>
-                                <span className="text-rose-300 text-right">-${p.year401kContribution.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.year401kContribution)}</span>
                               </div>
                             )}
                             {p.yearEmployer401kMatch > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Employer Match:</span>
-                                <span className="text-emerald-400 text-right">+${p.yearEmployer401kMatch.toLocaleString()}</span>
+                                <span className="text-emerald-400 text-right">+{formatAmount(p.yearEmployer401kMatch)}</span>
                               </div>
                             )}
                             {p.yearRothContribution > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Roth IRA:</span>
-                                <span className="text-rose-300 text-right">-${p.yearRothContribution.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.yearRothContribution)}</span>
                               </div>
                             )}
                             {p.yearHSAContribution > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• HSA:</span>
-                                <span className="text-rose-300 text-right">-${p.yearHSAContribution.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.yearHSAContribution)}</span>
                               </div>
                             )}
                             <div className="flex justify-between gap-6">
                               <span>• Spending:</span>
-                              <span className="text-rose-300 text-right">-${(p.yearSpending || 0).toLocaleString()}</span>
+                              <span className="text-rose-300 text-right">-{formatAmount(p.yearSpending)}</span>
                             </div>
                             {p.goalFunding > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Goal Funding:</span>
-                                <span className="text-rose-300 text-right">-${p.goalFunding.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.goalFunding)}</span>
                               </div>
                             )}
                             {p.lifeEventExpense > 0 && (
                               <div className="flex justify-between gap-6">
                                 <span>• Life Event Expense:</span>
-                                <span className="text-rose-300 text-right">-${p.lifeEventExpense.toLocaleString()}</span>
+                                <span className="text-rose-300 text-right">-{formatAmount(p.lifeEventExpense)}</span>
                               </div>
                             )}
                           </div>
                           {p.debtPayments > 0 && (
                             <div className="text-xs text-zinc-500 mb-2">
-                              (Debt Payments: ${p.debtPayments.toLocaleString()} - tracked separately)
+                              (Debt Payments: {formatAmount(p.debtPayments)} - tracked separately)
                             </div>
                           )}
                           <div className="pt-2 border-t border-zinc-700/40">
                             <p className="font-semibold text-emerald-400 text-sm">
-                              Net Savings: ${p.netCashFlow.toLocaleString()}
+                              Net Savings: {formatAmount(p.netCashFlow)}
                             </p>
                           </div>
                         </div>
@@ -2758,25 +2766,25 @@ export default function Scenarios() {
                                   {r.sellAsset} from {r.fromAccount} → {r.buyAsset} in {r.toAccount}
                                 </p>
                                 <p className="ml-3 text-zinc-500">
-                                  Sold: ${r.amount.toLocaleString()}
+                                  Sold: {formatAmount(r.amount)}
                                 </p>
                                 {r.capitalGains > 0 && (
                                   <p className="ml-3 text-zinc-500">
-                                    Capital Gains: ${r.capitalGains.toLocaleString()}
+                                    Capital Gains: {formatAmount(r.capitalGains)}
                                   </p>
                                 )}
                                 {r.taxPaid > 0 && (
                                   <p className="ml-3 text-rose-400">
-                                    Tax: -${r.taxPaid.toLocaleString()}
+                                    Tax: -{formatAmount(r.taxPaid)}
                                   </p>
                                 )}
                                 {r.penaltyPaid > 0 && (
                                   <p className="ml-3 text-rose-400">
-                                    Penalty: -${r.penaltyPaid.toLocaleString()}
+                                    Penalty: -{formatAmount(r.penaltyPaid)}
                                   </p>
                                 )}
                                 <p className="ml-3 text-emerald-400">
-                                  Net Proceeds: ${r.netProceeds.toLocaleString()}
+                                  Net Proceeds: {formatAmount(r.netProceeds)}
                                 </p>
                               </div>
                             ))}
@@ -2824,9 +2832,9 @@ export default function Scenarios() {
                                     {liq.remainingDebt <= 0 ? '⚠️ Loan Liquidated:' : '⚠️ Partial Liquidation:'}
                                   </p>
                                   <p className="text-rose-400">• {liq.liabilityName}</p>
-                                  <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC ($${(liq.proceeds || 0).toLocaleString()})`}</p>
+                                  <p className="ml-3 text-zinc-500">{liq.message || `Liquidated: ${(liq.btcAmount || 0).toFixed(4)} BTC (${formatAmount(liq.proceeds)})`}</p>
                                   {liq.remainingDebt > 0 && (
-                                    <p className="ml-3 text-zinc-500">Remaining debt: ${liq.remainingDebt?.toLocaleString()} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
+                                    <p className="ml-3 text-zinc-500">Remaining debt: {formatAmount(liq.remainingDebt)} • Collateral: {(liq.remainingCollateral || 0).toFixed(4)} BTC</p>
                                   )}
                                 </>
                               )}
@@ -2854,25 +2862,36 @@ export default function Scenarios() {
         <div className="bg-zinc-900/50 rounded-2xl p-6 border border-zinc-800">
           <div className="flex items-center justify-between mb-4">
             <h3 className="font-semibold text-zinc-100">Comparison Metrics</h3>
-            <Button
-              onClick={handleRunMonteCarlo}
-              disabled={monteCarloRunning}
-              className="bg-purple-600 hover:bg-purple-700 text-white"
-              size="sm"
-            >
-              {monteCarloRunning ? (
-                <>
-                  <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                  Running...
-                </>
-              ) : (
-                <>
-                  <Play className="w-4 h-4 mr-2" />
-                  Run Monte Carlo
-                </>
-              )}
-            </Button>
+            {monteCarloRunning ? (
+              <div className="flex items-center gap-3">
+                <div className="flex items-center gap-2 text-xs text-zinc-400">
+                  <Loader2 className="w-4 h-4 animate-spin text-purple-400" />
+                  <span>Running... {Math.round(monteCarloProgress)}%</span>
+                </div>
+                <Button
+                  onClick={handleCancelMonteCarlo}
+                  variant="outline"
+                  className="bg-transparent border-zinc-700 text-zinc-300 hover:bg-zinc-800"
+                  size="sm"
+                >
+                  <X className="w-4 h-4 mr-2" />
+                  Cancel
+                </Button>
+              </div>
+            ) : (
+              <Button
+                onClick={handleRunMonteCarlo}
+                className="bg-purple-600 hover:bg-purple-700 text-white"
+                size="sm"
+              >
+                <Play className="w-4 h-4 mr-2" />
+                Run Monte Carlo
+              </Button>
+            )}
           </div>
+          {monteCarloRunning && (
+            <Progress value={monteCarloProgress} className="h-1.5 mb-4 bg-zinc-800" />
+          )}
 
           <div className="space-y-4">
             {/* Section 1: PLAN OVERVIEW */}
@@ -2957,7 +2976,7 @@ export default function Scenarios() {
                         {(() => {
                           const taxSavings = baselineMetrics.lifetimeTaxes - scenarioMetrics.lifetimeTaxes;
                           if (Math.abs(taxSavings) < 1000) {
-                            return <span className="text-zinc-400">$0</span>;
+                            return <span className="text-zinc-400">{formatAmount(0)}</span>;
                           }
                           return (
                             <span className={taxSavings > 0 ? "text-emerald-400" : "text-rose-400"}>
@@ -2970,7 +2989,7 @@ export default function Scenarios() {
                         {(() => {
                           const taxSavings = baselineMetrics.lifetimeTaxes - scenarioMetrics.lifetimeTaxes;
                           if (Math.abs(taxSavings) < 1000) {
-                            return <span className="text-zinc-400">$0</span>;
+                            return <span className="text-zinc-400">{formatAmount(0)}</span>;
                           }
                           return (
                             <span className={taxSavings > 0 ? "text-emerald-400" : "text-rose-400"}>
@@ -3033,6 +3052,41 @@ export default function Scenarios() {
               </div>
             </CollapsibleSection>
 
+            {/* TAX RETURN BY YEAR */}
+            <CollapsibleSection title="TAX RETURN BY YEAR" defaultOpen={false}>
+              {(() => {
+                const taxRows = (baselineProjection?.yearByYear || []).filter(y => y.taxReturn);
+                if (taxRows.length === 0) return <p className="text-sm text-zinc-500">No projected tax returns.</p>;
+                const defaultRow = taxRows.find(y => y.isRetired) || taxRows[0];
+                const year = taxRows.some(y => y.year === taxReturnYear) ? taxReturnYear : defaultRow.year;
+                const baselineRow = taxRows.find(y => y.year === year);
+                const scenarioRow = scenarioProjection?.yearByYear?.find(y => y.year === year);
+                return (
+                  <div className="space-y-3">
+                    <div className="flex items-center gap-3">
+                      <Label className="text-zinc-400 text-sm">Year</Label>
+                      <Select value={String(year)} onValueChange={(val) => setTaxReturnYear(parseInt(val))}>
+                        <SelectTrigger className="bg-zinc-800 border-zinc-700 text-zinc-200 w-40">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent className="bg-zinc-900 border-zinc-700 max-h-72">
+                          {taxRows.map(y => (
+                            <SelectItem key={y.year} value={String(y.year)}>{y.year} (Age {y.age})</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <TaxReturnBreakdown
+                      columns={[
+                        { label: 'Baseline', taxReturn: baselineRow.taxReturn },
+                        { label: selectedScenario.name, taxReturn: scenarioRow?.taxReturn },
+                      ]}
+                    />
+                  </div>
+                );
+              })()}
+            </CollapsibleSection>
+
             {/* Section 3: PLAN CONFIDENCE */}
             {baselineMonteCarloResults && (
               <CollapsibleSection title={`PLAN CONFIDENCE (${baselineMonteCarloResults?.numSimulations?.toLocaleString() || '500'} scenarios)`} defaultOpen={true}>
@@ -3270,7 +3324,7 @@ export default function Scenarios() {
             <CollapsibleFormSection title="INCOME SETTINGS" defaultOpen={false}>
               <div className="grid grid-cols-3 gap-4">
                 <div className="space-y-2">
-                  <Label className="text-zinc-300 text-xs">Gross Annual Income ($)</Label>
+                  <Label className="text-zinc-300 text-xs">Gross Annual Income ({symbol})</Label>
                   <Input 
                     type="number" 
                     placeholder={String(settings.gross_annual_income || "Current income")}
@@ -3290,7 +3344,7 @@ export default function Scenarios() {
                   />
                 </div>
                 <div className="space-y-2">
-                  <Label className="text-zinc-300 text-xs">Pre-Retirement Spending ($)</Label>
+                  <Label className="text-zinc-300 text-xs">Pre-Retirement Spending ({symbol})</Label>
                   <Input 
                     type="number" 
                     placeholder={String(settings.current_annual_spending || "Current spending")}
@@ -3306,7 +3360,7 @@ export default function Scenarios() {
             <CollapsibleFormSection title="DIVIDEND INCOME" defaultOpen={false}>
               <div className="grid grid-cols-2 gap-4">
                 <div className="space-y-2">
-                  <Label className="text-zinc-300 text-xs">Annual Dividend Income ($)</Label>
+                  <Label className="text-zinc-300 text-xs">Annual Dividend Income ({symbol})</Label>
                   <Input 
                     type="number" 
                     placeholder="0"
@@ -3343,9 +3397,13 @@ export default function Scenarios() {
                   <div className="grid grid-cols-2 lg:grid-cols-4 gap-2">
                     {[
                       { value: '', label: 'Use Default', desc: 'From settings' },
-                      { value: 'custom', label: 'Custom %', desc: 'Set fixed CAGR' },
-                      { value: 'saylor24', label: 'Saylor Model', desc: '50%→20%' },
-                      { value: 'powerlaw', label: 'Power Law', desc: '40%→24%' },
+                      ...getBtcPriceModelOptions().map(model => ({
+                        value: model.value,
+                        label: model.label,
+                        desc: model.value === 'custom'
+                          ? 'Set fixed CAGR'
+                          : describeBtcModelRates(model.value, { btcCagr: settings.btc_cagr_assumption || 25, btcModelParams: settings.btc_model_params }),
+                      })),
                       { value: 'custom_periods', label: 'Custom Periods', desc: 'Time-based' },
                     ].map(option => (
                       <button
@@ -3365,6 +3423,10 @@ export default function Scenarios() {
                     ))}
                   </div>
 
+                  {getBtcPriceModel(form.btc_return_model_override)?.fields.length > 0 && (
+                    <p className="text-xs text-zinc-500">Model parameters come from the Rate Assumptions in your plan.</p>
+                  )}
+
                   {/* Custom CAGR input - only show for 'custom' model */}
                   {form.btc_return_model_override === 'custom' && (
                     <div className="p-3 rounded-lg bg-zinc-800/50 border border-zinc-700">
@@ -3468,6 +3530,43 @@ export default function Scenarios() {
                   </div>
                 </div>
 
+                {/* Asset Correlations (Monte Carlo) */}
+                <div className="pt-3 border-t border-zinc-800 space-y-3">
+                  <div>
+                    <Label className="text-zinc-300 text-sm font-medium block">Asset Correlations</Label>
+                    <p className="text-xs text-zinc-500">Monte Carlo only. How closely assets move together in the same simulated years.</p>
+                  </div>
+                  <div className="grid grid-cols-3 gap-2">
+                    {[
+                      { value: 'plan', label: "Plan's Correlations", matrix: null },
+                      { value: 'crisis', label: 'Crisis (0.9)', matrix: CRISIS_CORRELATIONS },
+                      { value: 'custom', label: 'Custom', matrix: settings.asset_correlations || ASSET_CORRELATIONS },
+                    ].map(option => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setForm({ ...form, asset_correlations_override: option.matrix ? option.matrix.map(row => [...row]) : null })}
+                        className={cn(
+                          "p-2 rounded-lg border text-xs transition-all",
+                          getCorrelationOverrideMode(form.asset_correlations_override) === option.value
+                            ? "bg-orange-500/20 border-orange-500/50 text-orange-300"
+                            : "bg-zinc-800/50 border-zinc-700 text-zinc-400 hover:border-zinc-600"
+                        )}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  {form.asset_correlations_override && (
+                    <div className="p-3 rounded-lg bg-zinc-800/50 border border-zinc-700">
+                      <CorrelationMatrixEditor
+                        matrix={form.asset_correlations_override}
+                        onChange={(matrix) => setForm({ ...form, asset_correlations_override: matrix })}
+                      />
+                    </div>
+                  )}
+                </div>
+
                 {/* Per-Holding Returns (quick access) */}
                 {Object.keys(form.ticker_returns_override || {}).length > 0 && (
                   <div className="pt-3 border-t border-zinc-800">
@@ -3511,7 +3610,7 @@ export default function Scenarios() {
                   />
                 </div>
                 <div className="space-y-2">
-                  <Label className="text-zinc-300 text-xs">Annual Amount ($)</Label>
+                  <Label className="text-zinc-300 text-xs">Annual Amount ({symbol})</Label>
                   <Input
                     type="number"
                     value={form.social_security_amount_override}
@@ -3544,7 +3643,7 @@ export default function Scenarios() {
 
                 {(form.investment_mode_override === 'custom' || (!form.investment_mode_override && settings.investment_mode === 'custom')) && (
                   <div className="space-y-2">
-                    <Label className="text-zinc-300 text-xs">Monthly Investment Amount ($)</Label>
+                    <Label className="text-zinc-300 text-xs">Monthly Investment Amount ({symbol})</Label>
                     <Input 
                       type="number" 
                       placeholder={String(settings.monthly_investment_amount || 0)}
@@ -3554,7 +3653,7 @@ export default function Scenarios() {
                     />
                     <p className="text-xs text-zinc-500">
                       {form.monthly_investment_amount_override 
-                        ? `$${(Number(form.monthly_investment_amount_override) * 12).toLocaleString()}/year will be invested. Remaining surplus stays as cash.`
+                        ? `${formatAmount(Number(form.monthly_investment_amount_override) * 12)}/year will be invested. Remaining surplus stays as cash.`
                         : 'Enter monthly amount to invest from surplus income'}
                     </p>
                   </div>
@@ -3640,7 +3739,7 @@ export default function Scenarios() {
                           />
                         </div>
                         <div className="space-y-1">
-                          <Label className="text-zinc-400 text-xs">Amount ($)</Label>
+                          <Label className="text-zinc-400 text-xs">Amount ({symbol})</Label>
                           <Input
                             type="number"
                             placeholder="+/- amount"
@@ -3756,7 +3855,7 @@ export default function Scenarios() {
                               </Select>
                             </div>
                             <div className="space-y-1">
-                              <Label className="text-zinc-400 text-xs">Amount to Sell ($)</Label>
+                              <Label className="text-zinc-400 text-xs">Amount to Sell ({symbol})</Label>
                               <Input
                                 type="number"
                                 placeholder="Amount"
@@ -3981,7 +4080,7 @@ export default function Scenarios() {
                   {/* Fixed Amount Input */}
                   {form.roth_conversions?.mode === 'fixed' && (
                     <div>
-                      <Label className="text-zinc-300 text-xs mb-1 block">Annual Conversion Amount ($)</Label>
+                      <Label className="text-zinc-300 text-xs mb-1 block">Annual Conversion Amount ({symbol})</Label>
                       <Input
                         type="number"
                         value={form.roth_conversions?.fixed_amount || ''}
@@ -4204,6 +4303,117 @@ export default function Scenarios() {
                       Converting before RMDs begin (age 73) can reduce future required distributions.
                     </p>
                   </div>
+
+                  {/* Conversion Optimizer */}
+                  <div className="p-3 bg-zinc-800/50 border border-zinc-700 rounded-lg space-y-3">
+                    <div>
+                      <Label className="text-zinc-200 text-sm">Optimize Conversion Schedule</Label>
+                      <p className="text-xs text-zinc-500">
+                        Searches year-by-year amounts using this scenario's projection, including state tax, Social Security taxation and Medicare IRMAA cliffs.
+                        {form.roth_conversions?.mode !== 'custom' && ' Uses the start/end ages above as the search window.'}
+                      </p>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      {ROTH_OPTIMIZER_OBJECTIVES.map(option => (
+                        <button
+                          key={option.value}
+                          type="button"
+                          onClick={() => setRothOptimizerObjective(option.value)}
+                          className={`p-2 rounded-lg border text-left ${
+                            rothOptimizerObjective === option.value
+                              ? 'border-orange-500 bg-orange-500/10 text-orange-400'
+                              : 'border-zinc-700 bg-zinc-800 text-zinc-400 hover:border-zinc-600'
+                          }`}
+                        >
+                          <div className="font-medium text-xs">{option.label}</div>
+                          <div className="text-xs opacity-70">{option.desc}</div>
+                        </button>
+                      ))}
+                    </div>
+                    {rothOptimizerObjective === 'max_heir_wealth' && (
+                      <div>
+                        <Label className="text-zinc-300 text-xs mb-1 block">Heirs' Tax Rate on Pre-Tax Accounts (%)</Label>
+                        <Input
+                          type="number"
+                          value={rothOptimizerHeirTaxRate}
+                          onChange={(e) => setRothOptimizerHeirTaxRate(e.target.value)}
+                          className="bg-zinc-800 border-zinc-700 text-zinc-100"
+                        />
+                      </div>
+                    )}
+                    <Button
+                      type="button"
+                      onClick={handleOptimizeRothConversions}
+                      disabled={rothOptimizerRunning || !currentPrice}
+                      className="w-full bg-orange-500/20 border border-orange-500/50 text-orange-400 hover:bg-orange-500/30"
+                    >
+                      {rothOptimizerRunning ? (
+                        <><Loader2 className="h-4 w-4 mr-2 animate-spin" /> Searching schedules...</>
+                      ) : (
+                        <><Sparkles className="h-4 w-4 mr-2" /> Find Optimal Schedule</>
+                      )}
+                    </Button>
+
+                    {rothOptimizerResult && (
+                      <div className="space-y-3">
+                        <div className="grid grid-cols-2 gap-2 text-xs">
+                          <div className="p-2 bg-zinc-900 rounded-lg">
+                            <p className="text-zinc-500">Lifetime Tax (today's $)</p>
+                            <p className="text-zinc-200">
+                              {formatAmount(rothOptimizerResult.baseline.lifetimeTaxPV)} → <span className="text-emerald-400">{formatAmount(rothOptimizerResult.optimized.lifetimeTaxPV)}</span>
+                            </p>
+                          </div>
+                          <div className="p-2 bg-zinc-900 rounded-lg">
+                            <p className="text-zinc-500">After-Tax Legacy (today's $)</p>
+                            <p className="text-zinc-200">
+                              {formatAmount(rothOptimizerResult.baseline.heirWealthReal)} → <span className="text-emerald-400">{formatAmount(rothOptimizerResult.optimized.heirWealthReal)}</span>
+                            </p>
+                          </div>
+                        </div>
+
+                        {rothOptimizerResult.plan.length > 0 ? (
+                          <div className="max-h-48 overflow-y-auto">
+                            <table className="w-full text-xs">
+                              <thead>
+                                <tr className="text-zinc-500 text-left">
+                                  <th className="py-1">Year</th>
+                                  <th className="py-1">Age</th>
+                                  <th className="py-1 text-right">Convert</th>
+                                  <th className="py-1 text-right">MAGI</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {rothOptimizerResult.plan.map(row => (
+                                  <tr key={row.year} className="border-t border-zinc-800 text-zinc-300">
+                                    <td className="py-1">{row.year}</td>
+                                    <td className="py-1">{row.age}</td>
+                                    <td className="py-1 text-right">{formatAmount(row.amount)}</td>
+                                    <td className="py-1 text-right">{formatAmount(row.magi)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        ) : (
+                          <p className="text-xs text-zinc-400">No conversions improve this objective — converting would cost more than it saves.</p>
+                        )}
+
+                        <div className="flex items-center justify-between">
+                          <p className="text-xs text-zinc-500">{rothOptimizerResult.evaluations} projections evaluated</p>
+                          {rothOptimizerResult.plan.length > 0 && (
+                            <Button
+                              type="button"
+                              size="sm"
+                              onClick={applyRothOptimizerPlan}
+                              className="bg-orange-500 hover:bg-orange-600 text-white"
+                            >
+                              Use This Schedule
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
                 </div>
               )}
             </CollapsibleFormSection>
@@ -4233,7 +4443,7 @@ export default function Scenarios() {
                   {/* Row 1: Loan Amount, Interest Rate */}
                   <div className="grid grid-cols-2 gap-4">
                     <div className="space-y-2">
-                      <Label className="text-zinc-300 text-xs">Loan Amount ($)</Label>
+                      <Label className="text-zinc-300 text-xs">Loan Amount ({symbol})</Label>
                       <Input
                         type="number"
                         placeholder="100000"
@@ -4279,7 +4489,7 @@ export default function Scenarios() {
                       <Label className="text-zinc-300 text-xs">Collateral BTC (Calculated)</Label>
                       <div className="bg-zinc-900 border border-zinc-700 rounded-md px-3 py-2 text-zinc-100 h-10 flex items-center">
                         {(() => {
-                          const loanAmt = parseFloat(form.hypothetical_btc_loan?.loan_amount) || 0;
+                          const loanAmt = toUSD(parseFloat(form.hypothetical_btc_loan?.loan_amount) || 0);
                           const ltv = parseFloat(form.hypothetical_btc_loan?.ltv) || 50;
                           const calculatedCollateral = currentPrice > 0 && ltv > 0 
                             ? (loanAmt / (ltv / 100 * currentPrice)).toFixed(4) 
@@ -4287,7 +4497,7 @@ export default function Scenarios() {
                           return `${calculatedCollateral} BTC`;
                         })()}
                       </div>
-                      <p className="text-xs text-zinc-500">Loan Amount ÷ (LTV% × ${currentPrice?.toLocaleString() || '---'} BTC)</p>
+                      <p className="text-xs text-zinc-500">Loan Amount ÷ (LTV% × {currentPrice ? formatAmount(currentPrice) : '---'} BTC)</p>
                     </div>
                   </div>
                   
@@ -4307,7 +4517,8 @@ export default function Scenarios() {
                         if (!account) return h.tax_treatment === 'taxable' || !h.tax_treatment;
                         const accountType = account.account_type || '';
                         if (['traditional_401k', 'traditional_ira', 'sep_ira', '403b', '401k_traditional', 'ira_traditional'].includes(accountType)) return false;
-                        if (['roth_401k', 'roth_ira', 'hsa', '529', '401k_roth', 'ira_roth'].includes(accountType)) return false;
+                        if (['roth_401k', 'roth_ira', 'hsa', '401k_roth', 'ira_roth'].includes(accountType)) return false;
+                        if (accountType === '529') return false; // Education money
                         return account.tax_treatment === 'taxable' || !account.tax_treatment;
                       })
                       .reduce((sum, h) => sum + (h.quantity || 0), 0);
@@ -4381,6 +4592,37 @@ export default function Scenarios() {
                     </Select>
                   </div>
 
+                  {/* Row 5: Lender terms */}
+                  <div className="space-y-2">
+                    <Label className="text-zinc-300 text-xs">Lender Terms</Label>
+                    <Select
+                      value={form.hypothetical_btc_loan?.lender_profile_id || '_default_'}
+                      onValueChange={(v) => setForm({
+                        ...form,
+                        hypothetical_btc_loan: { ...form.hypothetical_btc_loan, lender_profile_id: v === '_default_' ? null : v }
+                      })}
+                    >
+                      <SelectTrigger className="bg-zinc-800 border-zinc-700 text-zinc-200">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent className="bg-zinc-900 border-zinc-700">
+                        <SelectItem value="_default_" className="text-zinc-200 focus:text-white">Default collateral settings</SelectItem>
+                        {getLenderProfiles(settings.btc_lender_profiles).map(profile => (
+                          <SelectItem key={profile.id} value={profile.id} className="text-zinc-200 focus:text-white">{profile.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {(() => {
+                      const terms = resolveLoanTerms(form.hypothetical_btc_loan, settings.btc_lender_profiles, getCollateralRules(settings));
+                      return (
+                        <p className="text-xs text-zinc-500">
+                          Margin call {terms.marginCallLtv}% • Liquidation {terms.liquidationLtv}%
+                          {terms.originationFeePct > 0 && ` • ${terms.originationFeePct}% origination fee added to the balance`}
+                        </p>
+                      );
+                    })()}
+                  </div>
+
                   {/* LTV indicator */}
                   {form.hypothetical_btc_loan?.ltv && (
                     <div className="mt-2">
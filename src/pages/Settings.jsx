@@ -5,9 +5,11 @@ import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
-import { CreditCard, User, Lock, Sparkles, ExternalLink, CheckCircle2, MessageCircle } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { CreditCard, User, Lock, Sparkles, ExternalLink, CheckCircle2, MessageCircle, Globe } from 'lucide-react';
 import { cn } from "@/lib/utils";
 import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
+import { SUPPORTED_CURRENCIES, getBaseCurrency } from '@/components/shared/currency';
 
 export default function Settings() {
   const [loading, setLoading] = useState(false);
@@ -26,6 +28,24 @@ export default function Settings() {
     }
   }, [user]);
 
+  const { data: userSettings = [] } = useQuery({
+    queryKey: ['userSettings'],
+    queryFn: () => base44.entities.UserSettings.list(),
+  });
+
+  const baseCurrency = getBaseCurrency(userSettings[0]);
+
+  const saveSettings = useMutation({
+    mutationFn: async (data) => {
+      if (userSettings.length > 0) {
+        return base44.entities.UserSettings.update(userSettings[0].id, data);
+      } else {
+        return base44.entities.UserSettings.create(data);
+      }
+    },
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['userSettings'] }),
+  });
+
   const updateProfile = useMutation({
     mutationFn: async (data) => {
       return base44.auth.updateMe(data);
@@ -156,6 +176,35 @@ export default function Settings() {
             </form>
           </div>
 
+          {/* Base Currency */}
+          <div className="card-premium rounded-2xl p-6 border border-zinc-800/50">
+            <h3 className="font-semibold mb-4 flex items-center gap-2">
+              <Globe className="w-5 h-5 text-orange-400" />
+              Base Currency
+            </h3>
+            <div className="space-y-2">
+              <Select
+                value={baseCurrency}
+                onValueChange={(value) => saveSettings.mutate({ base_currency: value })}
+                disabled={saveSettings.isPending}
+              >
+                <SelectTrigger className="bg-zinc-900 border-zinc-800 w-full sm:w-72" aria-label="Base currency">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-zinc-900 border-zinc-800 text-zinc-100">
+                  {SUPPORTED_CURRENCIES.map(c => (
+                    <SelectItem key={c.code} value={c.code} className="text-zinc-100">{c.code} - {c.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-zinc-500">
+                Prices, balances, projections and reports are shown in this currency, and new amounts are entered in it.
+                Current values use today's exchange rate; each buy and sell uses the rate on its trade date, so cost basis
+                and gains reflect what you paid in your own currency. Tax calculations stay in US dollars.
+              </p>
+            </div>
+          </div>
+
           {/* Discord Section */}
           <div className="card-premium rounded-2xl p-6 border border-zinc-800/50">
             <h3 className="font-semibold mb-4 flex items-center gap-2">
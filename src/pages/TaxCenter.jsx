@@ -2,10 +2,21 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { base44 } from '@/api/base44Client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { format, differenceInDays } from 'date-fns';
-import { Plus, Pencil, Trash2, Receipt, TrendingUp, TrendingDown, Calendar, AlertTriangle, CheckCircle, Sparkles, RefreshCw, Info, Download, Calculator, DollarSign, Scale, ChevronRight, Upload, Loader2 } from 'lucide-react';
-import { getTaxDataForYear } from '@/components/tax/taxCalculations';
-import { syncHoldingFromLots } from '@/components/shared/syncHoldings';
-import { getStateOptions, getStateTaxSummary, STATE_TAX_CONFIG, calculateStateTaxOnRetirement, calculateStateCapitalGainsTax } from '@/components/shared/stateTaxConfig';
+import { Plus, Pencil, Trash2, Receipt, TrendingUp, TrendingDown, Calendar, AlertTriangle, CheckCircle, Sparkles, RefreshCw, Info, Download, Calculator, DollarSign, Scale, ChevronRight, Upload, Loader2, ArrowLeftRight } from 'lucide-react';
+import { calculateTaxReturn, getTaxRules, getMarginalRate } from '@/components/tax/taxEngine';
+import TaxReturnBreakdown from '@/components/tax/TaxReturnBreakdown';
+import EquityCompensation from '@/components/tax/EquityCompensation';
+import CapitalLossCarryover from '@/components/tax/CapitalLossCarryover';
+import EstimatedTaxPlanner from '@/components/tax/EstimatedTaxPlanner';
+import { buildEstimatedIncomeItems } from '@/components/tax/estimatedTax';
+import { syncHoldingFromLots, syncHoldingsForTransfer } from '@/components/shared/syncHoldings';
+import { selectLots, takeLotSegments, buildLotUsedRecords, getLotCostPerUnit, getLotHoldingStart, LOT_SELECTION_METHODS } from '@/components/shared/lotSelectionHelpers';
+import { reverseLotTransfer } from '@/components/shared/lotTransfers';
+import { buildCapitalLossLedger, getRealizedGainsByYear, getLedgerCarryforwards, EMPTY_CARRYOVER } from '@/components/shared/capitalLossCarryover';
+import { detectWashSales, applyWashSaleAdjustments, findReplacementPurchases, getWashSaleSafeDate, isWashSaleAsset } from '@/components/shared/washSales';
+import { getStateOptions, getStateTaxSummary, STATE_TAX_CONFIG, calculateStateCapitalGainsTax } from '@/components/shared/stateTaxConfig';
+import { formatCurrency, getEntryCurrencyFields, toInputValue } from '@/components/shared/currency';
+import { fetchRateOnDate, useTransactionCurrency } from '@/components/shared/useCurrency';
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
@@ -20,6 +31,7 @@ import { Progress } from "@/components/ui/progress";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, ResponsiveContainer, Cell } from 'recharts';
 import CsvImportDialog from '@/components/transactions/CsvImportDialog';
+import TransferLotsDialog from '@/components/transactions/TransferLotsDialog';
 import AccountSelector from '@/components/accounts/AccountSelector';
 import CreateAccountDialog from '@/components/accounts/CreateAccountDialog';
 import { cn } from "@/lib/utils";
@@ -27,60 +39,16 @@ import EmptyState from '@/components/ui/EmptyState';
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import { LoadingSkeleton } from '@/components/ui/LoadingSkeleton';
 
-// 2025 Tax Brackets and Standard Deductions
-// LTCG brackets are based on TAXABLE income (after standard deduction)
-// So with $0 income, you can realize up to the bracket max + standard deduction in gains at 0%
-const STANDARD_DEDUCTION_2025 = {
-  single: 15000,
-  married: 30000,
-};
-
-const TAX_BRACKETS_2025 = {
-  single: {
-    income: [
-      { min: 0, max: 11925, rate: 0.10, label: '10%' },
-      { min: 11925, max: 48475, rate: 0.12, label: '12%' },
-      { min: 48475, max: 103350, rate: 0.22, label: '22%' },
-      { min: 103350, max: 197300, rate: 0.24, label: '24%' },
-      { min: 197300, max: 250525, rate: 0.32, label: '32%' },
-      { min: 250525, max: 626350, rate: 0.35, label: '35%' },
-      { min: 626350, max: Infinity, rate: 0.37, label: '37%' },
-    ],
-    ltcg: [
-      { min: 0, max: 48350, rate: 0, label: '0%' },
-      { min: 48350, max: 533400, rate: 0.15, label: '15%' },
-      { min: 533400, max: Infinity, rate: 0.20, label: '20%' },
-    ],
-  },
-  married: {
-    income: [
-      { min: 0, max: 23850, rate: 0.10, label: '10%' },
-      { min: 23850, max: 96950, rate: 0.12, label: '12%' },
-      { min: 96950, max: 206700, rate: 0.22, label: '22%' },
-      { min: 206700, max: 394600, rate: 0.24, label: '24%' },
-      { min: 394600, max: 501050, rate: 0.32, label: '32%' },
-      { min: 501050, max: 751600, rate: 0.35, label: '35%' },
-      { min: 751600, max: Infinity, rate: 0.37, label: '37%' },
-    ],
-    ltcg: [
-      { min: 0, max: 96700, rate: 0, label: '0%' },
-      { min: 96700, max: 600050, rate: 0.15, label: '15%' },
-      { min: 600050, max: Infinity, rate: 0.20, label: '20%' },
-    ],
-  },
-};
-
 // Default trading fee estimate (round trip: buy + sell) - industry standard, used when no user data available
 const DEFAULT_ROUND_TRIP_FEE_PERCENT = 0.5; // 0.25% per side = 0.5% round trip (industry standard for major exchanges)
 
-// Tax lot selection methods
+// Tax lot selection methods: the shared ones, plus LOFO and average cost for the sale comparison
+const { SPECIFIC: SPECIFIC_LOT_METHOD, ...AUTOMATIC_LOT_METHODS } = LOT_SELECTION_METHODS;
 const LOT_METHODS = {
-  FIFO: { name: 'FIFO', description: 'First In, First Out - Sell oldest lots first' },
-  LIFO: { name: 'LIFO', description: 'Last In, First Out - Sell newest lots first' },
-  HIFO: { name: 'HIFO', description: 'Highest In, First Out - Minimize gains by selling highest cost basis first' },
+  ...AUTOMATIC_LOT_METHODS,
   LOFO: { name: 'LOFO', description: 'Lowest In, First Out - Maximize gains (useful for loss harvesting)' },
   AVG: { name: 'Average Cost', description: 'Use average cost basis across all lots' },
-  SPECIFIC: { name: 'Specific ID', description: 'Manually select which lots to sell' },
+  SPECIFIC: SPECIFIC_LOT_METHOD,
 };
 
 export default function TaxCenter() {
@@ -91,6 +59,7 @@ export default function TaxCenter() {
   const [editingTx, setEditingTx] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
   const [csvImportOpen, setCsvImportOpen] = useState(false);
+  const [transferOpen, setTransferOpen] = useState(false);
   const [txSortOrder, setTxSortOrder] = useState('desc'); // 'desc' (newest first), 'asc' (oldest first)
   const [lotSortOrder, setLotSortOrder] = useState('asc'); // 'asc' (oldest first), 'desc' (newest first)
   const [lotStatusFilter, setLotStatusFilter] = useState('all'); // 'all', 'available', 'sold'
@@ -99,6 +68,7 @@ export default function TaxCenter() {
   const [assetTypeFilter, setAssetTypeFilter] = useState('all');
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [exportingYear, setExportingYear] = useState(false);
+  const [exportFormat, setExportFormat] = useState('pdf');
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [itemToDelete, setItemToDelete] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
@@ -157,7 +127,7 @@ export default function TaxCenter() {
         const response = await fetch(`https://api.coingecko.com/api/v3/simple/price?ids=${coinId}&vs_currencies=usd`);
         const data = await response.json();
         if (data[coinId]?.usd) {
-          setFormData(prev => ({ ...prev, price_per_unit: data[coinId].usd }));
+          setFormData(prev => ({ ...prev, price_per_unit: toInputValue(fromUSD(data[coinId].usd)) }));
         }
       } else if (ticker !== 'USD' && ticker !== 'CASH') {
         // Stock - use backend function
@@ -166,7 +136,7 @@ export default function TaxCenter() {
           days: 1
         });
         if (response.data?.[ticker]?.currentPrice) {
-          setFormData(prev => ({ ...prev, price_per_unit: response.data[ticker].currentPrice }));
+          setFormData(prev => ({ ...prev, price_per_unit: toInputValue(fromUSD(response.data[ticker].currentPrice)) }));
         }
       }
     } catch (err) {
@@ -203,11 +173,15 @@ export default function TaxCenter() {
     return () => clearInterval(interval);
   }, []);
 
-  const { data: allTransactions = [] } = useQuery({
+  const { data: allTransactions = [], isFetched: transactionsFetched } = useQuery({
     queryKey: ['transactions'],
     queryFn: () => base44.entities.Transaction.list('-date'),
   });
 
+  // Amounts are stored in USD; shown in the base currency (cost basis at each transaction's date).
+  // The 8949 report and the tax return lines stay in USD.
+  const { currency, rate, symbol, fromUSD, fromUSDOn, toUSDOn, format: formatAmount, formatOn } = useTransactionCurrency(allTransactions);
+
 
 
   // Filter transactions by selected year (for tax calculations only, not display)
@@ -229,6 +203,11 @@ export default function TaxCenter() {
     queryFn: () => base44.entities.UserSettings.list(),
   });
 
+  const { data: budgetItems = [] } = useQuery({
+    queryKey: ['budgetItems'],
+    queryFn: () => base44.entities.BudgetItem.list(),
+  });
+
   // Settings loaded flag
   const [settingsLoaded, setSettingsLoaded] = useState(false);
 
@@ -358,6 +337,8 @@ export default function TaxCenter() {
             await base44.entities.Transaction.update(lotUsage.lot_id, {
               remaining_quantity: Math.max(0, newRemaining)
             });
+            // A lot can appear more than once (one record per wash sale basis group)
+            buyLot.remaining_quantity = Math.max(0, newRemaining);
           }
         }
         
@@ -406,6 +387,18 @@ export default function TaxCenter() {
     mutationFn: async (id) => {
       // Fetch the actual transaction from database (not cache)
       const tx = await base44.entities.Transaction.get(id);
+
+      // Lots moved by a transfer and its network fee disposal are undone through the transfer itself
+      if (tx && tx.transfer_id && tx.type !== 'transfer') {
+        throw new Error('This transaction is part of a transfer between accounts. Delete the transfer instead.');
+      }
+
+      if (tx && tx.type === 'transfer') {
+        await reverseLotTransfer(tx);
+        await base44.entities.Transaction.delete(id);
+        await syncHoldingsForTransfer(tx);
+        return;
+      }
       
       if (tx && tx.type === 'sell') {
         // REVERSE THE SALE - restore tax lots
@@ -445,12 +438,35 @@ export default function TaxCenter() {
       queryClient.invalidateQueries({ queryKey: ['transactions'] });
       queryClient.invalidateQueries({ queryKey: ['holdings'] });
     },
+    onError: (error) => {
+      alert(error.message);
+    },
   });
 
   const bulkDeleteTx = useMutation({
     mutationFn: async (ids) => {
       // Track affected assets for sync
       const affectedAssets = new Set();
+      const selected = new Set(ids);
+
+      // Transfer-linked lots and fee disposals can only go together with their transfer
+      const orphaned = allTransactions.find(t =>
+        selected.has(t.id) && t.transfer_id && t.type !== 'transfer' && !selected.has(t.transfer_id)
+      );
+      if (orphaned) {
+        throw new Error('Some selected transactions are part of a transfer between accounts. Select the transfer too, or delete it instead.');
+      }
+
+      // Reverse transfers first so their lots are back in the source account before anything else runs
+      const reversedIds = new Set();
+      for (const id of ids) {
+        const tx = allTransactions.find(t => t.id === id);
+        if (!tx || tx.type !== 'transfer') continue;
+        (await reverseLotTransfer(tx)).forEach(deletedId => reversedIds.add(deletedId));
+        affectedAssets.add(`${tx.asset_ticker}|${tx.account_id || ''}`);
+        affectedAssets.add(`${tx.asset_ticker}|${tx.to_account_id || ''}`);
+      }
+      ids = ids.filter(id => !reversedIds.has(id));
       
       // First pass: reverse sell transactions and track affected assets
       for (const id of ids) {
@@ -510,6 +526,22 @@ export default function TaxCenter() {
       queryClient.invalidateQueries({ queryKey: ['holdings'] });
       setSelectedTxIds([]);
     },
+    onError: (error) => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      alert(error.message);
+    },
+  });
+
+  const applyWashSales = useMutation({
+    mutationFn: (results) => applyWashSaleAdjustments(results, allTransactions),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      queryClient.invalidateQueries({ queryKey: ['holdings'] });
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries({ queryKey: ['transactions'] });
+      alert(error.message);
+    },
   });
 
   const bulkUpdateAccountType = useMutation({
@@ -749,25 +781,28 @@ export default function TaxCenter() {
         type: editingTx.type || 'buy',
         asset_ticker: editingTx.asset_ticker || 'BTC',
         quantity: editingTx.quantity || '',
-        price_per_unit: editingTx.price_per_unit || '',
+        price_per_unit: toInputValue(fromUSDOn(editingTx.price_per_unit, editingTx)),
         date: formattedDate,
         exchange: editingTx.exchange_or_wallet || editingTx.exchange || '',
         account_id: editingTx.account_id || '',
-        trading_fee: editingTx.trading_fee || '',
+        trading_fee: toInputValue(fromUSDOn(editingTx.trading_fee, editingTx)),
         notes: editingTx.notes || '',
       });
     }
-  }, [editingTx, holdings]);
+  }, [editingTx, holdings, fromUSDOn]);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    // Price and fee are entered in the base currency; saved in USD at the rate on the transaction date
+    const fxRate = await fetchRateOnDate(currency, formData.date, rate);
     const data = { 
       ...formData, 
       quantity: parseFloat(formData.quantity) || 0, 
-      price_per_unit: parseFloat(formData.price_per_unit) || 0,
-      trading_fee: parseFloat(formData.trading_fee) || 0,
+      price_per_unit: (parseFloat(formData.price_per_unit) || 0) * fxRate,
+      trading_fee: (parseFloat(formData.trading_fee) || 0) * fxRate,
       exchange_or_wallet: formData.exchange,
       account_id: formData.account_id || null,
+      ...getEntryCurrencyFields(currency, fxRate),
     };
     if (editingTx) {
       updateTx.mutate({ id: editingTx.id, data });
@@ -842,10 +877,10 @@ export default function TaxCenter() {
       // Get current price for this ticker
       const tickerPrice = pricesByTicker[ticker] || (tx.price_per_unit || 0);
       const currentValue = remainingQuantity * tickerPrice;
-      const perUnitCost = tx.price_per_unit || 0;
+      const perUnitCost = getLotCostPerUnit(tx);
       const costBasis = remainingQuantity * perUnitCost;
       const unrealizedGain = currentValue - costBasis;
-      const txDate = tx.date ? new Date(tx.date) : new Date();
+      const txDate = getLotHoldingStart(tx) ? new Date(getLotHoldingStart(tx)) : new Date();
       const daysSincePurchase = isNaN(txDate.getTime()) ? 0 : differenceInDays(new Date(), txDate);
       const isLongTerm = daysSincePurchase > 365;
 
@@ -866,6 +901,7 @@ export default function TaxCenter() {
           remainingQuantity,
           currentValue,
           costBasis,
+          costPerUnit: perUnitCost,
           unrealizedGain,
           unrealizedGainPercent: costBasis > 0 ? (unrealizedGain / costBasis) * 100 : 0,
           isLongTerm,
@@ -889,8 +925,8 @@ export default function TaxCenter() {
     switch (method) {
       case 'FIFO': return [...lots].sort((a, b) => new Date(a.date) - new Date(b.date));
       case 'LIFO': return [...lots].sort((a, b) => new Date(b.date) - new Date(a.date));
-      case 'HIFO': return [...lots].sort((a, b) => (b.price_per_unit || 0) - (a.price_per_unit || 0));
-      case 'LOFO': return [...lots].sort((a, b) => (a.price_per_unit || 0) - (b.price_per_unit || 0));
+      case 'HIFO': return [...lots].sort((a, b) => b.costPerUnit - a.costPerUnit);
+      case 'LOFO': return [...lots].sort((a, b) => a.costPerUnit - b.costPerUnit);
       default: return lots;
     }
   };
@@ -898,7 +934,7 @@ export default function TaxCenter() {
   // Calculate average cost basis across all lots
   const calculateAverageCostBasis = (lots) => {
     const totalQuantity = lots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
-    const totalCost = lots.reduce((sum, lot) => sum + (lot.remainingQuantity * (lot.price_per_unit || 0)), 0);
+    const totalCost = lots.reduce((sum, lot) => sum + (lot.remainingQuantity * lot.costPerUnit), 0);
     return totalQuantity > 0 ? totalCost / totalQuantity : 0;
   };
 
@@ -910,6 +946,20 @@ export default function TaxCenter() {
     let hasLongTerm = false;
     let hasShortTerm = false;
     const lotsUsed = [];
+    const soldOn = saleForm.date ? new Date(saleForm.date) : new Date();
+
+    // Take shares from a lot: wash sale replacement shares first, each group at its own basis and holding period
+    const useLot = (lot, qtyFromLot) => {
+      const segments = takeLotSegments(lot, qtyFromLot);
+      segments.forEach(segment => {
+        totalCostBasis += segment.quantity * segment.costPerUnit;
+        const start = segment.holdingStart ? new Date(segment.holdingStart) : soldOn;
+        if (differenceInDays(soldOn, start) > 365) hasLongTerm = true;
+        else hasShortTerm = true;
+      });
+      lotsUsed.push({ ...lot, qtyUsed: qtyFromLot, segments });
+      remainingQty -= qtyFromLot;
+    };
 
     // Filter lots by asset AND account (for sale form with account selector)
     // For sales, we need to get lots from ALL transactions, not just taxable
@@ -924,9 +974,10 @@ export default function TaxCenter() {
         const remainingQuantity = tx.remaining_quantity ?? tx.quantity ?? 0;
         const tickerPrice = pricesByTicker[assetTicker] || tx.price_per_unit || 0;
         const currentValue = remainingQuantity * tickerPrice;
-        const costBasis = remainingQuantity * (tx.price_per_unit || 0);
+        const costPerUnit = getLotCostPerUnit(tx);
+        const costBasis = remainingQuantity * costPerUnit;
         const unrealizedGain = currentValue - costBasis;
-        const txDate = tx.date ? new Date(tx.date) : new Date();
+        const txDate = getLotHoldingStart(tx) ? new Date(getLotHoldingStart(tx)) : new Date();
         const daysSincePurchase = differenceInDays(new Date(), txDate);
         const isLongTerm = daysSincePurchase > 365;
         
@@ -935,6 +986,7 @@ export default function TaxCenter() {
           remainingQuantity,
           currentValue,
           costBasis,
+          costPerUnit,
           unrealizedGain,
           isLongTerm,
           daysSincePurchase,
@@ -986,27 +1038,19 @@ export default function TaxCenter() {
           ? Math.min(specifiedQty, lot.remainingQuantity, remainingQty)
           : Math.min(remainingQty, lot.remainingQuantity);
         
-        if (qtyFromLot > 0) {
-          totalCostBasis += qtyFromLot * (lot.price_per_unit || 0);
-          if (lot.isLongTerm) hasLongTerm = true;
-          else hasShortTerm = true;
-          lotsUsed.push({ ...lot, qtyUsed: qtyFromLot });
-          remainingQty -= qtyFromLot;
-        }
+        if (qtyFromLot > 0) useLot(lot, qtyFromLot);
       }
     }
-    // Handle FIFO, LIFO, HIFO, LOFO
+    // Handle FIFO, LIFO, HIFO, LOFO, TAX_MIN
     else {
-      const lotsToUse = sortLotsByMethod(lotsForAsset, method);
+      const lotsToUse = method === 'TAX_MIN'
+        ? selectLots(lotsForAsset, assetTicker, saleQty, 'TAX_MIN', { salePrice: salePricePerUnit, saleDate: saleForm.date })
+            .selectedLots.map(s => lotsForAsset.find(l => l.id === s.lot.id))
+        : sortLotsByMethod(lotsForAsset, method);
 
       for (const lot of lotsToUse) {
         if (remainingQty <= 0) break;
-        const qtyFromLot = Math.min(remainingQty, lot.remainingQuantity);
-        totalCostBasis += qtyFromLot * (lot.price_per_unit || 0);
-        if (lot.isLongTerm) hasLongTerm = true;
-        else hasShortTerm = true;
-        lotsUsed.push({ ...lot, qtyUsed: qtyFromLot });
-        remainingQty -= qtyFromLot;
+        useLot(lot, Math.min(remainingQty, lot.remainingQuantity));
       }
     }
 
@@ -1081,15 +1125,23 @@ export default function TaxCenter() {
     queryFn: () => base44.entities.Account.list(),
   });
 
+  const accountNames = useMemo(
+    () => Object.fromEntries(accounts.map(a => [a.id, a.name])),
+    [accounts]
+  );
+
   // Check if critical data is loading (after all queries defined)
   const isLoadingData = !allTransactions || !holdings || !userSettings || !accounts;
 
+  // Sale price and fee are entered in the base currency at the sale date's rate
+  const saleDate = { date: saleForm.date };
+
   // Calculate outcomes for all methods
   const saleOutcomes = useMemo(() => {
     if (!saleForm.quantity || !saleForm.price_per_unit || !saleForm.account_id) return null;
     const qty = Math.abs(parseFloat(saleForm.quantity)); // Always use positive quantity
-    const price = parseFloat(saleForm.price_per_unit);
-    const fee = parseFloat(saleForm.fee) || 0;
+    const price = toUSDOn(parseFloat(saleForm.price_per_unit), saleDate);
+    const fee = toUSDOn(parseFloat(saleForm.fee) || 0, saleDate);
     const assetTicker = saleForm.asset_ticker;
     const accountId = saleForm.account_id;
 
@@ -1098,12 +1150,13 @@ export default function TaxCenter() {
       LIFO: calculateSaleOutcome(qty, price, fee, 'LIFO', [], {}, assetTicker, accountId),
       HIFO: calculateSaleOutcome(qty, price, fee, 'HIFO', [], {}, assetTicker, accountId),
       LOFO: calculateSaleOutcome(qty, price, fee, 'LOFO', [], {}, assetTicker, accountId),
+      TAX_MIN: calculateSaleOutcome(qty, price, fee, 'TAX_MIN', [], {}, assetTicker, accountId),
       AVG: calculateSaleOutcome(qty, price, fee, 'AVG', [], {}, assetTicker, accountId),
       SPECIFIC: calculateSaleOutcome(qty, price, fee, 'SPECIFIC', saleForm.selected_lots, specificLotQuantities, assetTicker, accountId),
     };
-  }, [saleForm.quantity, saleForm.price_per_unit, saleForm.fee, saleForm.asset_ticker, saleForm.account_id, saleForm.selected_lots, specificLotQuantities, allTransactions, pricesByTicker]);
+  }, [saleForm.quantity, saleForm.price_per_unit, saleForm.fee, saleForm.date, saleForm.asset_ticker, saleForm.account_id, saleForm.selected_lots, specificLotQuantities, allTransactions, pricesByTicker, toUSDOn]);
 
-  const handleSaleSubmit = (e) => {
+  const handleSaleSubmit = async (e) => {
     e.preventDefault();
     const outcome = saleOutcomes[saleForm.lot_method];
     
@@ -1111,31 +1164,41 @@ export default function TaxCenter() {
       return;
     }
 
+    // Proceeds at the rate on the sale date, as the lots' basis was at theirs
+    const fxRate = await fetchRateOnDate(currency, saleForm.date, rate);
+    const quantity = Math.abs(parseFloat(saleForm.quantity)); // Always use positive quantity
+    const pricePerUnit = parseFloat(saleForm.price_per_unit) * fxRate;
+    const fee = (parseFloat(saleForm.fee) || 0) * fxRate;
+
     // Extract account_id from lots used
     const accountId = outcome.lotsUsed[0]?.account_id || null;
     
     // Prepare lots_used array for storage (critical for reversal)
-    const lotsUsed = outcome.lotsUsed.map(lot => ({
-      lot_id: lot.id,
-      quantity_sold: lot.qtyUsed,
-      cost_basis: lot.qtyUsed * (lot.price_per_unit || 0),
-      price_per_unit: lot.price_per_unit,
-      purchase_date: lot.date
-    }));
+    const lotsUsed = outcome.lotsUsed.flatMap(lot => lot.segments
+      ? buildLotUsedRecords(lot, lot.segments)
+      : [{
+        lot_id: lot.id,
+        quantity_sold: lot.qtyUsed,
+        cost_basis: lot.qtyUsed * (lot.costPerUnit ?? lot.price_per_unit ?? 0),
+        price_per_unit: lot.price_per_unit,
+        purchase_date: lot.date,
+      }]);
 
     const transactionData = {
       type: 'sell',
       asset_ticker: saleForm.asset_ticker,
-      quantity: Math.abs(parseFloat(saleForm.quantity)), // Always use positive quantity
-      price_per_unit: parseFloat(saleForm.price_per_unit),
+      quantity,
+      price_per_unit: pricePerUnit,
       date: saleForm.date,
       exchange_or_wallet: saleForm.exchange,
       account_id: saleForm.account_id,
       cost_basis: outcome.totalCostBasis,
-      realized_gain_loss: outcome.realizedGain,
+      realized_gain_loss: quantity * pricePerUnit - fee - outcome.totalCostBasis,
       holding_period: outcome.holdingPeriod,
+      lot_method: saleForm.lot_method,
       lots_used: lotsUsed,
-      notes: `Method: ${saleForm.lot_method}. Fee: $${saleForm.fee || 0}`,
+      notes: `Method: ${saleForm.lot_method}. Fee: ${formatCurrency(parseFloat(saleForm.fee) || 0, currency, { decimals: 2 })}`,
+      ...getEntryCurrencyFields(currency, fxRate),
     };
 
     createTx.mutate(transactionData);
@@ -1156,6 +1219,27 @@ export default function TaxCenter() {
   const netShortTerm = shortTermGains - shortTermLosses;
   const netLongTerm = longTermGains - longTermLosses;
   const totalRealized = netShortTerm + netLongTerm;
+
+  // Capital loss ledger across years: what carries into the selected year and out of it. Years after
+  // this one are only shown, never saved, since their sales haven't happened yet
+  const ledgerSaveThroughYear = new Date().getFullYear();
+  const lossCarryoverSetting = userSettings[0]?.capital_loss_carryover || null;
+  const capitalLossLedger = useMemo(() => buildCapitalLossLedger({
+    realizedByYear: getRealizedGainsByYear(allTransactions),
+    seed: lossCarryoverSetting,
+    filingStatus,
+    throughYear: Math.max(ledgerSaveThroughYear, selectedYear),
+  }), [allTransactions, lossCarryoverSetting, filingStatus, selectedYear]);
+  const lossCarryIn = capitalLossLedger.find(row => row.year === selectedYear)?.carryIn || EMPTY_CARRYOVER;
+  const totalLossCarryIn = lossCarryIn.shortTerm + lossCarryIn.longTerm;
+
+  // Keep the saved carryforwards (read by the projection) in step with the ledger, through this year only
+  useEffect(() => {
+    if (!settingsLoaded || !transactionsFetched) return;
+    const carryforwards = getLedgerCarryforwards(capitalLossLedger.filter(row => row.year <= ledgerSaveThroughYear));
+    if (JSON.stringify(carryforwards) === JSON.stringify(lossCarryoverSetting?.carryforwards || {})) return;
+    saveSettings.mutate({ capital_loss_carryover: { ...lossCarryoverSetting, carryforwards } });
+  }, [settingsLoaded, transactionsFetched, capitalLossLedger]);
   
   // Total assets from taxable holdings (grouped by ticker)
   const totalAssetsByTicker = taxLots.reduce((acc, lot) => {
@@ -1165,28 +1249,28 @@ export default function TaxCenter() {
   }, {});
   const totalBtcHeld = totalAssetsByTicker.BTC || 0;
 
-  // Get brackets based on filing status and selected year
-  const { brackets: currentBrackets, standardDeductions } = getTaxDataForYear(selectedYear);
-  const yearBrackets = currentBrackets[filingStatus] || currentBrackets.single;
+  // The selected year's rule-set, and its return with and without the year's realized gains and carried-in losses
+  const yearTaxRules = getTaxRules(selectedYear, filingStatus);
+  const baseTaxReturnInputs = { year: selectedYear, filingStatus, state: stateOfResidence, wages: annualIncome };
+  const baseTaxReturn = calculateTaxReturn(baseTaxReturnInputs);
+  const yearTaxReturn = calculateTaxReturn({
+    ...baseTaxReturnInputs,
+    shortTermGains: netShortTerm,
+    longTermGains: netLongTerm,
+    priorShortTermLossCarryover: lossCarryIn.shortTerm,
+    priorLongTermLossCarryover: lossCarryIn.longTerm,
+  });
 
-  const getLTCGRateForYear = (income) => {
-    if (!yearBrackets?.ltcg) return 0.15;
-    for (const bracket of yearBrackets.ltcg) {
-      if (income <= bracket.max) return bracket.rate;
-    }
-    return 0.20;
-  };
+  // Marginal rates on the next dollar of gains, from taxable income (after the deduction)
+  const taxableIncome = baseTaxReturn.taxableIncome;
+  const effectiveLTCGRate = getMarginalRate(yearTaxRules.preferentialBrackets, taxableIncome);
+  const effectiveSTCGRate = getMarginalRate(yearTaxRules.ordinaryBrackets, taxableIncome);
 
-  const getSTCGRateForYear = (income) => {
-    if (!yearBrackets?.income) return 0.24;
-    for (const bracket of yearBrackets.income) {
-      if (income <= bracket.max) return bracket.rate;
-    }
-    return 0.37;
+  // Federal LTCG rate in a later year at `futureIncome` gross income (when unharvested gains would be sold)
+  const getFutureLTCGRate = (futureIncome) => {
+    const futureRules = getTaxRules(selectedYear + 1, filingStatus);
+    return getMarginalRate(futureRules.preferentialBrackets, Math.max(0, futureIncome - futureRules.standardDeduction));
   };
-
-  const effectiveLTCGRate = getLTCGRateForYear(annualIncome);
-  const effectiveSTCGRate = getSTCGRateForYear(annualIncome);
   
   // Calculate accurate state tax rates using full calculation functions
   const stateConfig = STATE_TAX_CONFIG[stateOfResidence];
@@ -1221,17 +1305,18 @@ export default function TaxCenter() {
   const stateRate = effectiveStateSTCGRate;
   
   // Standard deduction effectively increases the 0% LTCG bracket
-  // Taxable income = Gross income - Standard deduction
   // So if gross income is $0, you can realize gains up to (standard deduction + 0% bracket max) at 0%
-  const standardDeduction = standardDeductions[filingStatus];
-  const taxableIncome = Math.max(0, annualIncome - standardDeduction);
+  const standardDeduction = baseTaxReturn.standardDeduction;
+  const zeroRateLTCGMax = yearTaxRules.preferentialBrackets[0].max;
   
-  // 0% LTCG bracket room is based on taxable income, not gross income
-  // If taxable income is below the 0% threshold, you have room
-  const ltcgBracketRoom = yearBrackets?.ltcg?.[0]?.max ? Math.max(0, yearBrackets.ltcg[0].max - taxableIncome) : 0;
-  const canHarvestGainsTaxFree = yearBrackets?.ltcg?.[0]?.max ? taxableIncome < yearBrackets.ltcg[0].max : false;
+  // 0% LTCG bracket room is based on taxable income, not gross income. Losses that would otherwise
+  // carry into next year absorb that much more gain tax-free on top of it.
+  const unusedLossCarryover = yearTaxReturn.capitalLossCarryover;
+  const ltcgBracketRoom = Math.round(Math.max(0, zeroRateLTCGMax - taxableIncome) + unusedLossCarryover);
+  const canHarvestGainsTaxFree = ltcgBracketRoom > 0;
 
-  const estimatedTax = (shortTermGains > 0 ? shortTermGains * combinedSTCGRate : 0) + (longTermGains > 0 ? longTermGains * combinedLTCGRate : 0);
+  // Tax the year's realized gains add to the return (losses bring it down; shown as no tax)
+  const estimatedTax = Math.max(0, Math.round(yearTaxReturn.totalTax - baseTaxReturn.totalTax));
 
   // Calculate ACTUAL tax savings from realized transactions (IRS rules)
   const calculateActualTaxSavings = () => {
@@ -1244,32 +1329,36 @@ export default function TaxCenter() {
     let carryforwardLoss = 0;
     let taxOwed = 0;
     
-    if (totalRealized < 0) {
+    // Net after losses carried in from earlier years
+    const netAfterCarryover = totalRealized - totalLossCarryIn;
+
+    if (netAfterCarryover < 0) {
       // NET LOSS SITUATION
-      const netLoss = Math.abs(totalRealized);
+      const netLoss = Math.abs(netAfterCarryover);
       
-      // Losses offset ordinary income (MAX $3,000/year)
-      const lossesOffsettingIncome = Math.min(3000, netLoss);
+      // Losses offset ordinary income up to the annual limit ($3,000; $1,500 married filing separately)
+      const lossesOffsettingIncome = Math.min(yearTaxRules.capitalLossLimit, netLoss);
       const savingsFromIncomeOffset = lossesOffsettingIncome * combinedSTCGRate;
       
       // Remaining losses carry forward
-      carryforwardLoss = netLoss - lossesOffsettingIncome;
+      carryforwardLoss = yearTaxReturn.capitalLossCarryover;
       
       taxSavings = savingsFromIncomeOffset;
       
-    } else if (totalRealized > 0) {
+    } else if (netAfterCarryover > 0) {
       // NET GAIN SITUATION - calculate tax owed
       
       // If gains were harvested at 0% rate, that's a future savings
       const futureSavings = gainsHarvestedAtZero * (0.15 + stateRate); // Assume 15% future LTCG + state
       taxSavings = futureSavings;
       
-      // Calculate tax owed on net gains
-      if (netShortTerm > 0) {
-        taxOwed += netShortTerm * combinedSTCGRate;
+      // Calculate tax owed on net gains (after the carryover)
+      const taxableShortTerm = Math.max(0, yearTaxReturn.capitalGain - yearTaxReturn.netCapitalGain);
+      if (taxableShortTerm > 0) {
+        taxOwed += taxableShortTerm * combinedSTCGRate;
       }
-      if (netLongTerm > 0) {
-        taxOwed += netLongTerm * combinedLTCGRate;
+      if (yearTaxReturn.netCapitalGain > 0) {
+        taxOwed += yearTaxReturn.netCapitalGain * combinedLTCGRate;
       }
     }
     
@@ -1277,13 +1366,23 @@ export default function TaxCenter() {
       taxSavings,
       carryforwardLoss,
       taxOwed,
-      isNetLoss: totalRealized < 0,
-      isNetGain: totalRealized > 0,
+      isNetLoss: netAfterCarryover < 0,
+      isNetGain: netAfterCarryover > 0,
     };
   };
 
   const actualTaxSavings = calculateActualTaxSavings();
 
+  // Estimated tax planner: the year's income from the budget, sales and equity comp (conversions come from the plan)
+  const estimatedTaxPlan = userSettings[0]?.estimated_tax_plans?.[selectedYear];
+  const estimatedIncomeItems = useMemo(() => buildEstimatedIncomeItems({
+    year: selectedYear,
+    budgetItems,
+    transactions: allTransactions,
+    equityGrants: userSettings[0]?.equity_grants || [],
+    fallbackWages: userSettings[0]?.gross_annual_income || annualIncome,
+  }), [selectedYear, budgetItems, allTransactions, userSettings, annualIncome]);
+
   // Loss/Gain harvesting opportunities - only for taxable accounts
   // Filter to only include lots from taxable holdings (exclude tax-deferred and tax-free)
   const taxableLotsForHarvest = taxLots.filter(lot => {
@@ -1295,17 +1394,29 @@ export default function TaxCenter() {
   const totalHarvestableLoss = harvestLossOpportunities.reduce((sum, lot) => sum + Math.abs(lot.unrealizedGain), 0);
   const gainHarvestOpportunities = taxableLotsForHarvest.filter(lot => lot.unrealizedGain > 0 && lot.isLongTerm);
   const totalHarvestableGain = gainHarvestOpportunities.reduce((sum, lot) => sum + lot.unrealizedGain, 0);
+
+  // Wash sales - the rule covers securities only; crypto is exempt through WASH_SALE_RULES
+  const getAssetTypeForTicker = (ticker) =>
+    holdings.find(h => h.ticker === ticker)?.asset_type || (COINGECKO_IDS[ticker] ? 'crypto' : 'stocks');
+  const washSaleResults = useMemo(
+    () => detectWashSales(allTransactions, { getAssetType: getAssetTypeForTicker }),
+    [allTransactions, holdings]
+  );
+  // Pending when a detected wash sale isn't saved yet or a saved one no longer applies
+  const washSalesPending = washSaleResults.some(r => !r.is_applied) ||
+    allTransactions.some(tx => tx.wash_sale_disallowed > 0 && !washSaleResults.some(r => r.sale_id === tx.id));
+  const totalWashSaleDisallowed = washSaleResults.reduce((sum, r) => sum + r.disallowed_loss, 0);
   const optimalGainHarvest = Math.min(totalHarvestableGain, ltcgBracketRoom);
 
 
 
   // Tax bracket visualization data - include all brackets up to 37%
-  const bracketChartData = yearBrackets?.income ? yearBrackets.income.map(bracket => ({
+  const bracketChartData = yearTaxRules.ordinaryBrackets.map(bracket => ({
     name: bracket.label,
     max: bracket.max === Infinity ? (filingStatus === 'married' ? 900000 : 800000) : bracket.max,
     rate: bracket.rate * 100,
-    fill: annualIncome >= bracket.min && (bracket.max === Infinity || annualIncome < bracket.max) ? '#F7931A' : '#27272a',
-  })) : [];
+    fill: taxableIncome >= bracket.min && (bracket.max === Infinity || taxableIncome < bracket.max) ? '#F7931A' : '#27272a',
+  }));
 
   // Calculate wash trade net benefit (tax savings minus trading fees)
   const calculateWashTradeAnalysis = (lots, feePercent = DEFAULT_ROUND_TRIP_FEE_PERCENT) => {
@@ -1373,22 +1484,7 @@ export default function TaxCenter() {
     const gainTradingFees = optimalGainValue * 2 * (feePercent / 100);
     
     // Calculate future LTCG rate based on expectedFutureIncome (when user will sell)
-    const futureIncome = expectedFutureIncome || 80000;
-    const futureStdDeduction = filingStatus === 'married' ? 32200 : 16100; // 2026 estimates
-    const futureTaxableIncome = Math.max(0, futureIncome - futureStdDeduction);
-    
-    // Determine future federal LTCG rate based on expected taxable income
-    const futureZeroBracketTop = filingStatus === 'married' ? 96700 : 48350;
-    const futureFifteenBracketTop = filingStatus === 'married' ? 600050 : 533400;
-    
-    let futureFederalLTCGRate;
-    if (futureTaxableIncome <= futureZeroBracketTop) {
-      futureFederalLTCGRate = 0;
-    } else if (futureTaxableIncome <= futureFifteenBracketTop) {
-      futureFederalLTCGRate = 0.15;
-    } else {
-      futureFederalLTCGRate = 0.20;
-    }
+    const futureFederalLTCGRate = getFutureLTCGRate(expectedFutureIncome || 80000);
     
     // State LTCG rate (use actual state rate, not income-dependent)
     const futureStateLTCGRate = effectiveStateLTCGRate || 0.035;
@@ -1485,12 +1581,13 @@ export default function TaxCenter() {
     return allInRate * 2; // Round trip
   }, [allTransactions]);
 
-  const washTradeAnalysis = useMemo(() => calculateWashTradeAnalysis(taxableLotsForHarvest, avgFeePercent), [taxableLotsForHarvest, avgFeePercent, combinedSTCGRate, ltcgBracketRoom, canHarvestGainsTaxFree, filingStatus, stateRate, expectedFutureIncome, effectiveStateLTCGRate, effectiveStateSTCGRate]);
+  const washTradeAnalysis = useMemo(() => calculateWashTradeAnalysis(taxableLotsForHarvest, avgFeePercent), [taxableLotsForHarvest, avgFeePercent, combinedSTCGRate, ltcgBracketRoom, canHarvestGainsTaxFree, filingStatus, selectedYear, stateRate, expectedFutureIncome, effectiveStateLTCGRate, effectiveStateSTCGRate]);
 
   // Generate Form 8949 style report
   const generateTaxReport = () => {
     let report = `FORM 8949 - Sales and Other Dispositions of Capital Assets\n`;
     report += `Tax Year: ${new Date().getFullYear()}\n`;
+    report += `Amounts in USD\n`;
     report += `Generated: ${format(new Date(), 'MMMM d, yyyy')}\n\n`;
     report += `${'='.repeat(80)}\n\n`;
 
@@ -1498,6 +1595,13 @@ export default function TaxCenter() {
     report += `-`.repeat(40) + `\n`;
     report += `Short-Term Capital Gains/Losses: $${shortTermGains.toLocaleString()}\n`;
     report += `Long-Term Capital Gains/Losses: $${longTermGains.toLocaleString()}\n`;
+    if (totalLossCarryIn > 0) {
+      report += `Short-Term Loss Carryover (Schedule D line 6): ($${Math.round(lossCarryIn.shortTerm).toLocaleString()})\n`;
+      report += `Long-Term Loss Carryover (Schedule D line 14): ($${Math.round(lossCarryIn.longTerm).toLocaleString()})\n`;
+    }
+    if (yearTaxReturn.capitalLossCarryover > 0) {
+      report += `Loss Carryforward to ${selectedYear + 1}: $${Math.round(yearTaxReturn.capitalLossCarryover).toLocaleString()}\n`;
+    }
     report += `Estimated Tax Liability: $${estimatedTax.toLocaleString()}\n\n`;
 
     report += `TRANSACTIONS\n`;
@@ -1550,18 +1654,37 @@ export default function TaxCenter() {
               )}
             </SelectContent>
           </Select>
+          <Select value={exportFormat} onValueChange={setExportFormat}>
+            <SelectTrigger className="w-20 bg-zinc-900 border-zinc-700 text-sm">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-zinc-900 border-zinc-700">
+              <SelectItem value="pdf">PDF</SelectItem>
+              <SelectItem value="txf">TXF</SelectItem>
+              <SelectItem value="csv">CSV</SelectItem>
+            </SelectContent>
+          </Select>
           <Button 
             variant="outline"
             size="sm"
             onClick={async () => {
               setExportingYear(true);
               try {
-                const response = await base44.functions.invoke('exportForm8949', { year: selectedYear });
-                const blob = new Blob([response.data], { type: 'text/csv' });
+                const response = await base44.functions.invoke('exportForm8949', {
+                  year: selectedYear,
+                  format: exportFormat,
+                  shortTermCarryover: Math.round(lossCarryIn.shortTerm),
+                  longTermCarryover: Math.round(lossCarryIn.longTerm),
+                });
+                const { filename, mimeType, encoding, content } = response.data;
+                const data = encoding === 'base64'
+                  ? Uint8Array.from(atob(content), c => c.charCodeAt(0))
+                  : content;
+                const blob = new Blob([data], { type: mimeType });
                 const url = window.URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `Form8949_${selectedYear}.csv`;
+                a.download = filename;
                 document.body.appendChild(a);
                 a.click();
                 window.URL.revokeObjectURL(url);
@@ -1583,6 +1706,10 @@ export default function TaxCenter() {
             <Upload className="w-4 h-4 mr-1 sm:mr-2" />
             <span className="hidden sm:inline">Import</span>
           </Button>
+          <Button variant="outline" size="sm" onClick={() => setTransferOpen(true)} className="bg-transparent border-zinc-700 text-sm">
+            <ArrowLeftRight className="w-4 h-4 mr-1 sm:mr-2" />
+            <span className="hidden sm:inline">Transfer</span>
+          </Button>
           <Button 
             onClick={createBuyTransactionsFromHoldings}
             variant="outline"
@@ -1656,7 +1783,7 @@ export default function TaxCenter() {
             <div className="space-y-2">
               <div className="flex justify-between items-center">
                 <Label className="text-zinc-300 text-sm">Household Taxable Income</Label>
-                <span className="text-orange-400 font-semibold">${annualIncome.toLocaleString()}</span>
+                <span className="text-orange-400 font-semibold">{formatAmount(annualIncome)}</span>
               </div>
               <Slider value={[annualIncome]} onValueChange={([v]) => setAnnualIncome(v)} min={0} max={1000000} step={5000} />
               <p className="text-xs text-zinc-500">{filingStatus === 'married' ? 'Combined household income' : 'Your individual income'}</p>
@@ -1679,18 +1806,8 @@ export default function TaxCenter() {
                   </TooltipProvider>
                 </div>
                 <div className="flex items-center gap-2">
-                  <span className="text-orange-400 font-semibold">${(expectedFutureIncome ?? annualIncome).toLocaleString()}</span>
-                  <span className="text-xs text-zinc-500">→ {(() => {
-                    const futureIncome = expectedFutureIncome ?? annualIncome;
-                    const futureStdDeduction = filingStatus === 'married' ? 32200 : 16100;
-                    const futureTaxableIncome = Math.max(0, futureIncome - futureStdDeduction);
-                    const futureZeroBracketTop = filingStatus === 'married' ? 96700 : 48350;
-                    const futureFifteenBracketTop = filingStatus === 'married' ? 600050 : 533400;
-                    
-                    if (futureTaxableIncome <= futureZeroBracketTop) return '0% LTCG';
-                    if (futureTaxableIncome <= futureFifteenBracketTop) return '15% LTCG';
-                    return '20% LTCG';
-                  })()}</span>
+                  <span className="text-orange-400 font-semibold">{formatAmount(expectedFutureIncome ?? annualIncome)}</span>
+                  <span className="text-xs text-zinc-500">→ {(getFutureLTCGRate(expectedFutureIncome ?? annualIncome) * 100).toFixed(0)}% LTCG</span>
                 </div>
               </div>
               <Slider value={[expectedFutureIncome ?? annualIncome]} onValueChange={([v]) => setExpectedFutureIncome(v)} min={0} max={500000} step={5000} />
@@ -1742,11 +1859,16 @@ export default function TaxCenter() {
 
             <div className="p-4 rounded-xl bg-zinc-800/30">
               <p className="text-sm text-zinc-300 mb-2">0% LTCG Bracket Room</p>
-              <p className="text-2xl font-bold text-emerald-400">${ltcgBracketRoom.toLocaleString()}</p>
-              <Progress value={yearBrackets?.ltcg?.[0]?.max ? (taxableIncome / yearBrackets.ltcg[0].max) * 100 : 0} className="h-2 mt-2 bg-zinc-700" />
+              <p className="text-2xl font-bold text-emerald-400">{formatAmount(ltcgBracketRoom)}</p>
+              <Progress value={(taxableIncome / zeroRateLTCGMax) * 100} className="h-2 mt-2 bg-zinc-700" />
               <p className="text-xs text-zinc-500 mt-1">
-                Taxable income: ${taxableIncome.toLocaleString()} (after ${standardDeduction.toLocaleString()} std deduction)
+                Taxable income: {formatAmount(taxableIncome)} (after {formatAmount(standardDeduction)} std deduction)
               </p>
+              {unusedLossCarryover > 0 && (
+                <p className="text-xs text-zinc-500 mt-1">
+                  Includes {formatAmount(unusedLossCarryover)} of capital loss carryforward that gains would absorb first
+                </p>
+              )}
             </div>
           </div>
         </div>
@@ -1764,7 +1886,7 @@ export default function TaxCenter() {
             </div>
           </div>
           <p className={cn("text-2xl lg:text-3xl font-bold", netShortTerm >= 0 ? "text-emerald-400" : "text-rose-400")}>
-            {netShortTerm >= 0 ? '+' : '-'}${Math.round(Math.abs(netShortTerm)).toLocaleString()}
+            {netShortTerm >= 0 ? '+' : '-'}{formatAmount(Math.abs(netShortTerm))}
           </p>
           <p className="text-xs text-zinc-500 mt-1">{netShortTerm === 0 ? 'No ST sales' : `Taxed at ${(effectiveSTCGRate * 100).toFixed(0)}%`}</p>
         </div>
@@ -1777,7 +1899,7 @@ export default function TaxCenter() {
             </div>
           </div>
           <p className={cn("text-2xl font-bold", netLongTerm >= 0 ? "text-emerald-400" : "text-rose-400")}>
-            {netLongTerm >= 0 ? '+' : ''}${Math.round(Math.abs(netLongTerm)).toLocaleString()}
+            {netLongTerm >= 0 ? '+' : '-'}{formatAmount(Math.abs(netLongTerm))}
           </p>
           <p className={cn("text-xs mt-1", netLongTerm === 0 ? "text-zinc-500" : effectiveLTCGRate === 0 ? "text-emerald-400" : "text-zinc-500")}>
             {netLongTerm === 0 ? 'No LT sales' : effectiveLTCGRate === 0 ? '0% TAX!' : `Taxed at ${(effectiveLTCGRate * 100).toFixed(0)}%`}
@@ -1791,7 +1913,7 @@ export default function TaxCenter() {
               <Receipt className="w-4 h-4 text-orange-400" />
             </div>
           </div>
-          <p className="text-2xl font-bold text-orange-400">${estimatedTax.toLocaleString()}</p>
+          <p className="text-2xl font-bold text-orange-400">{formatAmount(estimatedTax)}</p>
           <p className="text-xs text-zinc-500 mt-1">For {selectedYear}</p>
         </div>
 
@@ -1803,14 +1925,19 @@ export default function TaxCenter() {
             </div>
           </div>
           <p className="text-2xl font-bold text-emerald-400">
-            +${Math.round(actualTaxSavings.taxSavings).toLocaleString()}
+            +{formatAmount(actualTaxSavings.taxSavings)}
           </p>
           <p className="text-xs text-zinc-500 mt-1">
             {actualTaxSavings.isNetLoss ? `From realized losses (Fed + ${stateOfResidence})` : 'From 0% harvesting'}
           </p>
+          {totalLossCarryIn > 0 && (
+            <p className="text-xs text-zinc-400 mt-1">
+              After {formatAmount(totalLossCarryIn)} loss carried in from prior years
+            </p>
+          )}
           {actualTaxSavings.carryforwardLoss > 0 && (
             <p className="text-xs text-amber-400 mt-1">
-              +${Math.round(actualTaxSavings.carryforwardLoss).toLocaleString()} loss carryforward
+              +{formatAmount(actualTaxSavings.carryforwardLoss)} loss carryforward to {selectedYear + 1}
             </p>
           )}
         </div>
@@ -1827,6 +1954,8 @@ export default function TaxCenter() {
             Gain Harvest
             {canHarvestGainsTaxFree && gainHarvestOpportunities.length > 0 && <span className="ml-2 w-2 h-2 rounded-full bg-emerald-400 animate-pulse" />}
           </TabsTrigger>
+          <TabsTrigger value="equity" className="data-[state=active]:bg-zinc-700">Equity Comp</TabsTrigger>
+          <TabsTrigger value="estimated" className="data-[state=active]:bg-zinc-700">Estimated Tax</TabsTrigger>
         </TabsList>
 
         {/* Overview Tab */}
@@ -1853,20 +1982,20 @@ export default function TaxCenter() {
               <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
                 <div>
                   <p className="text-xs text-zinc-500">Room in 0% Bracket</p>
-                  <p className="text-emerald-400 font-semibold text-lg">${ltcgBracketRoom.toLocaleString()}</p>
+                  <p className="text-emerald-400 font-semibold text-lg">{formatAmount(ltcgBracketRoom)}</p>
                 </div>
                 <div>
                   <p className="text-xs text-zinc-500">Optimal Harvest</p>
-                  <p className="text-orange-400 font-semibold text-lg">${washTradeAnalysis.gain.optimalHarvest.toLocaleString()}</p>
+                  <p className="text-orange-400 font-semibold text-lg">{formatAmount(washTradeAnalysis.gain.optimalHarvest)}</p>
                 </div>
                 <div>
                   <p className="text-xs text-zinc-500">Est. Fees (sell + rebuy)</p>
-                  <p className="text-amber-400 font-semibold text-lg">-${washTradeAnalysis.gain.tradingFees.toLocaleString()}</p>
+                  <p className="text-amber-400 font-semibold text-lg">-{formatAmount(washTradeAnalysis.gain.tradingFees)}</p>
                 </div>
                 <div>
                   <p className="text-xs text-zinc-500">Net Benefit</p>
                   <p className={cn("font-semibold text-lg", washTradeAnalysis.gain.isWorthwhile ? "text-emerald-400" : "text-rose-400")}>
-                    {washTradeAnalysis.gain.netBenefit >= 0 ? '+' : ''}${washTradeAnalysis.gain.netBenefit.toLocaleString()}
+                    {washTradeAnalysis.gain.netBenefit >= 0 ? '+' : ''}{formatAmount(washTradeAnalysis.gain.netBenefit)}
                   </p>
                 </div>
               </div>
@@ -1894,27 +2023,27 @@ export default function TaxCenter() {
               
               <p className="text-zinc-400 text-sm mb-4">
                 {washTradeAnalysis.loss.isWorthwhile 
-                  ? 'Harvest losses to offset gains or reduce taxable income by up to $3,000/year.'
+                  ? `Harvest losses to offset gains or reduce taxable income by up to ${formatAmount(yearTaxRules.capitalLossLimit)}/year.`
                   : 'Fees currently exceed tax savings at your rate. Consider lower-fee exchanges or waiting for larger losses.'}
               </p>
               
               <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
                 <div>
                   <p className="text-xs text-zinc-500">Harvestable Losses</p>
-                  <p className="text-rose-400 font-semibold text-lg">-${washTradeAnalysis.loss.harvestableLoss.toLocaleString()}</p>
+                  <p className="text-rose-400 font-semibold text-lg">-{formatAmount(washTradeAnalysis.loss.harvestableLoss)}</p>
                 </div>
                 <div>
                   <p className="text-xs text-zinc-500">Tax Savings ({(effectiveSTCGRate * 100).toFixed(0)}%)</p>
-                  <p className="text-emerald-400 font-semibold text-lg">+${washTradeAnalysis.loss.taxSavings.toLocaleString()}</p>
+                  <p className="text-emerald-400 font-semibold text-lg">+{formatAmount(washTradeAnalysis.loss.taxSavings)}</p>
                 </div>
                 <div>
                   <p className="text-xs text-zinc-500">Est. Fees (sell + rebuy)</p>
-                  <p className="text-amber-400 font-semibold text-lg">-${washTradeAnalysis.loss.tradingFees.toLocaleString()}</p>
+                  <p className="text-amber-400 font-semibold text-lg">-{formatAmount(washTradeAnalysis.loss.tradingFees)}</p>
                 </div>
                 <div>
                   <p className="text-xs text-zinc-500">Net Benefit</p>
                   <p className={cn("font-semibold text-lg", washTradeAnalysis.loss.isWorthwhile ? "text-emerald-400" : "text-rose-400")}>
-                    {washTradeAnalysis.loss.netBenefit >= 0 ? '+' : ''}${washTradeAnalysis.loss.netBenefit.toLocaleString()}
+                    {washTradeAnalysis.loss.netBenefit >= 0 ? '+' : ''}{formatAmount(washTradeAnalysis.loss.netBenefit)}
                   </p>
                 </div>
               </div>
@@ -1947,11 +2076,11 @@ export default function TaxCenter() {
                 <ResponsiveContainer width="100%" height="100%">
                   <BarChart data={bracketChartData} layout="vertical">
                     <CartesianGrid strokeDasharray="3 3" stroke="#27272a" horizontal={false} />
-                    <XAxis type="number" stroke="#71717a" fontSize={12} tickFormatter={(v) => `$${(v/1000)}k`} />
+                    <XAxis type="number" stroke="#71717a" fontSize={12} tickFormatter={(v) => formatAmount(v, { compact: true })} />
                     <YAxis type="category" dataKey="name" stroke="#71717a" fontSize={12} width={40} />
                     <RechartsTooltip 
                       contentStyle={{ backgroundColor: '#18181b', border: '1px solid #27272a', borderRadius: '8px' }}
-                      formatter={(value) => [`$${value.toLocaleString()}`, 'Bracket Max']}
+                      formatter={(value) => [formatAmount(value), 'Bracket Max']}
                     />
                     <Bar dataKey="max" radius={[0, 4, 4, 0]}>
                       {bracketChartData.map((entry, index) => (
@@ -1971,7 +2100,7 @@ export default function TaxCenter() {
                 <div className="flex justify-between items-center p-3 rounded-lg bg-zinc-800/30">
                   <span className="text-zinc-400">{totalRealized >= 0 ? 'Total Realized Gains' : 'Total Realized Losses'}</span>
                   <span className={cn("font-semibold", totalRealized >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                    {totalRealized >= 0 ? '' : '-'}${Math.abs(totalRealized).toLocaleString()}
+                    {totalRealized >= 0 ? '' : '-'}{formatAmount(Math.abs(totalRealized))}
                   </span>
                 </div>
                 <div className="flex justify-between items-center p-3 rounded-lg bg-zinc-800/30">
@@ -1980,16 +2109,34 @@ export default function TaxCenter() {
                 </div>
                 <div className="flex justify-between items-center p-3 rounded-lg bg-zinc-800/30">
                   <span className="text-zinc-400">Harvestable Losses</span>
-                  <span className="font-semibold text-rose-400">-${totalHarvestableLoss.toLocaleString()}</span>
+                  <span className="font-semibold text-rose-400">-{formatAmount(totalHarvestableLoss)}</span>
                 </div>
                 <div className="flex justify-between items-center p-3 rounded-lg bg-zinc-800/30">
                   <span className="text-zinc-400">Harvestable Gains (LT)</span>
-                  <span className="font-semibold text-emerald-400">+${totalHarvestableGain.toLocaleString()}</span>
+                  <span className="font-semibold text-emerald-400">+{formatAmount(totalHarvestableGain)}</span>
                 </div>
               </div>
             </div>
           </div>
 
+          {/* Year's return, line by line */}
+          <div className="card-premium rounded-2xl p-6 border border-zinc-800/50">
+            <h3 className="font-semibold mb-1">{selectedYear} Tax Return Estimate</h3>
+            <p className="text-sm text-zinc-500 mb-4">
+              {formatAmount(annualIncome)} income plus this year's realized gains and losses
+              {totalLossCarryIn > 0 && ` and ${formatAmount(totalLossCarryIn)} carried-in loss`}
+              {stateConfig && ` • ${stateConfig.name}`}
+            </p>
+            <TaxReturnBreakdown columns={[{ label: String(selectedYear), taxReturn: yearTaxReturn }]} />
+          </div>
+
+          <CapitalLossCarryover
+            ledger={capitalLossLedger}
+            seed={lossCarryoverSetting}
+            onSeedChange={(seed) => saveSettings.mutate({ capital_loss_carryover: { ...lossCarryoverSetting, ...seed } })}
+            selectedYear={selectedYear}
+          />
+
           {/* Lot Method Comparison - Dropdown */}
           <div className="card-premium rounded-2xl p-6 border border-zinc-800/50">
             <h3 className="font-semibold mb-2">Tax Lot Selection Method</h3>
@@ -2096,6 +2243,9 @@ export default function TaxCenter() {
                     const isCrypto = holding?.asset_type === 'crypto' || COINGECKO_IDS[lot.asset_ticker];
                     const displayQty = isCrypto ? lot.remainingQuantity.toFixed(8) : lot.remainingQuantity.toFixed(2);
                     const isFullyUsed = lot.status === 'fully_sold' || lot.remainingQuantity === 0;
+                    // Basis at the purchase date's rate, value at today's
+                    const localCostBasis = fromUSDOn(lot.costBasis, lot);
+                    const localGain = fromUSD(lot.currentValue) - localCostBasis;
 
                     return (
                   <div key={lot.id} className={cn("p-4 rounded-xl border", 
@@ -2164,10 +2314,10 @@ export default function TaxCenter() {
                             </div>
                       {!isFullyUsed && (
                         <div className="text-right">
-                          <p className={cn("text-lg font-bold", lot.unrealizedGain >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                            {lot.unrealizedGain >= 0 ? '+' : ''}{(lot.unrealizedGainPercent || 0).toFixed(1)}%
+                          <p className={cn("text-lg font-bold", localGain >= 0 ? "text-emerald-400" : "text-rose-400")}>
+                            {localGain >= 0 ? '+' : ''}{(localCostBasis > 0 ? (localGain / localCostBasis) * 100 : 0).toFixed(1)}%
                           </p>
-                          <p className="text-sm text-zinc-500">{lot.unrealizedGain >= 0 ? '+' : ''}${(lot.unrealizedGain || 0).toLocaleString()}</p>
+                          <p className="text-sm text-zinc-500">{localGain >= 0 ? '+' : ''}{formatCurrency(localGain, currency)}</p>
                         </div>
                       )}
                     </div>
@@ -2175,15 +2325,15 @@ export default function TaxCenter() {
                       <div className="grid grid-cols-3 gap-4 text-sm">
                         <div>
                           <p className="text-zinc-500">Cost Basis</p>
-                          <p className="font-medium">${(lot.costBasis || 0).toLocaleString()}</p>
+                          <p className="font-medium">{formatCurrency(localCostBasis, currency)}</p>
                         </div>
                         <div>
                           <p className="text-zinc-500">Current Value</p>
-                          <p className="font-medium">${(lot.currentValue || 0).toLocaleString()}</p>
+                          <p className="font-medium">{formatAmount(lot.currentValue || 0)}</p>
                         </div>
                         <div>
                           <p className="text-zinc-500">Per BTC Cost</p>
-                          <p className="font-medium">${(lot.price_per_unit || 0).toLocaleString()}</p>
+                          <p className="font-medium">{formatOn(lot.price_per_unit, lot, { decimals: 2 })}</p>
                         </div>
                       </div>
                     )}
@@ -2327,6 +2477,7 @@ export default function TaxCenter() {
                     tax_free: 'Tax-Free',
                   };
                   const isTaxable = taxTreatment === 'taxable';
+                  const isTransfer = tx.type === 'transfer';
                   
                   return (
                   <div key={tx.id} className={cn(
@@ -2340,13 +2491,13 @@ export default function TaxCenter() {
                         onChange={() => toggleSelectTx(tx.id)}
                         className="w-4 h-4 rounded border-zinc-600 bg-zinc-800"
                       />
-                      <div className={cn("w-10 h-10 rounded-xl flex items-center justify-center", tx.type === 'buy' ? 'bg-emerald-400/10' : 'bg-rose-400/10')}>
-                        {tx.type === 'buy' ? <TrendingUp className="w-5 h-5 text-emerald-400" /> : <TrendingDown className="w-5 h-5 text-rose-400" />}
+                      <div className={cn("w-10 h-10 rounded-xl flex items-center justify-center", isTransfer ? 'bg-sky-400/10' : tx.type === 'buy' ? 'bg-emerald-400/10' : 'bg-rose-400/10')}>
+                        {isTransfer ? <ArrowLeftRight className="w-5 h-5 text-sky-400" /> : tx.type === 'buy' ? <TrendingUp className="w-5 h-5 text-emerald-400" /> : <TrendingDown className="w-5 h-5 text-rose-400" />}
                       </div>
                       <div>
                         <div className="flex items-center gap-2 flex-wrap">
                           <p className="font-medium">
-                            {tx.type === 'buy' ? 'Bought' : 'Sold'} {(() => {
+                            {isTransfer ? 'Transferred' : tx.type === 'buy' ? 'Bought' : 'Sold'} {(() => {
                               const holding = holdings.find(h => h.ticker === tx.asset_ticker);
                               const assetName = holding?.asset_name || tx.asset_ticker;
                               const qty = tx.quantity || 0;
@@ -2366,6 +2517,11 @@ export default function TaxCenter() {
                               {tx.holding_period === 'long_term' ? 'Long-term' : 'Short-term'}
                             </Badge>
                           )}
+                          {tx.type === 'sell' && tx.lot_method && (
+                            <Badge variant="outline" className="text-xs border-zinc-600 text-zinc-400">
+                              {LOT_METHODS[tx.lot_method]?.name || tx.lot_method}
+                            </Badge>
+                          )}
                           <Badge variant="outline" className={cn("text-xs", isTaxable ? 'border-orange-400/50 text-orange-400' : 'border-purple-400/50 text-purple-400')}>
                             {accountLabels[accountType] || 'Taxable'}
                           </Badge>
@@ -2379,20 +2535,24 @@ export default function TaxCenter() {
                           )}
                         </div>
                         <p className="text-sm text-zinc-500">
-                          @ ${(tx.price_per_unit || 0).toLocaleString()} • {tx.date ? format(new Date(tx.date), 'MMM d, yyyy') : 'No date'}
+                          {isTransfer
+                            ? `${accountNames[tx.account_id] || 'Unknown'} → ${accountNames[tx.to_account_id] || 'Unknown'}${tx.network_fee ? ` • fee ${tx.network_fee} ${tx.asset_ticker}` : ''}`
+                            : `@ ${formatOn(tx.price_per_unit, tx, { decimals: 2 })}`} • {tx.date ? format(new Date(tx.date), 'MMM d, yyyy') : 'No date'}
                         </p>
                       </div>
                     </div>
                     <div className="flex items-center gap-4">
                       <div className="text-right">
-                        <p className="font-semibold">${(tx.total_value || 0).toLocaleString()}</p>
+                        <p className="font-semibold">{formatOn(isTransfer ? tx.cost_basis : tx.total_value, tx)}</p>
+                        {isTransfer && <p className="text-xs text-zinc-500">cost basis</p>}
                         {tx.type === 'sell' && tx.realized_gain_loss !== undefined && (
                           <p className={cn("text-sm font-medium", (tx.realized_gain_loss || 0) >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                            {(tx.realized_gain_loss || 0) >= 0 ? '+' : ''}{(tx.realized_gain_loss || 0).toLocaleString()}
+                            {(tx.realized_gain_loss || 0) >= 0 ? '+' : ''}{formatOn(tx.realized_gain_loss, tx)}
                           </p>
                         )}
                       </div>
                       <div className="flex gap-1">
+                        {!isTransfer && (
                         <button 
                           onClick={() => { setEditingTx(tx); setFormOpen(true); }} 
                           className="p-1.5 rounded-lg hover:bg-zinc-700 transition-all duration-200 active:scale-95 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-orange-500/50"
@@ -2400,6 +2560,7 @@ export default function TaxCenter() {
                         >
                           <Pencil className="w-3.5 h-3.5 text-zinc-400" />
                         </button>
+                        )}
                         <button 
                           onClick={() => { setItemToDelete({ type: 'transaction', item: tx }); setDeleteConfirmOpen(true); }} 
                           className="p-1.5 rounded-lg hover:bg-rose-600/50 transition-all duration-200 active:scale-95 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-rose-500/50"
@@ -2436,26 +2597,74 @@ export default function TaxCenter() {
                 </SelectContent>
               </Select>
             </div>
+
+            {(washSaleResults.length > 0 || washSalesPending) && (
+              <div className="p-4 rounded-xl bg-amber-500/5 border border-amber-500/20 mb-6">
+                <div className="flex items-center justify-between mb-3">
+                  <div>
+                    <h4 className="font-medium text-amber-400 flex items-center gap-2">
+                      <AlertTriangle className="w-4 h-4" />
+                      Wash Sales Detected
+                    </h4>
+                    <p className="text-xs text-zinc-400 mt-1">
+                      {formatAmount(totalWashSaleDisallowed, { decimals: 2 })} of losses disallowed. The disallowed amount is added to the replacement lot's basis and reported with code W on Form 8949.
+                    </p>
+                  </div>
+                  {washSalesPending && (
+                    <Button
+                      size="sm"
+                      onClick={() => applyWashSales.mutate(washSaleResults)}
+                      disabled={applyWashSales.isPending}
+                      className="bg-amber-500/20 text-amber-400 hover:bg-amber-500/30 border-0"
+                    >
+                      {applyWashSales.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+                      Apply Adjustments
+                    </Button>
+                  )}
+                </div>
+                <div className="space-y-2">
+                  {washSaleResults.map(result => (
+                    <div key={result.sale_id} className="flex items-center justify-between p-3 rounded-lg bg-zinc-900/50 text-sm">
+                      <div>
+                        <p className="text-zinc-200">
+                          {result.ticker} sold {format(new Date(`${result.sale_date}T00:00:00`), 'MMM d, yyyy')}
+                        </p>
+                        <p className="text-xs text-zinc-500">
+                          {result.replacements.length} replacement{result.replacements.length === 1 ? '' : 's'} bought within 30 days
+                          {result.permanently_disallowed > 0 && ` • ${formatAmount(result.permanently_disallowed, { decimals: 2 })} lost permanently (bought in a tax-advantaged account)`}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="text-rose-400">-{formatAmount(result.disallowed_loss, { decimals: 2 })} <span className="text-zinc-500">of {formatAmount(result.loss, { decimals: 2 })}</span></p>
+                        <Badge className={cn("border-0 text-xs", result.is_applied ? "bg-emerald-500/20 text-emerald-400" : "bg-amber-500/20 text-amber-400")}>
+                          {result.is_applied ? 'Applied' : 'Pending'}
+                        </Badge>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
             
             {harvestLossOpportunities.length > 0 && (
               <div className="grid grid-cols-1 sm:grid-cols-4 gap-4 p-4 rounded-xl bg-zinc-800/30 border border-zinc-700/50 mb-6">
                 <div>
                   <p className="text-sm text-zinc-400">Harvestable Losses</p>
-                  <p className="text-xl font-bold text-rose-400">-${washTradeAnalysis.loss.harvestableLoss.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-rose-400">-{formatAmount(washTradeAnalysis.loss.harvestableLoss)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-400">Tax Savings ({(effectiveSTCGRate * 100).toFixed(0)}% rate)</p>
-                  <p className="text-xl font-bold text-emerald-400">+${washTradeAnalysis.loss.taxSavings.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-emerald-400">+{formatAmount(washTradeAnalysis.loss.taxSavings)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-400">Est. Fees (sell + rebuy)</p>
-                  <p className="text-xl font-bold text-amber-400">-${washTradeAnalysis.loss.tradingFees.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-amber-400">-{formatAmount(washTradeAnalysis.loss.tradingFees)}</p>
                   <p className="text-xs text-zinc-500">{avgFeePercent.toFixed(1)}% round trip</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-400">Net Benefit</p>
                   <p className={cn("text-xl font-bold", washTradeAnalysis.loss.isWorthwhile ? "text-emerald-400" : "text-rose-400")}>
-                    {washTradeAnalysis.loss.netBenefit >= 0 ? '+' : ''}${washTradeAnalysis.loss.netBenefit.toLocaleString()}
+                    {washTradeAnalysis.loss.netBenefit >= 0 ? '+' : ''}{formatAmount(washTradeAnalysis.loss.netBenefit)}
                   </p>
                 </div>
               </div>
@@ -2494,6 +2703,10 @@ export default function TaxCenter() {
                   const isCrypto = holding?.asset_type === 'crypto' || COINGECKO_IDS[lot.asset_ticker];
                   const displayQty = isCrypto ? lot.remainingQuantity.toFixed(8) : lot.remainingQuantity.toFixed(2);
                   const isFullyUsed = lot.status === 'fully_sold' || lot.remainingQuantity <= 0;
+                  const washSaleApplies = isWashSaleAsset(getAssetTypeForTicker(lot.asset_ticker));
+                  const recentPurchases = washSaleApplies
+                    ? findReplacementPurchases(allTransactions, lot.asset_ticker, format(new Date(), 'yyyy-MM-dd'), [lot.id])
+                    : [];
 
                   return (
                     <div key={lot.id} className={cn(
@@ -2532,11 +2745,11 @@ export default function TaxCenter() {
                           {isFullyUsed ? (
                             <p className="text-sm text-zinc-500 mt-1">Already sold - no remaining balance</p>
                           ) : (
-                            <p className="text-sm text-zinc-400">Bought @ ${(lot.price_per_unit || 0).toLocaleString()} • Now ${(pricesByTicker[lot.asset_ticker] || 0).toLocaleString()}</p>
+                            <p className="text-sm text-zinc-400">Bought @ {formatOn(lot.price_per_unit, lot, { decimals: 2 })} • Now {formatAmount(pricesByTicker[lot.asset_ticker], { decimals: 2 })}</p>
                           )}
                         </div>
                         <div className="text-right">
-                          <p className="text-lg font-bold text-rose-400">-${Math.abs(lot.unrealizedGain).toLocaleString()}</p>
+                          <p className="text-lg font-bold text-rose-400">-{formatAmount(Math.abs(lot.unrealizedGain))}</p>
                           <p className="text-sm text-zinc-400">Harvestable loss</p>
                         </div>
                         </div>
@@ -2544,22 +2757,26 @@ export default function TaxCenter() {
                         <div className="grid grid-cols-3 gap-3 p-3 rounded-lg bg-zinc-900/50 text-sm">
                           <div>
                             <p className="text-zinc-500">Tax Savings</p>
-                            <p className="font-medium text-emerald-400">+${lotTaxSavings.toLocaleString()}</p>
+                            <p className="font-medium text-emerald-400">+{formatAmount(lotTaxSavings)}</p>
                           </div>
                           <div>
                             <p className="text-zinc-500">Trading Fees</p>
-                            <p className="font-medium text-amber-400">-${lotFees.toLocaleString()}</p>
+                            <p className="font-medium text-amber-400">-{formatAmount(lotFees)}</p>
                           </div>
                           <div>
                             <p className="text-zinc-500">Net Benefit</p>
                             <p className={cn("font-medium", lotNetBenefit > 0 ? "text-emerald-400" : "text-rose-400")}>
-                              {lotNetBenefit >= 0 ? '+' : ''}${lotNetBenefit.toLocaleString()}
+                              {lotNetBenefit >= 0 ? '+' : ''}{formatAmount(lotNetBenefit)}
                             </p>
                           </div>
                         </div>
                         )}
-                        {!isFullyUsed && !COINGECKO_IDS[lot.asset_ticker] && (
-                        <p className="text-xs text-amber-400 mt-2">⚠️ Wash sale rule: Can't rebuy within 30 days</p>
+                        {!isFullyUsed && washSaleApplies && (
+                        <p className="text-xs text-amber-400 mt-2">
+                          {recentPurchases.length > 0
+                            ? `⚠️ Wash sale: ${recentPurchases.length} ${lot.asset_ticker} purchase${recentPurchases.length === 1 ? '' : 's'} in the last 30 days would disallow this loss`
+                            : `⚠️ Wash sale rule: don't rebuy ${lot.asset_ticker} before ${format(new Date(`${getWashSaleSafeDate()}T00:00:00`), 'MMM d, yyyy')}`}
+                        </p>
                         )}
                         </div>
                         );
@@ -2592,7 +2809,7 @@ export default function TaxCenter() {
             {!canHarvestGainsTaxFree ? (
               <div className="p-4 rounded-xl bg-amber-400/10 border border-amber-400/20 mb-6">
                 <p className="text-sm text-amber-400">
-                  Your taxable income (${taxableIncome.toLocaleString()} after ${standardDeduction.toLocaleString()} std deduction) exceeds the 0% LTCG bracket (${yearBrackets?.ltcg?.[0]?.max?.toLocaleString() || 'N/A'}).
+                  Your taxable income ({formatAmount(taxableIncome)} after {formatAmount(standardDeduction)} std deduction) exceeds the 0% LTCG bracket ({formatAmount(zeroRateLTCGMax)}).
                 </p>
               </div>
             ) : (
@@ -2602,28 +2819,24 @@ export default function TaxCenter() {
                     <Sparkles className="w-4 h-4 text-emerald-400" />
                     <p className="text-sm text-zinc-300">0% LTCG Bracket Room</p>
                   </div>
-                  <p className="text-xl font-bold text-emerald-400">${ltcgBracketRoom.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-emerald-400">{formatAmount(ltcgBracketRoom)}</p>
+                  {unusedLossCarryover > 0 && (
+                    <p className="text-xs text-zinc-400">incl. {formatAmount(unusedLossCarryover)} loss carryforward</p>
+                  )}
                 </div>
                 <div>
                   <p className="text-sm text-zinc-300">Optimal Harvest</p>
-                  <p className="text-xl font-bold text-orange-400">${washTradeAnalysis.gain.optimalHarvest.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-orange-400">{formatAmount(washTradeAnalysis.gain.optimalHarvest)}</p>
                 </div>
                 <div>
                   <p className="text-sm text-zinc-300">Est. Fees (sell + rebuy)</p>
-                  <p className="text-xl font-bold text-amber-400">-${washTradeAnalysis.gain.tradingFees.toLocaleString()}</p>
+                  <p className="text-xl font-bold text-amber-400">-{formatAmount(washTradeAnalysis.gain.tradingFees)}</p>
                   <p className="text-xs text-zinc-400">{avgFeePercent.toFixed(1)}% round trip</p>
                 </div>
                 <div>
-                  <p className="text-sm text-zinc-300">Net Benefit (vs {(() => {
-                    const futureIncome = expectedFutureIncome ?? annualIncome;
-                    const futureStdDeduction = filingStatus === 'married' ? 32200 : 16100;
-                    const futureTaxableIncome = Math.max(0, futureIncome - futureStdDeduction);
-                    const futureZeroBracketTop = filingStatus === 'married' ? 96700 : 48350;
-                    if (futureTaxableIncome <= futureZeroBracketTop) return '0%';
-                    return '15%';
-                  })()} future)</p>
+                  <p className="text-sm text-zinc-300">Net Benefit (vs {(getFutureLTCGRate(expectedFutureIncome ?? annualIncome) * 100).toFixed(0)}% future)</p>
                   <p className={cn("text-xl font-bold", washTradeAnalysis.gain.isWorthwhile ? "text-emerald-400" : "text-rose-400")}>
-                    {washTradeAnalysis.gain.netBenefit >= 0 ? '+' : ''}${washTradeAnalysis.gain.netBenefit.toLocaleString()}
+                    {washTradeAnalysis.gain.netBenefit >= 0 ? '+' : ''}{formatAmount(washTradeAnalysis.gain.netBenefit)}
                   </p>
                 </div>
               </div>
@@ -2706,7 +2919,7 @@ export default function TaxCenter() {
                           )}
                         </div>
                         <div className="text-right">
-                          <p className="text-lg font-bold text-emerald-400">+${lot.unrealizedGain.toLocaleString()}</p>
+                          <p className="text-lg font-bold text-emerald-400">+{formatAmount(lot.unrealizedGain)}</p>
                           <p className={cn("text-sm", canHarvestGainsTaxFree ? "text-emerald-400" : "text-zinc-400")}>
                             {canHarvestGainsTaxFree ? '0% TAX NOW' : `${(effectiveLTCGRate * 100).toFixed(0)}% tax`}
                           </p>
@@ -2716,20 +2929,20 @@ export default function TaxCenter() {
                         <div className="grid grid-cols-4 gap-3 p-3 rounded-lg bg-zinc-800/50 text-sm">
                           <div>
                             <p className="text-zinc-500">Current Basis</p>
-                            <p className="font-medium text-zinc-200">${lot.costBasis.toLocaleString()}</p>
+                            <p className="font-medium text-zinc-200">{formatAmount(lot.costBasis)}</p>
                           </div>
                           <div>
                             <p className="text-zinc-500">New Basis</p>
-                            <p className="font-medium text-emerald-400">${lot.currentValue.toLocaleString()}</p>
+                            <p className="font-medium text-emerald-400">{formatAmount(lot.currentValue)}</p>
                           </div>
                           <div>
                             <p className="text-zinc-500">Trading Fees</p>
-                            <p className="font-medium text-amber-400">-${lotFees.toLocaleString()}</p>
+                            <p className="font-medium text-amber-400">-{formatAmount(lotFees)}</p>
                           </div>
                           <div>
                             <p className="text-zinc-500">Net Benefit</p>
                             <p className={cn("font-medium", lotNetBenefit > 0 ? "text-emerald-400" : "text-rose-400")}>
-                              {lotNetBenefit >= 0 ? '+' : ''}${lotNetBenefit.toLocaleString()}
+                              {lotNetBenefit >= 0 ? '+' : ''}{formatAmount(lotNetBenefit)}
                             </p>
                           </div>
                         </div>
@@ -2741,6 +2954,34 @@ export default function TaxCenter() {
             )}
           </div>
         </TabsContent>
+
+        {/* Equity Compensation Tab */}
+        <TabsContent value="equity">
+          <EquityCompensation
+            grants={userSettings[0]?.equity_grants || []}
+            onChange={(grants) => saveSettings.mutate({ equity_grants: grants })}
+            annualIncome={userSettings[0]?.gross_annual_income || annualIncome}
+            incomeGrowthRate={userSettings[0]?.income_growth_rate ?? 3}
+            filingStatus={filingStatus}
+            state={stateOfResidence}
+          />
+        </TabsContent>
+
+        {/* Estimated Tax Tab */}
+        <TabsContent value="estimated">
+          <EstimatedTaxPlanner
+            year={selectedYear}
+            plan={estimatedTaxPlan}
+            onChange={(plan) => saveSettings.mutate({
+              estimated_tax_plans: { ...(userSettings[0]?.estimated_tax_plans || {}), [selectedYear]: plan },
+            })}
+            incomeItems={estimatedIncomeItems}
+            filingStatus={filingStatus}
+            state={stateOfResidence}
+            age={userSettings[0]?.current_age || 0}
+            lossCarryover={lossCarryIn}
+          />
+        </TabsContent>
       </Tabs>
 
       {/* Buy Form Dialog */}
@@ -2785,7 +3026,7 @@ export default function TaxCenter() {
                 />
               </div>
               <div className="space-y-2">
-                <Label className="text-zinc-400">Price per Unit {fetchingPrice && <Loader2 className="inline w-3 h-3 ml-1 animate-spin text-orange-400" />}</Label>
+                <Label className="text-zinc-400">Price per Unit ({symbol}) {fetchingPrice && <Loader2 className="inline w-3 h-3 ml-1 animate-spin text-orange-400" />}</Label>
                 <Input 
                   type="number" 
                   step="any" 
@@ -2816,7 +3057,7 @@ export default function TaxCenter() {
               <p className="text-xs text-zinc-500">Assign to account (e.g., Fidelity, Coinbase, Ledger)</p>
             </div>
             <div className="space-y-2">
-              <Label className="text-zinc-400">Transaction Fee</Label>
+              <Label className="text-zinc-400">Transaction Fee ({symbol})</Label>
               <Input type="number" step="any" value={formData.trading_fee} onChange={(e) => setFormData({ ...formData, trading_fee: e.target.value })} placeholder="0.00" className="bg-zinc-900 border-zinc-700 text-zinc-100 placeholder:text-zinc-500" />
             </div>
             <div className="space-y-2">
@@ -2826,7 +3067,7 @@ export default function TaxCenter() {
             {formData.quantity && formData.price_per_unit && (
               <div className="p-3 rounded-xl bg-zinc-800/50">
                 <p className="text-sm text-zinc-400">Total Value</p>
-                <p className="text-xl font-bold text-orange-400">${(parseFloat(formData.quantity) * parseFloat(formData.price_per_unit)).toLocaleString()}</p>
+                <p className="text-xl font-bold text-orange-400">{formatCurrency(parseFloat(formData.quantity) * parseFloat(formData.price_per_unit), currency)}</p>
               </div>
             )}
             <div className="flex gap-3 pt-4">
@@ -2905,11 +3146,11 @@ export default function TaxCenter() {
                 <Input type="number" step="any" value={saleForm.quantity} onChange={(e) => setSaleForm({ ...saleForm, quantity: e.target.value })} placeholder="0.1" className="bg-zinc-900 border-zinc-800" required />
               </div>
               <div className="space-y-2">
-                <Label className="text-zinc-400">Price per {saleForm.asset_ticker}</Label>
-                <Input type="number" step="any" value={saleForm.price_per_unit} onChange={(e) => setSaleForm({ ...saleForm, price_per_unit: e.target.value })} placeholder={saleForm.asset_ticker === 'BTC' ? currentPrice.toString() : ''} className="bg-zinc-900 border-zinc-800" required />
+                <Label className="text-zinc-400">Price per {saleForm.asset_ticker} ({symbol})</Label>
+                <Input type="number" step="any" value={saleForm.price_per_unit} onChange={(e) => setSaleForm({ ...saleForm, price_per_unit: e.target.value })} placeholder={saleForm.asset_ticker === 'BTC' ? String(Math.round(fromUSD(currentPrice))) : ''} className="bg-zinc-900 border-zinc-800" required />
               </div>
               <div className="space-y-2">
-                <Label className="text-zinc-400">Transaction Fee</Label>
+                <Label className="text-zinc-400">Transaction Fee ({symbol})</Label>
                 <Input type="number" step="any" value={saleForm.fee} onChange={(e) => setSaleForm({ ...saleForm, fee: e.target.value })} placeholder="0" className="bg-zinc-900 border-zinc-800" />
               </div>
             </div>
@@ -2953,13 +3194,13 @@ export default function TaxCenter() {
             {saleOutcomes && (
               <div className="space-y-4">
                 <Label className="text-zinc-400">Tax Impact Comparison</Label>
-                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
-                  {['FIFO', 'LIFO', 'HIFO', 'LOFO', 'AVG'].map(method => {
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+                  {['FIFO', 'LIFO', 'HIFO', 'LOFO', 'TAX_MIN', 'AVG'].map(method => {
                     const outcome = saleOutcomes[method];
                     const isSelected = saleForm.lot_method === method;
                     
                     // Find lowest gain method
-                    const allGains = ['FIFO', 'LIFO', 'HIFO', 'LOFO', 'AVG'].map(m => saleOutcomes[m]?.realizedGain ?? Infinity);
+                    const allGains = ['FIFO', 'LIFO', 'HIFO', 'LOFO', 'TAX_MIN', 'AVG'].map(m => saleOutcomes[m]?.realizedGain ?? Infinity);
                     const lowestGain = Math.min(...allGains);
                     const isBest = outcome.realizedGain === lowestGain && outcome.isComplete;
                     
@@ -2975,12 +3216,12 @@ export default function TaxCenter() {
                         <div className="space-y-1 text-xs">
                           <div className="flex justify-between">
                             <span className="text-zinc-500">Basis</span>
-                            <span>${outcome.totalCostBasis.toLocaleString()}</span>
+                            <span>{formatOn(outcome.totalCostBasis, saleDate)}</span>
                           </div>
                           <div className="flex justify-between pt-1 border-t border-zinc-800">
                             <span className="text-zinc-400">Gain</span>
                             <span className={cn("font-semibold", outcome.realizedGain >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                              {outcome.realizedGain >= 0 ? '+' : ''}${outcome.realizedGain.toLocaleString()}
+                              {outcome.realizedGain >= 0 ? '+' : ''}{formatOn(outcome.realizedGain, saleDate)}
                             </span>
                           </div>
                           <div className="flex justify-between">
@@ -3074,7 +3315,7 @@ export default function TaxCenter() {
                                     })()}
                                   </p>
                                   <p className="text-xs text-zinc-500">
-                                    Bought {lot.date ? format(new Date(lot.date), 'MMM d, yyyy') : 'Unknown'} @ ${(lot.price_per_unit || 0).toLocaleString()}
+                                    Bought {lot.date ? format(new Date(lot.date), 'MMM d, yyyy') : 'Unknown'} @ {formatOn(lot.price_per_unit, lot, { decimals: 2 })}
                                   </p>
                                 </div>
                                 <div className="text-right">
@@ -3150,25 +3391,24 @@ export default function TaxCenter() {
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                   <div>
                     <p className="text-sm text-zinc-500">Sale Proceeds</p>
-                    <p className="text-lg font-semibold">${saleOutcomes[saleForm.lot_method].saleProceeds.toLocaleString()}</p>
+                    <p className="text-lg font-semibold">{formatOn(saleOutcomes[saleForm.lot_method].saleProceeds, saleDate)}</p>
                   </div>
                   <div>
-                    <p className="text-sm text-zinc-500">Cost Basis {saleForm.lot_method === 'AVG' && `(Avg: $${saleOutcomes[saleForm.lot_method].avgCostBasis?.toLocaleString()})`}</p>
-                    <p className="text-lg font-semibold">${saleOutcomes[saleForm.lot_method].totalCostBasis.toLocaleString()}</p>
+                    <p className="text-sm text-zinc-500">Cost Basis {saleForm.lot_method === 'AVG' && `(Avg: ${formatOn(saleOutcomes[saleForm.lot_method].avgCostBasis, saleDate, { decimals: 2 })})`}</p>
+                    <p className="text-lg font-semibold">{formatOn(saleOutcomes[saleForm.lot_method].totalCostBasis, saleDate)}</p>
                   </div>
                   <div>
                     <p className="text-sm text-zinc-500">Realized Gain/Loss</p>
                     <p className={cn("text-lg font-semibold", saleOutcomes[saleForm.lot_method].realizedGain >= 0 ? "text-emerald-400" : "text-rose-400")}>
-                      {saleOutcomes[saleForm.lot_method].realizedGain >= 0 ? '+' : ''}${saleOutcomes[saleForm.lot_method].realizedGain.toLocaleString()}
+                      {saleOutcomes[saleForm.lot_method].realizedGain >= 0 ? '+' : ''}{formatOn(saleOutcomes[saleForm.lot_method].realizedGain, saleDate)}
                     </p>
                   </div>
                   <div>
                     <p className="text-sm text-zinc-500">Est. Tax (Fed + {stateOfResidence})</p>
                     <p className="text-lg font-semibold text-orange-400">
-                      ${(saleOutcomes[saleForm.lot_method].realizedGain > 0 
+                      {formatOn(saleOutcomes[saleForm.lot_method].realizedGain > 0 
                         ? saleOutcomes[saleForm.lot_method].realizedGain * (saleOutcomes[saleForm.lot_method].holdingPeriod === 'long_term' ? combinedLTCGRate : combinedSTCGRate)
-                        : 0
-                      ).toLocaleString()}
+                        : 0, saleDate)}
                     </p>
                   </div>
                 </div>
@@ -3183,7 +3423,7 @@ export default function TaxCenter() {
                         const displayQty = isCrypto ? lot.qtyUsed.toFixed(8) : lot.qtyUsed.toFixed(2);
                         return (
                        <div key={i} className="flex justify-between p-2 rounded bg-zinc-900/50">
-                         <span>{displayQty} {saleForm.asset_ticker} @ ${(lot.price_per_unit || 0).toLocaleString()}</span>
+                         <span>{displayQty} {saleForm.asset_ticker} @ {formatOn(lot.price_per_unit, lot, { decimals: 2 })}</span>
                          <span className={lot.isLongTerm ? "text-emerald-400" : "text-amber-400"}>
                            {lot.isLongTerm ? 'LT' : 'ST'}
                          </span>
@@ -3213,6 +3453,7 @@ export default function TaxCenter() {
 
       {/* CSV Import Dialog */}
       <CsvImportDialog open={csvImportOpen} onClose={() => setCsvImportOpen(false)} />
+      <TransferLotsDialog open={transferOpen} onClose={() => setTransferOpen(false)} currentPrices={pricesByTicker} />
       
       {/* Create Account Dialog */}
       <CreateAccountDialog
@@ -3233,7 +3474,7 @@ export default function TaxCenter() {
             <p className="text-zinc-400">
               {itemToDelete?.type === 'transaction' && (
                 <>
-                  Are you sure you want to delete this <span className="font-semibold text-zinc-200">{itemToDelete.item?.type === 'buy' ? 'buy' : 'sell'}</span> transaction for <span className="font-semibold text-zinc-200">{itemToDelete.item?.asset_ticker}</span>?
+                  Are you sure you want to delete this <span className="font-semibold text-zinc-200">{itemToDelete.item?.type || 'sell'}</span> transaction for <span className="font-semibold text-zinc-200">{itemToDelete.item?.asset_ticker}</span>?
                 </>
               )}
             </p>